@@ -25,6 +25,9 @@ import { auth } from './src/utils/firebase';
 // Context Providers
 import { AuthProvider, useAuth } from './src/context/AuthContext';
 import { TransactionProvider } from './src/context/TransactionContext';
+import { AccountProvider } from './src/context/AccountContext';
+import { CategoryProvider } from './src/context/CategoryContext';
+import { RuleProvider } from './src/context/RuleContext';
 
 // Theme
 import theme from './src/theme';
@@ -46,6 +49,18 @@ import TransactionDetailScreen from './src/screens/TransactionDetailScreen';
 import BudgetScreen from './src/screens/BudgetScreen';
 import GoalsScreen from './src/screens/GoalsScreen';
 import AddBillScreen from './src/screens/AddBillScreen';
+import AccountsScreen from './src/screens/AccountsScreen';
+import CategoryManagerScreen from './src/screens/CategoryManagerScreen';
+import LearnedCategoriesScreen from './src/screens/LearnedCategoriesScreen';
+import RulesScreen from './src/screens/RulesScreen';
+import ImportScreen from './src/screens/ImportScreen';
+import DuplicatesScreen from './src/screens/DuplicatesScreen';
+import ExportScreen from './src/screens/ExportScreen';
+import BackupScreen from './src/screens/BackupScreen';
+import BackupsScreen from './src/screens/BackupsScreen';
+import TaxReportScreen from './src/screens/TaxReportScreen';
+import RecurringScreen from './src/screens/RecurringScreen';
+import RecurringDetailScreen from './src/screens/RecurringDetailScreen';
 
 // Add Modal components
 import AddTransactionModal from './src/components/AddTransactionModal';
@@ -54,6 +69,9 @@ import AddTransactionModal from './src/components/AddTransactionModal';
 import * as Notifications from 'expo-notifications';
 import { registerForPushNotifications } from './src/utils/notificationUtils';
 
+// Automatic backups and recurring transactions
+import { useBackupScheduler, useRecurringProcessor } from './src/hooks';
+
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
 
@@ -74,6 +92,8 @@ const NavigationTheme = {
 // Navigation stack for authenticated users
 const AppTabs = () => {
   const [isAddModalVisible, setAddModalVisible] = useState(false);
+  useRecurringProcessor();
+  useBackupScheduler();
 
   const showAddModal = () => {
     setTimeout(() => {
@@ -286,6 +306,294 @@ const AppNavigator = () => {
               } 
             }} 
           />
+          <Stack.Screen 
+            name="Accounts" 
+            component={AccountsScreen} 
+            options={{ 
+              headerShown: true, 
+              title: 'Accounts', 
+              headerTintColor: theme.colors.primary, 
+              headerBackTitle: ' ', 
+              headerStyle: { 
+                backgroundColor: theme.colors.background.card, 
+                shadowColor: theme.colors.shadow, 
+                shadowOffset: { width: 0, height: 2 }, 
+                shadowOpacity: 0.3, 
+                shadowRadius: 3, 
+                elevation: 3, 
+                borderBottomWidth: 0 
+              }, 
+              headerTitleStyle: { 
+                fontSize: theme.typography.fontSize.lg, 
+                fontWeight: theme.typography.fontWeight.semibold, 
+                color: theme.colors.text.primary 
+              } 
+            }} 
+          />
+          <Stack.Screen 
+            name="Categories" 
+            component={CategoryManagerScreen} 
+            options={{ 
+              headerShown: true, 
+              title: 'Categories', 
+              headerTintColor: theme.colors.primary, 
+              headerBackTitle: ' ', 
+              headerStyle: { 
+                backgroundColor: theme.colors.background.card, 
+                shadowColor: theme.colors.shadow, 
+                shadowOffset: { width: 0, height: 2 }, 
+                shadowOpacity: 0.3, 
+                shadowRadius: 3, 
+                elevation: 3, 
+                borderBottomWidth: 0 
+              }, 
+              headerTitleStyle: { 
+                fontSize: theme.typography.fontSize.lg, 
+                fontWeight: theme.typography.fontWeight.semibold, 
+                color: theme.colors.text.primary 
+              } 
+            }} 
+          />
+          <Stack.Screen 
+            name="LearnedCategories" 
+            component={LearnedCategoriesScreen} 
+            options={{ 
+              headerShown: true, 
+              title: 'Learned Categories', 
+              headerTintColor: theme.colors.primary, 
+              headerBackTitle: ' ', 
+              headerStyle: { 
+                backgroundColor: theme.colors.background.card, 
+                shadowColor: theme.colors.shadow, 
+                shadowOffset: { width: 0, height: 2 }, 
+                shadowOpacity: 0.3, 
+                shadowRadius: 3, 
+                elevation: 3, 
+                borderBottomWidth: 0 
+              }, 
+              headerTitleStyle: { 
+                fontSize: theme.typography.fontSize.lg, 
+                fontWeight: theme.typography.fontWeight.semibold, 
+                color: theme.colors.text.primary 
+              } 
+            }} 
+          />
+          <Stack.Screen 
+            name="Rules" 
+            component={RulesScreen} 
+            options={{ 
+              headerShown: true, 
+              title: 'Rules', 
+              headerTintColor: theme.colors.primary, 
+              headerBackTitle: ' ', 
+              headerStyle: { 
+                backgroundColor: theme.colors.background.card, 
+                shadowColor: theme.colors.shadow, 
+                shadowOffset: { width: 0, height: 2 }, 
+                shadowOpacity: 0.3, 
+                shadowRadius: 3, 
+                elevation: 3, 
+                borderBottomWidth: 0 
+              }, 
+              headerTitleStyle: { 
+                fontSize: theme.typography.fontSize.lg, 
+                fontWeight: theme.typography.fontWeight.semibold, 
+                color: theme.colors.text.primary 
+              } 
+            }} 
+          />
+          <Stack.Screen 
+            name="Import" 
+            component={ImportScreen} 
+            options={{ 
+              headerShown: true, 
+              title: 'Import Transactions', 
+              headerTintColor: theme.colors.primary, 
+              headerBackTitle: ' ', 
+              headerStyle: { 
+                backgroundColor: theme.colors.background.card, 
+                shadowColor: theme.colors.shadow, 
+                shadowOffset: { width: 0, height: 2 }, 
+                shadowOpacity: 0.3, 
+                shadowRadius: 3, 
+                elevation: 3, 
+                borderBottomWidth: 0 
+              }, 
+              headerTitleStyle: { 
+                fontSize: theme.typography.fontSize.lg, 
+                fontWeight: theme.typography.fontWeight.semibold, 
+                color: theme.colors.text.primary 
+              } 
+            }} 
+          />
+          <Stack.Screen 
+            name="Duplicates" 
+            component={DuplicatesScreen} 
+            options={{ 
+              headerShown: true, 
+              title: 'Possible Duplicates', 
+              headerTintColor: theme.colors.primary, 
+              headerBackTitle: ' ', 
+              headerStyle: { 
+                backgroundColor: theme.colors.background.card, 
+                shadowColor: theme.colors.shadow, 
+                shadowOffset: { width: 0, height: 2 }, 
+                shadowOpacity: 0.3, 
+                shadowRadius: 3, 
+                elevation: 3, 
+                borderBottomWidth: 0 
+              }, 
+              headerTitleStyle: { 
+                fontSize: theme.typography.fontSize.lg, 
+                fontWeight: theme.typography.fontWeight.semibold, 
+                color: theme.colors.text.primary 
+              } 
+            }} 
+          />
+          <Stack.Screen 
+            name="Export" 
+            component={ExportScreen} 
+            options={{ 
+              headerShown: true, 
+              title: 'Export Transactions', 
+              headerTintColor: theme.colors.primary, 
+              headerBackTitle: ' ', 
+              headerStyle: { 
+                backgroundColor: theme.colors.background.card, 
+                shadowColor: theme.colors.shadow, 
+                shadowOffset: { width: 0, height: 2 }, 
+                shadowOpacity: 0.3, 
+                shadowRadius: 3, 
+                elevation: 3, 
+                borderBottomWidth: 0 
+              }, 
+              headerTitleStyle: { 
+                fontSize: theme.typography.fontSize.lg, 
+                fontWeight: theme.typography.fontWeight.semibold, 
+                color: theme.colors.text.primary 
+              } 
+            }} 
+          />
+          <Stack.Screen 
+            name="Backup" 
+            component={BackupScreen} 
+            options={{ 
+              headerShown: true, 
+              title: 'Backup & Restore', 
+              headerTintColor: theme.colors.primary, 
+              headerBackTitle: ' ', 
+              headerStyle: { 
+                backgroundColor: theme.colors.background.card, 
+                shadowColor: theme.colors.shadow, 
+                shadowOffset: { width: 0, height: 2 }, 
+                shadowOpacity: 0.3, 
+                shadowRadius: 3, 
+                elevation: 3, 
+                borderBottomWidth: 0 
+              }, 
+              headerTitleStyle: { 
+                fontSize: theme.typography.fontSize.lg, 
+                fontWeight: theme.typography.fontWeight.semibold, 
+                color: theme.colors.text.primary 
+              } 
+            }} 
+          />
+          <Stack.Screen 
+            name="Backups" 
+            component={BackupsScreen} 
+            options={{ 
+              headerShown: true, 
+              title: 'Automatic Backups', 
+              headerTintColor: theme.colors.primary, 
+              headerBackTitle: ' ', 
+              headerStyle: { 
+                backgroundColor: theme.colors.background.card, 
+                shadowColor: theme.colors.shadow, 
+                shadowOffset: { width: 0, height: 2 }, 
+                shadowOpacity: 0.3, 
+                shadowRadius: 3, 
+                elevation: 3, 
+                borderBottomWidth: 0 
+              }, 
+              headerTitleStyle: { 
+                fontSize: theme.typography.fontSize.lg, 
+                fontWeight: theme.typography.fontWeight.semibold, 
+                color: theme.colors.text.primary 
+              } 
+            }} 
+          />
+          <Stack.Screen 
+            name="TaxReport" 
+            component={TaxReportScreen} 
+            options={{ 
+              headerShown: true, 
+              title: 'Tax Summary', 
+              headerTintColor: theme.colors.primary, 
+              headerBackTitle: ' ', 
+              headerStyle: { 
+                backgroundColor: theme.colors.background.card, 
+                shadowColor: theme.colors.shadow, 
+                shadowOffset: { width: 0, height: 2 }, 
+                shadowOpacity: 0.3, 
+                shadowRadius: 3, 
+                elevation: 3, 
+                borderBottomWidth: 0 
+              }, 
+              headerTitleStyle: { 
+                fontSize: theme.typography.fontSize.lg, 
+                fontWeight: theme.typography.fontWeight.semibold, 
+                color: theme.colors.text.primary 
+              } 
+            }} 
+          />
+          <Stack.Screen 
+            name="Recurring" 
+            component={RecurringScreen} 
+            options={{ 
+              headerShown: true, 
+              title: 'Recurring Transactions', 
+              headerTintColor: theme.colors.primary, 
+              headerBackTitle: ' ', 
+              headerStyle: { 
+                backgroundColor: theme.colors.background.card, 
+                shadowColor: theme.colors.shadow, 
+                shadowOffset: { width: 0, height: 2 }, 
+                shadowOpacity: 0.3, 
+                shadowRadius: 3, 
+                elevation: 3, 
+                borderBottomWidth: 0 
+              }, 
+              headerTitleStyle: { 
+                fontSize: theme.typography.fontSize.lg, 
+                fontWeight: theme.typography.fontWeight.semibold, 
+                color: theme.colors.text.primary 
+              } 
+            }} 
+          />
+          <Stack.Screen 
+            name="RecurringDetail" 
+            component={RecurringDetailScreen} 
+            options={{ 
+              headerShown: true, 
+              title: 'Recurring Series', 
+              headerTintColor: theme.colors.primary, 
+              headerBackTitle: ' ', 
+              headerStyle: { 
+                backgroundColor: theme.colors.background.card, 
+                shadowColor: theme.colors.shadow, 
+                shadowOffset: { width: 0, height: 2 }, 
+                shadowOpacity: 0.3, 
+                shadowRadius: 3, 
+                elevation: 3, 
+                borderBottomWidth: 0 
+              }, 
+              headerTitleStyle: { 
+                fontSize: theme.typography.fontSize.lg, 
+                fontWeight: theme.typography.fontWeight.semibold, 
+                color: theme.colors.text.primary 
+              } 
+            }} 
+          />
           <Stack.Screen 
             name="AddBill" 
             component={AddBillScreen} 
@@ -482,7 +790,10 @@ export default function App() {
   return (
     <SafeAreaProvider>
     <AuthProvider>
+      <CategoryProvider>
       <TransactionProvider>
+      <RuleProvider>
+      <AccountProvider>
         <StatusBar 
             barStyle="light-content" 
           backgroundColor="transparent" 
@@ -490,7 +801,10 @@ export default function App() {
         />
         <AppNavigator />
         <Toast />
+      </AccountProvider>
+      </RuleProvider>
       </TransactionProvider>
+      </CategoryProvider>
     </AuthProvider>
     </SafeAreaProvider>
   );
@@ -0,0 +1,4 @@
+// AsyncStorage is a native module; tests use the in-memory mock it ships with
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
@@ -0,0 +1,103 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Animatable from 'react-native-animatable';
+import theme from '../theme';
+import { useAccounts } from '../context/AccountContext';
+import { getAccountType } from '../constants/accounts';
+
+const AccountSelector = ({ selectedAccount, onSelect, excludeAccountId, error }) => {
+  const { accounts } = useAccounts();
+
+  // The source account of a transfer can't also be its destination
+  const selectableAccounts = excludeAccountId
+    ? accounts.filter(account => account.id !== excludeAccountId)
+    : accounts;
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.accountList}
+      >
+        {selectableAccounts.map(account => {
+          const accountType = getAccountType(account.type);
+          const isSelected = selectedAccount === account.id;
+
+          return (
+            <TouchableOpacity
+              key={account.id}
+              style={[
+                styles.accountChip,
+                isSelected && { borderColor: accountType.color, backgroundColor: accountType.color + '20' }
+              ]}
+              onPress={() => onSelect(account.id)}
+              activeOpacity={0.7}
+            >
+              <Ionicons
+                name={accountType.icon}
+                size={16}
+                color={isSelected ? accountType.color : theme.colors.text.secondary}
+              />
+              <Text style={[
+                styles.accountName,
+                isSelected && { color: theme.colors.text.primary }
+              ]}>
+                {account.name}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
+      {error && (
+        <Animatable.Text
+          animation="fadeIn"
+          style={styles.errorText}
+        >
+          {error}
+        </Animatable.Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+  },
+  accountList: {
+    gap: theme.spacing.sm,
+  },
+  accountChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.full,
+    backgroundColor: theme.colors.background.light,
+  },
+  accountName: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
+  errorText: {
+    color: theme.colors.status.error,
+    fontSize: theme.typography.fontSize.sm,
+    marginTop: 4,
+    paddingLeft: 4,
+  },
+});
+
+export default AccountSelector;
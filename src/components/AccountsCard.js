@@ -0,0 +1,155 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../context/AuthContext';
+import { useAccounts } from '../context/AccountContext';
+import { getAccountType, TRANSFER_TYPE } from '../constants/accounts';
+import { formatCurrency } from '../utils/formatters';
+import theme from '../theme';
+
+const AccountsCard = ({ navigation }) => {
+  const { user } = useAuth();
+  const { accounts, balances } = useAccounts();
+  const currency = user?.currency || 'USD';
+
+  const handleManageAccounts = () => {
+    navigation.navigate('Accounts');
+  };
+
+  const handleTransfer = () => {
+    navigation.navigate('Add', { type: TRANSFER_TYPE });
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Accounts</Text>
+        <View style={styles.headerRight}>
+          {accounts.length > 1 && (
+            <TouchableOpacity
+              style={styles.transferButton}
+              onPress={handleTransfer}
+            >
+              <Ionicons name="swap-horizontal" size={16} color={theme.colors.primary} />
+              <Text style={styles.transferText}>Transfer</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity onPress={handleManageAccounts}>
+            <Text style={styles.manageText}>Manage</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.accountList}
+      >
+        {accounts.map(account => {
+          const accountType = getAccountType(account.type);
+          const balance = balances[account.id] ?? (Number(account.openingBalance) || 0);
+
+          return (
+            <TouchableOpacity
+              key={account.id}
+              style={styles.accountItem}
+              onPress={handleManageAccounts}
+            >
+              <View style={[styles.accountIcon, { backgroundColor: accountType.color }]}>
+                <Ionicons name={accountType.icon} size={18} color={theme.colors.text.white} />
+              </View>
+              <Text style={styles.accountName} numberOfLines={1}>{account.name}</Text>
+              <Text style={[
+                styles.accountBalance,
+                balance < 0 && { color: theme.colors.financial.expense }
+              ]}>
+                {formatCurrency(balance, currency)}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    padding: theme.spacing.lg,
+    marginHorizontal: theme.spacing.lg,
+    marginBottom: theme.spacing.lg,
+    ...theme.shadows.md,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  headerRight: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.md,
+  },
+  title: {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.text.primary,
+  },
+  transferButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: theme.spacing.xs,
+    backgroundColor: theme.colors.primary + '20',
+    borderRadius: theme.borderRadius.md,
+  },
+  transferText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.primary,
+    marginLeft: theme.spacing.xs,
+  },
+  manageText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.primary,
+  },
+  accountList: {
+    gap: theme.spacing.sm,
+  },
+  accountItem: {
+    width: 130,
+    padding: theme.spacing.md,
+    backgroundColor: theme.colors.background.light,
+    borderRadius: theme.borderRadius.md,
+  },
+  accountIcon: {
+    width: 32,
+    height: 32,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  accountName: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    marginBottom: 2,
+  },
+  accountBalance: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.text.primary,
+  },
+});
+
+export default AccountsCard;
@@ -24,9 +24,20 @@ import Button from './Button';
 import Input from './Input';
 import { useTransactions } from '../context/TransactionContext';
 import { useAuth } from '../context/AuthContext';
+import { useAccounts } from '../context/AccountContext';
+import { useCategories } from '../context/CategoryContext';
+import { useRules } from '../context/RuleContext';
 import CategorySelector from './CategorySelector';
+import CategorySuggestions from './CategorySuggestions';
+import AccountSelector from './AccountSelector';
+import SplitEditor, { createSplitLine } from './SplitEditor';
+import TagInput from './TagInput';
+import ConfirmationModal from './ConfirmationModal';
+import DuplicateComparison from './DuplicateComparison';
 import { formatCurrency, formatLongDate } from '../utils/formatters';
 import { validateTransaction } from '../utils/validators';
+import { toSplitTransaction } from '../utils/dataUtils';
+import { findDuplicates } from '../utils/duplicateDetector';
 import { LinearGradient } from 'expo-linear-gradient';
 import { auth } from '../utils/firebase';
 import DateTimePicker from '@react-native-community/datetimepicker';
@@ -53,7 +64,10 @@ const { height, width } = Dimensions.get('window');
 
 const AddTransactionModal = ({ visible, onClose }) => {
   const navigation = useNavigation();
-  const { addTransaction } = useTransactions();
+  const { addTransaction, transactions } = useTransactions();
+  const { accounts, defaultAccountId } = useAccounts();
+  const { recordCategoryChoice } = useCategories();
+  const { runRules } = useRules();
   const [modalVisible, setModalVisible] = useState(false);
   const [isReady, setIsReady] = useState(false);
   const fadeAnim = useRef(new Animated.Value(0)).current;
@@ -129,9 +143,12 @@ const AddTransactionModal = ({ visible, onClose }) => {
         category: '',
         date: new Date(),
         type: 'expense',
+        accountId: defaultAccountId,
         note: '',
+        tags: [],
       });
       setErrors({});
+      setDuplicateCheck(null);
     }
   }, [visible]);
   
@@ -141,12 +158,20 @@ const AddTransactionModal = ({ visible, onClose }) => {
     category: '',
     date: new Date(),
     type: 'expense',
+    accountId: defaultAccountId,
     note: '',
+    tags: [],
   });
   
   const [errors, setErrors] = useState({});
+  // Top suggestion shown for the description, to tell corrections from confirmations
+  const [suggestedCategory, setSuggestedCategory] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [showDatePicker, setShowDatePicker] = useState(false);
+  const [duplicateCheck, setDuplicateCheck] = useState(null);
+  
+  // Set synchronously, so a quick second tap on Save can't add the transaction twice
+  const savingRef = useRef(false);
   
   const handleInputChange = (field, value) => {
     setTransaction({ ...transaction, [field]: value });
@@ -155,6 +180,20 @@ const AddTransactionModal = ({ visible, onClose }) => {
     }
   };
   
+  // Splitting starts with the current category and amount on the first line
+  const toggleSplit = () => {
+    if (transaction.splits) {
+      const { splits, ...singleCategoryTransaction } = transaction;
+      setTransaction({ ...singleCategoryTransaction, category: splits[0]?.category || '' });
+    } else {
+      setTransaction({
+        ...transaction,
+        splits: [createSplitLine(transaction.category, transaction.amount), createSplitLine()],
+      });
+    }
+    setErrors({ ...errors, category: null, splits: null });
+  };
+  
   const onDateChange = (event, selectedDate) => {
     setShowDatePicker(false);
     if (selectedDate) {
@@ -163,28 +202,63 @@ const AddTransactionModal = ({ visible, onClose }) => {
   };
   
   const handleSave = async () => {
+    if (savingRef.current) return;
+    
+    // The user's rules fill in anything left empty. The account always starts
+    // as the default one, so an unchanged account counts as empty too.
+    const ruledTransaction = runRules({
+      ...transaction,
+      // Map description to note for consistency
+      note: transaction.description,
+      accountId: transaction.accountId === defaultAccountId ? null : transaction.accountId,
+    });
+    ruledTransaction.accountId = ruledTransaction.accountId || defaultAccountId;
+    
     // Validate transaction
-    const validationErrors = validateTransaction(transaction);
+    const validationErrors = validateTransaction(ruledTransaction);
     if (Object.keys(validationErrors).length > 0) {
       setErrors(validationErrors);
       return;
     }
     
+    // Format the amount as a number
+    let formattedTransaction = {
+      ...ruledTransaction,
+      id: generateTransactionId(), // Use new function instead of uuidv4()
+      amount: parseFloat(transaction.amount),
+      createdAt: new Date().toISOString(),
+    };
+    
+    if (transaction.splits) {
+      formattedTransaction = toSplitTransaction(formattedTransaction, transaction.splits);
+    }
+    
+    // Ask before saving something that looks like a transaction already entered
+    const [duplicate] = findDuplicates(formattedTransaction, transactions);
+    if (duplicate) {
+      setDuplicateCheck({ transaction: formattedTransaction, existing: duplicate.transaction });
+      return;
+    }
+    
+    await saveTransaction(formattedTransaction);
+  };
+  
+  const saveTransaction = async (formattedTransaction) => {
+    savingRef.current = true;
     setIsLoading(true);
     try {
-      // Format the amount as a number
-      const formattedTransaction = {
-        ...transaction,
-        id: generateTransactionId(), // Use new function instead of uuidv4()
-        amount: parseFloat(transaction.amount),
-        createdAt: new Date().toISOString(),
-        // Map description to note for consistency
-        note: transaction.description,
-      };
-      
       // Add transaction to context
       await addTransaction(formattedTransaction);
       
+      // Learn from the category picked for this description
+      if (!transaction.splits) {
+        recordCategoryChoice({
+          description: transaction.description,
+          categoryId: transaction.category,
+          suggestedCategoryId: suggestedCategory,
+        });
+      }
+      
       // Check if we need to send budget threshold notification for expense transactions
       if (transaction.type === 'expense' && user) {
         // Schedule budget threshold notification in background
@@ -203,10 +277,17 @@ const AddTransactionModal = ({ visible, onClose }) => {
       console.error('Error adding transaction:', error);
       setErrors({ general: 'Failed to add transaction. Please try again.' });
     } finally {
+      savingRef.current = false;
       setIsLoading(false);
     }
   };
   
+  const handleSaveDuplicate = () => {
+    const { transaction: pendingTransaction } = duplicateCheck;
+    setDuplicateCheck(null);
+    saveTransaction(pendingTransaction);
+  };
+  
   const handleCustomDateEntry = () => {
     Alert.alert(
       'Enter Custom Date', 
@@ -375,15 +456,52 @@ const AddTransactionModal = ({ visible, onClose }) => {
                 />
                 
                 <View style={styles.fieldContainer}>
-                  <Text style={styles.label}>Category</Text>
-                  <CategorySelector
-                    selectedCategory={transaction.category}
-                    onSelect={category => handleInputChange('category', category)}
-                    type={transaction.type}
-                    error={errors.category}
-                  />
+                  <View style={styles.labelRow}>
+                    <Text style={styles.label}>Category</Text>
+                    <TouchableOpacity onPress={toggleSplit}>
+                      <Text style={styles.splitToggleText}>
+                        {transaction.splits ? 'Single Category' : 'Split'}
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
+                  {transaction.splits ? (
+                    <SplitEditor
+                      splits={transaction.splits}
+                      onChange={splits => handleInputChange('splits', splits)}
+                      totalAmount={transaction.amount}
+                      type={transaction.type}
+                      currency={user?.currency || 'USD'}
+                      error={errors.splits}
+                    />
+                  ) : (
+                    <>
+                      <CategorySelector
+                        selectedCategory={transaction.category}
+                        onSelect={category => handleInputChange('category', category)}
+                        type={transaction.type}
+                        error={errors.category}
+                      />
+                      <CategorySuggestions
+                        description={transaction.description}
+                        type={transaction.type}
+                        selectedCategory={transaction.category}
+                        onSelect={category => handleInputChange('category', category)}
+                        onSuggest={setSuggestedCategory}
+                      />
+                    </>
+                  )}
                 </View>
                 
+                {accounts.length > 1 && (
+                  <View style={styles.fieldContainer}>
+                    <Text style={styles.label}>Account</Text>
+                    <AccountSelector
+                      selectedAccount={transaction.accountId}
+                      onSelect={accountId => handleInputChange('accountId', accountId)}
+                    />
+                  </View>
+                )}
+                
                 <TouchableOpacity
                   style={styles.datePickerButton}
                   onPress={() => setShowDatePicker(true)}
@@ -416,6 +534,14 @@ const AddTransactionModal = ({ visible, onClose }) => {
                   iconName="create-outline"
                 />
                 
+                <View style={styles.fieldContainer}>
+                  <Text style={styles.label}>Tags</Text>
+                  <TagInput
+                    tags={transaction.tags}
+                    onChange={tags => handleInputChange('tags', tags)}
+                  />
+                </View>
+                
                 {errors.general && (
                   <Text style={styles.generalError}>{errors.general}</Text>
                 )}
@@ -451,6 +577,22 @@ const AddTransactionModal = ({ visible, onClose }) => {
           </Animated.View>
         </KeyboardAvoidingView>
       </View>
+      
+      <ConfirmationModal
+        visible={!!duplicateCheck}
+        onClose={() => setDuplicateCheck(null)}
+        title="Possible Duplicate"
+        message="A transaction with the same amount was already added around this date."
+        cancelText="Cancel"
+        confirmText="Save Anyway"
+        onConfirm={handleSaveDuplicate}
+        customContent={duplicateCheck && (
+          <DuplicateComparison
+            first={duplicateCheck.existing}
+            second={duplicateCheck.transaction}
+          />
+        )}
+      />
     </Modal>
   );
 };
@@ -582,6 +724,17 @@ const styles = StyleSheet.create({
     color: theme.colors.text.primary,
     marginBottom: theme.spacing.xs,
   },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  splitToggleText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.primary,
+    marginBottom: theme.spacing.xs,
+  },
   datePickerButton: {
     flexDirection: 'row',
     justifyContent: 'space-between',
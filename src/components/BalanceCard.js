@@ -5,11 +5,13 @@ import { Ionicons } from '@expo/vector-icons';
 import * as Animatable from 'react-native-animatable';
 import theme from '../theme';
 import { useTransactions } from '../context/TransactionContext';
+import { useAccounts } from '../context/AccountContext';
 import { formatCurrency } from '../utils/formatters';
 import { useAuth } from '../context/AuthContext';
 
 const BalanceCard = ({ onPress }) => {
   const { stats } = useTransactions();
+  const { accounts, totalBalance } = useAccounts();
   const { user } = useAuth();
   const currency = user?.currency || 'INR';
   
@@ -58,8 +60,10 @@ const BalanceCard = ({ onPress }) => {
           </View>
           
           <Animated.View style={[styles.balanceContainer, { opacity: fadeAnim }]}>
-            <Text style={styles.balanceAmount}>{formatCurrency(stats.balance, currency)}</Text>
-            <Text style={styles.balancePeriod}>This Month</Text>
+            <Text style={styles.balanceAmount}>{formatCurrency(totalBalance, currency)}</Text>
+            <Text style={styles.balancePeriod}>
+              {accounts.length === 1 ? 'Across 1 account' : `Across ${accounts.length} accounts`}
+            </Text>
           </Animated.View>
           
           <View style={styles.statsContainer}>
@@ -15,15 +15,12 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import * as Animatable from 'react-native-animatable';
 import theme from '../theme';
-import { 
-  EXPENSE_CATEGORIES, 
-  INCOME_CATEGORIES, 
-  getCategoryById 
-} from '../constants/categories';
+import { useCategories } from '../context/CategoryContext';
 
 const { height, width } = Dimensions.get('window');
 
 const CategorySelector = ({ selectedCategory, onSelect, type = 'expense', error }) => {
+  const { getCategories, getCategoryById, getCategoryLabel } = useCategories();
   const [modalVisible, setModalVisible] = useState(false);
   const [scaleAnim] = useState(new Animated.Value(0.95));
   const [opacityAnim] = useState(new Animated.Value(0));
@@ -84,6 +81,7 @@ const CategorySelector = ({ selectedCategory, onSelect, type = 'expense', error
       <TouchableOpacity
         style={[
           styles.categoryItem,
+          item.parentId && styles.subcategoryItem,
           selectedCategory === item.id && styles.selectedCategoryItem
         ]}
         onPress={() => handleCategorySelect(item.id)}
@@ -121,7 +119,7 @@ const CategorySelector = ({ selectedCategory, onSelect, type = 'expense', error
             <View style={[styles.categoryIcon, { backgroundColor: selectedCategoryData.color + '15' }]}>
               <Ionicons name={selectedCategoryData.icon} size={20} color={selectedCategoryData.color} />
             </View>
-            <Text style={styles.categoryText}>{selectedCategoryData.name}</Text>
+            <Text style={styles.categoryText}>{getCategoryLabel(selectedCategory)}</Text>
           </View>
         ) : (
           <View style={styles.placeholderContainer}>
@@ -174,7 +172,7 @@ const CategorySelector = ({ selectedCategory, onSelect, type = 'expense', error
             </View>
             
             <FlatList
-              data={type === 'expense' ? EXPENSE_CATEGORIES : INCOME_CATEGORIES}
+              data={getCategories(type === 'expense' ? 'expense' : 'income')}
               renderItem={renderCategory}
               keyExtractor={(item) => item.id}
               contentContainerStyle={styles.categoriesList}
@@ -328,6 +326,10 @@ const styles = StyleSheet.create({
     marginLeft: 12,
     fontWeight: '500',
   },
+  subcategoryItem: {
+    marginLeft: 24,
+    paddingVertical: 8,
+  },
   selectedCategoryItem: {
     borderColor: theme.colors.primary,
     backgroundColor: theme.colors.background.card,
@@ -0,0 +1,97 @@
+import React, { useMemo, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../theme';
+import { useCategories } from '../context/CategoryContext';
+import { suggestCategories } from '../utils/autoCategorizationUtil';
+
+// onSuggest is called with the top suggested category ID (null if none) each
+// time the suggestions shown change, so a form can tell a correction from a
+// confirmation when it saves
+const CategorySuggestions = ({ description, type = 'expense', selectedCategory, onSelect, onSuggest }) => {
+  const { categories, learnedModel, getCategoryById } = useCategories();
+
+  // Recomputed when the user's categories or learned choices change as well as the description
+  const suggestions = useMemo(
+    () => suggestCategories(description, { type }),
+    [description, type, categories, learnedModel]
+  );
+
+  useEffect(() => {
+    onSuggest?.(suggestions[0]?.categoryId || null);
+  }, [suggestions]);
+
+  if (suggestions.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Suggested</Text>
+      <View style={styles.suggestionList}>
+        {suggestions.map(suggestion => {
+          const category = getCategoryById(suggestion.categoryId);
+          const isSelected = selectedCategory === suggestion.categoryId;
+
+          return (
+            <TouchableOpacity
+              key={suggestion.categoryId}
+              style={[
+                styles.suggestionChip,
+                isSelected && { borderColor: category.color, backgroundColor: category.color + '20' }
+              ]}
+              onPress={() => onSelect(suggestion.categoryId)}
+              activeOpacity={0.7}
+            >
+              <Ionicons name={category.icon} size={14} color={category.color} />
+              <Text style={styles.suggestionName}>{category.name}</Text>
+              {suggestion.source !== 'keywords' && (
+                <Ionicons name="school-outline" size={12} color={theme.colors.text.muted} />
+              )}
+              <Text style={styles.confidence}>{Math.round(suggestion.confidence * 100)}%</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: theme.spacing.sm,
+  },
+  title: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.xs,
+  },
+  suggestionList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.xs,
+  },
+  suggestionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.full,
+    gap: 6,
+  },
+  suggestionName: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.primary,
+  },
+  confidence: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.muted,
+  },
+});
+
+export default CategorySuggestions;
@@ -0,0 +1,99 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import theme from '../theme';
+import { useAuth } from '../context/AuthContext';
+import { useAccounts } from '../context/AccountContext';
+import { useCategories } from '../context/CategoryContext';
+import { formatCurrency, formatShortDate } from '../utils/formatters';
+
+/**
+ * Side-by-side view of two transactions that may be duplicates
+ * Fields that differ are highlighted.
+ *
+ * @param {Object} first - Transaction shown on the left
+ * @param {Object} second - Transaction shown on the right
+ * @param {string} firstTitle - Heading above the left column
+ * @param {string} secondTitle - Heading above the right column
+ * @param {Object} style - Additional style for the container
+ */
+const DuplicateComparison = ({ first, second, firstTitle = 'Existing', secondTitle = 'New', style }) => {
+  const { user } = useAuth();
+  const { getAccountById } = useAccounts();
+  const { getCategoryLabel } = useCategories();
+  const currency = user?.currency || 'USD';
+
+  const rows = [
+    { label: 'Date', format: t => formatShortDate(t.date) },
+    { label: 'Amount', format: t => formatCurrency(Number(t.amount), currency) },
+    { label: 'Description', format: t => t.description || t.note || '-' },
+    { label: 'Category', format: t => (t.splits ? 'Split' : getCategoryLabel(t.category)) },
+    { label: 'Account', format: t => getAccountById(t.accountId)?.name || '-' },
+    { label: 'Tags', format: t => (t.tags?.length ? t.tags.map(tag => `#${tag}`).join(' ') : '-') },
+  ];
+
+  return (
+    <View style={[styles.container, style]}>
+      <View style={styles.row}>
+        <View style={styles.labelCell} />
+        <Text style={styles.columnTitle}>{firstTitle}</Text>
+        <Text style={styles.columnTitle}>{secondTitle}</Text>
+      </View>
+
+      {rows.map(({ label, format }) => {
+        const firstValue = format(first);
+        const secondValue = format(second);
+        const differs = firstValue !== secondValue;
+
+        return (
+          <View key={label} style={styles.row}>
+            <Text style={styles.labelCell}>{label}</Text>
+            <Text style={[styles.valueCell, differs && styles.differentValue]} numberOfLines={2}>
+              {firstValue}
+            </Text>
+            <Text style={[styles.valueCell, differs && styles.differentValue]} numberOfLines={2}>
+              {secondValue}
+            </Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginHorizontal: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    padding: theme.spacing.sm,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.background.light,
+  },
+  row: {
+    flexDirection: 'row',
+    paddingVertical: theme.spacing.xxs,
+  },
+  labelCell: {
+    width: 72,
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.muted,
+  },
+  columnTitle: {
+    flex: 1,
+    fontSize: theme.typography.fontSize.xs,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.secondary,
+    paddingHorizontal: theme.spacing.xxs,
+  },
+  valueCell: {
+    flex: 1,
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.primary,
+    paddingHorizontal: theme.spacing.xxs,
+  },
+  differentValue: {
+    color: theme.colors.primary,
+    fontWeight: theme.typography.fontWeight.semibold,
+  },
+});
+
+export default DuplicateComparison;
@@ -0,0 +1,259 @@
+import React, { useState } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../theme';
+import { useAuth } from '../context/AuthContext';
+import { useAccounts } from '../context/AccountContext';
+import { getBudgets } from '../utils/repository';
+import {
+  exportTransactionsToCSV,
+  exportTransactionsToXLSX,
+  exportTransactionsToJSON,
+  exportTransactionsToPDF,
+  exportPeriodReportToPDF,
+  exportTransactionsToOFX,
+  exportTransactionsToQIF,
+} from '../utils/exportUtils';
+import { OFX_VERSIONS } from '../utils/ofxFormat';
+
+const EXPORT_OPTIONS = [
+  {
+    id: 'xlsx',
+    title: 'Excel',
+    description: 'Transactions with monthly, category and budget summaries',
+    icon: 'stats-chart-outline',
+    run: async ({ transactions, accounts, currency, columns, userId }) => exportTransactionsToXLSX(
+      transactions, currency, { accounts, columns, budgets: await getBudgets(userId) }
+    ),
+  },
+  {
+    id: 'csv',
+    title: 'CSV',
+    description: 'Spreadsheet of every transaction',
+    icon: 'grid-outline',
+    run: ({ transactions, accounts, currency, columns }) => exportTransactionsToCSV(
+      transactions, currency, { accounts, columns }
+    ),
+  },
+  {
+    id: 'pdf',
+    title: 'PDF Report',
+    description: 'Printable summary and transaction list',
+    icon: 'document-text-outline',
+    run: ({ transactions, accounts, currency, columns }) => exportTransactionsToPDF(
+      transactions, currency, { accounts, columns }
+    ),
+  },
+  {
+    id: 'report',
+    title: 'Period Report',
+    description: 'PDF with charts, budgets, top merchants and the period before',
+    icon: 'pie-chart-outline',
+    needsReport: true,
+    run: async ({ report, currency, userName, userId }) => exportPeriodReportToPDF(
+      report.transactions, currency, {
+        period: report.period,
+        userName,
+        budgets: await getBudgets(userId),
+      }
+    ),
+  },
+  {
+    id: 'ofx',
+    title: 'OFX',
+    description: 'For Quicken, GnuCash, Moneydance and most finance apps',
+    icon: 'business-outline',
+    run: ({ transactions, accounts, currency }) => exportTransactionsToOFX(
+      transactions, accounts, currency, { version: OFX_VERSIONS.XML }
+    ),
+  },
+  {
+    id: 'ofx-sgml',
+    title: 'OFX 1.x',
+    description: 'For older apps such as Microsoft Money',
+    icon: 'business-outline',
+    run: ({ transactions, accounts, currency }) => exportTransactionsToOFX(
+      transactions, accounts, currency, { version: OFX_VERSIONS.SGML }
+    ),
+  },
+  {
+    id: 'qif',
+    title: 'QIF',
+    description: 'Keeps categories and splits, for Quicken and others',
+    icon: 'swap-horizontal-outline',
+    run: ({ transactions, accounts }) => exportTransactionsToQIF(transactions, accounts),
+  },
+  {
+    id: 'json',
+    title: 'JSON',
+    description: 'Raw data',
+    icon: 'code-slash-outline',
+    run: ({ transactions }) => exportTransactionsToJSON(transactions),
+  },
+];
+
+/**
+ * Menu of the formats transactions can be exported and shared in
+ * Columns apply to the CSV, Excel and PDF exports; the other formats have
+ * fixed fields. The period report is offered only when `report` is given.
+ *
+ * @param {boolean} visible - Whether the menu is visible
+ * @param {function} onClose - Function to call when the menu is closed
+ * @param {Array} transactions - Transactions to export
+ * @param {Array} columns - Column IDs to include (see exportFilters.js)
+ * @param {Object} report - { period, transactions } for the period report,
+ *   where transactions also cover the period before (see reportFormat.js)
+ */
+const ExportMenu = ({ visible, onClose, transactions = [], columns, report }) => {
+  const { user } = useAuth();
+  const { accounts } = useAccounts();
+  const [exportingId, setExportingId] = useState(null);
+
+  const handleExport = async (option) => {
+    if (exportingId) return;
+
+    setExportingId(option.id);
+    try {
+      await option.run({
+        transactions,
+        accounts,
+        columns,
+        report,
+        currency: user?.currency || 'USD',
+        userName: user?.displayName || user?.name || '',
+        userId: user?.id,
+      });
+      onClose();
+    } catch (error) {
+      Alert.alert('Export Failed', error.message || 'Please try again.');
+    } finally {
+      setExportingId(null);
+    }
+  };
+
+  return (
+    <Modal
+      transparent={true}
+      visible={visible}
+      animationType="fade"
+      statusBarTranslucent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalContainer}>
+        <TouchableWithoutFeedback onPress={onClose}>
+          <View style={styles.modalOverlay} />
+        </TouchableWithoutFeedback>
+
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Export Transactions</Text>
+            <TouchableOpacity
+              onPress={onClose}
+              style={styles.closeButton}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Ionicons name="close" size={24} color={theme.colors.text.secondary} />
+            </TouchableOpacity>
+          </View>
+
+          {EXPORT_OPTIONS.filter(option => !option.needsReport || report).map(option => (
+            <TouchableOpacity
+              key={option.id}
+              style={styles.option}
+              onPress={() => handleExport(option)}
+              disabled={!!exportingId}
+            >
+              <Ionicons name={option.icon} size={22} color={theme.colors.primary} />
+              <View style={styles.optionText}>
+                <Text style={styles.optionTitle}>{option.title}</Text>
+                <Text style={styles.optionDescription}>{option.description}</Text>
+              </View>
+              {exportingId === option.id ? (
+                <ActivityIndicator size="small" color={theme.colors.primary} />
+              ) : (
+                <Ionicons name="share-outline" size={20} color={theme.colors.text.secondary} />
+              )}
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  modalContent: {
+    width: '90%',
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    padding: 20,
+    ...theme.shadows.sm,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+    paddingBottom: theme.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  modalTitle: {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.text.primary,
+  },
+  closeButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: theme.colors.background.light,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.divider,
+  },
+  optionText: {
+    flex: 1,
+    marginHorizontal: theme.spacing.md,
+  },
+  optionTitle: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.primary,
+  },
+  optionDescription: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+});
+
+export default ExportMenu;
@@ -0,0 +1,383 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Switch
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../theme';
+import { FREQUENCIES, WEEKDAYS, WORKING_DAYS } from '../utils/rrule';
+
+const FREQUENCY_LABELS = {
+  DAILY: 'Daily',
+  WEEKLY: 'Weekly',
+  MONTHLY: 'Monthly',
+  YEARLY: 'Yearly',
+};
+
+const UNIT_LABELS = {
+  DAILY: 'day',
+  WEEKLY: 'week',
+  MONTHLY: 'month',
+  YEARLY: 'year',
+};
+
+const WEEKDAY_LETTERS = {
+  MO: 'M',
+  TU: 'T',
+  WE: 'W',
+  TH: 'T',
+  FR: 'F',
+  SA: 'S',
+  SU: 'S',
+};
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const DAY_MODES = [
+  { id: 'same', label: 'Start date' },
+  { id: 'days', label: 'Days of month' },
+  { id: 'weekday', label: 'Weekday' },
+  { id: 'workday', label: 'Working day' },
+];
+
+const WEEKDAY_POSITIONS = [
+  { n: 1, label: '1st' },
+  { n: 2, label: '2nd' },
+  { n: 3, label: '3rd' },
+  { n: 4, label: '4th' },
+  { n: -1, label: 'Last' },
+];
+
+const WORKDAY_POSITIONS = [
+  { n: 1, label: 'First' },
+  { n: -1, label: 'Last' },
+];
+
+const MONTH_DAYS = [...Array.from({ length: 31 }, (_, i) => i + 1), -1];
+
+export const EMPTY_RULE = {
+  freq: FREQUENCIES.MONTHLY,
+  interval: 1,
+  byDay: [],
+  byMonthDay: [],
+  byMonth: [],
+  bySetPos: [],
+  count: null,
+  until: null,
+};
+
+const getWeekday = (date) => WEEKDAYS[(date.getDay() + 6) % 7];
+
+const getDayMode = (rule) => {
+  if (rule.bySetPos.length > 0) return 'workday';
+  if (rule.byDay.length > 0) return 'weekday';
+  if (rule.byMonthDay.length > 0) return 'days';
+  return 'same';
+};
+
+const toggle = (list, item) => (
+  list.includes(item) ? list.filter(value => value !== item) : [...list, item]
+);
+
+const unique = (list) => list.filter((item, i) => list.indexOf(item) === i);
+
+/**
+ * Builds a recurrence rule (see utils/rrule.js) from frequency, interval
+ * and day choices. Controlled: `rule` is a parsed rule, and every change is
+ * passed to `onChange` as a new rule. COUNT and UNTIL are left to the caller.
+ */
+const RecurrenceBuilder = ({ rule, startDate, onChange }) => {
+  const start = new Date(startDate);
+  const dayMode = getDayMode(rule);
+  const weekdays = unique(rule.byDay.map(({ weekday }) => weekday));
+
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  const setFrequency = (freq) => {
+    onChange({ ...EMPTY_RULE, freq, count: rule.count, until: rule.until });
+  };
+
+  const setInterval = (interval) => {
+    if (interval >= 1 && interval <= 99) update({ interval });
+  };
+
+  const setDayMode = (mode) => {
+    const weekOfMonth = Math.ceil(start.getDate() / 7);
+    const changes = { byDay: [], byMonthDay: [], bySetPos: [] };
+
+    if (mode === 'days') {
+      changes.byMonthDay = [start.getDate()];
+    } else if (mode === 'weekday') {
+      changes.byDay = [{ weekday: getWeekday(start), n: weekOfMonth > 4 ? -1 : weekOfMonth }];
+    } else if (mode === 'workday') {
+      changes.byDay = WORKING_DAYS.map(weekday => ({ weekday, n: null }));
+      changes.bySetPos = [-1];
+    }
+
+    update(changes);
+  };
+
+  // Weekly days; with none chosen the rule falls on the start date's weekday
+  const toggleWeekday = (weekday) => {
+    const current = weekdays.length > 0 ? weekdays : [getWeekday(start)];
+    const next = WEEKDAYS.filter(day => toggle(current, weekday).includes(day));
+    if (next.length > 0) {
+      update({ byDay: next.map(day => ({ weekday: day, n: null })) });
+    }
+  };
+
+  // Monthly weekdays are every chosen position of every chosen weekday
+  const setNumberedWeekdays = (positions, days) => {
+    if (positions.length === 0 || days.length === 0) return;
+    const sortedPositions = WEEKDAY_POSITIONS.map(({ n }) => n).filter(n => positions.includes(n));
+    update({
+      byDay: sortedPositions.flatMap(n => WEEKDAYS
+        .filter(day => days.includes(day))
+        .map(day => ({ weekday: day, n }))),
+    });
+  };
+
+  const toggleMonthDay = (day) => {
+    const next = toggle(rule.byMonthDay, day);
+    if (next.length > 0) {
+      update({ byMonthDay: MONTH_DAYS.filter(monthDay => next.includes(monthDay)) });
+    }
+  };
+
+  const toggleWorkdayPosition = (n) => {
+    const next = toggle(rule.bySetPos, n);
+    if (next.length > 0) {
+      update({ bySetPos: WORKDAY_POSITIONS.map(position => position.n).filter(position => next.includes(position)) });
+    }
+  };
+
+  const toggleMonth = (month) => {
+    const current = rule.byMonth.length > 0 ? rule.byMonth : [start.getMonth() + 1];
+    const next = toggle(current, month);
+    if (next.length > 0) {
+      update({ byMonth: next.sort((a, b) => a - b) });
+    }
+  };
+
+  const renderChip = (key, label, selected, onPress, style) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, style, selected && styles.chipSelected]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const positions = unique(rule.byDay.map(({ n }) => n));
+  const selectedMonths = rule.byMonth.length > 0 ? rule.byMonth : [start.getMonth() + 1];
+
+  return (
+    <View>
+      <View style={styles.chipRow}>
+        {Object.values(FREQUENCIES).map(freq => renderChip(
+          freq,
+          FREQUENCY_LABELS[freq],
+          rule.freq === freq,
+          () => setFrequency(freq)
+        ))}
+      </View>
+
+      <View style={styles.intervalRow}>
+        <Text style={styles.intervalText}>Every</Text>
+        <TouchableOpacity
+          style={styles.stepButton}
+          onPress={() => setInterval(rule.interval - 1)}
+          disabled={rule.interval <= 1}
+        >
+          <Ionicons name="remove" size={18} color={theme.colors.primary} />
+        </TouchableOpacity>
+        <Text style={styles.intervalValue}>{rule.interval}</Text>
+        <TouchableOpacity style={styles.stepButton} onPress={() => setInterval(rule.interval + 1)}>
+          <Ionicons name="add" size={18} color={theme.colors.primary} />
+        </TouchableOpacity>
+        <Text style={styles.intervalText}>
+          {UNIT_LABELS[rule.freq]}{rule.interval === 1 ? '' : 's'}
+        </Text>
+      </View>
+
+      {rule.freq === FREQUENCIES.DAILY && (
+        <View style={styles.switchRow}>
+          <Text style={styles.optionLabel}>Only on working days</Text>
+          <Switch
+            value={weekdays.length > 0}
+            onValueChange={(value) => update({
+              byDay: value ? WORKING_DAYS.map(weekday => ({ weekday, n: null })) : [],
+            })}
+          />
+        </View>
+      )}
+
+      {rule.freq === FREQUENCIES.WEEKLY && (
+        <View>
+          <Text style={styles.optionLabel}>On</Text>
+          <View style={styles.chipRow}>
+            {WEEKDAYS.map(weekday => renderChip(
+              weekday,
+              WEEKDAY_LETTERS[weekday],
+              (weekdays.length > 0 ? weekdays : [getWeekday(start)]).includes(weekday),
+              () => toggleWeekday(weekday),
+              styles.roundChip
+            ))}
+          </View>
+        </View>
+      )}
+
+      {rule.freq === FREQUENCIES.YEARLY && (
+        <View>
+          <Text style={styles.optionLabel}>In</Text>
+          <View style={styles.chipRow}>
+            {MONTH_LABELS.map((label, i) => renderChip(
+              label,
+              label,
+              selectedMonths.includes(i + 1),
+              () => toggleMonth(i + 1)
+            ))}
+          </View>
+        </View>
+      )}
+
+      {(rule.freq === FREQUENCIES.MONTHLY || rule.freq === FREQUENCIES.YEARLY) && (
+        <View>
+          <Text style={styles.optionLabel}>On</Text>
+          <View style={styles.chipRow}>
+            {DAY_MODES.map(mode => renderChip(
+              mode.id,
+              mode.label,
+              dayMode === mode.id,
+              () => setDayMode(mode.id)
+            ))}
+          </View>
+
+          {dayMode === 'days' && (
+            <View style={styles.chipRow}>
+              {MONTH_DAYS.map(day => renderChip(
+                day,
+                day === -1 ? 'Last' : String(day),
+                rule.byMonthDay.includes(day),
+                () => toggleMonthDay(day),
+                day === -1 ? null : styles.roundChip
+              ))}
+            </View>
+          )}
+
+          {dayMode === 'weekday' && (
+            <View>
+              <View style={styles.chipRow}>
+                {WEEKDAY_POSITIONS.map(({ n, label }) => renderChip(
+                  n,
+                  label,
+                  positions.includes(n),
+                  () => setNumberedWeekdays(toggle(positions, n), weekdays)
+                ))}
+              </View>
+              <View style={styles.chipRow}>
+                {WEEKDAYS.map(weekday => renderChip(
+                  weekday,
+                  WEEKDAY_LETTERS[weekday],
+                  weekdays.includes(weekday),
+                  () => setNumberedWeekdays(positions, toggle(weekdays, weekday)),
+                  styles.roundChip
+                ))}
+              </View>
+            </View>
+          )}
+
+          {dayMode === 'workday' && (
+            <View style={styles.chipRow}>
+              {WORKDAY_POSITIONS.map(({ n, label }) => renderChip(
+                n,
+                `${label} working day`,
+                rule.bySetPos.includes(n),
+                () => toggleWorkdayPosition(n)
+              ))}
+            </View>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.xs,
+    marginBottom: theme.spacing.sm,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.full,
+  },
+  roundChip: {
+    width: 34,
+    height: 34,
+    paddingHorizontal: 0,
+    paddingVertical: 0,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  chipSelected: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.primary,
+  },
+  chipTextSelected: {
+    color: theme.colors.text.white,
+    fontWeight: theme.typography.fontWeight.medium,
+  },
+  intervalRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.sm,
+    marginBottom: theme.spacing.sm,
+  },
+  intervalText: {
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.text.primary,
+  },
+  intervalValue: {
+    minWidth: 24,
+    textAlign: 'center',
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+  },
+  stepButton: {
+    width: 30,
+    height: 30,
+    borderRadius: theme.borderRadius.full,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  optionLabel: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.xs,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.xs,
+  },
+});
+
+export default RecurrenceBuilder;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
@@ -14,31 +14,62 @@ import {
   TouchableWithoutFeedback
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { format, parseISO } from 'date-fns';
 import { formatCurrency, formatLongDate } from '../utils/formatters';
 import { useAuth } from '../context/AuthContext';
+import { useCategories } from '../context/CategoryContext';
 import {
-  RECURRENCE_FREQUENCIES,
+  RECURRENCE_PRESETS,
   createRecurringTransaction,
-  getFrequencyDescription,
+  getRecurrenceRule,
+  getSeriesStart,
+  countOccurrencesBefore,
+  splitRecurringTransaction,
   updateRecurringTransaction
 } from '../utils/recurringTransactions';
-import { categorizeTransaction } from '../utils/autoCategorizationUtil';
+import { parseRRule, stringifyRRule, getOccurrences, describeRRule, toDateKey } from '../utils/rrule';
+import CategorySelector from './CategorySelector';
+import CategorySuggestions from './CategorySuggestions';
+import RecurrenceBuilder, { EMPTY_RULE } from './RecurrenceBuilder';
+import { resolveCategoryId } from '../constants/categories';
 import theme from '../theme';
 
+// Kept when a series is edited, as the form has no fields for them
+const PRESERVED_FIELDS = [
+  'createdInstances',
+  'createdIndexes',
+  'lastCreatedDate',
+  'exceptions',
+  'paused',
+  'pausedAt',
+  'resumeOn',
+  'splitFrom',
+];
+
+/**
+ * Creates or edits a recurring series. With a `splitDate` (a date key) the
+ * edit applies to the occurrence on that date and all that follow, which
+ * become a new series.
+ */
 const RecurringTransactionForm = ({ 
   initialData = null, 
+  splitDate = null,
   onComplete = () => {},
   onCancel = () => {} 
 }) => {
   const { user } = useAuth();
+  const { recordCategoryChoice } = useCategories();
   
   // Form state
   const [description, setDescription] = useState('');
   const [amount, setAmount] = useState('');
-  const [category, setCategory] = useState('other');
+  const [category, setCategory] = useState('');
+  // Top suggestion shown for the description, to tell corrections from confirmations
+  const [suggestedCategory, setSuggestedCategory] = useState(null);
   const [transactionType, setTransactionType] = useState('expense');
   const [startDate, setStartDate] = useState(new Date());
-  const [frequency, setFrequency] = useState(RECURRENCE_FREQUENCIES.MONTHLY);
+  const [rule, setRule] = useState(EMPTY_RULE);
+  const [exdates, setExdates] = useState([]);
   const [endDate, setEndDate] = useState(null);
   const [occurrences, setOccurrences] = useState('');
   const [hasEndDate, setHasEndDate] = useState(false);
@@ -52,41 +83,62 @@ const RecurringTransactionForm = ({
   // Initialize form with data if editing
   useEffect(() => {
     if (initialData) {
-      const { baseTransaction, frequency, startDate, endDate, occurrences } = initialData;
+      const { baseTransaction } = initialData;
+      const { date, timeOfDay } = getSeriesStart(initialData);
+      const { count, until, ...savedRule } = getRecurrenceRule(initialData);
       
       setDescription(baseTransaction.description || '');
       setAmount(Math.abs(baseTransaction.amount).toString());
-      setCategory(baseTransaction.category || 'other');
+      setCategory(resolveCategoryId(baseTransaction.category || 'other'));
       setTransactionType(baseTransaction.type || 'expense');
-      setStartDate(new Date(startDate));
-      setFrequency(frequency);
+      setStartDate(parseISO(`${splitDate || date}T${timeOfDay}`));
+      setRule({ ...savedRule, count: null, until: null });
+      setExdates((initialData.exdates || []).filter(exdate => !splitDate || exdate >= splitDate));
       
-      if (endDate) {
-        setEndDate(new Date(endDate));
+      if (until) {
+        setEndDate(parseISO(until));
         setHasEndDate(true);
       }
       
-      if (occurrences) {
-        setOccurrences(occurrences.toString());
+      if (count) {
+        // A split series only has the occurrences left after the split
+        const remaining = splitDate ? count - countOccurrencesBefore(initialData, splitDate) : count;
+        setOccurrences(Math.max(remaining, 1).toString());
         setHasOccurrences(true);
       }
     }
-  }, [initialData]);
+  }, [initialData, splitDate]);
   
-  // Auto-categorize based on description
-  useEffect(() => {
-    if (description && !initialData) {
-      const suggestedCategory = categorizeTransaction(
-        description,
-        parseFloat(amount) || 0,
-        transactionType === 'income'
-      );
-      
-      if (suggestedCategory) {
-        setCategory(suggestedCategory);
-      }
-    }
-  }, [description]);
+  // The rule as it will be saved, with its end condition
+  const fullRule = useMemo(() => ({
+    ...rule,
+    count: hasOccurrences && parseInt(occurrences) > 0 ? parseInt(occurrences) : null,
+    until: hasEndDate && endDate ? toDateKey(endDate) : null,
+  }), [rule, hasOccurrences, occurrences, hasEndDate, endDate]);
+  
+  const summary = useMemo(() => describeRRule(fullRule, startDate), [fullRule, startDate]);
+  
+  // The next few dates, including skipped ones so they can be restored
+  const upcomingDates = useMemo(() => {
+    const today = toDateKey(new Date());
+    const start = toDateKey(startDate);
+    return getOccurrences(fullRule, start, {
+      from: start > today ? start : today,
+      limit: 6,
+    }).map(({ date }) => date);
+  }, [fullRule, startDate]);
+  
+  const selectedPreset = RECURRENCE_PRESETS.find(preset => preset.rrule === stringifyRRule(rule));
+  
+  const applyPreset = (preset) => {
+    setRule(parseRRule(preset.rrule));
+  };
+  
+  const toggleExdate = (date) => {
+    setExdates(exdates.includes(date)
+      ? exdates.filter(exdate => exdate !== date)
+      : [...exdates, date].sort());
+  };
   
   const handleSave = async () => {
     // Validate form
@@ -120,29 +172,46 @@ const RecurringTransactionForm = ({
         id: initialData?.baseTransaction?.id || `trans_${Date.now()}`,
         description,
         amount: transactionType === 'expense' ? -parsedAmount : parsedAmount,
-        category,
+        category: category || 'other',
         type: transactionType,
       };
       
       // Create or update recurring transaction
       const recurringDef = createRecurringTransaction(
         baseTransaction,
-        frequency,
+        fullRule,
         startDate,
-        hasEndDate ? endDate : null,
-        hasOccurrences ? parsedOccurrences : null
+        exdates
       );
       
-      // If editing, preserve the original ID
-      if (initialData) {
+      let savedDef = recurringDef;
+      
+      if (initialData && splitDate) {
+        // End the original series before the split and save the rest as a
+        // new one
+        const { original, series } = splitRecurringTransaction(initialData, splitDate, recurringDef);
+        await updateRecurringTransaction(user.id, original);
+        savedDef = series;
+      } else if (initialData) {
+        // If editing, preserve the original ID and the instances already
+        // written, so they are not created again
         recurringDef.id = initialData.id;
+        recurringDef.baseTransaction.recurringId = initialData.id;
+        PRESERVED_FIELDS.forEach(field => {
+          if (initialData[field] !== undefined) recurringDef[field] = initialData[field];
+        });
       }
       
       // Save to Firestore
-      await updateRecurringTransaction(user.id, recurringDef);
+      await updateRecurringTransaction(user.id, savedDef);
+      
+      // Learn from the category picked for this description
+      if (category && resolveCategoryId(initialData?.baseTransaction?.category) !== category) {
+        recordCategoryChoice({ description, categoryId: category, suggestedCategoryId: suggestedCategory });
+      }
       
       // Notify parent component
-      onComplete(recurringDef);
+      onComplete(savedDef);
       
     } catch (error) {
       console.error('Error saving recurring transaction:', error);
@@ -179,7 +248,9 @@ const RecurringTransactionForm = ({
     <ScrollView style={styles.container}>
       <View style={styles.header}>
         <Text style={styles.headerTitle}>
-          {initialData ? 'Edit Recurring Transaction' : 'New Recurring Transaction'}
+          {splitDate
+            ? 'Edit This and Following'
+            : initialData ? 'Edit Recurring Transaction' : 'New Recurring Transaction'}
         </Text>
       </View>
       
@@ -227,36 +298,74 @@ const RecurringTransactionForm = ({
       {/* Category */}
       <View style={styles.formGroup}>
         <Text style={styles.label}>Category</Text>
-        <TouchableOpacity style={styles.categorySelector}>
-          <Text style={styles.categoryText}>{category}</Text>
-          <Ionicons name="chevron-down" size={20} color="#666" />
-        </TouchableOpacity>
+        <CategorySelector
+          selectedCategory={category}
+          onSelect={setCategory}
+          type={transactionType}
+        />
+        {/* Ranked suggestions from the description; nothing is applied until tapped */}
+        <CategorySuggestions
+          description={description}
+          type={transactionType}
+          selectedCategory={category}
+          onSelect={setCategory}
+          onSuggest={setSuggestedCategory}
+        />
       </View>
       
-      {/* Frequency */}
+      {/* Repeat */}
       <View style={styles.formGroup}>
-        <Text style={styles.label}>Frequency</Text>
+        <Text style={styles.label}>Repeat</Text>
         <View style={styles.frequencyOptions}>
-          {Object.values(RECURRENCE_FREQUENCIES).map(freq => (
+          {RECURRENCE_PRESETS.map(preset => (
             <TouchableOpacity
-              key={freq}
+              key={preset.rrule}
               style={[
                 styles.frequencyOption,
-                frequency === freq ? styles.selectedFrequency : null
+                selectedPreset === preset ? styles.selectedFrequency : null
               ]}
-              onPress={() => setFrequency(freq)}
+              onPress={() => applyPreset(preset)}
             >
               <Text
                 style={[
                   styles.frequencyText,
-                  frequency === freq ? styles.selectedFrequencyText : null
+                  selectedPreset === preset ? styles.selectedFrequencyText : null
                 ]}
               >
-                {getFrequencyDescription(freq)}
+                {preset.label}
               </Text>
             </TouchableOpacity>
           ))}
         </View>
+        
+        <Text style={styles.customLabel}>Or build your own</Text>
+        <RecurrenceBuilder rule={rule} startDate={startDate} onChange={setRule} />
+        
+        <View style={styles.summaryBox}>
+          <Ionicons name="repeat" size={18} color={theme.colors.primary} />
+          <Text style={styles.summaryText}>{summary}</Text>
+        </View>
+        
+        {upcomingDates.length > 0 && (
+          <View style={styles.upcoming}>
+            <Text style={styles.customLabel}>Next dates · tap one to skip it</Text>
+            {upcomingDates.map(date => {
+              const skipped = exdates.includes(date);
+              return (
+                <TouchableOpacity
+                  key={date}
+                  style={styles.upcomingRow}
+                  onPress={() => toggleExdate(date)}
+                >
+                  <Text style={[styles.upcomingDate, skipped && styles.skippedDate]}>
+                    {format(parseISO(date), 'EEE, MMM d, yyyy')}
+                  </Text>
+                  {skipped && <Text style={styles.skippedLabel}>Skipped</Text>}
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        )}
       </View>
       
       {/* Start Date */}
@@ -590,19 +699,6 @@ const styles = StyleSheet.create({
     padding: 10,
     fontSize: 16,
   },
-  categorySelector: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    borderWidth: 1,
-    borderColor: '#E5E9F2',
-    borderRadius: 8,
-    padding: 12,
-  },
-  categoryText: {
-    fontSize: 16,
-    color: '#333',
-  },
   frequencyOptions: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -628,6 +724,49 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: '500',
   },
+  customLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  summaryBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.background.light,
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 4,
+  },
+  summaryText: {
+    flex: 1,
+    fontSize: 15,
+    color: '#333',
+    marginLeft: 8,
+  },
+  upcoming: {
+    marginTop: 4,
+  },
+  upcomingRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F5F5F5',
+  },
+  upcomingDate: {
+    fontSize: 15,
+    color: '#333',
+  },
+  skippedDate: {
+    color: '#999',
+    textDecorationLine: 'line-through',
+  },
+  skippedLabel: {
+    fontSize: 12,
+    color: '#FF3B30',
+  },
   dateSelector: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -0,0 +1,178 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Animatable from 'react-native-animatable';
+import theme from '../theme';
+import CategorySelector from './CategorySelector';
+import { formatCurrency } from '../utils/formatters';
+
+export const createSplitLine = (category = '', amount = '') => ({
+  category,
+  amount,
+  note: '',
+});
+
+const SplitEditor = ({ splits, onChange, totalAmount, type = 'expense', currency = 'USD', error }) => {
+  const allocated = splits.reduce((sum, split) => sum + (parseFloat(split.amount) || 0), 0);
+  const remaining = (parseFloat(totalAmount) || 0) - allocated;
+  const isBalanced = Math.round(remaining * 100) === 0;
+
+  const updateSplit = (index, field, value) => {
+    onChange(splits.map((split, i) => (i === index ? { ...split, [field]: value } : split)));
+  };
+
+  const removeSplit = (index) => {
+    onChange(splits.filter((_, i) => i !== index));
+  };
+
+  // New lines start with whatever is left to allocate
+  const addSplit = () => {
+    onChange([...splits, createSplitLine('', remaining > 0 ? remaining.toFixed(2) : '')]);
+  };
+
+  return (
+    <View style={styles.container}>
+      {splits.map((split, index) => (
+        <View key={index} style={styles.splitLine}>
+          <View style={styles.splitHeader}>
+            <Text style={styles.splitTitle}>Split {index + 1}</Text>
+            {splits.length > 2 && (
+              <TouchableOpacity
+                onPress={() => removeSplit(index)}
+                hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+              >
+                <Ionicons name="trash-outline" size={18} color={theme.colors.status.error} />
+              </TouchableOpacity>
+            )}
+          </View>
+
+          <CategorySelector
+            selectedCategory={split.category}
+            onSelect={category => updateSplit(index, 'category', category)}
+            type={type}
+          />
+
+          <View style={styles.splitInputs}>
+            <TextInput
+              style={[styles.input, styles.amountInput]}
+              value={String(split.amount)}
+              onChangeText={text => updateSplit(index, 'amount', text.replace(/[^0-9.]/g, ''))}
+              placeholder="0.00"
+              placeholderTextColor={theme.colors.text.muted}
+              keyboardType="decimal-pad"
+            />
+            <TextInput
+              style={[styles.input, styles.noteInput]}
+              value={split.note}
+              onChangeText={text => updateSplit(index, 'note', text)}
+              placeholder="Note (optional)"
+              placeholderTextColor={theme.colors.text.muted}
+            />
+          </View>
+        </View>
+      ))}
+
+      <View style={styles.footer}>
+        <TouchableOpacity style={styles.addButton} onPress={addSplit}>
+          <Ionicons name="add-circle-outline" size={18} color={theme.colors.primary} />
+          <Text style={styles.addButtonText}>Add Split</Text>
+        </TouchableOpacity>
+        <Text style={[styles.remainingText, !isBalanced && styles.remainingTextError]}>
+          {isBalanced ? 'Fully allocated' : `${formatCurrency(remaining, currency)} left to allocate`}
+        </Text>
+      </View>
+
+      {error && (
+        <Animatable.Text
+          animation="fadeIn"
+          style={styles.errorText}
+        >
+          {error}
+        </Animatable.Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+  },
+  splitLine: {
+    padding: theme.spacing.sm,
+    marginBottom: theme.spacing.sm,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.background.card,
+  },
+  splitHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  splitTitle: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.secondary,
+  },
+  splitInputs: {
+    flexDirection: 'row',
+    marginTop: theme.spacing.sm,
+  },
+  input: {
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.background.light,
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.text.primary,
+  },
+  amountInput: {
+    width: 110,
+    marginRight: theme.spacing.sm,
+  },
+  noteInput: {
+    flex: 1,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.xs,
+  },
+  addButtonText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.primary,
+    marginLeft: theme.spacing.xs,
+  },
+  remainingText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.status.success,
+  },
+  remainingTextError: {
+    color: theme.colors.status.warning,
+  },
+  errorText: {
+    color: theme.colors.status.error,
+    fontSize: theme.typography.fontSize.sm,
+    marginTop: 4,
+    paddingLeft: 4,
+  },
+});
+
+export default SplitEditor;
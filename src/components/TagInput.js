@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../theme';
+import { useTransactions } from '../context/TransactionContext';
+import { normalizeTag, suggestTags, formatTag } from '../utils/tagUtils';
+
+const TagInput = ({ tags = [], onChange }) => {
+  // Tags used anywhere in the history, most frequent first, for autocomplete
+  const { knownTags } = useTransactions();
+  const [input, setInput] = useState('');
+  const [isFocused, setIsFocused] = useState(false);
+
+  const suggestions = isFocused ? suggestTags(input, knownTags, tags) : [];
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value);
+    setInput('');
+    if (!tag || tags.includes(tag)) return;
+    onChange([...tags, tag]);
+  };
+
+  const removeTag = (tag) => {
+    onChange(tags.filter(t => t !== tag));
+  };
+
+  // A space or comma finishes the current tag
+  const handleChangeText = (text) => {
+    if (/[\s,]$/.test(text)) {
+      addTag(text);
+      return;
+    }
+    setInput(text);
+  };
+
+  return (
+    <View style={styles.container}>
+      {tags.length > 0 && (
+        <View style={styles.tagList}>
+          {tags.map(tag => (
+            <View key={tag} style={styles.tagChip}>
+              <Text style={styles.tagText}>{formatTag(tag)}</Text>
+              <TouchableOpacity
+                onPress={() => removeTag(tag)}
+                hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+              >
+                <Ionicons name="close" size={14} color={theme.colors.primary} />
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      )}
+
+      <TextInput
+        style={styles.input}
+        value={input}
+        onChangeText={handleChangeText}
+        onSubmitEditing={() => addTag(input)}
+        onFocus={() => setIsFocused(true)}
+        onBlur={() => {
+          setIsFocused(false);
+          addTag(input);
+        }}
+        placeholder="Add tags, e.g. #goa-trip"
+        placeholderTextColor={theme.colors.text.muted}
+        autoCapitalize="none"
+        autoCorrect={false}
+        returnKeyType="done"
+        blurOnSubmit={false}
+      />
+
+      {suggestions.length > 0 && (
+        <View style={styles.suggestionList}>
+          {suggestions.map(tag => (
+            <TouchableOpacity
+              key={tag}
+              style={styles.suggestionChip}
+              onPress={() => addTag(tag)}
+            >
+              <Text style={styles.suggestionText}>{formatTag(tag)}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+  },
+  tagList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.xs,
+    marginBottom: theme.spacing.sm,
+  },
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: theme.borderRadius.full,
+    backgroundColor: theme.colors.primary + '20',
+    gap: 6,
+  },
+  tagText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.primary,
+  },
+  input: {
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: theme.colors.background.light,
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.text.primary,
+  },
+  suggestionList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.xs,
+    marginTop: theme.spacing.sm,
+  },
+  suggestionChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.full,
+    backgroundColor: theme.colors.background.card,
+  },
+  suggestionText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  },
+});
+
+export default TagInput;
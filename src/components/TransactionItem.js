@@ -5,13 +5,25 @@ import theme from '../theme';
 import { getCategoryById } from '../constants/categories';
 import { formatCurrency } from '../utils/formatters';
 import { useAuth } from '../context/AuthContext';
+import { useAccounts } from '../context/AccountContext';
 import { formatShortDate } from '../utils/formatters';
+import { SYNC_STATUS } from '../utils/syncQueue';
+import { formatTag } from '../utils/tagUtils';
 
 const TransactionItem = ({ transaction, onPress }) => {
-  const { id, amount, category, date, note, type } = transaction;
+  const { id, amount, category, date, note, type, syncStatus, accountId, toAccountId, splits, tags } = transaction;
   const categoryData = getCategoryById(category);
   const { user } = useAuth();
+  const { getAccountById } = useAccounts();
   const currency = user?.currency || 'INR';
+  const isTransfer = type === 'transfer';
+  const isSplit = Array.isArray(splits) && splits.length > 1;
+  
+  // Transfers move money between accounts, so they are neither added nor subtracted
+  const amountPrefix = isTransfer ? '' : (type === 'expense' ? '-' : '+');
+  const description = isTransfer
+    ? note || `${getAccountById(accountId).name} → ${getAccountById(toAccountId).name}`
+    : note || 'No description';
   
   return (
     <TouchableOpacity 
@@ -29,25 +41,52 @@ const TransactionItem = ({ transaction, onPress }) => {
       <View style={styles.detailsContainer}>
         <View style={styles.titleRow}>
           <Text style={styles.title} numberOfLines={1}>
-            {categoryData.name}
+            {isSplit ? `${categoryData.name} +${splits.length - 1} more` : categoryData.name}
           </Text>
           <Text style={[
             styles.amount,
-            type === 'expense' ? styles.expenseAmount : styles.incomeAmount,
+            isTransfer ? styles.transferAmount : (type === 'expense' ? styles.expenseAmount : styles.incomeAmount),
           ]}>
-            {type === 'expense' ? '-' : '+'}{formatCurrency(amount, currency)}
+            {amountPrefix}{formatCurrency(amount, currency)}
           </Text>
         </View>
         
         <View style={styles.subtitleRow}>
           <Text style={styles.subtitle} numberOfLines={1}>
-            {note || 'No description'}
+            {description}
           </Text>
           <View style={styles.dateContainer}>
             <Ionicons name="calendar-outline" size={12} color={theme.colors.text.muted} style={styles.dateIcon} />
             <Text style={styles.date}>{formatShortDate(date)}</Text>
           </View>
         </View>
+        
+        {tags?.length > 0 && (
+          <Text style={styles.tags} numberOfLines={1}>
+            {tags.map(formatTag).join(' ')}
+          </Text>
+        )}
+        
+        {/* Sync status for changes that have not reached the server */}
+        {syncStatus && (
+          <View style={[
+            styles.syncBadge,
+            syncStatus === SYNC_STATUS.FAILED && styles.syncBadgeFailed,
+          ]}>
+            <Ionicons
+              name={syncStatus === SYNC_STATUS.FAILED ? 'alert-circle-outline' : 'cloud-upload-outline'}
+              size={12}
+              color={syncStatus === SYNC_STATUS.FAILED ? theme.colors.status.error : theme.colors.status.warning}
+              style={styles.dateIcon}
+            />
+            <Text style={[
+              styles.syncText,
+              syncStatus === SYNC_STATUS.FAILED && styles.syncTextFailed,
+            ]}>
+              {syncStatus === SYNC_STATUS.FAILED ? 'Sync failed' : 'Pending sync'}
+            </Text>
+          </View>
+        )}
       </View>
     </TouchableOpacity>
   );
@@ -111,6 +150,9 @@ const styles = StyleSheet.create({
   incomeAmount: {
     color: theme.colors.financial.income,
   },
+  transferAmount: {
+    color: theme.colors.text.secondary,
+  },
   subtitleRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -122,6 +164,11 @@ const styles = StyleSheet.create({
     flex: 1,
     marginRight: theme.spacing.sm,
   },
+  tags: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.primary,
+    marginTop: theme.spacing.xs,
+  },
   dateContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -137,6 +184,26 @@ const styles = StyleSheet.create({
     fontSize: theme.typography.fontSize.xs,
     color: theme.colors.text.secondary,
   },
+  syncBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: theme.spacing.xs,
+    backgroundColor: 'rgba(255, 211, 105, 0.15)',
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: 2,
+    borderRadius: theme.borderRadius.full,
+  },
+  syncBadgeFailed: {
+    backgroundColor: 'rgba(255, 107, 139, 0.15)',
+  },
+  syncText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.status.warning,
+  },
+  syncTextFailed: {
+    color: theme.colors.status.error,
+  },
 });
 
 export default TransactionItem; 
\ No newline at end of file
@@ -12,8 +12,6 @@ import { useAuth } from '../context/AuthContext';
 import { getUpcomingBills, checkFirestorePermissions } from '../utils/notificationUtils';
 import { formatCurrency, formatShortDate } from '../utils/formatters';
 import theme from '../theme';
-import { collection, addDoc, Timestamp } from 'firebase/firestore';
-import { db } from '../utils/firebase';
 import { useFocusEffect } from '@react-navigation/native';
 
 const UpcomingBillsCard = ({ navigation }) => {
@@ -0,0 +1,48 @@
+import theme from '../theme';
+
+// Kinds of account a user can create
+const accountTypes = [
+  {
+    id: 'cash',
+    name: 'Cash',
+    icon: 'cash-outline',
+    color: theme.colors.financial.income,
+  },
+  {
+    id: 'bank',
+    name: 'Bank Account',
+    icon: 'business-outline',
+    color: theme.colors.status.info,
+  },
+  {
+    id: 'credit',
+    name: 'Credit Card',
+    icon: 'card-outline',
+    color: theme.colors.financial.expense,
+  },
+  {
+    id: 'wallet',
+    name: 'Digital Wallet',
+    icon: 'wallet-outline',
+    color: theme.colors.financial.investment,
+  },
+];
+
+// Every user has this account; transactions saved before accounts existed belong to it
+export const DEFAULT_ACCOUNT_ID = 'cash';
+
+export const DEFAULT_ACCOUNT = {
+  id: DEFAULT_ACCOUNT_ID,
+  name: 'Cash',
+  type: 'cash',
+  openingBalance: 0,
+  isDefault: true,
+};
+
+export const TRANSFER_TYPE = 'transfer';
+
+export const getAccountType = (id) => {
+  return accountTypes.find(accountType => accountType.id === id) || accountTypes[0];
+};
+
+export default accountTypes;
@@ -7,6 +7,12 @@ const categories = [
     icon: 'fast-food-outline',
     color: theme.colors.categoryColors.food,
     type: 'expense',
+    keywords: [
+      'restaurant', 'cafe', 'coffee', 'diner', 'bistro', 'food', 'meal',
+      'grocery', 'groceries', 'supermarket', 'bakery', 'pizzeria', 'burger',
+      'mcdonald', 'starbucks', 'donut', 'pizza', 'taco', 'wendy',
+      'chipotle', 'kfc', 'buffet', 'deli', 'steakhouse', 'swiggy', 'zomato',
+    ],
   },
   {
     id: 'shopping',
@@ -14,6 +20,11 @@ const categories = [
     icon: 'cart-outline',
     color: theme.colors.categoryColors.shopping,
     type: 'expense',
+    keywords: [
+      'amazon', 'walmart', 'target', 'bestbuy', 'store', 'mall', 'shop',
+      'clothing', 'apparel', 'fashion', 'dress', 'shoe', 'accessory',
+      'jewelry', 'electronics', 'ebay', 'etsy', 'retail', 'outlet', 'flipkart',
+    ],
   },
   {
     id: 'transportation',
@@ -21,6 +32,11 @@ const categories = [
     icon: 'car-outline',
     color: theme.colors.categoryColors.transportation,
     type: 'expense',
+    keywords: [
+      'fuel', 'petrol', 'diesel', 'uber', 'lyft', 'ola', 'taxi', 'cab',
+      'bus', 'train', 'metro', 'transit', 'parking', 'toll', 'mechanic',
+      'oil change', 'car wash', 'bike', 'scooter',
+    ],
   },
   {
     id: 'entertainment',
@@ -28,6 +44,12 @@ const categories = [
     icon: 'film-outline',
     color: theme.colors.categoryColors.entertainment,
     type: 'expense',
+    keywords: [
+      'movie', 'theater', 'cinema', 'concert', 'festival', 'show',
+      'ticket', 'netflix', 'spotify', 'disney+', 'hulu', 'hbo', 'prime video',
+      'apple tv', 'game', 'playstation', 'xbox', 'nintendo', 'amusement',
+      'streaming',
+    ],
   },
   {
     id: 'health',
@@ -35,6 +57,12 @@ const categories = [
     icon: 'medkit-outline',
     color: theme.colors.categoryColors.health,
     type: 'expense',
+    keywords: [
+      'doctor', 'medical', 'hospital', 'clinic', 'pharmacy',
+      'prescription', 'medicine', 'dental', 'dentist', 'optometrist',
+      'therapy', 'healthcare', 'ambulance', 'vitamin', 'supplement',
+      'gym', 'fitness', 'salon', 'spa', 'haircut', 'barber',
+    ],
   },
   {
     id: 'bills',
@@ -42,6 +70,12 @@ const categories = [
     icon: 'document-text-outline',
     color: theme.colors.categoryColors.bills,
     type: 'expense',
+    keywords: [
+      'electric', 'electricity', 'water bill', 'gas bill', 'power', 'utility',
+      'bill', 'energy', 'internet', 'wifi', 'broadband', 'cable', 'phone bill',
+      'mobile', 'recharge', 'postpaid', 'garbage', 'sewage', 'subscription',
+      'insurance',
+    ],
   },
   {
     id: 'education',
@@ -49,6 +83,11 @@ const categories = [
     icon: 'school-outline',
     color: theme.colors.categoryColors.education,
     type: 'expense',
+    keywords: [
+      'tuition', 'school', 'college', 'university', 'course', 'class',
+      'workshop', 'textbook', 'book', 'tutorial', 'training', 'seminar',
+      'certification', 'udemy', 'coursera', 'exam fee',
+    ],
   },
   {
     id: 'travel',
@@ -56,6 +95,11 @@ const categories = [
     icon: 'airplane-outline',
     color: theme.colors.categoryColors.travel,
     type: 'expense',
+    keywords: [
+      'flight', 'airline', 'airfare', 'hotel', 'motel', 'hostel', 'airbnb',
+      'resort', 'booking.com', 'expedia', 'vacation', 'holiday', 'trip',
+      'car rental', 'visa fee',
+    ],
   },
   {
     id: 'home',
@@ -63,6 +107,11 @@ const categories = [
     icon: 'home-outline',
     color: theme.colors.categoryColors.home,
     type: 'expense',
+    keywords: [
+      'rent', 'mortgage', 'lease', 'apartment', 'condo', 'maintenance',
+      'repair', 'plumber', 'electrician', 'furniture', 'decor', 'appliance',
+      'landscaping', 'lawn', 'garden', 'cleaning', 'ikea', 'hoa',
+    ],
   },
   {
     id: 'salary',
@@ -70,6 +119,10 @@ const categories = [
     icon: 'cash-outline',
     color: theme.colors.categoryColors.salary,
     type: 'income',
+    keywords: [
+      'salary', 'paycheck', 'payroll', 'wage', 'wages', 'direct deposit',
+      'bonus', 'commission', 'stipend',
+    ],
   },
   {
     id: 'investments',
@@ -77,6 +130,10 @@ const categories = [
     icon: 'trending-up-outline',
     color: theme.colors.categoryColors.investments,
     type: 'income',
+    keywords: [
+      'dividend', 'interest', 'stock', 'shares', 'etf', 'mutual fund',
+      'brokerage', 'capital gain', 'crypto', 'bond',
+    ],
   },
   {
     id: 'gifts',
@@ -84,6 +141,20 @@ const categories = [
     icon: 'gift-outline',
     color: theme.colors.categoryColors.gifts,
     type: 'income',
+    keywords: [
+      'gift', 'present', 'birthday', 'wedding', 'cashback', 'reward',
+    ],
+  },
+  {
+    id: 'transfer',
+    name: 'Transfer',
+    icon: 'swap-horizontal-outline',
+    color: theme.colors.categoryColors.transfer,
+    type: 'transfer',
+    keywords: [
+      'transfer', 'wire', 'withdrawal', 'atm', 'zelle', 'venmo', 'paypal',
+      'cash app', 'upi', 'neft', 'imps', 'bank transfer', 'ach',
+    ],
   },
   {
     id: 'other',
@@ -91,13 +162,176 @@ const categories = [
     icon: 'ellipsis-horizontal-outline',
     color: theme.colors.categoryColors.other,
     type: 'both',
+    keywords: [
+      'other', 'miscellaneous', 'misc', 'general',
+    ],
   },
 ];
 
-export const getCategories = (type) => {
-  if (!type) return categories;
-  if (type === 'all') return categories;
-  return categories.filter(category => category.type === type || category.type === 'both');
+// IDs used by older parts of the app (the budget screen and the auto-categorizer)
+// mapped to the built-in category they stand for
+export const CATEGORY_ID_ALIASES = {
+  transport: 'transportation',
+  housing: 'home',
+  utilities: 'bills',
+  healthcare: 'health',
+  personal: 'health',
+  income: 'salary',
+  savings: 'investments',
+};
+
+/**
+ * Map a legacy category ID onto its current built-in ID
+ * @param {string} id - Category ID
+ * @returns {string} Current category ID
+ */
+export const resolveCategoryId = (id) => CATEGORY_ID_ALIASES[id] || id;
+
+// Colours and icons offered when creating or editing a category
+export const CATEGORY_COLORS = [
+  ...Object.values(theme.colors.categoryColors),
+  '#E57373',
+  '#A1887F',
+  '#4FC3F7',
+  '#AED581',
+];
+
+export const CATEGORY_ICONS = [
+  'fast-food-outline',
+  'cafe-outline',
+  'restaurant-outline',
+  'basket-outline',
+  'cart-outline',
+  'shirt-outline',
+  'car-outline',
+  'bus-outline',
+  'bicycle-outline',
+  'film-outline',
+  'game-controller-outline',
+  'musical-notes-outline',
+  'medkit-outline',
+  'fitness-outline',
+  'paw-outline',
+  'document-text-outline',
+  'flash-outline',
+  'wifi-outline',
+  'phone-portrait-outline',
+  'school-outline',
+  'book-outline',
+  'airplane-outline',
+  'bed-outline',
+  'home-outline',
+  'construct-outline',
+  'heart-outline',
+  'people-outline',
+  'cash-outline',
+  'card-outline',
+  'trending-up-outline',
+  'gift-outline',
+  'briefcase-outline',
+  'pricetag-outline',
+  'ellipsis-horizontal-outline',
+];
+
+// The active taxonomy: built-in categories merged with the user's changes.
+// CategoryContext replaces it whenever the user's categories load or change.
+let taxonomy = categories.map((category, index) => ({
+  ...category,
+  parentId: null,
+  order: index,
+  archived: false,
+  builtIn: true,
+}));
+
+const builtInTaxonomy = taxonomy;
+
+/**
+ * Merge the user's saved categories into the built-in ones
+ * A saved category with a built-in ID overrides that built-in category, so
+ * transactions that use the built-in IDs keep resolving.
+ * @param {Array} userCategories - Categories saved by the user
+ * @returns {Array} Taxonomy sorted by order
+ */
+export const buildCategoryTaxonomy = (userCategories = []) => {
+  const overrides = userCategories.reduce((acc, category) => {
+    acc[category.id] = category;
+    return acc;
+  }, {});
+
+  const merged = builtInTaxonomy.map(category => ({
+    ...category,
+    ...overrides[category.id],
+    builtIn: true,
+  }));
+
+  userCategories
+    .filter(category => !builtInTaxonomy.some(builtIn => builtIn.id === category.id))
+    .forEach(category => {
+      merged.push({
+        parentId: null,
+        archived: false,
+        order: merged.length,
+        ...category,
+        builtIn: false,
+      });
+    });
+
+  return merged.sort((a, b) => a.order - b.order);
+};
+
+/**
+ * Replace the active taxonomy
+ * @param {Array} nextTaxonomy - Taxonomy from buildCategoryTaxonomy
+ */
+export const setCategoryTaxonomy = (nextTaxonomy) => {
+  taxonomy = nextTaxonomy;
+};
+
+export const getCategoryTaxonomy = () => taxonomy;
+
+const isActive = (category) => {
+  if (category.archived) return false;
+  if (!category.parentId) return true;
+  const parent = taxonomy.find(c => c.id === category.parentId);
+  return !!parent && !parent.archived;
+};
+
+const matchesType = (category, type) => {
+  if (!type || type === 'all') return true;
+  return category.type === type || category.type === 'both';
+};
+
+/**
+ * Get the selectable categories for a transaction type, each top-level
+ * category followed by its subcategories
+ * @param {string} type - 'income', 'expense', 'transfer' or 'all'
+ * @param {Object} options - { includeArchived }
+ * @returns {Array} Categories
+ */
+export const getCategories = (type, { includeArchived = false } = {}) => {
+  const visible = taxonomy.filter(category =>
+    matchesType(category, type) && (includeArchived || isActive(category))
+  );
+
+  return visible
+    .filter(category => !category.parentId)
+    .reduce((list, parent) => [
+      ...list,
+      parent,
+      ...visible.filter(category => category.parentId === parent.id),
+    ], []);
+};
+
+/**
+ * Get the subcategories of a category
+ * @param {string} parentId - Parent category ID
+ * @param {Object} options - { includeArchived }
+ * @returns {Array} Subcategories in order
+ */
+export const getSubcategories = (parentId, { includeArchived = false } = {}) => {
+  return taxonomy.filter(category =>
+    category.parentId === parentId && (includeArchived || !category.archived)
+  );
 };
 
 export const EXPENSE_CATEGORIES = categories.filter(category => 
@@ -108,8 +342,40 @@ export const INCOME_CATEGORIES = categories.filter(category =>
   category.type === 'income' || category.type === 'both'
 );
 
+/**
+ * Resolve a category ID, including archived categories and legacy IDs so old
+ * transactions still display, and falling back to 'Other' for unknown IDs
+ * @param {string} id - Category ID
+ * @returns {Object} Category
+ */
 export const getCategoryById = (id) => {
-  return categories.find(category => category.id === id) || categories[categories.length - 1];
+  const resolvedId = resolveCategoryId(id);
+  return taxonomy.find(category => category.id === resolvedId)
+    || builtInTaxonomy.find(category => category.id === resolvedId)
+    || taxonomy.find(category => category.id === 'other')
+    || builtInTaxonomy[builtInTaxonomy.length - 1];
+};
+
+/**
+ * Get the top-level category a category rolls up into
+ * @param {string} id - Category ID
+ * @returns {string} The parent's ID for a subcategory, otherwise the ID itself
+ */
+export const getRootCategoryId = (id) => {
+  const resolvedId = resolveCategoryId(id);
+  const category = taxonomy.find(c => c.id === resolvedId);
+  return category?.parentId || resolvedId;
+};
+
+/**
+ * Get a display label that includes the parent, e.g. "Food & Drinks > Groceries"
+ * @param {string} id - Category ID
+ * @returns {string} Label
+ */
+export const getCategoryLabel = (id) => {
+  const category = getCategoryById(id);
+  if (!category.parentId) return category.name;
+  return `${getCategoryById(category.parentId).name} > ${category.name}`;
 };
 
-export default categories; 
\ No newline at end of file
+export default categories;
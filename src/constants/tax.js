@@ -0,0 +1,83 @@
+// The Indian financial year runs from April to March
+export const DEFAULT_FISCAL_YEAR_START_MONTH = 4;
+
+export const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// Deductions under the Income Tax Act (old regime) that a transaction can be
+// tagged with. Limits are the yearly statutory maximum in rupees; null means
+// the section has no fixed cap, or one that depends on income or salary.
+const taxSections = [
+  {
+    id: '80C',
+    name: 'Section 80C',
+    description: 'PPF, EPF, ELSS, life insurance, tuition fees, home loan principal',
+    limit: 150000,
+  },
+  {
+    id: '80CCD1B',
+    name: 'Section 80CCD(1B)',
+    description: 'Additional NPS contribution',
+    limit: 50000,
+  },
+  {
+    id: '80D',
+    name: 'Section 80D',
+    description: 'Health insurance premiums and check-ups (₹50,000 for senior citizens)',
+    limit: 25000,
+  },
+  {
+    id: '80E',
+    name: 'Section 80E',
+    description: 'Interest on an education loan',
+    limit: null,
+  },
+  {
+    id: '80G',
+    name: 'Section 80G',
+    description: 'Donations to approved funds and charities',
+    limit: null,
+  },
+  {
+    id: '80TTA',
+    name: 'Section 80TTA',
+    description: 'Savings account interest',
+    limit: 10000,
+  },
+  {
+    id: '24B',
+    name: 'Section 24(b)',
+    description: 'Interest on a loan for a self-occupied home',
+    limit: 200000,
+  },
+  {
+    id: 'HRA',
+    name: 'HRA',
+    description: 'Rent paid, for the house rent allowance exemption',
+    limit: null,
+  },
+];
+
+/**
+ * Get the built-in sections followed by the user's own
+ * @param {Array} customSections - The user's sections of { id, name, limit }
+ * @returns {Array} Sections
+ */
+export const getTaxSections = (customSections = []) => [
+  ...taxSections,
+  ...customSections.map(section => ({ ...section, isCustom: true })),
+];
+
+/**
+ * Find a section by ID
+ * @param {string} id - Section ID
+ * @param {Array} customSections - The user's own sections
+ * @returns {Object|null} Section, or null for an unknown or deleted one
+ */
+export const getTaxSectionById = (id, customSections = []) => {
+  return getTaxSections(customSections).find(section => section.id === id) || null;
+};
+
+export default taxSections;
@@ -33,6 +33,7 @@ const colors = {
     salary: "#66BB6A",
     investments: "#7986CB",
     gifts: "#BA68C8",
+    transfer: "#A095FF",
     other: "#78909C",
   },
 };
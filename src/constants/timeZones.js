@@ -0,0 +1,38 @@
+// Time zones offered in the profile settings. Any IANA name works; these are
+// the common ones, from west to east. The device's own zone is always
+// offered as well, so it does not need to be listed.
+const timeZones = [
+  { id: 'America/Los_Angeles', label: 'Los Angeles' },
+  { id: 'America/Denver', label: 'Denver' },
+  { id: 'America/Chicago', label: 'Chicago' },
+  { id: 'America/New_York', label: 'New York' },
+  { id: 'America/Sao_Paulo', label: 'São Paulo' },
+  { id: 'UTC', label: 'UTC' },
+  { id: 'Europe/London', label: 'London' },
+  { id: 'Europe/Paris', label: 'Paris' },
+  { id: 'Europe/Berlin', label: 'Berlin' },
+  { id: 'Africa/Johannesburg', label: 'Johannesburg' },
+  { id: 'Europe/Moscow', label: 'Moscow' },
+  { id: 'Asia/Dubai', label: 'Dubai' },
+  { id: 'Asia/Karachi', label: 'Karachi' },
+  { id: 'Asia/Kolkata', label: 'India' },
+  { id: 'Asia/Kathmandu', label: 'Kathmandu' },
+  { id: 'Asia/Dhaka', label: 'Dhaka' },
+  { id: 'Asia/Bangkok', label: 'Bangkok' },
+  { id: 'Asia/Singapore', label: 'Singapore' },
+  { id: 'Asia/Hong_Kong', label: 'Hong Kong' },
+  { id: 'Asia/Tokyo', label: 'Tokyo' },
+  { id: 'Australia/Sydney', label: 'Sydney' },
+  { id: 'Pacific/Auckland', label: 'Auckland' },
+];
+
+/**
+ * Get a readable name for a time zone
+ * @param {string} id - IANA time zone name
+ * @returns {string} Label, or the name itself for zones not listed
+ */
+export const getTimeZoneLabel = (id) => {
+  return timeZones.find(timeZone => timeZone.id === id)?.label || id;
+};
+
+export default timeZones;
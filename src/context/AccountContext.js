@@ -0,0 +1,303 @@
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAuth } from './AuthContext';
+import { useTransactions } from './TransactionContext';
+import { calculateAccountBalances } from '../utils/dataUtils';
+import { auth } from '../utils/firebase';
+import {
+  getAccountsQuery,
+  createAccountId,
+  saveAccount,
+  removeAccount,
+  getAccountTotals,
+} from '../utils/repository';
+import { DEFAULT_ACCOUNT, DEFAULT_ACCOUNT_ID } from '../constants/accounts';
+
+const AccountContext = createContext();
+
+// AsyncStorage key for the cached accounts and their balances
+export const getAccountsKey = (userId) => `accounts_${userId}`;
+
+// How long to wait for transaction totals to settle before asking the server
+// for balances again. Each refresh runs four aggregate queries per account.
+const BALANCE_REFRESH_DELAY_MS = 2000;
+
+// Balance of an account from its opening balance and server totals
+const getBalanceFromTotals = (account, totals) => {
+  const openingBalance = Number(account.openingBalance) || 0;
+  if (!totals) return openingBalance;
+  return openingBalance + totals.income - totals.expense + totals.transferIn - totals.transferOut;
+};
+
+export const useAccounts = () => {
+  return useContext(AccountContext);
+};
+
+export const AccountProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { transactions, stats, pendingSyncCount } = useTransactions();
+  const [accounts, setAccounts] = useState([DEFAULT_ACCOUNT]);
+  const [balances, setBalances] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // Set once balances have come from the server (or the cache of a server result)
+  const hasServerBalancesRef = useRef(false);
+  // Latest per-account totals from the server, including history that is not loaded
+  const totalsRef = useRef({});
+
+  // Subscribe to the user's accounts in Firestore when user changes
+  useEffect(() => {
+    hasServerBalancesRef.current = false;
+    totalsRef.current = {};
+
+    if (!user) {
+      setAccounts([DEFAULT_ACCOUNT]);
+      setBalances({});
+      setLoading(false);
+      return;
+    }
+
+    let unsubscribeSnapshot = null;
+    let isCancelled = false;
+
+    const subscribeToAccounts = async () => {
+      setLoading(true);
+      setError('');
+
+      const firebaseUid = auth.currentUser?.uid;
+      if (!firebaseUid) {
+        setLoading(false);
+        return;
+      }
+
+      // Show cached accounts and balances while Firestore loads
+      try {
+        const cachedData = await AsyncStorage.getItem(getAccountsKey(firebaseUid));
+        if (cachedData && !isCancelled) {
+          const cached = JSON.parse(cachedData);
+          setAccounts(cached.accounts);
+          setBalances(cached.balances || {});
+          hasServerBalancesRef.current = !!cached.balances;
+          setLoading(false);
+        }
+      } catch (storageError) {
+        console.error('Failed to load cached accounts:', storageError);
+      }
+
+      if (isCancelled) return;
+
+      unsubscribeSnapshot = onSnapshot(getAccountsQuery(firebaseUid), (snapshot) => {
+        const accountsList = snapshot.docs.map(accountDoc => ({ id: accountDoc.id, ...accountDoc.data() }));
+
+        // Every user needs the default account; create it on first use
+        if (!accountsList.some(account => account.id === DEFAULT_ACCOUNT_ID)) {
+          const defaultAccount = { ...DEFAULT_ACCOUNT, createdAt: new Date().toISOString() };
+          accountsList.unshift(defaultAccount);
+          saveAccount(firebaseUid, defaultAccount)
+            .catch(saveError => console.error('Failed to create default account:', saveError));
+        }
+
+        setAccounts(accountsList);
+        setError('');
+        setLoading(false);
+      }, (error) => {
+        console.error('Failed to load accounts:', error);
+
+        if (error.code === 'permission-denied') {
+          setError('Permission denied: You do not have access to these accounts.');
+        } else {
+          setError('Failed to load accounts. Please try again later.');
+        }
+        setLoading(false);
+      });
+
+      if (isCancelled) {
+        unsubscribeSnapshot();
+      }
+    };
+
+    subscribeToAccounts();
+
+    return () => {
+      isCancelled = true;
+      if (unsubscribeSnapshot) {
+        unsubscribeSnapshot();
+      }
+    };
+  }, [user]);
+
+  // Recalculate balances whenever the accounts or transaction totals change.
+  // Once there are balances to show, a burst of changes (an import, a sync)
+  // is refreshed once after it settles.
+  useEffect(() => {
+    if (!user) return;
+
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) return;
+
+    // Server totals would not include queued changes yet; keep the last known
+    // balances until the outbox is flushed
+    if (pendingSyncCount > 0 && hasServerBalancesRef.current) return;
+
+    let isCancelled = false;
+
+    const refreshBalances = async () => {
+      try {
+        const totals = await getAccountTotals(firebaseUid, accounts, DEFAULT_ACCOUNT_ID);
+        if (isCancelled) return;
+
+        totalsRef.current = totals;
+        const updatedBalances = accounts.reduce((acc, account) => {
+          acc[account.id] = getBalanceFromTotals(account, totals[account.id]);
+          return acc;
+        }, {});
+
+        hasServerBalancesRef.current = true;
+        setBalances(updatedBalances);
+        await AsyncStorage.setItem(getAccountsKey(firebaseUid), JSON.stringify({
+          accounts,
+          balances: updatedBalances,
+        }));
+      } catch (balanceError) {
+        console.error('Failed to load account balances:', balanceError);
+
+        // Nothing from the server yet, so estimate from the loaded transactions
+        if (!isCancelled && !hasServerBalancesRef.current) {
+          setBalances(calculateAccountBalances(accounts, transactions, DEFAULT_ACCOUNT_ID));
+        }
+      }
+    };
+
+    const refreshTimeout = setTimeout(
+      refreshBalances,
+      hasServerBalancesRef.current ? BALANCE_REFRESH_DELAY_MS : 0
+    );
+
+    return () => {
+      isCancelled = true;
+      clearTimeout(refreshTimeout);
+    };
+  }, [user, accounts, stats, pendingSyncCount]);
+
+  // Add a new account
+  const addAccount = async (account) => {
+    setError('');
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) {
+      setError('You must be logged in to add an account');
+      return false;
+    }
+
+    try {
+      const newAccount = {
+        name: account.name.trim(),
+        type: account.type,
+        openingBalance: Number(account.openingBalance) || 0,
+        id: createAccountId(firebaseUid),
+        createdAt: new Date().toISOString(),
+      };
+
+      await saveAccount(firebaseUid, newAccount);
+      return true;
+    } catch (error) {
+      console.error('Error adding account:', error);
+      setError('Failed to add account. Please try again.');
+      return false;
+    }
+  };
+
+  // Update an existing account
+  const updateAccount = async (id, updates) => {
+    setError('');
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) {
+      setError('You must be logged in to update an account');
+      return false;
+    }
+
+    try {
+      const updatedAccount = {
+        ...updates,
+        id,
+        updatedAt: new Date().toISOString(),
+      };
+      if (updates.name !== undefined) {
+        updatedAccount.name = updates.name.trim();
+      }
+      if (updates.openingBalance !== undefined) {
+        updatedAccount.openingBalance = Number(updates.openingBalance) || 0;
+      }
+
+      await saveAccount(firebaseUid, updatedAccount);
+      return true;
+    } catch (error) {
+      console.error('Error updating account:', error);
+      setError('Failed to update account. Please try again.');
+      return false;
+    }
+  };
+
+  // Delete an account that no transaction refers to
+  const deleteAccount = async (id) => {
+    setError('');
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) {
+      setError('You must be logged in to delete an account');
+      return false;
+    }
+
+    if (id === DEFAULT_ACCOUNT_ID) {
+      setError('The default account cannot be deleted');
+      return false;
+    }
+
+    const totals = totalsRef.current[id];
+    const hasHistory = totals && Object.values(totals).some(total => total !== 0);
+    const isInUse = hasHistory || transactions.some(t => t.accountId === id || t.toAccountId === id);
+    if (isInUse) {
+      setError('This account has transactions. Move or delete them first.');
+      return false;
+    }
+
+    try {
+      await removeAccount(firebaseUid, id);
+      return true;
+    } catch (error) {
+      console.error('Error deleting account:', error);
+      setError('Failed to delete account. Please try again.');
+      return false;
+    }
+  };
+
+  // Get account by ID, falling back to the default account
+  const getAccountById = (id) => {
+    return accounts.find(account => account.id === (id || DEFAULT_ACCOUNT_ID))
+      || accounts.find(account => account.id === DEFAULT_ACCOUNT_ID)
+      || DEFAULT_ACCOUNT;
+  };
+
+  const totalBalance = accounts.reduce(
+    (total, account) => total + (balances[account.id] ?? (Number(account.openingBalance) || 0)),
+    0
+  );
+
+  const value = {
+    accounts,
+    balances,
+    totalBalance,
+    loading,
+    error,
+    defaultAccountId: DEFAULT_ACCOUNT_ID,
+    addAccount,
+    updateAccount,
+    deleteAccount,
+    getAccountById,
+  };
+
+  return (
+    <AccountContext.Provider value={value}>
+      {children}
+    </AccountContext.Provider>
+  );
+};
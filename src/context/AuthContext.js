@@ -11,8 +11,24 @@ import {
   EmailAuthProvider,
   reauthenticateWithCredential
 } from 'firebase/auth';
-import { auth, db } from '../utils/firebase';
-import { doc, getDoc, setDoc, deleteDoc, collection, query, where, getDocs } from 'firebase/firestore';
+import { auth } from '../utils/firebase';
+import {
+  getUserData,
+  createUserData,
+  mergeUserData,
+  deleteUserData,
+} from '../utils/repository';
+import { clearTransactionCache } from '../utils/transactionCache';
+import { deleteLocalBackups } from '../utils/localBackups';
+import { clearOutbox } from '../utils/syncQueue';
+import { clearModel } from '../utils/categoryLearning';
+import { getDismissedPairsKey } from '../utils/duplicateDetector';
+import { getExportPresetsKey } from '../utils/exportFilters';
+// These contexts import useAuth from here; only their cache key helpers are
+// used, and only once an account is deleted
+import { getAccountsKey } from './AccountContext';
+import { getCategoriesKey } from './CategoryContext';
+import { getRulesKey } from './RuleContext';
 
 const AuthContext = createContext();
 
@@ -31,8 +47,7 @@ export const AuthProvider = ({ children }) => {
       if (currentUser) {
         try {
           // Get additional user data from Firestore
-          const userDocRef = doc(db, 'users', currentUser.uid);
-          const userDoc = await getDoc(userDocRef);
+          const storedUserData = await getUserData(currentUser.uid);
           
           // Create user object with Firebase auth data
           const userData = {
@@ -42,7 +57,7 @@ export const AuthProvider = ({ children }) => {
             photoURL: currentUser.photoURL,
             emailVerified: currentUser.emailVerified,
             // Add additional Firestore data if available
-            ...(userDoc.exists() ? userDoc.data() : {})
+            ...(storedUserData || {})
           };
           
           setUser(userData);
@@ -92,10 +107,9 @@ export const AuthProvider = ({ children }) => {
       const userCredential = await signInWithEmailAndPassword(auth, email, password);
       
       // We need to check if the user has completed onboarding
-      const userDocRef = doc(db, 'users', userCredential.user.uid);
-      const userDoc = await getDoc(userDocRef);
+      const userData = await getUserData(userCredential.user.uid);
       
-      if (userDoc.exists() && userDoc.data().onboardingCompleted) {
+      if (userData?.onboardingCompleted) {
         await AsyncStorage.setItem('onboardingCompleted', 'true');
       } else {
         await AsyncStorage.removeItem('onboardingCompleted');
@@ -140,8 +154,7 @@ export const AuthProvider = ({ children }) => {
       
       // Create a minimal user document in Firestore
       // Note: We don't set onboardingCompleted to true here so the user will go through onboarding
-      const userDocRef = doc(db, 'users', userCredential.user.uid);
-      await setDoc(userDocRef, {
+      await createUserData(userCredential.user.uid, {
         email: userCredential.user.email,
         displayName: name,
         createdAt: new Date(),
@@ -294,59 +307,7 @@ export const AuthProvider = ({ children }) => {
       
       // Delete user data from Firestore
       try {
-        const userId = auth.currentUser.uid;
-        
-        // Delete user document
-        const userDocRef = doc(db, 'users', userId);
-        await deleteDoc(userDocRef);
-        
-        // Delete user transactions
-        const transactionsRef = collection(db, 'transactions');
-        const transactionsQuery = query(transactionsRef, where('userId', '==', userId));
-        const transactionsSnapshot = await getDocs(transactionsQuery);
-        
-        const transactionDeletePromises = [];
-        transactionsSnapshot.forEach((doc) => {
-          transactionDeletePromises.push(deleteDoc(doc.ref));
-        });
-        
-        await Promise.all(transactionDeletePromises);
-        
-        // Delete budget data
-        const budgetsRef = collection(db, 'budgets');
-        const budgetsQuery = query(budgetsRef, where('userId', '==', userId));
-        const budgetsSnapshot = await getDocs(budgetsQuery);
-        
-        const budgetDeletePromises = [];
-        budgetsSnapshot.forEach((doc) => {
-          budgetDeletePromises.push(deleteDoc(doc.ref));
-        });
-        
-        await Promise.all(budgetDeletePromises);
-        
-        // Delete recurring transactions
-        const recurringRef = collection(db, 'recurringTransactions');
-        const recurringQuery = query(recurringRef, where('userId', '==', userId));
-        const recurringSnapshot = await getDocs(recurringQuery);
-        
-        const recurringDeletePromises = [];
-        recurringSnapshot.forEach((doc) => {
-          recurringDeletePromises.push(deleteDoc(doc.ref));
-        });
-        
-        await Promise.all(recurringDeletePromises);
-        
-        // Delete any other user-specific data (categories, settings, etc.)
-        const settingsRef = collection(db, 'settings');
-        const settingsQuery = query(settingsRef, where('userId', '==', userId));
-        const settingsSnapshot = await getDocs(settingsQuery);
-        
-        const settingsDeletePromises = [];
-        settingsSnapshot.forEach((doc) => {
-          settingsDeletePromises.push(deleteDoc(doc.ref));
-        });
-        
-        await Promise.all(settingsDeletePromises);
+        await deleteUserData(auth.currentUser.uid);
       } catch (firestoreError) {
         // Continue with account deletion even if Firestore deletion fails
       }
@@ -357,9 +318,17 @@ export const AuthProvider = ({ children }) => {
       // Clear local storage
       await AsyncStorage.removeItem('user');
       await AsyncStorage.removeItem('onboardingCompleted');
-      await AsyncStorage.removeItem(`transactions_${user.id}`);
+      await clearTransactionCache(user.id);
       await AsyncStorage.removeItem(`settings_${user.id}`);
       await AsyncStorage.removeItem(`budgets_${user.id}`);
+      await clearOutbox(user.id);
+      await AsyncStorage.removeItem(getAccountsKey(user.id));
+      await AsyncStorage.removeItem(getCategoriesKey(user.id));
+      await clearModel(user.id);
+      await AsyncStorage.removeItem(getRulesKey(user.id));
+      await AsyncStorage.removeItem(getDismissedPairsKey(user.id));
+      await AsyncStorage.removeItem(getExportPresetsKey(user.id));
+      await deleteLocalBackups(user.id);
       
       return true;
     } catch (error) {
@@ -385,16 +354,15 @@ export const AuthProvider = ({ children }) => {
 
       // Update in Firestore if the document exists
       try {
-        const userDocRef = doc(db, 'users', auth.currentUser.uid);
-        const userDoc = await getDoc(userDocRef);
+        const userData = await getUserData(auth.currentUser.uid);
 
-        if (userDoc.exists()) {
+        if (userData) {
           // Only update fields that are provided
           const updateData = {};
           if (displayName) updateData.displayName = displayName;
           if (photoURL) updateData.photoURL = photoURL;
           
-          await setDoc(userDocRef, updateData, { merge: true });
+          await mergeUserData(auth.currentUser.uid, updateData);
         }
       } catch (firestoreError) {
         // Continue with profile update even if Firestore update fails
@@ -428,10 +396,9 @@ export const AuthProvider = ({ children }) => {
       }
       
       // Update Firestore
-      const userDocRef = doc(db, 'users', user.id);
-      await setDoc(userDocRef, {
+      await mergeUserData(user.id, {
         onboardingCompleted: true
-      }, { merge: true });
+      });
       
       // Update local storage
       await AsyncStorage.setItem('onboardingCompleted', 'true');
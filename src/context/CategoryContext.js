@@ -0,0 +1,380 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAuth } from './AuthContext';
+import { auth } from '../utils/firebase';
+import {
+  getCategoriesQuery,
+  createCategoryId,
+  saveCategory,
+  saveCategories,
+} from '../utils/repository';
+import {
+  buildCategoryTaxonomy,
+  setCategoryTaxonomy,
+  getCategories as getTaxonomyCategories,
+  getSubcategories as getTaxonomySubcategories,
+  getCategoryById as getTaxonomyCategoryById,
+  getCategoryLabel,
+  getRootCategoryId,
+} from '../constants/categories';
+import {
+  createEmptyModel,
+  learnCategory,
+  forgetMerchant as forgetLearnedMerchant,
+  setActiveModel,
+  loadModel,
+  saveModel,
+  clearModel,
+} from '../utils/categoryLearning';
+
+const CategoryContext = createContext();
+
+// AsyncStorage key for the cached category taxonomy
+export const getCategoriesKey = (userId) => `categories_${userId}`;
+
+// Built-in categories keep their type and place in the hierarchy
+const BUILT_IN_EDITABLE_FIELDS = ['name', 'icon', 'color', 'keywords', 'archived', 'order'];
+
+// Keywords drive auto-categorization, so keep them lowercase and unique
+const normalizeKeywords = (keywords = []) => {
+  return [...new Set(keywords.map(keyword => keyword.trim().toLowerCase()).filter(Boolean))];
+};
+
+export const useCategories = () => {
+  return useContext(CategoryContext);
+};
+
+export const CategoryProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [categories, setCategories] = useState(() => buildCategoryTaxonomy());
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [learnedModel, setLearnedModel] = useState(() => createEmptyModel());
+
+  // Every screen and util reads categories through the shared taxonomy
+  const applyUserCategories = (userCategories) => {
+    const taxonomy = buildCategoryTaxonomy(userCategories);
+    setCategoryTaxonomy(taxonomy);
+    setCategories(taxonomy);
+  };
+
+  // Subscribe to the user's categories in Firestore when user changes
+  useEffect(() => {
+    if (!user) {
+      applyUserCategories([]);
+      setLoading(false);
+      return;
+    }
+
+    let unsubscribeSnapshot = null;
+    let isCancelled = false;
+
+    const subscribeToCategories = async () => {
+      setLoading(true);
+      setError('');
+
+      const firebaseUid = auth.currentUser?.uid;
+      if (!firebaseUid) {
+        setLoading(false);
+        return;
+      }
+
+      // Show cached categories while Firestore loads
+      try {
+        const cachedData = await AsyncStorage.getItem(getCategoriesKey(firebaseUid));
+        if (cachedData && !isCancelled) {
+          applyUserCategories(JSON.parse(cachedData));
+          setLoading(false);
+        }
+      } catch (storageError) {
+        console.error('Failed to load cached categories:', storageError);
+      }
+
+      if (isCancelled) return;
+
+      unsubscribeSnapshot = onSnapshot(getCategoriesQuery(firebaseUid), (snapshot) => {
+        const userCategories = snapshot.docs.map(categoryDoc => ({ id: categoryDoc.id, ...categoryDoc.data() }));
+
+        applyUserCategories(userCategories);
+        setError('');
+        setLoading(false);
+
+        AsyncStorage.setItem(getCategoriesKey(firebaseUid), JSON.stringify(userCategories))
+          .catch(storageError => console.error('Failed to cache categories:', storageError));
+      }, (error) => {
+        console.error('Failed to load categories:', error);
+
+        if (error.code === 'permission-denied') {
+          setError('Permission denied: You do not have access to these categories.');
+        } else {
+          setError('Failed to load categories. Please try again later.');
+        }
+        setLoading(false);
+      });
+
+      if (isCancelled) {
+        unsubscribeSnapshot();
+      }
+    };
+
+    subscribeToCategories();
+
+    return () => {
+      isCancelled = true;
+      if (unsubscribeSnapshot) {
+        unsubscribeSnapshot();
+      }
+    };
+  }, [user]);
+
+  // Load what the app has learned from this user's category choices
+  useEffect(() => {
+    const firebaseUid = user ? auth.currentUser?.uid : null;
+    if (!firebaseUid) {
+      setActiveModel(null);
+      setLearnedModel(createEmptyModel());
+      return;
+    }
+
+    let isCancelled = false;
+
+    loadModel(firebaseUid).then(model => {
+      if (isCancelled) return;
+      setActiveModel(model);
+      setLearnedModel(model);
+    });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [user]);
+
+  const applyLearnedModel = async (model) => {
+    const firebaseUid = auth.currentUser?.uid;
+    setActiveModel(model);
+    setLearnedModel(model);
+
+    if (firebaseUid) {
+      await saveModel(firebaseUid, model);
+    }
+  };
+
+  // Learn from the category saved for a description. A category that differs
+  // from the top suggestion the form showed is recorded as a correction.
+  const recordCategoryChoice = async ({ description, categoryId, suggestedCategoryId }) => {
+    if (!description || !categoryId) return false;
+
+    try {
+      await applyLearnedModel(learnCategory(learnedModel, {
+        description,
+        categoryId,
+        suggestedCategoryId,
+      }));
+      return true;
+    } catch (error) {
+      console.error('Error learning category choice:', error);
+      return false;
+    }
+  };
+
+  // Forget what was learned about one merchant
+  const forgetMerchant = async (merchantKey) => {
+    try {
+      await applyLearnedModel(forgetLearnedMerchant(learnedModel, merchantKey));
+      return true;
+    } catch (error) {
+      console.error('Error forgetting merchant:', error);
+      setError('Failed to update learned categories. Please try again.');
+      return false;
+    }
+  };
+
+  // Forget everything learned and go back to keyword suggestions
+  const resetLearning = async () => {
+    const firebaseUid = auth.currentUser?.uid;
+
+    try {
+      if (firebaseUid) {
+        await clearModel(firebaseUid);
+      }
+      const emptyModel = createEmptyModel();
+      setActiveModel(emptyModel);
+      setLearnedModel(emptyModel);
+      return true;
+    } catch (error) {
+      console.error('Error resetting learned categories:', error);
+      setError('Failed to reset learned categories. Please try again.');
+      return false;
+    }
+  };
+
+  // Siblings share a parent (or are all top-level) and a type
+  const getSiblings = (category) => {
+    return categories.filter(c =>
+      (c.parentId || null) === (category.parentId || null) &&
+      (c.type === category.type || c.type === 'both' || category.type === 'both')
+    );
+  };
+
+  // Add a new category or subcategory
+  const addCategory = async (category) => {
+    setError('');
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) {
+      setError('You must be logged in to add a category');
+      return false;
+    }
+
+    const name = category.name?.trim();
+    if (!name) {
+      setError('Please enter a category name');
+      return false;
+    }
+
+    // Only one level of subcategories is supported
+    const parent = category.parentId ? categories.find(c => c.id === category.parentId) : null;
+    if (category.parentId && (!parent || parent.parentId)) {
+      setError('Subcategories can only be added to a top-level category');
+      return false;
+    }
+
+    try {
+      const newCategory = {
+        id: createCategoryId(firebaseUid),
+        name,
+        icon: category.icon,
+        color: category.color,
+        keywords: normalizeKeywords(category.keywords),
+        // A subcategory always has its parent's type
+        type: parent ? parent.type : category.type,
+        parentId: parent ? parent.id : null,
+        order: categories.reduce((max, c) => Math.max(max, c.order), 0) + 1,
+        archived: false,
+        createdAt: new Date().toISOString(),
+      };
+
+      await saveCategory(firebaseUid, newCategory);
+      return true;
+    } catch (error) {
+      console.error('Error adding category:', error);
+      setError('Failed to add category. Please try again.');
+      return false;
+    }
+  };
+
+  // Update an existing category
+  const updateCategory = async (id, updates) => {
+    setError('');
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) {
+      setError('You must be logged in to update a category');
+      return false;
+    }
+
+    const existing = categories.find(c => c.id === id);
+    if (!existing) {
+      setError('Category not found');
+      return false;
+    }
+
+    if (updates.name !== undefined && !updates.name.trim()) {
+      setError('Please enter a category name');
+      return false;
+    }
+
+    try {
+      const allowedUpdates = existing.builtIn
+        ? BUILT_IN_EDITABLE_FIELDS.reduce((acc, field) => {
+          if (updates[field] !== undefined) acc[field] = updates[field];
+          return acc;
+        }, {})
+        : { ...updates };
+
+      if (allowedUpdates.name !== undefined) {
+        allowedUpdates.name = allowedUpdates.name.trim();
+      }
+      if (allowedUpdates.keywords !== undefined) {
+        allowedUpdates.keywords = normalizeKeywords(allowedUpdates.keywords);
+      }
+
+      await saveCategory(firebaseUid, {
+        ...allowedUpdates,
+        id,
+        updatedAt: new Date().toISOString(),
+      });
+      return true;
+    } catch (error) {
+      console.error('Error updating category:', error);
+      setError('Failed to update category. Please try again.');
+      return false;
+    }
+  };
+
+  // Archived categories are hidden from pickers but still resolve for old transactions
+  const archiveCategory = (id, archived = true) => {
+    return updateCategory(id, { archived });
+  };
+
+  // Move a category one place up (-1) or down (1) among its siblings
+  const moveCategory = async (id, direction) => {
+    setError('');
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) {
+      setError('You must be logged in to reorder categories');
+      return false;
+    }
+
+    const category = categories.find(c => c.id === id);
+    if (!category) return false;
+
+    const siblings = getSiblings(category);
+    const index = siblings.findIndex(c => c.id === id);
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= siblings.length) return false;
+
+    // Swap the two entries and renumber so every sibling has a distinct order
+    const reordered = [...siblings];
+    [reordered[index], reordered[targetIndex]] = [reordered[targetIndex], reordered[index]];
+    const orders = siblings.map(c => c.order).sort((a, b) => a - b);
+    let previousOrder = -Infinity;
+    const updates = reordered.map((c, i) => {
+      previousOrder = Math.max(orders[i], previousOrder + 1);
+      return { id: c.id, order: previousOrder };
+    });
+
+    try {
+      await saveCategories(firebaseUid, updates);
+      return true;
+    } catch (error) {
+      console.error('Error reordering categories:', error);
+      setError('Failed to reorder categories. Please try again.');
+      return false;
+    }
+  };
+
+  const value = {
+    categories,
+    loading,
+    error,
+    getCategories: getTaxonomyCategories,
+    getSubcategories: getTaxonomySubcategories,
+    getCategoryById: getTaxonomyCategoryById,
+    getCategoryLabel,
+    getRootCategoryId,
+    addCategory,
+    updateCategory,
+    archiveCategory,
+    moveCategory,
+    learnedModel,
+    recordCategoryChoice,
+    forgetMerchant,
+    resetLearning,
+  };
+
+  return (
+    <CategoryContext.Provider value={value}>
+      {children}
+    </CategoryContext.Provider>
+  );
+};
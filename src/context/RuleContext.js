@@ -0,0 +1,296 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAuth } from './AuthContext';
+import { useTransactions } from './TransactionContext';
+import { auth } from '../utils/firebase';
+import {
+  getRulesQuery,
+  createRuleId,
+  saveRule,
+  saveRules,
+  removeRule,
+} from '../utils/repository';
+import { applyRules, previewRules, validateRule } from '../utils/rulesEngine';
+import { normalizeTags } from '../utils/tagUtils';
+
+const RuleContext = createContext();
+
+// AsyncStorage key for the cached rules
+export const getRulesKey = (userId) => `rules_${userId}`;
+
+// Only the fields a rule action can set are kept
+const normalizeActions = (actions = {}) => ({
+  category: actions.category || null,
+  tags: normalizeTags(actions.tags || []),
+  note: actions.note?.trim() || null,
+  accountId: actions.accountId || null,
+});
+
+export const useRules = () => {
+  return useContext(RuleContext);
+};
+
+export const RuleProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { getTransactionHistory, updateTransactions } = useTransactions();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Subscribe to the user's rules in Firestore when user changes
+  useEffect(() => {
+    if (!user) {
+      setRules([]);
+      setLoading(false);
+      return;
+    }
+
+    let unsubscribeSnapshot = null;
+    let isCancelled = false;
+
+    const subscribeToRules = async () => {
+      setLoading(true);
+      setError('');
+
+      const firebaseUid = auth.currentUser?.uid;
+      if (!firebaseUid) {
+        setLoading(false);
+        return;
+      }
+
+      // Show cached rules while Firestore loads
+      try {
+        const cachedData = await AsyncStorage.getItem(getRulesKey(firebaseUid));
+        if (cachedData && !isCancelled) {
+          setRules(JSON.parse(cachedData));
+          setLoading(false);
+        }
+      } catch (storageError) {
+        console.error('Failed to load cached rules:', storageError);
+      }
+
+      if (isCancelled) return;
+
+      unsubscribeSnapshot = onSnapshot(getRulesQuery(firebaseUid), (snapshot) => {
+        const userRules = snapshot.docs.map(ruleDoc => ({ id: ruleDoc.id, ...ruleDoc.data() }));
+
+        setRules(userRules);
+        setError('');
+        setLoading(false);
+
+        AsyncStorage.setItem(getRulesKey(firebaseUid), JSON.stringify(userRules))
+          .catch(storageError => console.error('Failed to cache rules:', storageError));
+      }, (error) => {
+        console.error('Failed to load rules:', error);
+
+        if (error.code === 'permission-denied') {
+          setError('Permission denied: You do not have access to these rules.');
+        } else {
+          setError('Failed to load rules. Please try again later.');
+        }
+        setLoading(false);
+      });
+
+      if (isCancelled) {
+        unsubscribeSnapshot();
+      }
+    };
+
+    subscribeToRules();
+
+    return () => {
+      isCancelled = true;
+      if (unsubscribeSnapshot) {
+        unsubscribeSnapshot();
+      }
+    };
+  }, [user]);
+
+  // Add a new rule at the end of the list
+  const addRule = async (rule) => {
+    setError('');
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) {
+      setError('You must be logged in to add a rule');
+      return false;
+    }
+
+    const newRule = {
+      id: createRuleId(firebaseUid),
+      name: rule.name?.trim(),
+      enabled: true,
+      conditions: rule.conditions || [],
+      actions: normalizeActions(rule.actions),
+      order: rules.reduce((max, r) => Math.max(max, r.order), 0) + 1,
+      createdAt: new Date().toISOString(),
+    };
+
+    const validationError = validateRule(newRule);
+    if (validationError) {
+      setError(validationError);
+      return false;
+    }
+
+    try {
+      await saveRule(firebaseUid, newRule);
+      return true;
+    } catch (error) {
+      console.error('Error adding rule:', error);
+      setError('Failed to add rule. Please try again.');
+      return false;
+    }
+  };
+
+  // Update an existing rule
+  const updateRule = async (id, updates) => {
+    setError('');
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) {
+      setError('You must be logged in to update a rule');
+      return false;
+    }
+
+    const existing = rules.find(r => r.id === id);
+    if (!existing) {
+      setError('Rule not found');
+      return false;
+    }
+
+    const updatedRule = {
+      ...existing,
+      ...updates,
+      name: (updates.name ?? existing.name).trim(),
+      actions: normalizeActions(updates.actions || existing.actions),
+    };
+
+    const validationError = validateRule(updatedRule);
+    if (validationError) {
+      setError(validationError);
+      return false;
+    }
+
+    try {
+      await saveRule(firebaseUid, {
+        ...updatedRule,
+        updatedAt: new Date().toISOString(),
+      });
+      return true;
+    } catch (error) {
+      console.error('Error updating rule:', error);
+      setError('Failed to update rule. Please try again.');
+      return false;
+    }
+  };
+
+  // Turn a rule off without deleting it
+  const toggleRule = (id) => {
+    const rule = rules.find(r => r.id === id);
+    return rule ? updateRule(id, { enabled: !rule.enabled }) : false;
+  };
+
+  // Delete a rule
+  const deleteRule = async (id) => {
+    setError('');
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) {
+      setError('You must be logged in to delete a rule');
+      return false;
+    }
+
+    try {
+      await removeRule(firebaseUid, id);
+      return true;
+    } catch (error) {
+      console.error('Error deleting rule:', error);
+      setError('Failed to delete rule. Please try again.');
+      return false;
+    }
+  };
+
+  // Move a rule one place up (-1) or down (1); earlier rules win
+  const moveRule = async (id, direction) => {
+    setError('');
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) {
+      setError('You must be logged in to reorder rules');
+      return false;
+    }
+
+    const index = rules.findIndex(r => r.id === id);
+    const targetIndex = index + direction;
+    if (index < 0 || targetIndex < 0 || targetIndex >= rules.length) return false;
+
+    const reordered = [...rules];
+    [reordered[index], reordered[targetIndex]] = [reordered[targetIndex], reordered[index]];
+
+    try {
+      await saveRules(firebaseUid, reordered.map((r, i) => ({ id: r.id, order: i + 1 })));
+      return true;
+    } catch (error) {
+      console.error('Error reordering rules:', error);
+      setError('Failed to reorder rules. Please try again.');
+      return false;
+    }
+  };
+
+  // Run the user's rules against a new transaction, filling in what is missing.
+  // Stable while the rules are unchanged, so screens can memoize on it.
+  const runRules = useCallback((transaction) => {
+    return applyRules(transaction, rules, { overwrite: false }).transaction;
+  }, [rules]);
+
+  // Work out what re-applying every rule would change across all transactions
+  const previewReapplyRules = async () => {
+    setError('');
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) {
+      setError('You must be logged in to apply rules');
+      return null;
+    }
+
+    try {
+      const transactions = await getTransactionHistory();
+      return previewRules(transactions, rules);
+    } catch (error) {
+      console.error('Error previewing rules:', error);
+      setError('Failed to load transactions. Please try again.');
+      return null;
+    }
+  };
+
+  // Save the changes from a preview through the transaction outbox, so
+  // loaded transactions and the cache stay current and it works offline
+  const reapplyRules = async (previewEntries) => {
+    setError('');
+
+    const saved = await updateTransactions(previewEntries.map(({ transaction, changes }) => ({
+      transaction,
+      changes: Object.fromEntries(Object.entries(changes).map(([field, { to }]) => [field, to])),
+    })));
+    if (!saved) {
+      setError('Failed to apply rules. Please try again.');
+    }
+    return saved;
+  };
+
+  const value = {
+    rules,
+    loading,
+    error,
+    addRule,
+    updateRule,
+    toggleRule,
+    deleteRule,
+    moveRule,
+    runRules,
+    previewReapplyRules,
+    reapplyRules,
+  };
+
+  return (
+    <RuleContext.Provider value={value}>
+      {children}
+    </RuleContext.Provider>
+  );
+};
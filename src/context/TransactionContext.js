@@ -1,26 +1,81 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import { 
-  collection, 
-  query, 
-  where, 
-  getDocs, 
-  addDoc, 
-  doc, 
-  updateDoc, 
-  deleteDoc, 
-  orderBy, 
-  Timestamp,
-  getDoc,
-  setDoc
-} from 'firebase/firestore';
-import { db } from '../utils/firebase';
+import React, { createContext, useContext, useState, useEffect, useRef, useMemo } from 'react';
+import { AppState } from 'react-native';
+import { onSnapshot } from 'firebase/firestore';
 import { useAuth } from './AuthContext';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { calculateFinancialSummary } from '../utils/dataUtils';
+import { calculateFinancialSummary, updateFinancialSummary, hasCategory } from '../utils/dataUtils';
+import { hasTag, normalizeTag, countTags, updateTagCounts, sortTagsByUse } from '../utils/tagUtils';
 import { auth } from '../utils/firebase';
+import {
+  SYNC_STATUS,
+  OUTBOX_OPERATIONS,
+  loadOutbox,
+  loadFailedOperations,
+  enqueueOperations,
+  flushOutbox,
+  applyOutbox,
+  applyFailedOperations,
+  retryFailedOperations,
+  discardFailedOperations,
+  isOnline,
+  isRetryableError,
+  subscribeToReconnect,
+} from '../utils/syncQueue';
+import {
+  getTransactionsQuery,
+  getTransactionsPage,
+  getTransactions,
+  getTransactionSummary,
+  getTransaction,
+  fromTransactionDoc,
+  toTransactionDoc,
+  createTransactionId,
+  commitWrites,
+  migrateUserData,
+} from '../utils/repository';
+import {
+  getMonthKey,
+  loadCachedTransactions,
+  getPreviousCachedMonth,
+  cacheTransactions,
+  loadCachedSummary,
+  cacheSummary,
+  loadCachedTagCounts,
+  cacheTagCounts,
+  clearTransactionCache,
+} from '../utils/transactionCache';
+import {
+  findDuplicatePairs,
+  getMergeChanges,
+  loadDismissedPairs,
+  dismissPair,
+} from '../utils/duplicateDetector';
 
 const TransactionContext = createContext();
 
+// Months kept in sync in real time (current and previous); older history is paged in
+const RECENT_WINDOW_MONTHS = 2;
+
+// Start of the real-time window
+const getRecentWindowStart = () => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth() - (RECENT_WINDOW_MONTHS - 1), 1);
+};
+
+// Month keys covered by the real-time window, newest first
+const getRecentMonthKeys = (windowStart) => {
+  return Array.from({ length: RECENT_WINDOW_MONTHS }, (_, index) => (
+    getMonthKey(new Date(windowStart.getFullYear(), windowStart.getMonth() + index, 1))
+  )).reverse();
+};
+
+// Message shown when Firestore rejects a queued change
+const getSyncErrorMessage = (error) => {
+  if (error?.code === 'permission-denied') {
+    return 'Permission denied: Some changes could not be saved to your account.';
+  }
+  return 'Some changes could not be synced. Please review the transactions marked as failed.';
+};
+
 export const useTransactions = () => {
   return useContext(TransactionContext);
 };
@@ -30,82 +85,137 @@ export const TransactionProvider = ({ children }) => {
   const [transactions, setTransactions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [pendingSyncCount, setPendingSyncCount] = useState(0);
+  const [hasMoreTransactions, setHasMoreTransactions] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Latest transactions, stats and outbox for async callbacks that outlive a render
+  const transactionsRef = useRef([]);
+  const statsRef = useRef(null);
+  const outboxRef = useRef([]);
+  // Operations Firestore rejected, kept until the user retries or discards them
+  const failedOperationsRef = useRef([]);
+  const syncPromiseRef = useRef(null);
+  // Paging state for history older than the real-time window
+  const windowStartRef = useRef(getRecentWindowStart());
+  const pageCursorRef = useRef(null);
+  const loadingMoreRef = useRef(false);
   const [stats, setStats] = useState({
     balance: 0,
     income: 0,
     expense: 0,
     categories: {}
   });
+  // How many transactions across the whole history use each tag; null until
+  // loaded from the cache or counted from the history
+  const tagCountsRef = useRef(null);
+  const [tagCounts, setTagCounts] = useState(Object.create(null));
 
-  // Load transactions from Firestore when user changes
+  // Subscribe to the user's transactions in Firestore when user changes
   useEffect(() => {
-    const loadTransactions = async () => {
+    // Start paging from the top again for the new user
+    windowStartRef.current = getRecentWindowStart();
+    pageCursorRef.current = null;
+    setHasMoreTransactions(true);
+
+    replaceTagCounts(null);
+
+    if (!user) {
+      transactionsRef.current = [];
+      outboxRef.current = [];
+      failedOperationsRef.current = [];
+      setTransactions([]);
+      setPendingSyncCount(0);
+      resetStats();
+      setLoading(false);
+      return;
+    }
+
+    let unsubscribeSnapshot = null;
+    let isCancelled = false;
+    let isFirstSnapshot = true;
+
+    const subscribeToTransactions = async () => {
       setLoading(true);
       setError('');
       
+      // Get the Firebase auth UID directly to avoid any ID mismatch issues
+      const firebaseUid = auth.currentUser?.uid;
+      if (!firebaseUid) {
+        console.error('Failed to load transactions: Firebase auth user not found');
+        setError('Failed to load transactions. Please try again later.');
+        setLoading(false);
+        return;
+      }
+      
+      // First load the recent months from AsyncStorage for quick display
       try {
-        if (user) {
-          // Get the Firebase auth UID directly to avoid any ID mismatch issues
-          const firebaseUid = auth.currentUser?.uid;
-          if (!firebaseUid) {
-            throw new Error('Firebase auth user not found');
-          }
-          
-          // First try to load from AsyncStorage for quick display
-          const cachedData = await AsyncStorage.getItem(`transactions_${firebaseUid}`);
-          if (cachedData) {
-            const parsedTransactions = JSON.parse(cachedData);
-            setTransactions(parsedTransactions);
-            const financialSummary = calculateFinancialSummary(parsedTransactions);
-            setStats({
-              ...financialSummary,
-              categories: {}
-            });
-          }
-          
-          // Then load from Firestore (network)
-          const transactionsRef = collection(db, 'transactions');
-          const q = query(
-            transactionsRef, 
-            where('userId', '==', firebaseUid),
-            orderBy('date', 'desc')
-          );
-          
-          const querySnapshot = await getDocs(q);
-          const transactionsList = [];
-          
-          querySnapshot.forEach((doc) => {
-            const data = doc.data();
-            // Convert Firestore timestamps to ISO strings
-            const transaction = {
-              id: data.id || doc.id, // Use the internal ID if available, otherwise use Firestore ID
-              firestoreId: doc.id,   // Always store the Firestore document ID
-              ...data,
-              date: data.date.toDate().toISOString(),
-              createdAt: data.createdAt?.toDate().toISOString(),
-              updatedAt: data.updatedAt?.toDate().toISOString(),
-            };
-            transactionsList.push(transaction);
-          });
+        const cachedTransactions = await loadCachedTransactions(
+          firebaseUid,
+          getRecentMonthKeys(windowStartRef.current)
+        );
+        const cachedSummary = await loadCachedSummary(firebaseUid);
+        const cachedTagCounts = await loadCachedTagCounts(firebaseUid);
+        
+        if (!isCancelled && cachedTagCounts) {
+          replaceTagCounts(cachedTagCounts);
+        }
+        if (!isCancelled && (cachedTransactions.length > 0 || cachedSummary)) {
+          transactionsRef.current = cachedTransactions;
+          setTransactions(cachedTransactions);
+          setSummary(cachedSummary || calculateFinancialSummary(cachedTransactions));
+          setLoading(false);
+        }
+      } catch (storageError) {
+        console.error('Failed to load cached transactions:', storageError);
+      }
+
+      const outbox = await loadOutbox(firebaseUid);
+      const failedOperations = await loadFailedOperations(firebaseUid);
+      if (isCancelled) return;
+      outboxRef.current = outbox;
+      failedOperationsRef.current = failedOperations;
+      setPendingSyncCount(outbox.length);
+      
+      // Move data written by older app versions into the transactions collection.
+      // The listener below picks the migrated documents up as they arrive.
+      migrateUserData(firebaseUid)
+        .catch(migrationError => console.error('Failed to migrate user data:', migrationError));
+      
+      // Then listen to Firestore (network)
+      const recentQuery = getTransactionsQuery(firebaseUid, windowStartRef.current);
+      unsubscribeSnapshot = onSnapshot(recentQuery, (snapshot) => {
+        if (isFirstSnapshot) {
+          isFirstSnapshot = false;
           
-          // Save to state and AsyncStorage
-          setTransactions(transactionsList);
-          await AsyncStorage.setItem(
-            `transactions_${firebaseUid}`, 
-            JSON.stringify(transactionsList)
+          // The first snapshot is the whole recent window, so rebuild from it
+          // while keeping changes that are still waiting to be synced or
+          // were rejected
+          const transactionsList = applyFailedOperations(
+            snapshot.docs.map(fromTransactionDoc),
+            failedOperationsRef.current
           );
-          
-          // Calculate statistics
-          const financialSummary = calculateFinancialSummary(transactionsList);
-          setStats({
-            ...financialSummary,
-            categories: {}
-          });
-        } else {
-          setTransactions([]);
-          resetStats();
+          persistTransactions(applyOutbox(transactionsList, outboxRef.current), firebaseUid)
+            .catch(storageError => console.error('Failed to cache transactions:', storageError));
+          setError('');
+          setLoading(false);
+
+          // Replay anything queued while the app was offline or closed,
+          // then fetch totals for the full history from the server
+          if (outboxRef.current.length > 0) {
+            syncPendingChanges().then(() => refreshSummary(firebaseUid));
+          } else {
+            refreshSummary(firebaseUid);
+          }
+
+          // Tags are counted over the whole history once, then kept up to date
+          if (!tagCountsRef.current) {
+            rebuildTagCounts(firebaseUid);
+          }
+          return;
         }
-      } catch (error) {
+
+        applySnapshotChanges(snapshot.docChanges(), firebaseUid);
+      }, (error) => {
         console.error('Failed to load transactions:', error);
         
         // Provide more specific error messages
@@ -117,39 +227,52 @@ export const TransactionProvider = ({ children }) => {
           setError('Failed to load transactions. Please try again later.');
         }
         
-        // Still use cached data if available
-        try {
-          // Get the Firebase auth UID for AsyncStorage
-          const firebaseUid = auth.currentUser?.uid;
-          const cachedData = await AsyncStorage.getItem(`transactions_${firebaseUid || user?.id}`);
-          if (cachedData) {
-            const parsedTransactions = JSON.parse(cachedData);
-            setTransactions(parsedTransactions);
-            const financialSummary = calculateFinancialSummary(parsedTransactions);
-            setStats({
-              ...financialSummary,
-              categories: {}
-            });
-          }
-        } catch (storageError) {
-          console.error('Failed to load cached transactions:', storageError);
-        }
-      } finally {
+        // Cached data (if any) stays on screen
         setLoading(false);
+      });
+
+      if (isCancelled) {
+        unsubscribeSnapshot();
       }
     };
 
-    if (user) {
-      loadTransactions();
-    } else {
-      setTransactions([]);
-      resetStats();
-      setLoading(false);
-    }
+    subscribeToTransactions();
+
+    // Stop listening on logout or user switch
+    return () => {
+      isCancelled = true;
+      if (unsubscribeSnapshot) {
+        unsubscribeSnapshot();
+      }
+    };
+  }, [user]);
+
+  // Replay queued changes when connectivity returns or the app comes to the foreground
+  useEffect(() => {
+    if (!user) return;
+
+    const handleResume = async () => {
+      await syncPendingChanges();
+      refreshSummary(auth.currentUser?.uid);
+    };
+
+    const unsubscribeNetwork = subscribeToReconnect(handleResume);
+
+    const appStateSubscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'active') {
+        handleResume();
+      }
+    });
+
+    return () => {
+      unsubscribeNetwork();
+      appStateSubscription.remove();
+    };
   }, [user]);
 
   // Reset stats to initial state
   const resetStats = () => {
+    statsRef.current = null;
     setStats({
       balance: 0,
       income: 0,
@@ -158,6 +281,367 @@ export const TransactionProvider = ({ children }) => {
     });
   };
 
+  // Replace the income, expense and balance totals
+  const setSummary = (summary) => {
+    const updatedStats = {
+      ...summary,
+      categories: {}
+    };
+    statsRef.current = updatedStats;
+    setStats(updatedStats);
+    return updatedStats;
+  };
+
+  // Apply [previous, next] transaction pairs to the totals and cache the result
+  const applySummaryChanges = (summaryChanges, firebaseUid) => {
+    if (summaryChanges.length === 0) return;
+
+    const updatedStats = setSummary(summaryChanges.reduce(
+      (summary, [previous, next]) => updateFinancialSummary(summary, previous, next),
+      statsRef.current || calculateFinancialSummary(transactionsRef.current)
+    ));
+
+    cacheSummary(firebaseUid, updatedStats)
+      .catch(storageError => console.error('Failed to cache summary:', storageError));
+  };
+
+  // Fetch totals for the full history from the server. Skipped while changes
+  // are queued because the server totals would not include them yet.
+  const refreshSummary = async (firebaseUid) => {
+    if (!firebaseUid || outboxRef.current.length > 0) return;
+
+    try {
+      const summary = await getTransactionSummary(firebaseUid);
+      const updatedStats = setSummary(summary);
+      await cacheSummary(firebaseUid, updatedStats);
+    } catch (summaryError) {
+      // Keep the cached totals until the server can be reached
+      console.error('Failed to load transaction summary:', summaryError);
+    }
+  };
+
+  // Replace the tag usage counts (null until they are known)
+  const replaceTagCounts = (counts) => {
+    tagCountsRef.current = counts;
+    setTagCounts(counts || Object.create(null));
+  };
+
+  // Count tags over the whole history and cache the result. Offline the
+  // counts stay unknown, so they are counted again on the next start.
+  const rebuildTagCounts = async (firebaseUid) => {
+    try {
+      const counts = countTags(await getTransactionHistory());
+      if (auth.currentUser?.uid !== firebaseUid) return;
+      replaceTagCounts(counts);
+      await cacheTagCounts(firebaseUid, counts);
+    } catch (tagError) {
+      console.error('Failed to count tags:', tagError);
+    }
+  };
+
+  // Apply [previous, next] transaction pairs to the tag counts and cache the result
+  const applyTagChanges = (tagChanges, firebaseUid) => {
+    if (!tagCountsRef.current || tagChanges.length === 0) return;
+
+    const counts = tagChanges.reduce(
+      (acc, [previous, next]) => updateTagCounts(acc, previous, next),
+      tagCountsRef.current
+    );
+    replaceTagCounts(counts);
+
+    cacheTagCounts(firebaseUid, counts)
+      .catch(storageError => console.error('Failed to cache tags:', storageError));
+  };
+
+  // Reload the full-history totals
+  const refreshStats = () => refreshSummary(auth.currentUser?.uid);
+
+  // Forget everything loaded or cached beyond the real-time window after
+  // transactions were written outside this context, e.g. by restoring a
+  // backup. The listener brings the window up to date; older history, the
+  // totals and the tag counts are fetched again.
+  const reloadTransactions = async () => {
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) return;
+
+    const windowTransactions = transactionsRef.current
+      .filter(transaction => new Date(transaction.date) >= windowStartRef.current);
+    pageCursorRef.current = null;
+    setHasMoreTransactions(true);
+
+    try {
+      await clearTransactionCache(firebaseUid);
+      // The cache is empty now, so every month in the window is written again
+      transactionsRef.current = [];
+      await persistTransactions(windowTransactions, firebaseUid);
+    } catch (storageError) {
+      console.error('Failed to reset cached transactions:', storageError);
+    }
+
+    replaceTagCounts(null);
+    await Promise.all([refreshSummary(firebaseUid), rebuildTagCounts(firebaseUid)]);
+  };
+
+  // Save a new transaction list to state and the month-bucketed cache
+  const persistTransactions = async (updatedTransactions, firebaseUid) => {
+    const previousTransactions = transactionsRef.current;
+    transactionsRef.current = updatedTransactions;
+    setTransactions(updatedTransactions);
+
+    await cacheTransactions(firebaseUid, updatedTransactions, previousTransactions);
+  };
+
+  // Save a new transaction list to state, cache and stats in one go
+  const commitTransactions = async (updatedTransactions, firebaseUid, summaryChanges = []) => {
+    applySummaryChanges(summaryChanges, firebaseUid);
+    applyTagChanges(summaryChanges, firebaseUid);
+    await persistTransactions(updatedTransactions, firebaseUid);
+  };
+
+  // Fetch the next page of history older than the real-time window
+  const loadMoreTransactions = async () => {
+    if (!user || loadingMoreRef.current || !hasMoreTransactions) return;
+
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) return;
+
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+
+    try {
+      let olderTransactions = [];
+
+      try {
+        const page = await getTransactionsPage(firebaseUid, {
+          before: windowStartRef.current,
+          cursor: pageCursorRef.current,
+        });
+        pageCursorRef.current = page.cursor;
+        olderTransactions = page.transactions;
+        setHasMoreTransactions(page.hasMore);
+      } catch (pageError) {
+        if (!isRetryableError(pageError)) {
+          throw pageError;
+        }
+
+        // Offline: show the next month we have cached instead
+        const oldestDate = transactionsRef.current.reduce(
+          (oldest, t) => (new Date(t.date) < oldest ? new Date(t.date) : oldest),
+          windowStartRef.current
+        );
+        const previousMonth = await getPreviousCachedMonth(firebaseUid, getMonthKey(oldestDate));
+        if (previousMonth) {
+          olderTransactions = await loadCachedTransactions(firebaseUid, [previousMonth]);
+        }
+      }
+
+      // Skip anything already loaded or deleted while offline
+      const pendingDocIds = new Set(outboxRef.current.map(op => op.firestoreId));
+      const loadedIds = new Set(transactionsRef.current.map(t => t.firestoreId || t.id));
+      const newTransactions = olderTransactions.filter(t => (
+        !loadedIds.has(t.firestoreId || t.id) && !pendingDocIds.has(t.firestoreId)
+      ));
+
+      if (newTransactions.length > 0) {
+        await persistTransactions([...transactionsRef.current, ...newTransactions], firebaseUid);
+      }
+    } catch (error) {
+      console.error('Failed to load more transactions:', error);
+      setError('Failed to load older transactions. Please try again later.');
+    } finally {
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
+    }
+  };
+
+  // Merge changes pushed by Firestore (e.g. from another device) into local state
+  const applySnapshotChanges = (changes, firebaseUid) => {
+    // Local changes waiting in the outbox or rejected win over the server copy
+    const pendingDocIds = new Set(
+      [...outboxRef.current, ...failedOperationsRef.current].map(op => op.firestoreId)
+    );
+    const summaryChanges = [];
+    let updatedTransactions = transactionsRef.current;
+
+    changes.forEach((change) => {
+      if (pendingDocIds.has(change.doc.id)) return;
+
+      const existingIndex = updatedTransactions.findIndex(t => (
+        t.firestoreId ? t.firestoreId === change.doc.id : t.id === change.doc.id
+      ));
+      const previous = existingIndex >= 0 ? updatedTransactions[existingIndex] : null;
+
+      if (change.type === 'removed') {
+        if (!previous) return;
+        updatedTransactions = updatedTransactions.filter((_, index) => index !== existingIndex);
+        summaryChanges.push([previous, null]);
+        return;
+      }
+
+      // 'added' or 'modified'
+      const next = fromTransactionDoc(change.doc);
+      updatedTransactions = previous
+        ? updatedTransactions.map((t, index) => (index === existingIndex ? next : t))
+        : [...updatedTransactions, next];
+      summaryChanges.push([previous, next]);
+    });
+
+    if (summaryChanges.length === 0) return;
+
+    // Update stats incrementally instead of re-reading every transaction
+    commitTransactions(updatedTransactions, firebaseUid, summaryChanges)
+      .catch(storageError => console.error('Failed to cache transactions:', storageError));
+  };
+
+  // Apply a run of queued operations to Firestore in one batched write
+  const executeOutboxOperations = (operations) => commitWrites(operations.map((operation) => {
+    const path = ['transactions', operation.firestoreId];
+
+    switch (operation.type) {
+      case OUTBOX_OPERATIONS.ADD:
+        return { path, data: toTransactionDoc(operation.payload) };
+      case OUTBOX_OPERATIONS.UPDATE:
+        return { path, data: toTransactionDoc(operation.payload), merge: true };
+      case OUTBOX_OPERATIONS.DELETE:
+        return { path, remove: true };
+      default:
+        throw new Error(`Unknown outbox operation: ${operation.type}`);
+    }
+  }));
+
+  // Fetch the server copy of the transactions behind some operations. Those
+  // already loaded or no longer on the server are left out.
+  const getServerCopies = async (operations) => {
+    const loadedIds = new Set(transactionsRef.current.map(t => t.id));
+    const serverCopies = await Promise.all(operations
+      .filter(operation => !loadedIds.has(operation.transactionId))
+      .map(operation => getTransaction(operation.firestoreId).catch((fetchError) => {
+        console.error('Failed to fetch transaction:', fetchError);
+        return null;
+      })));
+    return serverCopies.filter(Boolean);
+  };
+
+  // Replay the outbox and update the sync status of affected transactions
+  const replayOutbox = async (firebaseUid) => {
+    if (!(await isOnline())) {
+      return { synced: [], failed: [] };
+    }
+
+    const result = await flushOutbox(firebaseUid, executeOutboxOperations);
+    if (result.synced.length === 0 && result.failed.length === 0) {
+      return result;
+    }
+
+    const outbox = await loadOutbox(firebaseUid);
+    const failedOperations = await loadFailedOperations(firebaseUid);
+    outboxRef.current = outbox;
+    failedOperationsRef.current = failedOperations;
+    const pendingIds = new Set(outbox.map(op => op.transactionId));
+    const failedIds = new Set(failedOperations.map(op => op.transactionId));
+
+    // A rejected delete leaves the transaction on the server, so show it again
+    const restoredTransactions = await getServerCopies(result.failed
+      .map(({ operation }) => operation)
+      .filter(operation => operation.type === OUTBOX_OPERATIONS.DELETE));
+
+    const updatedTransactions = [...transactionsRef.current, ...restoredTransactions].map(transaction => {
+      if (pendingIds.has(transaction.id)) {
+        return { ...transaction, syncStatus: SYNC_STATUS.PENDING };
+      }
+      if (failedIds.has(transaction.id)) {
+        return { ...transaction, syncStatus: SYNC_STATUS.FAILED };
+      }
+      if (transaction.syncStatus) {
+        const { syncStatus, ...syncedTransaction } = transaction;
+        return syncedTransaction;
+      }
+      return transaction;
+    });
+
+    setPendingSyncCount(outbox.length);
+    await commitTransactions(
+      updatedTransactions,
+      firebaseUid,
+      restoredTransactions.map(transaction => [null, transaction])
+    );
+
+    if (result.failed.length > 0) {
+      setError(getSyncErrorMessage(result.failed[0].error));
+    }
+
+    // Server totals are accurate again once nothing is waiting to sync
+    await refreshSummary(firebaseUid);
+
+    return result;
+  };
+
+  // Sync queued changes with Firestore, one replay at a time
+  const syncPendingChanges = async () => {
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) {
+      return { synced: [], failed: [] };
+    }
+
+    // Wait for a replay already in flight so operations are not sent twice
+    if (syncPromiseRef.current) {
+      await syncPromiseRef.current.catch(() => {});
+    }
+
+    const replay = replayOutbox(firebaseUid);
+    syncPromiseRef.current = replay;
+
+    try {
+      return await replay;
+    } catch (error) {
+      console.error('Failed to sync pending changes:', error);
+      return { synced: [], failed: [] };
+    } finally {
+      if (syncPromiseRef.current === replay) {
+        syncPromiseRef.current = null;
+      }
+    }
+  };
+
+  // Queue operations once any replay in flight has finished
+  const queueOperations = async (firebaseUid, operations) => {
+    if (syncPromiseRef.current) {
+      await syncPromiseRef.current.catch(() => {});
+    }
+
+    const outbox = await enqueueOperations(firebaseUid, operations);
+    outboxRef.current = outbox;
+    setPendingSyncCount(outbox.length);
+  };
+
+  const queueOperation = (firebaseUid, operation) => queueOperations(firebaseUid, [operation]);
+
+  // Returns false if the given transaction was rejected by Firestore
+  const syncAndCheck = async (transactionId) => {
+    const { failed } = await syncPendingChanges();
+    return !failed.some(({ operation }) => operation.transactionId === transactionId);
+  };
+
+  // Build the queued add for a new transaction. The Firestore document ID is
+  // reserved up front so a replay never creates duplicates.
+  const createAddOperation = (transaction, firebaseUid) => {
+    const firestoreId = createTransactionId();
+
+    return {
+      type: OUTBOX_OPERATIONS.ADD,
+      transactionId: transaction.id || firestoreId,
+      firestoreId,
+      payload: {
+        ...transaction,
+        id: transaction.id || firestoreId,
+        userId: firebaseUid,
+        amount: Number(transaction.amount),
+        date: new Date(transaction.date || new Date()).toISOString(),
+        createdAt: new Date().toISOString(),
+      },
+    };
+  };
+
   // Add a new transaction
   const addTransaction = async (transaction) => {
     try {
@@ -170,53 +654,24 @@ export const TransactionProvider = ({ children }) => {
       if (!firebaseUid) {
         throw new Error('Firebase auth user not found');
       }
-      
-      const newTransaction = {
-        ...transaction,
-        userId: firebaseUid,
-        amount: Number(transaction.amount),
-        date: Timestamp.fromDate(new Date(transaction.date || new Date())),
-        createdAt: Timestamp.now(),
-      };
 
-      // Add to Firestore
-      const docRef = await addDoc(collection(db, 'transactions'), newTransaction);
-      
-      // Convert for local state
-      const transactionForState = {
-        id: docRef.id,
-        ...newTransaction,
-        date: newTransaction.date.toDate().toISOString(),
-        createdAt: newTransaction.createdAt.toDate().toISOString(),
-      };
+      const operation = createAddOperation(transaction, firebaseUid);
+      const { payload: newTransaction, firestoreId } = operation;
 
-      // Update local state
-      const updatedTransactions = [...transactions, transactionForState];
-      setTransactions(updatedTransactions);
-      
-      // Update AsyncStorage
-      await AsyncStorage.setItem(
-        `transactions_${firebaseUid}`, 
-        JSON.stringify(updatedTransactions)
-      );
-      
-      // Update stats
-      const financialSummary = calculateFinancialSummary(updatedTransactions);
-      setStats({
-        ...financialSummary,
-        categories: {}
-      });
+      // Update local state right away, then queue the write
+      await commitTransactions([
+        ...transactionsRef.current,
+        { ...newTransaction, firestoreId, syncStatus: SYNC_STATUS.PENDING },
+      ], firebaseUid, [[null, newTransaction]]);
+
+      await queueOperation(firebaseUid, operation);
       
-      return true;
+      return await syncAndCheck(newTransaction.id);
     } catch (error) {
       console.error('Error adding transaction:', error);
       
       // Provide more specific error messages
-      if (error.code === 'permission-denied') {
-        setError('Permission denied: You do not have access to add transactions.');
-      } else if (error.code === 'unavailable' || error.code === 'network-request-failed') {
-        setError('Network error: Please check your internet connection.');
-      } else if (error.message.includes('User must be logged in')) {
+      if (error.message.includes('User must be logged in')) {
         setError('You must be logged in to add transactions.');
       } else {
         setError('Failed to add transaction. Please try again later.');
@@ -226,6 +681,48 @@ export const TransactionProvider = ({ children }) => {
     }
   };
 
+  // Add many transactions at once, e.g. from an imported statement. They are
+  // queued together and synced once, in batched writes, instead of one full
+  // sync per transaction.
+  // Returns { added, failed }, where failed counts those Firestore rejected
+  const addTransactions = async (transactions) => {
+    try {
+      if (!user) {
+        throw new Error('User must be logged in');
+      }
+
+      const firebaseUid = auth.currentUser?.uid;
+      if (!firebaseUid) {
+        throw new Error('Firebase auth user not found');
+      }
+
+      if (transactions.length === 0) return { added: 0, failed: 0 };
+
+      const operations = transactions.map(transaction => createAddOperation(transaction, firebaseUid));
+
+      await commitTransactions([
+        ...transactionsRef.current,
+        ...operations.map(({ payload, firestoreId }) => ({
+          ...payload,
+          firestoreId,
+          syncStatus: SYNC_STATUS.PENDING,
+        })),
+      ], firebaseUid, operations.map(({ payload }) => [null, payload]));
+
+      await queueOperations(firebaseUid, operations);
+
+      const addedIds = new Set(operations.map(operation => operation.transactionId));
+      const { failed } = await syncPendingChanges();
+      const failedCount = failed.filter(({ operation }) => addedIds.has(operation.transactionId)).length;
+
+      return { added: operations.length - failedCount, failed: failedCount };
+    } catch (error) {
+      console.error('Error adding transactions:', error);
+      setError('Failed to add transactions. Please try again later.');
+      return { added: 0, failed: transactions.length };
+    }
+  };
+
   // Update a transaction
   const updateTransaction = async (id, updatedData) => {
     try {
@@ -238,76 +735,54 @@ export const TransactionProvider = ({ children }) => {
       if (!firebaseUid) {
         throw new Error('Firebase auth user not found');
       }
+
+      const existingTransaction = transactionsRef.current.find(t => t.id === id);
+      const firestoreId = existingTransaction?.firestoreId || id;
       
       // Prepare data for Firestore
-      const dataForFirestore = {
+      const changes = {
         ...updatedData,
+        id,
         userId: firebaseUid, // Use Firebase auth UID directly
         amount: Number(updatedData.amount),
-        updatedAt: Timestamp.now(),
+        updatedAt: new Date().toISOString(),
       };
       
       // Handle date conversion if present
       if (updatedData.date) {
-        dataForFirestore.date = Timestamp.fromDate(
-          new Date(updatedData.date)
-        );
+        changes.date = new Date(updatedData.date).toISOString();
       }
-      
-      // First check if document exists
-      const transactionRef = doc(db, 'transactions', id);
-      
-      try {
-        // Check if document exists before updating
-        const docSnap = await getDoc(transactionRef);
-        
-        if (docSnap.exists()) {
-          // Document exists, update it
-          await updateDoc(transactionRef, dataForFirestore);
-        } else {
-          // Document doesn't exist, create it with the specified ID
-          await setDoc(transactionRef, {
-            ...dataForFirestore,
-            id,
-            userId: firebaseUid, // Use Firebase auth UID directly
-            createdAt: Timestamp.now()
-          });
-        }
-      } catch (docError) {
-        // Handle document operation errors
-        console.error('Document operation error:', docError);
-        throw docError;
+
+      // Transactions that never reached Firestore still need their creation fields
+      if (!existingTransaction?.createdAt) {
+        changes.createdAt = changes.updatedAt;
       }
       
       // Update local state
-      const updatedTransactions = transactions.map(transaction => {
+      const updatedTransactions = transactionsRef.current.map(transaction => {
         if (transaction.id === id) {
           return {
             ...transaction,
-            ...updatedData,
-            userId: firebaseUid,
-            updatedAt: new Date().toISOString(),
+            ...changes,
+            syncStatus: SYNC_STATUS.PENDING,
           };
         }
         return transaction;
       });
+      const updatedTransaction = updatedTransactions.find(t => t.id === id);
       
-      setTransactions(updatedTransactions);
-      
-      // Update AsyncStorage
-      await AsyncStorage.setItem(
-        `transactions_${firebaseUid}`, 
-        JSON.stringify(updatedTransactions)
-      );
-      
-      // Update stats
-      const financialSummary = calculateFinancialSummary(updatedTransactions);
-      setStats({
-        ...financialSummary,
-        categories: {}
+      await commitTransactions(updatedTransactions, firebaseUid, [
+        [existingTransaction || null, updatedTransaction || null],
+      ]);
+
+      await queueOperation(firebaseUid, {
+        type: OUTBOX_OPERATIONS.UPDATE,
+        transactionId: id,
+        firestoreId,
+        payload: changes,
       });
       
-      return true;
+      return await syncAndCheck(id);
     } catch (error) {
       console.error('Error updating transaction:', error);
       setError('Failed to update transaction');
@@ -315,6 +790,66 @@ export const TransactionProvider = ({ children }) => {
     }
   };
 
+  // Update many transactions at once, e.g. when rules are re-applied. Each
+  // entry is { transaction, changes }, where the transaction may be older
+  // than anything loaded. The changes are queued like single updates, so
+  // they apply offline too, and synced together.
+  const updateTransactions = async (updates) => {
+    try {
+      if (!user) {
+        throw new Error('User must be logged in');
+      }
+
+      const firebaseUid = auth.currentUser?.uid;
+      if (!firebaseUid) {
+        throw new Error('Firebase auth user not found');
+      }
+
+      if (updates.length === 0) return true;
+
+      const updatedAt = new Date().toISOString();
+      const loadedById = new Map(transactionsRef.current.map(t => [t.id, t]));
+      const changesById = new Map();
+      const summaryChanges = [];
+
+      const operations = updates.map(({ transaction, changes }) => {
+        const existingTransaction = loadedById.get(transaction.id) || transaction;
+        const payload = {
+          ...changes,
+          id: transaction.id,
+          userId: firebaseUid,
+          updatedAt,
+        };
+
+        changesById.set(transaction.id, payload);
+        summaryChanges.push([existingTransaction, { ...existingTransaction, ...payload }]);
+
+        return {
+          type: OUTBOX_OPERATIONS.UPDATE,
+          transactionId: transaction.id,
+          firestoreId: existingTransaction.firestoreId || transaction.id,
+          payload,
+        };
+      });
+
+      const updatedTransactions = transactionsRef.current.map(transaction => (
+        changesById.has(transaction.id)
+          ? { ...transaction, ...changesById.get(transaction.id), syncStatus: SYNC_STATUS.PENDING }
+          : transaction
+      ));
+
+      await commitTransactions(updatedTransactions, firebaseUid, summaryChanges);
+      await queueOperations(firebaseUid, operations);
+
+      const { failed } = await syncPendingChanges();
+      return !failed.some(({ operation }) => changesById.has(operation.transactionId));
+    } catch (error) {
+      console.error('Error updating transactions:', error);
+      setError('Failed to update transactions');
+      return false;
+    }
+  };
+
   // Delete a transaction
   const deleteTransaction = async (id) => {
     try {
@@ -329,7 +864,7 @@ export const TransactionProvider = ({ children }) => {
       }
 
       // Find the transaction in our local state to get any custom ID
-      const transactionToDelete = transactions.find(t => t.id === id);
+      const transactionToDelete = transactionsRef.current.find(t => t.id === id);
       if (!transactionToDelete) {
         throw new Error('Transaction not found');
       }
@@ -337,40 +872,25 @@ export const TransactionProvider = ({ children }) => {
       // Check if there's a Firestore ID mismatch between document ID and transaction.id field
       const firestoreId = transactionToDelete.firestoreId || id;
       
-      // Delete from Firestore
-      const transactionRef = doc(db, 'transactions', firestoreId);
-      await deleteDoc(transactionRef);
-      
       // Update local state
-      const updatedTransactions = transactions.filter(
+      const updatedTransactions = transactionsRef.current.filter(
         transaction => transaction.id !== id
       );
       
-      setTransactions(updatedTransactions);
-      
-      // Update AsyncStorage
-      await AsyncStorage.setItem(
-        `transactions_${firebaseUid}`, 
-        JSON.stringify(updatedTransactions)
-      );
-      
-      // Update stats
-      const financialSummary = calculateFinancialSummary(updatedTransactions);
-      setStats({
-        ...financialSummary,
-        categories: {}
+      await commitTransactions(updatedTransactions, firebaseUid, [[transactionToDelete, null]]);
+
+      await queueOperation(firebaseUid, {
+        type: OUTBOX_OPERATIONS.DELETE,
+        transactionId: id,
+        firestoreId,
       });
       
-      return true;
+      return await syncAndCheck(id);
     } catch (error) {
       console.error('Error deleting transaction:', error);
       
       // Provide more specific error messages
-      if (error.code === 'permission-denied') {
-        setError('Permission denied: You do not have access to delete this transaction.');
-      } else if (error.code === 'unavailable' || error.code === 'network-request-failed') {
-        setError('Network error: Please check your internet connection.');
-      } else if (error.message.includes('User must be logged in')) {
+      if (error.message.includes('User must be logged in')) {
         setError('You must be logged in to delete transactions.');
       } else if (error.message.includes('Transaction not found')) {
         setError('Transaction not found. It may have been already deleted.');
@@ -382,6 +902,170 @@ export const TransactionProvider = ({ children }) => {
     }
   };
 
+  // Queue the rejected changes to a transaction again, e.g. once whatever
+  // Firestore objected to has been fixed
+  const retryFailedChange = async (id) => {
+    try {
+      const firebaseUid = auth.currentUser?.uid;
+      if (!firebaseUid) {
+        throw new Error('Firebase auth user not found');
+      }
+
+      const operations = failedOperationsRef.current.filter(op => op.transactionId === id);
+      if (operations.length === 0) return true;
+
+      if (syncPromiseRef.current) {
+        await syncPromiseRef.current.catch(() => {});
+      }
+
+      const outbox = await retryFailedOperations(firebaseUid, id);
+      outboxRef.current = outbox;
+      failedOperationsRef.current = failedOperationsRef.current.filter(op => op.transactionId !== id);
+      setPendingSyncCount(outbox.length);
+
+      // A retried delete takes the transaction off the list again
+      const transaction = transactionsRef.current.find(t => t.id === id);
+      if (operations[operations.length - 1].type === OUTBOX_OPERATIONS.DELETE) {
+        await commitTransactions(
+          transactionsRef.current.filter(t => t.id !== id),
+          firebaseUid,
+          transaction ? [[transaction, null]] : []
+        );
+      } else {
+        await persistTransactions(transactionsRef.current.map(t => (
+          t.id === id ? { ...t, syncStatus: SYNC_STATUS.PENDING } : t
+        )), firebaseUid);
+      }
+
+      return await syncAndCheck(id);
+    } catch (error) {
+      console.error('Error retrying sync:', error);
+      setError('Failed to retry the change. Please try again later.');
+      return false;
+    }
+  };
+
+  // Drop the rejected changes to a transaction and go back to the server copy
+  const discardFailedChange = async (id) => {
+    try {
+      const firebaseUid = auth.currentUser?.uid;
+      if (!firebaseUid) {
+        throw new Error('Firebase auth user not found');
+      }
+
+      const operations = failedOperationsRef.current.filter(op => op.transactionId === id);
+      if (operations.length === 0) return true;
+
+      // A rejected add never reached the server, so there is nothing to go back to
+      const serverCopy = operations[0].type === OUTBOX_OPERATIONS.ADD
+        ? null
+        : await getTransaction(operations[0].firestoreId);
+
+      await discardFailedOperations(firebaseUid, id);
+      failedOperationsRef.current = failedOperationsRef.current.filter(op => op.transactionId !== id);
+
+      const transaction = transactionsRef.current.find(t => t.id === id);
+      const otherTransactions = transactionsRef.current.filter(t => t.id !== id);
+      await commitTransactions(
+        serverCopy ? [...otherTransactions, serverCopy] : otherTransactions,
+        firebaseUid,
+        transaction || serverCopy ? [[transaction || null, serverCopy]] : []
+      );
+
+      return true;
+    } catch (error) {
+      console.error('Error discarding change:', error);
+      setError('Failed to discard the change. Please try again later.');
+      return false;
+    }
+  };
+
+  // Get the error Firestore gave when it rejected a change to a transaction
+  const getSyncError = (id) => {
+    const operation = failedOperationsRef.current.find(op => op.transactionId === id);
+    return operation?.error || null;
+  };
+
+  // Fetch transactions from the whole history, with local changes that have
+  // not synced yet taking the place of the server copy. Rejects when the
+  // history cannot be fetched (offline too): reports and exports built from
+  // only the loaded transactions would be wrong without saying so.
+  const getTransactionHistory = async (filters = {}) => {
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) return [];
+
+    const { startDate, endDate } = filters;
+    const history = await getTransactions(firebaseUid, filters);
+
+    const loadedIds = new Set(transactionsRef.current.map(t => t.firestoreId || t.id));
+    const localTransactions = transactionsRef.current.filter((transaction) => {
+      const transactionDate = new Date(transaction.date);
+      if (startDate && transactionDate < new Date(startDate)) return false;
+      if (endDate && transactionDate > new Date(endDate)) return false;
+      return true;
+    });
+
+    // Queued updates and deletes can also target history that is not loaded;
+    // queued adds are always loaded already
+    const pendingChanges = outboxRef.current.filter(op => op.type !== OUTBOX_OPERATIONS.ADD);
+
+    return [
+      ...localTransactions,
+      ...applyOutbox(history.filter(t => !loadedIds.has(t.firestoreId)), pendingChanges),
+    ];
+  };
+
+  // Search the whole history for pairs that look like the same payment
+  const findPossibleDuplicates = async () => {
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) return [];
+
+    const [history, dismissedKeys] = await Promise.all([
+      getTransactionHistory(),
+      loadDismissedPairs(firebaseUid),
+    ]);
+
+    return findDuplicatePairs(history, { dismissedKeys });
+  };
+
+  // Mark a pair as not a duplicate so it is not suggested again
+  const dismissDuplicatePair = async (pairKey) => {
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) return false;
+
+    try {
+      await dismissPair(firebaseUid, pairKey);
+      return true;
+    } catch (error) {
+      console.error('Error dismissing duplicate:', error);
+      setError('Failed to dismiss duplicate. Please try again.');
+      return false;
+    }
+  };
+
+  // Keep one transaction of a duplicate pair, copying over anything only the
+  // other one had, and delete the other
+  const mergeDuplicatePair = async (keep, remove) => {
+    const firebaseUid = auth.currentUser?.uid;
+    if (!firebaseUid) return false;
+
+    // Older history may not be loaded; bring both in so the usual update and
+    // delete paths (and their account and summary bookkeeping) apply
+    const loadedIds = new Set(transactionsRef.current.map(t => t.firestoreId || t.id));
+    const missing = [keep, remove].filter(t => !loadedIds.has(t.firestoreId || t.id));
+    if (missing.length > 0) {
+      await persistTransactions([...transactionsRef.current, ...missing], firebaseUid);
+    }
+
+    const changes = getMergeChanges(keep, remove);
+    if (Object.keys(changes).length > 0) {
+      const updated = await updateTransaction(keep.id, { ...changes, amount: keep.amount });
+      if (!updated) return false;
+    }
+
+    return deleteTransaction(remove.id);
+  };
+
   // Get a specific transaction by ID
   const getTransactionById = (id) => {
     if (!id) return null;
@@ -390,7 +1074,7 @@ export const TransactionProvider = ({ children }) => {
 
   // Get transactions filtered by type and date range
   const getFilteredTransactions = (filters = {}) => {
-    const { type, category, startDate, endDate, searchTerm } = filters;
+    const { type, category, tag, startDate, endDate, searchTerm } = filters;
     
     return transactions.filter(transaction => {
       // Filter by type
@@ -398,8 +1082,13 @@ export const TransactionProvider = ({ children }) => {
         return false;
       }
       
-      // Filter by category
-      if (category && transaction.category !== category) {
+      // Filter by category (a split transaction matches any of its categories)
+      if (category && !hasCategory(transaction, category)) {
+        return false;
+      }
+      
+      // Filter by tag
+      if (tag && !hasTag(transaction, tag)) {
         return false;
       }
       
@@ -415,7 +1104,8 @@ export const TransactionProvider = ({ children }) => {
       // Filter by search term
       if (searchTerm && 
           !transaction.note?.toLowerCase().includes(searchTerm.toLowerCase()) && 
-          !transaction.category.toLowerCase().includes(searchTerm.toLowerCase())) {
+          !transaction.category.toLowerCase().includes(searchTerm.toLowerCase()) &&
+          !transaction.tags?.some(t => t.includes(normalizeTag(searchTerm)))) {
         return false;
       }
       
@@ -423,16 +1113,36 @@ export const TransactionProvider = ({ children }) => {
     }).sort((a, b) => new Date(b.date) - new Date(a.date)); // Sort by date, newest first
   };
 
+  // Tags used anywhere in the history, most used first
+  const knownTags = useMemo(() => sortTagsByUse(tagCounts), [tagCounts]);
+
   const value = {
     transactions,
     stats,
+    knownTags,
     loading,
     error,
+    pendingSyncCount,
+    syncPendingChanges,
+    refreshStats,
+    reloadTransactions,
+    hasMoreTransactions,
+    loadingMore,
+    loadMoreTransactions,
     addTransaction,
+    addTransactions,
     updateTransaction,
+    updateTransactions,
     deleteTransaction,
+    retryFailedChange,
+    discardFailedChange,
+    getSyncError,
     getFilteredTransactions,
     getTransactionById,
+    getTransactionHistory,
+    findPossibleDuplicates,
+    dismissDuplicatePair,
+    mergeDuplicatePair,
   };
 
   return (
@@ -5,6 +5,8 @@
 import useForm from './useForm';
 import useDatePicker from './useDatePicker';
 import useLoading from './useLoading';
+import useBackupScheduler from './useBackupScheduler';
+import useRecurringProcessor from './useRecurringProcessor';
 import useAnimatedValue, { useFadeIn, useSlideIn } from './useAnimatedValue';
 
 // Re-export hooks
@@ -12,6 +14,8 @@ export {
   useForm,
   useDatePicker,
   useLoading,
+  useBackupScheduler,
+  useRecurringProcessor,
   useAnimatedValue,
   useFadeIn,
   useSlideIn,
@@ -0,0 +1,45 @@
+import { useEffect, useRef } from 'react';
+import { AppState } from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import { useTransactions } from '../context/TransactionContext';
+import { auth } from '../utils/firebase';
+import { runScheduledBackup } from '../utils/localBackups';
+
+/**
+ * Custom hook that makes automatic local backups when they are due
+ * Checks on mount and whenever the app comes to the foreground. Skipped while
+ * changes are waiting to sync, since backups are read from the server.
+ */
+const useBackupScheduler = () => {
+  const { user } = useAuth();
+  const { pendingSyncCount } = useTransactions();
+  const pendingSyncCountRef = useRef(pendingSyncCount);
+  pendingSyncCountRef.current = pendingSyncCount;
+
+  useEffect(() => {
+    if (!user) return;
+
+    const runIfDue = () => {
+      // Get the Firebase auth UID directly to avoid any ID mismatch issues
+      const firebaseUid = auth.currentUser?.uid;
+      if (!firebaseUid || pendingSyncCountRef.current > 0) return;
+
+      runScheduledBackup(firebaseUid).catch((error) => {
+        // Tried again on the next launch or resume
+        console.error('Automatic backup failed:', error);
+      });
+    };
+
+    runIfDue();
+
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'active') {
+        runIfDue();
+      }
+    });
+
+    return () => subscription.remove();
+  }, [user]);
+};
+
+export default useBackupScheduler;
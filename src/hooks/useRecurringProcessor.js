@@ -0,0 +1,48 @@
+import { useEffect } from 'react';
+import { AppState } from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import { useTransactions } from '../context/TransactionContext';
+import { auth } from '../utils/firebase';
+import { runDueRecurringTransactions } from '../utils/recurringTransactions';
+
+/**
+ * Custom hook that writes recurring transactions as they come due
+ * Runs on mount and whenever the app comes to the foreground. New instances
+ * reach the transaction list through its listener; the totals are refreshed
+ * here since instances can be older than the listener's window.
+ */
+const useRecurringProcessor = () => {
+  const { user } = useAuth();
+  const { refreshStats } = useTransactions();
+
+  useEffect(() => {
+    if (!user) return;
+
+    const runDue = () => {
+      // Get the Firebase auth UID directly to avoid any ID mismatch issues
+      const firebaseUid = auth.currentUser?.uid;
+      if (!firebaseUid) return;
+
+      runDueRecurringTransactions(firebaseUid)
+        .then((instances) => {
+          if (instances.length > 0) refreshStats();
+        })
+        .catch((error) => {
+          // Tried again on the next launch or resume
+          console.error('Processing recurring transactions failed:', error);
+        });
+    };
+
+    runDue();
+
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'active') {
+        runDue();
+      }
+    });
+
+    return () => subscription.remove();
+  }, [user]);
+};
+
+export default useRecurringProcessor;
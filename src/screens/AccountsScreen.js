@@ -0,0 +1,465 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../context/AuthContext';
+import { useAccounts } from '../context/AccountContext';
+import accountTypes, { getAccountType } from '../constants/accounts';
+import { formatCurrency } from '../utils/formatters';
+import theme from '../theme';
+
+const emptyForm = {
+  name: '',
+  type: 'bank',
+  openingBalance: '',
+};
+
+const AccountsScreen = () => {
+  const { user } = useAuth();
+  const {
+    accounts,
+    balances,
+    totalBalance,
+    loading,
+    error,
+    addAccount,
+    updateAccount,
+    deleteAccount,
+  } = useAccounts();
+  const currency = user?.currency || 'USD';
+
+  // Add/edit form state; editingAccountId is null when adding
+  const [showForm, setShowForm] = useState(false);
+  const [editingAccountId, setEditingAccountId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const handleAddAccount = () => {
+    setEditingAccountId(null);
+    setForm(emptyForm);
+    setShowForm(true);
+  };
+
+  const handleEditAccount = (account) => {
+    setEditingAccountId(account.id);
+    setForm({
+      name: account.name,
+      type: account.type,
+      openingBalance: String(account.openingBalance || ''),
+    });
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingAccountId(null);
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      Alert.alert('Error', 'Please enter an account name');
+      return;
+    }
+
+    const openingBalance = form.openingBalance === '' ? 0 : parseFloat(form.openingBalance);
+    if (isNaN(openingBalance)) {
+      Alert.alert('Error', 'Please enter a valid opening balance');
+      return;
+    }
+
+    setSaving(true);
+    const success = editingAccountId
+      ? await updateAccount(editingAccountId, { ...form, openingBalance })
+      : await addAccount({ ...form, openingBalance });
+    setSaving(false);
+
+    if (success) {
+      handleCancel();
+    } else {
+      Alert.alert('Error', 'Failed to save account. Please try again.');
+    }
+  };
+
+  const handleDeleteAccount = (account) => {
+    Alert.alert(
+      'Delete Account',
+      `Are you sure you want to delete "${account.name}"?`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const success = await deleteAccount(account.id);
+            if (!success) {
+              Alert.alert(
+                'Error',
+                'This account could not be deleted. Accounts with transactions must be emptied first.'
+              );
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderAccountItem = ({ item }) => {
+    const accountType = getAccountType(item.type);
+    const balance = balances[item.id] ?? (Number(item.openingBalance) || 0);
+
+    return (
+      <View style={styles.accountCard}>
+        <View style={[styles.accountIcon, { backgroundColor: accountType.color }]}>
+          <Ionicons name={accountType.icon} size={22} color={theme.colors.text.white} />
+        </View>
+
+        <View style={styles.accountDetails}>
+          <Text style={styles.accountName}>{item.name}</Text>
+          <Text style={styles.accountType}>
+            {accountType.name}{item.isDefault ? ' · Default' : ''}
+          </Text>
+        </View>
+
+        <View style={styles.accountRight}>
+          <Text style={[
+            styles.accountBalance,
+            balance < 0 && { color: theme.colors.financial.expense }
+          ]}>
+            {formatCurrency(balance, currency)}
+          </Text>
+          <View style={styles.accountActions}>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => handleEditAccount(item)}
+            >
+              <Ionicons name="create-outline" size={18} color={theme.colors.status.info} />
+            </TouchableOpacity>
+            {!item.isDefault && (
+              <TouchableOpacity
+                style={styles.actionButton}
+                onPress={() => handleDeleteAccount(item)}
+              >
+                <Ionicons name="trash-outline" size={18} color={theme.colors.status.error} />
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.summaryCard}>
+        <Text style={styles.summaryLabel}>Total Balance</Text>
+        <Text style={styles.summaryAmount}>{formatCurrency(totalBalance, currency)}</Text>
+      </View>
+
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={accounts}
+          renderItem={renderAccountItem}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.listContent}
+          ListFooterComponent={
+            <TouchableOpacity style={styles.addAccountButton} onPress={handleAddAccount}>
+              <Ionicons name="add-circle-outline" size={20} color={theme.colors.primary} />
+              <Text style={styles.addAccountText}>Add Account</Text>
+            </TouchableOpacity>
+          }
+        />
+      )}
+
+      {/* Add/Edit Account Modal */}
+      {showForm && (
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>
+                {editingAccountId ? 'Edit Account' : 'New Account'}
+              </Text>
+              <TouchableOpacity onPress={handleCancel}>
+                <Ionicons name="close" size={24} color={theme.colors.text.secondary} />
+              </TouchableOpacity>
+            </View>
+
+            <Text style={styles.inputLabel}>Name</Text>
+            <TextInput
+              style={styles.modalInput}
+              value={form.name}
+              onChangeText={name => setForm({ ...form, name })}
+              placeholder="e.g. Savings Bank"
+              placeholderTextColor={theme.colors.text.muted}
+              autoFocus
+            />
+
+            <Text style={styles.inputLabel}>Type</Text>
+            <View style={styles.typeContainer}>
+              {accountTypes.map(accountType => (
+                <TouchableOpacity
+                  key={accountType.id}
+                  style={[
+                    styles.typeChip,
+                    form.type === accountType.id && {
+                      borderColor: accountType.color,
+                      backgroundColor: accountType.color + '20',
+                    },
+                  ]}
+                  onPress={() => setForm({ ...form, type: accountType.id })}
+                >
+                  <Ionicons name={accountType.icon} size={16} color={accountType.color} />
+                  <Text style={styles.typeChipText}>{accountType.name}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.inputLabel}>Opening Balance</Text>
+            <TextInput
+              style={styles.modalInput}
+              value={form.openingBalance}
+              onChangeText={openingBalance => setForm({ ...form, openingBalance: openingBalance.replace(/[^0-9.-]/g, '') })}
+              placeholder="0.00"
+              placeholderTextColor={theme.colors.text.muted}
+              keyboardType="numeric"
+            />
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={handleCancel}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.modalButton, styles.confirmButton]}
+                onPress={handleSave}
+                disabled={saving}
+              >
+                {saving ? (
+                  <ActivityIndicator size="small" color="white" />
+                ) : (
+                  <Text style={styles.confirmButtonText}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.light,
+  },
+  summaryCard: {
+    margin: theme.spacing.lg,
+    padding: theme.spacing.lg,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.md,
+  },
+  summaryLabel: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.xs,
+  },
+  summaryAmount: {
+    fontSize: theme.typography.fontSize['2xl'],
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.text.primary,
+  },
+  errorText: {
+    color: theme.colors.status.error,
+    fontSize: theme.typography.fontSize.sm,
+    marginHorizontal: theme.spacing.lg,
+    marginBottom: theme.spacing.sm,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  listContent: {
+    paddingHorizontal: theme.spacing.lg,
+    paddingBottom: theme.spacing.xl,
+  },
+  accountCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  accountIcon: {
+    width: 44,
+    height: 44,
+    borderRadius: theme.borderRadius.md,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: theme.spacing.md,
+  },
+  accountDetails: {
+    flex: 1,
+  },
+  accountName: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginBottom: 2,
+  },
+  accountType: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  },
+  accountRight: {
+    alignItems: 'flex-end',
+  },
+  accountBalance: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.text.primary,
+  },
+  accountActions: {
+    flexDirection: 'row',
+    marginTop: theme.spacing.xs,
+  },
+  actionButton: {
+    padding: theme.spacing.xs,
+    marginLeft: theme.spacing.xs,
+  },
+  addAccountButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: theme.spacing.md,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.lg,
+  },
+  addAccountText: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.primary,
+    marginLeft: theme.spacing.sm,
+  },
+  modalOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000,
+  },
+  modalContainer: {
+    width: '85%',
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    padding: theme.spacing.lg,
+    ...theme.shadows.lg,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  modalTitle: {
+    fontSize: theme.typography.fontSize.xl,
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.text.primary,
+  },
+  inputLabel: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.xs,
+  },
+  modalInput: {
+    backgroundColor: theme.colors.background.light,
+    borderRadius: theme.borderRadius.md,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.md,
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.text.primary,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    marginBottom: theme.spacing.md,
+  },
+  typeContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.sm,
+    marginBottom: theme.spacing.md,
+  },
+  typeChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.full,
+  },
+  typeChipText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.primary,
+    marginLeft: 6,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  modalButton: {
+    paddingHorizontal: theme.spacing.lg,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.borderRadius.md,
+    marginLeft: theme.spacing.sm,
+  },
+  cancelButton: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  confirmButton: {
+    backgroundColor: theme.colors.primary,
+  },
+  cancelButtonText: {
+    color: theme.colors.text.primary,
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+  },
+  confirmButtonText: {
+    color: 'white',
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+  },
+});
+
+export default AccountsScreen;
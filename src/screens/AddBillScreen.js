@@ -14,13 +14,15 @@ import {
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../context/AuthContext';
-import { collection, addDoc, updateDoc, doc, Timestamp, deleteDoc } from 'firebase/firestore';
-import { db } from '../utils/firebase';
+import { useTransactions } from '../context/TransactionContext';
+import { Timestamp } from 'firebase/firestore';
+import { saveBill, deleteBill } from '../utils/repository';
 import theme from '../theme';
 import { formatCurrency } from '../utils/formatters';
 
 const AddBillScreen = ({ navigation, route }) => {
   const { user } = useAuth();
+  const { addTransaction } = useTransactions();
   const [loading, setLoading] = useState(false);
   const [deleting, setDeleting] = useState(false);
   const [showDatePicker, setShowDatePicker] = useState(false);
@@ -83,8 +85,7 @@ const AddBillScreen = ({ navigation, route }) => {
       // In edit mode, we update the existing document
       if (editMode && billId) {
         
-        const billRef = doc(db, 'users', user.id, 'bills', billId);
-        await updateDoc(billRef, billData);
+        await saveBill(user.id, billData, billId);
         
         Alert.alert(
           'Success',
@@ -98,14 +99,14 @@ const AddBillScreen = ({ navigation, route }) => {
         billData.createdAt = Timestamp.now();
 
         // Add to bills collection
-        const billsRef = collection(db, 'users', user.id, 'bills');
-        const docRef = await addDoc(billsRef, billData);
+        await saveBill(user.id, billData);
 
-        // Also add as a transaction
-        const transactionsRef = collection(db, 'users', user.id, 'transactions');
-        await addDoc(transactionsRef, {
-          ...billData,
-          date: billData.dueDate,
+        // Also add as a transaction so budgets and reports include it
+        await addTransaction({
+          type: formData.type,
+          category: formData.category,
+          amount: Math.abs(billAmount),
+          date: formData.dueDate.toISOString(),
           note: `Bill: ${billData.name}`,
         });
 
@@ -140,8 +141,7 @@ const AddBillScreen = ({ navigation, route }) => {
           onPress: async () => {
             try {
               setDeleting(true);
-              const billRef = doc(db, 'users', user.id, 'bills', billId);
-              await deleteDoc(billRef);
+              await deleteBill(user.id, billId);
               Alert.alert('Success', 'Bill deleted successfully');
               navigation.goBack();
             } catch (error) {
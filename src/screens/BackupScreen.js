@@ -0,0 +1,339 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../context/AuthContext';
+import { useTransactions } from '../context/TransactionContext';
+import Button from '../components/Button';
+import {
+  RESTORE_MODES,
+  exportBackup,
+  pickBackupFile,
+  parseBackup,
+  loadBackupData,
+  getRestoreSummary,
+  restoreBackup,
+} from '../utils/backup';
+import { formatLongDate } from '../utils/formatters';
+import theme from '../theme';
+
+const BackupScreen = () => {
+  const { user } = useAuth();
+  const { pendingSyncCount, syncPendingChanges, reloadTransactions } = useTransactions();
+
+  const [creating, setCreating] = useState(false);
+  const [loadingFile, setLoadingFile] = useState(false);
+  const [restoringMode, setRestoringMode] = useState(null);
+
+  // The picked backup: { fileName, archive, schemaVersion, checksumVerified, summary }
+  const [pendingRestore, setPendingRestore] = useState(null);
+
+  // Backups are read from and written to the server, so queued changes would
+  // be missed or overwritten
+  const checkNothingPending = () => {
+    if (pendingSyncCount === 0) return true;
+
+    syncPendingChanges();
+    Alert.alert(
+      'Changes Not Synced',
+      `${pendingSyncCount} change${pendingSyncCount === 1 ? ' is' : 's are'} waiting to sync. Try again once they have synced.`
+    );
+    return false;
+  };
+
+  const handleCreateBackup = async () => {
+    if (!checkNothingPending()) return;
+
+    setCreating(true);
+    try {
+      await exportBackup(user.id);
+    } catch (error) {
+      Alert.alert('Backup Failed', error.message || 'Please try again.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handlePickFile = async () => {
+    setLoadingFile(true);
+    try {
+      const file = await pickBackupFile();
+      if (!file) return;
+
+      const parsed = await parseBackup(file.text);
+      const current = await loadBackupData(user.id);
+
+      setPendingRestore({
+        fileName: file.name,
+        ...parsed,
+        summary: getRestoreSummary(parsed.archive, current),
+      });
+    } catch (error) {
+      Alert.alert('Could Not Read Backup', error.message || 'Please try another file.');
+    } finally {
+      setLoadingFile(false);
+    }
+  };
+
+  const runRestore = async (mode) => {
+    if (!checkNothingPending()) return;
+
+    setRestoringMode(mode);
+    try {
+      await restoreBackup(user.id, pendingRestore.archive, mode);
+      await reloadTransactions();
+      setPendingRestore(null);
+      Alert.alert('Restore Complete', 'Your account now has the data from the backup.');
+    } catch (error) {
+      Alert.alert('Restore Failed', `${error.message || 'Please try again.'}\n\nRestoring the same backup again will finish any part that was not saved.`);
+    } finally {
+      setRestoringMode(null);
+    }
+  };
+
+  const handleReplace = () => {
+    const removed = pendingRestore.summary.sections.reduce((total, section) => total + section.removed, 0);
+
+    Alert.alert(
+      'Replace Account Data',
+      removed > 0
+        ? `Your account will be made to match the backup. ${removed} item${removed === 1 ? '' : 's'} not in the backup will be deleted. This cannot be undone.`
+        : 'Your account will be made to match the backup. This cannot be undone.',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Replace',
+          style: 'destructive',
+          onPress: () => runRestore(RESTORE_MODES.REPLACE)
+        }
+      ]
+    );
+  };
+
+  const renderRestoreSummary = () => {
+    const { fileName, archive, schemaVersion, checksumVerified, summary } = pendingRestore;
+
+    return (
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>{fileName}</Text>
+        <Text style={styles.fileMeta}>
+          {archive.createdAt ? `Created ${formatLongDate(archive.createdAt)}` : 'Transactions-only export'}
+        </Text>
+        <View style={styles.checkRow}>
+          <Ionicons
+            name={checksumVerified ? 'shield-checkmark-outline' : 'alert-circle-outline'}
+            size={16}
+            color={checksumVerified ? theme.colors.status.success : theme.colors.status.warning}
+          />
+          <Text style={styles.checkText}>
+            {checksumVerified ? 'Checksum verified' : 'No checksum to verify'}
+            {schemaVersion < archive.schemaVersion ? ` · Upgraded from format version ${schemaVersion}` : ''}
+          </Text>
+        </View>
+
+        <View style={[styles.tableRow, styles.tableHeader]}>
+          <Text style={[styles.tableLabel, styles.tableHeaderText]}></Text>
+          <Text style={[styles.tableCell, styles.tableHeaderText]}>Backup</Text>
+          <Text style={[styles.tableCell, styles.tableHeaderText]}>Current</Text>
+          <Text style={[styles.tableCell, styles.tableHeaderText]}>New</Text>
+          <Text style={[styles.tableCell, styles.tableHeaderText]}>Changed</Text>
+          <Text style={[styles.tableCell, styles.tableHeaderText]}>Only here</Text>
+        </View>
+        {summary.sections.map(section => (
+          <View key={section.id} style={styles.tableRow}>
+            <Text style={styles.tableLabel}>{section.label}</Text>
+            <Text style={styles.tableCell}>{section.backupCount}</Text>
+            <Text style={styles.tableCell}>{section.currentCount}</Text>
+            <Text style={styles.tableCell}>{section.added}</Text>
+            <Text style={styles.tableCell}>{section.changed}</Text>
+            <Text style={styles.tableCell}>{section.removed}</Text>
+          </View>
+        ))}
+
+        {archive.data.profile ? (
+          <Text style={styles.profileChanges}>
+            {summary.profileChanges.length > 0
+              ? `Profile differences: ${summary.profileChanges.join(', ')}`
+              : 'Profile and budgets match the backup'}
+          </Text>
+        ) : (
+          <Text style={styles.profileChanges}>
+            Parts of your account that are not in this file are left as they are.
+          </Text>
+        )}
+
+        <Text style={styles.inputLabel}>Merge</Text>
+        <Text style={styles.helpText}>
+          Adds what your account is missing. Anything you already have, including
+          profile fields that are set, is kept as it is.
+        </Text>
+        <Button
+          title="Merge into Account"
+          onPress={() => runRestore(RESTORE_MODES.MERGE)}
+          loading={restoringMode === RESTORE_MODES.MERGE}
+          disabled={!!restoringMode}
+          fullWidth
+        />
+
+        <Text style={styles.inputLabel}>Replace</Text>
+        <Text style={styles.helpText}>
+          Makes your account match the backup exactly. Changed items are
+          overwritten and items only in your account are deleted.
+        </Text>
+        <Button
+          title="Replace Account Data"
+          variant="outline"
+          onPress={handleReplace}
+          loading={restoringMode === RESTORE_MODES.REPLACE}
+          disabled={!!restoringMode}
+          fullWidth
+        />
+
+        <Button
+          title="Cancel"
+          variant="ghost"
+          onPress={() => setPendingRestore(null)}
+          disabled={!!restoringMode}
+          fullWidth
+          style={styles.cancelButton}
+        />
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Create Backup</Text>
+          <Text style={styles.helpText}>
+            Saves your whole account to a file: profile, currency, budgets,
+            goals, bills, recurring transactions, accounts, categories, rules
+            and every transaction.
+          </Text>
+          <Button
+            title="Create Backup"
+            iconName="archive-outline"
+            onPress={handleCreateBackup}
+            loading={creating}
+            fullWidth
+          />
+        </View>
+
+        {pendingRestore ? renderRestoreSummary() : (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Restore</Text>
+            <Text style={styles.helpText}>
+              Choose a backup file to see how it differs from your account
+              before anything is changed. Transaction files from the JSON
+              export can be restored too.
+            </Text>
+            <Button
+              title="Choose Backup File"
+              variant="outline"
+              iconName="folder-open-outline"
+              onPress={handlePickFile}
+              loading={loadingFile}
+              fullWidth
+            />
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.light,
+  },
+  scrollContent: {
+    padding: theme.spacing.lg,
+    paddingBottom: theme.spacing.xl,
+  },
+  card: {
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  cardTitle: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.xs,
+  },
+  helpText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.md,
+  },
+  inputLabel: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.primary,
+    marginTop: theme.spacing.lg,
+    marginBottom: theme.spacing.xs,
+  },
+  fileMeta: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.sm,
+  },
+  checkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  checkText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+    marginLeft: theme.spacing.xs,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.divider,
+  },
+  tableHeader: {
+    borderBottomColor: theme.colors.border,
+  },
+  tableHeaderText: {
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.secondary,
+  },
+  tableLabel: {
+    flex: 2,
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.primary,
+  },
+  tableCell: {
+    flex: 1,
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.primary,
+    textAlign: 'right',
+  },
+  profileChanges: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.md,
+  },
+  cancelButton: {
+    marginTop: theme.spacing.md,
+  },
+});
+
+export default BackupScreen;
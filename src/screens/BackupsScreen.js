@@ -0,0 +1,416 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { format } from 'date-fns';
+import { useAuth } from '../context/AuthContext';
+import { useTransactions } from '../context/TransactionContext';
+import Button from '../components/Button';
+import {
+  BACKUP_FREQUENCIES,
+  BACKUP_FREQUENCY_LABELS,
+  KEEP_COUNT_OPTIONS,
+  DEFAULT_BACKUP_SETTINGS,
+  loadBackupSettings,
+  saveBackupSettings,
+  listLocalBackups,
+  writeLocalBackup,
+  pruneLocalBackups,
+  readLocalBackup,
+  shareLocalBackup,
+} from '../utils/localBackups';
+import {
+  RESTORE_MODES,
+  loadBackupData,
+  getRestoreSummary,
+  restoreBackup,
+} from '../utils/backup';
+import theme from '../theme';
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatBackupDate = (date) => format(date, 'MMM d, yyyy · h:mm a');
+
+const BackupsScreen = () => {
+  const { user } = useAuth();
+  const { pendingSyncCount, syncPendingChanges, reloadTransactions } = useTransactions();
+
+  const [settings, setSettings] = useState(DEFAULT_BACKUP_SETTINGS);
+  const [backups, setBackups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [backingUp, setBackingUp] = useState(false);
+  const [workingName, setWorkingName] = useState(null);
+
+  const loadBackups = async () => {
+    try {
+      setBackups(await listLocalBackups(user.id));
+    } catch (error) {
+      console.error('Error loading backups:', error);
+      Alert.alert('Error', 'Failed to load backups. Please try again.');
+    }
+  };
+
+  useEffect(() => {
+    loadBackupSettings(user.id).then(setSettings);
+    loadBackups().finally(() => setLoading(false));
+  }, []);
+
+  // Backups are read from and written to the server, so queued changes would
+  // be missed or overwritten
+  const checkNothingPending = () => {
+    if (pendingSyncCount === 0) return true;
+
+    syncPendingChanges();
+    Alert.alert(
+      'Changes Not Synced',
+      `${pendingSyncCount} change${pendingSyncCount === 1 ? ' is' : 's are'} waiting to sync. Try again once they have synced.`
+    );
+    return false;
+  };
+
+  const handleSettingsChange = async (changes) => {
+    const updated = { ...settings, ...changes };
+    setSettings(updated);
+
+    try {
+      await saveBackupSettings(user.id, updated);
+      await loadBackups();
+    } catch (error) {
+      console.error('Error saving backup settings:', error);
+      Alert.alert('Error', 'Failed to save backup settings. Please try again.');
+    }
+  };
+
+  const handleKeepCountChange = (keepCount) => {
+    const removed = backups.length - keepCount;
+    if (removed <= 0) {
+      handleSettingsChange({ keepCount });
+      return;
+    }
+
+    Alert.alert(
+      'Delete Older Backups',
+      `Keeping ${keepCount} backups will delete the ${removed} oldest.`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => handleSettingsChange({ keepCount })
+        }
+      ]
+    );
+  };
+
+  const handleBackUpNow = async () => {
+    if (!checkNothingPending()) return;
+
+    setBackingUp(true);
+    try {
+      await writeLocalBackup(user.id);
+      await pruneLocalBackups(user.id, settings.keepCount);
+      await loadBackups();
+    } catch (error) {
+      Alert.alert('Backup Failed', error.message || 'Please try again.');
+    } finally {
+      setBackingUp(false);
+    }
+  };
+
+  const runRestore = async (backup, archive, mode) => {
+    if (!checkNothingPending()) return;
+
+    setWorkingName(backup.name);
+    try {
+      await restoreBackup(user.id, archive, mode);
+      await reloadTransactions();
+      Alert.alert('Restore Complete', 'Your account now has the data from the backup.');
+    } catch (error) {
+      Alert.alert('Restore Failed', `${error.message || 'Please try again.'}\n\nRestoring the same backup again will finish any part that was not saved.`);
+    } finally {
+      setWorkingName(null);
+    }
+  };
+
+  const handleRestore = async (backup) => {
+    setWorkingName(backup.name);
+    let archive;
+    let summary;
+    try {
+      ({ archive } = await readLocalBackup(user.id, backup));
+      summary = getRestoreSummary(archive, await loadBackupData(user.id));
+    } catch (error) {
+      Alert.alert('Could Not Read Backup', error.message || 'Please try again.');
+      return;
+    } finally {
+      setWorkingName(null);
+    }
+
+    const changes = summary.sections
+      .filter(section => section.added + section.changed + section.removed > 0)
+      .map(section => `${section.label}: ${section.added} new, ${section.changed} changed, ${section.removed} not in backup`);
+
+    Alert.alert(
+      'Restore Backup',
+      [
+        `Backup from ${formatBackupDate(backup.createdAt)}.`,
+        changes.length > 0 ? changes.join('\n') : 'Your account already matches this backup.',
+        'Merge adds what your account is missing. Replace makes your account match the backup and deletes anything else.',
+      ].join('\n\n'),
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Merge',
+          onPress: () => runRestore(backup, archive, RESTORE_MODES.MERGE)
+        },
+        {
+          text: 'Replace',
+          style: 'destructive',
+          onPress: () => runRestore(backup, archive, RESTORE_MODES.REPLACE)
+        }
+      ]
+    );
+  };
+
+  const handleShare = async (backup) => {
+    setWorkingName(backup.name);
+    try {
+      await shareLocalBackup(user.id, backup);
+    } catch (error) {
+      Alert.alert('Share Failed', error.message || 'Please try again.');
+    } finally {
+      setWorkingName(null);
+    }
+  };
+
+  const renderSettings = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Schedule</Text>
+      <Text style={styles.helpText}>
+        Backups are encrypted and saved on this device when you open the app.
+        Shared copies are not encrypted.
+      </Text>
+
+      <Text style={styles.inputLabel}>Back up</Text>
+      <View style={styles.chipRow}>
+        {Object.values(BACKUP_FREQUENCIES).map(frequency => (
+          <TouchableOpacity
+            key={frequency}
+            style={[styles.chip, settings.frequency === frequency && styles.activeChip]}
+            onPress={() => handleSettingsChange({ frequency })}
+          >
+            <Text style={[styles.chipText, settings.frequency === frequency && styles.activeChipText]}>
+              {BACKUP_FREQUENCY_LABELS[frequency]}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Text style={styles.inputLabel}>Backups to keep</Text>
+      <View style={styles.chipRow}>
+        {KEEP_COUNT_OPTIONS.map(keepCount => (
+          <TouchableOpacity
+            key={keepCount}
+            style={[styles.chip, settings.keepCount === keepCount && styles.activeChip]}
+            onPress={() => handleKeepCountChange(keepCount)}
+          >
+            <Text style={[styles.chipText, settings.keepCount === keepCount && styles.activeChipText]}>
+              {keepCount}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Button
+        title="Back Up Now"
+        iconName="archive-outline"
+        onPress={handleBackUpNow}
+        loading={backingUp}
+        fullWidth
+        style={styles.backUpButton}
+      />
+    </View>
+  );
+
+  const renderBackup = ({ item: backup }) => (
+    <View style={styles.backupRow}>
+      <Ionicons name="lock-closed-outline" size={20} color={theme.colors.primary} />
+      <View style={styles.backupInfo}>
+        <Text style={styles.backupDate}>{formatBackupDate(backup.createdAt)}</Text>
+        <Text style={styles.backupSize}>{formatFileSize(backup.size)}</Text>
+      </View>
+      {workingName === backup.name ? (
+        <ActivityIndicator size="small" color={theme.colors.primary} />
+      ) : (
+        <>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => handleRestore(backup)}
+            disabled={!!workingName}
+          >
+            <Text style={styles.actionText}>Restore</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => handleShare(backup)}
+            disabled={!!workingName}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          >
+            <Ionicons name="share-outline" size={20} color={theme.colors.text.secondary} />
+          </TouchableOpacity>
+        </>
+      )}
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <FlatList
+        data={backups}
+        renderItem={renderBackup}
+        keyExtractor={(backup) => backup.name}
+        contentContainerStyle={styles.listContent}
+        ListHeaderComponent={
+          <>
+            {renderSettings()}
+            <Text style={styles.sectionTitle}>Saved Backups</Text>
+          </>
+        }
+        ListEmptyComponent={loading ? (
+          <ActivityIndicator size="small" color={theme.colors.primary} />
+        ) : (
+          <Text style={styles.emptyText}>
+            {settings.frequency === BACKUP_FREQUENCIES.OFF
+              ? 'Automatic backups are off.'
+              : 'The first backup will be made next time you open the app.'}
+          </Text>
+        )}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.light,
+  },
+  listContent: {
+    padding: theme.spacing.lg,
+    paddingBottom: theme.spacing.xl,
+  },
+  card: {
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.lg,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  cardTitle: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.xs,
+  },
+  helpText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  },
+  inputLabel: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.xs,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.xs,
+  },
+  chip: {
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.full,
+  },
+  activeChip: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+  },
+  activeChipText: {
+    color: theme.colors.text.white,
+  },
+  backUpButton: {
+    marginTop: theme.spacing.lg,
+  },
+  sectionTitle: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.sm,
+  },
+  backupRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  backupInfo: {
+    flex: 1,
+    marginLeft: theme.spacing.md,
+  },
+  backupDate: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.primary,
+  },
+  backupSize: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+  actionButton: {
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+  },
+  actionText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.primary,
+  },
+  emptyText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginTop: theme.spacing.md,
+  },
+});
+
+export default BackupsScreen;
@@ -12,37 +12,39 @@ import {
   SafeAreaView,
   Platform
 } from 'react-native';
-import { doc, getDoc, updateDoc, setDoc, Timestamp } from 'firebase/firestore';
 import { useAuth } from '../context/AuthContext';
-import { db } from '../utils/firebase';
+import {
+  toDate,
+  getBudgets,
+  saveMonthlyBudget as saveMonthlyBudgetToFirestore,
+  saveCategoryBudgets,
+} from '../utils/repository';
 import { useTransactions } from '../context/TransactionContext';
+import { useCategories } from '../context/CategoryContext';
+import { resolveCategoryId } from '../constants/categories';
 import { Ionicons } from '@expo/vector-icons';
 import { ProgressBar } from '../components/ProgressBar';
 import { formatCurrency } from '../utils/formatters';
+import { getCategoryAllocations } from '../utils/dataUtils';
 import { useLoading } from '../hooks';
 import { createBudgetComparisonConfig } from '../utils/chartUtils';
 import Toast from 'react-native-toast-message';
 import theme from '../theme';
 import { scheduleBudgetThresholdNotification } from '../utils/notificationUtils';
 
-// Default categories with icons
-const DEFAULT_CATEGORIES = [
-  { id: 'food', name: 'Food & Dining', icon: 'fast-food-outline', color: theme.colors.categories.food },
-  { id: 'transport', name: 'Transportation', icon: 'car-outline', color: theme.colors.categories.transport },
-  { id: 'shopping', name: 'Shopping', icon: 'bag-outline', color: theme.colors.categories.shopping },
-  { id: 'entertainment', name: 'Entertainment', icon: 'film-outline', color: theme.colors.categories.entertainment },
-  { id: 'housing', name: 'Housing', icon: 'home-outline', color: theme.colors.categories.housing },
-  { id: 'utilities', name: 'Utilities', icon: 'flash-outline', color: theme.colors.categories.utilities },
-  { id: 'healthcare', name: 'Healthcare', icon: 'medical-outline', color: theme.colors.categories.healthcare },
-  { id: 'education', name: 'Education', icon: 'school-outline', color: theme.colors.categories.education },
-  { id: 'personal', name: 'Personal Care', icon: 'person-outline', color: theme.colors.categories.personal },
-  { id: 'bills', name: 'Bills & Utilities', icon: 'document-text-outline', color: theme.colors.categories.utilities },
-  { id: 'other', name: 'Other', icon: 'ellipsis-horizontal-outline', color: theme.colors.categories.other },
-];
+// Budgets saved by older versions used their own category IDs
+const migrateCategoryBudgets = (categoryBudgets = {}) => {
+  return Object.entries(categoryBudgets).reduce((acc, [categoryId, budget]) => {
+    const id = resolveCategoryId(categoryId);
+    acc[id] = acc[id] || budget;
+    return acc;
+  }, {});
+};
 
 const BudgetScreen = ({ navigation }) => {
   const { user } = useAuth();
   const { transactions, refreshTransactions } = useTransactions();
+  const { categories, getCategories, getRootCategoryId } = useCategories();
   const { loading, startLoading, stopLoading, executeWithLoading } = useLoading();
   
   // Budget state
@@ -70,7 +72,10 @@ const BudgetScreen = ({ navigation }) => {
     if (transactions && transactions.length > 0) {
       calculateSpending();
     }
-  }, [transactions, user]);
+  }, [transactions, user, categories]);
+  
+  // Budgets are set on top-level categories; subcategory spending rolls up into them
+  const budgetCategories = getCategories('expense').filter(category => !category.parentId);
   
   // Load budget data from Firestore
   const loadBudgetData = async () => {
@@ -79,28 +84,21 @@ const BudgetScreen = ({ navigation }) => {
     try {
       startLoading();
       setError(null);
-      const userDocRef = doc(db, 'users', user.id);
-      const userDoc = await getDoc(userDocRef);
+      const budgets = await getBudgets(user.id);
       
-      if (userDoc.exists()) {
-        const userData = userDoc.data();
-        
-        // Set monthly budget
-        if (userData.monthlyBudget) {
-          setMonthlyBudget(userData.monthlyBudget.toString());
-        }
-        
-        // Set currency
-        if (userData.currency) {
-          setCurrency(userData.currency);
-        }
-        
-        // Set category budgets
-        if (userData.categoryBudgets) {
-          setCategoryBudgets(userData.categoryBudgets);
-        }
+      // Set monthly budget
+      if (budgets.monthlyBudget) {
+        setMonthlyBudget(budgets.monthlyBudget.toString());
       }
       
+      // Set currency
+      if (budgets.currency) {
+        setCurrency(budgets.currency);
+      }
+      
+      // Set category budgets
+      setCategoryBudgets(migrateCategoryBudgets(budgets.categoryBudgets));
+      
       // Calculate spending with current transactions
       if (transactions && transactions.length > 0) {
         calculateSpending();
@@ -129,9 +127,7 @@ const BudgetScreen = ({ navigation }) => {
     
     // Filter transactions for current month and expenses only
     const currentMonthExpenses = transactions.filter(transaction => {
-      const transactionDate = transaction.date instanceof Timestamp 
-        ? transaction.date.toDate() 
-        : new Date(transaction.date);
+      const transactionDate = toDate(transaction.date);
         
       return (
         transaction.type === 'expense' && 
@@ -145,13 +141,16 @@ const BudgetScreen = ({ navigation }) => {
       sum + Math.abs(transaction.amount), 0);
     setTotalSpent(total);
     
-    // Calculate spending by category
+    // Calculate spending by category, counting each split under its own category
+    // and each subcategory under its parent
     const spendingByCategory = currentMonthExpenses.reduce((acc, transaction) => {
-      const { category, amount } = transaction;
-      if (!acc[category]) {
-        acc[category] = 0;
-      }
-      acc[category] += Math.abs(amount);
+      getCategoryAllocations(transaction).forEach(({ category, amount }) => {
+        const categoryId = getRootCategoryId(category);
+        if (!acc[categoryId]) {
+          acc[categoryId] = 0;
+        }
+        acc[categoryId] += Math.abs(amount);
+      });
       return acc;
     }, {});
     
@@ -176,11 +175,7 @@ const BudgetScreen = ({ navigation }) => {
         return;
       }
       
-      const userDocRef = doc(db, 'users', user.id);
-      await updateDoc(userDocRef, {
-        monthlyBudget: budget,
-        updatedAt: new Date(),
-      });
+      await saveMonthlyBudgetToFirestore(user.id, budget);
       
       Toast.show({
         type: 'success',
@@ -230,11 +225,7 @@ const BudgetScreen = ({ navigation }) => {
       setCategoryBudgets(updatedBudgets);
       
       // Save to Firestore
-      const userDocRef = doc(db, 'users', user.id);
-      await updateDoc(userDocRef, {
-        categoryBudgets: updatedBudgets,
-        updatedAt: new Date(),
-      });
+      await saveCategoryBudgets(user.id, updatedBudgets);
       
       // Reset editing state
       setEditingCategory(null);
@@ -564,7 +555,7 @@ const BudgetScreen = ({ navigation }) => {
           </Text>
           
           <FlatList
-            data={DEFAULT_CATEGORIES}
+            data={budgetCategories}
             renderItem={renderCategoryItem}
             keyExtractor={(item) => item.id}
             scrollEnabled={false}
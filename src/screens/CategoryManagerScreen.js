@@ -0,0 +1,563 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+  SafeAreaView,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useCategories } from '../context/CategoryContext';
+import { CATEGORY_COLORS, CATEGORY_ICONS } from '../constants/categories';
+import theme from '../theme';
+
+const CATEGORY_TYPES = [
+  { id: 'expense', label: 'Expenses' },
+  { id: 'income', label: 'Income' },
+];
+
+const emptyForm = {
+  name: '',
+  icon: CATEGORY_ICONS[0],
+  color: CATEGORY_COLORS[0],
+  keywords: '',
+  parentId: null,
+};
+
+// Keywords are edited as a comma separated list
+const parseKeywords = (text) => text.split(',');
+
+const CategoryManagerScreen = () => {
+  const {
+    categories,
+    loading,
+    error,
+    getCategories,
+    getCategoryById,
+    addCategory,
+    updateCategory,
+    archiveCategory,
+    moveCategory,
+  } = useCategories();
+
+  const [activeType, setActiveType] = useState('expense');
+  const [showArchived, setShowArchived] = useState(false);
+
+  // Add/edit form state; editingCategoryId is null when adding
+  const [showForm, setShowForm] = useState(false);
+  const [editingCategoryId, setEditingCategoryId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  // Each top-level category followed by its subcategories
+  const listedCategories = useMemo(
+    () => getCategories(activeType, { includeArchived: showArchived }),
+    [categories, activeType, showArchived]
+  );
+
+  const handleAddCategory = (parentId = null) => {
+    const parent = parentId ? getCategoryById(parentId) : null;
+    setEditingCategoryId(null);
+    setForm({
+      ...emptyForm,
+      icon: parent?.icon || emptyForm.icon,
+      color: parent?.color || emptyForm.color,
+      parentId,
+    });
+    setShowForm(true);
+  };
+
+  const handleEditCategory = (category) => {
+    setEditingCategoryId(category.id);
+    setForm({
+      name: category.name,
+      icon: category.icon,
+      color: category.color,
+      keywords: (category.keywords || []).join(', '),
+      parentId: category.parentId || null,
+    });
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingCategoryId(null);
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      Alert.alert('Error', 'Please enter a category name');
+      return;
+    }
+
+    setSaving(true);
+    const keywords = parseKeywords(form.keywords);
+    const success = editingCategoryId
+      ? await updateCategory(editingCategoryId, { name: form.name, icon: form.icon, color: form.color, keywords })
+      : await addCategory({ ...form, keywords, type: activeType });
+    setSaving(false);
+
+    if (success) {
+      handleCancel();
+    } else {
+      Alert.alert('Error', 'Failed to save category. Please try again.');
+    }
+  };
+
+  const handleArchiveCategory = (category) => {
+    if (category.archived) {
+      archiveCategory(category.id, false);
+      return;
+    }
+
+    Alert.alert(
+      'Archive Category',
+      `"${category.name}" will be hidden when adding transactions. Existing transactions keep this category.`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Archive',
+          style: 'destructive',
+          onPress: () => archiveCategory(category.id)
+        }
+      ]
+    );
+  };
+
+  const renderCategoryItem = ({ item }) => {
+    const isSubcategory = !!item.parentId;
+
+    return (
+      <View style={[
+        styles.categoryCard,
+        isSubcategory && styles.subcategoryCard,
+        item.archived && styles.archivedCard,
+      ]}>
+        <View style={[styles.categoryIcon, { backgroundColor: item.color }]}>
+          <Ionicons name={item.icon} size={isSubcategory ? 16 : 20} color={theme.colors.text.white} />
+        </View>
+
+        <View style={styles.categoryDetails}>
+          <Text style={styles.categoryName}>{item.name}</Text>
+          {item.archived || item.builtIn ? (
+            <Text style={styles.categoryMeta}>
+              {item.archived ? 'Archived' : 'Built-in'}
+            </Text>
+          ) : null}
+        </View>
+
+        <View style={styles.categoryActions}>
+          <TouchableOpacity style={styles.actionButton} onPress={() => moveCategory(item.id, -1)}>
+            <Ionicons name="chevron-up" size={18} color={theme.colors.text.secondary} />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.actionButton} onPress={() => moveCategory(item.id, 1)}>
+            <Ionicons name="chevron-down" size={18} color={theme.colors.text.secondary} />
+          </TouchableOpacity>
+          {!isSubcategory && !item.archived && (
+            <TouchableOpacity style={styles.actionButton} onPress={() => handleAddCategory(item.id)}>
+              <Ionicons name="add-circle-outline" size={18} color={theme.colors.primary} />
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.actionButton} onPress={() => handleEditCategory(item)}>
+            <Ionicons name="create-outline" size={18} color={theme.colors.status.info} />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.actionButton} onPress={() => handleArchiveCategory(item)}>
+            <Ionicons
+              name={item.archived ? 'arrow-undo-outline' : 'archive-outline'}
+              size={18}
+              color={item.archived ? theme.colors.status.success : theme.colors.status.error}
+            />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  const formParent = form.parentId ? getCategoryById(form.parentId) : null;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.typeTabs}>
+        {CATEGORY_TYPES.map(type => (
+          <TouchableOpacity
+            key={type.id}
+            style={[styles.typeTab, activeType === type.id && styles.activeTypeTab]}
+            onPress={() => setActiveType(type.id)}
+          >
+            <Text style={[styles.typeTabText, activeType === type.id && styles.activeTypeTabText]}>
+              {type.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <TouchableOpacity
+        style={styles.archivedToggle}
+        onPress={() => setShowArchived(!showArchived)}
+      >
+        <Ionicons
+          name={showArchived ? 'checkbox' : 'square-outline'}
+          size={18}
+          color={theme.colors.primary}
+        />
+        <Text style={styles.archivedToggleText}>Show archived</Text>
+      </TouchableOpacity>
+
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={listedCategories}
+          renderItem={renderCategoryItem}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.listContent}
+          ListFooterComponent={
+            <TouchableOpacity style={styles.addCategoryButton} onPress={() => handleAddCategory()}>
+              <Ionicons name="add-circle-outline" size={20} color={theme.colors.primary} />
+              <Text style={styles.addCategoryText}>Add Category</Text>
+            </TouchableOpacity>
+          }
+        />
+      )}
+
+      {/* Add/Edit Category Modal */}
+      {showForm && (
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>
+                {editingCategoryId ? 'Edit Category' : formParent ? 'New Subcategory' : 'New Category'}
+              </Text>
+              <TouchableOpacity onPress={handleCancel}>
+                <Ionicons name="close" size={24} color={theme.colors.text.secondary} />
+              </TouchableOpacity>
+            </View>
+
+            {formParent && (
+              <Text style={styles.parentText}>In {formParent.name}</Text>
+            )}
+
+            <Text style={styles.inputLabel}>Name</Text>
+            <TextInput
+              style={styles.modalInput}
+              value={form.name}
+              onChangeText={name => setForm({ ...form, name })}
+              placeholder={formParent ? 'e.g. Groceries' : 'e.g. Pets'}
+              placeholderTextColor={theme.colors.text.muted}
+              autoFocus
+            />
+
+            <Text style={styles.inputLabel}>Keywords</Text>
+            <TextInput
+              style={styles.modalInput}
+              value={form.keywords}
+              onChangeText={keywords => setForm({ ...form, keywords })}
+              placeholder="e.g. vet, pet food, grooming"
+              placeholderTextColor={theme.colors.text.muted}
+              autoCapitalize="none"
+            />
+
+            <Text style={styles.inputLabel}>Colour</Text>
+            <View style={styles.colorContainer}>
+              {CATEGORY_COLORS.map(color => (
+                <TouchableOpacity
+                  key={color}
+                  style={[
+                    styles.colorSwatch,
+                    { backgroundColor: color },
+                    form.color === color && styles.selectedSwatch,
+                  ]}
+                  onPress={() => setForm({ ...form, color })}
+                />
+              ))}
+            </View>
+
+            <Text style={styles.inputLabel}>Icon</Text>
+            <ScrollView style={styles.iconScroll} contentContainerStyle={styles.iconContainer}>
+              {CATEGORY_ICONS.map(icon => (
+                <TouchableOpacity
+                  key={icon}
+                  style={[
+                    styles.iconOption,
+                    form.icon === icon && { borderColor: form.color, backgroundColor: form.color + '20' },
+                  ]}
+                  onPress={() => setForm({ ...form, icon })}
+                >
+                  <Ionicons name={icon} size={20} color={form.icon === icon ? form.color : theme.colors.text.secondary} />
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={handleCancel}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.modalButton, styles.confirmButton]}
+                onPress={handleSave}
+                disabled={saving}
+              >
+                {saving ? (
+                  <ActivityIndicator size="small" color="white" />
+                ) : (
+                  <Text style={styles.confirmButtonText}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.light,
+  },
+  typeTabs: {
+    flexDirection: 'row',
+    margin: theme.spacing.lg,
+    marginBottom: theme.spacing.sm,
+    padding: theme.spacing.xxs,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+  },
+  typeTab: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.borderRadius.md,
+  },
+  activeTypeTab: {
+    backgroundColor: theme.colors.primary,
+  },
+  typeTabText: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.secondary,
+  },
+  activeTypeTabText: {
+    color: theme.colors.text.white,
+  },
+  archivedToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: theme.spacing.lg,
+    marginBottom: theme.spacing.md,
+  },
+  archivedToggleText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    marginLeft: theme.spacing.xs,
+  },
+  errorText: {
+    color: theme.colors.status.error,
+    fontSize: theme.typography.fontSize.sm,
+    marginHorizontal: theme.spacing.lg,
+    marginBottom: theme.spacing.sm,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  listContent: {
+    paddingHorizontal: theme.spacing.lg,
+    paddingBottom: theme.spacing.xl,
+  },
+  categoryCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  subcategoryCard: {
+    marginLeft: theme.spacing.xl,
+    paddingVertical: theme.spacing.sm,
+  },
+  archivedCard: {
+    opacity: 0.5,
+  },
+  categoryIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: theme.borderRadius.md,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: theme.spacing.md,
+  },
+  categoryDetails: {
+    flex: 1,
+  },
+  categoryName: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+  },
+  categoryMeta: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+  categoryActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  actionButton: {
+    padding: theme.spacing.xs,
+    marginLeft: 2,
+  },
+  addCategoryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: theme.spacing.md,
+    marginTop: theme.spacing.sm,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.lg,
+  },
+  addCategoryText: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.primary,
+    marginLeft: theme.spacing.sm,
+  },
+  modalOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000,
+  },
+  modalContainer: {
+    width: '85%',
+    maxHeight: '85%',
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    padding: theme.spacing.lg,
+    ...theme.shadows.lg,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  modalTitle: {
+    fontSize: theme.typography.fontSize.xl,
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.text.primary,
+  },
+  parentText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    marginTop: -theme.spacing.sm,
+    marginBottom: theme.spacing.md,
+  },
+  inputLabel: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.xs,
+  },
+  modalInput: {
+    backgroundColor: theme.colors.background.light,
+    borderRadius: theme.borderRadius.md,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.md,
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.text.primary,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    marginBottom: theme.spacing.md,
+  },
+  colorContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.sm,
+    marginBottom: theme.spacing.md,
+  },
+  colorSwatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+  },
+  selectedSwatch: {
+    borderWidth: 3,
+    borderColor: theme.colors.text.primary,
+  },
+  iconScroll: {
+    maxHeight: 150,
+    marginBottom: theme.spacing.md,
+  },
+  iconContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.sm,
+  },
+  iconOption: {
+    width: 40,
+    height: 40,
+    borderRadius: theme.borderRadius.md,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  modalButton: {
+    paddingHorizontal: theme.spacing.lg,
+    paddingVertical: theme.spacing.sm,
+    borderRadius: theme.borderRadius.md,
+    marginLeft: theme.spacing.sm,
+  },
+  cancelButton: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  confirmButton: {
+    backgroundColor: theme.colors.primary,
+  },
+  cancelButtonText: {
+    color: theme.colors.text.primary,
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+  },
+  confirmButtonText: {
+    color: 'white',
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+  },
+});
+
+export default CategoryManagerScreen;
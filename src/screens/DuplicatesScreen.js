@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  SafeAreaView,
+  RefreshControl,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTransactions } from '../context/TransactionContext';
+import DuplicateComparison from '../components/DuplicateComparison';
+import theme from '../theme';
+
+const DuplicatesScreen = () => {
+  const { findPossibleDuplicates, dismissDuplicatePair, mergeDuplicatePair } = useTransactions();
+  const [pairs, setPairs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [workingKey, setWorkingKey] = useState(null);
+
+  const loadPairs = async () => {
+    try {
+      setPairs(await findPossibleDuplicates());
+    } catch (error) {
+      console.error('Error finding duplicates:', error);
+      Alert.alert('Error', 'Failed to check for duplicates. Please try again.');
+    }
+  };
+
+  useEffect(() => {
+    loadPairs().finally(() => setLoading(false));
+  }, []);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await loadPairs();
+    setRefreshing(false);
+  };
+
+  // Once a transaction is deleted, every other pair it was in goes too
+  const removePairs = (pairKey, removedTransaction) => {
+    const removedId = removedTransaction?.id;
+    setPairs(currentPairs => currentPairs.filter(pair => (
+      pair.key !== pairKey && pair.first.id !== removedId && pair.second.id !== removedId
+    )));
+  };
+
+  const handleMerge = (pair, keep, remove) => {
+    Alert.alert(
+      'Merge Transactions',
+      'The other transaction will be deleted. Its tags, and any note, category or account this one is missing, will be kept.',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Merge',
+          style: 'destructive',
+          onPress: async () => {
+            setWorkingKey(pair.key);
+            const success = await mergeDuplicatePair(keep, remove);
+            setWorkingKey(null);
+
+            if (success) {
+              removePairs(pair.key, remove);
+            } else {
+              Alert.alert('Error', 'Failed to merge transactions. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleDismiss = async (pair) => {
+    setWorkingKey(pair.key);
+    const success = await dismissDuplicatePair(pair.key);
+    setWorkingKey(null);
+
+    if (success) {
+      removePairs(pair.key);
+    } else {
+      Alert.alert('Error', 'Failed to dismiss duplicate. Please try again.');
+    }
+  };
+
+  const renderPair = ({ item: pair }) => {
+    const isWorking = workingKey === pair.key;
+
+    return (
+      <View style={styles.pairCard}>
+        <View style={styles.pairHeader}>
+          <Ionicons name="copy-outline" size={18} color={theme.colors.status.warning} />
+          <Text style={styles.pairTitle}>Possible duplicate</Text>
+          <Text style={styles.pairScore}>{Math.round(pair.score * 100)}% match</Text>
+        </View>
+
+        <DuplicateComparison
+          first={pair.first}
+          second={pair.second}
+          firstTitle="Older"
+          secondTitle="Newer"
+          style={styles.comparison}
+        />
+
+        {isWorking ? (
+          <ActivityIndicator size="small" color={theme.colors.primary} style={styles.working} />
+        ) : (
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => handleMerge(pair, pair.first, pair.second)}
+            >
+              <Text style={styles.actionText}>Keep Older</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => handleMerge(pair, pair.second, pair.first)}
+            >
+              <Text style={styles.actionText}>Keep Newer</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => handleDismiss(pair)}
+            >
+              <Text style={styles.dismissText}>Not a Duplicate</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+          <Text style={styles.emptyText}>Checking your transactions...</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <FlatList
+        data={pairs}
+        renderItem={renderPair}
+        keyExtractor={(pair) => pair.key}
+        contentContainerStyle={pairs.length === 0 ? styles.emptyContainer : styles.listContent}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={handleRefresh}
+            colors={[theme.colors.primary]}
+            tintColor={theme.colors.primary}
+          />
+        }
+        ListHeaderComponent={pairs.length > 0 && (
+          <Text style={styles.headerText}>
+            These transactions have the same amount and were made within a few days of each other. Merge the ones you entered twice.
+          </Text>
+        )}
+        ListEmptyComponent={
+          <>
+            <Ionicons name="checkmark-done-outline" size={48} color={theme.colors.text.muted} />
+            <Text style={styles.emptyTitle}>No possible duplicates</Text>
+            <Text style={styles.emptyText}>
+              Transactions that look like the same payment entered twice will show up here.
+            </Text>
+          </>
+        }
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.light,
+  },
+  listContent: {
+    padding: theme.spacing.lg,
+    paddingBottom: theme.spacing.xl,
+  },
+  emptyContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: theme.spacing.xl,
+  },
+  emptyTitle: {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+  },
+  emptyText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  headerText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.md,
+  },
+  pairCard: {
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  pairHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  pairTitle: {
+    flex: 1,
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginLeft: theme.spacing.xs,
+  },
+  pairScore: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+  },
+  comparison: {
+    marginHorizontal: 0,
+    marginBottom: theme.spacing.sm,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  actionButton: {
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.xs,
+  },
+  actionText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.primary,
+  },
+  dismissText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  },
+  working: {
+    paddingVertical: theme.spacing.xs,
+  },
+});
+
+export default DuplicatesScreen;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   View,
   Text,
@@ -11,10 +11,15 @@ import {
   Platform
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { startOfMonth } from 'date-fns';
 import { useTransactions } from '../context/TransactionContext';
 import { useAuth } from '../context/AuthContext';
 import { formatCurrency } from '../utils/formatters';
 import { useLoading } from '../hooks';
+import theme from '../theme';
+import { getCategoryById } from '../constants/categories';
+import { getCategoryAllocations } from '../utils/dataUtils';
+import { calculateTagReport, formatTag } from '../utils/tagUtils';
 import { 
   createCategoryPieChartConfig, 
   createExpenseTrendLineChartConfig,
@@ -47,20 +52,52 @@ const TIME_PERIODS = [
   { id: 'all', label: 'All Time' },
 ];
 
+// Start of a time period, or null for all time
+const getPeriodStart = (period, now = new Date()) => {
+  const startDate = new Date(now);
+
+  switch (period) {
+    case 'week':
+      startDate.setDate(now.getDate() - 7);
+      return startDate;
+    case 'month':
+      startDate.setMonth(now.getMonth() - 1);
+      return startDate;
+    case '3months':
+      startDate.setMonth(now.getMonth() - 3);
+      return startDate;
+    case '6months':
+      startDate.setMonth(now.getMonth() - 6);
+      return startDate;
+    case 'year':
+      startDate.setFullYear(now.getFullYear() - 1);
+      return startDate;
+    case 'all':
+    default:
+      return null;
+  }
+};
+
 const EnhancedStatisticsScreen = () => {
-  const { transactions } = useTransactions();
+  const { transactions, knownTags, getTransactionHistory } = useTransactions();
   const { user } = useAuth();
-  const { loading, startLoading, stopLoading } = useLoading();
+  const { loading, startLoading, endLoading } = useLoading();
   
   // State
   const [currency, setCurrency] = useState('USD');
   const [selectedPeriod, setSelectedPeriod] = useState('month');
+  const [periodTransactions, setPeriodTransactions] = useState(null);
+  const [historyFailed, setHistoryFailed] = useState(false);
+  const loadedPeriodRef = useRef(null);
   const [filteredTransactions, setFilteredTransactions] = useState([]);
   const [categoryData, setCategoryData] = useState([]);
   const [trendData, setTrendData] = useState(null);
   const [comparisonData, setComparisonData] = useState(null);
   const [topCategories, setTopCategories] = useState(null);
   const [dailySpending, setDailySpending] = useState(null);
+  const [selectedTag, setSelectedTag] = useState(null);
+  const [tagHistory, setTagHistory] = useState(null);
+  const [tagHistoryFailed, setTagHistoryFailed] = useState(false);
   
   // Financial summary
   const [summary, setSummary] = useState({
@@ -72,6 +109,40 @@ const EnhancedStatisticsScreen = () => {
     mostSpentCategory: ''
   });
   
+  // Tag report covers all time, since a tag like a trip rarely lines up with the period filter
+  const tags = knownTags;
+  const reportTag = selectedTag && tags.includes(selectedTag) ? selectedTag : tags[0];
+  const tagReport = useMemo(
+    () => (reportTag && tagHistory ? calculateTagReport(tagHistory, reportTag) : null),
+    [tagHistory, reportTag]
+  );
+  
+  // The whole history for the tag report, reloaded when transactions change so edits show
+  const hasTags = tags.length > 0;
+  useEffect(() => {
+    if (!hasTags) return;
+    let cancelled = false;
+
+    const loadTagHistory = async () => {
+      try {
+        const history = await getTransactionHistory();
+        if (cancelled) return;
+        setTagHistory(history);
+        setTagHistoryFailed(false);
+      } catch (error) {
+        console.error('Error loading transactions for the tag report:', error);
+        if (cancelled) return;
+        setTagHistory(transactions || []);
+        setTagHistoryFailed(true);
+      }
+    };
+
+    loadTagHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [transactions, hasTags]);
+  
   // Load user currency
   useEffect(() => {
     if (user && user.currency) {
@@ -79,14 +150,51 @@ const EnhancedStatisticsScreen = () => {
     }
   }, [user]);
   
-  // Filter transactions based on selected time period
+  // Periods reach back further than the transactions kept in memory, so the
+  // period is loaded from the whole history, always including this month for
+  // the daily spending chart. Reloaded when transactions change so edits show.
   useEffect(() => {
-    if (!transactions || transactions.length === 0) return;
-    
-    startLoading();
+    let cancelled = false;
+    const periodStart = getPeriodStart(selectedPeriod);
+    const monthStart = startOfMonth(new Date());
+
+    const loadPeriod = async () => {
+      // Only a new period shows the spinner, not a reload after an edit
+      const isNewPeriod = loadedPeriodRef.current !== selectedPeriod;
+      if (isNewPeriod) startLoading();
+
+      try {
+        const history = await getTransactionHistory(periodStart
+          ? { startDate: periodStart < monthStart ? periodStart : monthStart }
+          : {});
+        if (cancelled) return;
+        setPeriodTransactions(history);
+        setHistoryFailed(false);
+      } catch (error) {
+        console.error('Error loading transactions for statistics:', error);
+        if (cancelled) return;
+        setPeriodTransactions(transactions || []);
+        setHistoryFailed(true);
+      } finally {
+        if (!cancelled) {
+          loadedPeriodRef.current = selectedPeriod;
+          if (isNewPeriod) endLoading();
+        }
+      }
+    };
+
+    loadPeriod();
+    return () => {
+      cancelled = true;
+    };
+  }, [transactions, selectedPeriod]);
+  
+  // Build the charts for the selected time period
+  useEffect(() => {
+    if (!periodTransactions) return;
     
     try {
-      const filtered = filterTransactionsByPeriod(transactions, selectedPeriod);
+      const filtered = filterTransactionsByPeriod(periodTransactions, selectedPeriod);
       setFilteredTransactions(filtered);
       
       // Generate chart data
@@ -98,56 +206,32 @@ const EnhancedStatisticsScreen = () => {
                     selectedPeriod === '3months' ? 3 :
                     selectedPeriod === '6months' ? 6 : 12;
                     
-      const lineConfig = createExpenseTrendLineChartConfig(transactions, months, currency);
+      const lineConfig = createExpenseTrendLineChartConfig(periodTransactions, months, currency);
       setTrendData(lineConfig);
       
-      const barConfig = createIncomeExpenseBarChartConfig(transactions, Math.min(months, 6), currency);
+      const barConfig = createIncomeExpenseBarChartConfig(periodTransactions, Math.min(months, 6), currency);
       setComparisonData(barConfig);
       
       const topConfig = createTopCategoriesBarChartConfig(filtered, 5, currency);
       setTopCategories(topConfig);
       
-      const dailyConfig = createDailySpendingChartConfig(transactions, new Date(), currency);
+      const dailyConfig = createDailySpendingChartConfig(periodTransactions, new Date(), currency);
       setDailySpending(dailyConfig);
       
       // Calculate financial summary
       calculateFinancialSummary(filtered);
     } catch (error) {
       console.error('Error processing statistics:', error);
-    } finally {
-      stopLoading();
     }
-  }, [transactions, selectedPeriod]);
+  }, [periodTransactions, selectedPeriod, currency]);
   
   // Filter transactions by time period
   const filterTransactionsByPeriod = (allTransactions, period) => {
     const now = new Date();
-    let startDate;
+    const startDate = getPeriodStart(period, now);
     
-    switch (period) {
-      case 'week':
-        startDate = new Date(now);
-        startDate.setDate(now.getDate() - 7);
-        break;
-      case 'month':
-        startDate = new Date(now);
-        startDate.setMonth(now.getMonth() - 1);
-        break;
-      case '3months':
-        startDate = new Date(now);
-        startDate.setMonth(now.getMonth() - 3);
-        break;
-      case '6months':
-        startDate = new Date(now);
-        startDate.setMonth(now.getMonth() - 6);
-        break;
-      case 'year':
-        startDate = new Date(now);
-        startDate.setFullYear(now.getFullYear() - 1);
-        break;
-      case 'all':
-      default:
-        return [...allTransactions];
+    if (!startDate) {
+      return [...allTransactions];
     }
     
     return allTransactions.filter(transaction => {
@@ -192,8 +276,10 @@ const EnhancedStatisticsScreen = () => {
     
     // Most spent category
     const expensesByCategory = expenseTransactions.reduce((acc, t) => {
-      if (!acc[t.category]) acc[t.category] = 0;
-      acc[t.category] += Math.abs(t.amount);
+      getCategoryAllocations(t).forEach(({ category, amount }) => {
+        if (!acc[category]) acc[category] = 0;
+        acc[category] += Math.abs(amount);
+      });
       return acc;
     }, {});
     
@@ -283,6 +369,15 @@ const EnhancedStatisticsScreen = () => {
       </View>
       
       <ScrollView contentContainerStyle={styles.content}>
+        {historyFailed && (
+          <View style={styles.historyWarning}>
+            <Ionicons name="cloud-offline-outline" size={18} color={theme.colors.status.warning} />
+            <Text style={styles.historyWarningText}>
+              Older transactions could not be loaded, so these figures only cover recent ones.
+            </Text>
+          </View>
+        )}
+        
         {/* Financial Summary Card */}
         <View style={styles.summaryCard}>
           <Text style={styles.sectionTitle}>Financial Summary</Text>
@@ -416,6 +511,103 @@ const EnhancedStatisticsScreen = () => {
             </View>
           </View>
         )}
+        
+        {/* Tag Report */}
+        {tagReport && (
+          <View style={styles.chartCard}>
+            <Text style={styles.sectionTitle}>Tag Report</Text>
+            {tagHistoryFailed && (
+              <Text style={styles.tagHistoryWarning}>
+                Older transactions could not be loaded, so this report only covers recent ones.
+              </Text>
+            )}
+            
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              contentContainerStyle={styles.tagsContainer}
+            >
+              {tags.map(tag => (
+                <TouchableOpacity
+                  key={tag}
+                  style={[
+                    styles.tagButton,
+                    reportTag === tag ? styles.activeFilter : null
+                  ]}
+                  onPress={() => setSelectedTag(tag)}
+                >
+                  <Text
+                    style={[
+                      styles.filterText,
+                      reportTag === tag ? styles.activeFilterText : null
+                    ]}
+                  >
+                    {formatTag(tag)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+            
+            <View style={styles.summaryGrid}>
+              <View style={styles.summaryItem}>
+                <Text style={styles.summaryLabel}>Net Spent</Text>
+                <Text style={[styles.summaryValue, styles.expenseText]}>
+                  {formatCurrency(tagReport.total, currency)}
+                </Text>
+              </View>
+              
+              <View style={styles.summaryItem}>
+                <Text style={styles.summaryLabel}>Transactions</Text>
+                <Text style={styles.summaryValue}>{tagReport.count}</Text>
+              </View>
+              
+              <View style={styles.summaryItem}>
+                <Text style={styles.summaryLabel}>Expenses</Text>
+                <Text style={styles.summaryValue}>
+                  {formatCurrency(tagReport.expense, currency)}
+                </Text>
+              </View>
+              
+              <View style={styles.summaryItem}>
+                <Text style={styles.summaryLabel}>Income</Text>
+                <Text style={[styles.summaryValue, styles.incomeText]}>
+                  {formatCurrency(tagReport.income, currency)}
+                </Text>
+              </View>
+            </View>
+            
+            {tagReport.timeline.length > 1 && (
+              <View style={styles.chartContainer}>
+                <LineChart
+                  data={{
+                    labels: tagReport.timeline.map(month => month.label),
+                    datasets: [{ data: tagReport.timeline.map(month => month.amount) }],
+                  }}
+                  width={CHART_WIDTH - 32}
+                  height={CHART_HEIGHT}
+                  chartConfig={chartConfig}
+                  bezier
+                  yAxisLabel=""
+                  yAxisSuffix=""
+                />
+              </View>
+            )}
+            
+            {tagReport.categories.map(item => {
+              const category = getCategoryById(item.category);
+              return (
+                <View key={item.category} style={styles.tagCategoryRow}>
+                  <View style={[styles.tagCategoryDot, { backgroundColor: category.color }]} />
+                  <Text style={styles.tagCategoryName}>{category.name}</Text>
+                  <Text style={styles.tagCategoryPercent}>{item.percentage.toFixed(0)}%</Text>
+                  <Text style={styles.tagCategoryAmount}>
+                    {formatCurrency(item.amount, currency)}
+                  </Text>
+                </View>
+              );
+            })}
+          </View>
+        )}
       </ScrollView>
     </SafeAreaView>
   );
@@ -463,6 +655,22 @@ const styles = StyleSheet.create({
     padding: 16,
     paddingBottom: 100, // Add extra padding at the bottom to ensure scrollability
   },
+  historyWarning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 16,
+    borderRadius: 8,
+    borderLeftWidth: 4,
+    backgroundColor: `${theme.colors.status.warning}15`,
+    borderLeftColor: theme.colors.status.warning,
+  },
+  historyWarningText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 13,
+    color: theme.colors.text.primary,
+  },
   summaryCard: {
     backgroundColor: theme.colors.background.card,
     borderRadius: 12,
@@ -531,6 +739,49 @@ const styles = StyleSheet.create({
   chartContainer: {
     alignItems: 'center',
   },
+  tagsContainer: {
+    paddingBottom: 16,
+  },
+  tagHistoryWarning: {
+    fontSize: 13,
+    color: theme.colors.status.warning,
+    marginBottom: 12,
+  },
+  tagButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: theme.colors.background.light,
+    marginRight: 8,
+  },
+  tagCategoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.divider,
+  },
+  tagCategoryDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 8,
+  },
+  tagCategoryName: {
+    flex: 1,
+    fontSize: 14,
+    color: theme.colors.text.primary,
+  },
+  tagCategoryPercent: {
+    fontSize: 14,
+    color: theme.colors.text.secondary,
+    marginRight: 12,
+  },
+  tagCategoryAmount: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: theme.colors.text.primary,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -0,0 +1,583 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+  SafeAreaView,
+  Platform,
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../context/AuthContext';
+import { useAccounts } from '../context/AccountContext';
+import { useCategories } from '../context/CategoryContext';
+import { useTransactions } from '../context/TransactionContext';
+import {
+  DATE_RANGES,
+  DATE_RANGE_LABELS,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_FILTER,
+  applyExportFilter,
+  getExportRows,
+  getExportColumns,
+  loadExportPresets,
+  saveExportPreset,
+  deleteExportPreset,
+} from '../utils/exportFilters';
+import { getReportPeriod } from '../utils/reportFormat';
+import { getTaxSettings } from '../utils/repository';
+import { getAllTags, formatTag } from '../utils/tagUtils';
+import { formatCurrency, formatShortDate } from '../utils/formatters';
+import Button from '../components/Button';
+import ExportMenu from '../components/ExportMenu';
+import ConfirmationModal from '../components/ConfirmationModal';
+import { DEFAULT_FISCAL_YEAR_START_MONTH } from '../constants/tax';
+import theme from '../theme';
+
+const TRANSACTION_TYPES = [
+  { id: 'expense', label: 'Expenses' },
+  { id: 'income', label: 'Income' },
+  { id: 'transfer', label: 'Transfers' },
+];
+
+const PREVIEW_ROW_COUNT = 5;
+
+const PREVIEW_COLUMN_WIDTHS = {
+  date: 90,
+  description: 140,
+  category: 120,
+  type: 70,
+  account: 110,
+  amount: 90,
+  notes: 140,
+  tags: 110,
+};
+
+const ExportScreen = () => {
+  const { user } = useAuth();
+  const { accounts } = useAccounts();
+  const { getCategories } = useCategories();
+  const { getTransactionHistory } = useTransactions();
+  const currency = user?.currency || 'USD';
+
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState(DEFAULT_EXPORT_FILTER);
+  const [fiscalYearStartMonth, setFiscalYearStartMonth] = useState(DEFAULT_FISCAL_YEAR_START_MONTH);
+  const [datePickerField, setDatePickerField] = useState(null);
+
+  const [presets, setPresets] = useState([]);
+  const [activePresetId, setActivePresetId] = useState(null);
+  const [showSaveModal, setShowSaveModal] = useState(false);
+  const [presetName, setPresetName] = useState('');
+  const [showExportMenu, setShowExportMenu] = useState(false);
+
+  // Exports cover the whole history, not just the recent transactions in memory
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        const [history, savedPresets, settings] = await Promise.all([
+          getTransactionHistory(),
+          loadExportPresets(user.id),
+          getTaxSettings(user.id),
+        ]);
+        setTransactions(history);
+        setPresets(savedPresets);
+        setFiscalYearStartMonth(settings.fiscalYearStartMonth);
+      } catch (error) {
+        console.error('Error loading export data:', error);
+        Alert.alert('Error', 'Failed to load transactions. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadData();
+  }, []);
+
+  const filteredTransactions = useMemo(
+    () => applyExportFilter(transactions, filter, new Date(), fiscalYearStartMonth),
+    [transactions, filter, fiscalYearStartMonth]
+  );
+  const rows = useMemo(
+    () => getExportRows(filteredTransactions, accounts),
+    [filteredTransactions, accounts]
+  );
+  const columns = getExportColumns(filter.columns);
+
+  // The period report compares with the period before, so it gets every
+  // date that matches the other filters
+  const report = useMemo(() => {
+    const period = getReportPeriod(filter, filteredTransactions, new Date(), fiscalYearStartMonth);
+    if (!period) return null;
+
+    return {
+      period,
+      transactions: applyExportFilter(transactions, { ...filter, dateRange: DATE_RANGES.ALL }),
+    };
+  }, [transactions, filter, filteredTransactions, fiscalYearStartMonth]);
+  const tags = useMemo(() => getAllTags(transactions), [transactions]);
+
+  const updateFilter = (changes) => {
+    setFilter(current => ({ ...current, ...changes }));
+    setActivePresetId(null);
+  };
+
+  const toggleValue = (key, value) => {
+    const values = filter[key] || [];
+    const updated = values.includes(value)
+      ? values.filter(v => v !== value)
+      : [...values, value];
+
+    // An export always has at least one column
+    if (key === 'columns' && updated.length === 0) return;
+
+    updateFilter({ [key]: updated });
+  };
+
+  const handleDateChange = (event, selectedDate) => {
+    const field = datePickerField;
+    setDatePickerField(null);
+    if (selectedDate) {
+      updateFilter({ [field]: selectedDate.toISOString() });
+    }
+  };
+
+  const applyPreset = (preset) => {
+    setFilter({ ...DEFAULT_EXPORT_FILTER, ...preset.filter });
+    setActivePresetId(preset.id);
+  };
+
+  const handleDeletePreset = (preset) => {
+    Alert.alert(
+      'Delete Preset',
+      `Delete "${preset.name}"?`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setPresets(await deleteExportPreset(user.id, preset.id));
+              if (activePresetId === preset.id) setActivePresetId(null);
+            } catch (error) {
+              console.error('Error deleting export preset:', error);
+              Alert.alert('Error', 'Failed to delete preset. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleSavePreset = async () => {
+    const name = presetName.trim();
+    if (!name) {
+      Alert.alert('Error', 'Please enter a name for the preset');
+      return;
+    }
+
+    try {
+      const updated = await saveExportPreset(user.id, name, filter);
+      setPresets(updated);
+      setActivePresetId(updated.find(preset => preset.name === name)?.id || null);
+      setShowSaveModal(false);
+      setPresetName('');
+    } catch (error) {
+      console.error('Error saving export preset:', error);
+      Alert.alert('Error', 'Failed to save preset. Please try again.');
+    }
+  };
+
+  const renderChip = (key, label, isActive, onPress, onLongPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, isActive && styles.activeChip]}
+      onPress={onPress}
+      onLongPress={onLongPress}
+    >
+      <Text style={[styles.chipText, isActive && styles.activeChipText]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderPreviewCell = (id, row) => {
+    if (id === 'date') return formatShortDate(row.date);
+    if (id === 'amount') return formatCurrency(row.amount, currency);
+    return row[id] || '-';
+  };
+
+  const renderCustomDates = () => (
+    <View style={styles.dateRow}>
+      {['startDate', 'endDate'].map(field => (
+        <TouchableOpacity
+          key={field}
+          style={styles.dateButton}
+          onPress={() => setDatePickerField(field)}
+        >
+          <Ionicons name="calendar-outline" size={16} color={theme.colors.primary} />
+          <Text style={styles.dateButtonText}>
+            {filter[field]
+              ? formatShortDate(filter[field])
+              : (field === 'startDate' ? 'From' : 'To')}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderPreview = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Preview</Text>
+      {rows.length === 0 ? (
+        <Text style={styles.emptyText}>No transactions match these filters.</Text>
+      ) : (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          <View>
+            <View style={styles.previewRow}>
+              {columns.map(({ id, label }) => (
+                <Text key={id} style={[styles.previewHeader, { width: PREVIEW_COLUMN_WIDTHS[id] }]}>
+                  {label}
+                </Text>
+              ))}
+            </View>
+            {rows.slice(0, PREVIEW_ROW_COUNT).map((row, index) => (
+              <View key={index} style={styles.previewRow}>
+                {columns.map(({ id }) => (
+                  <Text
+                    key={id}
+                    style={[styles.previewCell, { width: PREVIEW_COLUMN_WIDTHS[id] }]}
+                    numberOfLines={1}
+                  >
+                    {renderPreviewCell(id, row)}
+                  </Text>
+                ))}
+              </View>
+            ))}
+          </View>
+        </ScrollView>
+      )}
+      {rows.length > PREVIEW_ROW_COUNT && (
+        <Text style={styles.moreText}>and {rows.length - PREVIEW_ROW_COUNT} more rows</Text>
+      )}
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+          <Text style={styles.emptyText}>Loading your transactions...</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.card}>
+          <View style={styles.cardHeader}>
+            <Text style={styles.cardTitle}>Presets</Text>
+            <TouchableOpacity onPress={() => setShowSaveModal(true)}>
+              <Text style={styles.linkText}>Save Current</Text>
+            </TouchableOpacity>
+          </View>
+          {presets.length === 0 ? (
+            <Text style={styles.hintText}>Save these filters as a preset to repeat this export later.</Text>
+          ) : (
+            <>
+              <View style={styles.chipWrap}>
+                {presets.map(preset => renderChip(
+                  preset.id,
+                  preset.name,
+                  activePresetId === preset.id,
+                  () => applyPreset(preset),
+                  () => handleDeletePreset(preset)
+                ))}
+              </View>
+              <Text style={styles.hintText}>Long-press a preset to delete it.</Text>
+            </>
+          )}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Date Range</Text>
+          <View style={styles.chipWrap}>
+            {Object.values(DATE_RANGES).map(range => renderChip(
+              range,
+              DATE_RANGE_LABELS[range],
+              filter.dateRange === range,
+              () => updateFilter({ dateRange: range })
+            ))}
+          </View>
+          {filter.dateRange === DATE_RANGES.CUSTOM && renderCustomDates()}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Include</Text>
+
+          <Text style={styles.inputLabel}>Types</Text>
+          <View style={styles.chipWrap}>
+            {TRANSACTION_TYPES.map(({ id, label }) => renderChip(
+              id, label, filter.types.includes(id), () => toggleValue('types', id)
+            ))}
+          </View>
+
+          <Text style={styles.inputLabel}>Categories</Text>
+          <View style={styles.chipWrap}>
+            {getCategories('all').map(category => renderChip(
+              category.id,
+              category.name,
+              filter.categories.includes(category.id),
+              () => toggleValue('categories', category.id)
+            ))}
+          </View>
+
+          {tags.length > 0 && (
+            <>
+              <Text style={styles.inputLabel}>Tags</Text>
+              <View style={styles.chipWrap}>
+                {tags.map(tag => renderChip(
+                  tag, formatTag(tag), filter.tags.includes(tag), () => toggleValue('tags', tag)
+                ))}
+              </View>
+            </>
+          )}
+
+          {accounts.length > 1 && (
+            <>
+              <Text style={styles.inputLabel}>Accounts</Text>
+              <View style={styles.chipWrap}>
+                {accounts.map(account => renderChip(
+                  account.id,
+                  account.name,
+                  filter.accounts.includes(account.id),
+                  () => toggleValue('accounts', account.id)
+                ))}
+              </View>
+            </>
+          )}
+
+          <Text style={styles.hintText}>Nothing selected in a group includes everything.</Text>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Columns</Text>
+          <View style={styles.chipWrap}>
+            {EXPORT_COLUMNS.map(({ id, label }) => renderChip(
+              id, label, filter.columns.includes(id), () => toggleValue('columns', id)
+            ))}
+          </View>
+          <Text style={styles.hintText}>Used by CSV, Excel and PDF exports.</Text>
+        </View>
+
+        {renderPreview()}
+      </ScrollView>
+
+      <View style={styles.footer}>
+        <Text style={styles.countText}>
+          {filteredTransactions.length} of {transactions.length} transactions
+          {rows.length !== filteredTransactions.length ? ` · ${rows.length} rows` : ''}
+        </Text>
+        <Button
+          title="Export"
+          onPress={() => setShowExportMenu(true)}
+          disabled={filteredTransactions.length === 0}
+          fullWidth
+        />
+      </View>
+
+      {datePickerField && (
+        <DateTimePicker
+          value={filter[datePickerField] ? new Date(filter[datePickerField]) : new Date()}
+          mode="date"
+          display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+          onChange={handleDateChange}
+        />
+      )}
+
+      <ExportMenu
+        visible={showExportMenu}
+        onClose={() => setShowExportMenu(false)}
+        transactions={filteredTransactions}
+        columns={filter.columns}
+        report={report}
+      />
+
+      <ConfirmationModal
+        visible={showSaveModal}
+        onClose={() => setShowSaveModal(false)}
+        title="Save Preset"
+        message="Relative date ranges such as Last Month move with the calendar each time the preset is used."
+        cancelText="Cancel"
+        confirmText="Save"
+        onCancel={() => setShowSaveModal(false)}
+        onConfirm={handleSavePreset}
+        customContent={
+          <TextInput
+            style={styles.presetInput}
+            placeholder="e.g. Last year's reimbursements"
+            value={presetName}
+            onChangeText={setPresetName}
+            autoFocus
+          />
+        }
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.light,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: theme.spacing.xl,
+  },
+  scrollContent: {
+    padding: theme.spacing.lg,
+    paddingBottom: theme.spacing.xl,
+  },
+  card: {
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  cardTitle: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.xs,
+  },
+  linkText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.primary,
+  },
+  inputLabel: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.sm,
+    marginBottom: theme.spacing.xs,
+  },
+  hintText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.muted,
+    marginTop: theme.spacing.sm,
+  },
+  chipWrap: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.xs,
+  },
+  chip: {
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.full,
+  },
+  activeChip: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+  },
+  activeChipText: {
+    color: theme.colors.text.white,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    gap: theme.spacing.sm,
+    marginTop: theme.spacing.sm,
+  },
+  dateButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: theme.spacing.sm,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.md,
+  },
+  dateButtonText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.primary,
+    marginLeft: theme.spacing.xs,
+  },
+  previewRow: {
+    flexDirection: 'row',
+    paddingVertical: theme.spacing.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.divider,
+  },
+  previewHeader: {
+    fontSize: theme.typography.fontSize.xs,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.secondary,
+    paddingRight: theme.spacing.sm,
+  },
+  previewCell: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.primary,
+    paddingRight: theme.spacing.sm,
+  },
+  moreText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.muted,
+    marginTop: theme.spacing.xs,
+  },
+  emptyText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  footer: {
+    padding: theme.spacing.lg,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.divider,
+    backgroundColor: theme.colors.background.card,
+  },
+  countText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  presetInput: {
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.md,
+    padding: theme.spacing.sm,
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.text.primary,
+    marginTop: theme.spacing.sm,
+  },
+});
+
+export default ExportScreen;
@@ -13,9 +13,8 @@ import {
   FlatList,
   Platform
 } from 'react-native';
-import { doc, getDoc, updateDoc, arrayUnion, arrayRemove } from 'firebase/firestore';
 import { useAuth } from '../context/AuthContext';
-import { db } from '../utils/firebase';
+import { getUserData, getGoals, addGoal, updateGoal, removeGoal } from '../utils/repository';
 import { Ionicons } from '@expo/vector-icons';
 import { ProgressBar } from '../components/ProgressBar';
 import { formatCurrency, formatLongDate } from '../utils/formatters';
@@ -60,22 +59,18 @@ const GoalsScreen = ({ navigation }) => {
     
     try {
       startLoading();
-      const userDocRef = doc(db, 'users', user.id);
-      const userDoc = await getDoc(userDocRef);
+      const [userData, savedGoals] = await Promise.all([
+        getUserData(user.id),
+        getGoals(user.id),
+      ]);
       
-      if (userDoc.exists()) {
-        const userData = userDoc.data();
-        
-        // Set currency
-        if (userData.currency) {
-          setCurrency(userData.currency);
-        }
-        
-        // Set goals
-        if (userData.goals && Array.isArray(userData.goals)) {
-          setGoals(userData.goals);
-        }
+      // Set currency
+      if (userData?.currency) {
+        setCurrency(userData.currency);
       }
+      
+      // Set goals
+      setGoals(savedGoals);
     } catch (error) {
       console.error('Error loading goals:', error);
       Alert.alert('Error', 'Failed to load goals. Please try again.');
@@ -129,10 +124,7 @@ const GoalsScreen = ({ navigation }) => {
       };
       
       // Update Firestore
-      const userDocRef = doc(db, 'users', user.id);
-      await updateDoc(userDocRef, {
-        goals: arrayUnion(goalToAdd)
-      });
+      await addGoal(user.id, goalToAdd);
       
       // Update local state
       setGoals([...goals, goalToAdd]);
@@ -199,13 +191,7 @@ const GoalsScreen = ({ navigation }) => {
       };
       
       // Update Firestore - first remove the old goal, then add the updated one
-      const userDocRef = doc(db, 'users', user.id);
-      await updateDoc(userDocRef, {
-        goals: arrayRemove(oldGoal)
-      });
-      await updateDoc(userDocRef, {
-        goals: arrayUnion(updatedGoal)
-      });
+      await updateGoal(user.id, oldGoal, updatedGoal);
       
       // Update local state
       const updatedGoals = goals.map(g => 
@@ -254,10 +240,7 @@ const GoalsScreen = ({ navigation }) => {
               startLoading();
               
               // Remove from Firestore
-              const userDocRef = doc(db, 'users', user.id);
-              await updateDoc(userDocRef, {
-                goals: arrayRemove(goal)
-              });
+              await removeGoal(user.id, goal);
               
               // Update local state
               const updatedGoals = goals.filter(g => g.id !== goal.id);
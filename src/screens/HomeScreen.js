@@ -17,6 +17,7 @@ import { useFocusEffect, useIsFocused } from '@react-navigation/native';
 import BalanceCard from '../components/BalanceCard';
 import TransactionItem from '../components/TransactionItem';
 import UpcomingBillsCard from '../components/UpcomingBillsCard';
+import AccountsCard from '../components/AccountsCard';
 import { useTransactions } from '../context/TransactionContext';
 import { useAuth } from '../context/AuthContext';
 import theme from '../theme';
@@ -27,8 +28,7 @@ import { registerForPushNotifications, scheduleUpcomingBillReminders, checkFires
 import Toast from 'react-native-toast-message';
 import { formatCurrency } from '../utils/formatters';
 import AddTransactionModal from '../components/AddTransactionModal';
-import { doc, getDoc } from 'firebase/firestore';
-import { db } from '../utils/firebase';
+import { getBudgets } from '../utils/repository';
 import { ProgressBar } from '../components/ProgressBar';
 
 const HomeScreen = ({ navigation }) => {
@@ -50,21 +50,16 @@ const HomeScreen = ({ navigation }) => {
     if (!user) return;
     
     try {
-      const userDocRef = doc(db, 'users', user.id);
-      const userDoc = await getDoc(userDocRef);
+      const budgets = await getBudgets(user.id);
       
-      if (userDoc.exists()) {
-        const userData = userDoc.data();
-        
-        // Set monthly budget
-        if (userData.monthlyBudget) {
-          setMonthlyBudget(userData.monthlyBudget);
-        }
-        
-        // Set currency
-        if (userData.currency) {
-          setCurrency(userData.currency);
-        }
+      // Set monthly budget
+      if (budgets.monthlyBudget) {
+        setMonthlyBudget(budgets.monthlyBudget);
+      }
+      
+      // Set currency
+      if (budgets.currency) {
+        setCurrency(budgets.currency);
       }
     } catch (error) {
       console.error('Error loading budget data:', error);
@@ -167,6 +162,10 @@ const HomeScreen = ({ navigation }) => {
       type: transaction.type,
       category: transaction.category,
       description: transaction.description,
+      accountId: transaction.accountId,
+      toAccountId: transaction.toAccountId,
+      splits: transaction.splits,
+      tags: transaction.tags,
       date: transaction.date instanceof Date ? transaction.date.toISOString() : transaction.date,
       // Add any other necessary fields that are serializable
     };
@@ -308,6 +307,9 @@ const HomeScreen = ({ navigation }) => {
               {/* Budget Summary Card */}
               <BudgetSummaryCard />
               
+              {/* Account Balances Card */}
+              <AccountsCard navigation={navigation} />
+              
               {/* Upcoming Bills Card */}
               {showUpcomingBills && (
                 <UpcomingBillsCard navigation={navigation} />
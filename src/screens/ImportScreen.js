@@ -0,0 +1,794 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  SafeAreaView,
+  ScrollView,
+  Switch,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import { subDays, addDays } from 'date-fns';
+import { useTransactions } from '../context/TransactionContext';
+import { useAccounts } from '../context/AccountContext';
+import { useCategories } from '../context/CategoryContext';
+import { useRules } from '../context/RuleContext';
+import { useAuth } from '../context/AuthContext';
+import AccountSelector from '../components/AccountSelector';
+import Button from '../components/Button';
+import ConfirmationModal from '../components/ConfirmationModal';
+import DuplicateComparison from '../components/DuplicateComparison';
+import {
+  DELIMITERS,
+  DATE_FORMATS,
+  DECIMAL_STYLES,
+  COLUMN_FIELDS,
+  COLUMN_FIELD_LABELS,
+  analyzeCSV,
+  parseCSV,
+  mapRows,
+} from '../utils/csvImport';
+import {
+  IMPORT_FORMATS,
+  pickStatementFile,
+  detectFileFormat,
+  parseStatement,
+  statementToEntries,
+  getFitIdKey,
+  getImportedFitIds,
+} from '../utils/statementImport';
+import { findDuplicates, DUPLICATE_DAY_WINDOW } from '../utils/duplicateDetector';
+import { formatCurrency, formatShortDate } from '../utils/formatters';
+import theme from '../theme';
+
+const STEPS = {
+  PICK: 'pick',
+  MAP: 'map',
+  PREVIEW: 'preview',
+};
+
+const ImportScreen = () => {
+  const navigation = useNavigation();
+  const { addTransactions, getTransactionHistory } = useTransactions();
+  const { accounts, defaultAccountId } = useAccounts();
+  const { getCategoryLabel } = useCategories();
+  const { runRules } = useRules();
+  const { user } = useAuth();
+  const currency = user?.currency || 'USD';
+
+  const [step, setStep] = useState(STEPS.PICK);
+  const [fileName, setFileName] = useState('');
+  const [fileText, setFileText] = useState('');
+  const [fileFormat, setFileFormat] = useState(IMPORT_FORMATS.CSV);
+  const [loadingFile, setLoadingFile] = useState(false);
+
+  // OFX and QIF files can hold several accounts, each imported into one of the user's
+  const [statementAccounts, setStatementAccounts] = useState([]);
+  const [accountMap, setAccountMap] = useState({});
+
+  // Detected settings, all of which the user can change
+  const [delimiter, setDelimiter] = useState(',');
+  const [hasHeader, setHasHeader] = useState(true);
+  const [dateFormat, setDateFormat] = useState(DATE_FORMATS[0]);
+  const [decimalStyle, setDecimalStyle] = useState(DECIMAL_STYLES.DOT);
+  const [mapping, setMapping] = useState({});
+  const [invertAmounts, setInvertAmounts] = useState(false);
+  const [accountId, setAccountId] = useState(defaultAccountId);
+
+  // Existing transactions around the file's dates, to spot rows already imported.
+  // Possible duplicates are skipped unless the user includes them.
+  const [existingTransactions, setExistingTransactions] = useState([]);
+  const [checkingDuplicates, setCheckingDuplicates] = useState(false);
+  const [includedDuplicates, setIncludedDuplicates] = useState([]);
+  const [comparingEntry, setComparingEntry] = useState(null);
+
+  // Import progress
+  const [importing, setImporting] = useState(false);
+
+  // Re-parse whenever the delimiter or header setting changes
+  const parsed = useMemo(() => {
+    const allRows = parseCSV(fileText, delimiter);
+    const columnCount = Math.max(0, ...allRows.map(row => row.length));
+    return {
+      headers: hasHeader && allRows.length > 0
+        ? allRows[0]
+        : Array.from({ length: columnCount }, (_, index) => `Column ${index + 1}`),
+      rows: hasHeader ? allRows.slice(1) : allRows,
+    };
+  }, [fileText, delimiter, hasHeader]);
+
+  // Rows from the file, each with the account it goes into
+  const mappedEntries = useMemo(() => {
+    if (step !== STEPS.PREVIEW) return [];
+
+    if (fileFormat !== IMPORT_FORMATS.CSV) {
+      return statementAccounts.flatMap(account => account.entries.map(entry => ({
+        ...entry,
+        transaction: { ...entry.transaction, accountId: accountMap[account.key] || defaultAccountId },
+      })));
+    }
+
+    return mapRows(parsed.rows, mapping, {
+      dateFormat,
+      decimalStyle,
+      invertAmounts,
+      firstRowNumber: hasHeader ? 2 : 1,
+    }).map(entry => ({ ...entry, transaction: { ...entry.transaction, accountId } }));
+  }, [step, fileFormat, statementAccounts, accountMap, parsed, mapping, dateFormat, decimalStyle, invertAmounts, hasHeader, accountId]);
+
+  // Rules run after auto-categorization and fill in anything still missing.
+  // Rows whose bank transaction ID is already in the account were imported
+  // before and are always skipped.
+  const entries = useMemo(() => {
+    const importedFitIds = getImportedFitIds(existingTransactions);
+
+    return mappedEntries.map((entry) => {
+      if (entry.errors.length > 0) return entry;
+
+      const { fitId } = entry.transaction;
+      if (fitId) {
+        const fitIdKey = getFitIdKey(entry.transaction.accountId, fitId);
+        if (importedFitIds.has(fitIdKey)) {
+          return { ...entry, alreadyImported: true };
+        }
+        // A statement can list the same transaction twice
+        importedFitIds.add(fitIdKey);
+      }
+
+      const transaction = runRules(entry.transaction);
+      const [duplicate] = findDuplicates(transaction, existingTransactions);
+      return { ...entry, transaction, duplicateOf: duplicate?.transaction || null };
+    });
+  }, [mappedEntries, existingTransactions, runRules]);
+
+  const isSkipped = (entry) => entry.alreadyImported
+    || (entry.duplicateOf && !includedDuplicates.includes(entry.rowNumber));
+  const validEntries = entries.filter(entry => entry.errors.length === 0 && !isSkipped(entry));
+  const invalidCount = entries.filter(entry => entry.errors.length > 0).length;
+  const alreadyImportedCount = entries.filter(entry => entry.alreadyImported).length;
+  const skippedCount = entries.filter(entry => entry.duplicateOf && isSkipped(entry)).length;
+
+  // Match each account in the file to one of the user's: by name, then by the
+  // end of the account number, then the only account of the same type
+  const guessAccountMap = (fileAccounts) => fileAccounts.reduce((map, fileAccount) => {
+    const name = fileAccount.name.toLowerCase();
+    const lastDigits = fileAccount.accountNumber?.slice(-4);
+    const sameType = accounts.filter(account => account.type === fileAccount.accountType);
+    const match = accounts.find(account => account.name.toLowerCase() === name)
+      || (lastDigits && accounts.find(account => account.name.includes(lastDigits)))
+      || (sameType.length === 1 ? sameType[0] : null);
+
+    return { ...map, [fileAccount.key]: match ? match.id : defaultAccountId };
+  }, {});
+
+  // Load what is already recorded over the file's dates, plus the days a
+  // duplicate may be out by, then show the preview
+  const showPreview = async (dates) => {
+    setCheckingDuplicates(true);
+    try {
+      setExistingTransactions(dates.length > 0
+        ? await getTransactionHistory({
+          startDate: subDays(new Date(Math.min(...dates)), DUPLICATE_DAY_WINDOW + 1),
+          endDate: addDays(new Date(Math.max(...dates)), DUPLICATE_DAY_WINDOW + 1),
+        })
+        : []);
+    } catch (error) {
+      // Without the recorded transactions every duplicate would slip through
+      console.error('Error loading transactions to compare:', error);
+      Alert.alert('Error', 'Failed to check for duplicates. Please check your connection and try again.');
+      return;
+    } finally {
+      setCheckingDuplicates(false);
+    }
+
+    setIncludedDuplicates([]);
+    setStep(STEPS.PREVIEW);
+  };
+
+  const handlePickFile = async () => {
+    setLoadingFile(true);
+    try {
+      const file = await pickStatementFile();
+      if (!file) return;
+
+      const format = detectFileFormat(file.name, file.text);
+      setFileName(file.name);
+      setFileFormat(format);
+
+      // OFX and QIF say what each field is, so there are no columns to map
+      if (format !== IMPORT_FORMATS.CSV) {
+        const fileAccounts = statementToEntries(parseStatement(file.text, format));
+        setStatementAccounts(fileAccounts);
+        setAccountMap(guessAccountMap(fileAccounts));
+        await showPreview(fileAccounts
+          .flatMap(account => account.entries)
+          .map(entry => entry.transaction.date)
+          .filter(Boolean)
+          .map(date => new Date(date)));
+        return;
+      }
+
+      const analysis = analyzeCSV(file.text);
+      if (analysis.rows.length === 0) {
+        Alert.alert('Empty File', 'No rows were found in this file.');
+        return;
+      }
+
+      setFileText(file.text);
+      setDelimiter(analysis.delimiter);
+      setHasHeader(analysis.hasHeader);
+      setDateFormat(analysis.dateFormat);
+      setDecimalStyle(analysis.decimalStyle);
+      setMapping(analysis.mapping);
+      setInvertAmounts(false);
+      setStep(STEPS.MAP);
+    } catch (error) {
+      console.error('Error reading statement file:', error);
+      Alert.alert('Error', `Failed to read the file. Please make sure it is a CSV, OFX or QIF file.\n\n${error.message}`);
+    } finally {
+      setLoadingFile(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    if (mapping.date === null || mapping.date === undefined) {
+      Alert.alert('Error', 'Please choose the date column');
+      return;
+    }
+
+    const hasAmount = mapping.amount !== null && mapping.amount !== undefined;
+    const hasDebitCredit = [mapping.debit, mapping.credit].some(index => index !== null && index !== undefined);
+    if (!hasAmount && !hasDebitCredit) {
+      Alert.alert('Error', 'Please choose an amount column, or debit and credit columns');
+      return;
+    }
+
+    await showPreview(mapRows(parsed.rows, mapping, { dateFormat, decimalStyle })
+      .map(entry => entry.transaction.date)
+      .filter(Boolean)
+      .map(date => new Date(date)));
+  };
+
+  const setDuplicateIncluded = (entry, included) => {
+    setIncludedDuplicates(included
+      ? [...includedDuplicates, entry.rowNumber]
+      : includedDuplicates.filter(rowNumber => rowNumber !== entry.rowNumber));
+    setComparingEntry(null);
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+
+    const importedAt = new Date().toISOString();
+    const { added: imported, failed } = await addTransactions(validEntries.map(({ transaction }) => ({
+      ...transaction,
+      importSource: fileFormat,
+      importedAt,
+    })));
+
+    setImporting(false);
+
+    Alert.alert(
+      'Import Complete',
+      failed > 0
+        ? `${imported} transactions imported. ${failed} could not be saved.`
+        : `${imported} transactions imported.`,
+      [{ text: 'OK', onPress: () => navigation.goBack() }]
+    );
+  };
+
+  const updateMapping = (field, columnIndex) => {
+    const updated = { ...mapping, [field]: columnIndex };
+
+    // A signed amount column and debit/credit columns are alternatives
+    if (field === COLUMN_FIELDS.AMOUNT && columnIndex !== null) {
+      updated.debit = null;
+      updated.credit = null;
+    } else if ((field === COLUMN_FIELDS.DEBIT || field === COLUMN_FIELDS.CREDIT) && columnIndex !== null) {
+      updated.amount = null;
+    }
+
+    setMapping(updated);
+  };
+
+  const renderChip = (key, label, isActive, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, isActive && styles.activeChip]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, isActive && styles.activeChipText]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderChipRow = (children) => (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={styles.chipScroll}
+      contentContainerStyle={styles.chipRow}
+    >
+      {children}
+    </ScrollView>
+  );
+
+  const renderPickStep = () => (
+    <View style={styles.pickContainer}>
+      <Ionicons name="document-text-outline" size={64} color={theme.colors.primary} />
+      <Text style={styles.pickTitle}>Import a bank statement</Text>
+      <Text style={styles.pickText}>
+        Choose a CSV, OFX, QFX or QIF file exported from your bank or another finance app. You can check how it is read before anything is imported.
+      </Text>
+      <Button
+        title="Choose File"
+        onPress={handlePickFile}
+        loading={loadingFile}
+        style={styles.pickButton}
+      />
+    </View>
+  );
+
+  const renderMapStep = () => {
+    const sampleRow = parsed.rows[0] || [];
+
+    return (
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <Text style={styles.fileName}>{fileName}</Text>
+        <Text style={styles.fileMeta}>{parsed.rows.length} rows</Text>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>File Format</Text>
+
+          <Text style={styles.inputLabel}>Delimiter</Text>
+          {renderChipRow(DELIMITERS.map(({ id, label }) => renderChip(
+            label, label, delimiter === id, () => setDelimiter(id)
+          )))}
+
+          <Text style={styles.inputLabel}>Date format</Text>
+          {renderChipRow(DATE_FORMATS.map(format => renderChip(
+            format, format, dateFormat === format, () => setDateFormat(format)
+          )))}
+
+          <Text style={styles.inputLabel}>Decimal separator</Text>
+          {renderChipRow([
+            renderChip('dot', '1,234.56', decimalStyle === DECIMAL_STYLES.DOT, () => setDecimalStyle(DECIMAL_STYLES.DOT)),
+            renderChip('comma', '1.234,56', decimalStyle === DECIMAL_STYLES.COMMA, () => setDecimalStyle(DECIMAL_STYLES.COMMA)),
+          ])}
+
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>First row is a header</Text>
+            <Switch
+              value={hasHeader}
+              onValueChange={setHasHeader}
+              trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+            />
+          </View>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Columns</Text>
+
+          {Object.values(COLUMN_FIELDS).map(field => (
+            <View key={field}>
+              <Text style={styles.inputLabel}>{COLUMN_FIELD_LABELS[field]}</Text>
+              {renderChipRow([
+                renderChip('none', 'None', mapping[field] === null || mapping[field] === undefined, () => updateMapping(field, null)),
+                ...parsed.headers.map((header, index) => renderChip(
+                  `${index}`,
+                  sampleRow[index] ? `${header} (${sampleRow[index]})` : header,
+                  mapping[field] === index,
+                  () => updateMapping(field, index)
+                )),
+              ])}
+            </View>
+          ))}
+
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>Spending is shown as positive amounts</Text>
+            <Switch
+              value={invertAmounts}
+              onValueChange={setInvertAmounts}
+              trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+            />
+          </View>
+        </View>
+
+        {accounts.length > 1 && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Import Into</Text>
+            <AccountSelector selectedAccount={accountId} onSelect={setAccountId} />
+          </View>
+        )}
+
+        <Button title="Preview" onPress={handlePreview} loading={checkingDuplicates} fullWidth />
+      </ScrollView>
+    );
+  };
+
+  const renderEntry = ({ item: entry }) => {
+    const hasErrors = entry.errors.length > 0;
+    const { transaction } = entry;
+
+    return (
+      <View style={[
+        styles.entryCard,
+        entry.duplicateOf && styles.duplicateCard,
+        entry.alreadyImported && styles.importedCard,
+        hasErrors && styles.errorCard,
+      ]}>
+        <View style={styles.entryHeader}>
+          <Text style={styles.rowNumber}>Row {entry.rowNumber}</Text>
+          {!hasErrors && (
+            <Text style={[
+              styles.entryAmount,
+              { color: transaction.type === 'income' ? theme.colors.financial.income : theme.colors.financial.expense }
+            ]}>
+              {transaction.type === 'income' ? '+' : '-'}{formatCurrency(transaction.amount, currency)}
+            </Text>
+          )}
+        </View>
+
+        {hasErrors ? (
+          <>
+            <Text style={styles.rawValues}>{entry.values.join(' | ')}</Text>
+            {entry.errors.map(error => (
+              <Text key={error} style={styles.entryError}>{error}</Text>
+            ))}
+          </>
+        ) : (
+          <>
+            <Text style={styles.entryDescription}>{transaction.description || 'No description'}</Text>
+            <Text style={styles.entryMeta}>
+              {formatShortDate(transaction.date)} · {transaction.splits ? 'Split' : getCategoryLabel(transaction.category)}
+            </Text>
+            {entry.alreadyImported && (
+              <Text style={styles.importedText}>Already imported, will be skipped</Text>
+            )}
+            {entry.duplicateOf && (
+              <TouchableOpacity style={styles.duplicateRow} onPress={() => setComparingEntry(entry)}>
+                <Ionicons name="copy-outline" size={14} color={theme.colors.status.warning} />
+                <Text style={styles.duplicateText}>
+                  {isSkipped(entry) ? 'Possible duplicate, will be skipped' : 'Possible duplicate, will be imported'}
+                </Text>
+                <Text style={styles.compareText}>Compare</Text>
+              </TouchableOpacity>
+            )}
+          </>
+        )}
+      </View>
+    );
+  };
+
+  const renderPreviewStep = () => (
+    <View style={styles.previewContainer}>
+      <View style={styles.previewSummary}>
+        <Text style={styles.summaryText}>{validEntries.length} ready to import</Text>
+        {invalidCount > 0 && (
+          <Text style={styles.summaryError}>{invalidCount} with errors will be skipped</Text>
+        )}
+        {alreadyImportedCount > 0 && (
+          <Text style={styles.summaryMuted}>{alreadyImportedCount} already imported will be skipped</Text>
+        )}
+        {skippedCount > 0 && (
+          <Text style={styles.summaryWarning}>{skippedCount} possible duplicates will be skipped</Text>
+        )}
+      </View>
+
+      <FlatList
+        data={entries}
+        renderItem={renderEntry}
+        keyExtractor={(entry) => `${entry.rowNumber}`}
+        contentContainerStyle={styles.listContent}
+        ListHeaderComponent={fileFormat !== IMPORT_FORMATS.CSV && accounts.length > 1 && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Import Into</Text>
+            {statementAccounts.map(fileAccount => (
+              <View key={fileAccount.key}>
+                <Text style={styles.inputLabel}>
+                  {fileAccount.name} · {fileAccount.entries.length} transactions
+                </Text>
+                <AccountSelector
+                  selectedAccount={accountMap[fileAccount.key]}
+                  onSelect={id => setAccountMap({ ...accountMap, [fileAccount.key]: id })}
+                />
+              </View>
+            ))}
+          </View>
+        )}
+      />
+
+      <View style={styles.footer}>
+        {importing ? (
+          <View style={styles.progressRow}>
+            <ActivityIndicator size="small" color={theme.colors.primary} />
+            <Text style={styles.progressText}>
+              Importing {validEntries.length} transactions...
+            </Text>
+          </View>
+        ) : (
+          <View style={styles.footerButtons}>
+            <TouchableOpacity
+              style={styles.backButton}
+              onPress={() => setStep(fileFormat === IMPORT_FORMATS.CSV ? STEPS.MAP : STEPS.PICK)}
+            >
+              <Text style={styles.backButtonText}>Back</Text>
+            </TouchableOpacity>
+            <Button
+              title={`Import ${validEntries.length}`}
+              onPress={handleImport}
+              disabled={validEntries.length === 0}
+              style={styles.importButton}
+            />
+          </View>
+        )}
+      </View>
+
+      <ConfirmationModal
+        visible={!!comparingEntry}
+        onClose={() => setComparingEntry(null)}
+        title="Possible Duplicate"
+        message="This row matches a transaction you already have."
+        cancelText="Skip"
+        confirmText="Import Anyway"
+        onCancel={() => setDuplicateIncluded(comparingEntry, false)}
+        onConfirm={() => setDuplicateIncluded(comparingEntry, true)}
+        customContent={comparingEntry && (
+          <DuplicateComparison
+            first={comparingEntry.duplicateOf}
+            second={comparingEntry.transaction}
+            secondTitle="In File"
+          />
+        )}
+      />
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {step === STEPS.PICK && renderPickStep()}
+      {step === STEPS.MAP && renderMapStep()}
+      {step === STEPS.PREVIEW && renderPreviewStep()}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.light,
+  },
+  pickContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: theme.spacing.xl,
+  },
+  pickTitle: {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+  },
+  pickText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginBottom: theme.spacing.lg,
+  },
+  pickButton: {
+    minWidth: 200,
+  },
+  scrollContent: {
+    padding: theme.spacing.lg,
+    paddingBottom: theme.spacing.xl,
+  },
+  fileName: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+  },
+  fileMeta: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.md,
+  },
+  card: {
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  cardTitle: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.xs,
+  },
+  inputLabel: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.sm,
+    marginBottom: theme.spacing.xs,
+  },
+  chipScroll: {
+    flexGrow: 0,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    gap: theme.spacing.xs,
+  },
+  chip: {
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.full,
+  },
+  activeChip: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+  },
+  activeChipText: {
+    color: theme.colors.text.white,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: theme.spacing.md,
+  },
+  switchLabel: {
+    flex: 1,
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.primary,
+    marginRight: theme.spacing.sm,
+  },
+  previewContainer: {
+    flex: 1,
+  },
+  previewSummary: {
+    padding: theme.spacing.lg,
+    paddingBottom: theme.spacing.sm,
+  },
+  summaryText: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+  },
+  summaryError: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.status.error,
+    marginTop: theme.spacing.xxs,
+  },
+  summaryMuted: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.muted,
+    marginTop: theme.spacing.xxs,
+  },
+  summaryWarning: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.status.warning,
+    marginTop: theme.spacing.xxs,
+  },
+  listContent: {
+    paddingHorizontal: theme.spacing.lg,
+    paddingBottom: theme.spacing.md,
+  },
+  entryCard: {
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: 'transparent',
+    ...theme.shadows.sm,
+  },
+  duplicateCard: {
+    borderColor: theme.colors.status.warning,
+  },
+  importedCard: {
+    opacity: 0.5,
+  },
+  errorCard: {
+    borderColor: theme.colors.status.error,
+    backgroundColor: theme.colors.status.error + '10',
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.xs,
+  },
+  rowNumber: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.muted,
+  },
+  entryAmount: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+  },
+  entryDescription: {
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.text.primary,
+  },
+  entryMeta: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.xxs,
+  },
+  duplicateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.xs,
+  },
+  importedText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.muted,
+    marginTop: theme.spacing.xs,
+  },
+  duplicateText: {
+    flex: 1,
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.status.warning,
+    marginLeft: theme.spacing.xxs,
+  },
+  compareText: {
+    fontSize: theme.typography.fontSize.xs,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.primary,
+  },
+  rawValues: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  },
+  entryError: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.status.error,
+    marginTop: theme.spacing.xxs,
+  },
+  footer: {
+    padding: theme.spacing.lg,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.divider,
+    backgroundColor: theme.colors.background.card,
+  },
+  footerButtons: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    paddingVertical: theme.spacing.md,
+    paddingHorizontal: theme.spacing.lg,
+  },
+  backButtonText: {
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.text.secondary,
+  },
+  importButton: {
+    flex: 1,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  progressText: {
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.text.primary,
+    marginLeft: theme.spacing.sm,
+  },
+});
+
+export default ImportScreen;
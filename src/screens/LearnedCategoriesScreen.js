@@ -0,0 +1,320 @@
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useCategories } from '../context/CategoryContext';
+import { formatShortDate } from '../utils/formatters';
+import theme from '../theme';
+
+// Number of words shown for each category
+const TOP_WORDS = 5;
+
+const LearnedCategoriesScreen = () => {
+  const {
+    learnedModel,
+    getCategoryById,
+    getCategoryLabel,
+    forgetMerchant,
+    resetLearning,
+  } = useCategories();
+
+  // Merchants with the category chosen most often, most used first
+  const merchants = useMemo(() => {
+    return Object.entries(learnedModel.merchants)
+      .map(([merchantKey, counts]) => {
+        const [categoryId, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        const total = Object.values(counts).reduce((sum, value) => sum + value, 0);
+        return { merchantKey, categoryId, share: count / total, total };
+      })
+      .sort((a, b) => b.total - a.total);
+  }, [learnedModel]);
+
+  // The words that count most towards each category
+  const categoryWords = useMemo(() => {
+    return Object.entries(learnedModel.tokens)
+      .map(([categoryId, tokenCounts]) => ({
+        categoryId,
+        words: Object.entries(tokenCounts)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, TOP_WORDS)
+          .map(([word]) => word),
+      }))
+      .filter(entry => entry.words.length > 0);
+  }, [learnedModel]);
+
+  const { corrections } = learnedModel;
+  const hasLearned = merchants.length > 0 || categoryWords.length > 0;
+
+  const handleForgetMerchant = (merchantKey) => {
+    Alert.alert(
+      'Forget Merchant',
+      `Stop suggesting categories for "${merchantKey}" based on your past choices?`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Forget',
+          style: 'destructive',
+          onPress: async () => {
+            const success = await forgetMerchant(merchantKey);
+            if (!success) {
+              Alert.alert('Error', 'Failed to forget merchant. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleReset = () => {
+    Alert.alert(
+      'Reset Learned Categories',
+      'Everything the app has learned from your category choices will be deleted. Suggestions will use category keywords only.',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Reset',
+          style: 'destructive',
+          onPress: async () => {
+            const success = await resetLearning();
+            if (!success) {
+              Alert.alert('Error', 'Failed to reset learned categories. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderCategory = (categoryId) => {
+    const category = getCategoryById(categoryId);
+
+    return (
+      <View style={styles.categoryBadge}>
+        <Ionicons name={category.icon} size={14} color={category.color} />
+        <Text style={styles.categoryBadgeText}>{getCategoryLabel(categoryId)}</Text>
+      </View>
+    );
+  };
+
+  if (!hasLearned) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.emptyContainer}>
+          <Ionicons name="school-outline" size={48} color={theme.colors.text.muted} />
+          <Text style={styles.emptyTitle}>Nothing learned yet</Text>
+          <Text style={styles.emptyText}>
+            As you pick categories for your transactions, the app learns which ones you use for each merchant and suggests them next time.
+          </Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.summaryCard}>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryValue}>{merchants.length}</Text>
+            <Text style={styles.summaryLabel}>Merchants</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryValue}>{corrections.length}</Text>
+            <Text style={styles.summaryLabel}>Corrections</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryValue}>
+              {learnedModel.updatedAt ? formatShortDate(learnedModel.updatedAt) : '-'}
+            </Text>
+            <Text style={styles.summaryLabel}>Last Updated</Text>
+          </View>
+        </View>
+
+        {merchants.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Merchants</Text>
+            {merchants.map(merchant => (
+              <View key={merchant.merchantKey} style={styles.row}>
+                <View style={styles.rowDetails}>
+                  <Text style={styles.rowTitle}>{merchant.merchantKey}</Text>
+                  {renderCategory(merchant.categoryId)}
+                  <Text style={styles.rowMeta}>
+                    {Math.round(merchant.share * 100)}% of your choices
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  style={styles.actionButton}
+                  onPress={() => handleForgetMerchant(merchant.merchantKey)}
+                >
+                  <Ionicons name="trash-outline" size={18} color={theme.colors.status.error} />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {categoryWords.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Words</Text>
+            {categoryWords.map(entry => (
+              <View key={entry.categoryId} style={styles.row}>
+                <View style={styles.rowDetails}>
+                  {renderCategory(entry.categoryId)}
+                  <Text style={styles.rowMeta}>{entry.words.join(', ')}</Text>
+                </View>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {corrections.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Recent Corrections</Text>
+            {corrections.map(correction => (
+              <View key={`${correction.date}_${correction.merchantKey}`} style={styles.row}>
+                <View style={styles.rowDetails}>
+                  <Text style={styles.rowTitle}>{correction.description}</Text>
+                  <Text style={styles.rowMeta}>
+                    {getCategoryLabel(correction.suggestedCategoryId)} → {getCategoryLabel(correction.categoryId)}
+                  </Text>
+                  <Text style={styles.rowMeta}>{formatShortDate(correction.date)}</Text>
+                </View>
+              </View>
+            ))}
+          </View>
+        )}
+
+        <TouchableOpacity style={styles.resetButton} onPress={handleReset}>
+          <Ionicons name="refresh-outline" size={20} color={theme.colors.status.error} />
+          <Text style={styles.resetButtonText}>Reset Learned Categories</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.light,
+  },
+  scrollContent: {
+    padding: theme.spacing.lg,
+    paddingBottom: theme.spacing.xl,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: theme.spacing.xl,
+  },
+  emptyTitle: {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+  },
+  emptyText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+  },
+  summaryCard: {
+    flexDirection: 'row',
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.lg,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  summaryItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  summaryValue: {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.text.primary,
+  },
+  summaryLabel: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.xxs,
+  },
+  section: {
+    marginBottom: theme.spacing.lg,
+  },
+  sectionTitle: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.sm,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  rowDetails: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.xs,
+  },
+  rowMeta: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.xxs,
+  },
+  categoryBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  categoryBadgeText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.primary,
+    marginLeft: theme.spacing.xs,
+  },
+  actionButton: {
+    padding: theme.spacing.xs,
+    marginLeft: theme.spacing.sm,
+  },
+  resetButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: theme.spacing.md,
+    borderWidth: 1,
+    borderColor: theme.colors.status.error,
+    borderRadius: theme.borderRadius.lg,
+  },
+  resetButtonText: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.status.error,
+    marginLeft: theme.spacing.sm,
+  },
+});
+
+export default LearnedCategoriesScreen;
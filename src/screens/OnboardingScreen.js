@@ -15,9 +15,9 @@ import {
   Platform
 } from 'react-native';
 import { useAuth } from '../context/AuthContext';
-import { doc, getDoc, setDoc, updateDoc } from 'firebase/firestore';
 import { updateProfile } from 'firebase/auth';
-import { auth, db } from '../utils/firebase';
+import { auth } from '../utils/firebase';
+import { getUserData, createUserData, updateUserData } from '../utils/repository';
 import { Ionicons } from '@expo/vector-icons';
 import { formatCurrency } from '../utils/formatters';
 import { useLoading } from '../hooks';
@@ -61,10 +61,9 @@ const OnboardingScreen = ({ navigation }) => {
         }
         
         // Also check Firestore as a backup
-        const userDocRef = doc(db, 'users', user.id);
-        const userDoc = await getDoc(userDocRef);
+        const userData = await getUserData(user.id);
         
-        if (userDoc.exists() && userDoc.data().onboardingCompleted) {
+        if (userData?.onboardingCompleted) {
           // Set onboarding as completed in AsyncStorage
           await AsyncStorage.setItem('onboardingCompleted', 'true');
           await AsyncStorage.removeItem('onboardingRequired');
@@ -105,12 +104,10 @@ const OnboardingScreen = ({ navigation }) => {
       }
       
       // Check if user doc exists for partial data
-      const userDocRef = doc(db, 'users', user.id);
-      const userDoc = await getDoc(userDocRef);
+      const userData = await getUserData(user.id);
       
-      if (userDoc.exists()) {
+      if (userData) {
         // Populate the form with existing data
-        const userData = userDoc.data();
         setDisplayName(userData.displayName || user.displayName || '');
         setBio(userData.bio || '');
         setCurrency(userData.currency || 'INR');
@@ -201,12 +198,11 @@ const OnboardingScreen = ({ navigation }) => {
       }
       
       // Create or update user document in Firestore
-      const userDocRef = doc(db, 'users', user.id);
-      const userDoc = await getDoc(userDocRef);
+      const userData = await getUserData(user.id);
       
-      if (userDoc.exists()) {
+      if (userData) {
         // Update existing document
-        await updateDoc(userDocRef, {
+        await updateUserData(user.id, {
           displayName,
           bio,
           currency,
@@ -217,7 +213,7 @@ const OnboardingScreen = ({ navigation }) => {
         });
       } else {
         // Create new document
-        await setDoc(userDocRef, {
+        await createUserData(user.id, {
           email: user.email,
           displayName,
           bio,
@@ -15,10 +15,13 @@ import {
 } from 'react-native';
 import { useAuth } from '../context/AuthContext';
 import { updateProfile, signOut } from 'firebase/auth';
-import { auth, db } from '../utils/firebase';
-import { doc, getDoc, setDoc, updateDoc } from 'firebase/firestore';
+import { auth } from '../utils/firebase';
+import { getUserData, createUserData, updateUserData } from '../utils/repository';
 import { Ionicons } from '@expo/vector-icons';
 import { formatCurrency } from '../utils/formatters';
+import { DEFAULT_FISCAL_YEAR_START_MONTH, MONTH_NAMES } from '../constants/tax';
+import timeZones, { getTimeZoneLabel } from '../constants/timeZones';
+import { getDeviceTimeZone } from '../utils/timeZone';
 import { useLoading } from '../hooks';
 import * as ImagePicker from 'expo-image-picker';
 import AsyncStorage from '@react-native-async-storage/async-storage';
@@ -39,6 +42,9 @@ const ProfileScreen = ({ navigation }) => {
   const [bio, setBio] = useState('');
   const [currency, setCurrency] = useState('INR');
   const [monthlyBudget, setMonthlyBudget] = useState('');
+  const [fiscalYearStartMonth, setFiscalYearStartMonth] = useState(DEFAULT_FISCAL_YEAR_START_MONTH);
+  // null follows the device's time zone
+  const [timeZone, setTimeZone] = useState(null);
   const [editMode, setEditMode] = useState(false);
   const [savingProfile, setSavingProfile] = useState(false);
   const [profileLoading, setProfileLoading] = useState(true);
@@ -58,15 +64,15 @@ const ProfileScreen = ({ navigation }) => {
       
       try {
         setProfileLoading(true);
-        const userDocRef = doc(db, 'users', user.uid || user.id);
-        const userDoc = await getDoc(userDocRef);
+        const userData = await getUserData(user.uid || user.id);
         
-        if (userDoc.exists()) {
-          const userData = userDoc.data();
+        if (userData) {
           setDisplayName(userData.displayName || user.displayName || '');
           setBio(userData.bio || '');
           setCurrency(userData.currency || 'INR');
           setMonthlyBudget(userData.monthlyBudget?.toString() || '');
+          setFiscalYearStartMonth(userData.fiscalYearStartMonth || DEFAULT_FISCAL_YEAR_START_MONTH);
+          setTimeZone(userData.timeZone || null);
           setProfileImage(userData.photoURL || user.photoURL || getProfileImagePlaceholder(userData.displayName));
         } else {
           // Initialize with auth data if available
@@ -74,7 +80,7 @@ const ProfileScreen = ({ navigation }) => {
           setProfileImage(user.photoURL || getProfileImagePlaceholder(user.displayName));
           
           // Create a user document in Firestore
-          await setDoc(userDocRef, {
+          await createUserData(user.uid || user.id, {
             email: user.email,
             displayName: user.displayName || '',
             photoURL: user.photoURL || getProfileImagePlaceholder(user.displayName),
@@ -183,12 +189,13 @@ const ProfileScreen = ({ navigation }) => {
       
       // Continue with profile update
       // Update Firestore profile
-      const userDocRef = doc(db, 'users', user.uid || user.id);
-      await updateDoc(userDocRef, {
+      await updateUserData(user.uid || user.id, {
         displayName,
         bio,
         currency,
         monthlyBudget: monthlyBudget ? Number(monthlyBudget) : null,
+        fiscalYearStartMonth,
+        timeZone,
         photoURL,
         updatedAt: new Date(),
       });
@@ -479,6 +486,150 @@ const ProfileScreen = ({ navigation }) => {
                     </Text>
                   )}
                 </View>
+                
+                <View style={styles.formGroup}>
+                  <Text style={styles.label}>Financial Year</Text>
+                  {editMode ? (
+                    <View style={styles.monthPicker}>
+                      {MONTH_NAMES.map((monthName, index) => (
+                        <TouchableOpacity
+                          key={monthName}
+                          style={[
+                            styles.monthOption,
+                            fiscalYearStartMonth === index + 1 && styles.selectedCurrencyOption
+                          ]}
+                          onPress={() => setFiscalYearStartMonth(index + 1)}
+                        >
+                          <Text style={[
+                            styles.monthText,
+                            fiscalYearStartMonth === index + 1 && styles.selectedCurrencyText
+                          ]}>
+                            {monthName.slice(0, 3)}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  ) : (
+                    <Text style={styles.valueText}>
+                      {MONTH_NAMES[fiscalYearStartMonth - 1]} – {MONTH_NAMES[(fiscalYearStartMonth + 10) % 12]}
+                    </Text>
+                  )}
+                </View>
+                
+                <View style={styles.formGroup}>
+                  <Text style={styles.label}>Time Zone</Text>
+                  {editMode ? (
+                    <View style={styles.monthPicker}>
+                      {[{ id: null, label: `Device (${getTimeZoneLabel(getDeviceTimeZone())})` }, ...timeZones].map(zone => (
+                        <TouchableOpacity
+                          key={zone.id || 'device'}
+                          style={[
+                            styles.timeZoneOption,
+                            timeZone === zone.id && styles.selectedCurrencyOption
+                          ]}
+                          onPress={() => setTimeZone(zone.id)}
+                        >
+                          <Text style={[
+                            styles.monthText,
+                            timeZone === zone.id && styles.selectedCurrencyText
+                          ]}>
+                            {zone.label}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  ) : (
+                    <Text style={styles.valueText}>
+                      {timeZone ? getTimeZoneLabel(timeZone) : `Device (${getTimeZoneLabel(getDeviceTimeZone())})`}
+                    </Text>
+                  )}
+                  <Text style={styles.hintText}>Recurring transactions are added on their dates in this time zone</Text>
+                </View>
+                
+                {!editMode && (
+                  <>
+                    <TouchableOpacity
+                      style={styles.settingsLink}
+                      onPress={() => navigation.navigate('Categories')}
+                    >
+                      <Ionicons name="pricetags-outline" size={20} color={theme.colors.primary} />
+                      <Text style={styles.settingsLinkText}>Manage Categories</Text>
+                      <Ionicons name="chevron-forward" size={20} color={theme.colors.text.secondary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.settingsLink}
+                      onPress={() => navigation.navigate('LearnedCategories')}
+                    >
+                      <Ionicons name="school-outline" size={20} color={theme.colors.primary} />
+                      <Text style={styles.settingsLinkText}>Learned Categories</Text>
+                      <Ionicons name="chevron-forward" size={20} color={theme.colors.text.secondary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.settingsLink}
+                      onPress={() => navigation.navigate('Rules')}
+                    >
+                      <Ionicons name="git-branch-outline" size={20} color={theme.colors.primary} />
+                      <Text style={styles.settingsLinkText}>Auto-Categorization Rules</Text>
+                      <Ionicons name="chevron-forward" size={20} color={theme.colors.text.secondary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.settingsLink}
+                      onPress={() => navigation.navigate('Recurring')}
+                    >
+                      <Ionicons name="repeat-outline" size={20} color={theme.colors.primary} />
+                      <Text style={styles.settingsLinkText}>Recurring Transactions</Text>
+                      <Ionicons name="chevron-forward" size={20} color={theme.colors.text.secondary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.settingsLink}
+                      onPress={() => navigation.navigate('Import')}
+                    >
+                      <Ionicons name="cloud-upload-outline" size={20} color={theme.colors.primary} />
+                      <Text style={styles.settingsLinkText}>Import Transactions</Text>
+                      <Ionicons name="chevron-forward" size={20} color={theme.colors.text.secondary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.settingsLink}
+                      onPress={() => navigation.navigate('Export')}
+                    >
+                      <Ionicons name="download-outline" size={20} color={theme.colors.primary} />
+                      <Text style={styles.settingsLinkText}>Export Transactions</Text>
+                      <Ionicons name="chevron-forward" size={20} color={theme.colors.text.secondary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.settingsLink}
+                      onPress={() => navigation.navigate('Duplicates')}
+                    >
+                      <Ionicons name="copy-outline" size={20} color={theme.colors.primary} />
+                      <Text style={styles.settingsLinkText}>Review Duplicates</Text>
+                      <Ionicons name="chevron-forward" size={20} color={theme.colors.text.secondary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.settingsLink}
+                      onPress={() => navigation.navigate('Backup')}
+                    >
+                      <Ionicons name="archive-outline" size={20} color={theme.colors.primary} />
+                      <Text style={styles.settingsLinkText}>Backup & Restore</Text>
+                      <Ionicons name="chevron-forward" size={20} color={theme.colors.text.secondary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.settingsLink}
+                      onPress={() => navigation.navigate('Backups')}
+                    >
+                      <Ionicons name="time-outline" size={20} color={theme.colors.primary} />
+                      <Text style={styles.settingsLinkText}>Automatic Backups</Text>
+                      <Ionicons name="chevron-forward" size={20} color={theme.colors.text.secondary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.settingsLink}
+                      onPress={() => navigation.navigate('TaxReport')}
+                    >
+                      <Ionicons name="receipt-outline" size={20} color={theme.colors.primary} />
+                      <Text style={styles.settingsLinkText}>Tax Summary</Text>
+                      <Ionicons name="chevron-forward" size={20} color={theme.colors.text.secondary} />
+                    </TouchableOpacity>
+                  </>
+                )}
               </View>
             </View>
             
@@ -733,6 +884,19 @@ const styles = StyleSheet.create({
     color: theme.colors.text.primary,
     paddingVertical: 4,
   },
+  settingsLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.divider,
+  },
+  settingsLinkText: {
+    flex: 1,
+    fontSize: 16,
+    color: theme.colors.text.primary,
+    marginLeft: 12,
+  },
   pickerContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -758,6 +922,36 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: '600',
   },
+  monthPicker: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  monthOption: {
+    width: '22%',
+    paddingVertical: 8,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: 8,
+    alignItems: 'center',
+    margin: '1.5%',
+  },
+  monthText: {
+    color: theme.colors.text.primary,
+    fontSize: 14,
+  },
+  timeZoneOption: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: 8,
+    margin: 4,
+  },
+  hintText: {
+    color: theme.colors.text.secondary,
+    fontSize: 12,
+    marginTop: 6,
+  },
   buttonContainer: {
     marginTop: 40,
     paddingHorizontal: 20,
@@ -0,0 +1,612 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Modal,
+  Platform,
+  SafeAreaView,
+  TouchableWithoutFeedback,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useFocusEffect } from '@react-navigation/native';
+import { addDays, format, parseISO } from 'date-fns';
+import { useAuth } from '../context/AuthContext';
+import { useTransactions } from '../context/TransactionContext';
+import { getRecurringDefinitions, getTimeZone } from '../utils/repository';
+import {
+  getNextOccurrence,
+  getScheduledOccurrences,
+  isOccurrenceCreated,
+  describeRecurrence,
+  skipOccurrence,
+  restoreOccurrence,
+  setOccurrenceException,
+  clearOccurrenceException,
+  pauseRecurringTransaction,
+  resumeRecurringTransaction,
+  countOccurrencesBefore,
+  updateRecurringTransaction,
+  deleteRecurringTransaction,
+} from '../utils/recurringTransactions';
+import { toDateKey } from '../utils/rrule';
+import { getDeviceTimeZone } from '../utils/timeZone';
+import { formatCurrency, formatShortDate } from '../utils/formatters';
+import RecurringTransactionForm from '../components/RecurringTransactionForm';
+import ConfirmationModal from '../components/ConfirmationModal';
+import Button from '../components/Button';
+import Input from '../components/Input';
+import theme from '../theme';
+
+const UPCOMING_COUNT = 10;
+
+const formatDateKey = (date) => format(parseISO(date), 'EEE, MMM d, yyyy');
+
+const RecurringDetailScreen = ({ navigation, route }) => {
+  const { recurringId } = route.params;
+  const { user } = useAuth();
+  const { getTransactionHistory } = useTransactions();
+  const currency = user?.currency || 'INR';
+
+  const [recurringDef, setRecurringDef] = useState(null);
+  const [timeZone, setTimeZone] = useState(getDeviceTimeZone());
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // The occurrence whose options are open, and what is being edited
+  const [selected, setSelected] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [datePickerPurpose, setDatePickerPurpose] = useState(null);
+  const [amountText, setAmountText] = useState('');
+  const [showAmountModal, setShowAmountModal] = useState(false);
+
+  const loadSeries = async () => {
+    try {
+      const [definitions, userTimeZone, transactions] = await Promise.all([
+        getRecurringDefinitions(user.id),
+        getTimeZone(user.id),
+        getTransactionHistory(),
+      ]);
+      setRecurringDef(definitions.find(definition => definition.id === recurringId) || null);
+      setTimeZone(userTimeZone);
+      setHistory(transactions
+        .filter(transaction => transaction.recurringId === recurringId)
+        .sort((a, b) => new Date(b.date) - new Date(a.date)));
+    } catch (error) {
+      console.error('Error loading recurring series:', error);
+      Alert.alert('Error', 'Failed to load this series. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reloaded on focus, since transactions may have been added or edited
+  useFocusEffect(
+    useCallback(() => {
+      loadSeries();
+    }, [recurringId])
+  );
+
+  const upcoming = useMemo(() => {
+    if (!recurringDef?.active) return [];
+    return getScheduledOccurrences(recurringDef, { limit: UPCOMING_COUNT, timeZone })
+      .filter(occurrence => !isOccurrenceCreated(recurringDef, occurrence.instanceIndex));
+  }, [recurringDef, timeZone]);
+
+  const nextOccurrence = useMemo(
+    () => (recurringDef?.active ? getNextOccurrence(recurringDef, new Date(), timeZone) : null),
+    [recurringDef, timeZone]
+  );
+
+  const saveSeries = async (updated) => {
+    const previous = recurringDef;
+    setRecurringDef(updated);
+    setSaving(true);
+    try {
+      await updateRecurringTransaction(user.id, updated);
+    } catch (error) {
+      setRecurringDef(previous);
+      Alert.alert('Error', 'Failed to save changes. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const closeOccurrence = () => setSelected(null);
+
+  const handleToggleSkip = () => {
+    const { occurrenceDate, skipped } = selected;
+    closeOccurrence();
+    saveSeries(skipped
+      ? restoreOccurrence(recurringDef, occurrenceDate)
+      : skipOccurrence(recurringDef, occurrenceDate));
+  };
+
+  const handleResetOccurrence = () => {
+    const { occurrenceDate } = selected;
+    closeOccurrence();
+    saveSeries(clearOccurrenceException(recurringDef, occurrenceDate));
+  };
+
+  const handleOpenAmount = () => {
+    setAmountText(Math.abs(Number(selected.amount)).toString());
+    setShowAmountModal(true);
+  };
+
+  const handleSaveAmount = () => {
+    const parsedAmount = parseFloat(amountText);
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+      Alert.alert('Error', 'Please enter a valid amount');
+      return;
+    }
+
+    const { occurrenceDate } = selected;
+    setShowAmountModal(false);
+    closeOccurrence();
+    saveSeries(setOccurrenceException(recurringDef, occurrenceDate, { amount: parsedAmount }));
+  };
+
+  // The first occurrence has nothing before it, so the whole series is edited
+  const handleEditFollowing = () => {
+    const { occurrenceDate } = selected;
+    closeOccurrence();
+    setEditing(countOccurrencesBefore(recurringDef, occurrenceDate, timeZone) > 0
+      ? { splitDate: occurrenceDate }
+      : { splitDate: null });
+  };
+
+  const handleDatePicked = (event, selectedDate) => {
+    const purpose = datePickerPurpose;
+    setDatePickerPurpose(null);
+    if (!selectedDate) return;
+
+    if (purpose === 'pause') {
+      saveSeries(pauseRecurringTransaction(recurringDef, selectedDate));
+    } else if (purpose === 'reschedule') {
+      const { occurrenceDate } = selected;
+      closeOccurrence();
+      saveSeries(setOccurrenceException(recurringDef, occurrenceDate, { date: toDateKey(selectedDate) }));
+    }
+  };
+
+  const handlePause = () => {
+    Alert.alert(
+      'Pause Series',
+      'Nothing is added while the series is paused. Occurrences that fall in that time are skipped.',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Until I Resume',
+          onPress: () => saveSeries(pauseRecurringTransaction(recurringDef))
+        },
+        {
+          text: 'Until a Date…',
+          onPress: () => setDatePickerPurpose('pause')
+        }
+      ]
+    );
+  };
+
+  const handleResume = () => {
+    saveSeries(resumeRecurringTransaction(recurringDef, new Date(), timeZone));
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Series',
+      'Future occurrences will no longer be added. Transactions already added are kept.',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteRecurringTransaction(user.id, recurringDef);
+              navigation.goBack();
+            } catch (error) {
+              Alert.alert('Error', 'Failed to delete this series. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // A split saves the rest of the series under a new ID, which is shown next
+  const handleEditComplete = (savedDef) => {
+    setEditing(null);
+    if (savedDef.id !== recurringId) {
+      navigation.setParams({ recurringId: savedDef.id });
+    } else {
+      loadSeries();
+    }
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (!recurringDef) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.loadingContainer}>
+          <Text style={styles.hintText}>This series no longer exists.</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const { baseTransaction } = recurringDef;
+  const isExpense = Number(baseTransaction.amount) < 0 || baseTransaction.type === 'expense';
+  const status = !recurringDef.active
+    ? 'Ended'
+    : recurringDef.paused
+      ? recurringDef.resumeOn ? `Paused until ${formatDateKey(recurringDef.resumeOn)}` : 'Paused'
+      : 'Active';
+
+  const renderOccurrence = (occurrence) => (
+    <TouchableOpacity
+      key={occurrence.instanceIndex}
+      style={styles.occurrenceRow}
+      onPress={() => setSelected(occurrence)}
+    >
+      <View style={styles.occurrenceInfo}>
+        <Text style={[styles.occurrenceDate, occurrence.skipped && styles.skippedText]}>
+          {formatShortDate(occurrence.date)}
+        </Text>
+        {occurrence.moved && (
+          <Text style={styles.occurrenceMeta}>Moved from {formatDateKey(occurrence.occurrenceDate)}</Text>
+        )}
+      </View>
+      {occurrence.skipped ? (
+        <Text style={styles.skippedBadge}>Skipped</Text>
+      ) : (
+        <Text style={[styles.occurrenceAmount, occurrence.amountChanged && styles.changedAmount]}>
+          {formatCurrency(Math.abs(Number(occurrence.amount)), currency)}
+        </Text>
+      )}
+      <Ionicons name="chevron-forward" size={16} color={theme.colors.text.muted} />
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.card}>
+          <View style={styles.headerRow}>
+            <Text style={styles.title}>{baseTransaction.description}</Text>
+            <Text style={[styles.amount, isExpense ? styles.expenseText : styles.incomeText]}>
+              {isExpense ? '-' : '+'}{formatCurrency(Math.abs(Number(baseTransaction.amount)), currency)}
+            </Text>
+          </View>
+          <Text style={styles.hintText}>{describeRecurrence(recurringDef, timeZone)}</Text>
+
+          <View style={styles.statusRow}>
+            <Text style={styles.statusText}>{status}</Text>
+            {nextOccurrence && !recurringDef.paused && (
+              <Text style={styles.hintText}>Next: {formatShortDate(nextOccurrence.date)}</Text>
+            )}
+          </View>
+
+          <View style={styles.actionRow}>
+            <Button
+              title="Edit Series"
+              iconName="create-outline"
+              variant="outline"
+              onPress={() => setEditing({ splitDate: null })}
+              style={styles.actionButton}
+            />
+            {recurringDef.active && (
+              <Button
+                title={recurringDef.paused ? 'Resume' : 'Pause'}
+                iconName={recurringDef.paused ? 'play-outline' : 'pause-outline'}
+                variant="outline"
+                onPress={recurringDef.paused ? handleResume : handlePause}
+                loading={saving}
+                style={styles.actionButton}
+              />
+            )}
+          </View>
+        </View>
+
+        {upcoming.length > 0 && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Upcoming</Text>
+            <Text style={styles.hintText}>Tap an occurrence to skip, move or change it.</Text>
+            {upcoming.map(renderOccurrence)}
+          </View>
+        )}
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>History</Text>
+          {history.length === 0 ? (
+            <Text style={styles.hintText}>Nothing has been added from this series yet.</Text>
+          ) : (
+            history.map(transaction => (
+              <TouchableOpacity
+                key={transaction.id}
+                style={styles.occurrenceRow}
+                onPress={() => navigation.navigate('TransactionDetail', { id: transaction.id, transaction })}
+              >
+                <Text style={[styles.occurrenceDate, styles.occurrenceInfo]}>
+                  {formatShortDate(transaction.date)}
+                </Text>
+                <Text style={styles.occurrenceAmount}>
+                  {formatCurrency(Math.abs(Number(transaction.amount)), currency)}
+                </Text>
+              </TouchableOpacity>
+            ))
+          )}
+        </View>
+
+        <Button
+          title="Delete Series"
+          iconName="trash-outline"
+          variant="outline"
+          onPress={handleDelete}
+          fullWidth
+          style={styles.deleteButton}
+        />
+      </ScrollView>
+
+      {/* Options for one occurrence */}
+      <Modal
+        transparent
+        visible={!!selected && !showAmountModal && !datePickerPurpose}
+        animationType="slide"
+        onRequestClose={closeOccurrence}
+      >
+        <TouchableWithoutFeedback onPress={closeOccurrence}>
+          <View style={styles.sheetOverlay}>
+            <TouchableWithoutFeedback onPress={() => {}}>
+              <View style={styles.sheet}>
+                {selected && (
+                  <>
+                    <Text style={styles.cardTitle}>{formatDateKey(selected.occurrenceDate)}</Text>
+                    <TouchableOpacity style={styles.sheetOption} onPress={handleToggleSkip}>
+                      <Ionicons
+                        name={selected.skipped ? 'refresh-outline' : 'play-skip-forward-outline'}
+                        size={20}
+                        color={theme.colors.primary}
+                      />
+                      <Text style={styles.sheetOptionText}>
+                        {selected.skipped ? 'Restore this occurrence' : 'Skip this occurrence'}
+                      </Text>
+                    </TouchableOpacity>
+                    {!selected.skipped && (
+                      <>
+                        <TouchableOpacity style={styles.sheetOption} onPress={() => setDatePickerPurpose('reschedule')}>
+                          <Ionicons name="calendar-outline" size={20} color={theme.colors.primary} />
+                          <Text style={styles.sheetOptionText}>Move to another date</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={styles.sheetOption} onPress={handleOpenAmount}>
+                          <Ionicons name="cash-outline" size={20} color={theme.colors.primary} />
+                          <Text style={styles.sheetOptionText}>Change amount</Text>
+                        </TouchableOpacity>
+                      </>
+                    )}
+                    <TouchableOpacity style={styles.sheetOption} onPress={handleEditFollowing}>
+                      <Ionicons name="git-branch-outline" size={20} color={theme.colors.primary} />
+                      <Text style={styles.sheetOptionText}>Edit this and following</Text>
+                    </TouchableOpacity>
+                    {(selected.moved || selected.amountChanged) && (
+                      <TouchableOpacity style={styles.sheetOption} onPress={handleResetOccurrence}>
+                        <Ionicons name="arrow-undo-outline" size={20} color={theme.colors.primary} />
+                        <Text style={styles.sheetOptionText}>Reset to schedule</Text>
+                      </TouchableOpacity>
+                    )}
+                  </>
+                )}
+              </View>
+            </TouchableWithoutFeedback>
+          </View>
+        </TouchableWithoutFeedback>
+      </Modal>
+
+      <ConfirmationModal
+        visible={showAmountModal}
+        onClose={() => setShowAmountModal(false)}
+        title="Change Amount"
+        message={selected ? `Only the occurrence on ${formatDateKey(selected.occurrenceDate)} changes.` : ''}
+        confirmText="Save"
+        onCancel={() => setShowAmountModal(false)}
+        onConfirm={handleSaveAmount}
+        customContent={
+          <Input
+            label="Amount"
+            value={amountText}
+            onChangeText={setAmountText}
+            placeholder="0.00"
+            keyboardType="numeric"
+          />
+        }
+      />
+
+      {datePickerPurpose && (
+        <DateTimePicker
+          value={datePickerPurpose === 'reschedule' && selected ? new Date(selected.date) : addDays(new Date(), 1)}
+          mode="date"
+          minimumDate={datePickerPurpose === 'pause' ? addDays(new Date(), 1) : new Date()}
+          display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+          onChange={handleDatePicked}
+        />
+      )}
+
+      <Modal
+        visible={!!editing}
+        animationType="slide"
+        onRequestClose={() => setEditing(null)}
+      >
+        <SafeAreaView style={styles.container}>
+          {editing && (
+            <RecurringTransactionForm
+              initialData={recurringDef}
+              splitDate={editing.splitDate}
+              onComplete={handleEditComplete}
+              onCancel={() => setEditing(null)}
+            />
+          )}
+        </SafeAreaView>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.light,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollContent: {
+    padding: theme.spacing.lg,
+    paddingBottom: theme.spacing.xl,
+  },
+  card: {
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.lg,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  cardTitle: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.xs,
+  },
+  hintText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.xs,
+  },
+  title: {
+    flex: 1,
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.text.primary,
+    marginRight: theme.spacing.sm,
+  },
+  amount: {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.bold,
+  },
+  expenseText: {
+    color: theme.colors.status.error,
+  },
+  incomeText: {
+    color: theme.colors.status.success,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  statusText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.primary,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    gap: theme.spacing.sm,
+    marginTop: theme.spacing.md,
+  },
+  actionButton: {
+    flex: 1,
+  },
+  occurrenceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.divider,
+    gap: theme.spacing.sm,
+  },
+  occurrenceInfo: {
+    flex: 1,
+  },
+  occurrenceDate: {
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.text.primary,
+  },
+  occurrenceMeta: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+    marginTop: 2,
+  },
+  occurrenceAmount: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.primary,
+  },
+  changedAmount: {
+    color: theme.colors.status.warning,
+  },
+  skippedText: {
+    color: theme.colors.text.muted,
+    textDecorationLine: 'line-through',
+  },
+  skippedBadge: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.status.error,
+  },
+  deleteButton: {
+    borderColor: theme.colors.status.error,
+  },
+  sheetOverlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    padding: theme.spacing.lg,
+    paddingBottom: theme.spacing.xl,
+    backgroundColor: theme.colors.background.card,
+    borderTopLeftRadius: theme.borderRadius.lg,
+    borderTopRightRadius: theme.borderRadius.lg,
+  },
+  sheetOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.divider,
+    gap: theme.spacing.md,
+  },
+  sheetOptionText: {
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.text.primary,
+  },
+});
+
+export default RecurringDetailScreen;
@@ -0,0 +1,446 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Modal,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import { addMonths, format, parseISO } from 'date-fns';
+import { useAuth } from '../context/AuthContext';
+import { useTransactions } from '../context/TransactionContext';
+import { getRecurringDefinitions, getTimeZone } from '../utils/repository';
+import {
+  getNextOccurrence,
+  getSeriesProgress,
+  getMonthlyCommitments,
+  describeRecurrence,
+} from '../utils/recurringTransactions';
+import { getDeviceTimeZone } from '../utils/timeZone';
+import { formatCurrency, formatShortDate } from '../utils/formatters';
+import { ProgressBar } from '../components/ProgressBar';
+import RecurringTransactionForm from '../components/RecurringTransactionForm';
+import Button from '../components/Button';
+import theme from '../theme';
+
+const TYPE_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'expense', label: 'Expenses' },
+  { id: 'income', label: 'Income' },
+];
+
+const SORT_OPTIONS = [
+  { id: 'next', label: 'Next date' },
+  { id: 'amount', label: 'Amount' },
+  { id: 'name', label: 'Name' },
+];
+
+const isIncome = (recurringDef) => recurringDef.baseTransaction.type === 'income';
+
+// Series that have ended or are paused without a date sort after the rest
+const compareNext = (a, b) => {
+  if (!a.next || !b.next) return (a.next ? 0 : 1) - (b.next ? 0 : 1);
+  return new Date(a.next.date) - new Date(b.next.date);
+};
+
+const SORTERS = {
+  next: compareNext,
+  amount: (a, b) => Math.abs(Number(b.def.baseTransaction.amount)) - Math.abs(Number(a.def.baseTransaction.amount)),
+  name: (a, b) => (a.def.baseTransaction.description || '').localeCompare(b.def.baseTransaction.description || ''),
+};
+
+const RecurringScreen = ({ navigation }) => {
+  const { user } = useAuth();
+  const { getTransactionHistory } = useTransactions();
+  const currency = user?.currency || 'INR';
+
+  const [definitions, setDefinitions] = useState([]);
+  const [timeZone, setTimeZone] = useState(getDeviceTimeZone());
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [sortBy, setSortBy] = useState('next');
+  const [monthOffset, setMonthOffset] = useState(0);
+  const [showForm, setShowForm] = useState(false);
+
+  const loadSeries = async () => {
+    try {
+      const [recurringDefs, userTimeZone, history] = await Promise.all([
+        getRecurringDefinitions(user.id),
+        getTimeZone(user.id),
+        getTransactionHistory(),
+      ]);
+      setDefinitions(recurringDefs);
+      setTimeZone(userTimeZone);
+      setTransactions(history.filter(transaction => transaction.recurringId));
+    } catch (error) {
+      console.error('Error loading recurring transactions:', error);
+      Alert.alert('Error', 'Failed to load recurring transactions. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reloaded on focus, since a series may have been changed on its own page
+  useFocusEffect(
+    useCallback(() => {
+      loadSeries();
+    }, [])
+  );
+
+  const filteredDefinitions = useMemo(
+    () => definitions.filter(recurringDef => typeFilter === 'all' ||
+      (typeFilter === 'income') === isIncome(recurringDef)),
+    [definitions, typeFilter]
+  );
+
+  const rows = useMemo(() => {
+    const now = new Date();
+    return filteredDefinitions
+      .map(recurringDef => {
+        const added = transactions
+          .filter(transaction => transaction.recurringId === recurringDef.id)
+          .sort((a, b) => new Date(b.date) - new Date(a.date));
+        return {
+          def: recurringDef,
+          next: recurringDef.active ? getNextOccurrence(recurringDef, now, timeZone) : null,
+          progress: getSeriesProgress(recurringDef, now, timeZone),
+          addedCount: added.length,
+          lastAdded: added[0] || null,
+        };
+      })
+      .sort(SORTERS[sortBy]);
+  }, [filteredDefinitions, transactions, timeZone, sortBy]);
+
+  const month = addMonths(new Date(), monthOffset);
+  const commitments = useMemo(
+    () => getMonthlyCommitments(filteredDefinitions, month, timeZone),
+    [filteredDefinitions, monthOffset, timeZone]
+  );
+
+  const handleFormComplete = () => {
+    setShowForm(false);
+    loadSeries();
+  };
+
+  const renderChips = (options, selectedId, onSelect) => (
+    <View style={styles.chipRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.id}
+          style={[styles.chip, selectedId === option.id && styles.activeChip]}
+          onPress={() => onSelect(option.id)}
+        >
+          <Text style={[styles.chipText, selectedId === option.id && styles.activeChipText]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderHeader = () => (
+    <>
+      <View style={styles.card}>
+        <View style={styles.monthSelector}>
+          <TouchableOpacity
+            onPress={() => setMonthOffset(monthOffset - 1)}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          >
+            <Ionicons name="chevron-back" size={24} color={theme.colors.primary} />
+          </TouchableOpacity>
+          <Text style={styles.monthTitle}>{format(month, 'MMMM yyyy')}</Text>
+          <TouchableOpacity
+            onPress={() => setMonthOffset(monthOffset + 1)}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          >
+            <Ionicons name="chevron-forward" size={24} color={theme.colors.primary} />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.totals}>
+          {typeFilter !== 'expense' && (
+            <View style={styles.totalItem}>
+              <Text style={styles.totalLabel}>Income</Text>
+              <Text style={[styles.totalValue, styles.incomeText]}>
+                {formatCurrency(commitments.income, currency)}
+              </Text>
+            </View>
+          )}
+          {typeFilter !== 'income' && (
+            <View style={styles.totalItem}>
+              <Text style={styles.totalLabel}>Expenses</Text>
+              <Text style={[styles.totalValue, styles.expenseText]}>
+                {formatCurrency(commitments.expense, currency)}
+              </Text>
+            </View>
+          )}
+          {typeFilter === 'all' && (
+            <View style={styles.totalItem}>
+              <Text style={styles.totalLabel}>Net</Text>
+              <Text style={styles.totalValue}>{formatCurrency(commitments.net, currency)}</Text>
+            </View>
+          )}
+        </View>
+        <Text style={styles.hintText}>
+          Everything your recurring transactions add in the month, leaving out skipped and paused occurrences.
+        </Text>
+      </View>
+
+      {renderChips(TYPE_FILTERS, typeFilter, setTypeFilter)}
+      <View style={styles.sortRow}>
+        <Text style={styles.sortLabel}>Sort by</Text>
+        {renderChips(SORT_OPTIONS, sortBy, setSortBy)}
+      </View>
+
+      <Button
+        title="New Recurring Transaction"
+        iconName="add"
+        onPress={() => setShowForm(true)}
+        fullWidth
+        style={styles.newButton}
+      />
+    </>
+  );
+
+  const renderSeries = ({ item }) => {
+    const { def, next, progress, addedCount, lastAdded } = item;
+    const { baseTransaction } = def;
+    const income = isIncome(def);
+    const status = !def.active
+      ? 'Ended'
+      : def.paused
+        ? (def.resumeOn ? `Paused until ${formatShortDate(parseISO(def.resumeOn))}` : 'Paused')
+        : next ? `Next ${formatShortDate(next.date)}` : 'Ended';
+
+    return (
+      <TouchableOpacity
+        style={[styles.seriesRow, !def.active && styles.endedRow]}
+        onPress={() => navigation.navigate('RecurringDetail', { recurringId: def.id })}
+      >
+        <View style={styles.seriesHeader}>
+          <Text style={styles.seriesName} numberOfLines={1}>{baseTransaction.description}</Text>
+          <Text style={[styles.seriesAmount, income ? styles.incomeText : styles.expenseText]}>
+            {income ? '+' : '-'}{formatCurrency(Math.abs(Number(baseTransaction.amount)), currency)}
+          </Text>
+        </View>
+        <Text style={styles.hintText} numberOfLines={2}>{describeRecurrence(def, timeZone)}</Text>
+
+        <View style={styles.seriesMeta}>
+          <Text style={styles.statusText}>{status}</Text>
+          <Text style={styles.metaText}>
+            {addedCount === 0
+              ? 'None added yet'
+              : `${addedCount} added · last ${formatShortDate(lastAdded.date)}`}
+          </Text>
+        </View>
+
+        {progress.total ? (
+          <>
+            <ProgressBar
+              progress={(progress.completed / progress.total) * 100}
+              color={theme.colors.primary}
+              height={6}
+              showShadow={false}
+              style={styles.progressBar}
+            />
+            <Text style={styles.metaText}>
+              {progress.completed} of {progress.total} · {progress.remaining} left
+            </Text>
+          </>
+        ) : null}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <FlatList
+        data={rows}
+        renderItem={renderSeries}
+        keyExtractor={(item) => item.def.id}
+        contentContainerStyle={styles.listContent}
+        ListHeaderComponent={renderHeader()}
+        ListEmptyComponent={loading ? (
+          <ActivityIndicator size="small" color={theme.colors.primary} />
+        ) : (
+          <Text style={styles.emptyText}>
+            {definitions.length === 0
+              ? 'No recurring transactions yet. Add rent, salary or subscriptions to have them added for you.'
+              : 'No recurring transactions of this type.'}
+          </Text>
+        )}
+      />
+
+      <Modal
+        visible={showForm}
+        animationType="slide"
+        onRequestClose={() => setShowForm(false)}
+      >
+        <SafeAreaView style={styles.container}>
+          {showForm && (
+            <RecurringTransactionForm
+              onComplete={handleFormComplete}
+              onCancel={() => setShowForm(false)}
+            />
+          )}
+        </SafeAreaView>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.light,
+  },
+  listContent: {
+    padding: theme.spacing.lg,
+    paddingBottom: theme.spacing.xl,
+  },
+  card: {
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.lg,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  hintText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  },
+  monthSelector: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  monthTitle: {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.text.primary,
+  },
+  totals: {
+    flexDirection: 'row',
+    marginVertical: theme.spacing.md,
+    paddingTop: theme.spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.divider,
+  },
+  totalItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  totalLabel: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  },
+  totalValue: {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginTop: theme.spacing.xxs,
+  },
+  incomeText: {
+    color: theme.colors.status.success,
+  },
+  expenseText: {
+    color: theme.colors.status.error,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.xs,
+  },
+  chip: {
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.full,
+  },
+  activeChip: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+  },
+  activeChipText: {
+    color: theme.colors.text.white,
+  },
+  sortRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: theme.spacing.sm,
+    marginTop: theme.spacing.sm,
+  },
+  sortLabel: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  },
+  newButton: {
+    marginVertical: theme.spacing.md,
+  },
+  seriesRow: {
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  endedRow: {
+    opacity: 0.6,
+  },
+  seriesHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.xxs,
+  },
+  seriesName: {
+    flex: 1,
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginRight: theme.spacing.sm,
+  },
+  seriesAmount: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.bold,
+  },
+  seriesMeta: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  statusText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.primary,
+  },
+  metaText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+  },
+  progressBar: {
+    marginTop: theme.spacing.sm,
+    marginBottom: theme.spacing.xxs,
+  },
+  emptyText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    textAlign: 'center',
+    marginTop: theme.spacing.md,
+  },
+});
+
+export default RecurringScreen;
@@ -0,0 +1,967 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+  SafeAreaView,
+  ScrollView,
+  Switch,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRules } from '../context/RuleContext';
+import { useAccounts } from '../context/AccountContext';
+import { useCategories } from '../context/CategoryContext';
+import CategorySelector from '../components/CategorySelector';
+import AccountSelector from '../components/AccountSelector';
+import TagInput from '../components/TagInput';
+import {
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  FIELD_OPERATORS,
+  FIELD_LABELS,
+  OPERATOR_LABELS,
+  WEEKDAY_LABELS,
+  createCondition,
+  validateRule,
+  describeCondition,
+} from '../utils/rulesEngine';
+import { formatTag } from '../utils/tagUtils';
+import { formatShortDate } from '../utils/formatters';
+import theme from '../theme';
+
+const emptyForm = {
+  name: '',
+  conditions: [createCondition()],
+  actions: {
+    category: null,
+    tags: [],
+    note: '',
+    accountId: null,
+  },
+};
+
+const TRANSACTION_TYPES = [
+  { id: 'expense', label: 'Expense' },
+  { id: 'income', label: 'Income' },
+];
+
+// Amounts and days are edited as text and saved as numbers
+const toSavedCondition = (condition) => {
+  const { field, operator, value } = condition;
+
+  if (field === CONDITION_FIELDS.AMOUNT) {
+    return {
+      ...condition,
+      value: operator === CONDITION_OPERATORS.BETWEEN ? value.map(Number) : Number(value),
+    };
+  }
+  if (field === CONDITION_FIELDS.DAY_OF_MONTH) {
+    return { ...condition, value: Number(value) };
+  }
+  return condition;
+};
+
+const toFormCondition = (condition) => {
+  const { field, operator, value } = condition;
+
+  if (field === CONDITION_FIELDS.AMOUNT) {
+    return {
+      ...condition,
+      value: operator === CONDITION_OPERATORS.BETWEEN ? value.map(String) : String(value),
+    };
+  }
+  if (field === CONDITION_FIELDS.DAY_OF_MONTH) {
+    return { ...condition, value: String(value) };
+  }
+  return condition;
+};
+
+const RulesScreen = () => {
+  const {
+    rules,
+    loading,
+    error,
+    addRule,
+    updateRule,
+    toggleRule,
+    deleteRule,
+    moveRule,
+    previewReapplyRules,
+    reapplyRules,
+  } = useRules();
+  const { accounts } = useAccounts();
+  const { getCategoryLabel } = useCategories();
+
+  // Add/edit form state; editingRuleId is null when adding
+  const [showForm, setShowForm] = useState(false);
+  const [editingRuleId, setEditingRuleId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  // Re-apply preview state; selected holds the transaction IDs to change
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [applying, setApplying] = useState(false);
+
+  const getAccountName = (accountId) => {
+    return accounts.find(account => account.id === accountId)?.name || 'Unknown account';
+  };
+
+  const describeActions = (actions = {}) => {
+    const parts = [];
+    if (actions.category) parts.push(getCategoryLabel(actions.category));
+    if (actions.tags?.length) parts.push(actions.tags.map(formatTag).join(' '));
+    if (actions.accountId) parts.push(`to ${getAccountName(actions.accountId)}`);
+    if (actions.note) parts.push(`note "${actions.note}"`);
+    return parts.join(', ');
+  };
+
+  const describeChange = (field, { from, to }) => {
+    if (field === 'category') return `Category: ${getCategoryLabel(from)} → ${getCategoryLabel(to)}`;
+    if (field === 'accountId') return `Account: ${from ? getAccountName(from) : 'none'} → ${getAccountName(to)}`;
+    if (field === 'tags') return `Tags: ${(to || []).map(formatTag).join(' ')}`;
+    return `Note: ${to}`;
+  };
+
+  const handleAddRule = () => {
+    setEditingRuleId(null);
+    setForm(emptyForm);
+    setShowForm(true);
+  };
+
+  const handleEditRule = (rule) => {
+    setEditingRuleId(rule.id);
+    setForm({
+      name: rule.name,
+      conditions: rule.conditions.map(toFormCondition),
+      actions: {
+        category: rule.actions?.category || null,
+        tags: rule.actions?.tags || [],
+        note: rule.actions?.note || '',
+        accountId: rule.actions?.accountId || null,
+      },
+    });
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingRuleId(null);
+  };
+
+  const handleSave = async () => {
+    const rule = {
+      name: form.name,
+      conditions: form.conditions.map(toSavedCondition),
+      actions: form.actions,
+    };
+
+    const validationError = validateRule(rule);
+    if (validationError) {
+      Alert.alert('Error', validationError);
+      return;
+    }
+
+    setSaving(true);
+    const success = editingRuleId
+      ? await updateRule(editingRuleId, rule)
+      : await addRule(rule);
+    setSaving(false);
+
+    if (success) {
+      handleCancel();
+    } else {
+      Alert.alert('Error', 'Failed to save rule. Please try again.');
+    }
+  };
+
+  const handleDeleteRule = (rule) => {
+    Alert.alert(
+      'Delete Rule',
+      `Are you sure you want to delete "${rule.name}"? Transactions it already changed stay as they are.`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => deleteRule(rule.id)
+        }
+      ]
+    );
+  };
+
+  const handlePreview = async () => {
+    setPreviewLoading(true);
+    const entries = await previewReapplyRules();
+    setPreviewLoading(false);
+
+    if (!entries) {
+      Alert.alert('Error', 'Failed to load transactions. Please try again.');
+      return;
+    }
+    if (entries.length === 0) {
+      Alert.alert('Rules', 'Your past transactions already match your rules.');
+      return;
+    }
+
+    setPreview(entries);
+    setSelected(entries.map(entry => entry.transaction.id));
+  };
+
+  const toggleSelected = (transactionId) => {
+    setSelected(selected.includes(transactionId)
+      ? selected.filter(id => id !== transactionId)
+      : [...selected, transactionId]);
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    const success = await reapplyRules(preview.filter(entry => selected.includes(entry.transaction.id)));
+    setApplying(false);
+
+    if (success) {
+      Alert.alert('Rules Applied', `${selected.length} transactions updated.`);
+      setPreview(null);
+    } else {
+      Alert.alert('Error', 'Failed to apply rules. Please try again.');
+    }
+  };
+
+  // Condition editing
+  const updateCondition = (index, changes) => {
+    const conditions = form.conditions.map((condition, i) => (
+      i === index ? { ...condition, ...changes } : condition
+    ));
+    setForm({ ...form, conditions });
+  };
+
+  const changeConditionField = (index, field) => {
+    const conditions = form.conditions.map((condition, i) => (
+      i === index ? createCondition(field) : condition
+    ));
+    setForm({ ...form, conditions });
+  };
+
+  const changeConditionOperator = (index, condition, operator) => {
+    // Switching between a single amount and a range changes the value's shape
+    const isBetween = operator === CONDITION_OPERATORS.BETWEEN;
+    const wasBetween = condition.operator === CONDITION_OPERATORS.BETWEEN;
+    let value = condition.value;
+    if (isBetween && !wasBetween) value = [condition.value, ''];
+    if (!isBetween && wasBetween) value = condition.value[0];
+    updateCondition(index, { operator, value });
+  };
+
+  const removeCondition = (index) => {
+    setForm({ ...form, conditions: form.conditions.filter((_, i) => i !== index) });
+  };
+
+  const updateAction = (changes) => {
+    setForm({ ...form, actions: { ...form.actions, ...changes } });
+  };
+
+  const renderChip = (key, label, isActive, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, isActive && styles.activeChip]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, isActive && styles.activeChipText]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderConditionValue = (condition, index) => {
+    const { field, operator, value } = condition;
+
+    switch (field) {
+      case CONDITION_FIELDS.DESCRIPTION:
+        return (
+          <TextInput
+            style={styles.modalInput}
+            value={value}
+            onChangeText={text => updateCondition(index, { value: text })}
+            placeholder="e.g. Swiggy"
+            placeholderTextColor={theme.colors.text.muted}
+            autoCapitalize="none"
+          />
+        );
+      case CONDITION_FIELDS.AMOUNT:
+        if (operator === CONDITION_OPERATORS.BETWEEN) {
+          return (
+            <View style={styles.rangeRow}>
+              <TextInput
+                style={[styles.modalInput, styles.rangeInput]}
+                value={value[0]}
+                onChangeText={text => updateCondition(index, { value: [text, value[1]] })}
+                placeholder="Min"
+                placeholderTextColor={theme.colors.text.muted}
+                keyboardType="decimal-pad"
+              />
+              <Text style={styles.rangeSeparator}>and</Text>
+              <TextInput
+                style={[styles.modalInput, styles.rangeInput]}
+                value={value[1]}
+                onChangeText={text => updateCondition(index, { value: [value[0], text] })}
+                placeholder="Max"
+                placeholderTextColor={theme.colors.text.muted}
+                keyboardType="decimal-pad"
+              />
+            </View>
+          );
+        }
+        return (
+          <TextInput
+            style={styles.modalInput}
+            value={value}
+            onChangeText={text => updateCondition(index, { value: text })}
+            placeholder="0.00"
+            placeholderTextColor={theme.colors.text.muted}
+            keyboardType="decimal-pad"
+          />
+        );
+      case CONDITION_FIELDS.ACCOUNT:
+        return (
+          <AccountSelector
+            selectedAccount={value}
+            onSelect={accountId => updateCondition(index, { value: accountId })}
+          />
+        );
+      case CONDITION_FIELDS.WEEKDAY:
+        return (
+          <View style={styles.chipRow}>
+            {WEEKDAY_LABELS.map((label, day) => renderChip(
+              label,
+              label,
+              value.includes(day),
+              () => updateCondition(index, {
+                value: value.includes(day) ? value.filter(d => d !== day) : [...value, day].sort((a, b) => a - b),
+              })
+            ))}
+          </View>
+        );
+      case CONDITION_FIELDS.DAY_OF_MONTH:
+        return (
+          <TextInput
+            style={styles.modalInput}
+            value={value}
+            onChangeText={text => updateCondition(index, { value: text.replace(/[^0-9]/g, '') })}
+            placeholder="1 - 31"
+            placeholderTextColor={theme.colors.text.muted}
+            keyboardType="number-pad"
+          />
+        );
+      case CONDITION_FIELDS.TYPE:
+        return (
+          <View style={styles.chipRow}>
+            {TRANSACTION_TYPES.map(type => renderChip(
+              type.id,
+              type.label,
+              value === type.id,
+              () => updateCondition(index, { value: type.id })
+            ))}
+          </View>
+        );
+      default:
+        return null;
+    }
+  };
+
+  const renderCondition = (condition, index) => (
+    <View key={index} style={styles.conditionCard}>
+      <View style={styles.conditionHeader}>
+        <Text style={styles.conditionTitle}>{index === 0 ? 'If' : 'And'}</Text>
+        {form.conditions.length > 1 && (
+          <TouchableOpacity onPress={() => removeCondition(index)}>
+            <Ionicons name="close-circle-outline" size={20} color={theme.colors.status.error} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+        {Object.values(CONDITION_FIELDS).map(field => renderChip(
+          field,
+          FIELD_LABELS[field],
+          condition.field === field,
+          () => changeConditionField(index, field)
+        ))}
+      </ScrollView>
+
+      {FIELD_OPERATORS[condition.field].length > 1 && (
+        <View style={[styles.chipRow, styles.operatorRow]}>
+          {FIELD_OPERATORS[condition.field].map(operator => renderChip(
+            operator,
+            OPERATOR_LABELS[operator],
+            condition.operator === operator,
+            () => changeConditionOperator(index, condition, operator)
+          ))}
+        </View>
+      )}
+
+      {renderConditionValue(condition, index)}
+    </View>
+  );
+
+  // The category picker follows the rule's type condition, if it has one
+  const typeCondition = form.conditions.find(condition => condition.field === CONDITION_FIELDS.TYPE);
+
+  const renderRuleItem = ({ item, index }) => (
+    <View style={[styles.ruleCard, !item.enabled && styles.disabledCard]}>
+      <View style={styles.ruleHeader}>
+        <Text style={styles.ruleOrder}>{index + 1}</Text>
+        <Text style={styles.ruleName}>{item.name}</Text>
+        <Switch
+          value={item.enabled}
+          onValueChange={() => toggleRule(item.id)}
+          trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+        />
+      </View>
+
+      {item.conditions.map((condition, conditionIndex) => (
+        <Text key={conditionIndex} style={styles.ruleText}>
+          {conditionIndex === 0 ? 'If ' : 'and '}
+          {describeCondition(condition, { getAccountName })}
+        </Text>
+      ))}
+      <Text style={styles.ruleAction}>→ {describeActions(item.actions)}</Text>
+
+      <View style={styles.ruleActions}>
+        <TouchableOpacity style={styles.actionButton} onPress={() => moveRule(item.id, -1)}>
+          <Ionicons name="chevron-up" size={18} color={theme.colors.text.secondary} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.actionButton} onPress={() => moveRule(item.id, 1)}>
+          <Ionicons name="chevron-down" size={18} color={theme.colors.text.secondary} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.actionButton} onPress={() => handleEditRule(item)}>
+          <Ionicons name="create-outline" size={18} color={theme.colors.status.info} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.actionButton} onPress={() => handleDeleteRule(item)}>
+          <Ionicons name="trash-outline" size={18} color={theme.colors.status.error} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <Text style={styles.introText}>
+        Rules run in order when you add a transaction, import transactions or a recurring transaction is created. The first rule to set a field wins.
+      </Text>
+
+      {rules.length > 0 && (
+        <TouchableOpacity style={styles.reapplyButton} onPress={handlePreview} disabled={previewLoading}>
+          {previewLoading ? (
+            <ActivityIndicator size="small" color={theme.colors.primary} />
+          ) : (
+            <Ionicons name="refresh-outline" size={18} color={theme.colors.primary} />
+          )}
+          <Text style={styles.reapplyButtonText}>Re-apply rules to past transactions</Text>
+        </TouchableOpacity>
+      )}
+
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={rules}
+          renderItem={renderRuleItem}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.listContent}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>
+              No rules yet. Add one to categorize and tag transactions automatically.
+            </Text>
+          }
+          ListFooterComponent={
+            <TouchableOpacity style={styles.addRuleButton} onPress={handleAddRule}>
+              <Ionicons name="add-circle-outline" size={20} color={theme.colors.primary} />
+              <Text style={styles.addRuleText}>Add Rule</Text>
+            </TouchableOpacity>
+          }
+        />
+      )}
+
+      {/* Add/Edit Rule Modal */}
+      {showForm && (
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>{editingRuleId ? 'Edit Rule' : 'New Rule'}</Text>
+              <TouchableOpacity onPress={handleCancel}>
+                <Ionicons name="close" size={24} color={theme.colors.text.secondary} />
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView style={styles.formScroll} keyboardShouldPersistTaps="handled">
+              <Text style={styles.inputLabel}>Name</Text>
+              <TextInput
+                style={styles.modalInput}
+                value={form.name}
+                onChangeText={name => setForm({ ...form, name })}
+                placeholder="e.g. Food delivery"
+                placeholderTextColor={theme.colors.text.muted}
+              />
+
+              <Text style={styles.sectionLabel}>Conditions</Text>
+              {form.conditions.map(renderCondition)}
+              <TouchableOpacity
+                style={styles.addConditionButton}
+                onPress={() => setForm({ ...form, conditions: [...form.conditions, createCondition()] })}
+              >
+                <Ionicons name="add" size={18} color={theme.colors.primary} />
+                <Text style={styles.addConditionText}>Add condition</Text>
+              </TouchableOpacity>
+
+              <Text style={styles.sectionLabel}>Then</Text>
+
+              <View style={styles.labelRow}>
+                <Text style={styles.inputLabel}>Set category</Text>
+                {form.actions.category && (
+                  <TouchableOpacity onPress={() => updateAction({ category: null })}>
+                    <Text style={styles.clearText}>Clear</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+              <CategorySelector
+                selectedCategory={form.actions.category}
+                onSelect={category => updateAction({ category })}
+                type={typeCondition ? typeCondition.value : 'all'}
+              />
+
+              <Text style={styles.inputLabel}>Add tags</Text>
+              <TagInput tags={form.actions.tags} onChange={tags => updateAction({ tags })} />
+
+              <Text style={styles.inputLabel}>Set note</Text>
+              <TextInput
+                style={styles.modalInput}
+                value={form.actions.note}
+                onChangeText={note => updateAction({ note })}
+                placeholder="Leave empty to keep the note"
+                placeholderTextColor={theme.colors.text.muted}
+              />
+
+              {accounts.length > 1 && (
+                <>
+                  <View style={styles.labelRow}>
+                    <Text style={styles.inputLabel}>Move to account</Text>
+                    {form.actions.accountId && (
+                      <TouchableOpacity onPress={() => updateAction({ accountId: null })}>
+                        <Text style={styles.clearText}>Clear</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                  <AccountSelector
+                    selectedAccount={form.actions.accountId}
+                    onSelect={accountId => updateAction({ accountId })}
+                  />
+                </>
+              )}
+            </ScrollView>
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={handleCancel}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.modalButton, styles.confirmButton]}
+                onPress={handleSave}
+                disabled={saving}
+              >
+                {saving ? (
+                  <ActivityIndicator size="small" color="white" />
+                ) : (
+                  <Text style={styles.confirmButtonText}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      )}
+
+      {/* Re-apply Preview Modal */}
+      {preview && (
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Review Changes</Text>
+              <TouchableOpacity onPress={() => setPreview(null)}>
+                <Ionicons name="close" size={24} color={theme.colors.text.secondary} />
+              </TouchableOpacity>
+            </View>
+
+            <Text style={styles.previewSummary}>
+              {preview.length} transactions would change. Untick any you want to keep as they are.
+            </Text>
+
+            <FlatList
+              style={styles.formScroll}
+              data={preview}
+              keyExtractor={(entry) => entry.transaction.id}
+              renderItem={({ item: entry }) => (
+                <TouchableOpacity
+                  style={styles.previewRow}
+                  onPress={() => toggleSelected(entry.transaction.id)}
+                >
+                  <Ionicons
+                    name={selected.includes(entry.transaction.id) ? 'checkbox' : 'square-outline'}
+                    size={20}
+                    color={theme.colors.primary}
+                  />
+                  <View style={styles.previewDetails}>
+                    <Text style={styles.previewTitle}>
+                      {entry.transaction.description || entry.transaction.note || getCategoryLabel(entry.transaction.category)}
+                    </Text>
+                    <Text style={styles.previewMeta}>{formatShortDate(entry.transaction.date)}</Text>
+                    {Object.entries(entry.changes).map(([field, change]) => (
+                      <Text key={field} style={styles.previewChange}>{describeChange(field, change)}</Text>
+                    ))}
+                  </View>
+                </TouchableOpacity>
+              )}
+            />
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setPreview(null)}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.modalButton, styles.confirmButton, selected.length === 0 && styles.disabledButton]}
+                onPress={handleApply}
+                disabled={applying || selected.length === 0}
+              >
+                {applying ? (
+                  <ActivityIndicator size="small" color="white" />
+                ) : (
+                  <Text style={styles.confirmButtonText}>Apply {selected.length}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.light,
+  },
+  introText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    margin: theme.spacing.lg,
+    marginBottom: theme.spacing.sm,
+  },
+  reapplyButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: theme.spacing.lg,
+    marginBottom: theme.spacing.md,
+  },
+  reapplyButtonText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.primary,
+    marginLeft: theme.spacing.xs,
+  },
+  errorText: {
+    color: theme.colors.status.error,
+    fontSize: theme.typography.fontSize.sm,
+    marginHorizontal: theme.spacing.lg,
+    marginBottom: theme.spacing.sm,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  listContent: {
+    paddingHorizontal: theme.spacing.lg,
+    paddingBottom: theme.spacing.xl,
+  },
+  emptyText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.muted,
+    textAlign: 'center',
+    marginVertical: theme.spacing.lg,
+  },
+  ruleCard: {
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  disabledCard: {
+    opacity: 0.5,
+  },
+  ruleHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.xs,
+  },
+  ruleOrder: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.muted,
+    marginRight: theme.spacing.sm,
+  },
+  ruleName: {
+    flex: 1,
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+  },
+  ruleText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  },
+  ruleAction: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.primary,
+    marginTop: theme.spacing.xs,
+  },
+  ruleActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: theme.spacing.xs,
+  },
+  actionButton: {
+    padding: theme.spacing.xs,
+    marginLeft: theme.spacing.xs,
+  },
+  addRuleButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: theme.spacing.md,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: theme.colors.primary,
+    borderRadius: theme.borderRadius.lg,
+    marginTop: theme.spacing.sm,
+  },
+  addRuleText: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.primary,
+    marginLeft: theme.spacing.xs,
+  },
+  modalOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000,
+  },
+  modalContainer: {
+    width: '90%',
+    maxHeight: '85%',
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    padding: theme.spacing.lg,
+    ...theme.shadows.lg,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  modalTitle: {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+  },
+  formScroll: {
+    flexGrow: 0,
+  },
+  inputLabel: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.xs,
+  },
+  sectionLabel: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginTop: theme.spacing.lg,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-end',
+  },
+  clearText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.primary,
+    marginBottom: theme.spacing.xs,
+  },
+  modalInput: {
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.md,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.text.primary,
+  },
+  conditionCard: {
+    padding: theme.spacing.sm,
+    marginTop: theme.spacing.sm,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.md,
+  },
+  conditionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.xs,
+  },
+  conditionTitle: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: theme.spacing.xs,
+    marginBottom: theme.spacing.sm,
+  },
+  operatorRow: {
+    marginTop: -theme.spacing.xs,
+  },
+  chip: {
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.full,
+  },
+  activeChip: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+  },
+  activeChipText: {
+    color: theme.colors.text.white,
+  },
+  rangeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rangeInput: {
+    flex: 1,
+  },
+  rangeSeparator: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    marginHorizontal: theme.spacing.sm,
+  },
+  addConditionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  addConditionText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.primary,
+    marginLeft: theme.spacing.xxs,
+  },
+  previewSummary: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+    marginBottom: theme.spacing.sm,
+  },
+  previewRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.divider,
+  },
+  previewDetails: {
+    flex: 1,
+    marginLeft: theme.spacing.sm,
+  },
+  previewTitle: {
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.text.primary,
+  },
+  previewMeta: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.muted,
+    marginBottom: theme.spacing.xxs,
+  },
+  previewChange: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.primary,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: theme.spacing.lg,
+  },
+  modalButton: {
+    flex: 1,
+    paddingVertical: theme.spacing.md,
+    borderRadius: theme.borderRadius.md,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: theme.colors.background.light,
+    marginRight: theme.spacing.sm,
+  },
+  confirmButton: {
+    backgroundColor: theme.colors.primary,
+    marginLeft: theme.spacing.sm,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  cancelButtonText: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.secondary,
+  },
+  confirmButtonText: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.white,
+  },
+});
+
+export default RulesScreen;
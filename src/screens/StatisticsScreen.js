@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   View,
   Text,
@@ -15,6 +15,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { useTransactions } from '../context/TransactionContext';
 import theme from '../theme';
 import { getCategoryById } from '../constants/categories';
+import { getCategoryAllocations } from '../utils/dataUtils';
 import { LinearGradient } from 'expo-linear-gradient';
 import AnimatedScreenWrapper from '../components/AnimatedScreenWrapper';
 import { PieChart, LineChart } from 'react-native-chart-kit';
@@ -24,9 +25,12 @@ const { width } = Dimensions.get('window');
 const chartWidth = width - 32;
 
 const StatisticsScreen = ({ navigation }) => {
-  const { transactions, stats } = useTransactions();
+  const { transactions, stats, getTransactionHistory } = useTransactions();
   const [activeTab, setActiveTab] = useState('expense');
   const [periodFilter, setPeriodFilter] = useState('month');
+  const [periodTransactions, setPeriodTransactions] = useState(null);
+  const [historyFailed, setHistoryFailed] = useState(false);
+  const loadedPeriodRef = useRef(null);
   const [categoryStats, setCategoryStats] = useState([]);
   const [loading, setLoading] = useState(true);
   const [trendData, setTrendData] = useState({
@@ -34,12 +38,42 @@ const StatisticsScreen = ({ navigation }) => {
     datasets: [{ data: [] }]
   });
 
+  // A year or all time reaches back further than the transactions kept in
+  // memory, so the period is loaded from the whole history. Reloaded when
+  // transactions change so edits show.
   useEffect(() => {
-    setLoading(true);
+    let cancelled = false;
+
+    const loadPeriod = async () => {
+      if (loadedPeriodRef.current !== periodFilter) setLoading(true);
+      const { startDate } = getDateRangeForPeriod();
+
+      try {
+        const history = await getTransactionHistory(periodFilter === 'all' ? {} : { startDate });
+        if (cancelled) return;
+        setPeriodTransactions(history);
+        setHistoryFailed(false);
+      } catch (error) {
+        console.error('Error loading transactions for statistics:', error);
+        if (cancelled) return;
+        setPeriodTransactions(transactions);
+        setHistoryFailed(true);
+      }
+      loadedPeriodRef.current = periodFilter;
+    };
+
+    loadPeriod();
+    return () => {
+      cancelled = true;
+    };
+  }, [periodFilter, transactions]);
+
+  useEffect(() => {
+    if (!periodTransactions) return;
     calculateCategoryStats();
     calculateTrendData();
     setLoading(false);
-  }, [activeTab, periodFilter, transactions]);
+  }, [activeTab, periodTransactions]);
 
   const getDateRangeForPeriod = () => {
     const now = new Date();
@@ -67,7 +101,7 @@ const StatisticsScreen = ({ navigation }) => {
     const { startDate, endDate } = getDateRangeForPeriod();
 
     // Filter transactions by type and date
-    const filteredTransactions = transactions.filter(
+    const filteredTransactions = periodTransactions.filter(
       (transaction) =>
         transaction.type === activeTab &&
         isWithinInterval(
@@ -81,19 +115,20 @@ const StatisticsScreen = ({ navigation }) => {
     let total = 0;
 
     filteredTransactions.forEach((transaction) => {
-      const { category, amount } = transaction;
-      
-      if (!categoryTotals[category]) {
-        categoryTotals[category] = {
-          id: category,
-          total: 0,
-          count: 0,
-        };
-      }
-      
-      categoryTotals[category].total += amount;
-      categoryTotals[category].count += 1;
-      total += amount;
+      // Each split counts towards its own category
+      getCategoryAllocations(transaction).forEach(({ category, amount }) => {
+        if (!categoryTotals[category]) {
+          categoryTotals[category] = {
+            id: category,
+            total: 0,
+            count: 0,
+          };
+        }
+        
+        categoryTotals[category].total += amount;
+        categoryTotals[category].count += 1;
+        total += amount;
+      });
     });
 
     // Convert to array and add percentage
@@ -144,7 +179,7 @@ const StatisticsScreen = ({ navigation }) => {
     }
     
     // Aggregate transaction data into the appropriate time buckets
-    const filteredTransactions = transactions.filter(
+    const filteredTransactions = periodTransactions.filter(
       (transaction) =>
         transaction.type === activeTab &&
         isWithinInterval(
@@ -343,6 +378,15 @@ const StatisticsScreen = ({ navigation }) => {
             contentContainerStyle={styles.contentContainer}
             showsVerticalScrollIndicator={false}
           >
+            {historyFailed && (
+              <View style={styles.historyWarning}>
+                <Ionicons name="cloud-offline-outline" size={18} color={theme.colors.status.warning} />
+                <Text style={styles.historyWarningText}>
+                  Older transactions could not be loaded, so these figures only cover recent ones.
+                </Text>
+              </View>
+            )}
+
             {/* Trend Analysis Chart */}
             <View style={styles.chartContainer}>
               <Text style={styles.sectionTitle}>
@@ -609,6 +653,22 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  historyWarning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 16,
+    borderRadius: 8,
+    borderLeftWidth: 4,
+    backgroundColor: `${theme.colors.status.warning}15`,
+    borderLeftColor: theme.colors.status.warning,
+  },
+  historyWarningText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 13,
+    color: theme.colors.text.primary,
+  },
   chartContainer: {
     backgroundColor: theme.colors.background.card,
     borderRadius: 16,
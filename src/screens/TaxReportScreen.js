@@ -0,0 +1,446 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../context/AuthContext';
+import { useTransactions } from '../context/TransactionContext';
+import { getTaxSettings, saveTaxSections } from '../utils/repository';
+import { getFiscalYear, getTaxSummary } from '../utils/taxReport';
+import { exportTaxSummaryToCSV, exportTaxSummaryToPDF } from '../utils/exportUtils';
+import { formatCurrency, formatShortDate } from '../utils/formatters';
+import { DEFAULT_FISCAL_YEAR_START_MONTH, MONTH_NAMES } from '../constants/tax';
+import { ProgressBar } from '../components/ProgressBar';
+import Button from '../components/Button';
+import Input from '../components/Input';
+import theme from '../theme';
+
+const TaxReportScreen = () => {
+  const { user } = useAuth();
+  const { getTransactionHistory } = useTransactions();
+  const currency = user?.currency || 'INR';
+
+  const [transactions, setTransactions] = useState([]);
+  const [fiscalYearStartMonth, setFiscalYearStartMonth] = useState(DEFAULT_FISCAL_YEAR_START_MONTH);
+  const [customSections, setCustomSections] = useState([]);
+  const [fiscalYear, setFiscalYear] = useState(getFiscalYear(new Date()));
+  const [loading, setLoading] = useState(true);
+  const [exportingFormat, setExportingFormat] = useState(null);
+
+  const [sectionName, setSectionName] = useState('');
+  const [sectionLimit, setSectionLimit] = useState('');
+  const [savingSections, setSavingSections] = useState(false);
+
+  // The summary covers the whole history, not just the recent transactions in memory
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        const [history, settings] = await Promise.all([
+          getTransactionHistory(),
+          getTaxSettings(user.id),
+        ]);
+        setTransactions(history);
+        setFiscalYearStartMonth(settings.fiscalYearStartMonth);
+        setCustomSections(settings.taxSections);
+        setFiscalYear(getFiscalYear(new Date(), settings.fiscalYearStartMonth));
+      } catch (error) {
+        console.error('Error loading tax data:', error);
+        Alert.alert('Error', 'Failed to load transactions. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadData();
+  }, []);
+
+  const summary = useMemo(
+    () => getTaxSummary(transactions, { fiscalYear, fiscalYearStartMonth, customSections }),
+    [transactions, fiscalYear, fiscalYearStartMonth, customSections]
+  );
+  const currentFiscalYear = getFiscalYear(new Date(), fiscalYearStartMonth);
+
+  const handleExport = async (format) => {
+    setExportingFormat(format);
+    try {
+      if (format === 'pdf') {
+        await exportTaxSummaryToPDF(summary, currency, { userName: user?.displayName || user?.name || '' });
+      } else {
+        await exportTaxSummaryToCSV(summary);
+      }
+    } catch (error) {
+      Alert.alert('Export Failed', error.message || 'Please try again.');
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  const updateSections = async (sections) => {
+    setSavingSections(true);
+    try {
+      await saveTaxSections(user.id, sections);
+      setCustomSections(sections);
+      return true;
+    } catch (error) {
+      console.error('Error saving tax sections:', error);
+      Alert.alert('Error', 'Failed to save sections. Please try again.');
+      return false;
+    } finally {
+      setSavingSections(false);
+    }
+  };
+
+  const handleAddSection = async () => {
+    const name = sectionName.trim();
+    if (!name) {
+      Alert.alert('Error', 'Please enter a name for the section');
+      return;
+    }
+
+    const limit = sectionLimit.trim() ? parseFloat(sectionLimit) : null;
+    if (limit !== null && (isNaN(limit) || limit <= 0)) {
+      Alert.alert('Error', 'Please enter a valid limit, or leave it empty for no limit');
+      return;
+    }
+
+    const saved = await updateSections([
+      ...customSections,
+      { id: `custom_${Date.now()}`, name, limit },
+    ]);
+    if (saved) {
+      setSectionName('');
+      setSectionLimit('');
+    }
+  };
+
+  const handleDeleteSection = (section) => {
+    Alert.alert(
+      'Delete Section',
+      `Delete "${section.name}"? Transactions tagged with it will be listed as having no section.`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel'
+        },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => updateSections(customSections.filter(s => s.id !== section.id))
+        }
+      ]
+    );
+  };
+
+  const renderSection = (section) => {
+    const hasLimit = typeof section.limit === 'number';
+    const isOver = section.excess > 0;
+
+    return (
+      <View key={section.id} style={styles.sectionRow}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionName}>{section.name}</Text>
+          <Text style={[styles.sectionTotal, isOver && styles.overText]}>
+            {formatCurrency(section.total, currency)}
+          </Text>
+        </View>
+        {section.description ? (
+          <Text style={styles.sectionDescription}>{section.description}</Text>
+        ) : null}
+        {hasLimit && (
+          <ProgressBar
+            progress={(section.total / section.limit) * 100}
+            color={isOver ? theme.colors.status.error : theme.colors.primary}
+            height={6}
+            showShadow={false}
+            style={styles.progressBar}
+          />
+        )}
+        <Text style={styles.sectionMeta}>
+          {section.count} transaction{section.count === 1 ? '' : 's'}
+          {hasLimit ? ` · Limit ${formatCurrency(section.limit, currency)}` : ' · No fixed limit'}
+          {isOver ? ` · ${formatCurrency(section.excess, currency)} over` : ''}
+          {hasLimit && !isOver ? ` · ${formatCurrency(section.remaining, currency)} left` : ''}
+        </Text>
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+          <Text style={styles.hintText}>Loading your transactions...</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.card}>
+          <View style={styles.yearSelector}>
+            <TouchableOpacity
+              onPress={() => setFiscalYear(fiscalYear - 1)}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Ionicons name="chevron-back" size={24} color={theme.colors.primary} />
+            </TouchableOpacity>
+            <View style={styles.yearLabel}>
+              <Text style={styles.yearTitle}>{summary.label}</Text>
+              <Text style={styles.hintText}>
+                {formatShortDate(summary.startDate)} – {formatShortDate(summary.endDate)}
+              </Text>
+            </View>
+            <TouchableOpacity
+              onPress={() => setFiscalYear(fiscalYear + 1)}
+              disabled={fiscalYear >= currentFiscalYear}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Ionicons
+                name="chevron-forward"
+                size={24}
+                color={fiscalYear >= currentFiscalYear ? theme.colors.text.muted : theme.colors.primary}
+              />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.totals}>
+            <View style={styles.totalItem}>
+              <Text style={styles.totalLabel}>Claimed</Text>
+              <Text style={styles.totalValue}>{formatCurrency(summary.total, currency)}</Text>
+            </View>
+            <View style={styles.totalItem}>
+              <Text style={styles.totalLabel}>Within Limits</Text>
+              <Text style={styles.totalValue}>{formatCurrency(summary.eligible, currency)}</Text>
+            </View>
+          </View>
+          <Text style={styles.hintText}>
+            The financial year starts in {MONTH_NAMES[fiscalYearStartMonth - 1]}; change it in your profile.
+          </Text>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Deductions</Text>
+          {summary.sections.map(renderSection)}
+          {summary.unassigned.count > 0 && (
+            <Text style={styles.warningText}>
+              {summary.unassigned.count} tax-relevant transaction{summary.unassigned.count === 1 ? ' has' : 's have'} no
+              section ({formatCurrency(summary.unassigned.total, currency)}). Edit them to choose one.
+            </Text>
+          )}
+          <Text style={styles.hintText}>
+            Mark a transaction as tax-relevant when adding or editing it to include it here.
+          </Text>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Export</Text>
+          <View style={styles.exportButtons}>
+            <Button
+              title="PDF"
+              variant="outline"
+              iconName="document-text-outline"
+              onPress={() => handleExport('pdf')}
+              loading={exportingFormat === 'pdf'}
+              disabled={!!exportingFormat}
+              style={styles.exportButton}
+            />
+            <Button
+              title="CSV"
+              variant="outline"
+              iconName="grid-outline"
+              onPress={() => handleExport('csv')}
+              loading={exportingFormat === 'csv'}
+              disabled={!!exportingFormat}
+              style={styles.exportButton}
+            />
+          </View>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Your Sections</Text>
+          <Text style={styles.hintText}>
+            Add sections for deductions not listed above. Leave the limit empty if there is none.
+          </Text>
+          {customSections.map(section => (
+            <View key={section.id} style={styles.customSectionRow}>
+              <View style={styles.customSectionText}>
+                <Text style={styles.sectionName}>{section.name}</Text>
+                <Text style={styles.sectionMeta}>
+                  {typeof section.limit === 'number' ? `Limit ${formatCurrency(section.limit, currency)}` : 'No fixed limit'}
+                </Text>
+              </View>
+              <TouchableOpacity
+                onPress={() => handleDeleteSection(section)}
+                disabled={savingSections}
+                hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+              >
+                <Ionicons name="trash-outline" size={20} color={theme.colors.status.error} />
+              </TouchableOpacity>
+            </View>
+          ))}
+          <Input
+            label="Name"
+            value={sectionName}
+            onChangeText={setSectionName}
+            placeholder="e.g. Section 80DD"
+            autoCapitalize="words"
+          />
+          <Input
+            label="Yearly Limit (Optional)"
+            value={sectionLimit}
+            onChangeText={setSectionLimit}
+            placeholder="0"
+            keyboardType="decimal-pad"
+          />
+          <Button
+            title="Add Section"
+            iconName="add"
+            onPress={handleAddSection}
+            loading={savingSections}
+            fullWidth
+          />
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background.light,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: theme.spacing.xl,
+  },
+  scrollContent: {
+    padding: theme.spacing.lg,
+    paddingBottom: theme.spacing.xl,
+  },
+  card: {
+    padding: theme.spacing.md,
+    marginBottom: theme.spacing.md,
+    backgroundColor: theme.colors.background.card,
+    borderRadius: theme.borderRadius.lg,
+    ...theme.shadows.sm,
+  },
+  cardTitle: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.xs,
+  },
+  hintText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.xs,
+  },
+  warningText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.status.warning,
+    marginTop: theme.spacing.md,
+  },
+  yearSelector: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  yearLabel: {
+    alignItems: 'center',
+  },
+  yearTitle: {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.text.primary,
+  },
+  totals: {
+    flexDirection: 'row',
+    marginTop: theme.spacing.md,
+    paddingTop: theme.spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.divider,
+  },
+  totalItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  totalLabel: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  },
+  totalValue: {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+    marginTop: theme.spacing.xxs,
+  },
+  sectionRow: {
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.divider,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionName: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.text.primary,
+  },
+  sectionTotal: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.semibold,
+    color: theme.colors.text.primary,
+  },
+  overText: {
+    color: theme.colors.status.error,
+  },
+  sectionDescription: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.muted,
+    marginTop: theme.spacing.xxs,
+  },
+  progressBar: {
+    marginTop: theme.spacing.xs,
+  },
+  sectionMeta: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.text.secondary,
+    marginTop: theme.spacing.xxs,
+  },
+  exportButtons: {
+    flexDirection: 'row',
+    marginTop: theme.spacing.sm,
+  },
+  exportButton: {
+    flex: 1,
+    marginHorizontal: theme.spacing.xxs,
+  },
+  customSectionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.divider,
+  },
+  customSectionText: {
+    flex: 1,
+  },
+});
+
+export default TaxReportScreen;
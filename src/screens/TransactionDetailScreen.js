@@ -15,7 +15,13 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useTransactions } from '../context/TransactionContext';
+import { useAccounts } from '../context/AccountContext';
+import { useAuth } from '../context/AuthContext';
 import { getCategoryById } from '../constants/categories';
+import { getTaxSectionById } from '../constants/tax';
+import { getTaxSettings } from '../utils/repository';
+import { formatTag } from '../utils/tagUtils';
+import { SYNC_STATUS } from '../utils/syncQueue';
 import theme from '../theme';
 import Button from '../components/Button';
 import ConfirmationModal from '../components/ConfirmationModal';
@@ -24,11 +30,26 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { useFocusEffect, useIsFocused } from '@react-navigation/native';
 import Toast from 'react-native-toast-message';
 
+// Header colours and label for each kind of transaction
+const TYPE_DISPLAY = {
+  expense: { label: 'Expense', icon: 'arrow-up', colors: ['#FF6B78', '#FF8086'] },
+  income: { label: 'Income', icon: 'arrow-down', colors: ['#4CD964', '#5AE273'] },
+  transfer: { label: 'Transfer', icon: 'swap-horizontal', colors: ['#A095FF', '#7B70FF'] },
+};
 
 const TransactionDetailScreen = ({ navigation, route }) => {
   const { id } = route.params;
-  const { getTransactionById, deleteTransaction } = useTransactions();
+  const {
+    getTransactionById,
+    deleteTransaction,
+    retryFailedChange,
+    discardFailedChange,
+    getSyncError,
+  } = useTransactions();
+  const { getAccountById } = useAccounts();
+  const { user } = useAuth();
   const [transaction, setTransaction] = useState(route.params.transaction);
+  const [customTaxSections, setCustomTaxSections] = useState([]);
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
@@ -46,6 +67,14 @@ const TransactionDetailScreen = ({ navigation, route }) => {
     }
   }, [id, getTransactionById]);
   
+  // Custom deduction sections are needed to name the one this is tagged with
+  useEffect(() => {
+    if (!transaction?.taxRelevant || !user?.id) return;
+    getTaxSettings(user.id)
+      .then(settings => setCustomTaxSections(settings.taxSections))
+      .catch(err => console.error('Error loading tax sections:', err));
+  }, [transaction?.taxRelevant, user?.id]);
+
   const onRefresh = useCallback(async () => {
     setRefreshing(true);
     await fetchTransactionData();
@@ -88,6 +117,8 @@ const TransactionDetailScreen = ({ navigation, route }) => {
   );
   
   const categoryData = transaction ? getCategoryById(transaction.category) : null;
+  const isTransfer = transaction?.type === 'transfer';
+  const typeDisplay = TYPE_DISPLAY[transaction?.type] || TYPE_DISPLAY.income;
   
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -155,6 +186,62 @@ const TransactionDetailScreen = ({ navigation, route }) => {
     }
   };
   
+  // Send a change Firestore rejected again
+  const handleRetrySync = async () => {
+    setLoading(true);
+    const success = await retryFailedChange(transaction.id);
+    setLoading(false);
+
+    if (success) {
+      Toast.show({
+        type: 'success',
+        text1: 'Success',
+        text2: 'Transaction synced successfully',
+        position: 'bottom',
+      });
+      navigation.navigate('Main');
+    } else {
+      Toast.show({
+        type: 'error',
+        text1: 'Error',
+        text2: 'The change was rejected again.',
+        position: 'bottom',
+      });
+      fetchTransactionData();
+    }
+  };
+
+  // Throw away a change Firestore rejected and go back to the saved version
+  const handleDiscardSync = () => {
+    Alert.alert(
+      'Discard Change',
+      'This change was never saved to your account. Discard it?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: async () => {
+            setLoading(true);
+            const success = await discardFailedChange(transaction.id);
+            setLoading(false);
+
+            if (success) {
+              navigation.navigate('Main');
+            } else {
+              Toast.show({
+                type: 'error',
+                text1: 'Error',
+                text2: 'Failed to discard the change. Please try again.',
+                position: 'bottom',
+              });
+            }
+          },
+        },
+      ]
+    );
+  };
+
   if (!transaction) {
     return (
       <SafeAreaView style={[styles.container, {justifyContent: 'center', alignItems: 'center'}]}>
@@ -166,10 +253,7 @@ const TransactionDetailScreen = ({ navigation, route }) => {
   return (
     <SafeAreaView style={styles.container}>
       <LinearGradient
-        colors={[
-          transaction.type === 'expense' ? '#FF6B78' : '#4CD964',
-          transaction.type === 'expense' ? '#FF8086' : '#5AE273',
-        ]}
+        colors={typeDisplay.colors}
         style={styles.headerGradient}
       >
         <View style={styles.header}>
@@ -195,12 +279,12 @@ const TransactionDetailScreen = ({ navigation, route }) => {
         >
           <View style={styles.typeIndicator}>
             <Ionicons
-              name={transaction.type === 'expense' ? 'arrow-up' : 'arrow-down'}
+              name={typeDisplay.icon}
               size={20}
               color="white"
             />
             <Text style={styles.typeText}>
-              {transaction.type === 'expense' ? 'Expense' : 'Income'}
+              {typeDisplay.label}
             </Text>
           </View>
           
@@ -232,25 +316,74 @@ const TransactionDetailScreen = ({ navigation, route }) => {
             transform: [{ translateY: slideAnim }] 
           }
         ]}>
-          <View style={styles.detailRow}>
-            <Text style={styles.detailLabel}>Category</Text>
-            <View style={styles.categoryContainer}>
-              <View
-                style={[
-                  styles.categoryIcon,
-                  { backgroundColor: categoryData.color },
-                ]}
-              >
-                <Ionicons
-                  name={categoryData.icon}
-                  size={16}
-                  color="white"
-                />
+          {transaction.splits?.length > 0 ? (
+            <View style={styles.splitList}>
+              <Text style={styles.detailLabel}>Split</Text>
+              {transaction.splits.map((split, index) => {
+                const splitCategory = getCategoryById(split.category);
+                return (
+                  <View key={index} style={styles.splitRow}>
+                    <View style={styles.splitCategory}>
+                      <View
+                        style={[
+                          styles.categoryIcon,
+                          { backgroundColor: splitCategory.color },
+                        ]}
+                      >
+                        <Ionicons
+                          name={splitCategory.icon}
+                          size={16}
+                          color="white"
+                        />
+                      </View>
+                      <View>
+                        <Text style={styles.splitName}>{splitCategory.name}</Text>
+                        {split.note ? <Text style={styles.splitNote}>{split.note}</Text> : null}
+                      </View>
+                    </View>
+                    <Text style={styles.splitName}>{formatCurrency(split.amount)}</Text>
+                  </View>
+                );
+              })}
+            </View>
+          ) : (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Category</Text>
+              <View style={styles.categoryContainer}>
+                <View
+                  style={[
+                    styles.categoryIcon,
+                    { backgroundColor: categoryData.color },
+                  ]}
+                >
+                  <Ionicons
+                    name={categoryData.icon}
+                    size={16}
+                    color="white"
+                  />
+                </View>
+                <Text style={styles.detailValue}>{categoryData.name}</Text>
               </View>
-              <Text style={styles.detailValue}>{categoryData.name}</Text>
             </View>
+          )}
+          
+          <View style={styles.divider} />
+          
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>{isTransfer ? 'From Account' : 'Account'}</Text>
+            <Text style={styles.detailValue}>{getAccountById(transaction.accountId).name}</Text>
           </View>
           
+          {isTransfer ? (
+            <>
+              <View style={styles.divider} />
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>To Account</Text>
+                <Text style={styles.detailValue}>{getAccountById(transaction.toAccountId).name}</Text>
+              </View>
+            </>
+          ) : null}
+          
           <View style={styles.divider} />
           
           <View style={styles.detailRow}>
@@ -267,6 +400,46 @@ const TransactionDetailScreen = ({ navigation, route }) => {
           
           <View style={styles.divider} />
           
+          {transaction.tags?.length > 0 ? (
+            <>
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>Tags</Text>
+                <Text style={[styles.detailValue, styles.tagsText]}>
+                  {transaction.tags.map(formatTag).join(' ')}
+                </Text>
+              </View>
+              
+              <View style={styles.divider} />
+            </>
+          ) : null}
+
+          {transaction.taxRelevant ? (
+            <>
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>Tax Section</Text>
+                <Text style={styles.detailValue}>
+                  {getTaxSectionById(transaction.taxSection, customTaxSections)?.name || 'Not assigned'}
+                </Text>
+              </View>
+
+              <View style={styles.divider} />
+            </>
+          ) : null}
+          
+          {transaction.recurringId ? (
+            <>
+              <TouchableOpacity
+                style={styles.detailRow}
+                onPress={() => navigation.navigate('RecurringDetail', { recurringId: transaction.recurringId })}
+              >
+                <Text style={styles.detailLabel}>Repeats</Text>
+                <Text style={[styles.detailValue, styles.linkText]}>View series</Text>
+              </TouchableOpacity>
+
+              <View style={styles.divider} />
+            </>
+          ) : null}
+          
           <View style={styles.detailRow}>
             <Text style={styles.detailLabel}>Transaction ID</Text>
             <Text style={[styles.detailValue, styles.idText]}>{transaction.id}</Text>
@@ -296,6 +469,36 @@ const TransactionDetailScreen = ({ navigation, route }) => {
             </>
           ) : null}
           
+          {transaction.syncStatus === SYNC_STATUS.FAILED ? (
+            <View style={styles.syncFailedBox}>
+              <View style={styles.syncFailedHeader}>
+                <Ionicons name="alert-circle-outline" size={20} color={theme.colors.status.error} />
+                <Text style={styles.syncFailedTitle}>Not saved to your account</Text>
+              </View>
+              {getSyncError(transaction.id)?.message ? (
+                <Text style={styles.syncFailedMessage}>{getSyncError(transaction.id).message}</Text>
+              ) : null}
+              <View style={styles.syncFailedActions}>
+                <Button
+                  title="Discard"
+                  variant="outline"
+                  size="small"
+                  onPress={handleDiscardSync}
+                  disabled={loading}
+                  style={styles.syncFailedButton}
+                />
+                <Button
+                  title="Retry"
+                  size="small"
+                  onPress={handleRetrySync}
+                  loading={loading}
+                  disabled={loading}
+                  style={styles.syncFailedButton}
+                />
+              </View>
+            </View>
+          ) : null}
+          
           <TouchableOpacity
             style={styles.deleteButton}
             onPress={() => setShowDeleteModal(true)}
@@ -420,6 +623,12 @@ const styles = StyleSheet.create({
     flex: 2,
     textAlign: 'right',
   },
+  linkText: {
+    color: theme.colors.primary,
+  },
+  tagsText: {
+    color: theme.colors.primary,
+  },
   idText: {
     fontSize: theme.typography.fontSize.sm,
     color: theme.colors.text.secondary,
@@ -430,6 +639,29 @@ const styles = StyleSheet.create({
     justifyContent: 'flex-end',
     flex: 2,
   },
+  splitList: {
+    paddingVertical: theme.spacing.sm,
+  },
+  splitRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  splitCategory: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+  splitName: {
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.text.primary,
+    fontWeight: '500',
+  },
+  splitNote: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  },
   categoryIcon: {
     width: 30,
     height: 30,
@@ -443,6 +675,37 @@ const styles = StyleSheet.create({
     backgroundColor: theme.colors.border,
     marginVertical: theme.spacing.sm,
   },
+  syncFailedBox: {
+    marginTop: 24,
+    padding: theme.spacing.md,
+    borderWidth: 1,
+    borderColor: theme.colors.status.error,
+    borderRadius: theme.borderRadius.md,
+    backgroundColor: `${theme.colors.status.error}10`,
+  },
+  syncFailedHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  syncFailedTitle: {
+    color: theme.colors.status.error,
+    marginLeft: 8,
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: '600',
+  },
+  syncFailedMessage: {
+    marginTop: theme.spacing.sm,
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  },
+  syncFailedActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: theme.spacing.md,
+  },
+  syncFailedButton: {
+    marginLeft: theme.spacing.sm,
+  },
   deleteButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -10,35 +10,92 @@ import {
   SafeAreaView,
   Alert,
   ToastAndroid,
+  Switch,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useTransactions } from '../context/TransactionContext';
+import { useAccounts } from '../context/AccountContext';
+import { useCategories } from '../context/CategoryContext';
 import Input from '../components/Input';
 import Button from '../components/Button';
+import AccountSelector from '../components/AccountSelector';
+import SplitEditor, { createSplitLine } from '../components/SplitEditor';
+import TagInput from '../components/TagInput';
+import CategorySuggestions from '../components/CategorySuggestions';
+import ConfirmationModal from '../components/ConfirmationModal';
+import DuplicateComparison from '../components/DuplicateComparison';
 import theme from '../theme';
-import { getCategories } from '../constants/categories';
+import { TRANSFER_TYPE } from '../constants/accounts';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { scheduleBudgetThresholdNotification } from '../utils/notificationUtils';
 import { useAuth } from '../context/AuthContext';
+import { validateSplits } from '../utils/validators';
+import { toSplitTransaction } from '../utils/dataUtils';
+import { findDuplicates } from '../utils/duplicateDetector';
+import { getTaxSettings } from '../utils/repository';
+import { getTaxSections } from '../constants/tax';
 
 const TransactionFormScreen = () => {
   const navigation = useNavigation();
   const route = useRoute();
-  const { addTransaction, updateTransaction } = useTransactions();
+  const { addTransaction, updateTransaction, transactions } = useTransactions();
+  const { accounts, defaultAccountId } = useAccounts();
+  const { getCategories, recordCategoryChoice } = useCategories();
   const { user } = useAuth();
   const editTransaction = route.params?.transaction;
   const isEditing = !!editTransaction;
 
-  const [type, setType] = useState(editTransaction?.type || 'expense');
+  const [type, setType] = useState(editTransaction?.type || route.params?.type || 'expense');
   const [amount, setAmount] = useState(editTransaction?.amount?.toString() || '');
   const [category, setCategory] = useState(editTransaction?.category || '');
+  // Top suggestion shown for the note, to tell corrections from confirmations
+  const [suggestedCategory, setSuggestedCategory] = useState(null);
+  const [accountId, setAccountId] = useState(editTransaction?.accountId || defaultAccountId);
+  const [toAccountId, setToAccountId] = useState(editTransaction?.toAccountId || '');
+  const [splits, setSplits] = useState(
+    editTransaction?.splits?.map(split => ({ ...split, amount: split.amount.toString() })) || null
+  );
   const [note, setNote] = useState(editTransaction?.note || '');
+  const [tags, setTags] = useState(editTransaction?.tags || []);
+  const [taxRelevant, setTaxRelevant] = useState(!!editTransaction?.taxRelevant);
+  const [taxSection, setTaxSection] = useState(editTransaction?.taxSection || null);
+  const [taxSections, setTaxSections] = useState(getTaxSections());
   const [date, setDate] = useState(editTransaction?.date || new Date().toISOString());
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [duplicateCheck, setDuplicateCheck] = useState(null);
 
   // Get filtered categories based on transaction type
   const categories = getCategories(type);
+  const isTransfer = type === TRANSFER_TYPE;
+  const isSplit = !isTransfer && !!splits;
+  const currency = user?.currency || 'USD';
+
+  // Splitting starts with the current category and amount on the first line
+  const toggleSplit = () => {
+    if (isSplit) {
+      setCategory(splits[0]?.category || '');
+      setSplits(null);
+    } else {
+      setSplits([createSplitLine(category, amount), createSplitLine()]);
+    }
+  };
+
+  // The user's own deduction sections are listed after the built-in ones
+  useEffect(() => {
+    if (!user?.id) return;
+    getTaxSettings(user.id)
+      .then(settings => setTaxSections(getTaxSections(settings.taxSections)))
+      .catch(err => console.error('Error loading tax sections:', err));
+  }, [user?.id]);
+
+  // Pick a destination the user doesn't have to think about for the common two-account case
+  useEffect(() => {
+    if (isTransfer && (!toAccountId || toAccountId === accountId)) {
+      const otherAccount = accounts.find(account => account.id !== accountId);
+      setToAccountId(otherAccount ? otherAccount.id : '');
+    }
+  }, [isTransfer, accountId, accounts]);
 
   const validateForm = () => {
     setError('');
@@ -46,6 +103,21 @@ const TransactionFormScreen = () => {
       setError('Please enter a valid amount');
       return false;
     }
+    if (isTransfer) {
+      if (!toAccountId || toAccountId === accountId) {
+        setError('Please select a different account to transfer to');
+        return false;
+      }
+      return true;
+    }
+    if (isSplit) {
+      const splitsError = validateSplits(splits, amount);
+      if (splitsError) {
+        setError(splitsError);
+        return false;
+      }
+      return true;
+    }
     if (!category) {
       setError('Please select a category');
       return false;
@@ -53,20 +125,53 @@ const TransactionFormScreen = () => {
     return true;
   };
 
-  const handleSubmit = async () => {
+  const handleSubmit = async (allowDuplicate = false) => {
     if (!validateForm()) {
       return;
     }
     
     // Prepare data
-    const transactionData = {
+    let transactionData = {
       amount: parseFloat(amount),
-      category,
+      category: isTransfer ? TRANSFER_TYPE : category,
       date: date,
       note,
       type,
+      accountId,
+      tags,
       description: note, // Use note as description for simplicity
     };
+
+    if (isSplit) {
+      transactionData = toSplitTransaction(transactionData, splits);
+    } else if (editTransaction?.splits) {
+      transactionData.splits = null;
+    }
+
+    // Transfers are never tax-relevant
+    if (!isTransfer && taxRelevant) {
+      transactionData.taxRelevant = true;
+      transactionData.taxSection = taxSection;
+    } else if (editTransaction?.taxRelevant) {
+      transactionData.taxRelevant = false;
+      transactionData.taxSection = null;
+    }
+
+    // Only transfers have a destination account
+    if (isTransfer) {
+      transactionData.toAccountId = toAccountId;
+    } else if (editTransaction?.toAccountId) {
+      transactionData.toAccountId = null;
+    }
+
+    // Ask before adding something that looks like a transaction already entered
+    if (!isEditing && !allowDuplicate) {
+      const [duplicate] = findDuplicates(transactionData, transactions);
+      if (duplicate) {
+        setDuplicateCheck({ transaction: transactionData, existing: duplicate.transaction });
+        return;
+      }
+    }
     
     setLoading(true);
     try {
@@ -102,6 +207,11 @@ const TransactionFormScreen = () => {
       }
 
       if (success) {
+        // Learn from the category picked for this note, unless an edit left it alone
+        if (!isTransfer && !isSplit && (!isEditing || editTransaction.category !== category)) {
+          recordCategoryChoice({ description: note, categoryId: category, suggestedCategoryId: suggestedCategory });
+        }
+
         // Check if we need to send budget threshold notification for expense transactions
         if (type === 'expense' && user) {
           // Schedule budget threshold notification in background
@@ -214,6 +324,31 @@ const TransactionFormScreen = () => {
                 Income
               </Text>
             </TouchableOpacity>
+
+            {accounts.length > 1 && (
+              <TouchableOpacity
+                style={[
+                  styles.typeButton,
+                  isTransfer && styles.activeTypeButton,
+                  isTransfer && { backgroundColor: theme.colors.primary, borderColor: theme.colors.primary },
+                ]}
+                onPress={() => setType(TRANSFER_TYPE)}
+              >
+                <Ionicons
+                  name="swap-horizontal"
+                  size={20}
+                  color={isTransfer ? theme.colors.text.white : theme.colors.primary}
+                />
+                <Text
+                  style={[
+                    styles.typeText,
+                    isTransfer && styles.activeTypeText,
+                  ]}
+                >
+                  Transfer
+                </Text>
+              </TouchableOpacity>
+            )}
           </View>
 
           <View style={styles.formContainer}>
@@ -228,38 +363,80 @@ const TransactionFormScreen = () => {
               }
             />
 
-            <Text style={styles.sectionTitle}>Category</Text>
-            <View style={styles.categoryContainer}>
-              {categories.map((cat) => (
-                <TouchableOpacity
-                  key={cat.id}
-                  style={[
-                    styles.categoryItem,
-                    category === cat.id && styles.activeCategoryItem,
-                    category === cat.id && { borderColor: cat.color },
-                  ]}
-                  onPress={() => setCategory(cat.id)}
-                >
-                  <View
-                    style={[
-                      styles.categoryIcon,
-                      { backgroundColor: cat.color },
-                    ]}
-                  >
-                    <Ionicons name={cat.icon} size={20} color="white" />
-                  </View>
-                  <Text
-                    style={[
-                      styles.categoryText,
-                      category === cat.id && { color: cat.color },
-                    ]}
-                  >
-                    {cat.name}
-                  </Text>
-                </TouchableOpacity>
-              ))}
+            <Text style={styles.sectionTitle}>{isTransfer ? 'From Account' : 'Account'}</Text>
+            <View style={styles.accountContainer}>
+              <AccountSelector selectedAccount={accountId} onSelect={setAccountId} />
             </View>
 
+            {isTransfer ? (
+              <>
+                <Text style={styles.sectionTitle}>To Account</Text>
+                <View style={styles.accountContainer}>
+                  <AccountSelector
+                    selectedAccount={toAccountId}
+                    onSelect={setToAccountId}
+                    excludeAccountId={accountId}
+                  />
+                </View>
+              </>
+            ) : (
+              <>
+                <View style={styles.sectionHeader}>
+                  <Text style={styles.sectionTitle}>Category</Text>
+                  <TouchableOpacity style={styles.splitToggle} onPress={toggleSplit}>
+                    <Ionicons
+                      name={isSplit ? 'close-circle-outline' : 'git-branch-outline'}
+                      size={16}
+                      color={theme.colors.primary}
+                    />
+                    <Text style={styles.splitToggleText}>{isSplit ? 'Single Category' : 'Split'}</Text>
+                  </TouchableOpacity>
+                </View>
+                {isSplit ? (
+                  <View style={styles.splitContainer}>
+                    <SplitEditor
+                      splits={splits}
+                      onChange={setSplits}
+                      totalAmount={amount}
+                      type={type}
+                      currency={currency}
+                    />
+                  </View>
+                ) : (
+                  <View style={styles.categoryContainer}>
+                    {categories.map((cat) => (
+                      <TouchableOpacity
+                        key={cat.id}
+                        style={[
+                          styles.categoryItem,
+                          category === cat.id && styles.activeCategoryItem,
+                          category === cat.id && { borderColor: cat.color },
+                        ]}
+                        onPress={() => setCategory(cat.id)}
+                      >
+                        <View
+                          style={[
+                            styles.categoryIcon,
+                            { backgroundColor: cat.color },
+                          ]}
+                        >
+                          <Ionicons name={cat.icon} size={20} color="white" />
+                        </View>
+                        <Text
+                          style={[
+                            styles.categoryText,
+                            category === cat.id && { color: cat.color },
+                          ]}
+                        >
+                          {cat.name}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+              </>
+            )}
+
             <Input
               label="Note (Optional)"
               value={note}
@@ -272,11 +449,52 @@ const TransactionFormScreen = () => {
               }
             />
 
+            {!isTransfer && !isSplit && (
+              <CategorySuggestions
+                description={note}
+                type={type}
+                selectedCategory={category}
+                onSelect={setCategory}
+                onSuggest={setSuggestedCategory}
+              />
+            )}
+
+            <Text style={styles.sectionTitle}>Tags (Optional)</Text>
+            <View style={styles.tagContainer}>
+              <TagInput tags={tags} onChange={setTags} />
+            </View>
+
+            {!isTransfer && (
+              <>
+                <View style={styles.sectionHeader}>
+                  <Text style={styles.sectionTitle}>Tax-relevant</Text>
+                  <Switch value={taxRelevant} onValueChange={setTaxRelevant} />
+                </View>
+                {taxRelevant && (
+                  <View style={styles.taxSectionContainer}>
+                    {taxSections.map(section => (
+                      <TouchableOpacity
+                        key={section.id}
+                        style={[styles.taxSectionChip, taxSection === section.id && styles.activeTaxSectionChip]}
+                        onPress={() => setTaxSection(taxSection === section.id ? null : section.id)}
+                      >
+                        <Text
+                          style={[styles.taxSectionText, taxSection === section.id && styles.activeTaxSectionText]}
+                        >
+                          {section.name}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+              </>
+            )}
+
             {error ? <Text style={styles.errorText}>{error}</Text> : null}
 
             <Button
               title={isEditing ? 'Update Transaction' : 'Add Transaction'}
-              onPress={handleSubmit}
+              onPress={() => handleSubmit()}
               loading={loading}
               fullWidth
               style={styles.submitButton}
@@ -284,6 +502,25 @@ const TransactionFormScreen = () => {
           </View>
         </ScrollView>
       </KeyboardAvoidingView>
+
+      <ConfirmationModal
+        visible={!!duplicateCheck}
+        onClose={() => setDuplicateCheck(null)}
+        title="Possible Duplicate"
+        message="A transaction with the same amount was already added around this date."
+        cancelText="Cancel"
+        confirmText="Add Anyway"
+        onConfirm={() => {
+          setDuplicateCheck(null);
+          handleSubmit(true);
+        }}
+        customContent={duplicateCheck && (
+          <DuplicateComparison
+            first={duplicateCheck.existing}
+            second={duplicateCheck.transaction}
+          />
+        )}
+      />
     </SafeAreaView>
   );
 };
@@ -355,6 +592,57 @@ const styles = StyleSheet.create({
     color: theme.colors.text.primary,
     marginBottom: theme.spacing.sm,
   },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  splitToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  splitToggleText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: '500',
+    color: theme.colors.primary,
+    marginLeft: theme.spacing.xs,
+  },
+  accountContainer: {
+    marginBottom: theme.spacing.lg,
+  },
+  splitContainer: {
+    marginBottom: theme.spacing.lg,
+  },
+  tagContainer: {
+    marginBottom: theme.spacing.lg,
+  },
+  taxSectionContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: theme.spacing.lg,
+  },
+  taxSectionChip: {
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+    marginRight: theme.spacing.xs,
+    marginBottom: theme.spacing.xs,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: theme.borderRadius.full,
+    backgroundColor: theme.colors.background.card,
+  },
+  activeTaxSectionChip: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  taxSectionText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.text.secondary,
+  },
+  activeTaxSectionText: {
+    color: theme.colors.text.white,
+  },
   categoryContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -12,6 +12,7 @@ import {
   StatusBar,
   Dimensions,
   ScrollView,
+  ActivityIndicator,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useTransactions } from '../context/TransactionContext';
@@ -19,22 +20,32 @@ import TransactionItem from '../components/TransactionItem';
 import theme from '../theme';
 import { LinearGradient } from 'expo-linear-gradient';
 import AnimatedScreenWrapper from '../components/AnimatedScreenWrapper';
+import { getAllTags, formatTag } from '../utils/tagUtils';
 
 const { width } = Dimensions.get('window');
 
 const TransactionsScreen = ({ navigation }) => {
-  const { getFilteredTransactions } = useTransactions();
+  const {
+    transactions: allTransactions,
+    getFilteredTransactions,
+    loadMoreTransactions,
+    hasMoreTransactions,
+    loadingMore,
+  } = useTransactions();
   const [transactions, setTransactions] = useState([]);
   const [refreshing, setRefreshing] = useState(false);
   const [searchText, setSearchText] = useState('');
   const [activeFilter, setActiveFilter] = useState('all');
+  const [activeTag, setActiveTag] = useState(null);
   const [filteredTransactions, setFilteredTransactions] = useState([]);
 
+  const tags = getAllTags(allTransactions);
+
   const loadTransactions = useCallback(() => {
-    const allTransactions = getFilteredTransactions({});
-    setTransactions(allTransactions);
-    applyFilters(allTransactions, activeFilter, searchText);
-  }, [getFilteredTransactions, activeFilter, searchText]);
+    const taggedTransactions = getFilteredTransactions({ tag: activeTag });
+    setTransactions(taggedTransactions);
+    applyFilters(taggedTransactions, activeFilter, searchText);
+  }, [getFilteredTransactions, activeTag, activeFilter, searchText]);
 
   useEffect(() => {
     loadTransactions();
@@ -57,7 +68,8 @@ const TransactionsScreen = ({ navigation }) => {
         tx =>
           tx.note?.toLowerCase().includes(searchLower) ||
           tx.description?.toLowerCase().includes(searchLower) ||
-          tx.category.toLowerCase().includes(searchLower)
+          tx.category.toLowerCase().includes(searchLower) ||
+          tx.tags?.some(tag => formatTag(tag).includes(searchLower))
       );
     }
     
@@ -74,6 +86,13 @@ const TransactionsScreen = ({ navigation }) => {
     setRefreshing(false);
   };
 
+  // Fetch the next page of older transactions when the list is scrolled to the end
+  const handleEndReached = () => {
+    if (hasMoreTransactions && !loadingMore) {
+      loadMoreTransactions();
+    }
+  };
+
   const handleSearch = (text) => {
     setSearchText(text);
   };
@@ -86,6 +105,11 @@ const TransactionsScreen = ({ navigation }) => {
     setActiveFilter(filter);
   };
 
+  // Tapping the active tag again clears the tag filter
+  const handleTagPress = (tag) => {
+    setActiveTag(activeTag === tag ? null : tag);
+  };
+
   const handleTransactionPress = (transaction) => {
     navigation.navigate('TransactionDetail', { id: transaction.id, transaction });
   };
@@ -129,6 +153,40 @@ const TransactionsScreen = ({ navigation }) => {
     );
   };
 
+  const renderTagFilters = () => {
+    if (tags.length === 0) return null;
+
+    return (
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.tagFilterScroll}
+        contentContainerStyle={styles.tagFilterContainer}
+      >
+        {tags.map((tag) => (
+          <TouchableOpacity
+            key={tag}
+            style={[
+              styles.tagFilter,
+              activeTag === tag && styles.activeTagFilter,
+            ]}
+            onPress={() => handleTagPress(tag)}
+            activeOpacity={0.7}
+          >
+            <Text
+              style={[
+                styles.tagFilterText,
+                activeTag === tag && styles.activeTagFilterText,
+              ]}
+            >
+              {formatTag(tag)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    );
+  };
+
   const renderEmptyList = () => (
     <View style={styles.emptyContainer}>
       <View style={styles.emptyIconContainer}>
@@ -136,13 +194,23 @@ const TransactionsScreen = ({ navigation }) => {
       </View>
       <Text style={styles.emptyTitle}>No Transactions Found</Text>
       <Text style={styles.emptySubtitle}>
-        {searchText
+        {searchText || activeTag
           ? 'Try adjusting your search or filters'
           : 'Start adding transactions to see them here'}
       </Text>
     </View>
   );
 
+  const renderListFooter = () => {
+    if (!loadingMore) return null;
+
+    return (
+      <View style={styles.listFooter}>
+        <ActivityIndicator size="small" color={theme.colors.primary} />
+      </View>
+    );
+  };
+
   return (
     <AnimatedScreenWrapper>
       <SafeAreaView style={styles.container}>
@@ -199,6 +267,7 @@ const TransactionsScreen = ({ navigation }) => {
         
         <View style={styles.contentContainer}>
           {renderFilterTabs()}
+          {renderTagFilters()}
 
           <FlatList
             data={filteredTransactions}
@@ -210,6 +279,7 @@ const TransactionsScreen = ({ navigation }) => {
               />
             )}
             ListEmptyComponent={renderEmptyList}
+            ListFooterComponent={renderListFooter}
             contentContainerStyle={
               filteredTransactions.length === 0 
                 ? styles.emptyListContainer 
@@ -226,6 +296,7 @@ const TransactionsScreen = ({ navigation }) => {
             showsVerticalScrollIndicator={false}
             bounces={true}
             alwaysBounceVertical={true}
+            onEndReached={handleEndReached}
             onEndReachedThreshold={0.1}
             initialNumToRender={12}
             maxToRenderPerBatch={12}
@@ -351,10 +422,41 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: 'bold',
   },
+  tagFilterScroll: {
+    flexGrow: 0,
+  },
+  tagFilterContainer: {
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+    gap: 8,
+  },
+  tagFilter: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  activeTagFilter: {
+    backgroundColor: theme.colors.primary + '20',
+    borderColor: theme.colors.primary,
+  },
+  tagFilterText: {
+    fontSize: 13,
+    color: theme.colors.text.secondary,
+  },
+  activeTagFilterText: {
+    color: theme.colors.primary,
+    fontWeight: '600',
+  },
   listContainer: {
     paddingHorizontal: 16,
     paddingBottom: 100,
   },
+  listFooter: {
+    paddingVertical: 16,
+    alignItems: 'center',
+  },
   emptyListContainer: {
     flex: 1,
     justifyContent: 'center',
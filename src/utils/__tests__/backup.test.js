@@ -0,0 +1,212 @@
+import {
+  BACKUP_SCHEMA_VERSION,
+  RESTORE_MODES,
+  parseBackup,
+  planRestore,
+  serializeBackup,
+} from '../backup';
+
+jest.mock('expo-crypto', () => ({
+  CryptoDigestAlgorithm: { SHA256: 'SHA-256' },
+  digestStringAsync: async (algorithm, text) => (
+    require('crypto').createHash('sha256').update(text).digest('hex')
+  ),
+}));
+
+jest.mock('firebase/firestore', () => {
+  class Timestamp {
+    constructor(date) {
+      this.date = date;
+    }
+
+    static fromDate(date) {
+      return new Timestamp(date);
+    }
+
+    static now() {
+      return new Timestamp(new Date());
+    }
+
+    toDate() {
+      return this.date;
+    }
+  }
+
+  let mockNextId = 0;
+
+  return {
+    Timestamp,
+    collection: (db, ...segments) => ({ path: segments.join('/') }),
+    doc: (parent, ...segments) => ({ id: segments.length ? segments.join('/') : `new_${++mockNextId}` }),
+  };
+});
+
+jest.mock('../firebase', () => ({ db: { path: '' }, auth: {} }));
+
+const USER_ID = 'user-1';
+
+const emptyAccount = () => ({
+  profile: {},
+  transactions: [],
+  accounts: [],
+  categories: [],
+  rules: [],
+  bills: [],
+  recurringTransactions: [],
+  goals: [],
+});
+
+const transaction = (id, fields = {}) => ({
+  id,
+  firestoreId: `doc_${id}`,
+  type: 'expense',
+  amount: 10,
+  date: '2025-01-15T00:00:00.000Z',
+  category: 'food',
+  ...fields,
+});
+
+// Sorted-key JSON, as backup.js checksums it
+const stableText = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableText).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableText(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// Write a backup file the way createBackup does, with a matching checksum
+const buildBackupText = async (data) => {
+  const { digestStringAsync, CryptoDigestAlgorithm } = require('expo-crypto');
+
+  return serializeBackup({
+    app: 'expense-tracker',
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    createdAt: '2025-01-20T00:00:00.000Z',
+    userId: USER_ID,
+    checksum: await digestStringAsync(CryptoDigestAlgorithm.SHA256, stableText(data)),
+    data,
+  });
+};
+
+describe('parseBackup', () => {
+  it('accepts an archive whose checksum matches', async () => {
+    const text = await buildBackupText({ transactions: [transaction('a')] });
+
+    const { archive, schemaVersion, checksumVerified } = await parseBackup(text);
+    expect(schemaVersion).toBe(BACKUP_SCHEMA_VERSION);
+    expect(checksumVerified).toBe(true);
+    expect(archive.data.transactions).toHaveLength(1);
+  });
+
+  it('rejects an archive edited after it was written', async () => {
+    const archive = JSON.parse(await buildBackupText({ transactions: [transaction('a')] }));
+    archive.data.transactions[0].amount = 1000;
+
+    await expect(parseBackup(JSON.stringify(archive))).rejects.toThrow('checksum does not match');
+  });
+
+  it('upgrades a version 1 transaction export', async () => {
+    const { archive, schemaVersion, checksumVerified } = await parseBackup(JSON.stringify({
+      transactions: [transaction('a')],
+    }));
+
+    expect(schemaVersion).toBe(1);
+    expect(checksumVerified).toBe(false);
+    expect(archive.schemaVersion).toBe(BACKUP_SCHEMA_VERSION);
+    expect(Object.keys(archive.data)).toEqual(['transactions']);
+  });
+
+  it('rejects files from a newer version of the app', async () => {
+    await expect(parseBackup(JSON.stringify({ schemaVersion: BACKUP_SCHEMA_VERSION + 1, data: {} })))
+      .rejects.toThrow('newer version');
+  });
+
+  it('lists invalid items', async () => {
+    const text = JSON.stringify({
+      transactions: [
+        transaction('a', { date: 'not a date' }),
+        transaction('b', { amount: '12' }),
+        transaction('c', { type: 'loan' }),
+      ],
+    });
+
+    await expect(parseBackup(text)).rejects.toThrow(
+      'Transaction 1 has an invalid date\nTransaction 2 has an invalid amount\nTransaction 3 has an unknown type'
+    );
+  });
+});
+
+describe('planRestore', () => {
+  const archive = (data, userId = USER_ID) => ({ schemaVersion: BACKUP_SCHEMA_VERSION, userId, data });
+  const paths = writes => writes.map(write => `${write.remove ? '-' : '+'}${write.path.join('/')}`);
+
+  it('merges by adding only what the account is missing', () => {
+    const current = {
+      ...emptyAccount(),
+      profile: { currency: 'EUR' },
+      transactions: [transaction('kept', { amount: 99 })],
+      accounts: [{ id: 'cash', name: 'Cash' }],
+    };
+    const backup = archive({
+      profile: { currency: 'USD', displayName: 'Sam' },
+      transactions: [transaction('kept'), transaction('missing')],
+      accounts: [{ id: 'savings', name: 'Savings' }],
+    });
+
+    const writes = planRestore(USER_ID, backup, current, RESTORE_MODES.MERGE);
+
+    expect(paths(writes)).toEqual([
+      `+users/${USER_ID}/accounts/savings`,
+      '+transactions/doc_missing',
+      `+users/${USER_ID}`,
+    ]);
+    expect(writes[2].data).toMatchObject({ displayName: 'Sam' });
+    expect(writes[2].data.currency).toBeUndefined();
+  });
+
+  it('replaces by overwriting and deleting what the backup does not have', () => {
+    const current = {
+      ...emptyAccount(),
+      profile: { currency: 'EUR' },
+      transactions: [transaction('kept', { amount: 99 }), transaction('extra')],
+      accounts: [{ id: 'cash', name: 'Cash' }],
+    };
+    const backup = archive({
+      profile: { currency: 'USD' },
+      transactions: [transaction('kept')],
+      accounts: [{ id: 'savings', name: 'Savings' }],
+    });
+
+    const writes = planRestore(USER_ID, backup, current, RESTORE_MODES.REPLACE);
+
+    expect(paths(writes)).toEqual([
+      `+users/${USER_ID}/accounts/savings`,
+      `-users/${USER_ID}/accounts/cash`,
+      '+transactions/doc_kept',
+      '-transactions/doc_extra',
+      `+users/${USER_ID}`,
+    ]);
+    expect(writes[2].data).toMatchObject({ id: 'kept', amount: 10, userId: USER_ID });
+    expect(writes[4].data.currency).toBe('USD');
+  });
+
+  it('gives transactions new document IDs in a different account', () => {
+    const backup = archive({ transactions: [transaction('a'), transaction('b')] }, 'someone-else');
+
+    const writes = planRestore(USER_ID, backup, emptyAccount(), RESTORE_MODES.MERGE);
+
+    expect(writes).toHaveLength(2);
+    writes.forEach((write) => {
+      expect(write.path[1]).not.toMatch(/^doc_/);
+      expect(write.data.userId).toBe(USER_ID);
+    });
+    expect(writes.map(write => write.data.id)).toEqual(['a', 'b']);
+  });
+
+  it('leaves sections the backup does not have alone', () => {
+    const current = { ...emptyAccount(), accounts: [{ id: 'cash', name: 'Cash' }], transactions: [transaction('a')] };
+
+    expect(planRestore(USER_ID, archive({}), current, RESTORE_MODES.REPLACE)).toEqual([]);
+  });
+});
@@ -0,0 +1,83 @@
+import {
+  createEmptyModel,
+  tokenize,
+  getMerchantKey,
+  learnCategory,
+  forgetMerchant,
+  predictCategories,
+} from '../categoryLearning';
+
+const learn = (model, description, categoryId, suggestedCategoryId) => (
+  learnCategory(model, { description, categoryId, suggestedCategoryId })
+);
+
+describe('tokenize', () => {
+  it('drops numbers, punctuation and stop words', () => {
+    expect(tokenize('POS 4411 Chai Point, MG Road')).toEqual(['chai', 'point', 'mg', 'road']);
+  });
+
+  it('keeps words in other scripts and with accents', () => {
+    expect(tokenize('Café Crème')).toEqual(['café', 'crème']);
+    expect(tokenize('दूध वाला 12')).toEqual(['दूध', 'वाला']);
+    expect(tokenize('Москва Такси')).toEqual(['москва', 'такси']);
+  });
+
+  it('gives a merchant key from the first two words', () => {
+    expect(getMerchantKey('Swiggy order 1234 Bangalore')).toBe('swiggy order');
+    expect(getMerchantKey('1234 5678')).toBe('');
+  });
+});
+
+describe('learnCategory and predictCategories', () => {
+  it('suggests the category chosen before for a merchant', () => {
+    const model = learn(createEmptyModel(), 'Chai Point Koramangala', 'food');
+    const [prediction] = predictCategories(model, 'Chai Point Indiranagar');
+
+    expect(prediction).toMatchObject({ categoryId: 'food', source: 'merchant' });
+  });
+
+  it('counts corrections double and records them', () => {
+    const model = learn(createEmptyModel(), 'Uber Trip', 'travel', 'transport');
+
+    expect(model.merchants['uber trip']).toEqual({ travel: 2 });
+    expect(model.corrections).toHaveLength(1);
+  });
+
+  it('falls back to learned words for a merchant it has not seen', () => {
+    let model = learn(createEmptyModel(), 'Apollo Pharmacy', 'health');
+    model = learn(model, 'Swiggy Order', 'food');
+    const [prediction] = predictCategories(model, 'MedPlus Pharmacy');
+
+    expect(prediction).toMatchObject({ categoryId: 'health', source: 'learned' });
+  });
+
+  it('forgets a merchant and its corrections', () => {
+    const model = forgetMerchant(learn(createEmptyModel(), 'Uber Trip', 'travel', 'transport'), 'uber trip');
+
+    expect(model.merchants['uber trip']).toBeUndefined();
+    expect(model.corrections).toEqual([]);
+  });
+
+  it('counts words that are also names on plain objects', () => {
+    let model = learn(createEmptyModel(), 'Constructor Supplies', 'shopping');
+    model = learn(model, 'Constructor Supplies', 'shopping');
+    model = learn(model, 'toString valueOf', 'other');
+
+    expect(model.merchants['constructor supplies']).toEqual({ shopping: 2 });
+    expect(model.tokens.shopping.constructor).toBe(2);
+    expect(model.categoryTotals.shopping).toBe(2);
+
+    const predictions = predictCategories(model, 'Constructor Hardware');
+    expect(predictions.length).toBeGreaterThan(0);
+    predictions.forEach(prediction => {
+      expect(Number.isFinite(prediction.confidence)).toBe(true);
+    });
+    expect(predictions[0].categoryId).toBe('shopping');
+  });
+
+  it('predicts nothing for an inherited name it has not learned', () => {
+    const model = learn(createEmptyModel(), 'Chai Point', 'food');
+
+    expect(predictCategories(model, 'constructor')).toEqual([]);
+  });
+});
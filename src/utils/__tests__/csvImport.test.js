@@ -0,0 +1,137 @@
+import {
+  DECIMAL_STYLES,
+  parseCSV,
+  detectDelimiter,
+  detectDateFormat,
+  detectDecimalStyle,
+  parseAmount,
+  detectHeader,
+  guessColumnMapping,
+  analyzeCSV,
+  mapRows,
+} from '../csvImport';
+
+describe('parseCSV', () => {
+  it('keeps delimiters, quotes and line breaks inside quoted fields', () => {
+    const text = '﻿Date,Description,Amount\r\n01/03/2024,"Rent, March","-1,200.00"\n02/03/2024,"Said ""hi""\nagain",5\n\n';
+
+    expect(parseCSV(text)).toEqual([
+      ['Date', 'Description', 'Amount'],
+      ['01/03/2024', 'Rent, March', '-1,200.00'],
+      ['02/03/2024', 'Said "hi"\nagain', '5'],
+    ]);
+  });
+});
+
+describe('detectDelimiter', () => {
+  it('finds the delimiter that splits every line the same way', () => {
+    expect(detectDelimiter('Date;Description;Amount\n01.03.2024;Rent;-1.200,00\n')).toBe(';');
+    expect(detectDelimiter('Date\tDescription\tAmount\n2024-03-01\tRent\t-1200\n')).toBe('\t');
+  });
+
+  it('ignores delimiters inside quoted fields', () => {
+    const text = 'Date;Description;Amount\n01.03.2024;"Rent, flat 4, March";-1200,00\n02.03.2024;"Salary, March";3000,00\n';
+
+    expect(detectDelimiter(text)).toBe(';');
+  });
+});
+
+describe('detectDateFormat', () => {
+  it('reads day-first dates once a day is above 12', () => {
+    expect(detectDateFormat(['01/03/2024', '15/03/2024', '28/03/2024'])).toBe('dd/MM/yyyy');
+  });
+
+  it('reads month-first dates once a day is above 12', () => {
+    expect(detectDateFormat(['03/01/2024', '03/15/2024', '03/28/2024'])).toBe('MM/dd/yyyy');
+  });
+
+  it('prefers day-first when every date could be either', () => {
+    expect(detectDateFormat(['01/03/2024', '02/03/2024'])).toBe('dd/MM/yyyy');
+  });
+
+  it('reads month names and ISO dates, and gives up on text', () => {
+    expect(detectDateFormat(['05 Mar 2024', '12 Mar 2024'])).toBe('dd MMM yyyy');
+    expect(detectDateFormat(['2024-03-05 10:30'])).toBe('yyyy-MM-dd');
+    expect(detectDateFormat(['Rent', 'Salary'])).toBeNull();
+  });
+});
+
+describe('detectDecimalStyle and parseAmount', () => {
+  it('detects decimal commas', () => {
+    expect(detectDecimalStyle(['-1.200,00', '3.000,50', '12,5'])).toBe(DECIMAL_STYLES.COMMA);
+    expect(detectDecimalStyle(['-1,200.00', '3,000.50'])).toBe(DECIMAL_STYLES.DOT);
+  });
+
+  it.each([
+    ['1,234.56', DECIMAL_STYLES.DOT, 1234.56],
+    ['1.234,56', DECIMAL_STYLES.COMMA, 1234.56],
+    ['-45,5', DECIMAL_STYLES.COMMA, -45.5],
+    ['(45.00)', DECIMAL_STYLES.DOT, -45],
+    ['45.00-', DECIMAL_STYLES.DOT, -45],
+    ['45.00 Dr', DECIMAL_STYLES.DOT, -45],
+    ['₹ 1,200', DECIMAL_STYLES.DOT, 1200],
+  ])('parses %s', (text, style, expected) => {
+    expect(parseAmount(text, style)).toBe(expected);
+  });
+
+  it('returns NaN for text that is not an amount', () => {
+    expect(parseAmount('', DECIMAL_STYLES.DOT)).toBeNaN();
+    expect(parseAmount('n/a', DECIMAL_STYLES.DOT)).toBeNaN();
+    expect(parseAmount('1.2.3', DECIMAL_STYLES.DOT)).toBeNaN();
+  });
+});
+
+describe('detectHeader and guessColumnMapping', () => {
+  it('recognises a header row and maps bank column names', () => {
+    const rows = [['Txn Date', 'Narration', 'Withdrawal Amt', 'Deposit Amt'], ['01/03/2024', 'Rent', '1200', '']];
+
+    expect(detectHeader(rows)).toBe(true);
+    expect(detectHeader(rows.slice(1).concat(rows.slice(1)))).toBe(false);
+    expect(guessColumnMapping(rows[0])).toMatchObject({ date: 0, description: 1, debit: 2, credit: 3, amount: null });
+  });
+});
+
+describe('analyzeCSV and mapRows', () => {
+  it('imports a semicolon file with decimal commas and day-first dates', () => {
+    const analysis = analyzeCSV('Datum;Beschreibung;Betrag\n15.03.2024;Miete;-1.200,00\n16.03.2024;Gehalt;3.000,50\n');
+
+    expect(analysis).toMatchObject({
+      delimiter: ';',
+      hasHeader: true,
+      dateFormat: 'dd.MM.yyyy',
+      decimalStyle: DECIMAL_STYLES.COMMA,
+    });
+    // The header names are not known, so the columns are guessed from their values
+    expect(analysis.mapping).toMatchObject({ date: 0, description: 1, amount: 2 });
+  });
+
+  it('maps rows to transactions and reports bad rows', () => {
+    const mapping = { date: 0, description: 1, amount: 2, debit: null, credit: null, category: null };
+    const entries = mapRows([
+      ['15/03/2024', 'Rent', '-1,200.00'],
+      ['16/03/2024', 'Salary', '3,000.50'],
+      ['31/02/2024', 'Typo', 'abc'],
+    ], mapping, { dateFormat: 'dd/MM/yyyy', decimalStyle: DECIMAL_STYLES.DOT, firstRowNumber: 2 });
+
+    expect(entries[0]).toMatchObject({ rowNumber: 2, errors: [] });
+    expect(entries[0].transaction).toMatchObject({ description: 'Rent', amount: 1200, type: 'expense' });
+    expect(new Date(entries[0].transaction.date)).toEqual(new Date(2024, 2, 15));
+    expect(entries[1].transaction).toMatchObject({ amount: 3000.5, type: 'income' });
+    expect(entries[2].errors).toEqual(['Invalid date "31/02/2024"', 'Missing or invalid amount']);
+  });
+
+  it('reads debit and credit columns and can invert signed amounts', () => {
+    const [debit, credit] = mapRows([
+      ['2024-03-15', 'Rent', '1200', ''],
+      ['2024-03-16', 'Refund', '', '50'],
+    ], { date: 0, description: 1, amount: null, debit: 2, credit: 3, category: null }, { dateFormat: 'yyyy-MM-dd' });
+    const [inverted] = mapRows([['2024-03-15', 'Card spend', '80']], { date: 0, description: 1, amount: 2 }, {
+      dateFormat: 'yyyy-MM-dd',
+      invertAmounts: true,
+    });
+
+    expect(debit.transaction).toMatchObject({ amount: 1200, type: 'expense' });
+    expect(credit.transaction).toMatchObject({ amount: 50, type: 'income' });
+    expect(inverted.transaction).toMatchObject({ amount: 80, type: 'expense' });
+  });
+});
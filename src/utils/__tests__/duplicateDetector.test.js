@@ -0,0 +1,102 @@
+import {
+  normalizeDescription,
+  descriptionSimilarity,
+  scoreDuplicate,
+  findDuplicates,
+  findDuplicatePairs,
+  getMergeChanges,
+} from '../duplicateDetector';
+
+const transaction = (id, overrides = {}) => ({
+  id,
+  type: 'expense',
+  amount: 120,
+  description: 'Metro card top up',
+  date: '2024-03-04T09:00:00.000Z',
+  ...overrides,
+});
+
+describe('normalizeDescription', () => {
+  it('keeps words in any script', () => {
+    expect(normalizeDescription('किराना, दूध!')).toBe('किराना दूध');
+    expect(normalizeDescription('Café CRÈME #4471')).toBe('café crème');
+  });
+
+  it('tells apart descriptions written in other scripts', () => {
+    expect(descriptionSimilarity('किराना', 'दूध')).toBe(0);
+    expect(descriptionSimilarity('किराना', 'किराना!')).toBe(1);
+  });
+});
+
+describe('scoreDuplicate', () => {
+  it('scores the same payment entered twice', () => {
+    const result = scoreDuplicate(
+      transaction('a'),
+      transaction('b', { date: '2024-03-05T09:00:00.000Z', description: 'POS 4471 METRO CARD TOP UP' })
+    );
+
+    expect(result.daysApart).toBe(1);
+    expect(result.score).toBeGreaterThanOrEqual(0.75);
+  });
+
+  it('rules out different amounts, types and accounts', () => {
+    expect(scoreDuplicate(transaction('a'), transaction('b', { amount: 121 }))).toBeNull();
+    expect(scoreDuplicate(transaction('a'), transaction('b', { type: 'income' }))).toBeNull();
+    expect(scoreDuplicate(
+      transaction('a', { accountId: 'cash' }),
+      transaction('b', { accountId: 'bank' })
+    )).toBeNull();
+  });
+});
+
+describe('findDuplicatePairs', () => {
+  it('pairs copies of a payment, oldest first, and skips dismissed pairs', () => {
+    const original = transaction('a', { createdAt: '2024-03-04T09:00:00.000Z' });
+    const copy = transaction('b', { createdAt: '2024-03-04T09:01:00.000Z' });
+    const other = transaction('c', { amount: 300 });
+
+    const [pair] = findDuplicatePairs([copy, other, original]);
+    expect(pair).toMatchObject({ key: 'a|b', first: original, second: copy });
+    expect(findDuplicatePairs([copy, original], { dismissedKeys: ['a|b'] })).toEqual([]);
+  });
+});
+
+describe('getMergeChanges', () => {
+  it('combines tags and fills in what the kept transaction is missing', () => {
+    const keep = transaction('a', { tags: ['travel'], category: 'other', note: '' });
+    const remove = transaction('b', { tags: ['work', 'travel'], category: 'transport', note: 'Airport' });
+
+    expect(getMergeChanges(keep, remove)).toEqual({
+      tags: ['travel', 'work'],
+      category: 'transport',
+      note: 'Airport',
+    });
+  });
+});
+
+describe('recurring series', () => {
+  const daily = [0, 1, 2, 3].map(index => transaction(`rec_1_${index}`, {
+    recurringId: 'rec_1',
+    instanceIndex: index,
+    date: `2024-03-0${index + 4}T09:00:00.000Z`,
+  }));
+
+  it('never pairs two occurrences of the same series', () => {
+    expect(scoreDuplicate(daily[0], daily[1])).toBeNull();
+    expect(findDuplicates(daily[1], daily)).toEqual([]);
+    expect(findDuplicatePairs(daily)).toEqual([]);
+  });
+
+  it('still pairs an occurrence with a copy entered by hand', () => {
+    const copy = transaction('manual', { date: daily[1].date });
+
+    expect(findDuplicates(copy, daily).map(match => match.transaction.id)[0]).toBe('rec_1_1');
+    expect(findDuplicatePairs([...daily, copy]).map(pair => pair.key)).toContain('manual|rec_1_1');
+  });
+
+  it('still pairs the same occurrence saved twice', () => {
+    const pairs = findDuplicatePairs([daily[0], { ...daily[0], id: 'copy' }]);
+
+    expect(pairs).toHaveLength(1);
+  });
+});
@@ -0,0 +1,145 @@
+import {
+  DATE_RANGES,
+  getDateRangeBounds,
+  applyExportFilter,
+  getExportRows,
+  getExportColumns,
+  DEFAULT_EXPORT_COLUMNS,
+} from '../exportFilters';
+import { TRANSFER_TYPE } from '../../constants/accounts';
+import { buildCategoryTaxonomy, setCategoryTaxonomy } from '../../constants/categories';
+
+describe('getDateRangeBounds', () => {
+  const now = new Date(2025, 1, 10);
+
+  it('works out last month from the current date', () => {
+    expect(getDateRangeBounds({ dateRange: DATE_RANGES.LAST_MONTH }, now)).toEqual({
+      startDate: new Date(2025, 0, 1),
+      endDate: new Date(2025, 0, 31, 23, 59, 59, 999),
+    });
+  });
+
+  it('covers whole days for a custom range', () => {
+    const filter = { dateRange: DATE_RANGES.CUSTOM, startDate: new Date(2025, 0, 5, 15).toISOString(), endDate: null };
+
+    expect(getDateRangeBounds(filter, now)).toEqual({ startDate: new Date(2025, 0, 5), endDate: null });
+  });
+
+  it('has no bounds for all time', () => {
+    expect(getDateRangeBounds({ dateRange: DATE_RANGES.ALL }, now)).toEqual({ startDate: null, endDate: null });
+  });
+});
+
+describe('applyExportFilter', () => {
+  const date = new Date(2025, 0, 15).toISOString();
+
+  beforeAll(() => {
+    setCategoryTaxonomy(buildCategoryTaxonomy([{ id: 'food_groceries', name: 'Groceries', parentId: 'food' }]));
+  });
+
+  afterAll(() => {
+    setCategoryTaxonomy(buildCategoryTaxonomy());
+  });
+
+  it('matches a category and its subcategories, newest first', () => {
+    const transactions = [
+      { id: 'old', type: 'expense', category: 'food', amount: 5, date: new Date(2025, 0, 1).toISOString() },
+      { id: 'sub', type: 'expense', category: 'food_groceries', amount: 5, date },
+      { id: 'other', type: 'expense', category: 'transport', amount: 5, date },
+    ];
+
+    expect(applyExportFilter(transactions, { categories: ['food'] }).map(t => t.id)).toEqual(['sub', 'old']);
+  });
+
+  it('matches a split transaction when any line matches', () => {
+    const transactions = [{
+      id: 'split',
+      type: 'expense',
+      amount: 30,
+      date,
+      splits: [{ category: 'transport', amount: 10 }, { category: 'food', amount: 20 }],
+    }];
+
+    expect(applyExportFilter(transactions, { categories: ['food'] })).toHaveLength(1);
+    expect(applyExportFilter(transactions, { categories: ['shopping'] })).toHaveLength(0);
+  });
+
+  it('matches a transfer on either of its accounts', () => {
+    const transactions = [{ id: 't', type: TRANSFER_TYPE, amount: 50, accountId: 'cash', toAccountId: 'savings', date }];
+
+    expect(applyExportFilter(transactions, { accounts: ['savings'] })).toHaveLength(1);
+    expect(applyExportFilter(transactions, { accounts: ['cash'] })).toHaveLength(1);
+    expect(applyExportFilter(transactions, { accounts: ['card'] })).toHaveLength(0);
+  });
+
+  it('filters by type and tag', () => {
+    const transactions = [
+      { id: 'a', type: 'expense', amount: 5, tags: ['work'], date },
+      { id: 'b', type: 'income', amount: 5, tags: ['work'], date },
+      { id: 'c', type: 'expense', amount: 5, tags: [], date },
+    ];
+
+    expect(applyExportFilter(transactions, { types: ['expense'], tags: ['work'] }).map(t => t.id)).toEqual(['a']);
+  });
+});
+
+describe('getExportRows', () => {
+  it('writes one row per split line with positive amounts', () => {
+    const rows = getExportRows([{
+      id: 'split',
+      type: 'expense',
+      description: 'Market',
+      amount: -30,
+      date: '2025-01-15T00:00:00.000Z',
+      splits: [{ category: 'food', amount: -20, note: 'Veg' }, { category: 'transport', amount: -10 }],
+    }]);
+
+    expect(rows.map(row => [row.amount, row.notes])).toEqual([[20, 'Veg'], [10, '']]);
+  });
+
+  it('names both accounts of a transfer', () => {
+    const accounts = [{ id: 'cash', name: 'Cash' }, { id: 'savings', name: 'Savings' }];
+    const [row] = getExportRows(
+      [{ id: 't', type: TRANSFER_TYPE, amount: 50, accountId: 'cash', toAccountId: 'savings', date: '2025-01-15' }],
+      accounts
+    );
+
+    expect(row.account).toBe('Cash → Savings');
+    expect(row.category).toBe('');
+  });
+});
+
+describe('getExportColumns', () => {
+  it('keeps export order and falls back to the defaults', () => {
+    expect(getExportColumns(['amount', 'date']).map(column => column.id)).toEqual(['date', 'amount']);
+    expect(getExportColumns([]).map(column => column.id)).toEqual(DEFAULT_EXPORT_COLUMNS);
+  });
+});
+
+describe('financial year ranges', () => {
+  const now = new Date(2025, 1, 10);
+
+  it('follows the financial year start month', () => {
+    expect(getDateRangeBounds({ dateRange: DATE_RANGES.THIS_FISCAL_YEAR }, now, 4)).toEqual({
+      startDate: new Date(2024, 3, 1),
+      endDate: new Date(2025, 2, 31, 23, 59, 59, 999),
+    });
+    expect(getDateRangeBounds({ dateRange: DATE_RANGES.LAST_FISCAL_YEAR }, now, 4)).toEqual({
+      startDate: new Date(2023, 3, 1),
+      endDate: new Date(2024, 2, 31, 23, 59, 59, 999),
+    });
+    expect(getDateRangeBounds({ dateRange: DATE_RANGES.LAST_FISCAL_YEAR }, now, 1).startDate)
+      .toEqual(new Date(2024, 0, 1));
+  });
+
+  it('filters a last financial year reimbursements preset', () => {
+    const transactions = [
+      { id: 'in', type: 'expense', amount: 10, tags: ['reimbursable'], date: new Date(2024, 2, 31, 12).toISOString() },
+      { id: 'before', type: 'expense', amount: 10, tags: ['reimbursable'], date: new Date(2023, 2, 31, 12).toISOString() },
+      { id: 'untagged', type: 'expense', amount: 10, tags: [], date: new Date(2023, 5, 1).toISOString() },
+    ];
+    const filter = { dateRange: DATE_RANGES.LAST_FISCAL_YEAR, tags: ['reimbursable'] };
+
+    expect(applyExportFilter(transactions, filter, now, 4).map(t => t.id)).toEqual(['in']);
+  });
+});
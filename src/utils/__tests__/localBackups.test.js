@@ -0,0 +1,138 @@
+import * as FileSystem from 'expo-file-system';
+import * as SecureStore from 'expo-secure-store';
+import {
+  BACKUP_FREQUENCIES,
+  writeLocalBackup,
+  readLocalBackup,
+  listLocalBackups,
+  pruneLocalBackups,
+  isBackupDue,
+} from '../localBackups';
+
+// Files kept in memory by URI
+jest.mock('expo-file-system', () => {
+  const mockFiles = new Map();
+
+  return {
+    __files: mockFiles,
+    documentDirectory: 'file:///documents/',
+    cacheDirectory: 'file:///cache/',
+    getInfoAsync: async (uri) => {
+      if (mockFiles.has(uri)) return { exists: true, size: mockFiles.get(uri).length };
+      return { exists: [...mockFiles.keys()].some(path => path.startsWith(uri)) };
+    },
+    readDirectoryAsync: async directory => [...mockFiles.keys()]
+      .filter(path => path.startsWith(directory))
+      .map(path => path.slice(directory.length)),
+    makeDirectoryAsync: async () => {},
+    writeAsStringAsync: async (uri, contents) => {
+      mockFiles.set(uri, contents);
+    },
+    readAsStringAsync: async uri => mockFiles.get(uri),
+    deleteAsync: async (uri) => {
+      [...mockFiles.keys()].filter(path => path.startsWith(uri)).forEach(path => mockFiles.delete(path));
+    },
+  };
+});
+
+jest.mock('expo-secure-store', () => {
+  const mockItems = new Map();
+
+  return {
+    __items: mockItems,
+    getItemAsync: async key => mockItems.get(key) || null,
+    setItemAsync: async (key, value) => {
+      mockItems.set(key, value);
+    },
+    deleteItemAsync: async (key) => {
+      mockItems.delete(key);
+    },
+  };
+});
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: size => new Uint8Array(require('crypto').randomBytes(size)),
+}));
+
+jest.mock('../backup', () => {
+  let mockCount = 0;
+
+  return {
+    createBackup: async userId => ({
+      schemaVersion: 2,
+      // A second apart, so each backup gets its own file name
+      createdAt: new Date(2025, 0, 15, 9, 0, mockCount++).toISOString(),
+      userId,
+      data: { transactions: [{ id: 'a', amount: 12.5, description: 'Café' }] },
+    }),
+    serializeBackup: archive => JSON.stringify(archive),
+    parseBackup: async text => ({ archive: JSON.parse(text) }),
+  };
+});
+
+const USER_ID = 'user-1';
+
+beforeEach(() => {
+  FileSystem.__files.clear();
+  SecureStore.__items.clear();
+});
+
+describe('local backup encryption', () => {
+  it('reads back what it wrote', async () => {
+    const backup = await writeLocalBackup(USER_ID);
+
+    const { archive } = await readLocalBackup(USER_ID, backup);
+    expect(archive.data.transactions).toEqual([{ id: 'a', amount: 12.5, description: 'Café' }]);
+  });
+
+  it('does not store the archive as plain text', async () => {
+    const backup = await writeLocalBackup(USER_ID);
+
+    const file = JSON.parse(FileSystem.__files.get(backup.uri));
+    expect(file.encryption).toBe('AES-256-CBC');
+    expect(file.iv).toMatch(/^[0-9a-f]{32}$/);
+    expect(FileSystem.__files.get(backup.uri)).not.toContain('Café');
+  });
+
+  it('cannot be read with another key', async () => {
+    const backup = await writeLocalBackup(USER_ID);
+    SecureStore.__items.clear();
+
+    await expect(readLocalBackup(USER_ID, backup)).rejects.toThrow('could not be decrypted');
+  });
+});
+
+describe('pruneLocalBackups', () => {
+  it('keeps only the newest backups', async () => {
+    const first = await writeLocalBackup(USER_ID);
+    const second = await writeLocalBackup(USER_ID);
+    const third = await writeLocalBackup(USER_ID);
+
+    await pruneLocalBackups(USER_ID, 2);
+
+    expect((await listLocalBackups(USER_ID)).map(backup => backup.name)).toEqual([third.name, second.name]);
+    expect(FileSystem.__files.has(first.uri)).toBe(false);
+  });
+
+  it('leaves other users\' backups alone', async () => {
+    const other = await writeLocalBackup('user-2');
+    await writeLocalBackup(USER_ID);
+
+    await pruneLocalBackups(USER_ID, 0);
+
+    expect(await listLocalBackups(USER_ID)).toEqual([]);
+    expect(FileSystem.__files.has(other.uri)).toBe(true);
+  });
+});
+
+describe('isBackupDue', () => {
+  const now = new Date(2025, 0, 15, 9);
+
+  it('follows the backup frequency in calendar days', () => {
+    expect(isBackupDue(null, BACKUP_FREQUENCIES.WEEKLY, now)).toBe(true);
+    expect(isBackupDue(new Date(2025, 0, 14, 23), BACKUP_FREQUENCIES.DAILY, now)).toBe(true);
+    expect(isBackupDue(new Date(2025, 0, 15, 1), BACKUP_FREQUENCIES.DAILY, now)).toBe(false);
+    expect(isBackupDue(new Date(2025, 0, 9), BACKUP_FREQUENCIES.WEEKLY, now)).toBe(false);
+    expect(isBackupDue(null, BACKUP_FREQUENCIES.OFF, now)).toBe(false);
+  });
+});
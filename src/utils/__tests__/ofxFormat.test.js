@@ -0,0 +1,120 @@
+import { OFX_VERSIONS, parseOFX, parseOFXTree, transactionsToOFX } from '../ofxFormat';
+import { DEFAULT_ACCOUNT_ID } from '../../constants/accounts';
+
+const sgmlStatement = (transactions) => `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1>
+<STMTTRNRS>
+<STMTRS>
+<CURDEF>INR
+<BANKACCTFROM>
+<BANKID>HDFC
+<ACCTID>001234567890
+<ACCTTYPE>SAVINGS
+</BANKACCTFROM>
+<BANKTRANLIST>
+${transactions}
+</BANKTRANLIST>
+<LEDGERBAL>
+<BALAMT>5400.00
+<DTASOF>20240331
+</LEDGERBAL>
+</STMTRS>
+</STMTTRNRS>
+</BANKMSGSRSV1>
+</OFX>`;
+
+describe('parseOFX', () => {
+  it('reads an SGML statement', () => {
+    const { accounts } = parseOFX(sgmlStatement(`<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240304
+<TRNAMT>-120.50
+<FITID>A1
+<NAME>Metro &amp; Rail
+<MEMO>Card top up
+</STMTTRN>`));
+
+    expect(accounts).toHaveLength(1);
+    expect(accounts[0]).toMatchObject({ accountNumber: '001234567890', currency: 'INR', balance: 5400 });
+    expect(accounts[0].transactions).toEqual([expect.objectContaining({
+      fitId: 'A1',
+      amount: -120.5,
+      payee: 'Metro & Rail',
+      memo: 'Card top up',
+    })]);
+  });
+
+  it('treats an empty SGML value element as an empty value', () => {
+    const { accounts } = parseOFX(sgmlStatement(`<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240304
+<TRNAMT>-40.00
+<NAME>Shop<MEMO><FITID>A1</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20240305
+<TRNAMT>100.00
+<FITID>A2
+<NAME>
+<MEMO>Refund
+</STMTTRN>`));
+
+    expect(accounts[0].transactions.map(({ fitId, payee, memo }) => ({ fitId, payee, memo }))).toEqual([
+      { fitId: 'A1', payee: 'Shop', memo: '' },
+      { fitId: 'A2', payee: '', memo: 'Refund' },
+    ]);
+  });
+
+  it('reads an XML statement, including empty elements', () => {
+    const { accounts } = parseOFX(`<?xml version="1.0"?>
+<OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>
+<CCACCTFROM><ACCTID>4111</ACCTID></CCACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><DTPOSTED>20240304</DTPOSTED><TRNAMT>-9.99</TRNAMT><FITID>X1</FITID><NAME>Music</NAME><MEMO></MEMO></STMTTRN>
+</BANKTRANLIST>
+</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>`);
+
+    expect(accounts[0].accountType).toBe('credit');
+    expect(accounts[0].transactions).toEqual([expect.objectContaining({
+      fitId: 'X1',
+      payee: 'Music',
+      memo: '',
+    })]);
+  });
+});
+
+describe('parseOFXTree', () => {
+  it('opens a block for an unknown tag that is closed before its parent', () => {
+    const root = parseOFXTree('<OFX><EXTRA><NOTE>Kept</EXTRA><FLAG></OFX>');
+    const [ofx] = root.children;
+
+    expect(ofx.children.map(node => node.name)).toEqual(['EXTRA']);
+    expect(ofx.children[0].values).toEqual({ NOTE: 'Kept' });
+    expect(ofx.values).toEqual({ FLAG: '' });
+  });
+});
+
+describe('transactionsToOFX', () => {
+  const transactions = [
+    { id: 't1', type: 'expense', amount: 120.5, description: 'Metro & Rail', date: new Date(2024, 2, 4).toISOString() },
+    { id: 't2', type: 'income', amount: 3000, description: 'Salary', date: new Date(2024, 2, 1).toISOString() },
+  ];
+  const accounts = [{ id: DEFAULT_ACCOUNT_ID, name: 'Cash', type: 'cash', openingBalance: 100 }];
+
+  it.each([
+    ['SGML', OFX_VERSIONS.SGML],
+    ['XML', OFX_VERSIONS.XML],
+  ])('writes %s that reads back the same transactions', (name, version) => {
+    const { accounts: [account] } = parseOFX(transactionsToOFX(transactions, accounts, { version, currency: 'INR' }));
+
+    expect(account).toMatchObject({ currency: 'INR', balance: 2979.5 });
+    expect(account.transactions.map(({ fitId, amount, payee }) => ({ fitId, amount, payee }))).toEqual([
+      { fitId: 't2', amount: 3000, payee: 'Salary' },
+      { fitId: 't1', amount: -120.5, payee: 'Metro & Rail' },
+    ]);
+  });
+});
@@ -0,0 +1,199 @@
+import {
+  createRecurringTransaction,
+  getOccurrencesInRange,
+  skipOccurrence,
+  restoreOccurrence,
+  setOccurrenceException,
+  pauseRecurringTransaction,
+  resumeRecurringTransaction,
+  splitRecurringTransaction,
+  getSeriesProgress,
+  getMonthlyCommitments,
+} from '../recurringTransactions';
+
+jest.mock('../repository', () => ({
+  getRecurringDefinitions: jest.fn(),
+  getTimeZone: jest.fn(),
+  saveRecurringDefinition: jest.fn(),
+  deleteRecurringDefinition: jest.fn(),
+  saveTransaction: jest.fn(),
+  getRules: jest.fn(),
+}));
+
+const TIME_ZONE = 'UTC';
+
+const monthly = (rrule = 'FREQ=MONTHLY') => ({
+  ...createRecurringTransaction(
+    { description: 'Rent', amount: -1000, type: 'expense', category: 'home' },
+    rrule,
+    '2025-01-15'
+  ),
+  id: 'rec_rent',
+  baseTransaction: { description: 'Rent', amount: -1000, type: 'expense', category: 'home', recurringId: 'rec_rent' },
+});
+
+const occurrences = (recurringDef, from, to) => getOccurrencesInRange(
+  recurringDef,
+  new Date(from),
+  new Date(to),
+  TIME_ZONE
+).map(({ occurrenceDate, id, amount }) => ({ occurrenceDate, id, amount }));
+
+describe('skipping occurrences', () => {
+  it('leaves a skipped date out without renumbering the rest', () => {
+    const skipped = skipOccurrence(monthly(), '2025-02-15');
+
+    expect(occurrences(skipped, '2025-01-01', '2025-03-31')).toEqual([
+      { occurrenceDate: '2025-01-15', id: 'rec_rent_0', amount: -1000 },
+      { occurrenceDate: '2025-03-15', id: 'rec_rent_2', amount: -1000 },
+    ]);
+    expect(skipOccurrence(skipped, '2025-02-15').exdates).toEqual(['2025-02-15']);
+  });
+
+  it('brings a restored date back with its own ID', () => {
+    const restored = restoreOccurrence(skipOccurrence(monthly(), '2025-02-15'), '2025-02-15');
+
+    expect(restored.exdates).toEqual([]);
+    expect(occurrences(restored, '2025-02-01', '2025-02-28')).toEqual([
+      { occurrenceDate: '2025-02-15', id: 'rec_rent_1', amount: -1000 },
+    ]);
+  });
+
+  it('finds a moved occurrence on its new date with its old ID and new amount', () => {
+    const moved = setOccurrenceException(monthly(), '2025-02-15', { date: '2025-03-02', amount: 1200 });
+
+    expect(occurrences(moved, '2025-02-01', '2025-03-10')).toEqual([
+      { occurrenceDate: '2025-02-15', id: 'rec_rent_1', amount: -1200 },
+    ]);
+  });
+});
+
+describe('pausing', () => {
+  it('skips the occurrences missed while paused on resume', () => {
+    jest.useFakeTimers({ now: new Date('2025-02-01T00:00:00Z') });
+    const paused = pauseRecurringTransaction({ ...monthly(), createdInstances: 1 });
+    jest.useRealTimers();
+
+    const resumed = resumeRecurringTransaction(paused, new Date('2025-04-20T00:00:00Z'), TIME_ZONE);
+
+    expect(resumed).toMatchObject({ paused: false, pausedAt: null, resumeOn: null });
+    expect(resumed.exdates).toEqual(['2025-02-15', '2025-03-15', '2025-04-15']);
+    expect(occurrences(resumed, '2025-01-01', '2025-05-31').map(({ id }) => id)).toEqual([
+      'rec_rent_0', 'rec_rent_4',
+    ]);
+  });
+
+  it('keeps occurrences already added before the pause', () => {
+    const paused = {
+      ...pauseRecurringTransaction(monthly()),
+      pausedAt: '2025-02-01T00:00:00.000Z',
+      createdIndexes: [2],
+    };
+
+    const resumed = resumeRecurringTransaction(paused, new Date('2025-04-01T00:00:00Z'), TIME_ZONE);
+
+    expect(resumed.exdates).toEqual(['2025-02-15']);
+  });
+
+  it('records when a paused series resumes by itself', () => {
+    expect(pauseRecurringTransaction(monthly(), new Date(2025, 5, 1)).resumeOn).toBe('2025-06-01');
+  });
+});
+
+describe('splitRecurringTransaction', () => {
+  const newDef = {
+    ...createRecurringTransaction({ description: 'Rent', amount: -1100, type: 'expense' }, 'FREQ=MONTHLY', '2025-04-15'),
+    id: 'rec_new',
+  };
+
+  it('ends the original series before the date and hands later changes to the new one', () => {
+    const recurringDef = setOccurrenceException(
+      skipOccurrence(skipOccurrence(monthly(), '2025-02-15'), '2025-05-15'),
+      '2025-06-15',
+      { amount: 900 }
+    );
+
+    // Without a list of its own, the new series keeps the later skips
+    const { original, series } = splitRecurringTransaction(
+      recurringDef,
+      '2025-04-15',
+      { ...newDef, exdates: undefined },
+      TIME_ZONE
+    );
+
+    expect(original.rrule).toBe('FREQ=MONTHLY;UNTIL=20250414');
+    expect(original.exdates).toEqual(['2025-02-15']);
+    expect(original.exceptions).toEqual({});
+    expect(series).toMatchObject({
+      id: 'rec_new',
+      exdates: ['2025-05-15'],
+      exceptions: { '2025-06-15': { amount: 900 } },
+      createdInstances: 0,
+      splitFrom: 'rec_rent',
+    });
+    expect(splitRecurringTransaction(recurringDef, '2025-04-15', newDef, TIME_ZONE).series.exdates).toEqual([]);
+  });
+
+  it('shortens a counted series to the occurrences before the date', () => {
+    const { original } = splitRecurringTransaction(monthly('FREQ=MONTHLY;COUNT=12'), '2025-04-15', newDef, TIME_ZONE);
+
+    expect(original.rrule).toBe('FREQ=MONTHLY;COUNT=3');
+  });
+
+  it('refuses to split at the first occurrence', () => {
+    expect(() => splitRecurringTransaction(monthly(), '2025-01-15', newDef, TIME_ZONE)).toThrow();
+  });
+});
+
+describe('getSeriesProgress', () => {
+  it('counts done and remaining occurrences of a series with an end', () => {
+    const recurringDef = skipOccurrence(monthly('FREQ=MONTHLY;COUNT=6'), '2025-02-15');
+
+    expect(getSeriesProgress(recurringDef, new Date('2025-03-20T00:00:00Z'), TIME_ZONE)).toEqual({
+      completed: 2,
+      total: 5,
+      remaining: 3,
+    });
+  });
+
+  it('has no total for a series without an end', () => {
+    expect(getSeriesProgress(monthly(), new Date('2025-03-20T00:00:00Z'), TIME_ZONE)).toEqual({
+      completed: 3,
+      total: null,
+      remaining: null,
+    });
+  });
+});
+
+describe('getMonthlyCommitments', () => {
+  const salary = {
+    ...createRecurringTransaction({ description: 'Salary', amount: 3000, type: 'income' }, 'FREQ=MONTHLY', '2025-01-31'),
+    id: 'rec_salary',
+  };
+  const gym = {
+    ...createRecurringTransaction({ description: 'Gym', amount: -20, type: 'expense' }, 'FREQ=WEEKLY', '2025-01-06'),
+    id: 'rec_gym',
+  };
+
+  it('adds up income and expenses falling in the month', () => {
+    // Four Mondays in February 2025; the salary falls on the 28th
+    expect(getMonthlyCommitments([monthly(), salary, gym], new Date('2025-02-10T00:00:00Z'), TIME_ZONE)).toEqual({
+      income: 3000,
+      expense: 1080,
+      net: 1920,
+    });
+  });
+
+  it('leaves out skipped occurrences, paused series and inactive ones', () => {
+    const paused = {
+      ...pauseRecurringTransaction(gym, '2025-02-17'),
+      pausedAt: '2025-02-01T00:00:00.000Z',
+    };
+
+    expect(getMonthlyCommitments(
+      [skipOccurrence(monthly(), '2025-02-15'), paused, { ...salary, active: false }],
+      new Date('2025-02-10T00:00:00Z'),
+      TIME_ZONE
+    )).toEqual({ income: 0, expense: 40, net: -40 });
+  });
+});
@@ -0,0 +1,91 @@
+import {
+  getReportPeriod,
+  getPreviousPeriod,
+  getPeriodLabel,
+  generatePeriodReportHTML,
+} from '../reportFormat';
+import { DATE_RANGES } from '../exportFilters';
+
+const endOfDayOn = (year, month, day) => new Date(year, month, day, 23, 59, 59, 999);
+
+describe('getPreviousPeriod', () => {
+  it('compares a month with the month before', () => {
+    expect(getPreviousPeriod({ startDate: new Date(2025, 2, 1), endDate: endOfDayOn(2025, 2, 31) })).toEqual({
+      startDate: new Date(2025, 1, 1),
+      endDate: endOfDayOn(2025, 1, 28),
+    });
+  });
+
+  it('compares a year with the year before', () => {
+    expect(getPreviousPeriod({ startDate: new Date(2025, 0, 1), endDate: endOfDayOn(2025, 11, 31) })).toEqual({
+      startDate: new Date(2024, 0, 1),
+      endDate: endOfDayOn(2024, 11, 31),
+    });
+  });
+
+  it('compares several months with as many months before', () => {
+    expect(getPreviousPeriod({ startDate: new Date(2025, 0, 1), endDate: endOfDayOn(2025, 2, 31) })).toEqual({
+      startDate: new Date(2024, 9, 1),
+      endDate: endOfDayOn(2024, 11, 31),
+    });
+  });
+
+  it('compares other ranges with the same number of days just before', () => {
+    expect(getPreviousPeriod({ startDate: new Date(2025, 2, 1), endDate: endOfDayOn(2025, 2, 15) })).toEqual({
+      startDate: new Date(2025, 1, 14),
+      endDate: endOfDayOn(2025, 1, 28),
+    });
+  });
+});
+
+describe('getReportPeriod', () => {
+  const now = new Date(2025, 3, 10);
+
+  it('uses the filter range when it has one', () => {
+    expect(getReportPeriod({ dateRange: DATE_RANGES.LAST_MONTH }, [], now)).toEqual({
+      startDate: new Date(2025, 2, 1),
+      endDate: endOfDayOn(2025, 2, 31),
+    });
+  });
+
+  it('spans the transactions for all time', () => {
+    const transactions = [
+      { date: new Date(2025, 0, 20, 10).toISOString() },
+      { date: new Date(2024, 11, 5, 18).toISOString() },
+    ];
+
+    expect(getReportPeriod({ dateRange: DATE_RANGES.ALL }, transactions, now)).toEqual({
+      startDate: new Date(2024, 11, 5),
+      endDate: endOfDayOn(2025, 0, 20),
+    });
+    expect(getReportPeriod({ dateRange: DATE_RANGES.ALL }, [], now)).toBeNull();
+  });
+});
+
+describe('getPeriodLabel', () => {
+  it('names months and years', () => {
+    expect(getPeriodLabel({ startDate: new Date(2025, 2, 1), endDate: endOfDayOn(2025, 2, 31) })).toBe('March 2025');
+    expect(getPeriodLabel({ startDate: new Date(2025, 0, 1), endDate: endOfDayOn(2025, 11, 31) })).toBe('2025');
+    expect(getPeriodLabel({ startDate: new Date(2025, 0, 1), endDate: endOfDayOn(2025, 2, 31) }))
+      .toBe('Jan 2025 – Mar 2025');
+  });
+});
+
+describe('generatePeriodReportHTML', () => {
+  it('compares the period with the one before it', () => {
+    const transactions = [
+      { id: 'a', type: 'expense', category: 'food', description: 'Market', amount: 300, date: new Date(2025, 2, 10).toISOString() },
+      { id: 'b', type: 'expense', category: 'food', description: 'Market', amount: 200, date: new Date(2025, 1, 10).toISOString() },
+      { id: 'c', type: 'expense', category: 'food', description: 'Market', amount: 999, date: new Date(2025, 0, 10).toISOString() },
+    ];
+
+    const html = generatePeriodReportHTML(transactions, {
+      period: { startDate: new Date(2025, 2, 1), endDate: endOfDayOn(2025, 2, 31) },
+      generatedAt: new Date(2025, 3, 1),
+    });
+
+    expect(html).toContain('February 2025');
+    expect(html).toMatch(/<td>Expenses<\/td>\s*<td class="number">\$300\.00<\/td>\s*<td class="number">\$200\.00<\/td>/);
+    expect(html).toContain('▲ 50.0%');
+  });
+});
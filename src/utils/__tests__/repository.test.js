@@ -0,0 +1,209 @@
+import { __store as store } from 'firebase/firestore';
+import {
+  migrateUserData,
+  deleteUserData,
+  DATA_MIGRATION_VERSION,
+  MIGRATION_STEPS,
+} from '../repository';
+
+// A small in-memory Firestore: documents are kept by path, e.g. "users/u1"
+jest.mock('firebase/firestore', () => {
+  const mockStore = new Map();
+  const DELETE = Symbol('deleteField');
+
+  class Timestamp {
+    constructor(date) {
+      this.date = date;
+    }
+
+    static fromDate(date) {
+      return new Timestamp(date);
+    }
+
+    static now() {
+      return new Timestamp(new Date());
+    }
+
+    toDate() {
+      return this.date;
+    }
+  }
+
+  const arrayUnion = (...items) => ({ arrayUnion: items });
+  const ref = (path) => ({ path, id: path.split('/').pop() });
+  const snapshot = (path) => ({
+    id: path.split('/').pop(),
+    ref: ref(path),
+    exists: () => mockStore.has(path),
+    data: () => mockStore.get(path),
+  });
+
+  const setField = (data, fieldPath, value) => {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      node[key] = { ...(node[key] || {}) };
+      return node[key];
+    }, data);
+
+    if (value === DELETE) {
+      delete parent[last];
+    } else if (value && value.arrayUnion) {
+      parent[last] = [...new Set([...(parent[last] || []), ...value.arrayUnion])];
+    } else {
+      parent[last] = value;
+    }
+  };
+
+  return {
+    __store: mockStore,
+    Timestamp,
+    arrayUnion,
+    arrayRemove: jest.fn(),
+    deleteField: () => DELETE,
+    collection: (db, ...segments) => ({ path: segments.join('/') }),
+    doc: (parent, ...segments) => ref([parent.path, ...segments].filter(Boolean).join('/')),
+    query: (collectionRef, ...constraints) => ({ path: collectionRef.path, constraints }),
+    where: (field, op, value) => ({ field, op, value }),
+    orderBy: () => ({}),
+    limit: jest.fn(),
+    getDoc: async ({ path }) => snapshot(path),
+    getDocs: async ({ path, constraints = [] }) => {
+      const docs = [...mockStore.keys()]
+        .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+        .map(snapshot)
+        .filter(docSnapshot => constraints.every(({ field, value }) => (
+          !field || docSnapshot.data()[field] === value
+        )));
+      return { docs, empty: docs.length === 0 };
+    },
+    setDoc: async ({ path }, data) => {
+      mockStore.set(path, { ...data });
+    },
+    updateDoc: async ({ path }, fields) => {
+      const data = { ...mockStore.get(path) };
+      Object.entries(fields).forEach(([fieldPath, value]) => setField(data, fieldPath, value));
+      mockStore.set(path, data);
+    },
+    deleteDoc: async ({ path }) => {
+      mockStore.delete(path);
+    },
+  };
+});
+
+jest.mock('../firebase', () => ({ db: { path: '' }, auth: {} }));
+
+const USER_ID = 'user-1';
+
+const transactionDocs = () => [...store.entries()]
+  .filter(([path]) => path.startsWith('transactions/'))
+  .map(([path, data]) => ({ path, ...data }));
+
+beforeEach(() => {
+  store.clear();
+});
+
+describe('migrateUserData', () => {
+  it('moves subcollection transactions to the top-level collection', async () => {
+    store.set(`users/${USER_ID}`, {});
+    store.set(`users/${USER_ID}/transactions/abc`, {
+      id: 'abc',
+      amount: -25,
+      date: '2024-03-04T00:00:00.000Z',
+      category: 'food',
+    });
+    store.set(`users/${USER_ID}/transactions/bad`, { amount: 10 });
+
+    expect(await migrateUserData(USER_ID)).toBe(true);
+
+    const [migrated] = transactionDocs();
+    expect(transactionDocs()).toHaveLength(1);
+    expect(migrated).toMatchObject({
+      path: `transactions/legacy_${USER_ID}_abc`,
+      id: 'abc',
+      userId: USER_ID,
+      type: 'expense',
+      amount: 25,
+      category: 'food',
+    });
+    expect(migrated.date.toDate()).toEqual(new Date('2024-03-04T00:00:00.000Z'));
+    expect(store.has(`users/${USER_ID}/transactions/abc`)).toBe(false);
+    expect(store.has(`users/${USER_ID}/transactions/bad`)).toBe(false);
+  });
+
+  it('moves transactions and recurring definitions off the user document', async () => {
+    store.set(`users/${USER_ID}`, {
+      transactions: [
+        { amount: 100, type: 'income', date: '2024-03-01', name: 'Salary' },
+      ],
+      recurringTransactions: [{ id: 'rec_1', amount: 20 }],
+    });
+
+    await migrateUserData(USER_ID);
+
+    expect(transactionDocs()).toEqual([expect.objectContaining({
+      path: `transactions/legacy_${USER_ID}_0`,
+      type: 'income',
+      note: 'Salary',
+    })]);
+    expect(store.get(`users/${USER_ID}/recurringTransactions/rec_1`)).toEqual({ id: 'rec_1', amount: 20 });
+
+    const userData = store.get(`users/${USER_ID}`);
+    expect(userData.transactions).toBeUndefined();
+    expect(userData.recurringTransactions).toBeUndefined();
+    expect(userData.dataMigration.version).toBe(DATA_MIGRATION_VERSION);
+    expect(userData.dataMigration.completedSteps).toEqual(Object.values(MIGRATION_STEPS));
+  });
+
+  it('keeps copies of the same legacy ID from two users apart', async () => {
+    store.set('users/user-1', { transactions: [{ id: 't1', amount: 5, date: '2024-03-01' }] });
+    store.set('users/user-2', { transactions: [{ id: 't1', amount: 7, date: '2024-03-01' }] });
+
+    await migrateUserData('user-1');
+    await migrateUserData('user-2');
+
+    expect(transactionDocs().map(({ path, id, userId }) => ({ path, id, userId }))).toEqual([
+      { path: 'transactions/legacy_user-1_t1', id: 't1', userId: 'user-1' },
+      { path: 'transactions/legacy_user-2_t1', id: 't1', userId: 'user-2' },
+    ]);
+  });
+
+  it('skips finished steps when an interrupted run is resumed', async () => {
+    store.set(`users/${USER_ID}`, {
+      dataMigration: { completedSteps: [MIGRATION_STEPS.SUBCOLLECTION_TRANSACTIONS] },
+    });
+    store.set(`users/${USER_ID}/transactions/abc`, { amount: 5, date: '2024-03-04' });
+
+    await migrateUserData(USER_ID);
+
+    expect(store.has(`users/${USER_ID}/transactions/abc`)).toBe(true);
+    expect(transactionDocs()).toEqual([]);
+  });
+
+  it('does nothing once the data is migrated', async () => {
+    store.set(`users/${USER_ID}`, {
+      dataMigration: { version: DATA_MIGRATION_VERSION },
+      transactions: [{ amount: 1, date: '2024-03-01' }],
+    });
+
+    expect(await migrateUserData(USER_ID)).toBe(false);
+    expect(transactionDocs()).toEqual([]);
+  });
+});
+
+describe('deleteUserData', () => {
+  it("removes the user's documents and leaves other users' alone", async () => {
+    store.set(`users/${USER_ID}`, { email: 'a@example.com' });
+    store.set(`users/${USER_ID}/bills/b1`, { name: 'Rent' });
+    store.set(`users/${USER_ID}/accounts/a1`, { name: 'Cash' });
+    store.set(`users/${USER_ID}/rules/r1`, { pattern: 'coffee' });
+    store.set('transactions/t1', { userId: USER_ID, amount: 5 });
+    store.set('budgets/old', { userId: USER_ID });
+    store.set('users/user-2', { email: 'b@example.com' });
+    store.set('transactions/t2', { userId: 'user-2', amount: 7 });
+
+    await deleteUserData(USER_ID);
+
+    expect([...store.keys()].sort()).toEqual(['transactions/t2', 'users/user-2']);
+  });
+});
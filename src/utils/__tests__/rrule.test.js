@@ -0,0 +1,206 @@
+import {
+  parseRRule,
+  stringifyRRule,
+  getOccurrences,
+  describeRRule,
+  toDateKey,
+} from '../rrule';
+
+const dates = (rule, start, options) => getOccurrences(rule, start, options).map(({ date }) => date);
+
+describe('parseRRule', () => {
+  it('round-trips through the text form', () => {
+    const text = 'FREQ=MONTHLY;INTERVAL=2;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=12';
+    expect(stringifyRRule(parseRRule(text))).toBe(text);
+  });
+
+  it('reads numbered weekdays', () => {
+    expect(parseRRule('FREQ=MONTHLY;BYDAY=2SA,-1FR').byDay).toEqual([
+      { weekday: 'SA', n: 2 },
+      { weekday: 'FR', n: -1 },
+    ]);
+  });
+
+  it('keeps only the date of UNTIL', () => {
+    expect(parseRRule('FREQ=DAILY;UNTIL=20250430T235959Z').until).toBe('2025-04-30');
+  });
+
+  it.each([
+    ['no frequency', 'INTERVAL=2'],
+    ['an unknown frequency', 'FREQ=HOURLY'],
+    ['COUNT with UNTIL', 'FREQ=DAILY;COUNT=3;UNTIL=20250101'],
+    ['BYSETPOS on its own', 'FREQ=MONTHLY;BYSETPOS=-1'],
+  ])('rejects %s', (name, text) => {
+    expect(() => parseRRule(text)).toThrow();
+  });
+});
+
+describe('getOccurrences', () => {
+  describe('days past the end of a month', () => {
+    it('keeps a January 31 monthly series on the last day of shorter months', () => {
+      expect(dates('FREQ=MONTHLY', '2025-01-31', { limit: 6 })).toEqual([
+        '2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31', '2025-06-30',
+      ]);
+    });
+
+    it('uses February 29 in a leap year', () => {
+      expect(dates('FREQ=MONTHLY', '2024-01-31', { limit: 3 })).toEqual([
+        '2024-01-31', '2024-02-29', '2024-03-31',
+      ]);
+    });
+
+    it.each([
+      ['2025-01-29', ['2025-01-29', '2025-02-28', '2025-03-29']],
+      ['2025-01-30', ['2025-01-30', '2025-02-28', '2025-03-30']],
+      ['2024-01-29', ['2024-01-29', '2024-02-29', '2024-03-29']],
+      ['2024-01-30', ['2024-01-30', '2024-02-29', '2024-03-30']],
+    ])('returns to the day a series started on %s', (start, expected) => {
+      expect(dates('FREQ=MONTHLY', start, { limit: 3 })).toEqual(expected);
+    });
+
+    it('falls on February 28 outside leap years for a February 29 yearly series', () => {
+      expect(dates('FREQ=YEARLY', '2024-02-29', { limit: 5 })).toEqual([
+        '2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29',
+      ]);
+    });
+
+    it('counts days that fall on the same last day once', () => {
+      expect(dates('FREQ=MONTHLY;BYMONTHDAY=29,30,31', '2025-02-01', { limit: 4 })).toEqual([
+        '2025-02-28', '2025-03-29', '2025-03-30', '2025-03-31',
+      ]);
+    });
+
+    it('keeps a quarterly series on the 31st', () => {
+      expect(dates('FREQ=MONTHLY;INTERVAL=3', '2025-08-31', { limit: 4 })).toEqual([
+        '2025-08-31', '2025-11-30', '2026-02-28', '2026-05-31',
+      ]);
+    });
+  });
+
+  describe('counting from the end', () => {
+    it('finds the last day of each month with BYMONTHDAY=-1', () => {
+      expect(dates('FREQ=MONTHLY;BYMONTHDAY=-1', '2024-01-01', { limit: 3 })).toEqual([
+        '2024-01-31', '2024-02-29', '2024-03-31',
+      ]);
+    });
+
+    it('finds the 15th and the last day', () => {
+      expect(dates('FREQ=MONTHLY;BYMONTHDAY=15,-1', '2025-02-01', { limit: 4 })).toEqual([
+        '2025-02-15', '2025-02-28', '2025-03-15', '2025-03-31',
+      ]);
+    });
+
+    it('finds the last working day with BYSETPOS=-1', () => {
+      expect(dates('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', '2025-05-01', { limit: 3 })).toEqual([
+        '2025-05-30', '2025-06-30', '2025-07-31',
+      ]);
+    });
+
+    it('finds the first working day with BYSETPOS=1', () => {
+      expect(dates('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=1', '2025-03-01', { limit: 2 })).toEqual([
+        '2025-03-03', '2025-04-01',
+      ]);
+    });
+
+    it('finds the last Friday with BYDAY=-1FR', () => {
+      expect(dates('FREQ=MONTHLY;BYDAY=-1FR', '2025-01-01', { limit: 2 })).toEqual([
+        '2025-01-31', '2025-02-28',
+      ]);
+    });
+
+    it('finds the 2nd and 4th Saturday', () => {
+      expect(dates('FREQ=MONTHLY;BYDAY=2SA,4SA', '2025-03-01', { limit: 4 })).toEqual([
+        '2025-03-08', '2025-03-22', '2025-04-12', '2025-04-26',
+      ]);
+    });
+  });
+
+  describe('ending and excluding', () => {
+    it('stops after COUNT occurrences', () => {
+      expect(dates('FREQ=WEEKLY;COUNT=3', '2025-01-06')).toEqual([
+        '2025-01-06', '2025-01-13', '2025-01-20',
+      ]);
+    });
+
+    it('includes the UNTIL date itself', () => {
+      expect(dates('FREQ=MONTHLY;UNTIL=20250430', '2025-01-31')).toEqual([
+        '2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30',
+      ]);
+    });
+
+    it('leaves out excluded dates without renumbering the rest', () => {
+      expect(getOccurrences('FREQ=MONTHLY', '2025-01-15', {
+        exdates: ['2025-02-15'],
+        limit: 3,
+      })).toEqual([
+        { date: '2025-01-15', index: 0 },
+        { date: '2025-03-15', index: 2 },
+        { date: '2025-04-15', index: 3 },
+      ]);
+    });
+
+    it('counts excluded dates toward COUNT', () => {
+      expect(dates('FREQ=MONTHLY;COUNT=3', '2025-01-15', { exdates: ['2025-02-15'] })).toEqual([
+        '2025-01-15', '2025-03-15',
+      ]);
+    });
+
+    it('keeps indexes from the start of the series within a range', () => {
+      expect(getOccurrences('FREQ=DAILY', '2025-01-01', { from: '2025-01-10', to: '2025-01-11' })).toEqual([
+        { date: '2025-01-10', index: 9 },
+        { date: '2025-01-11', index: 10 },
+      ]);
+    });
+
+    it('keeps looking through long gaps between occurrences', () => {
+      expect(dates('FREQ=DAILY;BYMONTH=2;BYMONTHDAY=29;BYDAY=MO', '2024-03-01', { limit: 3 })).toEqual([
+        '2033-02-28', '2039-02-28', '2044-02-29',
+      ]);
+      expect(dates('FREQ=YEARLY;INTERVAL=4;BYMONTH=2;BYMONTHDAY=29;BYDAY=MO', '2024-01-01', { limit: 2 })).toEqual([
+        '2044-02-29', '2072-02-29',
+      ]);
+    });
+
+    it('needs an end for a series that never ends', () => {
+      expect(() => getOccurrences('FREQ=DAILY', '2025-01-01')).toThrow();
+    });
+  });
+
+  describe('calendar days', () => {
+    it('is not moved by daylight saving changes', () => {
+      expect(dates('FREQ=WEEKLY', '2025-03-03', { limit: 3 })).toEqual([
+        '2025-03-03', '2025-03-10', '2025-03-17',
+      ]);
+      expect(dates('FREQ=DAILY', '2025-10-25', { limit: 3 })).toEqual([
+        '2025-10-25', '2025-10-26', '2025-10-27',
+      ]);
+    });
+
+    it('runs across the end of a year', () => {
+      expect(dates('FREQ=DAILY', '2024-12-30', { limit: 4 })).toEqual([
+        '2024-12-30', '2024-12-31', '2025-01-01', '2025-01-02',
+      ]);
+    });
+
+    it('reads a Date in the device time zone', () => {
+      expect(toDateKey(new Date(2025, 0, 31, 23, 30))).toBe('2025-01-31');
+    });
+  });
+});
+
+describe('describeRRule', () => {
+  it.each([
+    ['FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR', '2025-01-01', 'Every weekday'],
+    ['FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=12', '2025-01-01', 'Every month on the last weekday, 12 times'],
+    ['FREQ=MONTHLY;BYDAY=2SA,4SA', '2025-01-01', 'Every month on the 2nd and 4th Saturday'],
+    ['FREQ=MONTHLY;BYDAY=FR;BYSETPOS=1,-1', '2025-01-01', 'Every month on the 1st and last Friday'],
+    ['FREQ=MONTHLY;BYDAY=SA,SU;BYSETPOS=1', '2025-01-01', 'Every month on the 1st Saturday or Sunday'],
+    ['FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYMONTHDAY=13,14,15;BYSETPOS=1', '2025-01-01', 'Every month on the 1st weekday that falls on the 13th, 14th or 15th'],
+    ['FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=-1,-2;BYSETPOS=1,-1', '2025-01-01', 'Every month on the 1st and last Friday that fall on the 2nd-to-last or last day'],
+    ['FREQ=MONTHLY;BYMONTHDAY=1,15;BYSETPOS=-1', '2025-01-01', 'Every month on the last of 1st and 15th'],
+    ['FREQ=MONTHLY', '2025-01-31', 'Every month on the 31st (or the last day of shorter months)'],
+    ['FREQ=MONTHLY;UNTIL=20250430', '2025-01-10', 'Every month on the 10th, until Apr 30, 2025'],
+  ])('describes %s', (rule, start, expected) => {
+    expect(describeRRule(rule, start)).toBe(expected);
+  });
+});
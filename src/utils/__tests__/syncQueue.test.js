@@ -0,0 +1,251 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  SYNC_STATUS,
+  OUTBOX_OPERATIONS,
+  MAX_BATCH_SIZE,
+  loadOutbox,
+  loadFailedOperations,
+  compactOutbox,
+  enqueueOperation,
+  enqueueOperations,
+  flushOutbox,
+  applyOutbox,
+  applyFailedOperations,
+  discardFailedOperations,
+  retryFailedOperations,
+  clearOutbox,
+} from '../syncQueue';
+
+const USER_ID = 'user-1';
+
+const add = (index) => ({
+  type: OUTBOX_OPERATIONS.ADD,
+  transactionId: `t${index}`,
+  firestoreId: `doc${index}`,
+  payload: { id: `t${index}`, amount: index, note: `note ${index}` },
+});
+
+const update = (index) => ({
+  type: OUTBOX_OPERATIONS.UPDATE,
+  transactionId: `t${index}`,
+  firestoreId: `doc${index}`,
+  payload: { note: `note ${index}` },
+});
+
+const remove = (index) => ({
+  type: OUTBOX_OPERATIONS.DELETE,
+  transactionId: `t${index}`,
+  firestoreId: `doc${index}`,
+});
+
+const rejection = (code) => Object.assign(new Error(code), { code });
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('compactOutbox', () => {
+  it('folds an update into the pending add for the same transaction', () => {
+    const outbox = compactOutbox([{ ...add(1), id: 'op1' }], { ...update(1), id: 'op2', payload: { note: 'edited' } });
+
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0]).toMatchObject({ type: OUTBOX_OPERATIONS.ADD, id: 'op2' });
+    expect(outbox[0].payload).toEqual({ id: 't1', amount: 1, note: 'edited' });
+  });
+
+  it('drops both operations when a transaction that never synced is deleted', () => {
+    expect(compactOutbox([{ ...add(1), id: 'op1' }], { ...remove(1), id: 'op2' })).toEqual([]);
+  });
+
+  it('keeps a delete of a transaction already on the server', () => {
+    const outbox = compactOutbox([{ ...update(1), id: 'op1' }], { ...remove(1), id: 'op2' });
+
+    expect(outbox.map(op => op.type)).toEqual([OUTBOX_OPERATIONS.DELETE]);
+  });
+});
+
+describe('enqueueOperation', () => {
+  it('persists operations in the order they were made', async () => {
+    await enqueueOperation(USER_ID, add(1));
+    await enqueueOperation(USER_ID, update(2));
+
+    const outbox = await loadOutbox(USER_ID);
+    expect(outbox.map(op => op.transactionId)).toEqual(['t1', 't2']);
+    expect(outbox.every(op => op.id && op.queuedAt)).toBe(true);
+  });
+
+  it('rejects unknown operation types', async () => {
+    await expect(enqueueOperation(USER_ID, { ...update(1), type: 'rename' })).rejects.toThrow();
+  });
+});
+
+describe('enqueueOperations', () => {
+  it('queues every operation with its own ID', async () => {
+    const outbox = await enqueueOperations(USER_ID, [update(1), update(2), update(3)]);
+
+    expect(outbox.map(op => op.transactionId)).toEqual(['t1', 't2', 't3']);
+    expect(new Set(outbox.map(op => op.id)).size).toBe(3);
+    expect(await loadOutbox(USER_ID)).toEqual(outbox);
+  });
+
+  it('folds changes to the same transaction together', async () => {
+    const outbox = await enqueueOperations(USER_ID, [
+      update(1),
+      { ...update(1), payload: { category: 'food' } },
+    ]);
+
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0].payload).toEqual({ note: 'note 1', category: 'food' });
+  });
+
+  it('rejects unknown operation types', async () => {
+    await expect(enqueueOperations(USER_ID, [{ ...update(1), type: 'rename' }])).rejects.toThrow();
+  });
+});
+
+describe('flushOutbox', () => {
+  it('replays every operation in order and empties the outbox', async () => {
+    await enqueueOperation(USER_ID, add(1));
+    await enqueueOperation(USER_ID, update(2));
+    const executor = jest.fn().mockResolvedValue();
+
+    const { synced, failed, remaining } = await flushOutbox(USER_ID, executor);
+
+    expect(executor.mock.calls.map(([batch]) => batch.map(op => op.transactionId))).toEqual([['t1', 't2']]);
+    expect(synced).toHaveLength(2);
+    expect(failed).toEqual([]);
+    expect(remaining).toEqual([]);
+    expect(await loadOutbox(USER_ID)).toEqual([]);
+  });
+
+  it('writes operations in batches of at most MAX_BATCH_SIZE', async () => {
+    const count = MAX_BATCH_SIZE * 2 + 1;
+    await enqueueOperations(USER_ID, Array.from({ length: count }, (_, index) => update(index)));
+    const executor = jest.fn().mockResolvedValue();
+
+    const { synced, failed } = await flushOutbox(USER_ID, executor);
+
+    expect(executor.mock.calls.map(([batch]) => batch.length)).toEqual([MAX_BATCH_SIZE, MAX_BATCH_SIZE, 1]);
+    expect(synced).toHaveLength(count);
+    expect(failed).toEqual([]);
+    expect(await loadOutbox(USER_ID)).toEqual([]);
+  });
+
+  it('retries a rejected batch one operation at a time and sets aside only the bad one', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await enqueueOperations(USER_ID, [update(1), update(2), update(3)]);
+    const executor = jest.fn(async (batch) => {
+      if (batch.some(op => op.transactionId === 't2')) {
+        throw rejection('permission-denied');
+      }
+    });
+
+    const { synced, failed } = await flushOutbox(USER_ID, executor);
+
+    expect(executor.mock.calls.map(([batch]) => batch.length)).toEqual([3, 1, 1, 1]);
+    expect(synced.map(op => op.transactionId)).toEqual(['t1', 't3']);
+    expect(failed.map(({ operation }) => operation.transactionId)).toEqual(['t2']);
+    expect(await loadOutbox(USER_ID)).toEqual([]);
+  });
+
+  it('keeps rejected operations with their error', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await enqueueOperation(USER_ID, add(1));
+
+    await flushOutbox(USER_ID, jest.fn().mockRejectedValue(rejection('permission-denied')));
+
+    const failedOperations = await loadFailedOperations(USER_ID);
+    expect(failedOperations).toHaveLength(1);
+    expect(failedOperations[0]).toMatchObject({
+      ...add(1),
+      error: { code: 'permission-denied', message: 'permission-denied' },
+    });
+  });
+
+  it('keeps everything from a batch that failed for lack of connection', async () => {
+    await enqueueOperations(USER_ID, [update(1), update(2)]);
+    const executor = jest.fn().mockRejectedValue(rejection('unavailable'));
+
+    const { synced, failed, remaining } = await flushOutbox(USER_ID, executor);
+
+    expect(synced).toEqual([]);
+    expect(failed).toEqual([]);
+    expect(remaining.map(op => op.transactionId)).toEqual(['t1', 't2']);
+    expect(await loadOutbox(USER_ID)).toHaveLength(2);
+  });
+
+  it('keeps operations queued while the replay was running', async () => {
+    await enqueueOperation(USER_ID, add(1));
+    const executor = jest.fn(async () => {
+      await enqueueOperation(USER_ID, add(2));
+    });
+
+    await flushOutbox(USER_ID, executor);
+
+    expect((await loadOutbox(USER_ID)).map(op => op.transactionId)).toEqual(['t2']);
+  });
+});
+
+describe('applyOutbox', () => {
+  it('shows queued changes on top of the server transactions', () => {
+    const server = [{ id: 't2', amount: 2, note: 'old' }, { id: 't3', amount: 3 }];
+    const outbox = [add(1), update(2), remove(3)];
+
+    expect(applyOutbox(server, outbox)).toEqual([
+      { id: 't2', amount: 2, note: 'note 2', syncStatus: SYNC_STATUS.PENDING },
+      { id: 't1', amount: 1, note: 'note 1', firestoreId: 'doc1', syncStatus: SYNC_STATUS.PENDING },
+    ]);
+  });
+});
+
+describe('rejected operations', () => {
+  const rejectAll = async (...operations) => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await enqueueOperations(USER_ID, operations);
+    await flushOutbox(USER_ID, jest.fn().mockRejectedValue(rejection('permission-denied')));
+  };
+
+  it('marks rejected adds and updates as failed and keeps the server copy of a rejected delete', () => {
+    const server = [{ id: 't2', amount: 2, note: 'old' }, { id: 't3', amount: 3 }];
+    const failedOperations = [add(1), update(2), remove(3)];
+
+    expect(applyFailedOperations(server, failedOperations)).toEqual([
+      { id: 't2', amount: 2, note: 'note 2', syncStatus: SYNC_STATUS.FAILED },
+      { id: 't3', amount: 3, syncStatus: SYNC_STATUS.FAILED },
+      { id: 't1', amount: 1, note: 'note 1', firestoreId: 'doc1', syncStatus: SYNC_STATUS.FAILED },
+    ]);
+  });
+
+  it('queues a rejected operation again on retry', async () => {
+    await rejectAll(add(1), update(2));
+
+    const outbox = await retryFailedOperations(USER_ID, 't1');
+
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0]).toMatchObject(add(1));
+    expect(outbox[0].error).toBeUndefined();
+    expect((await loadFailedOperations(USER_ID)).map(op => op.transactionId)).toEqual(['t2']);
+  });
+
+  it('forgets a discarded operation', async () => {
+    await rejectAll(add(1), update(2));
+
+    const discarded = await discardFailedOperations(USER_ID, 't2');
+
+    expect(discarded.map(op => op.transactionId)).toEqual(['t2']);
+    expect((await loadFailedOperations(USER_ID)).map(op => op.transactionId)).toEqual(['t1']);
+    expect(await loadOutbox(USER_ID)).toEqual([]);
+  });
+
+  it('are removed with the outbox', async () => {
+    await rejectAll(add(1));
+
+    await clearOutbox(USER_ID);
+
+    expect(await loadFailedOperations(USER_ID)).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+import {
+  getFiscalYear,
+  getFiscalYearBounds,
+  getFiscalYearLabel,
+  getTaxSummary,
+} from '../taxReport';
+
+describe('financial years', () => {
+  it('starts the year in the configured month', () => {
+    expect(getFiscalYear(new Date(2025, 2, 31, 23, 59), 4)).toBe(2024);
+    expect(getFiscalYear(new Date(2025, 3, 1), 4)).toBe(2025);
+    expect(getFiscalYear(new Date(2025, 0, 1), 1)).toBe(2025);
+    expect(getFiscalYear(new Date(2024, 11, 31), 1)).toBe(2024);
+  });
+
+  it('runs from the first to the last moment of the year', () => {
+    expect(getFiscalYearBounds(2024, 4)).toEqual({
+      startDate: new Date(2024, 3, 1),
+      endDate: new Date(2025, 2, 31, 23, 59, 59, 999),
+    });
+    expect(getFiscalYearBounds(2024, 7).endDate).toEqual(new Date(2025, 5, 30, 23, 59, 59, 999));
+  });
+
+  it('labels split years and calendar years', () => {
+    expect(getFiscalYearLabel(2024, 4)).toBe('FY 2024–25');
+    expect(getFiscalYearLabel(2099, 4)).toBe('FY 2099–00');
+    expect(getFiscalYearLabel(2024, 1)).toBe('2024');
+  });
+});
+
+describe('getTaxSummary', () => {
+  const transaction = (id, date, amount, taxSection, taxRelevant = true) => ({
+    id, date: date.toISOString(), amount, taxSection, taxRelevant, type: 'expense',
+  });
+
+  const transactions = [
+    transaction('first-day', new Date(2024, 3, 1), 100000, '80C'),
+    transaction('last-day', new Date(2025, 2, 31, 22), 70000, '80C'),
+    transaction('next-year', new Date(2025, 3, 1), 5000, '80C'),
+    transaction('last-year', new Date(2024, 2, 31, 22), 5000, '80C'),
+    transaction('untagged', new Date(2024, 5, 1), 5000, '80C', false),
+    transaction('no-section', new Date(2024, 5, 1), 800, undefined),
+    transaction('deleted-section', new Date(2024, 5, 2), 200, 'custom_gone'),
+    transaction('uncapped', new Date(2024, 6, 1), 12000, '80G'),
+  ];
+
+  const summary = getTaxSummary(transactions, { fiscalYear: 2024, fiscalYearStartMonth: 4 });
+  const section = id => summary.sections.find(s => s.id === id);
+
+  it('includes only tax-relevant transactions inside the year', () => {
+    expect(section('80C').transactions.map(t => t.id)).toEqual(['last-day', 'first-day']);
+    expect(summary.label).toBe('FY 2024–25');
+  });
+
+  it('caps each section at its limit', () => {
+    expect(section('80C')).toMatchObject({ total: 170000, eligible: 150000, excess: 20000, remaining: 0 });
+    expect(section('80D')).toMatchObject({ total: 0, eligible: 0, remaining: 25000 });
+    expect(section('80G')).toMatchObject({ total: 12000, eligible: 12000, remaining: null, excess: 0 });
+    expect(summary.total).toBe(182000);
+    expect(summary.eligible).toBe(162000);
+  });
+
+  it('collects transactions without a known section', () => {
+    expect(summary.unassigned.transactions.map(t => t.id)).toEqual(['deleted-section', 'no-section']);
+    expect(summary.unassigned.total).toBe(1000);
+  });
+});
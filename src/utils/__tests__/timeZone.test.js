@@ -0,0 +1,72 @@
+import {
+  isValidTimeZone,
+  getDateKeyInTimeZone,
+  getTimeOfDayInTimeZone,
+  getDateInTimeZone,
+} from '../timeZone';
+
+const at = (date, timeOfDay, timeZone) => getDateInTimeZone(date, timeOfDay, timeZone).toISOString();
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA names and rejects anything else', () => {
+    expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone(null)).toBe(false);
+  });
+});
+
+describe('getDateKeyInTimeZone and getTimeOfDayInTimeZone', () => {
+  it('reads the date and time on the clocks of the zone', () => {
+    const moment = new Date('2025-01-31T20:00:00Z');
+    expect(getDateKeyInTimeZone(moment, 'America/New_York')).toBe('2025-01-31');
+    expect(getDateKeyInTimeZone(moment, 'Asia/Kolkata')).toBe('2025-02-01');
+    expect(getTimeOfDayInTimeZone(moment, 'Asia/Kolkata')).toBe('01:30');
+    expect(getTimeOfDayInTimeZone(moment, 'Asia/Kathmandu')).toBe('01:45');
+  });
+});
+
+describe('getDateInTimeZone', () => {
+  it.each([
+    ['UTC', '2025-06-01T09:00:00.000Z'],
+    ['Asia/Kolkata', '2025-06-01T03:30:00.000Z'],
+    ['America/New_York', '2025-06-01T13:00:00.000Z'],
+    ['Australia/Sydney', '2025-05-31T23:00:00.000Z'],
+  ])('places a time on a date in %s', (timeZone, expected) => {
+    expect(at('2025-06-01', '09:00', timeZone)).toBe(expected);
+  });
+
+  it('keeps the wall-clock time either side of a daylight saving change', () => {
+    expect(at('2025-03-08', '09:00', 'America/New_York')).toBe('2025-03-08T14:00:00.000Z');
+    expect(at('2025-03-10', '09:00', 'America/New_York')).toBe('2025-03-10T13:00:00.000Z');
+  });
+
+  describe('times skipped when the clocks go forward', () => {
+    it.each([
+      ['America/New_York', '2025-03-09', '02:30', '2025-03-09T07:30:00.000Z'],
+      ['Europe/London', '2025-03-30', '01:30', '2025-03-30T01:30:00.000Z'],
+      ['Europe/Berlin', '2025-03-30', '02:30', '2025-03-30T01:30:00.000Z'],
+      ['Australia/Sydney', '2025-10-05', '02:30', '2025-10-04T16:30:00.000Z'],
+    ])('come out an hour later in %s', (timeZone, date, timeOfDay, expected) => {
+      expect(at(date, timeOfDay, timeZone)).toBe(expected);
+      expect(getTimeOfDayInTimeZone(expected, timeZone)).toBe(
+        `${String(Number(timeOfDay.slice(0, 2)) + 1).padStart(2, '0')}${timeOfDay.slice(2)}`
+      );
+    });
+
+    it('come out later by a half-hour gap in Australia/Lord_Howe', () => {
+      const moment = at('2025-10-05', '02:15', 'Australia/Lord_Howe');
+      expect(moment).toBe('2025-10-04T15:45:00.000Z');
+      expect(getTimeOfDayInTimeZone(moment, 'Australia/Lord_Howe')).toBe('02:45');
+    });
+  });
+
+  describe('times that happen twice when the clocks go back', () => {
+    it.each([
+      ['America/New_York', '2025-11-02', '01:30', '2025-11-02T05:30:00.000Z'],
+      ['Europe/London', '2025-10-26', '01:30', '2025-10-26T00:30:00.000Z'],
+      ['Australia/Sydney', '2025-04-06', '02:30', '2025-04-05T15:30:00.000Z'],
+    ])('come out as the first of the two in %s', (timeZone, date, timeOfDay, expected) => {
+      expect(at(date, timeOfDay, timeZone)).toBe(expected);
+    });
+  });
+});
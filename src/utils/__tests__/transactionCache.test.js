@@ -0,0 +1,114 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  getMonthKey,
+  loadCachedTransactions,
+  getPreviousCachedMonth,
+  cacheTransactions,
+  loadCachedSummary,
+  cacheSummary,
+  loadCachedTagCounts,
+  cacheTagCounts,
+  clearTransactionCache,
+} from '../transactionCache';
+
+const USER_ID = 'user-1';
+
+const transaction = (id, year, month, day = 15) => ({
+  id,
+  amount: 10,
+  date: new Date(year, month - 1, day, 12).toISOString(),
+});
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.clearAllMocks();
+});
+
+describe('getMonthKey', () => {
+  it('uses the local calendar month', () => {
+    expect(getMonthKey(new Date(2024, 0, 31, 23, 59))).toBe('2024-01');
+    expect(getMonthKey(new Date(2024, 11, 1))).toBe('2024-12');
+  });
+});
+
+describe('cacheTransactions and loadCachedTransactions', () => {
+  const march = transaction('m1', 2024, 3);
+  const april = transaction('a1', 2024, 4);
+  const may = transaction('y1', 2024, 5);
+
+  it('stores one bucket per month and loads only the months asked for', async () => {
+    await cacheTransactions(USER_ID, [march, april, may]);
+
+    // Newest month first
+    expect(await loadCachedTransactions(USER_ID, ['2024-04', '2024-05'])).toEqual([may, april]);
+    expect(await loadCachedTransactions(USER_ID, ['2023-01'])).toEqual([]);
+  });
+
+  it('rewrites only the months that changed', async () => {
+    await cacheTransactions(USER_ID, [march, april]);
+    AsyncStorage.multiSet.mockClear();
+
+    const editedApril = { ...april, amount: 20 };
+    await cacheTransactions(USER_ID, [march, editedApril], [march, april]);
+
+    const writtenKeys = AsyncStorage.multiSet.mock.calls[0][0].map(([key]) => key);
+    expect(writtenKeys).toEqual([`transactions_${USER_ID}_2024-04`, `transactions_${USER_ID}_months`]);
+  });
+
+  it('removes a month once its last transaction is gone', async () => {
+    await cacheTransactions(USER_ID, [march, april]);
+    await cacheTransactions(USER_ID, [april], [march, april]);
+
+    expect(await AsyncStorage.getItem(`transactions_${USER_ID}_2024-03`)).toBeNull();
+    expect(await getPreviousCachedMonth(USER_ID, '2024-04')).toBeNull();
+  });
+
+  it('moves a cache written before month buckets into buckets', async () => {
+    await AsyncStorage.setItem(`transactions_${USER_ID}`, JSON.stringify([march, april]));
+
+    expect(await loadCachedTransactions(USER_ID, ['2024-03'])).toEqual([march]);
+    expect(await AsyncStorage.getItem(`transactions_${USER_ID}`)).toBeNull();
+  });
+});
+
+describe('getPreviousCachedMonth', () => {
+  it('finds the newest cached month before the one given', async () => {
+    await cacheTransactions(USER_ID, [
+      transaction('j', 2024, 1),
+      transaction('m', 2024, 3),
+      transaction('a', 2024, 4),
+    ]);
+
+    expect(await getPreviousCachedMonth(USER_ID, '2024-04')).toBe('2024-03');
+    expect(await getPreviousCachedMonth(USER_ID, '2024-03')).toBe('2024-01');
+    expect(await getPreviousCachedMonth(USER_ID, '2024-01')).toBeNull();
+  });
+});
+
+describe('loadCachedTagCounts', () => {
+  it('returns the counts without the object prototype', async () => {
+    await cacheTagCounts(USER_ID, { travel: 2, constructor: 1 });
+
+    const counts = await loadCachedTagCounts(USER_ID);
+    expect(Object.getPrototypeOf(counts)).toBeNull();
+    expect({ ...counts }).toEqual({ travel: 2, constructor: 1 });
+    expect(counts.toString).toBeUndefined();
+  });
+
+  it('returns null when nothing is cached', async () => {
+    expect(await loadCachedTagCounts(USER_ID)).toBeNull();
+  });
+});
+
+describe('clearTransactionCache', () => {
+  it('removes every bucket, the month list, the summary and the tag counts', async () => {
+    await cacheTransactions(USER_ID, [transaction('m', 2024, 3)]);
+    await cacheSummary(USER_ID, { income: 0, expense: 10, balance: -10 });
+    await cacheTagCounts(USER_ID, { travel: 1 });
+
+    await clearTransactionCache(USER_ID);
+
+    expect(await AsyncStorage.getAllKeys()).toEqual([]);
+    expect(await loadCachedSummary(USER_ID)).toBeNull();
+  });
+});
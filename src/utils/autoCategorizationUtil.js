@@ -1,123 +1,118 @@
 /**
  * Automatic Transaction Categorization Utility
- * 
- * This utility helps automatically categorize transactions based on keywords
- * in the transaction description. It uses a predefined set of rules and keywords
- * associated with common expense categories.
+ *
+ * This utility suggests categories for a transaction based on keywords in
+ * its description. Keywords come from the same category registry the rest of
+ * the app uses (see src/constants/categories.js), so built-in categories,
+ * the user's own categories and subcategories can all be suggested. A
+ * category's name always counts as one of its keywords.
+ *
+ * What the app has learned from the user's own choices (see
+ * categoryLearning.js) ranks ahead of keyword matches.
  */
 
-// Category definitions with keywords
-const CATEGORY_DEFINITIONS = {
-  food: {
-    name: 'Food & Dining',
-    keywords: [
-      'restaurant', 'cafe', 'coffee', 'diner', 'bistro', 'food', 'meal',
-      'grocery', 'supermarket', 'market', 'bakery', 'pizzeria', 'burger',
-      'mcdonald', 'starbuck', 'subway', 'donut', 'pizza', 'taco',
-      'wendy', 'chipotle', 'kfc', 'buffet', 'deli', 'steakhouse',
-    ],
-  },
-  transport: {
-    name: 'Transportation',
-    keywords: [
-      'gas', 'fuel', 'petrol', 'uber', 'lyft', 'taxi', 'cab', 'bus',
-      'train', 'subway', 'metro', 'transport', 'transit', 'airline',
-      'flight', 'car rental', 'parking', 'toll', 'mechanic', 'oil change',
-      'bike', 'scooter', 'ebike', 'escooter',
-    ],
-  },
-  shopping: {
-    name: 'Shopping',
-    keywords: [
-      'amazon', 'walmart', 'target', 'bestbuy', 'store', 'mall', 'shop',
-      'clothing', 'apparel', 'fashion', 'dress', 'shoe', 'accessory',
-      'jewelry', 'electronic', 'computer', 'phone', 'appliance', 'ebay',
-      'etsy', 'retail', 'outlet', 'ecommerce', 'online store',
-    ],
-  },
-  entertainment: {
-    name: 'Entertainment',
-    keywords: [
-      'movie', 'theater', 'cinema', 'concert', 'festival', 'show',
-      'ticket', 'netflix', 'spotify', 'disney+', 'hulu', 'hbo',
-      'apple tv', 'game', 'playstation', 'xbox', 'nintendo',
-      'event', 'tour', 'amusement', 'park', 'streaming',
-    ],
-  },
-  housing: {
-    name: 'Housing',
-    keywords: [
-      'rent', 'mortgage', 'lease', 'apartment', 'condo', 'house',
-      'property', 'real estate', 'home', 'maintenance', 'repair',
-      'improvement', 'furniture', 'decor', 'appliance', 'security',
-      'landscaping', 'lawn', 'garden', 'cleaning', 'homeowner',
-    ],
-  },
-  utilities: {
-    name: 'Utilities',
-    keywords: [
-      'electric', 'water', 'gas', 'power', 'utility', 'bill', 'energy',
-      'internet', 'wifi', 'broadband', 'cable', 'phone', 'mobile',
-      'cellular', 'service', 'provider', 'waste', 'garbage', 'sewage', 
-      'subscription', 'internet service',
-    ],
-  },
-  healthcare: {
-    name: 'Healthcare',
-    keywords: [
-      'doctor', 'medical', 'health', 'hospital', 'clinic', 'pharmacy',
-      'prescription', 'medicine', 'dental', 'dentist', 'vision', 'optometrist',
-      'therapy', 'healthcare', 'insurance', 'emergency', 'ambulance',
-      'vitamin', 'supplement', 'wellness', 'fitness',
-    ],
-  },
-  education: {
-    name: 'Education',
-    keywords: [
-      'tuition', 'school', 'college', 'university', 'education', 'course',
-      'class', 'workshop', 'textbook', 'book', 'tutorial', 'training',
-      'seminar', 'degree', 'certification', 'student', 'learning', 'study',
-      'scholarship', 'loan', 'academic', 'educational',
-    ],
-  },
-  personal: {
-    name: 'Personal Care',
-    keywords: [
-      'salon', 'spa', 'haircut', 'barber', 'beauty', 'cosmetic', 'makeup',
-      'skincare', 'nail', 'grooming', 'massage', 'personal care', 'hygiene',
-      'gym', 'fitness', 'wellness', 'trainer', 'workout', 'exercise',
-    ],
-  },
-  income: {
-    name: 'Income',
-    keywords: [
-      'salary', 'paycheck', 'deposit', 'wage', 'payment', 'revenue',
-      'direct deposit', 'income', 'commission', 'bonus', 'refund',
-      'return', 'reimbursement', 'dividend', 'interest', 'cashback',
-    ],
-  },
-  transfer: {
-    name: 'Transfer',
-    keywords: [
-      'transfer', 'wire', 'withdrawal', 'atm', 'zelle', 'venmo',
-      'paypal', 'cash app', 'deposit', 'withdraw', 'move money',
-      'bank transfer', 'funds', 'cashout', 'ach', 'direct deposit',
-    ],
-  },
-  savings: {
-    name: 'Savings',
-    keywords: [
-      'savings', 'investment', 'ira', '401k', 'retirement', 'stock',
-      'bond', 'fund', 'etf', 'mutual fund', 'brokerage', 'portfolio',
-      'deposit', 'save', 'emergency fund', 'reserve', 'financial goal', 
-    ],
-  },
-  other: {
-    name: 'Other',
-    keywords: [
-      'other', 'miscellaneous', 'misc', 'unknown', 'general',
-    ],
-  },
+import { getCategories, getCategoryById } from '../constants/categories';
+import { getActiveModel, predictCategories } from './categoryLearning';
+
+// Suggestions below this confidence are not worth showing
+export const MIN_CONFIDENCE = 0.2;
+
+// Score at which a single category is considered a strong match on its own
+const STRONG_MATCH_SCORE = 8;
+
+/**
+ * Get the keywords that identify a category
+ * @param {Object} category - Category from the registry
+ * @returns {Array} Lowercase keywords, including the category name
+ */
+export const getCategoryKeywords = (category) => {
+  const keywords = [category.name, ...(category.keywords || [])]
+    .filter(Boolean)
+    .map(keyword => keyword.toLowerCase().trim());
+
+  return [...new Set(keywords)];
+};
+
+// Whole-word matches count fully; a word still being typed counts for half
+const scoreKeyword = (description, words, keyword) => {
+  if (keyword.includes(' ')) {
+    return description.includes(keyword) ? keyword.length : 0;
+  }
+
+  if (words.includes(keyword) || words.includes(`${keyword}s`)) {
+    return keyword.length;
+  }
+
+  const lastWord = words[words.length - 1];
+  if (lastWord && lastWord.length >= 3 && keyword.startsWith(lastWord)) {
+    return lastWord.length / 2;
+  }
+
+  return 0;
+};
+
+// Keyword matches, scored as described on suggestCategories
+const suggestFromKeywords = (description, categories) => {
+  const normalizedDescription = description.toLowerCase();
+  const words = normalizedDescription.split(/[^a-z0-9+.]+/).filter(Boolean);
+
+  const candidates = categories
+    .map(category => {
+      const matchingKeywords = [];
+      const score = getCategoryKeywords(category).reduce((total, keyword) => {
+        const keywordScore = scoreKeyword(normalizedDescription, words, keyword);
+        if (keywordScore > 0) matchingKeywords.push(keyword);
+        return total + keywordScore;
+      }, 0);
+
+      return { categoryId: category.id, name: category.name, score, matchingKeywords };
+    })
+    .filter(candidate => candidate.score > 0);
+
+  const totalScore = candidates.reduce((total, candidate) => total + candidate.score, 0);
+
+  return candidates
+    .map(({ score, ...candidate }) => {
+      const strength = Math.min(1, score / STRONG_MATCH_SCORE);
+      const share = score / totalScore;
+      return {
+        ...candidate,
+        confidence: Math.round(strength * share * 100) / 100,
+        source: 'keywords',
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Rank categories for a description
+ * Categories learned from the user's choices come first. Keyword confidence
+ * combines how strongly a category matches with how clearly it beats the
+ * other candidates, so one long keyword match scores higher than two
+ * categories tied on a short word.
+ * @param {string} description - The transaction description/memo
+ * @param {Object} options - { type: 'expense' | 'income' | 'transfer', limit }
+ * @returns {Array} Suggestions as { categoryId, name, confidence, matchingKeywords, source }, best first
+ */
+export const suggestCategories = (description, { type = 'expense', limit = 3 } = {}) => {
+  if (!description || !description.trim()) return [];
+
+  const categories = getCategories(type);
+
+  // Learned categories must still be available for this type
+  const learned = predictCategories(getActiveModel(), description)
+    .map(prediction => {
+      const category = categories.find(c => c.id === prediction.categoryId);
+      return category && { ...prediction, name: category.name, matchingKeywords: [] };
+    })
+    .filter(Boolean);
+
+  const keywords = suggestFromKeywords(description, categories)
+    .filter(suggestion => !learned.some(l => l.categoryId === suggestion.categoryId));
+
+  return [...learned, ...keywords]
+    .filter(suggestion => suggestion.confidence >= MIN_CONFIDENCE)
+    .slice(0, limit);
 };
 
 /**
@@ -125,100 +120,28 @@ const CATEGORY_DEFINITIONS = {
  * @param {string} description - The transaction description/memo
  * @param {number} amount - The transaction amount
  * @param {boolean} isIncome - Whether the transaction is income or expense
- * @returns {string} The category ID for the transaction
+ * @returns {string} The best matching category ID, or 'other' when nothing matches
  */
 export const categorizeTransaction = (description, amount, isIncome = false) => {
-  if (!description) return 'other';
-  
-  // Default to income category for income transactions
-  if (isIncome) return 'income';
-  
-  const normalizedDescription = description.toLowerCase();
-  
-  // Skip categorization for transfers
-  for (const keyword of CATEGORY_DEFINITIONS.transfer.keywords) {
-    if (normalizedDescription.includes(keyword.toLowerCase())) {
-      return 'transfer';
-    }
-  }
-  
-  // Search through all categories (except income and transfer) for matching keywords
-  let bestMatch = null;
-  let bestMatchScore = 0;
-  
-  for (const [categoryId, categoryData] of Object.entries(CATEGORY_DEFINITIONS)) {
-    // Skip income and transfer for expense categorization
-    if (categoryId === 'income' || categoryId === 'transfer') continue;
-    
-    let score = 0;
-    
-    // Check each keyword in the category
-    for (const keyword of categoryData.keywords) {
-      if (normalizedDescription.includes(keyword.toLowerCase())) {
-        // Increase score based on the specificity of the match
-        // Longer keywords are usually more specific
-        score += keyword.length;
-      }
-    }
-    
-    // Update best match if this category has a higher score
-    if (score > bestMatchScore) {
-      bestMatchScore = score;
-      bestMatch = categoryId;
-    }
-  }
-  
-  // If no match found, default to 'other'
-  return bestMatch || 'other';
-};
+  const [bestMatch] = suggestCategories(description, {
+    type: isIncome ? 'income' : 'expense',
+    limit: 1,
+  });
 
-/**
- * Suggests categories based on a partial description
- * Useful for autocomplete or suggestions when user is typing
- * @param {string} partialDescription - The partial transaction description
- * @returns {Array} Array of suggested categories with scores
- */
-export const suggestCategories = (partialDescription) => {
-  if (!partialDescription) return [];
-  
-  const normalizedDescription = partialDescription.toLowerCase();
-  const suggestions = [];
-  
-  for (const [categoryId, categoryData] of Object.entries(CATEGORY_DEFINITIONS)) {
-    let score = 0;
-    let matchingKeywords = [];
-    
-    // Check each keyword in the category
-    for (const keyword of categoryData.keywords) {
-      const normalizedKeyword = keyword.toLowerCase();
-      if (normalizedDescription.includes(normalizedKeyword) || 
-          normalizedKeyword.includes(normalizedDescription)) {
-        score += keyword.length;
-        matchingKeywords.push(keyword);
-      }
-    }
-    
-    if (score > 0) {
-      suggestions.push({
-        categoryId,
-        name: categoryData.name,
-        score,
-        matchingKeywords,
-      });
-    }
-  }
-  
-  // Sort by score (descending)
-  return suggestions.sort((a, b) => b.score - a.score);
+  return bestMatch ? bestMatch.categoryId : 'other';
 };
 
 /**
  * Get category info by ID
- * @param {string} categoryId - The category ID
+ * @param {string} categoryId - The category ID, including legacy IDs
  * @returns {Object} Category information (name, keywords)
  */
 export const getCategoryInfo = (categoryId) => {
-  return CATEGORY_DEFINITIONS[categoryId] || CATEGORY_DEFINITIONS.other;
+  const category = getCategoryById(categoryId);
+  return {
+    name: category.name,
+    keywords: getCategoryKeywords(category),
+  };
 };
 
 /**
@@ -226,15 +149,17 @@ export const getCategoryInfo = (categoryId) => {
  * @returns {Array} Array of category objects with id and name
  */
 export const getAllCategories = () => {
-  return Object.entries(CATEGORY_DEFINITIONS).map(([id, data]) => ({
-    id,
-    name: data.name,
+  return getCategories('all').map(category => ({
+    id: category.id,
+    name: category.name,
   }));
 };
 
 export default {
+  MIN_CONFIDENCE,
+  getCategoryKeywords,
   categorizeTransaction,
   suggestCategories,
   getCategoryInfo,
   getAllCategories,
-}; 
\ No newline at end of file
+};
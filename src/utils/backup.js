@@ -0,0 +1,539 @@
+/**
+ * Backups
+ *
+ * A backup archive holds everything in a user's account: profile, currency
+ * and budgets, goals, bills, recurring definitions, accounts, categories,
+ * rules and transactions. Archives are JSON with a schema version and a
+ * SHA-256 checksum of their data, so a damaged or edited file is caught
+ * before anything is written.
+ *
+ * Firestore Timestamps are stored as { __timestamp: ISO string } so they come
+ * back as Timestamps on restore; transactions keep their ISO date strings as
+ * in local state.
+ *
+ * Schema versions:
+ * 1 - transactions only, as written by the JSON export (transactionsToJSON)
+ * 2 - the full account
+ *
+ * A section missing from an archive's data (as in upgraded version 1 files)
+ * is not part of the backup: restoring leaves that part of the account alone.
+ */
+
+import * as Crypto from 'expo-crypto';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { Timestamp } from 'firebase/firestore';
+import {
+  getUserData,
+  getAccounts,
+  getUserCategories,
+  getRules,
+  getBills,
+  getRecurringDefinitions,
+  getTransactions,
+  createTransactionId,
+  toTransactionDoc,
+  commitWrites,
+} from './repository';
+import { isOnline } from './syncQueue';
+import { generateExportFilename } from './exportUtils';
+
+export const BACKUP_SCHEMA_VERSION = 2;
+
+const BACKUP_APP_ID = 'expense-tracker';
+const TIMESTAMP_KEY = '__timestamp';
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+
+export const RESTORE_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+// Sections of an archive's data that are lists of items with IDs
+export const BACKUP_SECTIONS = [
+  { id: 'transactions', label: 'Transactions' },
+  { id: 'accounts', label: 'Accounts' },
+  { id: 'categories', label: 'Categories' },
+  { id: 'rules', label: 'Rules' },
+  { id: 'bills', label: 'Bills' },
+  { id: 'recurringTransactions', label: 'Recurring' },
+  { id: 'goals', label: 'Goals' },
+];
+
+// Sections stored as `users/{uid}/{section}` subcollections
+const SUBCOLLECTION_SECTIONS = ['accounts', 'categories', 'rules', 'bills', 'recurringTransactions'];
+
+// Fields of the user document kept in the archive's profile
+const PROFILE_FIELDS = [
+  { id: 'displayName', label: 'Name' },
+  { id: 'bio', label: 'Bio' },
+  { id: 'photoURL', label: 'Profile photo' },
+  { id: 'currency', label: 'Currency' },
+  { id: 'monthlyBudget', label: 'Monthly budget' },
+  { id: 'categoryBudgets', label: 'Category budgets' },
+  { id: 'fiscalYearStartMonth', label: 'Financial year' },
+  { id: 'taxSections', label: 'Tax sections' },
+  { id: 'timeZone', label: 'Time zone' },
+];
+
+// Turn Timestamps and Dates into JSON-safe values, dropping undefined fields
+const encodeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return { [TIMESTAMP_KEY]: value.toISOString() };
+  if (typeof value.toDate === 'function') return { [TIMESTAMP_KEY]: value.toDate().toISOString() };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, fieldValue]) => fieldValue !== undefined)
+        .map(([key, fieldValue]) => [key, encodeValue(fieldValue)])
+    );
+  }
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === TIMESTAMP_KEY) {
+      return Timestamp.fromDate(new Date(value[TIMESTAMP_KEY]));
+    }
+    return Object.fromEntries(keys.map(key => [key, decodeValue(value[key])]));
+  }
+  return value;
+};
+
+// JSON with sorted keys, so equal data always gives the same text
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const computeChecksum = (data) => Crypto.digestStringAsync(
+  Crypto.CryptoDigestAlgorithm.SHA256,
+  stableStringify(data)
+);
+
+// Older transactions may only have their Firestore document ID
+const getTransactionKey = (transaction) => transaction.id || transaction.firestoreId;
+
+const getItemKey = (section, item) => (
+  section === 'transactions' ? getTransactionKey(item) : item.id
+);
+
+// Transactions are compared without the fields that depend on where they are stored
+const isSameItem = (section, a, b) => {
+  if (section !== 'transactions') return stableStringify(a) === stableStringify(b);
+
+  const comparable = ({ firestoreId, syncStatus, userId, ...transaction }) => transaction;
+  return stableStringify(comparable(a)) === stableStringify(comparable(b));
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '' && value !== 0;
+
+/**
+ * Load everything in a user's account, in archive form
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} Archive data: { profile, transactions, accounts,
+ *   categories, rules, bills, recurringTransactions, goals }
+ * @throws {Error} If the device is offline
+ */
+export const loadBackupData = async (userId) => {
+  // Offline reads would come from the cache and miss anything not loaded yet
+  if (!(await isOnline())) {
+    throw new Error('You are offline. Connect to the internet and try again.');
+  }
+
+  const [userData, accounts, categories, rules, bills, recurringTransactions, transactions] = await Promise.all([
+    getUserData(userId),
+    getAccounts(userId),
+    getUserCategories(userId),
+    getRules(userId),
+    getBills(userId),
+    getRecurringDefinitions(userId),
+    getTransactions(userId),
+  ]);
+
+  const profile = PROFILE_FIELDS.reduce((fields, { id }) => (
+    userData?.[id] !== undefined ? { ...fields, [id]: userData[id] } : fields
+  ), {});
+
+  return encodeValue({
+    profile,
+    transactions,
+    accounts,
+    categories,
+    rules,
+    bills,
+    recurringTransactions,
+    goals: Array.isArray(userData?.goals) ? userData.goals : [],
+  });
+};
+
+/**
+ * Create a backup archive of a user's account
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} Archive
+ */
+export const createBackup = async (userId) => {
+  const data = await loadBackupData(userId);
+
+  return {
+    app: BACKUP_APP_ID,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    userId,
+    checksum: await computeChecksum(data),
+    data,
+  };
+};
+
+/**
+ * Write an archive as JSON
+ * @param {Object} archive - Archive from createBackup
+ * @returns {string} JSON text
+ */
+export const serializeBackup = (archive) => JSON.stringify(archive, null, 2);
+
+// Each step upgrades an archive from its key's version to the next one
+const MIGRATIONS = {
+  1: (archive) => ({
+    app: BACKUP_APP_ID,
+    schemaVersion: 2,
+    createdAt: null,
+    userId: null,
+    checksum: null,
+    data: { transactions: archive.transactions },
+  }),
+};
+
+// Version 1 files predate the version field; they are a bare transaction list
+const getSchemaVersion = (archive) => {
+  if (Number.isInteger(archive.schemaVersion)) return archive.schemaVersion;
+  if (Array.isArray(archive.transactions)) return 1;
+  return null;
+};
+
+const validateArchive = (archive) => {
+  const problems = [];
+  const { data } = archive;
+
+  if (!data || typeof data !== 'object') {
+    return ['The backup has no data'];
+  }
+  if (data.profile !== undefined && (!data.profile || typeof data.profile !== 'object')) {
+    problems.push('The profile section is invalid');
+  }
+
+  BACKUP_SECTIONS.forEach(({ id, label }) => {
+    if (data[id] === undefined) return;
+    if (!Array.isArray(data[id])) {
+      problems.push(`The ${label.toLowerCase()} section is invalid`);
+      return;
+    }
+
+    data[id].forEach((item, index) => {
+      if (!item || !getItemKey(id, item)) {
+        problems.push(`${label} item ${index + 1} has no ID`);
+      }
+    });
+  });
+
+  (Array.isArray(data.transactions) ? data.transactions : []).forEach((transaction, index) => {
+    if (!transaction) return;
+    if (isNaN(new Date(transaction.date).getTime())) {
+      problems.push(`Transaction ${index + 1} has an invalid date`);
+    }
+    if (typeof transaction.amount !== 'number' || !isFinite(transaction.amount)) {
+      problems.push(`Transaction ${index + 1} has an invalid amount`);
+    }
+    if (transaction.type && !TRANSACTION_TYPES.includes(transaction.type)) {
+      problems.push(`Transaction ${index + 1} has an unknown type`);
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Read, check and upgrade a backup file
+ * The checksum is verified against the data as written, before any
+ * migration; version 1 files have no checksum.
+ * @param {string} text - File contents
+ * @returns {Promise<Object>} { archive, schemaVersion, checksumVerified },
+ *   where archive is in the current schema and schemaVersion is the file's
+ * @throws {Error} If the file is not a backup, is from a newer version of the
+ *   app, fails its checksum or has invalid data
+ */
+export const parseBackup = async (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not a backup.');
+  }
+
+  const schemaVersion = parsed && typeof parsed === 'object' ? getSchemaVersion(parsed) : null;
+  if (!schemaVersion) {
+    throw new Error('This file is not a backup.');
+  }
+  if (schemaVersion > BACKUP_SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of the app. Update the app to restore it.');
+  }
+
+  let checksumVerified = false;
+  if (parsed.checksum) {
+    if (await computeChecksum(parsed.data) !== parsed.checksum) {
+      throw new Error('This backup is damaged or has been edited: its checksum does not match.');
+    }
+    checksumVerified = true;
+  }
+
+  let archive = parsed;
+  for (let version = schemaVersion; version < BACKUP_SCHEMA_VERSION; version++) {
+    archive = MIGRATIONS[version](archive);
+  }
+
+  const problems = validateArchive(archive);
+  if (problems.length > 0) {
+    const more = problems.length > 3 ? `\n…and ${problems.length - 3} more` : '';
+    throw new Error(`This backup has invalid data:\n${problems.slice(0, 3).join('\n')}${more}`);
+  }
+
+  return { archive, schemaVersion, checksumVerified };
+};
+
+/**
+ * Compare an archive with the account it would be restored into
+ * @param {Object} archive - Archive from parseBackup
+ * @param {Object} current - The account's data, from loadBackupData
+ * @returns {Object} { sections, profileChanges }: sections has, per
+ *   BACKUP_SECTIONS entry in the archive, counts of items in the backup and the account,
+ *   items only in the backup (added), in both but different (changed) and
+ *   only in the account (removed by a replace); profileChanges lists the
+ *   labels of profile fields the backup would change
+ */
+export const getRestoreSummary = (archive, current) => {
+  const { data } = archive;
+  const profile = data.profile || {};
+
+  const sections = BACKUP_SECTIONS.filter(({ id }) => data[id]).map(({ id, label }) => {
+    const backupItems = data[id];
+    const currentItems = current[id];
+    const currentByKey = new Map(currentItems.map(item => [getItemKey(id, item), item]));
+    const backupKeys = new Set(backupItems.map(item => getItemKey(id, item)));
+
+    let added = 0;
+    let changed = 0;
+    backupItems.forEach((item) => {
+      const existing = currentByKey.get(getItemKey(id, item));
+      if (!existing) {
+        added++;
+      } else if (!isSameItem(id, item, existing)) {
+        changed++;
+      }
+    });
+
+    return {
+      id,
+      label,
+      backupCount: backupItems.length,
+      currentCount: currentItems.length,
+      added,
+      changed,
+      removed: currentItems.filter(item => !backupKeys.has(getItemKey(id, item))).length,
+    };
+  });
+
+  const profileChanges = PROFILE_FIELDS
+    .filter(({ id }) => (
+      profile[id] !== undefined
+      && stableStringify(profile[id]) !== stableStringify(current.profile[id])
+    ))
+    .map(({ label }) => label);
+
+  return { sections, profileChanges };
+};
+
+/**
+ * Work out the writes that restore an archive into an account
+ * Merging adds what the account is missing and keeps its own version of
+ * anything it already has, filling in only profile fields that are empty.
+ * Replacing makes the account match the backup, deleting anything the backup
+ * does not have.
+ * Transactions are matched on their internal ID. Restoring into a different
+ * account gives new transactions new document IDs, since the old ones belong
+ * to the other account.
+ * @param {string} userId - The user ID to restore into
+ * @param {Object} archive - Archive from parseBackup
+ * @param {Object} current - The account's data, from loadBackupData
+ * @param {string} mode - A RESTORE_MODES value
+ * @returns {Array} Writes for commitWrites
+ */
+export const planRestore = (userId, archive, current, mode) => {
+  const replace = mode === RESTORE_MODES.REPLACE;
+  const { data } = archive;
+  const writes = [];
+
+  SUBCOLLECTION_SECTIONS.filter(section => data[section]).forEach((section) => {
+    const currentIds = new Set(current[section].map(item => item.id));
+    const backupIds = new Set(data[section].map(item => item.id));
+
+    data[section].forEach((item) => {
+      if (!replace && currentIds.has(item.id)) return;
+      writes.push({ path: ['users', userId, section, item.id], data: decodeValue(item) });
+    });
+
+    if (replace) {
+      current[section]
+        .filter(item => !backupIds.has(item.id))
+        .forEach(item => writes.push({ path: ['users', userId, section, item.id], remove: true }));
+    }
+  });
+
+  const transactions = data.transactions || [];
+  const currentByKey = new Map(current.transactions.map(transaction => [getTransactionKey(transaction), transaction]));
+  const backupKeys = new Set(transactions.map(getTransactionKey));
+  const sameAccount = archive.userId === userId;
+
+  transactions.forEach((transaction) => {
+    const key = getTransactionKey(transaction);
+    const existing = currentByKey.get(key);
+    if (!replace && existing) return;
+
+    const firestoreId = existing?.firestoreId
+      || (sameAccount && transaction.firestoreId)
+      || createTransactionId();
+    writes.push({
+      path: ['transactions', firestoreId],
+      data: toTransactionDoc({ ...decodeValue(transaction), id: key, userId }),
+    });
+  });
+
+  if (replace && data.transactions) {
+    current.transactions
+      .filter(transaction => !backupKeys.has(getTransactionKey(transaction)))
+      .forEach(transaction => writes.push({ path: ['transactions', transaction.firestoreId], remove: true }));
+  }
+
+  // Profile fields and goals live on the user document
+  const profile = data.profile || {};
+  const userFields = {};
+  PROFILE_FIELDS.forEach(({ id }) => {
+    const value = profile[id];
+    if (value === undefined) return;
+    if (replace || !hasValue(current.profile[id])) {
+      userFields[id] = decodeValue(value);
+    }
+  });
+
+  if (!replace && profile.categoryBudgets && current.profile.categoryBudgets) {
+    userFields.categoryBudgets = { ...profile.categoryBudgets, ...current.profile.categoryBudgets };
+  }
+
+  if (!replace && profile.taxSections && current.profile.taxSections) {
+    const currentSectionIds = new Set(current.profile.taxSections.map(section => section.id));
+    userFields.taxSections = decodeValue([
+      ...current.profile.taxSections,
+      ...profile.taxSections.filter(section => !currentSectionIds.has(section.id)),
+    ]);
+  }
+
+  if (data.goals) {
+    const currentGoalIds = new Set(current.goals.map(goal => goal.id));
+    userFields.goals = decodeValue(replace
+      ? data.goals
+      : [...current.goals, ...data.goals.filter(goal => !currentGoalIds.has(goal.id))]);
+  }
+
+  if (Object.keys(userFields).length > 0) {
+    userFields.updatedAt = Timestamp.now();
+    writes.push({ path: ['users', userId], data: userFields, merge: true });
+  }
+
+  return writes;
+};
+
+/**
+ * Restore an archive into a user's account
+ * Writes go out in batches; if one fails, earlier batches stay applied and
+ * running the same restore again completes it.
+ * @param {string} userId - The user ID
+ * @param {Object} archive - Archive from parseBackup
+ * @param {string} mode - A RESTORE_MODES value
+ * @returns {Promise<number>} Number of documents written or deleted
+ */
+export const restoreBackup = async (userId, archive, mode) => {
+  const current = await loadBackupData(userId);
+  const writes = planRestore(userId, archive, current, mode);
+
+  await commitWrites(writes);
+  return writes.length;
+};
+
+/**
+ * Create a backup and share it as a JSON file
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} The archive that was shared
+ */
+export const exportBackup = async (userId) => {
+  const isAvailable = await Sharing.isAvailableAsync();
+  if (!isAvailable) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const archive = await createBackup(userId);
+  const fileUri = `${FileSystem.cacheDirectory}${generateExportFilename('expense_tracker_backup', 'json')}`;
+  await FileSystem.writeAsStringAsync(fileUri, serializeBackup(archive));
+
+  await Sharing.shareAsync(fileUri, {
+    mimeType: 'application/json',
+    dialogTitle: 'Save Backup',
+    UTI: 'public.json'
+  });
+
+  return archive;
+};
+
+/**
+ * Let the user pick a backup file and read it
+ * @returns {Promise<Object|null>} { name, text }, or null if the user cancelled
+ */
+export const pickBackupFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: '*/*',
+    copyToCacheDirectory: true,
+  });
+
+  if (result.canceled || !result.assets?.length) {
+    return null;
+  }
+
+  const [file] = result.assets;
+  const text = await FileSystem.readAsStringAsync(file.uri);
+  return { name: file.name, text };
+};
+
+export default {
+  BACKUP_SCHEMA_VERSION,
+  RESTORE_MODES,
+  BACKUP_SECTIONS,
+  loadBackupData,
+  createBackup,
+  serializeBackup,
+  parseBackup,
+  getRestoreSummary,
+  planRestore,
+  restoreBackup,
+  exportBackup,
+  pickBackupFile,
+};
@@ -0,0 +1,290 @@
+/**
+ * Category Learning
+ *
+ * A small on-device model that learns which category the user picks for a
+ * description, so "Chai Point" keeps going to Food once the user has said so.
+ * It has two parts:
+ *
+ * - merchants: a lookup table from the start of a description (usually the
+ *   merchant name) to how often each category was chosen for it
+ * - tokens: word counts per category for a naive Bayes classifier, used when
+ *   the merchant has not been seen before
+ *
+ * Choices that override the app's suggestion count double and are kept in a
+ * short history so the user can see what was corrected. The model is stored
+ * per user in AsyncStorage.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+export const MODEL_VERSION = 1;
+
+// A correction says more about the user's intent than accepting a suggestion
+const CORRECTION_WEIGHT = 2;
+const CONFIRMATION_WEIGHT = 1;
+
+// Number of corrections kept for the learned data screen
+const MAX_CORRECTIONS = 100;
+
+// Words that say nothing about the category
+const STOP_WORDS = [
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'at', 'in', 'on', 'by',
+  'with', 'from', 'payment', 'paid', 'pos', 'purchase', 'txn', 'ref',
+];
+
+// The model in use, replaced by CategoryContext when a user's model loads
+let activeModel = null;
+
+// Look up a count keyed by user text. A word like "constructor" must not pick
+// up what every plain object inherits.
+const getOwn = (counts, key) => (
+  counts && Object.prototype.hasOwnProperty.call(counts, key) ? counts[key] : undefined
+);
+
+/**
+ * AsyncStorage key for a user's model
+ * @param {string} userId - The user ID
+ * @returns {string} Storage key
+ */
+export const getModelKey = (userId) => `category_model_${userId}`;
+
+/**
+ * Create a model that has learned nothing
+ * @returns {Object} Empty model
+ */
+export const createEmptyModel = () => ({
+  version: MODEL_VERSION,
+  merchants: {},
+  tokens: {},
+  categoryTotals: {},
+  corrections: [],
+  updatedAt: null,
+});
+
+/**
+ * Split a description into the words the model learns from
+ * @param {string} description - Transaction description
+ * @returns {Array} Lowercase tokens, in any script, without numbers or stop words
+ */
+export const tokenize = (description) => {
+  if (!description) return [];
+
+  return description
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\s&]/gu, ' ')
+    .split(/\s+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.includes(token));
+};
+
+/**
+ * Get the merchant key for a description: its first two meaningful words
+ * @param {string} description - Transaction description
+ * @returns {string} Merchant key, or an empty string when there are no words
+ */
+export const getMerchantKey = (description) => tokenize(description).slice(0, 2).join(' ');
+
+/**
+ * Learn from a category chosen for a description
+ * @param {Object} model - Current model
+ * @param {Object} choice - { description, categoryId, suggestedCategoryId }
+ * @returns {Object} Updated model; the original is not modified
+ */
+export const learnCategory = (model, { description, categoryId, suggestedCategoryId }) => {
+  const tokens = tokenize(description);
+  if (!categoryId || tokens.length === 0) return model;
+
+  const isCorrection = !!suggestedCategoryId && suggestedCategoryId !== categoryId;
+  const weight = isCorrection ? CORRECTION_WEIGHT : CONFIRMATION_WEIGHT;
+  const merchantKey = getMerchantKey(description);
+
+  const merchant = { ...getOwn(model.merchants, merchantKey) };
+  merchant[categoryId] = (getOwn(merchant, categoryId) || 0) + weight;
+
+  const categoryTokens = { ...getOwn(model.tokens, categoryId) };
+  tokens.forEach(token => {
+    categoryTokens[token] = (getOwn(categoryTokens, token) || 0) + weight;
+  });
+
+  const corrections = isCorrection
+    ? [
+      {
+        description,
+        merchantKey,
+        suggestedCategoryId,
+        categoryId,
+        date: new Date().toISOString(),
+      },
+      ...model.corrections,
+    ].slice(0, MAX_CORRECTIONS)
+    : model.corrections;
+
+  return {
+    ...model,
+    merchants: { ...model.merchants, [merchantKey]: merchant },
+    tokens: { ...model.tokens, [categoryId]: categoryTokens },
+    categoryTotals: {
+      ...model.categoryTotals,
+      [categoryId]: (getOwn(model.categoryTotals, categoryId) || 0) + weight,
+    },
+    corrections,
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Remove everything learned about a merchant from the lookup table
+ * @param {Object} model - Current model
+ * @param {string} merchantKey - Merchant key from getMerchantKey
+ * @returns {Object} Updated model
+ */
+export const forgetMerchant = (model, merchantKey) => {
+  const merchants = { ...model.merchants };
+  delete merchants[merchantKey];
+
+  return {
+    ...model,
+    merchants,
+    corrections: model.corrections.filter(correction => correction.merchantKey !== merchantKey),
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+// Merchant matches: the share of choices for each category, discounted while
+// there are only a few examples
+const predictFromMerchant = (model, description) => {
+  const merchant = getOwn(model.merchants, getMerchantKey(description));
+  if (!merchant) return [];
+
+  const total = Object.values(merchant).reduce((sum, count) => sum + count, 0);
+
+  return Object.entries(merchant).map(([categoryId, count]) => ({
+    categoryId,
+    confidence: (count / total) * (total / (total + 1)),
+    source: 'merchant',
+  }));
+};
+
+// Naive Bayes over the description's tokens with add-one smoothing. Only
+// categories that have seen at least one of the tokens are returned.
+const predictFromTokens = (model, description) => {
+  const tokens = tokenize(description);
+  const categoryIds = Object.keys(model.tokens);
+  if (tokens.length === 0 || categoryIds.length === 0) return [];
+
+  const vocabulary = new Set(categoryIds.flatMap(categoryId => Object.keys(model.tokens[categoryId])));
+  const totalExamples = Object.values(model.categoryTotals).reduce((sum, count) => sum + count, 0);
+
+  const scores = categoryIds.map(categoryId => {
+    const tokenCounts = model.tokens[categoryId];
+    const tokenTotal = Object.values(tokenCounts).reduce((sum, count) => sum + count, 0);
+    const logPrior = Math.log((getOwn(model.categoryTotals, categoryId) || 0) + 1) - Math.log(totalExamples + categoryIds.length);
+
+    const logLikelihood = tokens.reduce((sum, token) => (
+      sum + Math.log((getOwn(tokenCounts, token) || 0) + 1) - Math.log(tokenTotal + vocabulary.size)
+    ), 0);
+
+    return {
+      categoryId,
+      score: logPrior + logLikelihood,
+      hasEvidence: tokens.some(token => getOwn(tokenCounts, token)),
+    };
+  });
+
+  // Turn log scores into probabilities without overflowing
+  const maxScore = Math.max(...scores.map(s => s.score));
+  const expScores = scores.map(s => ({ ...s, exp: Math.exp(s.score - maxScore) }));
+  const expTotal = expScores.reduce((sum, s) => sum + s.exp, 0);
+
+  return expScores
+    .filter(s => s.hasEvidence)
+    .map(s => ({
+      categoryId: s.categoryId,
+      confidence: s.exp / expTotal,
+      source: 'learned',
+    }));
+};
+
+/**
+ * Predict categories for a description from what the model has learned
+ * Merchant matches come first, then naive Bayes predictions.
+ * @param {Object} model - Learned model
+ * @param {string} description - Transaction description
+ * @returns {Array} Predictions as { categoryId, confidence, source }, best first
+ */
+export const predictCategories = (model, description) => {
+  if (!model || !description) return [];
+
+  const byConfidence = (a, b) => b.confidence - a.confidence;
+  const merchantPredictions = predictFromMerchant(model, description).sort(byConfidence);
+  const tokenPredictions = predictFromTokens(model, description)
+    .filter(prediction => !merchantPredictions.some(p => p.categoryId === prediction.categoryId))
+    .sort(byConfidence);
+
+  return [...merchantPredictions, ...tokenPredictions].map(prediction => ({
+    ...prediction,
+    confidence: Math.round(prediction.confidence * 100) / 100,
+  }));
+};
+
+/**
+ * Replace the model used for suggestions
+ * @param {Object|null} model - Learned model, or null to use keywords only
+ */
+export const setActiveModel = (model) => {
+  activeModel = model;
+};
+
+export const getActiveModel = () => activeModel;
+
+/**
+ * Load a user's model from storage
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} The stored model, or an empty one
+ */
+export const loadModel = async (userId) => {
+  try {
+    const storedModel = await AsyncStorage.getItem(getModelKey(userId));
+    if (!storedModel) return createEmptyModel();
+
+    const model = JSON.parse(storedModel);
+    return model.version === MODEL_VERSION ? model : createEmptyModel();
+  } catch (error) {
+    console.error('Failed to load learned categories:', error);
+    return createEmptyModel();
+  }
+};
+
+/**
+ * Save a user's model
+ * @param {string} userId - The user ID
+ * @param {Object} model - Learned model
+ * @returns {Promise} Promise that resolves when the model is saved
+ */
+export const saveModel = (userId, model) => {
+  return AsyncStorage.setItem(getModelKey(userId), JSON.stringify(model));
+};
+
+/**
+ * Delete a user's model
+ * @param {string} userId - The user ID
+ * @returns {Promise} Promise that resolves when the model is removed
+ */
+export const clearModel = (userId) => {
+  return AsyncStorage.removeItem(getModelKey(userId));
+};
+
+export default {
+  MODEL_VERSION,
+  getModelKey,
+  createEmptyModel,
+  tokenize,
+  getMerchantKey,
+  learnCategory,
+  forgetMerchant,
+  predictCategories,
+  setActiveModel,
+  getActiveModel,
+  loadModel,
+  saveModel,
+  clearModel,
+};
@@ -5,6 +5,8 @@
  */
 
 import { formatCurrency, formatShortDate } from './formatters';
+import { getCategoryAllocations } from './dataUtils';
+import { getCategoryById, getRootCategoryId } from '../constants/categories';
 
 /**
  * Generates color palette for charts with optional opacity
@@ -50,31 +52,31 @@ export const generateChartColors = (count, opacity = 1) => {
  * @returns {Object} Pie chart configuration
  */
 export const createCategoryPieChartConfig = (transactions, currency) => {
-  // Group expenses by category
+  // Group expenses by top-level category, counting each split under its own
+  // category and each subcategory under its parent
   const expensesByCategory = transactions
     .filter(t => t.type === 'expense')
     .reduce((acc, transaction) => {
-      const { category, amount } = transaction;
-      if (!acc[category]) {
-        acc[category] = 0;
-      }
-      acc[category] += Math.abs(amount);
+      getCategoryAllocations(transaction).forEach(({ category, amount }) => {
+        const categoryId = getRootCategoryId(category);
+        if (!acc[categoryId]) {
+          acc[categoryId] = 0;
+        }
+        acc[categoryId] += Math.abs(amount);
+      });
       return acc;
     }, {});
 
   // Convert to array and sort by amount (descending)
   const categoriesArray = Object.entries(expensesByCategory)
-    .map(([name, amount]) => ({ name, amount }))
+    .map(([id, amount]) => ({ ...getCategoryById(id), amount }))
     .sort((a, b) => b.amount - a.amount);
 
-  // Generate colors
-  const colors = generateChartColors(categoriesArray.length);
-
-  // Create chart data
-  const chartData = categoriesArray.map((item, index) => ({
+  // Create chart data using each category's own colour
+  const chartData = categoriesArray.map(item => ({
     name: item.name,
     amount: item.amount,
-    color: colors[index],
+    color: item.color,
     legendFontColor: '#7F7F7F',
     legendFontSize: 12,
   }));
@@ -158,12 +160,12 @@ export const createExpenseTrendLineChartConfig = (transactions, months = 6, curr
  * @param {Array} transactions - Transactions array 
  * @param {number} months - Number of months to include
  * @param {string} currency - Currency code
+ * @param {Date} endDate - A date in the last month to include (defaults to today)
  * @returns {Object} Bar chart configuration
  */
-export const createIncomeExpenseBarChartConfig = (transactions, months = 3, currency) => {
-  // Get date range (last X months)
-  const today = new Date();
-  const startDate = new Date(today.getFullYear(), today.getMonth() - (months - 1), 1);
+export const createIncomeExpenseBarChartConfig = (transactions, months = 3, currency, endDate = new Date()) => {
+  // Get date range (X months up to the end date)
+  const startDate = new Date(endDate.getFullYear(), endDate.getMonth() - (months - 1), 1);
 
   // Initialize data structure
   const labels = [];
@@ -189,10 +191,11 @@ export const createIncomeExpenseBarChartConfig = (transactions, months = 3, curr
     const monthIndex = (transactionDate.getFullYear() - startDate.getFullYear()) * 12 + 
                        transactionDate.getMonth() - startDate.getMonth();
     
+    // Transfers move money between accounts and are neither
     if (monthIndex >= 0 && monthIndex < months) {
       if (transaction.type === 'expense') {
         expenseData[monthIndex] += Math.abs(transaction.amount);
-      } else {
+      } else if (transaction.type === 'income') {
         incomeData[monthIndex] += transaction.amount;
       }
     }
@@ -224,25 +227,28 @@ export const createIncomeExpenseBarChartConfig = (transactions, months = 3, curr
  * @returns {Object} Bar chart configuration
  */
 export const createTopCategoriesBarChartConfig = (transactions, limit = 5, currency) => {
-  // Group expenses by category
+  // Group expenses by top-level category, counting each split under its own
+  // category and each subcategory under its parent
   const expensesByCategory = transactions
     .filter(t => t.type === 'expense')
     .reduce((acc, transaction) => {
-      const { category, amount } = transaction;
-      if (!acc[category]) {
-        acc[category] = 0;
-      }
-      acc[category] += Math.abs(amount);
+      getCategoryAllocations(transaction).forEach(({ category, amount }) => {
+        const categoryId = getRootCategoryId(category);
+        if (!acc[categoryId]) {
+          acc[categoryId] = 0;
+        }
+        acc[categoryId] += Math.abs(amount);
+      });
       return acc;
     }, {});
 
   // Convert to array and sort by amount (descending)
   const categoriesArray = Object.entries(expensesByCategory)
-    .map(([name, amount]) => ({ name, amount }))
+    .map(([id, amount]) => ({ ...getCategoryById(id), amount }))
     .sort((a, b) => b.amount - a.amount)
     .slice(0, limit);
 
-  const colors = generateChartColors(categoriesArray.length, 0.8);
+  const colors = categoriesArray.map(c => c.color);
 
   return {
     labels: categoriesArray.map(c => c.name),
@@ -266,23 +272,46 @@ export const createDailySpendingChartConfig = (transactions, month = new Date(),
   // Get the first and last day of the specified month
   const firstDay = new Date(month.getFullYear(), month.getMonth(), 1);
   const lastDay = new Date(month.getFullYear(), month.getMonth() + 1, 0);
-  const daysInMonth = lastDay.getDate();
-  
+
+  return createDailySpendingRangeConfig(transactions, firstDay, lastDay, currency);
+};
+
+/**
+ * Creates configuration for a breakdown of daily spending between two dates
+ * @param {Array} transactions - Transactions array
+ * @param {Date} startDate - First day to include
+ * @param {Date} endDate - Last day to include
+ * @param {string} currency - Currency code
+ * @returns {Object} Daily spending chart configuration, labelled by day of the month
+ */
+export const createDailySpendingRangeConfig = (transactions, startDate, endDate, currency) => {
+  const firstDay = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  const lastDay = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+
   // Initialize data array with zeros for each day
-  const dailyData = Array(daysInMonth).fill(0);
-  const labels = Array(daysInMonth).fill().map((_, i) => i + 1);
+  const days = [];
+  for (let day = new Date(firstDay); day <= lastDay; day.setDate(day.getDate() + 1)) {
+    days.push(new Date(day));
+  }
+  const dayIndexes = new Map(days.map((day, index) => [day.getTime(), index]));
+  const dailyData = Array(days.length).fill(0);
+  const labels = days.map(day => day.getDate());
   
   // Fill with actual transaction data
   transactions
     .filter(t => t.type === 'expense')
     .forEach(transaction => {
       const transactionDate = new Date(transaction.date);
-      
-      // Only include transactions from the specified month
-      if (transactionDate.getMonth() === month.getMonth() && 
-          transactionDate.getFullYear() === month.getFullYear()) {
-        const day = transactionDate.getDate() - 1; // Adjust for 0-indexed array
-        dailyData[day] += Math.abs(transaction.amount);
+      const transactionDay = new Date(
+        transactionDate.getFullYear(),
+        transactionDate.getMonth(),
+        transactionDate.getDate()
+      );
+
+      // Only include transactions from days within the range
+      const index = dayIndexes.get(transactionDay.getTime());
+      if (index !== undefined) {
+        dailyData[index] += Math.abs(transaction.amount);
       }
     });
   
@@ -0,0 +1,433 @@
+/**
+ * CSV Import Utilities
+ *
+ * Reads bank statements exported as CSV. Banks disagree on almost every
+ * detail, so the delimiter, date format and decimal style are detected from
+ * the file and can be overridden by the user, and each column is mapped to a
+ * transaction field before anything is imported.
+ */
+
+import { parse, isValid } from 'date-fns';
+import { getCategories } from '../constants/categories';
+import { categorizeTransaction } from './autoCategorizationUtil';
+
+export const DELIMITERS = [
+  { id: ',', label: 'Comma' },
+  { id: ';', label: 'Semicolon' },
+  { id: '\t', label: 'Tab' },
+  { id: '|', label: 'Pipe' },
+];
+
+// date-fns patterns, tried in this order when detecting the format
+export const DATE_FORMATS = [
+  'yyyy-MM-dd',
+  'dd/MM/yyyy',
+  'MM/dd/yyyy',
+  'dd-MM-yyyy',
+  'dd.MM.yyyy',
+  'yyyy/MM/dd',
+  'dd/MM/yy',
+  'MM/dd/yy',
+  'dd MMM yyyy',
+  'dd-MMM-yyyy',
+  'MMM dd, yyyy',
+];
+
+export const DECIMAL_STYLES = {
+  DOT: 'dot',       // 1,234.56
+  COMMA: 'comma',   // 1.234,56
+};
+
+// Transaction fields a column can be mapped to
+export const COLUMN_FIELDS = {
+  DATE: 'date',
+  DESCRIPTION: 'description',
+  AMOUNT: 'amount',
+  DEBIT: 'debit',
+  CREDIT: 'credit',
+  CATEGORY: 'category',
+};
+
+export const COLUMN_FIELD_LABELS = {
+  [COLUMN_FIELDS.DATE]: 'Date',
+  [COLUMN_FIELDS.DESCRIPTION]: 'Description',
+  [COLUMN_FIELDS.AMOUNT]: 'Amount',
+  [COLUMN_FIELDS.DEBIT]: 'Debit',
+  [COLUMN_FIELDS.CREDIT]: 'Credit',
+  [COLUMN_FIELDS.CATEGORY]: 'Category',
+};
+
+// Header names banks commonly use for each field
+const HEADER_HINTS = {
+  [COLUMN_FIELDS.DATE]: ['date', 'posted', 'posting date', 'transaction date', 'value date', 'txn date'],
+  [COLUMN_FIELDS.DESCRIPTION]: ['description', 'narration', 'details', 'memo', 'particulars', 'payee', 'remarks', 'name'],
+  [COLUMN_FIELDS.AMOUNT]: ['amount', 'value', 'transaction amount'],
+  [COLUMN_FIELDS.DEBIT]: ['debit', 'withdrawal', 'withdrawals', 'paid out', 'dr'],
+  [COLUMN_FIELDS.CREDIT]: ['credit', 'deposit', 'deposits', 'paid in', 'cr'],
+  [COLUMN_FIELDS.CATEGORY]: ['category', 'type of expense'],
+};
+
+// Rows checked when detecting the file's format
+const SAMPLE_SIZE = 20;
+
+/**
+ * Split CSV text into rows of fields
+ * Handles quoted fields containing delimiters, quotes ("") and line breaks.
+ * @param {string} text - CSV file contents
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array} Rows, each an array of strings; blank lines are dropped
+ */
+export const parseCSV = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Drop the byte order mark some banks write
+  const content = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  return rows
+    .map(fields => fields.map(value => value.trim()))
+    .filter(fields => fields.some(value => value !== ''));
+};
+
+/**
+ * Detect the delimiter: the one that splits the first lines into the same,
+ * largest number of columns
+ * @param {string} text - CSV file contents
+ * @returns {string} Delimiter
+ */
+export const detectDelimiter = (text) => {
+  let best = { delimiter: ',', score: 0 };
+
+  DELIMITERS.forEach(({ id: delimiter }) => {
+    const rows = parseCSV(text.slice(0, 10000), delimiter).slice(0, SAMPLE_SIZE);
+    if (rows.length === 0) return;
+
+    const columnCount = rows[0].length;
+    const consistentRows = rows.filter(row => row.length === columnCount).length;
+    const score = columnCount > 1 ? consistentRows * columnCount : 0;
+
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+
+  return best.delimiter;
+};
+
+/**
+ * Parse a date with a date-fns pattern
+ * @param {string} value - Date text
+ * @param {string} dateFormat - Pattern from DATE_FORMATS
+ * @returns {Date|null} Date, or null if the text does not match
+ */
+export const parseDate = (value, dateFormat) => {
+  if (!value) return null;
+
+  // Some banks append a time to the date
+  const dateText = value.trim().split(/\s+\d{1,2}:\d{2}/)[0];
+  const date = parse(dateText, dateFormat, new Date());
+
+  return isValid(date) && date.getFullYear() > 1900 ? date : null;
+};
+
+/**
+ * Detect the date format: the one that parses the most sample values, as long
+ * as that is at least half of them. Earlier formats win ties.
+ * @param {Array} values - Date texts from the file
+ * @returns {string|null} Pattern from DATE_FORMATS, or null if none fits
+ */
+export const detectDateFormat = (values) => {
+  const samples = values.filter(Boolean).slice(0, SAMPLE_SIZE);
+  if (samples.length === 0) return null;
+
+  let best = { dateFormat: null, count: 0 };
+  DATE_FORMATS.forEach(dateFormat => {
+    const count = samples.filter(value => parseDate(value, dateFormat)).length;
+    if (count > best.count) {
+      best = { dateFormat, count };
+    }
+  });
+
+  return best.count >= samples.length / 2 ? best.dateFormat : null;
+};
+
+/**
+ * Detect whether amounts use a decimal point or a decimal comma
+ * @param {Array} values - Amount texts from the file
+ * @returns {string} Style from DECIMAL_STYLES
+ */
+export const detectDecimalStyle = (values) => {
+  let commaVotes = 0;
+  let dotVotes = 0;
+
+  values.filter(Boolean).slice(0, SAMPLE_SIZE).forEach(value => {
+    if (/,\d{1,2}\)?-?$/.test(value.trim())) commaVotes++;
+    if (/\.\d{1,2}\)?-?$/.test(value.trim())) dotVotes++;
+  });
+
+  return commaVotes > dotVotes ? DECIMAL_STYLES.COMMA : DECIMAL_STYLES.DOT;
+};
+
+/**
+ * Parse an amount such as "1,234.56", "1.234,56", "(45.00)", "45.00-", "45.00 Dr" or "₹ 1,200"
+ * @param {string} value - Amount text
+ * @param {string} decimalStyle - Style from DECIMAL_STYLES
+ * @returns {number} Signed amount, or NaN if the text is not an amount
+ */
+export const parseAmount = (value, decimalStyle = DECIMAL_STYLES.DOT) => {
+  if (value === undefined || value === null) return NaN;
+
+  let text = String(value).trim();
+  if (!text) return NaN;
+
+  // Accounting formats show negatives in parentheses, with a trailing minus or as "Dr"
+  const isNegative = /^\(.*\)$/.test(text) || text.includes('-') || /dr\.?$/i.test(text);
+
+  text = text.replace(/[^0-9.,]/g, '');
+  text = decimalStyle === DECIMAL_STYLES.COMMA
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+
+  if (!/^\d*\.?\d+$/.test(text)) return NaN;
+
+  const amount = parseFloat(text);
+  return isNegative ? -amount : amount;
+};
+
+/**
+ * Check whether the first row holds column names rather than a transaction
+ * @param {Array} rows - Parsed rows
+ * @returns {boolean} True if the first row looks like a header
+ */
+export const detectHeader = (rows) => {
+  if (rows.length < 2) return false;
+
+  const [firstRow] = rows;
+  const hasDate = firstRow.some(value => DATE_FORMATS.some(dateFormat => parseDate(value, dateFormat)));
+  const hasAmount = firstRow.some(value => /\d/.test(value) && !isNaN(parseAmount(value)));
+
+  return !hasDate && !hasAmount;
+};
+
+/**
+ * Guess which column holds each field from the header names
+ * @param {Array} headers - Column names
+ * @returns {Object} Map of field from COLUMN_FIELDS to column index (or null)
+ */
+export const guessColumnMapping = (headers) => {
+  const normalizedHeaders = headers.map(header => header.toLowerCase().replace(/[^a-z ]/g, '').trim());
+  const usedColumns = [];
+
+  // Exact names are matched before partial ones, so "Amount" beats "Amount Type"
+  const findColumn = (hints) => {
+    const matches = [
+      normalizedHeaders.findIndex((header, index) => !usedColumns.includes(index) && hints.includes(header)),
+      normalizedHeaders.findIndex((header, index) => (
+        !usedColumns.includes(index) && hints.some(hint => hint.length > 2 && header.includes(hint))
+      )),
+    ];
+    const index = matches.find(match => match !== -1);
+    if (index === undefined) return null;
+
+    usedColumns.push(index);
+    return index;
+  };
+
+  return Object.values(COLUMN_FIELDS).reduce((mapping, field) => {
+    mapping[field] = findColumn(HEADER_HINTS[field]);
+    return mapping;
+  }, {});
+};
+
+/**
+ * Detect the settings for a file and guess its column mapping
+ * @param {string} text - CSV file contents
+ * @returns {Object} { delimiter, hasHeader, headers, rows, mapping, dateFormat, decimalStyle }
+ */
+export const analyzeCSV = (text) => {
+  const delimiter = detectDelimiter(text);
+  const allRows = parseCSV(text, delimiter);
+  const hasHeader = detectHeader(allRows);
+  const columnCount = Math.max(0, ...allRows.map(row => row.length));
+
+  const headers = hasHeader
+    ? allRows[0]
+    : Array.from({ length: columnCount }, (_, index) => `Column ${index + 1}`);
+  const rows = hasHeader ? allRows.slice(1) : allRows;
+  const mapping = guessColumnMapping(hasHeader ? headers : []);
+  const columnValues = (index) => (index === null ? [] : rows.map(row => row[index]));
+
+  // Without a usable header, guess from the values: the first column of dates,
+  // the first column of numbers and the column with the longest text
+  const unmappedColumns = () => headers
+    .map((_, index) => index)
+    .filter(index => !Object.values(mapping).includes(index));
+
+  if (mapping.date === null) {
+    const dateColumn = unmappedColumns().find(index => detectDateFormat(columnValues(index)));
+    mapping.date = dateColumn === undefined ? null : dateColumn;
+  }
+
+  if (mapping.amount === null && mapping.debit === null && mapping.credit === null) {
+    const amountColumn = unmappedColumns().find(index => {
+      const values = columnValues(index).filter(Boolean).slice(0, SAMPLE_SIZE);
+      return values.length > 0 && values.filter(value => !isNaN(parseAmount(value))).length >= values.length / 2;
+    });
+    mapping.amount = amountColumn === undefined ? null : amountColumn;
+  }
+
+  if (mapping.description === null) {
+    const textLength = (index) => columnValues(index).slice(0, SAMPLE_SIZE).join('').length;
+    const [descriptionColumn] = unmappedColumns().sort((a, b) => textLength(b) - textLength(a));
+    mapping.description = descriptionColumn === undefined ? null : descriptionColumn;
+  }
+
+  return {
+    delimiter,
+    hasHeader,
+    headers,
+    rows,
+    mapping,
+    dateFormat: detectDateFormat(columnValues(mapping.date)) || DATE_FORMATS[0],
+    decimalStyle: detectDecimalStyle([
+      ...columnValues(mapping.amount),
+      ...columnValues(mapping.debit),
+      ...columnValues(mapping.credit),
+    ]),
+  };
+};
+
+/**
+ * Match a category name from the file to a category ID
+ * @param {string} value - Category text, e.g. "Food" or "Food & Drinks"
+ * @param {string} type - 'expense' or 'income'
+ * @returns {string|null} Category ID, or null if nothing matches
+ */
+export const matchCategory = (value, type) => {
+  if (!value) return null;
+
+  const text = value.trim().toLowerCase();
+  const category = getCategories(type).find(c => (
+    c.id.toLowerCase() === text || c.name.toLowerCase() === text
+  ));
+
+  return category ? category.id : null;
+};
+
+/**
+ * Turn parsed rows into transactions using the column mapping
+ * Negative amounts are expenses unless `invertAmounts` is set, for banks that
+ * list spending as positive numbers. Rows without a mapped or recognised
+ * category are auto-categorized from their description.
+ * @param {Array} rows - Parsed rows, without the header
+ * @param {Object} mapping - Map of field to column index
+ * @param {Object} options - { dateFormat, decimalStyle, invertAmounts, firstRowNumber }
+ * @returns {Array} Entries of { rowNumber, values, transaction, errors }
+ */
+export const mapRows = (rows, mapping, {
+  dateFormat,
+  decimalStyle,
+  invertAmounts = false,
+  firstRowNumber = 1,
+} = {}) => {
+  const getValue = (row, field) => (mapping[field] === null || mapping[field] === undefined
+    ? ''
+    : row[mapping[field]] || '');
+
+  return rows.map((row, index) => {
+    const errors = [];
+
+    const date = parseDate(getValue(row, COLUMN_FIELDS.DATE), dateFormat);
+    if (!date) {
+      errors.push(`Invalid date "${getValue(row, COLUMN_FIELDS.DATE)}"`);
+    }
+
+    // Either a signed amount column, or separate debit and credit columns
+    let amount = NaN;
+    if (mapping.amount !== null && mapping.amount !== undefined) {
+      amount = parseAmount(getValue(row, COLUMN_FIELDS.AMOUNT), decimalStyle);
+      if (invertAmounts) amount = -amount;
+    } else {
+      const debit = parseAmount(getValue(row, COLUMN_FIELDS.DEBIT), decimalStyle);
+      const credit = parseAmount(getValue(row, COLUMN_FIELDS.CREDIT), decimalStyle);
+      if (!isNaN(debit) && debit !== 0) amount = -Math.abs(debit);
+      else if (!isNaN(credit) && credit !== 0) amount = Math.abs(credit);
+    }
+
+    if (isNaN(amount) || amount === 0) {
+      errors.push('Missing or invalid amount');
+    }
+
+    const type = amount > 0 ? 'income' : 'expense';
+    const description = getValue(row, COLUMN_FIELDS.DESCRIPTION);
+    const category = matchCategory(getValue(row, COLUMN_FIELDS.CATEGORY), type)
+      || categorizeTransaction(description, Math.abs(amount), type === 'income');
+
+    return {
+      rowNumber: firstRowNumber + index,
+      values: row,
+      transaction: {
+        date: date ? date.toISOString() : null,
+        description,
+        note: description,
+        amount: Math.abs(amount),
+        type,
+        category,
+        tags: [],
+      },
+      errors,
+    };
+  });
+};
+
+export default {
+  DELIMITERS,
+  DATE_FORMATS,
+  DECIMAL_STYLES,
+  COLUMN_FIELDS,
+  COLUMN_FIELD_LABELS,
+  parseCSV,
+  detectDelimiter,
+  parseDate,
+  detectDateFormat,
+  detectDecimalStyle,
+  parseAmount,
+  detectHeader,
+  guessColumnMapping,
+  analyzeCSV,
+  matchCategory,
+  mapRows,
+};
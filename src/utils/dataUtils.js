@@ -2,8 +2,60 @@
  * Utility functions for data processing and analysis
  */
 
+/**
+ * Get the amount a transaction contributes to each category
+ * Split transactions return one entry per split line, everything else a
+ * single entry for the whole amount.
+ * @param {Object} transaction - Transaction object
+ * @returns {Array} Array of { category, amount, note } entries
+ */
+export const getCategoryAllocations = (transaction) => {
+  if (Array.isArray(transaction.splits) && transaction.splits.length > 0) {
+    return transaction.splits.map(split => ({
+      category: split.category,
+      amount: Number(split.amount) || 0,
+      note: split.note || '',
+    }));
+  }
+  
+  return [{
+    category: transaction.category,
+    amount: transaction.amount,
+    note: '',
+  }];
+};
+
+/**
+ * Give a transaction split lines
+ * The first split's category also stays on the transaction, for older app
+ * versions that do not read splits.
+ * @param {Object} transaction - Transaction object
+ * @param {Array} splits - Split lines of { category, amount, note }
+ * @returns {Object} Transaction with its splits and category set
+ */
+export const toSplitTransaction = (transaction, splits) => ({
+  ...transaction,
+  splits: splits.map(split => ({
+    category: split.category,
+    amount: parseFloat(split.amount),
+    note: (split.note || '').trim(),
+  })),
+  category: splits[0].category,
+});
+
+/**
+ * Check whether any part of a transaction belongs to a category
+ * @param {Object} transaction - Transaction object
+ * @param {string} category - Category ID
+ * @returns {boolean} True if the transaction or one of its splits uses the category
+ */
+export const hasCategory = (transaction, category) => {
+  return getCategoryAllocations(transaction).some(allocation => allocation.category === category);
+};
+
 /**
  * Group transactions by category
+ * Split transactions appear under each of their categories with the split amount.
  * @param {Array} transactions - Array of transaction objects
  * @param {string} type - Transaction type to filter by ('income', 'expense', or 'all')
  * @returns {Object} Object with categories as keys and arrays of transactions as values
@@ -14,11 +66,12 @@ export const groupTransactionsByCategory = (transactions, type = 'all') => {
     : transactions.filter(t => t.type === type);
   
   return filteredTransactions.reduce((groups, transaction) => {
-    const category = transaction.category;
-    if (!groups[category]) {
-      groups[category] = [];
-    }
-    groups[category].push(transaction);
+    getCategoryAllocations(transaction).forEach(({ category, amount }) => {
+      if (!groups[category]) {
+        groups[category] = [];
+      }
+      groups[category].push({ ...transaction, category, amount });
+    });
     return groups;
   }, {});
 };
@@ -35,11 +88,12 @@ export const calculateTotalsByCategory = (transactions, type = 'all') => {
     : transactions.filter(t => t.type === type);
   
   return filteredTransactions.reduce((totals, transaction) => {
-    const category = transaction.category;
-    if (!totals[category]) {
-      totals[category] = 0;
-    }
-    totals[category] += transaction.amount;
+    getCategoryAllocations(transaction).forEach(({ category, amount }) => {
+      if (!totals[category]) {
+        totals[category] = 0;
+      }
+      totals[category] += amount;
+    });
     return totals;
   }, {});
 };
@@ -110,4 +164,60 @@ export const calculateFinancialSummary = (transactions) => {
     expense,
     balance: income - expense
   };
-}; 
\ No newline at end of file
+};
+
+/**
+ * Apply a change to an existing financial summary without re-reading every transaction
+ * @param {Object} summary - Current summary with income, expense and balance
+ * @param {Object|null} previous - Transaction as it was before the change (null if added)
+ * @param {Object|null} next - Transaction as it is after the change (null if removed)
+ * @returns {Object} Updated summary
+ */
+export const updateFinancialSummary = (summary, previous, next) => {
+  let { income = 0, expense = 0 } = summary;
+  
+  if (previous?.type === 'income') income -= previous.amount;
+  if (previous?.type === 'expense') expense -= previous.amount;
+  if (next?.type === 'income') income += next.amount;
+  if (next?.type === 'expense') expense += next.amount;
+  
+  return {
+    ...summary,
+    income,
+    expense,
+    balance: income - expense
+  };
+};
+
+/**
+ * Calculate the balance of each account from its opening balance and transactions
+ * @param {Array} accounts - Array of account objects
+ * @param {Array} transactions - Array of transaction objects
+ * @param {string} defaultAccountId - Account used for transactions without an accountId
+ * @returns {Object} Map of account ID to balance
+ */
+export const calculateAccountBalances = (accounts, transactions, defaultAccountId) => {
+  const balances = accounts.reduce((acc, account) => {
+    acc[account.id] = Number(account.openingBalance) || 0;
+    return acc;
+  }, {});
+  
+  transactions.forEach(transaction => {
+    const accountId = transaction.accountId || defaultAccountId;
+    const amount = Number(transaction.amount) || 0;
+    
+    if (transaction.type === 'transfer' && balances[transaction.toAccountId] !== undefined) {
+      balances[transaction.toAccountId] += amount;
+    }
+    
+    if (balances[accountId] === undefined) return;
+    
+    if (transaction.type === 'income') {
+      balances[accountId] += amount;
+    } else if (transaction.type === 'expense' || transaction.type === 'transfer') {
+      balances[accountId] -= amount;
+    }
+  });
+  
+  return balances;
+};
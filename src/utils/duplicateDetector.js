@@ -0,0 +1,253 @@
+/**
+ * Duplicate Detector
+ *
+ * Finds transactions that are probably the same real payment entered twice,
+ * e.g. a statement imported again or Save tapped twice. Two transactions are
+ * compared when they have the same type and amount, fall within a few days of
+ * each other and are not on different accounts; the score then weighs how
+ * close the dates are and how alike the descriptions read. Two occurrences of
+ * the same recurring series are never duplicates of each other.
+ *
+ * Pairs the user has reviewed and kept are remembered per user in
+ * AsyncStorage so they are not suggested again.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { differenceInCalendarDays } from 'date-fns';
+import { normalizeTags } from './tagUtils';
+
+// Largest gap in days between two copies of the same payment
+export const DUPLICATE_DAY_WINDOW = 3;
+
+// Scores at or above this are reported as possible duplicates
+export const DUPLICATE_THRESHOLD = 0.75;
+
+// Amounts closer than this are treated as equal
+const AMOUNT_TOLERANCE = 0.005;
+
+// Statement noise that differs between two copies of the same payment
+const NOISE_WORDS = ['pos', 'upi', 'neft', 'imps', 'txn', 'ref', 'payment', 'purchase', 'card'];
+
+/**
+ * AsyncStorage key for the pairs a user has dismissed
+ * @param {string} userId - The user ID
+ * @returns {string} Storage key
+ */
+export const getDismissedPairsKey = (userId) => `dismissed_duplicates_${userId}`;
+
+/**
+ * Normalise a description for comparison
+ * Case, punctuation, reference numbers and statement noise are dropped, so
+ * "POS 4471 SWIGGY*Order" and "Swiggy order" compare equal. Letters and
+ * combining marks from any script are kept, so "किराना" is a word too.
+ * @param {string} description - Transaction description
+ * @returns {string} Normalised description
+ */
+export const normalizeDescription = (description) => {
+  if (!description) return '';
+
+  return description
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !/\d{3,}/.test(word) && !NOISE_WORDS.includes(word))
+    .join(' ');
+};
+
+/**
+ * How alike two descriptions are, from 0 to 1
+ * @param {string} a - First description
+ * @param {string} b - Second description
+ * @returns {number|null} Share of words in common, or null if either is empty
+ */
+export const descriptionSimilarity = (a, b) => {
+  const wordsA = new Set(normalizeDescription(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeDescription(b).split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return null;
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / new Set([...wordsA, ...wordsB]).size;
+};
+
+// Different occurrences of one series, e.g. a daily charge, match on amount
+// and description by design
+const isSameSeries = (a, b) => (
+  !!a.recurringId
+  && a.recurringId === b.recurringId
+  && Number.isInteger(a.instanceIndex)
+  && Number.isInteger(b.instanceIndex)
+  && a.instanceIndex !== b.instanceIndex
+);
+
+// Quick-add stores its text as the note, the form as the description
+const getDescription = (transaction) => transaction.description || transaction.note || '';
+
+/**
+ * Score how likely two transactions are the same payment
+ * @param {Object} a - First transaction
+ * @param {Object} b - Second transaction
+ * @param {Object} options - `dayWindow` to widen or narrow the date range
+ * @returns {Object|null} { score, daysApart, similarity }, or null if they
+ *   cannot be duplicates
+ */
+export const scoreDuplicate = (a, b, { dayWindow = DUPLICATE_DAY_WINDOW } = {}) => {
+  if (a.type !== b.type) return null;
+  if (Math.abs(Number(a.amount) - Number(b.amount)) > AMOUNT_TOLERANCE) return null;
+  if (a.accountId && b.accountId && a.accountId !== b.accountId) return null;
+  if (isSameSeries(a, b)) return null;
+
+  const daysApart = Math.abs(differenceInCalendarDays(new Date(a.date), new Date(b.date)));
+  if (isNaN(daysApart) || daysApart > dayWindow) return null;
+
+  // A missing description neither helps nor rules the pair out
+  const similarity = descriptionSimilarity(getDescription(a), getDescription(b));
+  const dateScore = 1 - daysApart / (dayWindow + 1);
+  const score = 0.4 + 0.3 * dateScore + 0.3 * (similarity === null ? 0.5 : similarity);
+
+  return { score, daysApart, similarity };
+};
+
+// The Firestore ID is stable across devices; local IDs are used until it exists
+const getTransactionKey = (transaction) => transaction.firestoreId || transaction.id;
+
+/**
+ * Key that identifies a pair of transactions regardless of order
+ * @param {Object} a - First transaction
+ * @param {Object} b - Second transaction
+ * @returns {string} Pair key
+ */
+export const getPairKey = (a, b) => [getTransactionKey(a), getTransactionKey(b)].sort().join('|');
+
+/**
+ * Find existing transactions that a new one may duplicate
+ * @param {Object} transaction - Transaction about to be saved
+ * @param {Array} existingTransactions - Transactions to compare against
+ * @param {Object} options - `dayWindow` and `threshold`
+ * @returns {Array} Matches of { transaction, score }, most likely first
+ */
+export const findDuplicates = (transaction, existingTransactions, {
+  dayWindow = DUPLICATE_DAY_WINDOW,
+  threshold = DUPLICATE_THRESHOLD,
+} = {}) => {
+  return existingTransactions
+    .filter(existing => !transaction.id || existing.id !== transaction.id)
+    .map(existing => ({
+      transaction: existing,
+      score: scoreDuplicate(transaction, existing, { dayWindow })?.score || 0,
+    }))
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Find possible duplicate pairs across a user's history
+ * @param {Array} transactions - Transactions to search
+ * @param {Object} options - `dismissedKeys` to skip, plus `dayWindow` and `threshold`
+ * @returns {Array} Pairs of { key, first, second, score }, most likely first.
+ *   `first` is the older of the two, by date and then by when it was created.
+ */
+export const findDuplicatePairs = (transactions, {
+  dismissedKeys = [],
+  dayWindow = DUPLICATE_DAY_WINDOW,
+  threshold = DUPLICATE_THRESHOLD,
+} = {}) => {
+  const dismissed = new Set(dismissedKeys);
+  const sorted = [...transactions].sort((a, b) => (
+    new Date(a.date) - new Date(b.date)
+    || new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+  ));
+  const pairs = [];
+
+  // Sorted by date, so only the next few days need comparing
+  sorted.forEach((first, index) => {
+    for (let i = index + 1; i < sorted.length; i++) {
+      const second = sorted[i];
+      if (differenceInCalendarDays(new Date(second.date), new Date(first.date)) > dayWindow) break;
+
+      const key = getPairKey(first, second);
+      if (dismissed.has(key)) continue;
+
+      const result = scoreDuplicate(first, second, { dayWindow });
+      if (result && result.score >= threshold) {
+        pairs.push({ key, first, second, score: result.score });
+      }
+    }
+  });
+
+  return pairs.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Work out what the kept transaction gains when a duplicate is merged into it
+ * Tags are combined; the note, description, account and a specific category
+ * are copied over only where the kept transaction has none.
+ * @param {Object} keep - Transaction that stays
+ * @param {Object} remove - Transaction that is deleted
+ * @returns {Object} Fields to update on the kept transaction
+ */
+export const getMergeChanges = (keep, remove) => {
+  const changes = {};
+
+  const tags = normalizeTags([...(keep.tags || []), ...(remove.tags || [])]);
+  if (tags.length !== (keep.tags || []).length) {
+    changes.tags = tags;
+  }
+
+  if (!keep.note && remove.note) {
+    changes.note = remove.note;
+  }
+  if (!keep.description && remove.description) {
+    changes.description = remove.description;
+  }
+  if (!keep.accountId && remove.accountId) {
+    changes.accountId = remove.accountId;
+  }
+  if ((!keep.category || keep.category === 'other') && remove.category && remove.category !== 'other' && !keep.splits) {
+    changes.category = remove.category;
+  }
+
+  return changes;
+};
+
+/**
+ * Load the pair keys a user has dismissed
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Dismissed pair keys
+ */
+export const loadDismissedPairs = async (userId) => {
+  try {
+    const storedKeys = await AsyncStorage.getItem(getDismissedPairsKey(userId));
+    return storedKeys ? JSON.parse(storedKeys) : [];
+  } catch (error) {
+    console.error('Failed to load dismissed duplicates:', error);
+    return [];
+  }
+};
+
+/**
+ * Remember that a pair is not a duplicate
+ * @param {string} userId - The user ID
+ * @param {string} key - Pair key from getPairKey
+ * @returns {Promise} Promise that resolves when the key is saved
+ */
+export const dismissPair = async (userId, key) => {
+  const dismissedKeys = await loadDismissedPairs(userId);
+  if (dismissedKeys.includes(key)) return;
+
+  await AsyncStorage.setItem(getDismissedPairsKey(userId), JSON.stringify([...dismissedKeys, key]));
+};
+
+export default {
+  DUPLICATE_DAY_WINDOW,
+  DUPLICATE_THRESHOLD,
+  getDismissedPairsKey,
+  normalizeDescription,
+  descriptionSimilarity,
+  scoreDuplicate,
+  getPairKey,
+  findDuplicates,
+  findDuplicatePairs,
+  getMergeChanges,
+  loadDismissedPairs,
+  dismissPair,
+};
@@ -0,0 +1,282 @@
+/**
+ * Export Filters
+ *
+ * A filter spec describes which transactions an export includes and which
+ * columns it has. The export screen edits one, the exporters take the rows it
+ * produces, and presets save one under a name so an export such as
+ * "Last year's reimbursements" can be repeated in one tap.
+ *
+ * Empty lists in a spec mean "all"; date ranges other than CUSTOM are worked
+ * out when the export runs, so a saved "Last month" preset stays current.
+ * Financial-year ranges follow the user's financial year setting.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  startOfMonth,
+  endOfMonth,
+  subMonths,
+  startOfYear,
+  endOfYear,
+  subYears,
+  startOfDay,
+  endOfDay,
+} from 'date-fns';
+import { getCategoryAllocations } from './dataUtils';
+import { getFiscalYear, getFiscalYearBounds } from './taxReport';
+import { DEFAULT_FISCAL_YEAR_START_MONTH } from '../constants/tax';
+import { getCategoryLabel, getRootCategoryId } from '../constants/categories';
+import { DEFAULT_ACCOUNT_ID, TRANSFER_TYPE } from '../constants/accounts';
+
+export const DATE_RANGES = {
+  ALL: 'all',
+  THIS_MONTH: 'thisMonth',
+  LAST_MONTH: 'lastMonth',
+  LAST_3_MONTHS: 'last3Months',
+  THIS_YEAR: 'thisYear',
+  LAST_YEAR: 'lastYear',
+  THIS_FISCAL_YEAR: 'thisFiscalYear',
+  LAST_FISCAL_YEAR: 'lastFiscalYear',
+  CUSTOM: 'custom',
+};
+
+export const DATE_RANGE_LABELS = {
+  [DATE_RANGES.ALL]: 'All Time',
+  [DATE_RANGES.THIS_MONTH]: 'This Month',
+  [DATE_RANGES.LAST_MONTH]: 'Last Month',
+  [DATE_RANGES.LAST_3_MONTHS]: 'Last 3 Months',
+  [DATE_RANGES.THIS_YEAR]: 'This Year',
+  [DATE_RANGES.LAST_YEAR]: 'Last Year',
+  [DATE_RANGES.THIS_FISCAL_YEAR]: 'This FY',
+  [DATE_RANGES.LAST_FISCAL_YEAR]: 'Last FY',
+  [DATE_RANGES.CUSTOM]: 'Custom',
+};
+
+// Columns in the order they are written
+export const EXPORT_COLUMNS = [
+  { id: 'date', label: 'Date' },
+  { id: 'description', label: 'Description' },
+  { id: 'category', label: 'Category' },
+  { id: 'type', label: 'Type' },
+  { id: 'account', label: 'Account' },
+  { id: 'amount', label: 'Amount' },
+  { id: 'notes', label: 'Notes' },
+  { id: 'tags', label: 'Tags' },
+];
+
+export const DEFAULT_EXPORT_COLUMNS = ['date', 'description', 'category', 'type', 'amount', 'notes', 'tags'];
+
+export const DEFAULT_EXPORT_FILTER = {
+  dateRange: DATE_RANGES.ALL,
+  startDate: null,
+  endDate: null,
+  types: [],
+  categories: [],
+  tags: [],
+  accounts: [],
+  columns: DEFAULT_EXPORT_COLUMNS,
+};
+
+/**
+ * Get the AsyncStorage key for a user's export presets
+ * @param {string} userId - The user ID
+ * @returns {string} Storage key
+ */
+export const getExportPresetsKey = (userId) => `export_presets_${userId}`;
+
+/**
+ * Work out the dates a filter's range covers
+ * @param {Object} filter - Filter spec
+ * @param {Date} now - The current date (default: now)
+ * @param {number} fiscalYearStartMonth - Month the financial year starts in, 1-12
+ * @returns {Object} { startDate, endDate }, either of which may be null
+ */
+export const getDateRangeBounds = (
+  filter,
+  now = new Date(),
+  fiscalYearStartMonth = DEFAULT_FISCAL_YEAR_START_MONTH
+) => {
+  switch (filter.dateRange) {
+    case DATE_RANGES.THIS_MONTH:
+      return { startDate: startOfMonth(now), endDate: endOfMonth(now) };
+    case DATE_RANGES.LAST_MONTH:
+      return { startDate: startOfMonth(subMonths(now, 1)), endDate: endOfMonth(subMonths(now, 1)) };
+    case DATE_RANGES.LAST_3_MONTHS:
+      return { startDate: startOfMonth(subMonths(now, 2)), endDate: endOfMonth(now) };
+    case DATE_RANGES.THIS_YEAR:
+      return { startDate: startOfYear(now), endDate: endOfYear(now) };
+    case DATE_RANGES.LAST_YEAR:
+      return { startDate: startOfYear(subYears(now, 1)), endDate: endOfYear(subYears(now, 1)) };
+    case DATE_RANGES.THIS_FISCAL_YEAR:
+      return getFiscalYearBounds(getFiscalYear(now, fiscalYearStartMonth), fiscalYearStartMonth);
+    case DATE_RANGES.LAST_FISCAL_YEAR:
+      return getFiscalYearBounds(getFiscalYear(now, fiscalYearStartMonth) - 1, fiscalYearStartMonth);
+    case DATE_RANGES.CUSTOM:
+      return {
+        startDate: filter.startDate ? startOfDay(new Date(filter.startDate)) : null,
+        endDate: filter.endDate ? endOfDay(new Date(filter.endDate)) : null,
+      };
+    default:
+      return { startDate: null, endDate: null };
+  }
+};
+
+/**
+ * Apply a filter spec to transactions
+ * A category matches its subcategories, and a split transaction matches if
+ * any of its lines does. A transfer matches both of its accounts.
+ * @param {Array} transactions - Transactions to filter
+ * @param {Object} filter - Filter spec
+ * @param {Date} now - The current date, for relative ranges
+ * @param {number} fiscalYearStartMonth - Month the financial year starts in, 1-12
+ * @returns {Array} Matching transactions, newest first
+ */
+export const applyExportFilter = (
+  transactions,
+  filter,
+  now = new Date(),
+  fiscalYearStartMonth = DEFAULT_FISCAL_YEAR_START_MONTH
+) => {
+  const { startDate, endDate } = getDateRangeBounds(filter, now, fiscalYearStartMonth);
+  const types = filter.types || [];
+  const categories = filter.categories || [];
+  const tags = filter.tags || [];
+  const accounts = filter.accounts || [];
+
+  return transactions
+    .filter((transaction) => {
+      const date = new Date(transaction.date);
+      if (startDate && date < startDate) return false;
+      if (endDate && date > endDate) return false;
+
+      if (types.length > 0 && !types.includes(transaction.type || 'expense')) return false;
+
+      if (categories.length > 0) {
+        const matches = getCategoryAllocations(transaction).some(({ category }) => (
+          categories.includes(category) || categories.includes(getRootCategoryId(category))
+        ));
+        if (!matches) return false;
+      }
+
+      if (tags.length > 0 && !(transaction.tags || []).some(tag => tags.includes(tag))) return false;
+
+      if (accounts.length > 0) {
+        const accountIds = [transaction.accountId || DEFAULT_ACCOUNT_ID, transaction.toAccountId].filter(Boolean);
+        if (!accountIds.some(id => accounts.includes(id))) return false;
+      }
+
+      return true;
+    })
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+const getAccountName = (accounts, accountId) => {
+  const account = accounts.find(a => a.id === (accountId || DEFAULT_ACCOUNT_ID));
+  return account ? account.name : '';
+};
+
+/**
+ * Get the values of every export column, one row per transaction or per
+ * split line
+ * @param {Array} transactions - Transactions to export
+ * @param {Array} accounts - The user's accounts, for the account column
+ * @returns {Array} Rows keyed by column ID; `date` is the transaction's date
+ *   and `amount` a positive number
+ */
+export const getExportRows = (transactions, accounts = []) => {
+  return transactions.flatMap((transaction) => {
+    const isTransfer = transaction.type === TRANSFER_TYPE;
+    const account = isTransfer
+      ? `${getAccountName(accounts, transaction.accountId)} → ${getAccountName(accounts, transaction.toAccountId)}`
+      : getAccountName(accounts, transaction.accountId);
+    const allocations = isTransfer
+      ? [{ category: null, amount: transaction.amount, note: '' }]
+      : getCategoryAllocations(transaction);
+
+    return allocations.map(allocation => ({
+      date: transaction.date,
+      description: transaction.description || '',
+      category: allocation.category ? getCategoryLabel(allocation.category) : '',
+      type: transaction.type || 'expense',
+      account,
+      amount: Math.abs(Number(allocation.amount) || 0),
+      notes: allocation.note || transaction.note || '',
+      tags: (transaction.tags || []).join(' '),
+    }));
+  });
+};
+
+/**
+ * Get column definitions in export order
+ * @param {Array} columnIds - Column IDs, e.g. a filter spec's `columns`
+ * @returns {Array} Column definitions from EXPORT_COLUMNS
+ */
+export const getExportColumns = (columnIds) => {
+  const ids = columnIds?.length ? columnIds : DEFAULT_EXPORT_COLUMNS;
+  return EXPORT_COLUMNS.filter(column => ids.includes(column.id));
+};
+
+/**
+ * Load a user's saved export presets
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Presets of { id, name, filter }
+ */
+export const loadExportPresets = async (userId) => {
+  try {
+    const storedPresets = await AsyncStorage.getItem(getExportPresetsKey(userId));
+    return storedPresets ? JSON.parse(storedPresets) : [];
+  } catch (error) {
+    console.error('Failed to load export presets:', error);
+    return [];
+  }
+};
+
+/**
+ * Save a filter spec as a named preset, replacing any preset with the same name
+ * @param {string} userId - The user ID
+ * @param {string} name - Preset name
+ * @param {Object} filter - Filter spec
+ * @returns {Promise<Array>} The updated presets
+ */
+export const saveExportPreset = async (userId, name, filter) => {
+  const presets = await loadExportPresets(userId);
+  const existing = presets.find(preset => preset.name.toLowerCase() === name.toLowerCase());
+  const preset = { id: existing?.id || `preset_${Date.now()}`, name, filter };
+
+  const updated = existing
+    ? presets.map(p => (p.id === existing.id ? preset : p))
+    : [...presets, preset];
+
+  await AsyncStorage.setItem(getExportPresetsKey(userId), JSON.stringify(updated));
+  return updated;
+};
+
+/**
+ * Delete a saved export preset
+ * @param {string} userId - The user ID
+ * @param {string} presetId - Preset ID
+ * @returns {Promise<Array>} The remaining presets
+ */
+export const deleteExportPreset = async (userId, presetId) => {
+  const presets = await loadExportPresets(userId);
+  const updated = presets.filter(preset => preset.id !== presetId);
+
+  await AsyncStorage.setItem(getExportPresetsKey(userId), JSON.stringify(updated));
+  return updated;
+};
+
+export default {
+  DATE_RANGES,
+  DATE_RANGE_LABELS,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  DEFAULT_EXPORT_FILTER,
+  getExportPresetsKey,
+  getDateRangeBounds,
+  applyExportFilter,
+  getExportRows,
+  getExportColumns,
+  loadExportPresets,
+  saveExportPreset,
+  deleteExportPreset,
+};
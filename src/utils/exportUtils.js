@@ -2,50 +2,50 @@
  * Export Utilities for Expense Tracker
  * 
  * This utility helps with exporting transaction data to various formats 
- * such as CSV, PDF, and JSON for backup purposes.
+ * such as CSV, Excel, PDF, and JSON for backup purposes, and to OFX and QIF
+ * for other finance apps.
  */
 
 import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
 import * as Print from 'expo-print';
 import { formatCurrency, formatLongDate } from './formatters';
+import { getCategoryAllocations } from './dataUtils';
+import { getCategoryLabel } from '../constants/categories';
+import { getExportRows, getExportColumns } from './exportFilters';
+import { transactionsToOFX, OFX_VERSIONS } from './ofxFormat';
+import { transactionsToQIF } from './qifFormat';
+import { transactionsToXLSX } from './xlsxFormat';
+import { generatePeriodReportHTML } from './reportFormat';
+import { generateTaxSummaryHTML } from './taxReport';
 
 /**
  * Convert transactions to CSV format
  * @param {Array} transactions - The transactions to convert
  * @param {string} currency - Currency code for formatting
+ * @param {Object} options - `columns` (column IDs, see exportFilters.js) and
+ *   `accounts` (the user's accounts, for the account column)
  * @returns {string} CSV string
  */
-export const transactionsToCSV = (transactions, currency = 'USD') => {
+export const transactionsToCSV = (transactions, currency = 'USD', { columns, accounts = [] } = {}) => {
   if (!transactions || transactions.length === 0) {
     return 'No transactions found';
   }
 
-  // Define headers
-  const headers = [
-    'Date',
-    'Description',
-    'Category',
-    'Type',
-    'Amount',
-    'Notes'
-  ];
+  const exportColumns = getExportColumns(columns);
 
   // Create CSV header row
-  let csv = headers.join(',') + '\n';
-
-  // Add transaction rows
-  transactions.forEach(transaction => {
-    const row = [
-      formatDate(transaction.date),
-      escapeCsvField(transaction.description || ''),
-      escapeCsvField(transaction.category || ''),
-      transaction.type || 'expense',
-      transaction.amount,
-      escapeCsvField(transaction.notes || '')
-    ];
-    
-    csv += row.join(',') + '\n';
+  let csv = exportColumns.map(column => column.label).join(',') + '\n';
+
+  // Add transaction rows; split transactions get one row per split line
+  getExportRows(transactions, accounts).forEach(row => {
+    const values = exportColumns.map(({ id }) => {
+      if (id === 'date') return formatDate(row.date);
+      if (id === 'amount') return row.amount;
+      return escapeCsvField(row[id]);
+    });
+
+    csv += values.join(',') + '\n';
   });
 
   return csv;
@@ -104,9 +104,10 @@ export const generateExportFilename = (prefix, extension) => {
  * Export transactions to a CSV file and share it
  * @param {Array} transactions - The transactions to export
  * @param {string} currency - Currency code
+ * @param {Object} options - `columns` and `accounts`, see transactionsToCSV
  * @returns {Promise} Promise that resolves when the export is complete
  */
-export const exportTransactionsToCSV = async (transactions, currency = 'USD') => {
+export const exportTransactionsToCSV = async (transactions, currency = 'USD', options = {}) => {
   try {
     // Check if sharing is available
     const isAvailable = await Sharing.isAvailableAsync();
@@ -115,7 +116,7 @@ export const exportTransactionsToCSV = async (transactions, currency = 'USD') =>
     }
     
     // Convert to CSV
-    const csv = transactionsToCSV(transactions, currency);
+    const csv = transactionsToCSV(transactions, currency, options);
     
     // Generate filename
     const filename = generateExportFilename('expenses', 'csv');
@@ -138,6 +139,49 @@ export const exportTransactionsToCSV = async (transactions, currency = 'USD') =>
   }
 };
 
+/**
+ * Export transactions to an Excel workbook and share it
+ * The workbook has Transactions, Monthly Summary, Category Breakdown and
+ * Budgets vs Actual sheets.
+ * @param {Array} transactions - The transactions to export
+ * @param {string} currency - Currency code
+ * @param {Object} options - `accounts` and `budgets`, see transactionsToWorkbook
+ * @returns {Promise} Promise that resolves when the export is complete
+ */
+export const exportTransactionsToXLSX = async (transactions, currency = 'USD', options = {}) => {
+  try {
+    // Check if sharing is available
+    const isAvailable = await Sharing.isAvailableAsync();
+    if (!isAvailable) {
+      throw new Error('Sharing is not available on this device');
+    }
+
+    // Convert to XLSX
+    const xlsx = transactionsToXLSX(transactions, currency, options);
+
+    // Generate filename
+    const filename = generateExportFilename('expenses', 'xlsx');
+
+    // Write to temporary file
+    const fileUri = `${FileSystem.cacheDirectory}${filename}`;
+    await FileSystem.writeAsStringAsync(fileUri, xlsx, {
+      encoding: FileSystem.EncodingType.Base64
+    });
+
+    // Share the file
+    await Sharing.shareAsync(fileUri, {
+      mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      dialogTitle: 'Export Transactions',
+      UTI: 'org.openxmlformats.spreadsheetml.sheet'
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Export to XLSX failed:', error);
+    throw error;
+  }
+};
+
 /**
  * Convert transactions to JSON format
  * @param {Array} transactions - The transactions to convert
@@ -188,11 +232,98 @@ export const exportTransactionsToJSON = async (transactions) => {
   }
 };
 
+/**
+ * Export transactions to an OFX file and share it
+ * @param {Array} transactions - The transactions to export
+ * @param {Array} accounts - The user's accounts
+ * @param {string} currency - Currency code
+ * @param {Object} options - `version`, OFX_VERSIONS.XML (2.x) or OFX_VERSIONS.SGML (1.x)
+ * @returns {Promise} Promise that resolves when the export is complete
+ */
+export const exportTransactionsToOFX = async (
+  transactions,
+  accounts,
+  currency = 'USD',
+  { version = OFX_VERSIONS.XML } = {}
+) => {
+  try {
+    // Check if sharing is available
+    const isAvailable = await Sharing.isAvailableAsync();
+    if (!isAvailable) {
+      throw new Error('Sharing is not available on this device');
+    }
+
+    // Convert to OFX
+    const ofx = transactionsToOFX(transactions, accounts, { version, currency });
+
+    // Generate filename
+    const filename = generateExportFilename('expenses', 'ofx');
+
+    // Write to temporary file
+    const fileUri = `${FileSystem.cacheDirectory}${filename}`;
+    await FileSystem.writeAsStringAsync(fileUri, ofx);
+
+    // Share the file
+    await Sharing.shareAsync(fileUri, {
+      mimeType: 'application/x-ofx',
+      dialogTitle: 'Export Transactions',
+      UTI: 'com.intuit.ofx'
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Export to OFX failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Export transactions to a QIF file and share it
+ * @param {Array} transactions - The transactions to export
+ * @param {Array} accounts - The user's accounts
+ * @returns {Promise} Promise that resolves when the export is complete
+ */
+export const exportTransactionsToQIF = async (transactions, accounts) => {
+  try {
+    // Check if sharing is available
+    const isAvailable = await Sharing.isAvailableAsync();
+    if (!isAvailable) {
+      throw new Error('Sharing is not available on this device');
+    }
+
+    // Convert to QIF
+    const qif = transactionsToQIF(transactions, accounts);
+
+    // Generate filename
+    const filename = generateExportFilename('expenses', 'qif');
+
+    // Write to temporary file
+    const fileUri = `${FileSystem.cacheDirectory}${filename}`;
+    await FileSystem.writeAsStringAsync(fileUri, qif);
+
+    // Share the file
+    await Sharing.shareAsync(fileUri, {
+      mimeType: 'application/qif',
+      dialogTitle: 'Export Transactions',
+      UTI: 'public.data'
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Export to QIF failed:', error);
+    throw error;
+  }
+};
+
+// Columns of the report's transaction list unless others are chosen
+const PDF_COLUMNS = ['date', 'description', 'category', 'type', 'amount'];
+
 /**
  * Generate HTML for a transactions report
  * @param {Array} transactions - The transactions to include
  * @param {string} currency - Currency code
- * @param {Object} options - Report options
+ * @param {Object} options - Report options; `columns` and `accounts` apply
+ *   to the transaction list when it is not grouped by category
  * @returns {string} HTML content
  */
 export const generateTransactionsReportHTML = (
@@ -209,6 +340,8 @@ export const generateTransactionsReportHTML = (
     subtitle = `Generated on ${formatLongDate(new Date())}`,
     groupByCategory = false,
     includeChart = true,
+    columns = PDF_COLUMNS,
+    accounts = [],
   } = options;
   
   // Calculate summary
@@ -241,11 +374,13 @@ export const generateTransactionsReportHTML = (
     const categories = {};
     
     transactions.forEach(transaction => {
-      const categoryKey = transaction.category || 'Uncategorized';
-      if (!categories[categoryKey]) {
-        categories[categoryKey] = [];
-      }
-      categories[categoryKey].push(transaction);
+      getCategoryAllocations(transaction).forEach(({ category, amount }) => {
+        const categoryKey = category ? getCategoryLabel(category) : 'Uncategorized';
+        if (!categories[categoryKey]) {
+          categories[categoryKey] = [];
+        }
+        categories[categoryKey].push({ ...transaction, category, amount });
+      });
     });
     
     // Create tables for each category
@@ -286,29 +421,28 @@ export const generateTransactionsReportHTML = (
       `;
     });
   } else {
-    // Simple transaction list
+    // Simple transaction list; split transactions get one row per split line
+    const exportColumns = getExportColumns(columns);
+    const formatCell = (id, row) => {
+      if (id === 'date') return formatLongDate(row.date);
+      if (id === 'amount') return formatMoney(row.amount);
+      return row[id];
+    };
+
     tableContent = `
       <table class="transactions-table">
         <thead>
           <tr>
-            <th>Date</th>
-            <th>Description</th>
-            <th>Category</th>
-            <th>Type</th>
-            <th>Amount</th>
+            ${exportColumns.map(column => `<th>${column.label}</th>`).join('')}
           </tr>
         </thead>
         <tbody>
     `;
     
-    transactions.forEach(transaction => {
+    getExportRows(transactions, accounts).forEach(row => {
       tableContent += `
         <tr>
-          <td>${formatLongDate(transaction.date)}</td>
-          <td>${transaction.description || ''}</td>
-          <td>${transaction.category || ''}</td>
-          <td>${transaction.type || 'expense'}</td>
-          <td>${formatMoney(transaction.amount)}</td>
+          ${exportColumns.map(({ id }) => `<td>${formatCell(id, row)}</td>`).join('')}
         </tr>
       `;
     });
@@ -460,12 +594,152 @@ export const exportTransactionsToPDF = async (
   }
 };
 
+/**
+ * Export a report on one period, with charts and a comparison with the
+ * period before, to PDF and share it
+ * @param {Array} transactions - Transactions matching the report's filters,
+ *   for any dates; see generatePeriodReportHTML
+ * @param {string} currency - Currency code
+ * @param {Object} options - period, userName and budgets for the report
+ * @returns {Promise<boolean>} Success status
+ */
+export const exportPeriodReportToPDF = async (transactions, currency = 'USD', options = {}) => {
+  try {
+    const html = generatePeriodReportHTML(transactions, { ...options, currency });
+    const { uri } = await Print.printToFileAsync({ html });
+
+    const filename = generateExportFilename('financial_report', 'pdf');
+    const destinationUri = `${FileSystem.cacheDirectory}${filename}`;
+    await FileSystem.copyAsync({
+      from: uri,
+      to: destinationUri
+    });
+
+    await Sharing.shareAsync(destinationUri, {
+      mimeType: 'application/pdf',
+      dialogTitle: 'Export Financial Report',
+      UTI: 'com.adobe.pdf'
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Export of period report failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Convert a tax summary to CSV: one row per section, then every
+ * tax-relevant transaction
+ * @param {Object} summary - Summary from getTaxSummary (see taxReport.js)
+ * @returns {string} CSV string
+ */
+export const taxSummaryToCSV = (summary) => {
+  let csv = 'Section,Description,Transactions,Claimed,Limit,Eligible,Excess\n';
+  summary.sections.forEach(section => {
+    const values = [
+      escapeCsvField(section.name),
+      escapeCsvField(section.description || ''),
+      section.count,
+      section.total,
+      typeof section.limit === 'number' ? section.limit : '',
+      section.eligible,
+      section.excess,
+    ];
+    csv += values.join(',') + '\n';
+  });
+  csv += `Total,,,${summary.total},,${summary.eligible},\n`;
+
+  csv += '\nDate,Section,Description,Amount\n';
+  [...summary.sections, summary.unassigned].forEach(section => {
+    section.transactions.forEach(transaction => {
+      const values = [
+        formatDate(transaction.date),
+        escapeCsvField(section.name),
+        escapeCsvField(transaction.description || transaction.note || ''),
+        Math.abs(transaction.amount),
+      ];
+      csv += values.join(',') + '\n';
+    });
+  });
+
+  return csv;
+};
+
+/**
+ * Export a tax summary to a CSV file and share it
+ * @param {Object} summary - Summary from getTaxSummary
+ * @returns {Promise<boolean>} Success status
+ */
+export const exportTaxSummaryToCSV = async (summary) => {
+  try {
+    const isAvailable = await Sharing.isAvailableAsync();
+    if (!isAvailable) {
+      throw new Error('Sharing is not available on this device');
+    }
+
+    const filename = generateExportFilename(`tax_summary_${summary.fiscalYear}`, 'csv');
+    const fileUri = `${FileSystem.cacheDirectory}${filename}`;
+    await FileSystem.writeAsStringAsync(fileUri, taxSummaryToCSV(summary));
+
+    await Sharing.shareAsync(fileUri, {
+      mimeType: 'text/csv',
+      dialogTitle: 'Export Tax Summary',
+      UTI: 'public.comma-separated-values-text'
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Export of tax summary to CSV failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Export a tax summary to PDF and share it
+ * @param {Object} summary - Summary from getTaxSummary
+ * @param {string} currency - Currency code
+ * @param {Object} options - userName for the report
+ * @returns {Promise<boolean>} Success status
+ */
+export const exportTaxSummaryToPDF = async (summary, currency = 'INR', options = {}) => {
+  try {
+    const html = generateTaxSummaryHTML(summary, currency, options);
+    const { uri } = await Print.printToFileAsync({ html });
+
+    const filename = generateExportFilename(`tax_summary_${summary.fiscalYear}`, 'pdf');
+    const destinationUri = `${FileSystem.cacheDirectory}${filename}`;
+    await FileSystem.copyAsync({
+      from: uri,
+      to: destinationUri
+    });
+
+    await Sharing.shareAsync(destinationUri, {
+      mimeType: 'application/pdf',
+      dialogTitle: 'Export Tax Summary',
+      UTI: 'com.adobe.pdf'
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Export of tax summary to PDF failed:', error);
+    throw error;
+  }
+};
+
 export default {
   transactionsToCSV,
   transactionsToJSON,
   exportTransactionsToCSV,
+  exportTransactionsToXLSX,
   exportTransactionsToJSON,
   exportTransactionsToPDF,
+  exportPeriodReportToPDF,
+  taxSummaryToCSV,
+  exportTaxSummaryToCSV,
+  exportTaxSummaryToPDF,
+  exportTransactionsToOFX,
+  exportTransactionsToQIF,
   generateExportFilename,
   generateTransactionsReportHTML
 }; 
\ No newline at end of file
@@ -56,4 +56,14 @@ export const formatLongDate = (dateInput) => {
  */
 export const formatPercentage = (value, fractionDigits = 1) => {
   return `${value.toFixed(fractionDigits)}%`;
-}; 
\ No newline at end of file
+}; 
+/**
+ * Escape text for use in HTML, such as a report printed with expo-print
+ * @param {*} value - The value to escape; null and undefined become ''
+ * @returns {string} Text safe to use in element content and quoted attributes
+ */
+export const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
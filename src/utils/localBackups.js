@@ -0,0 +1,312 @@
+/**
+ * Local Backups
+ *
+ * Automatic backups written to the app's document directory, so there is a
+ * recent copy of the account even for users who never export. A backup is
+ * made on launch or when the app comes to the foreground once the last one is
+ * a day or a week old, and only the newest few are kept.
+ *
+ * Each file holds a backup archive (see backup.js) encrypted with AES-256.
+ * The key is generated per user on first use and kept in the device's secure
+ * store, so the files can only be read on this device; shared copies are
+ * decrypted for that reason.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import * as FileSystem from 'expo-file-system';
+import * as SecureStore from 'expo-secure-store';
+import * as Sharing from 'expo-sharing';
+import CryptoJS from 'crypto-js';
+import { differenceInCalendarDays, format } from 'date-fns';
+import { createBackup, serializeBackup, parseBackup } from './backup';
+
+export const BACKUP_FREQUENCIES = {
+  OFF: 'off',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+};
+
+export const BACKUP_FREQUENCY_LABELS = {
+  [BACKUP_FREQUENCIES.OFF]: 'Off',
+  [BACKUP_FREQUENCIES.DAILY]: 'Daily',
+  [BACKUP_FREQUENCIES.WEEKLY]: 'Weekly',
+};
+
+// Days between automatic backups
+const FREQUENCY_DAYS = {
+  [BACKUP_FREQUENCIES.DAILY]: 1,
+  [BACKUP_FREQUENCIES.WEEKLY]: 7,
+};
+
+export const KEEP_COUNT_OPTIONS = [3, 5, 10, 20];
+
+export const DEFAULT_BACKUP_SETTINGS = {
+  frequency: BACKUP_FREQUENCIES.WEEKLY,
+  keepCount: 5,
+};
+
+const BACKUP_APP_ID = 'expense-tracker';
+const ENCRYPTION = 'AES-256-CBC';
+const FILE_PREFIX = 'backup_';
+const FILE_EXTENSION = '.etbackup';
+const FILE_DATE_FORMAT = 'yyyyMMdd_HHmmss';
+
+/**
+ * Get the AsyncStorage key for a user's backup settings
+ * @param {string} userId - The user ID
+ * @returns {string} Storage key
+ */
+export const getBackupSettingsKey = (userId) => `backup_settings_${userId}`;
+
+const getEncryptionKeyName = (userId) => `backup_key_${userId}`;
+
+const getBackupDirectory = (userId) => `${FileSystem.documentDirectory}backups/${userId}/`;
+
+const bytesToHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Load a user's backup settings
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} { frequency, keepCount }
+ */
+export const loadBackupSettings = async (userId) => {
+  try {
+    const storedSettings = await AsyncStorage.getItem(getBackupSettingsKey(userId));
+    return storedSettings
+      ? { ...DEFAULT_BACKUP_SETTINGS, ...JSON.parse(storedSettings) }
+      : DEFAULT_BACKUP_SETTINGS;
+  } catch (error) {
+    console.error('Failed to load backup settings:', error);
+    return DEFAULT_BACKUP_SETTINGS;
+  }
+};
+
+/**
+ * Save a user's backup settings, removing backups beyond the new limit
+ * @param {string} userId - The user ID
+ * @param {Object} settings - { frequency, keepCount }
+ * @returns {Promise<Object>} The saved settings
+ */
+export const saveBackupSettings = async (userId, settings) => {
+  await AsyncStorage.setItem(getBackupSettingsKey(userId), JSON.stringify(settings));
+  await pruneLocalBackups(userId, settings.keepCount);
+  return settings;
+};
+
+// The user's key, created the first time it is needed
+const getEncryptionKey = async (userId) => {
+  const keyName = getEncryptionKeyName(userId);
+  const storedKey = await SecureStore.getItemAsync(keyName);
+  if (storedKey) return storedKey;
+
+  const key = bytesToHex(Crypto.getRandomBytes(32));
+  await SecureStore.setItemAsync(keyName, key);
+  return key;
+};
+
+const encrypt = (text, keyHex) => {
+  const iv = bytesToHex(Crypto.getRandomBytes(16));
+  const data = CryptoJS.AES.encrypt(text, CryptoJS.enc.Hex.parse(keyHex), {
+    iv: CryptoJS.enc.Hex.parse(iv),
+  }).toString();
+
+  return { iv, data };
+};
+
+const decrypt = ({ iv, data }, keyHex) => {
+  try {
+    const text = CryptoJS.AES.decrypt(data, CryptoJS.enc.Hex.parse(keyHex), {
+      iv: CryptoJS.enc.Hex.parse(iv),
+    }).toString(CryptoJS.enc.Utf8);
+    if (text) return text;
+  } catch (error) {
+    // Falls through: a wrong key gives bytes that are not valid UTF-8
+  }
+  throw new Error('This backup could not be decrypted on this device.');
+};
+
+const parseFileDate = (name) => {
+  const match = name.match(/^backup_(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+/**
+ * List a user's local backups
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Backups of { name, uri, size, createdAt }, newest
+ *   first; size is in bytes and createdAt a Date
+ */
+export const listLocalBackups = async (userId) => {
+  const directory = getBackupDirectory(userId);
+  const directoryInfo = await FileSystem.getInfoAsync(directory);
+  if (!directoryInfo.exists) return [];
+
+  const names = await FileSystem.readDirectoryAsync(directory);
+  const backups = await Promise.all(
+    names
+      .filter(name => name.startsWith(FILE_PREFIX) && name.endsWith(FILE_EXTENSION))
+      .map(async (name) => {
+        const uri = `${directory}${name}`;
+        const info = await FileSystem.getInfoAsync(uri);
+        return {
+          name,
+          uri,
+          size: info.size || 0,
+          createdAt: parseFileDate(name) || new Date((info.modificationTime || 0) * 1000),
+        };
+      })
+  );
+
+  return backups.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Back up the account to a new encrypted file
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} The new backup, as listed by listLocalBackups
+ */
+export const writeLocalBackup = async (userId) => {
+  const archive = await createBackup(userId);
+  const key = await getEncryptionKey(userId);
+  const createdAt = new Date(archive.createdAt);
+
+  const directory = getBackupDirectory(userId);
+  await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+
+  const name = `${FILE_PREFIX}${format(createdAt, FILE_DATE_FORMAT)}${FILE_EXTENSION}`;
+  const uri = `${directory}${name}`;
+  const contents = JSON.stringify({
+    app: BACKUP_APP_ID,
+    encryption: ENCRYPTION,
+    createdAt: archive.createdAt,
+    ...encrypt(serializeBackup(archive), key),
+  });
+  await FileSystem.writeAsStringAsync(uri, contents);
+
+  const info = await FileSystem.getInfoAsync(uri);
+  return { name, uri, size: info.size || contents.length, createdAt };
+};
+
+/**
+ * Delete all but a user's newest backups
+ * @param {string} userId - The user ID
+ * @param {number} keepCount - Number of backups to keep
+ * @returns {Promise} Promise that resolves when old backups are deleted
+ */
+export const pruneLocalBackups = async (userId, keepCount) => {
+  const backups = await listLocalBackups(userId);
+  await Promise.all(
+    backups.slice(keepCount).map(backup => FileSystem.deleteAsync(backup.uri, { idempotent: true }))
+  );
+};
+
+/**
+ * Read and decrypt a local backup
+ * @param {string} userId - The user ID
+ * @param {Object} backup - Backup from listLocalBackups
+ * @returns {Promise<Object>} The archive, checked and upgraded; see parseBackup
+ */
+export const readLocalBackup = async (userId, backup) => {
+  const file = JSON.parse(await FileSystem.readAsStringAsync(backup.uri));
+  const key = await getEncryptionKey(userId);
+  return parseBackup(decrypt(file, key));
+};
+
+/**
+ * Share a decrypted copy of a local backup, which the restore screen can
+ * read on any device
+ * @param {string} userId - The user ID
+ * @param {Object} backup - Backup from listLocalBackups
+ * @returns {Promise} Promise that resolves when the share sheet closes
+ */
+export const shareLocalBackup = async (userId, backup) => {
+  const isAvailable = await Sharing.isAvailableAsync();
+  if (!isAvailable) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const file = JSON.parse(await FileSystem.readAsStringAsync(backup.uri));
+  const text = decrypt(file, await getEncryptionKey(userId));
+
+  const fileUri = `${FileSystem.cacheDirectory}${backup.name.replace(FILE_EXTENSION, '.json')}`;
+  await FileSystem.writeAsStringAsync(fileUri, text);
+
+  await Sharing.shareAsync(fileUri, {
+    mimeType: 'application/json',
+    dialogTitle: 'Share Backup',
+    UTI: 'public.json'
+  });
+};
+
+/**
+ * Whether an automatic backup is due
+ * @param {Date|null} lastBackupDate - When the newest backup was made
+ * @param {string} frequency - A BACKUP_FREQUENCIES value
+ * @param {Date} now - The current date (default: now)
+ * @returns {boolean} Whether to back up now
+ */
+export const isBackupDue = (lastBackupDate, frequency, now = new Date()) => {
+  if (!FREQUENCY_DAYS[frequency]) return false;
+  if (!lastBackupDate) return true;
+  return differenceInCalendarDays(now, lastBackupDate) >= FREQUENCY_DAYS[frequency];
+};
+
+let scheduledBackup = null;
+
+/**
+ * Make an automatic backup if one is due, then apply the retention limit
+ * Safe to call on every launch and resume; a run already in progress is
+ * reused rather than started twice.
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The new backup, or null if none was due
+ */
+export const runScheduledBackup = (userId) => {
+  if (scheduledBackup) return scheduledBackup;
+
+  scheduledBackup = (async () => {
+    const settings = await loadBackupSettings(userId);
+    const [lastBackup] = await listLocalBackups(userId);
+    if (!isBackupDue(lastBackup?.createdAt || null, settings.frequency)) return null;
+
+    const backup = await writeLocalBackup(userId);
+    await pruneLocalBackups(userId, settings.keepCount);
+    return backup;
+  })();
+
+  return scheduledBackup.finally(() => {
+    scheduledBackup = null;
+  });
+};
+
+/**
+ * Delete a user's local backups, encryption key and settings
+ * @param {string} userId - The user ID
+ * @returns {Promise} Promise that resolves when everything is deleted
+ */
+export const deleteLocalBackups = async (userId) => {
+  await FileSystem.deleteAsync(getBackupDirectory(userId), { idempotent: true });
+  await SecureStore.deleteItemAsync(getEncryptionKeyName(userId));
+  await AsyncStorage.removeItem(getBackupSettingsKey(userId));
+};
+
+export default {
+  BACKUP_FREQUENCIES,
+  BACKUP_FREQUENCY_LABELS,
+  KEEP_COUNT_OPTIONS,
+  DEFAULT_BACKUP_SETTINGS,
+  getBackupSettingsKey,
+  loadBackupSettings,
+  saveBackupSettings,
+  listLocalBackups,
+  writeLocalBackup,
+  pruneLocalBackups,
+  readLocalBackup,
+  shareLocalBackup,
+  isBackupDue,
+  runScheduledBackup,
+  deleteLocalBackups,
+};
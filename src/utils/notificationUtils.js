@@ -1,8 +1,15 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Notifications from 'expo-notifications';
 import { Platform } from 'react-native';
-import { auth, db } from './firebase';
-import { doc, getDoc, getDocs, collection, query, where, Timestamp, limit } from 'firebase/firestore';
+import { auth } from './firebase';
+import {
+  toDate,
+  getUserData,
+  getTransactions,
+  getBills,
+  getRecurringDefinitions,
+  canReadUserData,
+} from './repository';
 
 // Check and request notification permissions
 export const registerForPushNotifications = async () => {
@@ -55,12 +62,11 @@ export const scheduleBudgetThresholdNotification = async (userId) => {
     }
 
     // Get the user document to get the monthly budget
-    const userDoc = await getDoc(doc(db, 'users', userId));
-    if (!userDoc.exists()) {
+    const userData = await getUserData(userId);
+    if (!userData) {
       return false;
     }
     
-    const userData = userDoc.data();
     const monthlyBudget = userData.monthlyBudget;
     const currency = userData.currency || 'USD';
     
@@ -75,28 +81,17 @@ export const scheduleBudgetThresholdNotification = async (userId) => {
     const currentYear = now.getFullYear();
     
     // Get expenses for current month
-    const transactionsRef = collection(db, 'users', userId, 'transactions');
-    const expenseQuery = query(
-      transactionsRef,
-      where('type', '==', 'expense')
-    );
-    
-    const expensesSnapshot = await getDocs(expenseQuery);
-    let totalSpent = 0;
-    
-    expensesSnapshot.forEach(doc => {
-      const transaction = doc.data();
-      const transactionDate = transaction.date instanceof Timestamp 
-        ? transaction.date.toDate() 
-        : new Date(transaction.date);
-      
-      // Only count expenses for the current month
-      if (transactionDate.getMonth() === currentMonth && 
-          transactionDate.getFullYear() === currentYear) {
-        totalSpent += Math.abs(transaction.amount);
-      }
+    const expenses = await getTransactions(userId, {
+      type: 'expense',
+      startDate: new Date(currentYear, currentMonth, 1),
+      endDate: new Date(currentYear, currentMonth + 1, 0, 23, 59, 59, 999),
     });
     
+    const totalSpent = expenses.reduce(
+      (sum, transaction) => sum + Math.abs(transaction.amount),
+      0
+    );
+    
     // Calculate percentage of budget used
     const budgetUsed = (totalSpent / monthlyBudget) * 100;
     
@@ -179,8 +174,8 @@ export const scheduleUpcomingBillReminders = async (userId) => {
     // Verify the user has the correct permissions
     try {
       // Test by getting the user document first
-      const userDoc = await getDoc(doc(db, 'users', userId));
-      if (!userDoc.exists()) {
+      const userData = await getUserData(userId);
+      if (!userData) {
         return false;
       }
     } catch (permissionError) {
@@ -195,22 +190,10 @@ export const scheduleUpcomingBillReminders = async (userId) => {
     
     // Get transactions categorized as bills
     try {
-      const transactionsRef = collection(db, 'users', userId, 'transactions');
-      const billsQuery = query(
-        transactionsRef, 
-        where('category', '==', 'bills'),
-        where('type', '==', 'expense')
-      );
-      
-      const billsSnapshot = await getDocs(billsQuery);
-      
-      if (billsSnapshot.empty) {
-        // Continue execution to check recurring bills
-      } else {
-        billsSnapshot.forEach(doc => {
-          bills.push(doc.data());
-        });
-      }
+      bills = await getTransactions(userId, {
+        category: 'bills',
+        type: 'expense',
+      });
     } catch (transactionError) {
       // Continue with empty bills array
     }
@@ -221,17 +204,13 @@ export const scheduleUpcomingBillReminders = async (userId) => {
     
     // Get recurring bills
     try {
-      const recurringRef = collection(db, 'users', userId, 'recurringTransactions');
-      const recurringSnapshot = await getDocs(recurringRef);
+      const recurringDefinitions = await getRecurringDefinitions(userId);
       
-      recurringSnapshot.forEach(doc => {
-        const data = doc.data();
-        if (data.baseTransaction && 
-            data.baseTransaction.category === 'bills' &&
-            data.baseTransaction.type === 'expense') {
-          recurringBills.push(data);
-        }
-      });
+      recurringBills = recurringDefinitions.filter(data => (
+        data.baseTransaction && 
+        data.baseTransaction.category === 'bills' &&
+        data.baseTransaction.type === 'expense'
+      ));
     } catch (recurringError) {
       // Continue with empty recurringBills array
     }
@@ -244,9 +223,7 @@ export const scheduleUpcomingBillReminders = async (userId) => {
     // Group bills by due date pattern (e.g., bills that occur on the same day of month)
     const billsByDay = {};
     bills.forEach(bill => {
-      const billDate = bill.date instanceof Timestamp 
-        ? bill.date.toDate() 
-        : new Date(bill.date);
+      const billDate = toDate(bill.date);
       
       const dayOfMonth = billDate.getDate();
       const key = `${dayOfMonth}`;
@@ -260,9 +237,7 @@ export const scheduleUpcomingBillReminders = async (userId) => {
     
     // Add recurring bills to the day patterns
     recurringBills.forEach(recurringBill => {
-      const startDate = recurringBill.startDate instanceof Timestamp 
-        ? recurringBill.startDate.toDate() 
-        : new Date(recurringBill.startDate);
+      const startDate = toDate(recurringBill.startDate);
       
       const dayOfMonth = startDate.getDate();
       
@@ -355,8 +330,8 @@ export const getUpcomingBills = async (userId) => {
     // Verify the user has the correct permissions
     try {
       // Test by getting the user document first
-      const userDoc = await getDoc(doc(db, 'users', userId));
-      if (!userDoc.exists()) {
+      const userData = await getUserData(userId);
+      if (!userData) {
         return [];
       }
     } catch (permissionError) {
@@ -371,32 +346,19 @@ export const getUpcomingBills = async (userId) => {
     
     // Get bills from the bills collection
     try {
-      const billsRef = collection(db, 'users', userId, 'bills');
-      const billsSnapshot = await getDocs(billsRef);
+      const storedBills = await getBills(userId);
       
-      billsSnapshot.forEach(doc => {
-        const billData = doc.data();
-        const dueDate = billData.dueDate instanceof Timestamp 
-          ? billData.dueDate.toDate() 
-          : new Date(billData.dueDate);
-        
-        bills.push({
-          id: doc.id,
-          ...billData,
-          date: dueDate,
-          recurring: billData.frequency !== 'once'
-        });
-      });
+      bills = storedBills.map(billData => ({
+        ...billData,
+        date: toDate(billData.dueDate),
+        recurring: billData.frequency !== 'once'
+      }));
     } catch (billsError) {
       // Continue with empty bills array
     }
     
     // Sort by date
-    return bills.sort((a, b) => {
-      const dateA = a.date instanceof Timestamp ? a.date.toDate() : new Date(a.date);
-      const dateB = b.date instanceof Timestamp ? b.date.toDate() : new Date(b.date);
-      return dateA - dateB;
-    });
+    return bills.sort((a, b) => toDate(a.date) - toDate(b.date));
     
   } catch (error) {
     console.error('Error getting upcoming bills:', error);
@@ -415,29 +377,8 @@ export const checkFirestorePermissions = async (userId) => {
       return false;
     }
 
-    // Test reading the user document
-    const userDoc = await getDoc(doc(db, 'users', userId));
-    if (!userDoc.exists()) {
-      return false;
-    }
-    
-    // Test reading from transactions collection
-    try {
-      const transactionsRef = collection(db, 'users', userId, 'transactions');
-      await getDocs(query(transactionsRef, limit(1)));
-    } catch (error) {
-      return false;
-    }
-    
-    // Test reading from recurringTransactions collection
-    try {
-      const recurringRef = collection(db, 'users', userId, 'recurringTransactions');
-      await getDocs(query(recurringRef, limit(1)));
-    } catch (error) {
-      return false;
-    }
-    
-    return true;
+    // Test reading the user document, transactions, bills and recurring definitions
+    return await canReadUserData(userId);
   } catch (error) {
     console.error('Error checking Firestore permissions:', error);
     return false;
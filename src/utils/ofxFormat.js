@@ -0,0 +1,341 @@
+/**
+ * OFX Format
+ *
+ * Reads and writes Open Financial Exchange statements, the format behind most
+ * banks' "Download for Quicken / Money" option (.ofx and .qfx files).
+ * Version 1.x files are SGML, where elements holding a value are never
+ * closed; version 2.x files are XML. Both are read by the same tag scanner,
+ * which treats a tag followed by text as a value and a known aggregate, or
+ * a tag closed before its parent is, as the start of a block. Any other tag
+ * is an empty value, such as a bare <MEMO> in SGML.
+ *
+ * Every statement transaction carries a FITID, an ID the bank never reuses
+ * for the account, which is what makes importing the same file twice safe.
+ */
+
+import { getCategoryLabel } from '../constants/categories';
+import { DEFAULT_ACCOUNT_ID, TRANSFER_TYPE } from '../constants/accounts';
+
+export const OFX_VERSIONS = {
+  SGML: 1,
+  XML: 2,
+};
+
+// OFX names are limited to 32 characters
+const MAX_NAME_LENGTH = 32;
+
+const TAG_PATTERN = /<(\/?)([A-Za-z0-9.]+)>([^<]*)/g;
+
+// Aggregates in bank and card statements, which are blocks even in a file
+// that forgets to close them
+const AGGREGATES = new Set([
+  'OFX', 'SIGNONMSGSRSV1', 'SONRS', 'STATUS', 'FI',
+  'BANKMSGSRSV1', 'STMTTRNRS', 'STMTRS', 'BANKACCTFROM', 'BANKACCTTO',
+  'CREDITCARDMSGSRSV1', 'CCSTMTTRNRS', 'CCSTMTRS', 'CCACCTFROM', 'CCACCTTO',
+  'BANKTRANLIST', 'STMTTRN', 'PAYEE', 'CURRENCY', 'ORIGCURRENCY',
+  'LEDGERBAL', 'AVAILBAL',
+]);
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+  '&nbsp;': ' ',
+};
+
+const decodeEntities = (text) => text.replace(/&[a-z]+;/g, entity => ENTITIES[entity] ?? entity);
+
+const encodeEntities = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Check whether a file looks like OFX
+ * @param {string} text - File contents
+ * @returns {boolean} True for OFX 1.x or 2.x
+ */
+export const isOFX = (text) => /OFXHEADER|<OFX>/i.test(text.slice(0, 2000));
+
+// Whether a tag with no text opens a block: it is an aggregate, or its
+// closing tag comes before the one for its parent. `body` has its closing
+// tags in upper case.
+const opensBlock = (body, from, name, parentName) => {
+  if (AGGREGATES.has(name)) return true;
+
+  const closeIndex = body.indexOf(`</${name}>`, from);
+  const parentCloseIndex = body.indexOf(`</${parentName}>`, from);
+  return closeIndex >= 0 && (parentCloseIndex < 0 || closeIndex < parentCloseIndex);
+};
+
+/**
+ * Parse the element tree of an OFX file
+ * @param {string} text - File contents
+ * @returns {Object} Root node; each node has { name, values, children }
+ */
+export const parseOFXTree = (text) => {
+  const start = text.search(/<OFX>/i);
+  if (start < 0) {
+    throw new Error('This file does not contain an OFX statement');
+  }
+
+  const root = { name: 'ROOT', values: {}, children: [] };
+  const stack = [root];
+  const body = text.slice(start);
+  const closingTagsBody = body.replace(/<\/[A-Za-z0-9.]+>/g, tag => tag.toUpperCase());
+  let lastValueTag = null;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(body)) !== null) {
+    const [, closing, rawName, rawText] = match;
+    const name = rawName.toUpperCase();
+    const value = decodeEntities(rawText.trim());
+    const current = stack[stack.length - 1];
+
+    if (closing) {
+      // XML also closes value elements; those were stored when they opened
+      if (name !== lastValueTag) {
+        const index = stack.map(node => node.name).lastIndexOf(name);
+        if (index > 0) stack.length = index;
+      }
+      lastValueTag = null;
+    } else if (value || !opensBlock(closingTagsBody, TAG_PATTERN.lastIndex, name, current.name)) {
+      current.values[name] = value;
+      lastValueTag = name;
+    } else {
+      const node = { name, values: {}, children: [] };
+      current.children.push(node);
+      stack.push(node);
+      lastValueTag = null;
+    }
+  }
+
+  return root;
+};
+
+// Every block with the given name under a node, at any depth
+const findAll = (node, name) => node.children.reduce((found, child) => [
+  ...found,
+  ...(child.name === name ? [child] : []),
+  ...findAll(child, name),
+], []);
+
+const findFirst = (node, name) => findAll(node, name)[0] || null;
+
+/**
+ * Parse an OFX date, e.g. "20261001", "20261001120000" or
+ * "20261001120000.000[-5:EST]". Only the calendar date is kept.
+ * @param {string} value - OFX date
+ * @returns {Date|null} Local date, or null if it cannot be read
+ */
+export const parseOFXDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 ? date : null;
+};
+
+/**
+ * Format a date as an OFX date (YYYYMMDD)
+ * @param {string|Date} value - Date to format
+ * @returns {string} OFX date
+ */
+export const formatOFXDate = (value) => {
+  const date = new Date(value);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('');
+};
+
+// Statement transactions, in the shape shared with the QIF reader
+const readTransactions = (statement) => findAll(statement, 'STMTTRN').map(({ values }) => ({
+  fitId: values.FITID || null,
+  date: parseOFXDate(values.DTPOSTED || values.DTUSER),
+  dateText: values.DTPOSTED || values.DTUSER || '',
+  amount: parseFloat(values.TRNAMT),
+  amountText: values.TRNAMT || '',
+  payee: values.NAME || values.PAYEEID || '',
+  memo: values.MEMO || '',
+  checkNumber: values.CHECKNUM || null,
+}));
+
+/**
+ * Parse an OFX or QFX file
+ * @param {string} text - File contents
+ * @returns {Object} { accounts }, each account with { name, accountNumber,
+ *   accountType ('bank' or 'credit'), currency, balance, transactions }.
+ *   Transaction amounts are signed: negative amounts left the account.
+ */
+export const parseOFX = (text) => {
+  const root = parseOFXTree(text);
+
+  const bankAccounts = findAll(root, 'STMTRS').map((statement) => {
+    const accountFrom = findFirst(statement, 'BANKACCTFROM');
+    return { statement, accountFrom, accountType: 'bank' };
+  });
+  const cardAccounts = findAll(root, 'CCSTMTRS').map((statement) => {
+    const accountFrom = findFirst(statement, 'CCACCTFROM');
+    return { statement, accountFrom, accountType: 'credit' };
+  });
+
+  const accounts = [...bankAccounts, ...cardAccounts].map(({ statement, accountFrom, accountType }) => {
+    const accountNumber = accountFrom?.values.ACCTID || '';
+    const balance = parseFloat(findFirst(statement, 'LEDGERBAL')?.values.BALAMT);
+
+    return {
+      name: accountNumber ? `${accountType === 'credit' ? 'Card' : 'Account'} ${accountNumber.slice(-4)}` : '',
+      accountNumber,
+      accountType,
+      currency: statement.values.CURDEF || null,
+      balance: isNaN(balance) ? null : balance,
+      transactions: readTransactions(statement),
+    };
+  });
+
+  if (accounts.length === 0) {
+    throw new Error('No bank or credit card statements were found in this file');
+  }
+
+  return { accounts };
+};
+
+// OFX 1.x leaves value elements open; 2.x closes them
+const serialize = (node, version, depth = 0) => {
+  const indent = '  '.repeat(depth);
+  const [name, content] = node;
+
+  if (Array.isArray(content)) {
+    return [
+      `${indent}<${name}>`,
+      ...content.filter(Boolean).map(child => serialize(child, version, depth + 1)),
+      `${indent}</${name}>`,
+    ].join('\n');
+  }
+
+  const value = encodeEntities(content);
+  return version === OFX_VERSIONS.SGML
+    ? `${indent}<${name}>${value}`
+    : `${indent}<${name}>${value}</${name}>`;
+};
+
+const HEADERS = {
+  [OFX_VERSIONS.SGML]: [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:UTF-8',
+    'CHARSET:NONE',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+  ].join('\n'),
+  [OFX_VERSIONS.XML]: [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+  ].join('\n'),
+};
+
+const STATUS_OK = ['STATUS', [['CODE', '0'], ['SEVERITY', 'INFO']]];
+
+// How a transaction moves money in and out of one account
+const getSignedAmount = (transaction, accountId) => {
+  const amount = Number(transaction.amount) || 0;
+  if (transaction.type === TRANSFER_TYPE) {
+    return transaction.toAccountId === accountId ? amount : -amount;
+  }
+  return transaction.type === 'income' ? amount : -amount;
+};
+
+const getStatementTransaction = (transaction, accountId) => {
+  const amount = getSignedAmount(transaction, accountId);
+  const name = transaction.description || transaction.note || getCategoryLabel(transaction.category);
+  const memo = transaction.note && transaction.note !== name ? transaction.note : '';
+
+  return ['STMTTRN', [
+    ['TRNTYPE', transaction.type === TRANSFER_TYPE ? 'XFER' : (amount < 0 ? 'DEBIT' : 'CREDIT')],
+    ['DTPOSTED', formatOFXDate(transaction.date)],
+    ['TRNAMT', amount.toFixed(2)],
+    ['FITID', transaction.fitId || transaction.firestoreId || transaction.id],
+    ['NAME', name.slice(0, MAX_NAME_LENGTH)],
+    memo && ['MEMO', memo],
+  ]];
+};
+
+/**
+ * Write transactions as an OFX file with one statement per account
+ * The ledger balance is the account's opening balance plus the exported
+ * transactions, so it matches the app only when every transaction is exported.
+ * @param {Array} transactions - Transactions to export
+ * @param {Array} accounts - The user's accounts
+ * @param {Object} options - `version` (OFX_VERSIONS) and `currency`
+ * @returns {string} OFX file contents
+ */
+export const transactionsToOFX = (transactions, accounts, {
+  version = OFX_VERSIONS.XML,
+  currency = 'USD',
+} = {}) => {
+  const now = formatOFXDate(new Date());
+
+  const statements = accounts.map((account) => {
+    const accountTransactions = transactions
+      .filter(t => (t.accountId || DEFAULT_ACCOUNT_ID) === account.id || t.toAccountId === account.id)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    if (accountTransactions.length === 0) return null;
+
+    const balance = accountTransactions.reduce(
+      (sum, transaction) => sum + getSignedAmount(transaction, account.id),
+      Number(account.openingBalance) || 0
+    );
+    const isCard = account.type === 'credit';
+
+    const statement = [
+      ['CURDEF', currency],
+      isCard
+        ? ['CCACCTFROM', [['ACCTID', account.id]]]
+        : ['BANKACCTFROM', [['BANKID', 'EXPENSETRACKER'], ['ACCTID', account.id], ['ACCTTYPE', 'CHECKING']]],
+      ['BANKTRANLIST', [
+        ['DTSTART', formatOFXDate(accountTransactions[0].date)],
+        ['DTEND', formatOFXDate(accountTransactions[accountTransactions.length - 1].date)],
+        ...accountTransactions.map(transaction => getStatementTransaction(transaction, account.id)),
+      ]],
+      ['LEDGERBAL', [['BALAMT', balance.toFixed(2)], ['DTASOF', now]]],
+    ];
+
+    return {
+      isCard,
+      node: isCard
+        ? ['CCSTMTTRNRS', [['TRNUID', account.id], STATUS_OK, ['CCSTMTRS', statement]]]
+        : ['STMTTRNRS', [['TRNUID', account.id], STATUS_OK, ['STMTRS', statement]]],
+    };
+  }).filter(Boolean);
+
+  const bankStatements = statements.filter(s => !s.isCard).map(s => s.node);
+  const cardStatements = statements.filter(s => s.isCard).map(s => s.node);
+
+  const ofx = ['OFX', [
+    ['SIGNONMSGSRSV1', [['SONRS', [STATUS_OK, ['DTSERVER', now], ['LANGUAGE', 'ENG']]]]],
+    bankStatements.length > 0 && ['BANKMSGSRSV1', bankStatements],
+    cardStatements.length > 0 && ['CREDITCARDMSGSRSV1', cardStatements],
+  ]];
+
+  return `${HEADERS[version]}\n${serialize(ofx, version)}\n`;
+};
+
+export default {
+  OFX_VERSIONS,
+  isOFX,
+  parseOFXTree,
+  parseOFXDate,
+  formatOFXDate,
+  parseOFX,
+  transactionsToOFX,
+};
@@ -0,0 +1,313 @@
+/**
+ * QIF Format
+ *
+ * Reads and writes Quicken Interchange Format files. A QIF file is a list of
+ * records with one field per line: the first character says what the line
+ * holds (D date, T amount, P payee, L category, S/E/$ split lines) and "^"
+ * ends the record. A "!Type:" line starts the transactions of one kind of
+ * account, and an "!Account" block names the account they belong to.
+ *
+ * QIF has no transaction IDs, so re-imports rely on duplicate detection.
+ */
+
+import { getCategoryById } from '../constants/categories';
+import { DEFAULT_ACCOUNT_ID, TRANSFER_TYPE } from '../constants/accounts';
+import { parseAmount, detectDecimalStyle } from './csvImport';
+
+// QIF account types and the app account types they correspond to
+const QIF_ACCOUNT_TYPES = {
+  bank: 'bank',
+  cash: 'cash',
+  ccard: 'credit',
+  'oth a': 'bank',
+  'oth l': 'credit',
+};
+
+const APP_TO_QIF_TYPES = {
+  bank: 'Bank',
+  cash: 'Cash',
+  credit: 'CCard',
+  wallet: 'Cash',
+};
+
+// Date part orders; QIF files from the US use month first
+export const QIF_DATE_ORDERS = {
+  MDY: 'mdy',
+  DMY: 'dmy',
+};
+
+/**
+ * Check whether a file looks like QIF
+ * @param {string} text - File contents
+ * @returns {boolean} True if the file starts with a QIF header
+ */
+export const isQIF = (text) => /^\s*!(Type|Account|Option)/i.test(text);
+
+// "1/ 5'26", "01/05/2026", "2026-01-05" and "5.1.26" all become [a, b, c]
+const splitDate = (value) => value
+  .replace(/'/g, '/')
+  .replace(/\s/g, '')
+  .split(/[/.-]/)
+  .map(Number);
+
+/**
+ * Work out whether a file's dates put the month or the day first
+ * @param {Array} values - Date strings from the file
+ * @returns {string} A QIF_DATE_ORDERS value
+ */
+export const detectDateOrder = (values) => {
+  const dayFirst = values.some((value) => {
+    const [first, second] = splitDate(value);
+    return first > 12 && first <= 31 && second <= 12;
+  });
+  return dayFirst ? QIF_DATE_ORDERS.DMY : QIF_DATE_ORDERS.MDY;
+};
+
+/**
+ * Parse a QIF date
+ * @param {string} value - Date as written in the file
+ * @param {string} order - A QIF_DATE_ORDERS value
+ * @returns {Date|null} Local date, or null if it cannot be read
+ */
+export const parseQIFDate = (value, order = QIF_DATE_ORDERS.MDY) => {
+  const parts = splitDate(value || '');
+  if (parts.length !== 3 || parts.some(isNaN)) return null;
+
+  let [month, day, year] = order === QIF_DATE_ORDERS.DMY
+    ? [parts[1], parts[0], parts[2]]
+    : parts;
+  if (String(value).trim().match(/^\d{4}/)) {
+    [year, month, day] = parts;
+  }
+  if (year < 100) {
+    year += year < 70 ? 2000 : 1900;
+  }
+
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+// "Food:Groceries/Business" is category Food, subcategory Groceries, class Business.
+// "[Savings]" is a transfer to the Savings account.
+const parseCategoryField = (value) => {
+  const [category] = (value || '').split('/');
+  const transfer = /^\[(.*)\]$/.exec(category.trim());
+
+  return transfer
+    ? { category: null, transferAccount: transfer[1] }
+    : { category: category.trim() || null, transferAccount: null };
+};
+
+/**
+ * Parse a QIF file
+ * @param {string} text - File contents
+ * @returns {Object} { accounts }, each account with { name, accountType,
+ *   transactions }. Transaction amounts are signed: negative amounts left the
+ *   account. Categories are QIF paths such as "Food:Groceries".
+ */
+export const parseQIF = (text) => {
+  const accounts = [];
+  let currentAccount = null;
+  let section = null;
+  let record = {};
+
+  const getAccount = (name, accountType) => {
+    let account = accounts.find(a => a.name === name && (name || a.accountType === accountType));
+    if (!account) {
+      account = { name, accountType, transactions: [] };
+      accounts.push(account);
+    }
+    return account;
+  };
+
+  const endRecord = () => {
+    if (section === 'account' && record.name) {
+      currentAccount = getAccount(record.name, QIF_ACCOUNT_TYPES[record.type?.toLowerCase()] || 'bank');
+    } else if (section === 'transactions' && (record.date || record.amount)) {
+      currentAccount.transactions.push({
+        dateText: record.date || '',
+        amountText: record.amount || '',
+        payee: record.payee || '',
+        memo: record.memo || '',
+        checkNumber: record.checkNumber || null,
+        ...parseCategoryField(record.category),
+        splits: record.splits || [],
+      });
+    }
+    record = {};
+  };
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trimEnd();
+    if (!line) return;
+
+    if (line.startsWith('!')) {
+      const header = line.toLowerCase();
+      if (header.startsWith('!account')) {
+        section = 'account';
+      } else if (header.startsWith('!type:')) {
+        const accountType = QIF_ACCOUNT_TYPES[header.slice(6).trim()];
+        if (accountType) {
+          section = 'transactions';
+          // Without an !Account block, each kind of account is its own account
+          if (!currentAccount || !currentAccount.name) {
+            currentAccount = getAccount(null, accountType);
+          }
+        } else {
+          // Category lists, classes, investments and memorised transactions
+          section = null;
+        }
+      }
+      record = {};
+      return;
+    }
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (code === '^') {
+      endRecord();
+    } else if (section === 'account') {
+      if (code === 'N') record.name = value;
+      if (code === 'T') record.type = value;
+    } else if (section === 'transactions') {
+      switch (code) {
+        case 'D': record.date = value; break;
+        case 'T': record.amount = value; break;
+        case 'U': record.amount = record.amount || value; break;
+        case 'P': record.payee = value; break;
+        case 'M': record.memo = value; break;
+        case 'N': record.checkNumber = value; break;
+        case 'L': record.category = value; break;
+        case 'S':
+          record.splits = [...(record.splits || []), { category: parseCategoryField(value).category, memo: '', amountText: '' }];
+          break;
+        case 'E':
+          if (record.splits?.length) record.splits[record.splits.length - 1].memo = value;
+          break;
+        case '$':
+          if (record.splits?.length) record.splits[record.splits.length - 1].amountText = value;
+          break;
+        default:
+          break;
+      }
+    }
+  });
+  endRecord();
+
+  // Dates and amounts are read once the whole file shows which style it uses
+  const allTransactions = accounts.flatMap(account => account.transactions);
+  const dateOrder = detectDateOrder(allTransactions.map(t => t.dateText));
+  const decimalStyle = detectDecimalStyle(allTransactions.map(t => t.amountText));
+
+  accounts.forEach((account) => {
+    account.transactions = account.transactions.map(transaction => ({
+      ...transaction,
+      date: parseQIFDate(transaction.dateText, dateOrder),
+      amount: parseAmount(transaction.amountText, decimalStyle),
+      splits: transaction.splits.map(split => ({
+        ...split,
+        amount: parseAmount(split.amountText, decimalStyle),
+      })),
+    }));
+  });
+
+  const withTransactions = accounts.filter(account => account.transactions.length > 0);
+  if (withTransactions.length === 0) {
+    throw new Error('No bank, cash or credit card transactions were found in this file');
+  }
+
+  return { accounts: withTransactions };
+};
+
+const formatQIFDate = (value) => {
+  const date = new Date(value);
+  return [
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+    date.getFullYear(),
+  ].join('/');
+};
+
+// QIF uses ":" between category levels and "/" before a class
+const cleanName = (name) => String(name).replace(/[:/[\]]/g, ' ').trim();
+
+const getCategoryPath = (categoryId) => {
+  const category = getCategoryById(categoryId);
+  if (!category.parentId) return cleanName(category.name);
+  return `${cleanName(getCategoryById(category.parentId).name)}:${cleanName(category.name)}`;
+};
+
+// How a transaction moves money in and out of one account
+const getSignedAmount = (transaction, accountId) => {
+  const amount = Number(transaction.amount) || 0;
+  if (transaction.type === TRANSFER_TYPE) {
+    return transaction.toAccountId === accountId ? amount : -amount;
+  }
+  return transaction.type === 'income' ? amount : -amount;
+};
+
+const getRecordLines = (transaction, account, accounts) => {
+  const amount = getSignedAmount(transaction, account.id);
+  const sign = amount < 0 ? -1 : 1;
+  const lines = [
+    `D${formatQIFDate(transaction.date)}`,
+    `T${amount.toFixed(2)}`,
+  ];
+
+  const payee = transaction.description || transaction.note;
+  if (payee) lines.push(`P${payee}`);
+  if (transaction.note && transaction.note !== payee) lines.push(`M${transaction.note}`);
+
+  if (transaction.type === TRANSFER_TYPE) {
+    const otherAccountId = transaction.toAccountId === account.id ? transaction.accountId : transaction.toAccountId;
+    const otherAccount = accounts.find(a => a.id === (otherAccountId || DEFAULT_ACCOUNT_ID));
+    lines.push(`L[${cleanName(otherAccount?.name || 'Transfer')}]`);
+  } else if (transaction.splits?.length) {
+    transaction.splits.forEach((split) => {
+      lines.push(`S${getCategoryPath(split.category)}`);
+      if (split.note) lines.push(`E${split.note}`);
+      lines.push(`$${(sign * Number(split.amount)).toFixed(2)}`);
+    });
+  } else if (transaction.category) {
+    lines.push(`L${getCategoryPath(transaction.category)}`);
+  }
+
+  return [...lines, '^'];
+};
+
+/**
+ * Write transactions as a QIF file with one section per account
+ * @param {Array} transactions - Transactions to export
+ * @param {Array} accounts - The user's accounts
+ * @returns {string} QIF file contents
+ */
+export const transactionsToQIF = (transactions, accounts) => {
+  const sections = accounts.map((account) => {
+    const accountTransactions = transactions
+      .filter(t => (t.accountId || DEFAULT_ACCOUNT_ID) === account.id || t.toAccountId === account.id)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    if (accountTransactions.length === 0) return null;
+
+    const qifType = APP_TO_QIF_TYPES[account.type] || 'Bank';
+    return [
+      '!Account',
+      `N${cleanName(account.name)}`,
+      `T${qifType}`,
+      '^',
+      `!Type:${qifType}`,
+      ...accountTransactions.flatMap(transaction => getRecordLines(transaction, account, accounts)),
+    ].join('\n');
+  }).filter(Boolean);
+
+  return `${sections.join('\n')}\n`;
+};
+
+export default {
+  QIF_DATE_ORDERS,
+  isQIF,
+  detectDateOrder,
+  parseQIFDate,
+  parseQIF,
+  transactionsToQIF,
+};
@@ -1,52 +1,94 @@
 /**
  * Recurring Transactions Utility
  * 
- * This utility helps manage recurring transactions with different frequencies.
- * It generates transaction instances based on recurrence rules and checks
- * which transactions are due for a given time period.
+ * This utility helps manage recurring transactions. Each definition repeats
+ * on a recurrence rule (see rrule.js); this generates transaction instances
+ * from the rule and checks which transactions are due for a given time period.
+ *
+ * A definition's `startDate` is a calendar date such as "2025-01-31" and its
+ * `timeOfDay` a wall-clock time such as "09:00". Occurrences are worked out
+ * as calendar dates and only then placed at that time in the user's time
+ * zone, so they never drift across month ends or daylight saving changes.
+ *
+ * Single occurrences can be changed without touching the rest of the series.
+ * Each is identified by the date it was scheduled for: `exdates` lists the
+ * skipped ones and `exceptions` maps a date to a new `date` and/or `amount`.
+ * A series can also be paused, with an optional `resumeOn` date; occurrences
+ * that fall while it is paused are skipped rather than added late.
  */
 
-import { doc, getDoc, updateDoc, arrayUnion, arrayRemove } from 'firebase/firestore';
-import { db } from './firebase';
-
-// Frequency definitions
-export const RECURRENCE_FREQUENCIES = {
-  DAILY: 'daily',
-  WEEKLY: 'weekly',
-  BIWEEKLY: 'biweekly',
-  MONTHLY: 'monthly',
-  QUARTERLY: 'quarterly',
-  YEARLY: 'yearly',
+import { format, addDays, parseISO, differenceInCalendarDays } from 'date-fns';
+import {
+  getRecurringDefinitions,
+  getTimeZone,
+  saveRecurringDefinition,
+  deleteRecurringDefinition,
+  saveTransaction,
+  getRules,
+} from './repository';
+import { applyRules } from './rulesEngine';
+import { isOnline } from './syncQueue';
+import { parseRRule, stringifyRRule, getOccurrences, describeRRule, toDateKey } from './rrule';
+import {
+  getDeviceTimeZone,
+  getDateKeyInTimeZone,
+  getTimeOfDayInTimeZone,
+  getDateInTimeZone,
+} from './timeZone';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Used for a series started from a date key alone; midday keeps the date the
+// same when the transaction is viewed a few hours either side of the zone
+const DEFAULT_TIME_OF_DAY = '12:00';
+
+// Rules for definitions saved before recurrence rules, which only had a
+// `frequency` and an optional `endDate` or number of `occurrences`
+const LEGACY_FREQUENCY_RULES = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+  monthly: 'FREQ=MONTHLY',
+  quarterly: 'FREQ=MONTHLY;INTERVAL=3',
+  yearly: 'FREQ=YEARLY',
 };
 
+// Common schedules offered as one-tap choices in the recurring form
+export const RECURRENCE_PRESETS = [
+  { label: 'Monthly', rrule: 'FREQ=MONTHLY' },
+  { label: 'Weekly', rrule: 'FREQ=WEEKLY' },
+  { label: 'Every 2 weeks', rrule: 'FREQ=WEEKLY;INTERVAL=2' },
+  { label: 'Last working day', rrule: 'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1' },
+  { label: '15th and last day', rrule: 'FREQ=MONTHLY;BYMONTHDAY=15,-1' },
+  { label: '2nd and 4th Saturday', rrule: 'FREQ=MONTHLY;BYDAY=2SA,4SA' },
+  { label: 'Quarterly', rrule: 'FREQ=MONTHLY;INTERVAL=3' },
+  { label: 'Yearly', rrule: 'FREQ=YEARLY' },
+];
+
 /**
  * Create a recurring transaction definition
  * @param {Object} transaction - Base transaction object
- * @param {string} frequency - Recurrence frequency from RECURRENCE_FREQUENCIES
- * @param {Date} startDate - Start date for recurrence
- * @param {Date|null} endDate - Optional end date for recurrence
- * @param {number} occurrences - Optional number of occurrences (alternative to endDate)
+ * @param {string|Object} rrule - Recurrence rule text or a rule from
+ *   parseRRule; COUNT and UNTIL set when the series ends
+ * @param {Date|string} startDate - First day of the series, as a Date whose
+ *   local date and time are used, or a date key
+ * @param {Array} exdates - Optional dates to skip
  * @returns {Object} Recurring transaction definition
  */
 export const createRecurringTransaction = (
   transaction,
-  frequency,
+  rrule,
   startDate,
-  endDate = null,
-  occurrences = null
+  exdates = []
 ) => {
   // Validate arguments
-  if (!transaction || !frequency || !startDate) {
+  if (!transaction || !rrule || !startDate) {
     throw new Error('Missing required parameters for recurring transaction');
   }
   
-  if (!Object.values(RECURRENCE_FREQUENCIES).includes(frequency)) {
-    throw new Error(`Invalid frequency: ${frequency}`);
-  }
-  
-  if (endDate && occurrences) {
-    throw new Error('Cannot specify both endDate and occurrences');
-  }
+  // Round-tripped through the text form, which throws for a rule the engine
+  // cannot expand
+  const rule = parseRRule(typeof rrule === 'string' ? rrule : stringifyRRule(rrule));
   
   // Create a unique ID for the recurring transaction
   const recurringId = `rec_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
@@ -58,10 +100,10 @@ export const createRecurringTransaction = (
       isRecurring: true,
       recurringId,
     },
-    frequency,
-    startDate: startDate instanceof Date ? startDate.toISOString() : startDate,
-    endDate: endDate instanceof Date ? endDate.toISOString() : endDate,
-    occurrences,
+    rrule: stringifyRRule(rule),
+    exdates: exdates.map(toDateKey),
+    startDate: toDateKey(startDate),
+    timeOfDay: startDate instanceof Date ? format(startDate, 'HH:mm') : DEFAULT_TIME_OF_DAY,
     createdInstances: 0,
     lastCreatedDate: null,
     active: true,
@@ -69,100 +111,443 @@ export const createRecurringTransaction = (
 };
 
 /**
- * Calculate the next occurrence date based on frequency and previous date
- * @param {Date} previousDate - The previous occurrence date
- * @param {string} frequency - Recurrence frequency
- * @returns {Date} The next occurrence date
+ * Get the first day and time of a series
+ * Definitions saved before date-only start dates hold a full ISO date, which
+ * is read in the given time zone.
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} { date, timeOfDay } with a date key and a time such as "09:00"
  */
-export const calculateNextOccurrence = (previousDate, frequency) => {
-  const nextDate = new Date(previousDate);
-  
-  switch (frequency) {
-    case RECURRENCE_FREQUENCIES.DAILY:
-      nextDate.setDate(nextDate.getDate() + 1);
-      break;
-    case RECURRENCE_FREQUENCIES.WEEKLY:
-      nextDate.setDate(nextDate.getDate() + 7);
-      break;
-    case RECURRENCE_FREQUENCIES.BIWEEKLY:
-      nextDate.setDate(nextDate.getDate() + 14);
-      break;
-    case RECURRENCE_FREQUENCIES.MONTHLY:
-      nextDate.setMonth(nextDate.getMonth() + 1);
-      break;
-    case RECURRENCE_FREQUENCIES.QUARTERLY:
-      nextDate.setMonth(nextDate.getMonth() + 3);
-      break;
-    case RECURRENCE_FREQUENCIES.YEARLY:
-      nextDate.setFullYear(nextDate.getFullYear() + 1);
-      break;
-    default:
-      throw new Error(`Unsupported frequency: ${frequency}`);
+export const getSeriesStart = (recurringDef, timeZone = getDeviceTimeZone()) => {
+  const { startDate, timeOfDay } = recurringDef;
+  
+  if (DATE_KEY_PATTERN.test(startDate)) {
+    return { date: startDate, timeOfDay: timeOfDay || DEFAULT_TIME_OF_DAY };
   }
   
-  return nextDate;
+  return {
+    date: getDateKeyInTimeZone(startDate, timeZone),
+    timeOfDay: getTimeOfDayInTimeZone(startDate, timeZone),
+  };
 };
 
+/**
+ * Get the recurrence rule of a definition
+ * Definitions saved before recurrence rules are converted from their
+ * frequency, end date and number of occurrences.
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {string} timeZone - IANA time zone name, for a legacy end date
+ * @returns {Object} Rule as returned by parseRRule
+ */
+export const getRecurrenceRule = (recurringDef, timeZone = getDeviceTimeZone()) => {
+  if (recurringDef.rrule) {
+    return parseRRule(recurringDef.rrule);
+  }
+  
+  return {
+    ...parseRRule(LEGACY_FREQUENCY_RULES[recurringDef.frequency] || LEGACY_FREQUENCY_RULES.monthly),
+    count: recurringDef.occurrences || null,
+    until: recurringDef.endDate ? getDateKeyInTimeZone(recurringDef.endDate, timeZone) : null,
+  };
+};
+
+const shiftDateKey = (key, days) => format(addDays(parseISO(key), days), 'yyyy-MM-dd');
+
+// The most days any occurrence has been moved by, which is how far outside a
+// range to look for occurrences moved into it
+const getMaxShift = (recurringDef) => Object.entries(recurringDef.exceptions || {}).reduce(
+  (max, [date, exception]) => (exception.date
+    ? Math.max(max, Math.abs(differenceInCalendarDays(parseISO(exception.date), parseISO(date))))
+    : max),
+  0
+);
+
+// Occurrences of a series as { date, index }, with date keys
+const getSeriesOccurrences = (recurringDef, timeZone, options) => {
+  return getOccurrences(
+    getRecurrenceRule(recurringDef, timeZone),
+    getSeriesStart(recurringDef, timeZone).date,
+    { exdates: recurringDef.exdates || [], ...options }
+  );
+};
+
+const toInstance = (recurringDef, { date, index }, timeZone) => {
+  const { baseTransaction } = recurringDef;
+  const { timeOfDay } = getSeriesStart(recurringDef, timeZone);
+  const exception = recurringDef.exceptions?.[date];
+  const sign = Number(baseTransaction.amount) < 0 ? -1 : 1;
+  
+  return {
+    ...baseTransaction,
+    ...(typeof exception?.amount === 'number' ? { amount: sign * Math.abs(exception.amount) } : {}),
+    date: getDateInTimeZone(exception?.date || date, timeOfDay, timeZone).toISOString(),
+    id: `${baseTransaction.recurringId || baseTransaction.id}_${index}`,
+    isRecurringInstance: true,
+    recurringId: baseTransaction.recurringId,
+    instanceIndex: index,
+    occurrenceDate: date,
+  };
+};
+
+const byDate = (a, b) => new Date(a.date) - new Date(b.date);
+
 /**
  * Get all occurrences for a recurring transaction within a date range
+ * Instances are numbered from the start of the series, so an instance keeps
+ * its index and ID whatever range it is found in. Excluded dates are left
+ * out without renumbering the rest, and moved occurrences are found by the
+ * date they were moved to.
  * @param {Object} recurringDef - Recurring transaction definition
  * @param {Date} startRange - Start date of the range
  * @param {Date} endRange - End date of the range
+ * @param {string} timeZone - IANA time zone the series runs in
  * @returns {Array} Array of transaction instances with dates
  */
-export const getOccurrencesInRange = (recurringDef, startRange, endRange) => {
-  const {
-    baseTransaction,
-    frequency,
-    startDate,
-    endDate,
-    occurrences,
-    createdInstances,
-  } = recurringDef;
-  
-  // Parse dates
-  const recStart = new Date(startDate);
-  const recEnd = endDate ? new Date(endDate) : null;
+export const getOccurrencesInRange = (recurringDef, startRange, endRange, timeZone = getDeviceTimeZone()) => {
   const rangeStart = new Date(startRange);
   const rangeEnd = new Date(endRange);
   
-  // Ensure range start is not before recurring start
-  if (rangeStart < recStart) {
-    rangeStart.setTime(recStart.getTime());
+  const shift = getMaxShift(recurringDef);
+  
+  return getSeriesOccurrences(recurringDef, timeZone, {
+    from: shiftDateKey(getDateKeyInTimeZone(rangeStart, timeZone), -shift),
+    to: shiftDateKey(getDateKeyInTimeZone(rangeEnd, timeZone), shift),
+  })
+    .map(occurrence => toInstance(recurringDef, occurrence, timeZone))
+    .filter(instance => new Date(instance.date) >= rangeStart && new Date(instance.date) <= rangeEnd)
+    .sort(byDate);
+};
+
+/**
+ * Get the first occurrence of a recurring transaction after a date
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {Date} afterDate - Occurrences on or before this moment are ignored
+ * @param {string} timeZone - IANA time zone the series runs in
+ * @returns {Object|null} Transaction instance, or null once the series has ended
+ */
+export const getNextOccurrence = (recurringDef, afterDate = new Date(), timeZone = getDeviceTimeZone()) => {
+  const after = new Date(afterDate);
+  const shift = getMaxShift(recurringDef);
+  
+  // The first occurrence on the same day may already have passed, and any
+  // moved occurrence could come before the next one in the schedule
+  return getSeriesOccurrences(recurringDef, timeZone, {
+    from: shiftDateKey(getDateKeyInTimeZone(after, timeZone), -shift),
+    limit: 2 + Object.keys(recurringDef.exceptions || {}).length,
+  })
+    .map(occurrence => toInstance(recurringDef, occurrence, timeZone))
+    .filter(instance => new Date(instance.date) > after)
+    .sort(byDate)[0] || null;
+};
+
+/**
+ * Check whether an occurrence has been added to the transactions
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {number} instanceIndex - The occurrence's index
+ * @returns {boolean} True once the occurrence's transaction has been written
+ */
+export const isOccurrenceCreated = (recurringDef, instanceIndex) => {
+  return instanceIndex < (recurringDef.createdInstances || 0) ||
+    (recurringDef.createdIndexes || []).includes(instanceIndex);
+};
+
+/**
+ * List the occurrences a series has coming up, including skipped ones
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {Object} options - `from` (default now), `limit` and `timeZone`
+ * @returns {Array} Transaction instances in date order, each with `skipped`,
+ *   `moved` (the date was changed) and `amountChanged` flags
+ */
+export const getScheduledOccurrences = (recurringDef, {
+  from = new Date(),
+  limit = 10,
+  timeZone = getDeviceTimeZone(),
+} = {}) => {
+  const fromDate = new Date(from);
+  const exdates = recurringDef.exdates || [];
+  const exceptions = recurringDef.exceptions || {};
+  
+  return getSeriesOccurrences(recurringDef, timeZone, {
+    from: shiftDateKey(getDateKeyInTimeZone(fromDate, timeZone), -getMaxShift(recurringDef)),
+    limit: limit + Object.keys(exceptions).length,
+    exdates: [],
+  })
+    .map(occurrence => ({
+      ...toInstance(recurringDef, occurrence, timeZone),
+      skipped: exdates.includes(occurrence.date),
+      moved: !!exceptions[occurrence.date]?.date,
+      amountChanged: typeof exceptions[occurrence.date]?.amount === 'number',
+    }))
+    .filter(instance => new Date(instance.date) >= fromDate)
+    .sort(byDate)
+    .slice(0, limit);
+};
+
+/**
+ * Get how far through its occurrences a series is
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {Date} asOfDate - Occurrences up to this moment count as done (default: now)
+ * @param {string} timeZone - IANA time zone the series runs in
+ * @returns {Object} { completed, total, remaining }, with total and remaining
+ *   null for a series without an end; skipped occurrences are not counted
+ */
+export const getSeriesProgress = (recurringDef, asOfDate = new Date(), timeZone = getDeviceTimeZone()) => {
+  const { count, until } = getRecurrenceRule(recurringDef, timeZone);
+  const asOf = new Date(asOfDate);
+  
+  if (!count && !until) {
+    const completed = getOccurrencesInRange(
+      recurringDef,
+      getDateInTimeZone(getSeriesStart(recurringDef, timeZone).date, '00:00', timeZone),
+      asOf,
+      timeZone
+    ).length;
+    return { completed, total: null, remaining: null };
   }
   
-  const instances = [];
-  let currentDate = recStart;
-  let instanceCount = 0;
-  
-  // Loop until we reach the end of the range or recurrence limits
-  while (currentDate <= rangeEnd) {
-    // Check if we've reached recurrence limits
-    if (
-      (recEnd && currentDate > recEnd) ||
-      (occurrences && instanceCount >= occurrences)
-    ) {
-      break;
-    }
+  // A series with an end has few enough occurrences to list them all
+  const instances = getSeriesOccurrences(recurringDef, timeZone, {})
+    .map(occurrence => toInstance(recurringDef, occurrence, timeZone));
+  const completed = instances.filter(instance => new Date(instance.date) <= asOf).length;
+  
+  return { completed, total: instances.length, remaining: instances.length - completed };
+};
+
+/**
+ * Add up what a set of series bring in and cost in a calendar month
+ * Occurrences that are skipped, or fall while a series is paused, are left out.
+ * @param {Array} recurringDefs - Recurring transaction definitions
+ * @param {Date} month - Any moment in the month
+ * @param {string} timeZone - IANA time zone the series run in
+ * @returns {Object} { income, expense, net }, with expense as a positive amount
+ */
+export const getMonthlyCommitments = (recurringDefs, month, timeZone = getDeviceTimeZone()) => {
+  const [year, monthNumber] = getDateKeyInTimeZone(month, timeZone).split('-').map(Number);
+  const nextYear = monthNumber === 12 ? year + 1 : year;
+  const nextMonth = monthNumber === 12 ? 1 : monthNumber + 1;
+  const monthStart = getDateInTimeZone(`${year}-${String(monthNumber).padStart(2, '0')}-01`, '00:00', timeZone);
+  const monthEnd = new Date(
+    getDateInTimeZone(`${nextYear}-${String(nextMonth).padStart(2, '0')}-01`, '00:00', timeZone).getTime() - 1
+  );
+  
+  let income = 0;
+  let expense = 0;
+  
+  recurringDefs.filter(recurringDef => recurringDef.active).forEach(recurringDef => {
+    const { paused, pausedAt, resumeOn } = recurringDef;
+    const isPausedOn = (date) => paused && date > new Date(pausedAt) &&
+      (!resumeOn || date < getDateInTimeZone(resumeOn, '00:00', timeZone));
     
-    // If the current date is within our range, add an instance
-    if (currentDate >= rangeStart) {
-      instances.push({
-        ...baseTransaction,
-        date: currentDate.toISOString(),
-        id: `${baseTransaction.id}_${instanceCount}`,
-        isRecurringInstance: true,
-        recurringId: baseTransaction.recurringId,
-        instanceIndex: instanceCount,
+    getOccurrencesInRange(recurringDef, monthStart, monthEnd, timeZone)
+      .filter(instance => !isPausedOn(new Date(instance.date)))
+      .forEach(instance => {
+        const amount = Math.abs(Number(instance.amount)) || 0;
+        if (instance.type === 'income') {
+          income += amount;
+        } else {
+          expense += amount;
+        }
       });
-    }
-    
-    // Move to next occurrence
-    currentDate = calculateNextOccurrence(currentDate, frequency);
-    instanceCount++;
+  });
+  
+  return { income, expense, net: income - expense };
+};
+
+/**
+ * Describe when a recurring transaction repeats, e.g. "Every month on the
+ * last weekday, 12 times"
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {string} timeZone - IANA time zone the series runs in
+ * @returns {string} Human-readable description
+ */
+export const describeRecurrence = (recurringDef, timeZone = getDeviceTimeZone()) => {
+  const description = describeRRule(
+    getRecurrenceRule(recurringDef, timeZone),
+    getSeriesStart(recurringDef, timeZone).date
+  );
+  const skipped = (recurringDef.exdates || []).length;
+  
+  return skipped > 0
+    ? `${description}, skipping ${skipped} date${skipped === 1 ? '' : 's'}`
+    : description;
+};
+
+/**
+ * Skip one occurrence of a series
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {string} date - Date key the occurrence is scheduled for
+ * @returns {Object} Updated definition
+ */
+export const skipOccurrence = (recurringDef, date) => {
+  const exdates = recurringDef.exdates || [];
+  
+  return {
+    ...recurringDef,
+    exdates: exdates.includes(date) ? exdates : [...exdates, date].sort(),
+  };
+};
+
+/**
+ * Bring back a skipped occurrence
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {string} date - Date key the occurrence is scheduled for
+ * @returns {Object} Updated definition
+ */
+export const restoreOccurrence = (recurringDef, date) => {
+  return {
+    ...recurringDef,
+    exdates: (recurringDef.exdates || []).filter(exdate => exdate !== date),
+  };
+};
+
+/**
+ * Move one occurrence to another date or change its amount
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {string} date - Date key the occurrence is scheduled for
+ * @param {Object} changes - New `date` (a date key) and/or `amount`; either
+ *   can be null to undo an earlier change
+ * @returns {Object} Updated definition
+ */
+export const setOccurrenceException = (recurringDef, date, changes) => {
+  const exception = { ...(recurringDef.exceptions?.[date] || {}), ...changes };
+  
+  // Changes that match the schedule are not kept
+  if (!exception.date || exception.date === date) delete exception.date;
+  if (typeof exception.amount !== 'number') {
+    delete exception.amount;
+  } else {
+    exception.amount = Math.abs(exception.amount);
+  }
+  
+  const exceptions = Object.fromEntries(
+    Object.entries(recurringDef.exceptions || {}).filter(([key]) => key !== date)
+  );
+  
+  return {
+    ...recurringDef,
+    exceptions: Object.keys(exception).length > 0 ? { ...exceptions, [date]: exception } : exceptions,
+  };
+};
+
+/**
+ * Put one occurrence back on its scheduled date and amount
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {string} date - Date key the occurrence is scheduled for
+ * @returns {Object} Updated definition
+ */
+export const clearOccurrenceException = (recurringDef, date) => {
+  return setOccurrenceException(recurringDef, date, { date: null, amount: null });
+};
+
+/**
+ * Pause a series
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {Date|string} resumeOn - Optional date to resume on by itself
+ * @returns {Object} Updated definition
+ */
+export const pauseRecurringTransaction = (recurringDef, resumeOn = null) => {
+  return {
+    ...recurringDef,
+    paused: true,
+    pausedAt: new Date().toISOString(),
+    resumeOn: resumeOn ? toDateKey(resumeOn) : null,
+  };
+};
+
+/**
+ * Resume a paused series
+ * Occurrences that fell while it was paused are skipped, not added late.
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {Date} resumeAt - When the series starts again (default: now)
+ * @param {string} timeZone - IANA time zone the series runs in
+ * @returns {Object} Updated definition
+ */
+export const resumeRecurringTransaction = (recurringDef, resumeAt = new Date(), timeZone = getDeviceTimeZone()) => {
+  const pausedAt = new Date(recurringDef.pausedAt || resumeAt);
+  const shift = getMaxShift(recurringDef);
+  
+  const missed = getSeriesOccurrences(recurringDef, timeZone, {
+    from: shiftDateKey(getDateKeyInTimeZone(pausedAt, timeZone), -shift),
+    to: shiftDateKey(getDateKeyInTimeZone(resumeAt, timeZone), shift),
+  })
+    .map(occurrence => toInstance(recurringDef, occurrence, timeZone))
+    .filter(instance => new Date(instance.date) > pausedAt && new Date(instance.date) < new Date(resumeAt))
+    .filter(instance => !isOccurrenceCreated(recurringDef, instance.instanceIndex));
+  
+  const resumed = missed.reduce(
+    (def, instance) => skipOccurrence(def, instance.occurrenceDate),
+    recurringDef
+  );
+  
+  return {
+    ...resumed,
+    paused: false,
+    pausedAt: null,
+    resumeOn: null,
+  };
+};
+
+/**
+ * Count the occurrences of a series scheduled before a date, skipped ones
+ * included
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {string} date - Date key
+ * @param {string} timeZone - IANA time zone the series runs in
+ * @returns {number} Number of occurrences
+ */
+export const countOccurrencesBefore = (recurringDef, date, timeZone = getDeviceTimeZone()) => {
+  return getSeriesOccurrences(recurringDef, timeZone, {
+    to: shiftDateKey(date, -1),
+    exdates: [],
+  }).length;
+};
+
+/**
+ * Split a series in two, for changing an occurrence and all that follow it
+ * The original series is ended before the date and the new one takes over
+ * from it, keeping the changed occurrences on or after the date, and the
+ * skipped ones too unless the new definition lists its own.
+ * @param {Object} recurringDef - Recurring transaction definition
+ * @param {string} date - Date key of the first occurrence to change
+ * @param {Object} newDef - Definition for the rest of the series, such as
+ *   one from createRecurringTransaction
+ * @param {string} timeZone - IANA time zone the series runs in
+ * @returns {Object} { original, series } with both updated definitions
+ */
+export const splitRecurringTransaction = (recurringDef, date, newDef, timeZone = getDeviceTimeZone()) => {
+  const before = countOccurrencesBefore(recurringDef, date, timeZone);
+  
+  if (before === 0) {
+    throw new Error('Nothing comes before the first occurrence; edit the whole series instead');
   }
   
-  return instances;
+  const rule = getRecurrenceRule(recurringDef, timeZone);
+  const exceptions = Object.entries(recurringDef.exceptions || {});
+  const exdates = recurringDef.exdates || [];
+  
+  const original = {
+    ...recurringDef,
+    rrule: stringifyRRule(rule.count
+      ? { ...rule, count: before }
+      : { ...rule, until: shiftDateKey(date, -1) }),
+    exdates: exdates.filter(exdate => exdate < date),
+    exceptions: Object.fromEntries(exceptions.filter(([key]) => key < date)),
+  };
+  
+  const series = {
+    ...newDef,
+    exdates: newDef.exdates || exdates.filter(exdate => exdate >= date),
+    exceptions: {
+      ...Object.fromEntries(exceptions.filter(([key]) => key >= date)),
+      ...(newDef.exceptions || {}),
+    },
+    createdInstances: 0,
+    createdIndexes: [],
+    lastCreatedDate: null,
+    splitFrom: recurringDef.id,
+  };
+  
+  return { original, series };
 };
 
 /**
@@ -177,39 +562,8 @@ export const updateRecurringTransaction = async (userId, recurringDef) => {
   }
   
   try {
-    const userDocRef = doc(db, 'users', userId);
-    const userDoc = await getDoc(userDocRef);
-    
-    if (!userDoc.exists()) {
-      throw new Error('User document not found');
-    }
-    
-    // Get current recurring transactions
-    const userData = userDoc.data();
-    const recurringTransactions = userData.recurringTransactions || [];
-    
-    // Find and update existing definition
-    const existingIndex = recurringTransactions.findIndex(
-      rt => rt.id === recurringDef.id
-    );
-    
-    if (existingIndex >= 0) {
-      // Remove old definition
-      const oldDef = recurringTransactions[existingIndex];
-      await updateDoc(userDocRef, {
-        recurringTransactions: arrayRemove(oldDef),
-      });
-      
-      // Add updated definition
-      await updateDoc(userDocRef, {
-        recurringTransactions: arrayUnion(recurringDef),
-      });
-    } else {
-      // Add new definition
-      await updateDoc(userDocRef, {
-        recurringTransactions: arrayUnion(recurringDef),
-      });
-    }
+    // Definitions are stored one per document, so saving replaces any previous version
+    await saveRecurringDefinition(userId, recurringDef);
     
     return true;
   } catch (error) {
@@ -230,12 +584,8 @@ export const deleteRecurringTransaction = async (userId, recurringDef) => {
   }
   
   try {
-    const userDocRef = doc(db, 'users', userId);
-    
     // Remove the definition
-    await updateDoc(userDocRef, {
-      recurringTransactions: arrayRemove(recurringDef),
-    });
+    await deleteRecurringDefinition(userId, recurringDef.id);
     
     return true;
   } catch (error) {
@@ -246,7 +596,12 @@ export const deleteRecurringTransaction = async (userId, recurringDef) => {
 
 /**
  * Process due recurring transactions for a user
- * This should be called periodically to generate transaction instances
+ * Each due instance is written to the transactions collection under the ID
+ * `${recurringId}_${instanceIndex}`, so running this again, or after a run
+ * that stopped part way, never duplicates a transaction. Every instance
+ * before the definition's `createdInstances` has been written or skipped;
+ * instances written out of order, because they were moved earlier, are
+ * listed in `createdIndexes`.
  * @param {string} userId - The user ID
  * @param {Date} asOfDate - The date to check for due transactions (default: now)
  * @returns {Promise<Array>} Promise that resolves with new transaction instances
@@ -257,81 +612,107 @@ export const processDueRecurringTransactions = async (userId, asOfDate = new Dat
   }
   
   try {
-    const userDocRef = doc(db, 'users', userId);
-    const userDoc = await getDoc(userDocRef);
-    
-    if (!userDoc.exists()) {
-      throw new Error('User document not found');
-    }
-    
-    // Get current recurring transactions
-    const userData = userDoc.data();
-    const recurringTransactions = userData.recurringTransactions || [];
-    const currentTransactions = userData.transactions || [];
+    // Get current recurring transactions and the zone their dates are in
+    const [recurringTransactions, timeZone] = await Promise.all([
+      getRecurringDefinitions(userId),
+      getTimeZone(userId),
+    ]);
     
+    const today = getDateKeyInTimeZone(asOfDate, timeZone);
     const newInstances = [];
     const updatedDefinitions = [];
     
     // Process each recurring transaction
-    for (const recurringDef of recurringTransactions) {
-      if (!recurringDef.active) continue;
+    for (const storedDef of recurringTransactions) {
+      if (!storedDef.active) continue;
       
-      // Determine the date range to check
+      // A paused series waits until its resume date, if it has one
+      let recurringDef = storedDef;
+      if (storedDef.paused) {
+        if (!storedDef.resumeOn || storedDef.resumeOn > today) continue;
+        recurringDef = resumeRecurringTransaction(
+          storedDef,
+          getDateInTimeZone(storedDef.resumeOn, '00:00', timeZone),
+          timeZone
+        );
+      }
+      
+      // Determine the date range to check, wide enough to take in
+      // occurrences moved either way
+      const { date, timeOfDay } = getSeriesStart(recurringDef, timeZone);
       const lastCreated = recurringDef.lastCreatedDate 
         ? new Date(recurringDef.lastCreatedDate)
-        : new Date(recurringDef.startDate);
+        : getDateInTimeZone(date, timeOfDay, timeZone);
+      const shift = getMaxShift(recurringDef);
+      const range = {
+        from: shiftDateKey(getDateKeyInTimeZone(lastCreated, timeZone), -shift),
+        to: shiftDateKey(today, shift),
+      };
       
-      // Get instances due until today
-      const dueInstances = getOccurrencesInRange(
-        recurringDef,
-        lastCreated,
-        asOfDate
-      );
+      // Get instances due until today that have not been written yet
+      const dueInstances = getSeriesOccurrences(recurringDef, timeZone, range)
+        .map(occurrence => toInstance(recurringDef, occurrence, timeZone))
+        .filter(instance => new Date(instance.date) <= asOfDate)
+        .filter(instance => !isOccurrenceCreated(recurringDef, instance.instanceIndex));
       
-      if (dueInstances.length > 0) {
-        // Add to new instances array
+      // Move `createdInstances` past every instance now written or skipped
+      const exdates = recurringDef.exdates || [];
+      const written = new Set([
+        ...(recurringDef.createdIndexes || []),
+        ...dueInstances.map(instance => instance.instanceIndex),
+      ]);
+      let createdInstances = recurringDef.createdInstances || 0;
+      for (const occurrence of getSeriesOccurrences(recurringDef, timeZone, { ...range, exdates: [] })) {
+        if (occurrence.index < createdInstances) continue;
+        if (occurrence.index > createdInstances) break;
+        if (!written.has(occurrence.index) && !exdates.includes(occurrence.date)) break;
+        createdInstances += 1;
+      }
+      
+      // Update the recurring definition
+      const updatedDef = {
+        ...recurringDef,
+        createdInstances,
+        createdIndexes: [...written].filter(index => index >= createdInstances).sort((a, b) => a - b),
+        lastCreatedDate: asOfDate.toISOString(),
+      };
+      
+      // Check if we've reached the end of the series
+      if (!getNextOccurrence(updatedDef, asOfDate, timeZone)) {
+        updatedDef.active = false;
+      }
+      
+      if (dueInstances.length > 0 || recurringDef !== storedDef || !updatedDef.active) {
         newInstances.push(...dueInstances);
-        
-        // Update the recurring definition
-        const updatedDef = {
-          ...recurringDef,
-          createdInstances: recurringDef.createdInstances + dueInstances.length,
-          lastCreatedDate: asOfDate.toISOString(),
-        };
-        
-        // Check if we've reached the end of occurrences
-        if (
-          recurringDef.occurrences && 
-          updatedDef.createdInstances >= recurringDef.occurrences
-        ) {
-          updatedDef.active = false;
-        }
-        
         updatedDefinitions.push({
-          oldDef: recurringDef,
+          oldDef: storedDef,
           newDef: updatedDef,
         });
       }
     }
     
-    // Update Firestore if we have new instances
     if (newInstances.length > 0) {
-      // Update transaction list
-      await updateDoc(userDocRef, {
-        transactions: [...currentTransactions, ...newInstances],
-      });
+      // The user's rules fill in anything the definition left out, such as tags
+      const rules = await getRules(userId);
       
-      // Update recurring definitions
-      for (const { oldDef, newDef } of updatedDefinitions) {
-        await updateDoc(userDocRef, {
-          recurringTransactions: arrayRemove(oldDef),
-        });
-        await updateDoc(userDocRef, {
-          recurringTransactions: arrayUnion(newDef),
+      // Instances are written before the definitions, so a run that stops part
+      // way writes the same documents again next time
+      for (const instance of newInstances) {
+        const { transaction: ruledInstance } = applyRules(instance, rules, { overwrite: false });
+        await saveTransaction(instance.id, {
+          ...ruledInstance,
+          userId,
+          amount: Math.abs(Number(instance.amount)),
+          createdAt: new Date().toISOString(),
         });
       }
     }
     
+    // Update recurring definitions
+    for (const { newDef } of updatedDefinitions) {
+      await saveRecurringDefinition(userId, newDef);
+    }
+    
     return newInstances;
   } catch (error) {
     console.error('Error processing recurring transactions:', error);
@@ -339,37 +720,51 @@ export const processDueRecurringTransactions = async (userId, asOfDate = new Dat
   }
 };
 
+let dueRun = null;
+
 /**
- * Get a human-readable description of a recurrence frequency
- * @param {string} frequency - Recurrence frequency
- * @returns {string} Human-readable description
+ * Write any recurring transactions that have come due
+ * Safe to call on every launch and resume: nothing is done while offline,
+ * since writes would wait for the server, and a run already in progress is
+ * reused rather than started twice.
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} The new transaction instances
  */
-export const getFrequencyDescription = (frequency) => {
-  switch (frequency) {
-    case RECURRENCE_FREQUENCIES.DAILY:
-      return 'Daily';
-    case RECURRENCE_FREQUENCIES.WEEKLY:
-      return 'Weekly';
-    case RECURRENCE_FREQUENCIES.BIWEEKLY:
-      return 'Every 2 weeks';
-    case RECURRENCE_FREQUENCIES.MONTHLY:
-      return 'Monthly';
-    case RECURRENCE_FREQUENCIES.QUARTERLY:
-      return 'Every 3 months';
-    case RECURRENCE_FREQUENCIES.YEARLY:
-      return 'Yearly';
-    default:
-      return 'Custom';
-  }
+export const runDueRecurringTransactions = (userId) => {
+  if (dueRun) return dueRun;
+
+  dueRun = (async () => {
+    if (!(await isOnline())) return [];
+    return processDueRecurringTransactions(userId);
+  })();
+
+  return dueRun.finally(() => {
+    dueRun = null;
+  });
 };
 
 export default {
-  RECURRENCE_FREQUENCIES,
+  RECURRENCE_PRESETS,
   createRecurringTransaction,
-  calculateNextOccurrence,
+  getSeriesStart,
+  getRecurrenceRule,
   getOccurrencesInRange,
+  getNextOccurrence,
+  isOccurrenceCreated,
+  getScheduledOccurrences,
+  getSeriesProgress,
+  getMonthlyCommitments,
+  describeRecurrence,
+  skipOccurrence,
+  restoreOccurrence,
+  setOccurrenceException,
+  clearOccurrenceException,
+  pauseRecurringTransaction,
+  resumeRecurringTransaction,
+  countOccurrencesBefore,
+  splitRecurringTransaction,
   updateRecurringTransaction,
   deleteRecurringTransaction,
   processDueRecurringTransactions,
-  getFrequencyDescription,
+  runDueRecurringTransactions,
 }; 
\ No newline at end of file
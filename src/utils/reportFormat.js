@@ -0,0 +1,700 @@
+/**
+ * Report Format
+ *
+ * Builds the HTML for a printable report on one period (a month, a year or
+ * any custom range) for expo-print: a cover page, a comparison with the
+ * period before, inline SVG charts and the top merchants.
+ *
+ * Charts are drawn from the same configurations the app's chart screens use
+ * (see chartUtils.js), so the report and the app always agree. SVG is used
+ * rather than images so the charts stay sharp when printed.
+ */
+
+import {
+  startOfDay,
+  endOfDay,
+  startOfMonth,
+  endOfMonth,
+  subMonths,
+  subDays,
+  differenceInCalendarDays,
+  differenceInCalendarMonths,
+  format,
+} from 'date-fns';
+import { formatCurrency, formatShortDate, escapeHTML } from './formatters';
+import { getCategoryAllocations } from './dataUtils';
+import { getDateRangeBounds } from './exportFilters';
+import {
+  createCategoryPieChartConfig,
+  createIncomeExpenseBarChartConfig,
+  createDailySpendingRangeConfig,
+  createBudgetComparisonConfig,
+} from './chartUtils';
+import { getCategoryById, getRootCategoryId } from '../constants/categories';
+
+// Months shown in the income vs expenses chart, ending with the period
+const TREND_MONTHS = 6;
+const PIE_SLICE_LIMIT = 7;
+const CATEGORY_ROW_LIMIT = 8;
+const MERCHANT_LIMIT = 10;
+
+const CHART_WIDTH = 520;
+const TEXT_COLOR = '#666';
+const GRID_COLOR = '#E5E9F2';
+const INCOME_COLOR = '#4CD964';
+const EXPENSE_COLOR = '#FF3B30';
+
+const AVERAGE_DAYS_PER_MONTH = 365.25 / 12;
+
+// Whether a period starts and ends on month boundaries, e.g. "March" or "2025"
+const isWholeMonths = ({ startDate, endDate }) => (
+  startDate.getTime() === startOfMonth(startDate).getTime()
+  && endDate.getTime() === endOfMonth(endDate).getTime()
+);
+
+/**
+ * Work out the period a report covers from an export filter
+ * Open-ended ranges such as "All Time" run from the first to the last of
+ * the transactions.
+ * @param {Object} filter - Export filter spec (see exportFilters.js)
+ * @param {Array} transactions - Transactions matching the filter
+ * @param {Date} now - The current date, for relative ranges
+ * @param {number} fiscalYearStartMonth - Month the financial year starts in, 1-12
+ * @returns {Object|null} { startDate, endDate }, or null if there is nothing
+ *   to report on
+ */
+export const getReportPeriod = (filter, transactions, now = new Date(), fiscalYearStartMonth) => {
+  const bounds = getDateRangeBounds(filter, now, fiscalYearStartMonth);
+  const times = transactions.map(transaction => new Date(transaction.date).getTime());
+
+  if (times.length === 0 && (!bounds.startDate || !bounds.endDate)) {
+    return null;
+  }
+
+  return {
+    startDate: bounds.startDate || startOfDay(new Date(Math.min(...times))),
+    endDate: bounds.endDate || endOfDay(new Date(Math.max(...times))),
+  };
+};
+
+/**
+ * Get the period a report is compared against
+ * Whole months compare with the same number of months before (March with
+ * February, a year with the year before); other ranges with the same number
+ * of days just before them.
+ * @param {Object} period - { startDate, endDate }
+ * @returns {Object} { startDate, endDate }
+ */
+export const getPreviousPeriod = (period) => {
+  if (isWholeMonths(period)) {
+    const months = differenceInCalendarMonths(period.endDate, period.startDate) + 1;
+    return {
+      startDate: startOfMonth(subMonths(period.startDate, months)),
+      endDate: endOfMonth(subMonths(period.endDate, months)),
+    };
+  }
+
+  const days = differenceInCalendarDays(period.endDate, period.startDate) + 1;
+  return {
+    startDate: startOfDay(subDays(period.startDate, days)),
+    endDate: endOfDay(subDays(period.startDate, 1)),
+  };
+};
+
+/**
+ * Describe a period, e.g. "March 2025", "2025" or "Mar 1, 2025 – Mar 15, 2025"
+ * @param {Object} period - { startDate, endDate }
+ * @returns {string} Label
+ */
+export const getPeriodLabel = (period) => {
+  if (isWholeMonths(period)) {
+    const months = differenceInCalendarMonths(period.endDate, period.startDate) + 1;
+    if (months === 1) return format(period.startDate, 'MMMM yyyy');
+    if (months === 12 && period.startDate.getMonth() === 0) return format(period.startDate, 'yyyy');
+    return `${format(period.startDate, 'MMM yyyy')} – ${format(period.endDate, 'MMM yyyy')}`;
+  }
+  return `${formatShortDate(period.startDate)} – ${formatShortDate(period.endDate)}`;
+};
+
+const isInPeriod = (transaction, { startDate, endDate }) => {
+  const date = new Date(transaction.date);
+  return date >= startDate && date <= endDate;
+};
+
+const getTotals = (transactions) => {
+  const totals = transactions.reduce((sums, transaction) => {
+    if (transaction.type === 'income') sums.income += Math.abs(transaction.amount);
+    if (transaction.type === 'expense') sums.expenses += Math.abs(transaction.amount);
+    return sums;
+  }, { income: 0, expenses: 0 });
+
+  return {
+    ...totals,
+    net: totals.income - totals.expenses,
+    savingsRate: totals.income > 0 ? (totals.income - totals.expenses) / totals.income : null,
+    count: transactions.length,
+  };
+};
+
+// Expenses per top-level category
+const getCategoryTotals = (transactions) => transactions
+  .filter(transaction => transaction.type === 'expense')
+  .reduce((totals, transaction) => {
+    getCategoryAllocations(transaction).forEach(({ category, amount }) => {
+      const categoryId = getRootCategoryId(category);
+      totals[categoryId] = (totals[categoryId] || 0) + Math.abs(amount);
+    });
+    return totals;
+  }, {});
+
+// Merchants are matched on their description, ignoring case and spacing
+const getMerchantTotals = (transactions) => transactions
+  .filter(transaction => transaction.type === 'expense' && transaction.description?.trim())
+  .reduce((merchants, transaction) => {
+    const key = transaction.description.trim().toLowerCase().replace(/\s+/g, ' ');
+    merchants[key] = merchants[key] || { name: transaction.description.trim(), amount: 0, count: 0 };
+    merchants[key].amount += Math.abs(transaction.amount);
+    merchants[key].count += 1;
+    return merchants;
+  }, {});
+
+// ----------------------------------------------------------------------------
+// Charts
+// ----------------------------------------------------------------------------
+
+const svg = (width, height, content) => (
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${content}</svg>`
+);
+
+const text = (x, y, content, { anchor = 'middle', size = 10, color = TEXT_COLOR } = {}) => (
+  `<text x="${x}" y="${y}" font-size="${size}" fill="${color}" text-anchor="${anchor}">${escapeHTML(content)}</text>`
+);
+
+// Slices beyond the limit are combined into "Other"
+const renderPieChart = (pieConfig, currency) => {
+  const slices = pieConfig.data.slice(0, PIE_SLICE_LIMIT);
+  const rest = pieConfig.data.slice(PIE_SLICE_LIMIT);
+  if (rest.length > 0) {
+    slices.push({ name: 'Other', amount: rest.reduce((sum, slice) => sum + slice.amount, 0), color: '#BDBDBD' });
+  }
+
+  const total = slices.reduce((sum, slice) => sum + slice.amount, 0);
+  if (total <= 0) {
+    return '<p class="empty">No spending in this period.</p>';
+  }
+
+  const size = 200;
+  const radius = size / 2;
+  let angle = -Math.PI / 2;
+
+  const paths = slices.map((slice) => {
+    const sweep = (slice.amount / total) * Math.PI * 2;
+    if (sweep >= Math.PI * 2 - 0.0001) {
+      return `<circle cx="${radius}" cy="${radius}" r="${radius}" fill="${slice.color}" />`;
+    }
+
+    const x1 = radius + radius * Math.cos(angle);
+    const y1 = radius + radius * Math.sin(angle);
+    angle += sweep;
+    const x2 = radius + radius * Math.cos(angle);
+    const y2 = radius + radius * Math.sin(angle);
+    const largeArc = sweep > Math.PI ? 1 : 0;
+
+    return `<path d="M${radius},${radius} L${x1.toFixed(2)},${y1.toFixed(2)} A${radius},${radius} 0 ${largeArc} 1 ${x2.toFixed(2)},${y2.toFixed(2)} Z" fill="${slice.color}" />`;
+  }).join('');
+
+  const legend = slices.map(slice => `
+    <tr>
+      <td><span class="swatch" style="background-color: ${slice.color};"></span>${escapeHTML(slice.name)}</td>
+      <td class="number">${formatCurrency(slice.amount, currency)}</td>
+      <td class="number">${((slice.amount / total) * 100).toFixed(1)}%</td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="chart-row">
+      ${svg(size, size, paths)}
+      <table class="legend">${legend}</table>
+    </div>
+  `;
+};
+
+// Vertical bars, one group per label with a bar per dataset
+const renderBarChart = (labels, datasets, currency, { height = 200, labelEvery = 1 } = {}) => {
+  const top = 16;
+  const bottom = 20;
+  const plotHeight = height - top - bottom;
+  const max = Math.max(0, ...datasets.flatMap(dataset => dataset.data));
+  const groupWidth = CHART_WIDTH / labels.length;
+  const barWidth = Math.max(1, (groupWidth * 0.7) / datasets.length);
+
+  const bars = labels.map((label, index) => {
+    const groupX = index * groupWidth + (groupWidth - barWidth * datasets.length) / 2;
+    const groupBars = datasets.map((dataset, datasetIndex) => {
+      const barHeight = max > 0 ? (dataset.data[index] / max) * plotHeight : 0;
+      const x = groupX + datasetIndex * barWidth;
+      return `<rect x="${x.toFixed(2)}" y="${(top + plotHeight - barHeight).toFixed(2)}" width="${barWidth.toFixed(2)}" height="${barHeight.toFixed(2)}" fill="${dataset.color}" />`;
+    }).join('');
+
+    const showLabel = index % labelEvery === 0;
+    return groupBars + (showLabel ? text(index * groupWidth + groupWidth / 2, height - 6, label) : '');
+  }).join('');
+
+  const grid = `
+    <line x1="0" y1="${top + plotHeight}" x2="${CHART_WIDTH}" y2="${top + plotHeight}" stroke="${GRID_COLOR}" />
+    <line x1="0" y1="${top}" x2="${CHART_WIDTH}" y2="${top}" stroke="${GRID_COLOR}" stroke-dasharray="4 4" />
+    ${text(0, top - 4, formatCurrency(max, currency), { anchor: 'start' })}
+  `;
+
+  return svg(CHART_WIDTH, height, grid + bars);
+};
+
+const renderIncomeExpenseChart = (barConfig, currency) => {
+  const datasets = barConfig.datasets.map(dataset => ({ data: dataset.data, color: dataset.color(1) }));
+  const legend = barConfig.legend.map((label, index) => (
+    `<span class="legend-item"><span class="swatch" style="background-color: ${datasets[index].color};"></span>${label}</span>`
+  )).join('');
+
+  return `${renderBarChart(barConfig.labels, datasets, currency)}<div class="chart-legend">${legend}</div>`;
+};
+
+const renderDailyChart = (dailyConfig, currency) => {
+  const [dataset] = dailyConfig.datasets;
+  const total = dataset.data.reduce((sum, value) => sum + value, 0);
+  const average = dataset.data.length > 0 ? total / dataset.data.length : 0;
+
+  return `
+    ${renderBarChart(dailyConfig.labels, [{ data: dataset.data, color: dataset.color(1) }], currency, {
+      height: 160,
+      labelEvery: Math.ceil(dailyConfig.labels.length / 15),
+    })}
+    <p class="note">Average ${formatCurrency(average, currency)} a day</p>
+  `;
+};
+
+// One stacked bar per budget: spent within budget, remaining, overspent
+const renderBudgetChart = (rows, currency) => {
+  const rowHeight = 34;
+  const labelWidth = 150;
+  const barWidth = CHART_WIDTH - labelWidth;
+
+  const content = rows.map(({ label, budget, spent }, index) => {
+    const { data } = createBudgetComparisonConfig(budget, spent, currency);
+    const [spentSlice, remainingSlice, overspentSlice] = data;
+    const scale = barWidth / Math.max(budget, spent, 1);
+    const y = index * rowHeight;
+
+    const segments = [
+      { width: (spentSlice.amount - overspentSlice.amount) * scale, color: spentSlice.color },
+      { width: remainingSlice.amount * scale, color: remainingSlice.color },
+      { width: overspentSlice.amount * scale, color: overspentSlice.color },
+    ];
+
+    let x = labelWidth;
+    const rects = segments.map((segment) => {
+      const rect = `<rect x="${x.toFixed(2)}" y="${y + 4}" width="${Math.max(0, segment.width).toFixed(2)}" height="14" fill="${segment.color}" />`;
+      x += Math.max(0, segment.width);
+      return rect;
+    }).join('');
+
+    return `
+      ${text(0, y + 15, label, { anchor: 'start', size: 11, color: '#333' })}
+      ${rects}
+      ${text(labelWidth, y + 30, `${formatCurrency(spent, currency)} of ${formatCurrency(budget, currency)}`, { anchor: 'start', size: 9 })}
+    `;
+  }).join('');
+
+  return svg(CHART_WIDTH, rows.length * rowHeight, content);
+};
+
+// Budgets are monthly, so they are scaled to the length of the period
+const getBudgetRows = (transactions, budgets, period) => {
+  const months = isWholeMonths(period)
+    ? differenceInCalendarMonths(period.endDate, period.startDate) + 1
+    : (differenceInCalendarDays(period.endDate, period.startDate) + 1) / AVERAGE_DAYS_PER_MONTH;
+
+  const categoryTotals = getCategoryTotals(transactions);
+  const rows = [];
+
+  const monthlyBudget = Number(budgets.monthlyBudget) || 0;
+  if (monthlyBudget > 0) {
+    rows.push({
+      label: 'All spending',
+      budget: monthlyBudget * months,
+      spent: getTotals(transactions).expenses,
+    });
+  }
+
+  const categoryBudgets = Object.entries(budgets.categoryBudgets || {}).reduce((totals, [category, amount]) => {
+    const rootId = getRootCategoryId(category);
+    totals[rootId] = (totals[rootId] || 0) + (Number(amount) || 0);
+    return totals;
+  }, {});
+
+  Object.entries(categoryBudgets)
+    .filter(([, amount]) => amount > 0)
+    .forEach(([category, amount]) => {
+      rows.push({
+        label: getCategoryById(category).name,
+        budget: amount * months,
+        spent: categoryTotals[category] || 0,
+      });
+    });
+
+  return rows;
+};
+
+// ----------------------------------------------------------------------------
+// Report
+// ----------------------------------------------------------------------------
+
+// higherIsBetter colours the change green or red; null leaves it neutral
+const formatChange = (current, previous, higherIsBetter = true) => {
+  if (previous === null || current === null) return '<span class="muted">—</span>';
+  if (previous === 0) return current === 0 ? '<span class="muted">0%</span>' : '<span class="muted">New</span>';
+
+  const change = (current - previous) / Math.abs(previous);
+  const isBetter = higherIsBetter ? change > 0 : change < 0;
+  const color = change === 0 || higherIsBetter === null
+    ? TEXT_COLOR
+    : (isBetter ? INCOME_COLOR : EXPENSE_COLOR);
+  const arrow = change > 0 ? '▲' : (change < 0 ? '▼' : '');
+
+  return `<span style="color: ${color};">${arrow} ${Math.abs(change * 100).toFixed(1)}%</span>`;
+};
+
+const formatRate = (rate) => (rate === null ? '—' : `${(rate * 100).toFixed(1)}%`);
+
+/**
+ * Generate HTML for a period report
+ * @param {Array} transactions - Transactions to report on; any outside the
+ *   period and the one before it are used only for the income vs expenses
+ *   trend, so pass the whole history that matches the report's filters
+ * @param {Object} options - `period` ({ startDate, endDate }, required),
+ *   `currency`, `userName`, `budgets` ({ monthlyBudget, categoryBudgets }
+ *   as returned by getBudgets) and `generatedAt`
+ * @returns {string} HTML content
+ */
+export const generatePeriodReportHTML = (transactions, {
+  period,
+  currency = 'USD',
+  userName = '',
+  budgets = {},
+  generatedAt = new Date(),
+} = {}) => {
+  const previousPeriod = getPreviousPeriod(period);
+  const current = transactions.filter(transaction => isInPeriod(transaction, period));
+  const previous = transactions.filter(transaction => isInPeriod(transaction, previousPeriod));
+
+  const totals = getTotals(current);
+  const previousTotals = getTotals(previous);
+  const periodLabel = getPeriodLabel(period);
+  const previousLabel = getPeriodLabel(previousPeriod);
+
+  // Charts
+  const pieChart = renderPieChart(createCategoryPieChartConfig(current, currency), currency);
+  const incomeExpenseChart = renderIncomeExpenseChart(
+    createIncomeExpenseBarChartConfig(transactions, TREND_MONTHS, currency, period.endDate),
+    currency
+  );
+  const dailyChart = renderDailyChart(
+    createDailySpendingRangeConfig(current, period.startDate, period.endDate, currency),
+    currency
+  );
+  const budgetRows = getBudgetRows(current, budgets, period);
+  const budgetChart = budgetRows.length > 0
+    ? renderBudgetChart(budgetRows, currency)
+    : '<p class="empty">No budgets have been set.</p>';
+
+  // Comparison with the previous period
+  const comparisonRows = [
+    { label: 'Income', current: totals.income, previous: previousTotals.income, money: true, higherIsBetter: true },
+    { label: 'Expenses', current: totals.expenses, previous: previousTotals.expenses, money: true, higherIsBetter: false },
+    { label: 'Net', current: totals.net, previous: previousTotals.net, money: true, higherIsBetter: true },
+    { label: 'Savings rate', current: totals.savingsRate, previous: previousTotals.savingsRate, rate: true, higherIsBetter: true },
+    { label: 'Transactions', current: totals.count, previous: previousTotals.count, higherIsBetter: null },
+  ].map((row) => {
+    const formatValue = (value) => {
+      if (row.rate) return formatRate(value);
+      if (row.money) return formatCurrency(value, currency);
+      return value;
+    };
+    const change = formatChange(row.current, row.previous, row.higherIsBetter);
+
+    return `
+      <tr>
+        <td>${row.label}</td>
+        <td class="number">${formatValue(row.current)}</td>
+        <td class="number">${formatValue(row.previous)}</td>
+        <td class="number">${change}</td>
+      </tr>
+    `;
+  }).join('');
+
+  const categoryTotals = getCategoryTotals(current);
+  const previousCategoryTotals = getCategoryTotals(previous);
+  const categoryRows = Object.entries(categoryTotals)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, CATEGORY_ROW_LIMIT)
+    .map(([category, amount]) => `
+      <tr>
+        <td>${escapeHTML(getCategoryById(category).name)}</td>
+        <td class="number">${formatCurrency(amount, currency)}</td>
+        <td class="number">${formatCurrency(previousCategoryTotals[category] || 0, currency)}</td>
+        <td class="number">${formatChange(amount, previousCategoryTotals[category] || 0, false)}</td>
+      </tr>
+    `).join('');
+
+  const previousMerchants = getMerchantTotals(previous);
+  const merchantRows = Object.entries(getMerchantTotals(current))
+    .sort(([, a], [, b]) => b.amount - a.amount)
+    .slice(0, MERCHANT_LIMIT)
+    .map(([key, merchant], index) => `
+      <tr>
+        <td>${index + 1}. ${escapeHTML(merchant.name)}</td>
+        <td class="number">${merchant.count}</td>
+        <td class="number">${formatCurrency(merchant.amount, currency)}</td>
+        <td class="number">${formatCurrency(previousMerchants[key]?.amount || 0, currency)}</td>
+      </tr>
+    `).join('');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Financial Report – ${escapeHTML(periodLabel)}</title>
+      <style>
+        body {
+          font-family: 'Helvetica Neue', Arial, sans-serif;
+          margin: 0;
+          padding: 20px;
+          color: #333;
+        }
+        h1 {
+          color: #4A90E2;
+          margin-bottom: 5px;
+        }
+        h2 {
+          color: #4A90E2;
+          font-size: 18px;
+          margin: 30px 0 10px;
+        }
+        .cover {
+          height: 90vh;
+          display: flex;
+          flex-direction: column;
+          justify-content: center;
+          text-align: center;
+          page-break-after: always;
+        }
+        .cover h1 {
+          font-size: 36px;
+        }
+        .cover .period {
+          font-size: 24px;
+          color: #333;
+          margin: 10px 0 40px;
+        }
+        .cover .detail {
+          font-size: 14px;
+          color: ${TEXT_COLOR};
+          margin: 4px 0;
+        }
+        .summary-box {
+          background-color: #F8F9FA;
+          border-radius: 5px;
+          padding: 15px;
+          display: flex;
+          justify-content: space-between;
+        }
+        .summary-item {
+          text-align: center;
+        }
+        .summary-label {
+          font-size: 14px;
+          color: ${TEXT_COLOR};
+          margin-bottom: 5px;
+        }
+        .summary-value {
+          font-size: 18px;
+          font-weight: bold;
+        }
+        .summary-change {
+          font-size: 12px;
+          margin-top: 4px;
+        }
+        table.report-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        .report-table th {
+          background-color: #F8F9FA;
+          text-align: left;
+          padding: 8px;
+          border-bottom: 2px solid ${GRID_COLOR};
+        }
+        .report-table td {
+          padding: 8px;
+          border-bottom: 1px solid ${GRID_COLOR};
+        }
+        .number {
+          text-align: right;
+        }
+        .section {
+          page-break-inside: avoid;
+        }
+        .chart-row {
+          display: flex;
+          align-items: center;
+        }
+        .legend {
+          margin-left: 30px;
+          font-size: 12px;
+        }
+        .legend td {
+          padding: 3px 6px;
+        }
+        .swatch {
+          display: inline-block;
+          width: 10px;
+          height: 10px;
+          border-radius: 2px;
+          margin-right: 6px;
+        }
+        .chart-legend {
+          font-size: 12px;
+          margin-top: 6px;
+        }
+        .legend-item {
+          margin-right: 16px;
+        }
+        .note, .empty, .muted {
+          color: #999;
+          font-size: 12px;
+        }
+        .footer {
+          margin-top: 50px;
+          text-align: center;
+          color: #999;
+          font-size: 12px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="cover">
+        <h1>Financial Report</h1>
+        <div class="period">${escapeHTML(periodLabel)}</div>
+        ${userName ? `<div class="detail">Prepared for ${escapeHTML(userName)}</div>` : ''}
+        <div class="detail">Amounts in ${escapeHTML(currency)}</div>
+        <div class="detail">Generated on ${formatShortDate(generatedAt)}</div>
+      </div>
+
+      <div class="section">
+        <h2>Summary</h2>
+        <div class="summary-box">
+          <div class="summary-item">
+            <div class="summary-label">Income</div>
+            <div class="summary-value">${formatCurrency(totals.income, currency)}</div>
+            <div class="summary-change">${formatChange(totals.income, previousTotals.income)}</div>
+          </div>
+          <div class="summary-item">
+            <div class="summary-label">Expenses</div>
+            <div class="summary-value">${formatCurrency(totals.expenses, currency)}</div>
+            <div class="summary-change">${formatChange(totals.expenses, previousTotals.expenses, false)}</div>
+          </div>
+          <div class="summary-item">
+            <div class="summary-label">Net</div>
+            <div class="summary-value">${formatCurrency(totals.net, currency)}</div>
+            <div class="summary-change">${formatChange(totals.net, previousTotals.net)}</div>
+          </div>
+          <div class="summary-item">
+            <div class="summary-label">Savings Rate</div>
+            <div class="summary-value">${formatRate(totals.savingsRate)}</div>
+          </div>
+        </div>
+      </div>
+
+      <div class="section">
+        <h2>Compared with ${escapeHTML(previousLabel)}</h2>
+        <table class="report-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th class="number">${escapeHTML(periodLabel)}</th>
+              <th class="number">${escapeHTML(previousLabel)}</th>
+              <th class="number">Change</th>
+            </tr>
+          </thead>
+          <tbody>${comparisonRows}</tbody>
+        </table>
+      </div>
+
+      <div class="section">
+        <h2>Spending by Category</h2>
+        ${pieChart}
+      </div>
+
+      <div class="section">
+        <h2>Income vs Expenses</h2>
+        ${incomeExpenseChart}
+      </div>
+
+      <div class="section">
+        <h2>Daily Spending</h2>
+        ${dailyChart}
+      </div>
+
+      <div class="section">
+        <h2>Budget vs Actual</h2>
+        ${budgetChart}
+      </div>
+
+      ${categoryRows ? `
+        <div class="section">
+          <h2>Categories Compared</h2>
+          <table class="report-table">
+            <thead>
+              <tr>
+                <th>Category</th>
+                <th class="number">${escapeHTML(periodLabel)}</th>
+                <th class="number">${escapeHTML(previousLabel)}</th>
+                <th class="number">Change</th>
+              </tr>
+            </thead>
+            <tbody>${categoryRows}</tbody>
+          </table>
+        </div>
+      ` : ''}
+
+      ${merchantRows ? `
+        <div class="section">
+          <h2>Top Merchants</h2>
+          <table class="report-table">
+            <thead>
+              <tr>
+                <th>Merchant</th>
+                <th class="number">Payments</th>
+                <th class="number">${escapeHTML(periodLabel)}</th>
+                <th class="number">${escapeHTML(previousLabel)}</th>
+              </tr>
+            </thead>
+            <tbody>${merchantRows}</tbody>
+          </table>
+        </div>
+      ` : ''}
+
+      <div class="footer">
+        Generated by Expense Tracker App | ${format(generatedAt, 'yyyy-MM-dd')}
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+export default {
+  getReportPeriod,
+  getPreviousPeriod,
+  getPeriodLabel,
+  generatePeriodReportHTML,
+};
@@ -0,0 +1,1096 @@
+/**
+ * Data Repository
+ *
+ * This module owns every Firestore read and write for transactions, bills,
+ * budgets, goals and recurring transaction definitions, so the rest of the
+ * app agrees on where each kind of data lives:
+ *
+ * - transactions: top-level `transactions` collection, keyed by userId
+ * - bills: `users/{uid}/bills` subcollection
+ * - recurring definitions: `users/{uid}/recurringTransactions` subcollection
+ * - accounts: `users/{uid}/accounts` subcollection
+ * - categories: `users/{uid}/categories` subcollection, holding custom
+ *   categories and the user's changes to the built-in ones
+ * - rules: `users/{uid}/rules` subcollection of auto-categorization rules
+ * - profile: `users/{uid}` document, holding the name, photo, currency and
+ *   onboarding state
+ * - budgets: `monthlyBudget` and `categoryBudgets` fields on the user document
+ * - tax settings: `fiscalYearStartMonth` and `taxSections` fields on the user
+ *   document
+ * - time zone: `timeZone` field on the user document, unset to follow the
+ *   device
+ * - goals: `goals` array on the user document
+ *
+ * It also contains the one-time migration that moves data written by older
+ * versions of the app into these locations, and the deletion of all of a
+ * user's data when they delete their account.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  deleteField,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  getAggregateFromServer,
+  sum,
+  arrayUnion,
+  arrayRemove,
+  writeBatch,
+  Timestamp,
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { hasCategory } from './dataUtils';
+import { DEFAULT_FISCAL_YEAR_START_MONTH } from '../constants/tax';
+import { getDeviceTimeZone, isValidTimeZone } from './timeZone';
+
+// Bump when a new migration step is added
+export const DATA_MIGRATION_VERSION = 1;
+
+// Migration steps, run in order
+export const MIGRATION_STEPS = {
+  SUBCOLLECTION_TRANSACTIONS: 'subcollectionTransactions',
+  USER_DOC_TRANSACTIONS: 'userDocTransactions',
+  USER_DOC_RECURRING: 'userDocRecurring',
+};
+
+// Number of transactions fetched per page of older history
+export const TRANSACTIONS_PAGE_SIZE = 50;
+
+// Firestore allows at most 500 writes in one batch
+const BATCH_LIMIT = 500;
+
+// Fields stored as Firestore timestamps on transaction documents
+const TRANSACTION_DATE_FIELDS = ['date', 'createdAt', 'updatedAt'];
+
+/**
+ * Convert a Firestore Timestamp, Date or string into a Date
+ * @param {Timestamp|Date|string} value - Value to convert
+ * @returns {Date|null} Date or null if the value is empty
+ */
+export const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Timestamp) return value.toDate();
+  return new Date(value);
+};
+
+// ----------------------------------------------------------------------------
+// Transactions
+// ----------------------------------------------------------------------------
+
+/**
+ * Reserve a new transaction document ID without writing anything
+ * @returns {string} Firestore document ID
+ */
+export const createTransactionId = () => doc(collection(db, 'transactions')).id;
+
+/**
+ * Build the query for a user's recent transactions, newest first
+ * @param {string} userId - The user ID
+ * @param {Date} since - Only include transactions on or after this date
+ * @returns {Query} Firestore query
+ */
+export const getTransactionsQuery = (userId, since) => query(
+  collection(db, 'transactions'),
+  where('userId', '==', userId),
+  where('date', '>=', Timestamp.fromDate(since)),
+  orderBy('date', 'desc')
+);
+
+/**
+ * Fetch one page of older transactions, newest first
+ * @param {string} userId - The user ID
+ * @param {Object} options - `before` (Date) for the first page, or `cursor`
+ *   (the last document of the previous page) for the pages after it
+ * @returns {Promise<Object>} Object with transactions, cursor and hasMore
+ */
+export const getTransactionsPage = async (userId, { before, cursor, pageSize = TRANSACTIONS_PAGE_SIZE }) => {
+  const constraints = [
+    where('userId', '==', userId),
+    where('date', '<', Timestamp.fromDate(before)),
+    orderBy('date', 'desc'),
+  ];
+
+  if (cursor) {
+    constraints.push(startAfter(cursor));
+  }
+
+  const snapshot = await getDocs(query(
+    collection(db, 'transactions'),
+    ...constraints,
+    limit(pageSize)
+  ));
+
+  return {
+    transactions: snapshot.docs.map(fromTransactionDoc),
+    cursor: snapshot.docs[snapshot.docs.length - 1] || cursor,
+    hasMore: snapshot.docs.length === pageSize,
+  };
+};
+
+/**
+ * Get income and expense totals across all of a user's transactions,
+ * computed by Firestore without downloading them
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} Object with income, expense and balance
+ */
+export const getTransactionSummary = async (userId) => {
+  const transactionsCollection = collection(db, 'transactions');
+
+  const [incomeSnapshot, expenseSnapshot] = await Promise.all(
+    ['income', 'expense'].map(type => getAggregateFromServer(
+      query(transactionsCollection, where('userId', '==', userId), where('type', '==', type)),
+      { total: sum('amount') }
+    ))
+  );
+
+  const income = incomeSnapshot.data().total || 0;
+  const expense = expenseSnapshot.data().total || 0;
+
+  return {
+    income,
+    expense,
+    balance: income - expense,
+  };
+};
+
+/**
+ * Convert a transaction with ISO date strings into a Firestore document
+ * @param {Object} transaction - Transaction from local state
+ * @returns {Object} Document data
+ */
+export const toTransactionDoc = (transaction) => {
+  const data = { ...transaction };
+  delete data.firestoreId;
+  delete data.syncStatus;
+
+  TRANSACTION_DATE_FIELDS.forEach((field) => {
+    if (data[field]) {
+      data[field] = Timestamp.fromDate(toDate(data[field]));
+    }
+  });
+
+  return data;
+};
+
+/**
+ * Convert a Firestore document into a transaction for local state
+ * @param {DocumentSnapshot} transactionDoc - Firestore document
+ * @returns {Object} Transaction with ISO date strings
+ */
+export const fromTransactionDoc = (transactionDoc) => {
+  const data = transactionDoc.data();
+  return {
+    id: data.id || transactionDoc.id, // Use the internal ID if available, otherwise use Firestore ID
+    firestoreId: transactionDoc.id,   // Always store the Firestore document ID
+    ...data,
+    date: toDate(data.date).toISOString(),
+    createdAt: toDate(data.createdAt)?.toISOString(),
+    updatedAt: toDate(data.updatedAt)?.toISOString(),
+  };
+};
+
+/**
+ * Get a user's transactions, optionally filtered
+ * The date range is applied by Firestore (it shares the index used by the
+ * transaction listener); type and category are filtered on the client so no
+ * further composite indexes are needed.
+ * @param {string} userId - The user ID
+ * @param {Object} filters - Optional type, category, startDate and endDate
+ * @returns {Promise<Array>} Transactions with ISO date strings
+ */
+export const getTransactions = async (userId, filters = {}) => {
+  if (!userId) return [];
+
+  const { type, category, startDate, endDate } = filters;
+  const constraints = [where('userId', '==', userId)];
+  if (startDate) {
+    constraints.push(where('date', '>=', Timestamp.fromDate(new Date(startDate))));
+  }
+  if (endDate) {
+    constraints.push(where('date', '<=', Timestamp.fromDate(new Date(endDate))));
+  }
+
+  const snapshot = await getDocs(query(collection(db, 'transactions'), ...constraints));
+
+  return snapshot.docs
+    .map(fromTransactionDoc)
+    .filter((transaction) => {
+      const transactionDate = new Date(transaction.date);
+      if (type && transaction.type !== type) return false;
+      if (category && !hasCategory(transaction, category)) return false;
+      if (startDate && transactionDate < new Date(startDate)) return false;
+      if (endDate && transactionDate > new Date(endDate)) return false;
+      return true;
+    });
+};
+
+/**
+ * Get a single transaction document
+ * @param {string} firestoreId - Firestore document ID
+ * @returns {Promise<Object|null>} Transaction with ISO date strings, or null
+ *   if there is no such document
+ */
+export const getTransaction = async (firestoreId) => {
+  const transactionDoc = await getDoc(doc(db, 'transactions', firestoreId));
+  return transactionDoc.exists() ? fromTransactionDoc(transactionDoc) : null;
+};
+
+/**
+ * Write a transaction document
+ * @param {string} firestoreId - Firestore document ID
+ * @param {Object} transaction - Transaction with ISO date strings
+ * @param {Object} options - Pass { merge: true } to update existing fields only
+ * @returns {Promise} Promise that resolves when the write is acknowledged
+ */
+export const saveTransaction = (firestoreId, transaction, options = {}) => {
+  return setDoc(
+    doc(db, 'transactions', firestoreId),
+    toTransactionDoc(transaction),
+    options
+  );
+};
+
+/**
+ * Delete a transaction document
+ * @param {string} firestoreId - Firestore document ID
+ * @returns {Promise} Promise that resolves when the delete is acknowledged
+ */
+export const deleteTransactionDoc = (firestoreId) => {
+  return deleteDoc(doc(db, 'transactions', firestoreId));
+};
+
+// ----------------------------------------------------------------------------
+// Accounts
+// ----------------------------------------------------------------------------
+
+/**
+ * Build the query for a user's accounts, oldest first
+ * @param {string} userId - The user ID
+ * @returns {Query} Firestore query
+ */
+export const getAccountsQuery = (userId) => query(
+  collection(db, 'users', userId, 'accounts'),
+  orderBy('createdAt', 'asc')
+);
+
+/**
+ * Reserve a new account document ID without writing anything
+ * @param {string} userId - The user ID
+ * @returns {string} Firestore document ID
+ */
+export const createAccountId = (userId) => doc(collection(db, 'users', userId, 'accounts')).id;
+
+/**
+ * Create or update an account
+ * @param {string} userId - The user ID
+ * @param {Object} account - Account with an id
+ * @returns {Promise} Promise that resolves when the account is saved
+ */
+export const saveAccount = (userId, account) => {
+  return setDoc(doc(db, 'users', userId, 'accounts', account.id), account, { merge: true });
+};
+
+/**
+ * Delete an account
+ * @param {string} userId - The user ID
+ * @param {string} accountId - The account ID
+ * @returns {Promise} Promise that resolves when the account is deleted
+ */
+export const removeAccount = (userId, accountId) => {
+  return deleteDoc(doc(db, 'users', userId, 'accounts', accountId));
+};
+
+/**
+ * Get all accounts for a user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Accounts
+ */
+export const getAccounts = async (userId) => {
+  const snapshot = await getDocs(getAccountsQuery(userId));
+  return snapshot.docs.map(accountDoc => ({ id: accountDoc.id, ...accountDoc.data() }));
+};
+
+/**
+ * Sum the amounts of a user's transactions matching the given fields
+ * @param {string} userId - The user ID
+ * @param {Object} fields - Map of field name to required value
+ * @returns {Promise<number>} Total amount
+ */
+const sumTransactionAmounts = async (userId, fields) => {
+  const constraints = Object.entries(fields).map(([field, value]) => where(field, '==', value));
+  const snapshot = await getAggregateFromServer(
+    query(collection(db, 'transactions'), where('userId', '==', userId), ...constraints),
+    { total: sum('amount') }
+  );
+  return snapshot.data().total || 0;
+};
+
+/**
+ * Get income, expense and transfer totals per account, computed by Firestore.
+ * Transactions saved before accounts existed have no accountId, so the
+ * default account's income and expense are whatever is not assigned elsewhere.
+ * @param {string} userId - The user ID
+ * @param {Array} accounts - The user's accounts
+ * @param {string} defaultAccountId - ID of the default account
+ * @returns {Promise<Object>} Map of account ID to { income, expense, transferIn, transferOut }
+ */
+export const getAccountTotals = async (userId, accounts, defaultAccountId) => {
+  const summary = await getTransactionSummary(userId);
+
+  const entries = await Promise.all(accounts.map(async (account) => {
+    const isDefault = account.id === defaultAccountId;
+    const [income, expense, transferOut, transferIn] = await Promise.all([
+      isDefault ? 0 : sumTransactionAmounts(userId, { type: 'income', accountId: account.id }),
+      isDefault ? 0 : sumTransactionAmounts(userId, { type: 'expense', accountId: account.id }),
+      sumTransactionAmounts(userId, { type: 'transfer', accountId: account.id }),
+      sumTransactionAmounts(userId, { type: 'transfer', toAccountId: account.id }),
+    ]);
+    return [account.id, { income, expense, transferIn, transferOut }];
+  }));
+
+  const totals = Object.fromEntries(entries);
+
+  if (totals[defaultAccountId]) {
+    const assigned = entries
+      .filter(([accountId]) => accountId !== defaultAccountId)
+      .reduce((acc, [, accountTotals]) => ({
+        income: acc.income + accountTotals.income,
+        expense: acc.expense + accountTotals.expense,
+      }), { income: 0, expense: 0 });
+
+    totals[defaultAccountId].income = summary.income - assigned.income;
+    totals[defaultAccountId].expense = summary.expense - assigned.expense;
+  }
+
+  return totals;
+};
+
+// ----------------------------------------------------------------------------
+// Categories
+// ----------------------------------------------------------------------------
+
+/**
+ * Get the collection holding a user's category taxonomy
+ * @param {string} userId - The user ID
+ * @returns {CollectionReference} Firestore collection
+ */
+export const getCategoriesQuery = (userId) => collection(db, 'users', userId, 'categories');
+
+/**
+ * Reserve a new category document ID without writing anything
+ * @param {string} userId - The user ID
+ * @returns {string} Firestore document ID
+ */
+export const createCategoryId = (userId) => doc(getCategoriesQuery(userId)).id;
+
+/**
+ * Create or update a category
+ * @param {string} userId - The user ID
+ * @param {Object} category - Category with an id
+ * @returns {Promise} Promise that resolves when the category is saved
+ */
+export const saveCategory = (userId, category) => {
+  return setDoc(doc(db, 'users', userId, 'categories', category.id), category, { merge: true });
+};
+
+/**
+ * Create or update several categories in one write, e.g. after reordering
+ * @param {string} userId - The user ID
+ * @param {Array} categories - Categories with ids
+ * @returns {Promise} Promise that resolves when every category is saved
+ */
+export const saveCategories = (userId, categories) => {
+  const batch = writeBatch(db);
+  categories.forEach(category => {
+    batch.set(doc(db, 'users', userId, 'categories', category.id), category, { merge: true });
+  });
+  return batch.commit();
+};
+
+/**
+ * Delete a saved category
+ * @param {string} userId - The user ID
+ * @param {string} categoryId - The category ID
+ * @returns {Promise} Promise that resolves when the category is deleted
+ */
+export const removeCategory = (userId, categoryId) => {
+  return deleteDoc(doc(db, 'users', userId, 'categories', categoryId));
+};
+
+/**
+ * Get a user's saved categories
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Categories
+ */
+export const getUserCategories = async (userId) => {
+  const snapshot = await getDocs(getCategoriesQuery(userId));
+  return snapshot.docs.map(categoryDoc => ({ id: categoryDoc.id, ...categoryDoc.data() }));
+};
+
+// ----------------------------------------------------------------------------
+// Rules
+// ----------------------------------------------------------------------------
+
+/**
+ * Build the query for a user's auto-categorization rules, in the order they run
+ * @param {string} userId - The user ID
+ * @returns {Query} Firestore query
+ */
+export const getRulesQuery = (userId) => query(
+  collection(db, 'users', userId, 'rules'),
+  orderBy('order', 'asc')
+);
+
+/**
+ * Reserve a new rule document ID without writing anything
+ * @param {string} userId - The user ID
+ * @returns {string} Firestore document ID
+ */
+export const createRuleId = (userId) => doc(collection(db, 'users', userId, 'rules')).id;
+
+/**
+ * Create or update a rule
+ * @param {string} userId - The user ID
+ * @param {Object} rule - Rule with an id
+ * @returns {Promise} Promise that resolves when the rule is saved
+ */
+export const saveRule = (userId, rule) => {
+  return setDoc(doc(db, 'users', userId, 'rules', rule.id), rule, { merge: true });
+};
+
+/**
+ * Create or update several rules in one write, e.g. after reordering
+ * @param {string} userId - The user ID
+ * @param {Array} rules - Rules with ids
+ * @returns {Promise} Promise that resolves when every rule is saved
+ */
+export const saveRules = (userId, rules) => {
+  const batch = writeBatch(db);
+  rules.forEach(rule => {
+    batch.set(doc(db, 'users', userId, 'rules', rule.id), rule, { merge: true });
+  });
+  return batch.commit();
+};
+
+/**
+ * Delete a rule
+ * @param {string} userId - The user ID
+ * @param {string} ruleId - The rule ID
+ * @returns {Promise} Promise that resolves when the rule is deleted
+ */
+export const removeRule = (userId, ruleId) => {
+  return deleteDoc(doc(db, 'users', userId, 'rules', ruleId));
+};
+
+/**
+ * Get a user's rules, in the order they run
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Rules
+ */
+export const getRules = async (userId) => {
+  const snapshot = await getDocs(getRulesQuery(userId));
+  return snapshot.docs.map(ruleDoc => ({ id: ruleDoc.id, ...ruleDoc.data() }));
+};
+
+// ----------------------------------------------------------------------------
+// Bills
+// ----------------------------------------------------------------------------
+
+/**
+ * Get all bills for a user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Bills with their document IDs
+ */
+export const getBills = async (userId) => {
+  const snapshot = await getDocs(collection(db, 'users', userId, 'bills'));
+  return snapshot.docs.map(billDoc => ({ id: billDoc.id, ...billDoc.data() }));
+};
+
+/**
+ * Create or update a bill
+ * @param {string} userId - The user ID
+ * @param {Object} billData - Bill fields
+ * @param {string|null} billId - Existing bill ID when updating
+ * @returns {Promise<string>} The bill ID
+ */
+export const saveBill = async (userId, billData, billId = null) => {
+  if (billId) {
+    await updateDoc(doc(db, 'users', userId, 'bills', billId), billData);
+    return billId;
+  }
+
+  const billRef = doc(collection(db, 'users', userId, 'bills'));
+  await setDoc(billRef, billData);
+  return billRef.id;
+};
+
+/**
+ * Delete a bill
+ * @param {string} userId - The user ID
+ * @param {string} billId - The bill ID
+ * @returns {Promise} Promise that resolves when the bill is deleted
+ */
+export const deleteBill = (userId, billId) => {
+  return deleteDoc(doc(db, 'users', userId, 'bills', billId));
+};
+
+// ----------------------------------------------------------------------------
+// User profile fields (profile, budgets and goals)
+// ----------------------------------------------------------------------------
+
+/**
+ * Get the user document data
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} User data or null if the document is missing
+ */
+export const getUserData = async (userId) => {
+  const userDoc = await getDoc(doc(db, 'users', userId));
+  return userDoc.exists() ? userDoc.data() : null;
+};
+
+/**
+ * Create the user document, replacing any existing one
+ * @param {string} userId - The user ID
+ * @param {Object} userData - Profile fields, e.g. email and displayName
+ * @returns {Promise} Promise that resolves when the document is saved
+ */
+export const createUserData = (userId, userData) => {
+  return setDoc(doc(db, 'users', userId), userData);
+};
+
+/**
+ * Update fields on the user document. Rejects if the document is missing.
+ * @param {string} userId - The user ID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise} Promise that resolves when the fields are saved
+ */
+export const updateUserData = (userId, changes) => {
+  return updateDoc(doc(db, 'users', userId), changes);
+};
+
+/**
+ * Set fields on the user document, creating it if it is missing
+ * @param {string} userId - The user ID
+ * @param {Object} changes - Fields to set
+ * @returns {Promise} Promise that resolves when the fields are saved
+ */
+export const mergeUserData = (userId, changes) => {
+  return setDoc(doc(db, 'users', userId), changes, { merge: true });
+};
+
+/**
+ * Get a user's budgets
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} Object with monthlyBudget, categoryBudgets and currency
+ */
+export const getBudgets = async (userId) => {
+  const userData = await getUserData(userId);
+  return {
+    monthlyBudget: userData?.monthlyBudget || 0,
+    categoryBudgets: userData?.categoryBudgets || {},
+    currency: userData?.currency,
+  };
+};
+
+/**
+ * Save the overall monthly budget
+ * @param {string} userId - The user ID
+ * @param {number} monthlyBudget - Budget amount
+ * @returns {Promise} Promise that resolves when the budget is saved
+ */
+export const saveMonthlyBudget = (userId, monthlyBudget) => {
+  return updateDoc(doc(db, 'users', userId), {
+    monthlyBudget,
+    updatedAt: Timestamp.now(),
+  });
+};
+
+/**
+ * Save the per-category budgets
+ * @param {string} userId - The user ID
+ * @param {Object} categoryBudgets - Map of category ID to budget amount
+ * @returns {Promise} Promise that resolves when the budgets are saved
+ */
+export const saveCategoryBudgets = (userId, categoryBudgets) => {
+  return updateDoc(doc(db, 'users', userId), {
+    categoryBudgets,
+    updatedAt: Timestamp.now(),
+  });
+};
+
+/**
+ * Get a user's tax settings
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} Object with fiscalYearStartMonth (1-12) and the
+ *   user's own taxSections
+ */
+export const getTaxSettings = async (userId) => {
+  const userData = await getUserData(userId);
+  return {
+    fiscalYearStartMonth: userData?.fiscalYearStartMonth || DEFAULT_FISCAL_YEAR_START_MONTH,
+    taxSections: userData?.taxSections || [],
+  };
+};
+
+/**
+ * Get the time zone recurring transactions are scheduled in
+ * @param {string} userId - The user ID
+ * @returns {Promise<string>} The user's chosen IANA time zone, or the
+ *   device's when none is set or the device does not know it
+ */
+export const getTimeZone = async (userId) => {
+  const userData = await getUserData(userId);
+  return isValidTimeZone(userData?.timeZone) ? userData.timeZone : getDeviceTimeZone();
+};
+
+/**
+ * Save the user's own tax deduction sections
+ * @param {string} userId - The user ID
+ * @param {Array} taxSections - Sections of { id, name, limit }
+ * @returns {Promise} Promise that resolves when the sections are saved
+ */
+export const saveTaxSections = (userId, taxSections) => {
+  return updateDoc(doc(db, 'users', userId), {
+    taxSections,
+    updatedAt: Timestamp.now(),
+  });
+};
+
+/**
+ * Get a user's goals
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Goals
+ */
+export const getGoals = async (userId) => {
+  const userData = await getUserData(userId);
+  return Array.isArray(userData?.goals) ? userData.goals : [];
+};
+
+/**
+ * Add a goal
+ * @param {string} userId - The user ID
+ * @param {Object} goal - Goal to add
+ * @returns {Promise} Promise that resolves when the goal is saved
+ */
+export const addGoal = (userId, goal) => {
+  return updateDoc(doc(db, 'users', userId), {
+    goals: arrayUnion(goal),
+  });
+};
+
+/**
+ * Replace a goal with an updated version
+ * @param {string} userId - The user ID
+ * @param {Object} oldGoal - Goal exactly as stored
+ * @param {Object} updatedGoal - Updated goal
+ * @returns {Promise} Promise that resolves when the goal is saved
+ */
+export const updateGoal = async (userId, oldGoal, updatedGoal) => {
+  const userDocRef = doc(db, 'users', userId);
+  await updateDoc(userDocRef, { goals: arrayRemove(oldGoal) });
+  await updateDoc(userDocRef, { goals: arrayUnion(updatedGoal) });
+};
+
+/**
+ * Remove a goal
+ * @param {string} userId - The user ID
+ * @param {Object} goal - Goal exactly as stored
+ * @returns {Promise} Promise that resolves when the goal is removed
+ */
+export const removeGoal = (userId, goal) => {
+  return updateDoc(doc(db, 'users', userId), {
+    goals: arrayRemove(goal),
+  });
+};
+
+// ----------------------------------------------------------------------------
+// Recurring transaction definitions
+// ----------------------------------------------------------------------------
+
+/**
+ * Get all recurring transaction definitions for a user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Recurring definitions
+ */
+export const getRecurringDefinitions = async (userId) => {
+  const snapshot = await getDocs(collection(db, 'users', userId, 'recurringTransactions'));
+  return snapshot.docs.map(recurringDoc => ({ id: recurringDoc.id, ...recurringDoc.data() }));
+};
+
+/**
+ * Create or replace a recurring transaction definition
+ * @param {string} userId - The user ID
+ * @param {Object} recurringDef - Recurring definition with an id
+ * @returns {Promise} Promise that resolves when the definition is saved
+ */
+export const saveRecurringDefinition = (userId, recurringDef) => {
+  return setDoc(
+    doc(db, 'users', userId, 'recurringTransactions', recurringDef.id),
+    recurringDef
+  );
+};
+
+/**
+ * Delete a recurring transaction definition
+ * @param {string} userId - The user ID
+ * @param {string} recurringId - Recurring definition ID
+ * @returns {Promise} Promise that resolves when the definition is deleted
+ */
+export const deleteRecurringDefinition = (userId, recurringId) => {
+  return deleteDoc(doc(db, 'users', userId, 'recurringTransactions', recurringId));
+};
+
+// ----------------------------------------------------------------------------
+// Backups
+// ----------------------------------------------------------------------------
+
+/**
+ * Apply many document writes, in as few batched writes as possible
+ * Restoring a backup touches every location above, so it goes through here
+ * rather than the per-kind save functions.
+ * @param {Array} writes - Entries of { path, data, merge } to set a document
+ *   or { path, remove: true } to delete one, where path is the document's
+ *   path segments, e.g. ['users', userId, 'bills', billId]
+ * @returns {Promise} Promise that resolves when every batch is committed
+ */
+export const commitWrites = async (writes) => {
+  for (let start = 0; start < writes.length; start += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    writes.slice(start, start + BATCH_LIMIT).forEach(({ path, data, merge, remove }) => {
+      const ref = doc(db, ...path);
+      if (remove) {
+        batch.delete(ref);
+      } else {
+        batch.set(ref, data, merge ? { merge: true } : {});
+      }
+    });
+    await batch.commit();
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Account deletion
+// ----------------------------------------------------------------------------
+
+/**
+ * Delete every top-level document that belongs to a user
+ * @param {string} userId - The user ID
+ * @param {string} collectionName - Top-level collection keyed by userId
+ * @returns {Promise} Promise that resolves when the documents are deleted
+ */
+const deleteOwnedDocs = async (userId, collectionName) => {
+  const snapshot = await getDocs(query(
+    collection(db, collectionName),
+    where('userId', '==', userId)
+  ));
+  await Promise.all(snapshot.docs.map(ownedDoc => deleteDoc(ownedDoc.ref)));
+};
+
+/**
+ * Delete everything stored for a user: the user document, their
+ * transactions, every subcollection above and the budget and settings
+ * documents written by older versions of the app
+ * @param {string} userId - The user ID
+ * @returns {Promise} Promise that resolves when the data is deleted
+ */
+export const deleteUserData = async (userId) => {
+  await deleteDoc(doc(db, 'users', userId));
+  await deleteOwnedDocs(userId, 'transactions');
+  await deleteOwnedDocs(userId, 'budgets');
+
+  const recurringDefinitions = await getRecurringDefinitions(userId);
+  await Promise.all(
+    recurringDefinitions.map(recurringDef => deleteRecurringDefinition(userId, recurringDef.id))
+  );
+
+  const bills = await getBills(userId);
+  await Promise.all(bills.map(bill => deleteBill(userId, bill.id)));
+
+  const accounts = await getAccounts(userId);
+  await Promise.all(accounts.map(account => removeAccount(userId, account.id)));
+
+  const userCategories = await getUserCategories(userId);
+  await Promise.all(userCategories.map(category => removeCategory(userId, category.id)));
+
+  const rules = await getRules(userId);
+  await Promise.all(rules.map(rule => removeRule(userId, rule.id)));
+
+  await deleteOwnedDocs(userId, 'settings');
+};
+
+// ----------------------------------------------------------------------------
+// Permissions
+// ----------------------------------------------------------------------------
+
+/**
+ * Check that the user can read each location the app depends on
+ * @param {string} userId - The user ID
+ * @returns {Promise<boolean>} Whether every read succeeded
+ */
+export const canReadUserData = async (userId) => {
+  try {
+    const userDoc = await getDoc(doc(db, 'users', userId));
+    if (!userDoc.exists()) {
+      return false;
+    }
+
+    await getDocs(query(
+      collection(db, 'transactions'),
+      where('userId', '==', userId),
+      limit(1)
+    ));
+    await getDocs(query(collection(db, 'users', userId, 'recurringTransactions'), limit(1)));
+    await getDocs(query(collection(db, 'users', userId, 'bills'), limit(1)));
+
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Migration
+// ----------------------------------------------------------------------------
+
+/**
+ * Normalize a transaction written by an older version of the app so it
+ * passes the rules for the top-level collection
+ * @param {Object} legacyTransaction - Stored transaction data
+ * @param {string} userId - The user ID
+ * @param {string} id - Transaction ID to keep as the `id` field
+ * @returns {Object|null} Transaction document data, or null if it cannot be kept
+ */
+const normalizeLegacyTransaction = (legacyTransaction, userId, id) => {
+  const date = toDate(legacyTransaction.date || legacyTransaction.dueDate);
+  const amount = Math.abs(Number(legacyTransaction.amount));
+
+  if (!date || isNaN(date.getTime()) || !amount) {
+    return null;
+  }
+
+  // Older writes stored expenses as negative amounts
+  const type = legacyTransaction.type === 'income' || legacyTransaction.type === 'expense'
+    ? legacyTransaction.type
+    : (Number(legacyTransaction.amount) < 0 ? 'expense' : 'income');
+
+  const data = {
+    ...legacyTransaction,
+    id,
+    userId,
+    type,
+    amount,
+    category: legacyTransaction.category || 'other',
+    date: Timestamp.fromDate(date),
+    createdAt: legacyTransaction.createdAt
+      ? Timestamp.fromDate(toDate(legacyTransaction.createdAt))
+      : Timestamp.now(),
+    migratedAt: Timestamp.now(),
+  };
+
+  // Drop bill-only fields copied onto the transaction
+  delete data.dueDate;
+  delete data.frequency;
+  delete data.firestoreId;
+  if (data.updatedAt) {
+    data.updatedAt = Timestamp.fromDate(toDate(data.updatedAt));
+  }
+  if (!data.note && legacyTransaction.name) {
+    data.note = legacyTransaction.name;
+  }
+
+  return data;
+};
+
+/**
+ * Record that a migration step has finished
+ * @param {string} userId - The user ID
+ * @param {string} step - Step from MIGRATION_STEPS
+ * @param {Object} extraFields - Additional user document fields to write
+ * @returns {Promise} Promise that resolves when progress is saved
+ */
+const completeMigrationStep = (userId, step, extraFields = {}) => {
+  return updateDoc(doc(db, 'users', userId), {
+    ...extraFields,
+    'dataMigration.completedSteps': arrayUnion(step),
+    'dataMigration.updatedAt': Timestamp.now(),
+  });
+};
+
+/**
+ * Document ID for a migrated transaction in the top-level collection.
+ * Older versions generated IDs on the device, so the same ID can belong to
+ * several users; the user ID keeps each user's copy apart.
+ * @param {string} userId - The user ID
+ * @param {string|number} legacyKey - Document ID or array index it came from
+ * @returns {string} Firestore document ID
+ */
+const getLegacyDocId = (userId, legacyKey) => `legacy_${userId}_${legacyKey}`;
+
+/**
+ * Move transactions from the `users/{uid}/transactions` subcollection.
+ * Each document is copied under a deterministic ID before the original is
+ * deleted, so an interrupted run simply picks up where it stopped.
+ */
+const migrateSubcollectionTransactions = async (userId) => {
+  const legacySnapshot = await getDocs(collection(db, 'users', userId, 'transactions'));
+
+  for (const legacyDoc of legacySnapshot.docs) {
+    const legacyData = legacyDoc.data();
+    const docId = getLegacyDocId(userId, legacyDoc.id);
+    // The old ID stays in the `id` field, which the app looks transactions up by
+    const data = normalizeLegacyTransaction(legacyData, userId, legacyData.id || docId);
+
+    if (data) {
+      await setDoc(doc(db, 'transactions', docId), data);
+    }
+    await deleteDoc(legacyDoc.ref);
+  }
+
+  await completeMigrationStep(userId, MIGRATION_STEPS.SUBCOLLECTION_TRANSACTIONS);
+};
+
+/**
+ * Move transactions from the `transactions` array on the user document
+ */
+const migrateUserDocTransactions = async (userId, userData) => {
+  const legacyTransactions = Array.isArray(userData.transactions) ? userData.transactions : [];
+
+  for (const [index, legacyTransaction] of legacyTransactions.entries()) {
+    const docId = getLegacyDocId(userId, legacyTransaction.id || index);
+    const data = normalizeLegacyTransaction(legacyTransaction, userId, legacyTransaction.id || docId);
+
+    if (data) {
+      await setDoc(doc(db, 'transactions', docId), data);
+    }
+  }
+
+  await completeMigrationStep(userId, MIGRATION_STEPS.USER_DOC_TRANSACTIONS, {
+    transactions: deleteField(),
+  });
+};
+
+/**
+ * Move recurring definitions from the `recurringTransactions` array on the
+ * user document into the subcollection
+ */
+const migrateUserDocRecurring = async (userId, userData) => {
+  const legacyDefinitions = Array.isArray(userData.recurringTransactions)
+    ? userData.recurringTransactions
+    : [];
+
+  for (const recurringDef of legacyDefinitions) {
+    if (recurringDef?.id) {
+      await saveRecurringDefinition(userId, recurringDef);
+    }
+  }
+
+  await completeMigrationStep(userId, MIGRATION_STEPS.USER_DOC_RECURRING, {
+    recurringTransactions: deleteField(),
+  });
+};
+
+/**
+ * Consolidate data written by older versions of the app into the canonical
+ * locations. Safe to call on every start: finished steps are skipped and an
+ * interrupted step is re-run from the beginning without creating duplicates.
+ * @param {string} userId - The user ID
+ * @returns {Promise<boolean>} Whether any migration work was done
+ */
+export const migrateUserData = async (userId) => {
+  if (!userId) return false;
+
+  const userData = await getUserData(userId);
+  if (!userData) return false;
+
+  const migration = userData.dataMigration || {};
+  if (migration.version >= DATA_MIGRATION_VERSION) {
+    return false;
+  }
+
+  const completedSteps = migration.completedSteps || [];
+
+  if (!completedSteps.includes(MIGRATION_STEPS.SUBCOLLECTION_TRANSACTIONS)) {
+    await migrateSubcollectionTransactions(userId);
+  }
+  if (!completedSteps.includes(MIGRATION_STEPS.USER_DOC_TRANSACTIONS)) {
+    await migrateUserDocTransactions(userId, userData);
+  }
+  if (!completedSteps.includes(MIGRATION_STEPS.USER_DOC_RECURRING)) {
+    await migrateUserDocRecurring(userId, userData);
+  }
+
+  await updateDoc(doc(db, 'users', userId), {
+    'dataMigration.version': DATA_MIGRATION_VERSION,
+    'dataMigration.updatedAt': Timestamp.now(),
+  });
+
+  return true;
+};
+
+export default {
+  DATA_MIGRATION_VERSION,
+  MIGRATION_STEPS,
+  toDate,
+  createTransactionId,
+  TRANSACTIONS_PAGE_SIZE,
+  getTransactionsQuery,
+  getTransactionsPage,
+  getTransactionSummary,
+  toTransactionDoc,
+  fromTransactionDoc,
+  getTransactions,
+  getTransaction,
+  saveTransaction,
+  deleteTransactionDoc,
+  getAccountsQuery,
+  createAccountId,
+  saveAccount,
+  removeAccount,
+  getAccounts,
+  getAccountTotals,
+  getCategoriesQuery,
+  createCategoryId,
+  saveCategory,
+  saveCategories,
+  removeCategory,
+  getUserCategories,
+  getRulesQuery,
+  createRuleId,
+  saveRule,
+  saveRules,
+  removeRule,
+  getRules,
+  getBills,
+  saveBill,
+  deleteBill,
+  getUserData,
+  createUserData,
+  updateUserData,
+  mergeUserData,
+  getBudgets,
+  saveMonthlyBudget,
+  saveCategoryBudgets,
+  getTaxSettings,
+  saveTaxSections,
+  getTimeZone,
+  getGoals,
+  addGoal,
+  updateGoal,
+  removeGoal,
+  getRecurringDefinitions,
+  saveRecurringDefinition,
+  deleteRecurringDefinition,
+  commitWrites,
+  deleteUserData,
+  canReadUserData,
+  migrateUserData,
+};
@@ -0,0 +1,530 @@
+/**
+ * Recurrence Rules
+ *
+ * A subset of the iCalendar recurrence rule (RFC 5545, section 3.3.10) used
+ * by recurring transactions: FREQ, INTERVAL, BYDAY, BYMONTHDAY, BYMONTH,
+ * BYSETPOS, COUNT and UNTIL, plus a list of excluded dates (EXDATE). Rules
+ * are stored in their text form, so "the last working day of the month" is
+ * "FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1".
+ *
+ * Occurrences are calendar days, given as date keys such as "2025-01-31",
+ * with no time of day or time zone; recurringTransactions.js turns them into
+ * moments in the user's time zone. Day arithmetic is done in UTC, so a
+ * daylight saving change can never move an occurrence to another day.
+ *
+ * Weeks start on Monday (WKST=MO). Unlike RFC 5545, which skips a month that
+ * does not have the day asked for, a day past the end of a month falls on
+ * its last day: the 31st is April 30, and February 29 is February 28 outside
+ * leap years.
+ */
+
+import { format, parseISO } from 'date-fns';
+
+export const FREQUENCIES = {
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY',
+  YEARLY: 'YEARLY',
+};
+
+// In Monday-first order, matching WKST=MO
+export const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+export const WORKING_DAYS = ['MO', 'TU', 'WE', 'TH', 'FR'];
+
+export const WEEKDAY_NAMES = {
+  MO: 'Monday',
+  TU: 'Tuesday',
+  WE: 'Wednesday',
+  TH: 'Thursday',
+  FR: 'Friday',
+  SA: 'Saturday',
+  SU: 'Sunday',
+};
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+const UNIT_NAMES = {
+  DAILY: 'day',
+  WEEKLY: 'week',
+  MONTHLY: 'month',
+  YEARLY: 'year',
+};
+
+// The calendar repeats every 400 years, so a rule that finds no day in that
+// many periods in a row never will. Rarer rules, such as a Monday the 29th of
+// February, can still go decades between occurrences.
+const PERIODS_PER_CYCLE = {
+  DAILY: 146097,
+  WEEKLY: 20871,
+  MONTHLY: 4800,
+  YEARLY: 400,
+};
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const BYDAY_PATTERN = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/;
+
+const parseIntegerList = (value, name, min, max) => value.split(',').map((item) => {
+  const number = Number(item);
+  if (!Number.isInteger(number) || number === 0 || Math.abs(number) < min || Math.abs(number) > max) {
+    throw new Error(`Invalid ${name} value: ${item}`);
+  }
+  return number;
+});
+
+// Occurrences are whole days, so only the date of a date-time UNTIL is kept
+const parseUntil = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T\d{6}Z?)?$/);
+  if (!match) {
+    throw new Error(`Invalid UNTIL value: ${value}`);
+  }
+  return `${match[1]}-${match[2]}-${match[3]}`;
+};
+
+/**
+ * Parse a recurrence rule
+ * @param {string} text - Rule text, with or without the "RRULE:" prefix
+ * @returns {Object} { freq, interval, byDay: [{ weekday, n }], byMonthDay,
+ *   byMonth, bySetPos, count, until }; list parts are empty when not given,
+ *   `count` and `until` are null, and `until` is a date key
+ */
+export const parseRRule = (text) => {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Missing recurrence rule');
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    count: null,
+    until: null,
+  };
+
+  text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach((part) => {
+    const [name, value = ''] = part.split('=');
+
+    switch (name.toUpperCase()) {
+      case 'FREQ':
+        if (!FREQUENCIES[value.toUpperCase()]) {
+          throw new Error(`Unsupported frequency: ${value}`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+          throw new Error(`Invalid INTERVAL value: ${value}`);
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map((item) => {
+          const match = item.match(BYDAY_PATTERN);
+          const n = match?.[1] ? Number(match[1]) : null;
+          if (!match || n === 0 || Math.abs(n) > 53) {
+            throw new Error(`Invalid BYDAY value: ${item}`);
+          }
+          return { weekday: match[2], n };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntegerList(value, 'BYMONTHDAY', 1, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntegerList(value, 'BYMONTH', 1, 12);
+        if (rule.byMonth.some(month => month < 0)) {
+          throw new Error(`Invalid BYMONTH value: ${value}`);
+        }
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseIntegerList(value, 'BYSETPOS', 1, 366);
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+          throw new Error(`Invalid COUNT value: ${value}`);
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'WKST':
+        if (value.toUpperCase() !== 'MO') {
+          throw new Error('Only weeks starting on Monday are supported');
+        }
+        break;
+      default:
+        throw new Error(`Unsupported rule part: ${name}`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw new Error('Recurrence rule has no FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('A recurrence rule cannot have both COUNT and UNTIL');
+  }
+  if (rule.bySetPos.length > 0 && rule.byDay.length === 0 && rule.byMonthDay.length === 0) {
+    throw new Error('BYSETPOS needs BYDAY or BYMONTHDAY');
+  }
+
+  return rule;
+};
+
+/**
+ * Turn a rule back into text
+ * Parts are written in a fixed order, so equal rules give equal text.
+ * @param {Object} rule - Rule as returned by parseRRule
+ * @returns {string} Rule text, without the "RRULE:" prefix
+ */
+export const stringifyRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay?.length) {
+    parts.push(`BYDAY=${rule.byDay.map(({ weekday, n }) => `${n || ''}${weekday}`).join(',')}`);
+  }
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.bySetPos?.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${toDateKey(rule.until).replace(/-/g, '')}`);
+
+  return parts.join(';');
+};
+
+const toRule = (rule) => (typeof rule === 'string' ? parseRRule(rule) : rule);
+
+/**
+ * Get a date as a date key such as "2025-01-31"
+ * A Date is read in the device's time zone; to use another time zone, pass
+ * a key made with getDateKeyInTimeZone (see timeZone.js).
+ * @param {Date|string} value - Date key, Date or date string
+ * @returns {string} Date key
+ */
+export const toDateKey = (value) => (
+  typeof value === 'string' && DATE_KEY_PATTERN.test(value)
+    ? value
+    : format(new Date(value), 'yyyy-MM-dd')
+);
+
+// Days are handled as UTC midnights, which never move for daylight saving
+const fromKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const toKey = (date) => date.toISOString().slice(0, 10);
+
+const getWeekday = (date) => WEEKDAYS[(date.getUTCDay() + 6) % 7];
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// The days a period covers before any BY* part is applied
+const getPeriodDays = (freq, start, index, interval) => {
+  const step = index * interval;
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+  const days = [];
+
+  switch (freq) {
+    case FREQUENCIES.DAILY:
+      days.push(new Date(Date.UTC(year, month, start.getUTCDate() + step)));
+      break;
+    case FREQUENCIES.WEEKLY: {
+      const monday = start.getUTCDate() - ((start.getUTCDay() + 6) % 7) + step * 7;
+      for (let i = 0; i < 7; i++) {
+        days.push(new Date(Date.UTC(year, month, monday + i)));
+      }
+      break;
+    }
+    case FREQUENCIES.MONTHLY: {
+      const first = new Date(Date.UTC(year, month + step, 1));
+      const length = daysInMonth(first.getUTCFullYear(), first.getUTCMonth());
+      for (let day = 1; day <= length; day++) {
+        days.push(new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), day)));
+      }
+      break;
+    }
+    default:
+      for (let m = 0; m < 12; m++) {
+        for (let day = 1; day <= daysInMonth(year + step, m); day++) {
+          days.push(new Date(Date.UTC(year + step, m, day)));
+        }
+      }
+  }
+
+  return days;
+};
+
+// Whether a day is the nth (or nth-from-last, for negative n) of its weekday
+// in its month, or in its year for yearly rules without BYMONTH
+const matchesNthWeekday = (date, n, inYear) => {
+  let position;
+  let length;
+
+  if (inYear) {
+    const startOfYear = Date.UTC(date.getUTCFullYear(), 0, 1);
+    position = (date.getTime() - startOfYear) / 86400000 + 1;
+    length = (Date.UTC(date.getUTCFullYear() + 1, 0, 1) - startOfYear) / 86400000;
+  } else {
+    position = date.getUTCDate();
+    length = daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+  }
+
+  return n > 0
+    ? Math.floor((position - 1) / 7) + 1 === n
+    : -(Math.floor((length - position) / 7) + 1) === n;
+};
+
+// Days past the end of a shorter month fall on its last day, so the 31st is
+// April 30 and the 29th, 30th and 31st are all February 28 in most years
+const matchesMonthDay = (date, monthDay) => {
+  const length = daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+  const day = monthDay > 0 ? Math.min(monthDay, length) : Math.max(length + monthDay + 1, 1);
+  return date.getUTCDate() === day;
+};
+
+// Apply the BY* parts to a period's days, in the order RFC 5545 gives them
+const getPeriodOccurrences = (rule, start, index) => {
+  const { freq, byDay, byMonthDay, bySetPos } = rule;
+  let { byMonth } = rule;
+  let monthDays = byMonthDay;
+  let weekdays = byDay;
+
+  // Without BYDAY or BYMONTHDAY the start date supplies the missing parts.
+  // Every period is worked out from the start date rather than the previous
+  // occurrence, so a series starting on the 31st returns to the 31st after
+  // a shorter month.
+  if (byDay.length === 0 && byMonthDay.length === 0) {
+    if (freq === FREQUENCIES.WEEKLY) {
+      weekdays = [{ weekday: getWeekday(start), n: null }];
+    } else if (freq === FREQUENCIES.MONTHLY || freq === FREQUENCIES.YEARLY) {
+      monthDays = [start.getUTCDate()];
+      if (freq === FREQUENCIES.YEARLY && byMonth.length === 0) {
+        byMonth = [start.getUTCMonth() + 1];
+      }
+    }
+  }
+
+  const ordinalsInYear = freq === FREQUENCIES.YEARLY && byMonth.length === 0;
+  const usesOrdinals = freq === FREQUENCIES.MONTHLY || freq === FREQUENCIES.YEARLY;
+
+  const days = getPeriodDays(freq, start, index, rule.interval).filter(date => (
+    (byMonth.length === 0 || byMonth.includes(date.getUTCMonth() + 1)) &&
+    (monthDays.length === 0 || monthDays.some(monthDay => matchesMonthDay(date, monthDay))) &&
+    (weekdays.length === 0 || weekdays.some(({ weekday, n }) => (
+      getWeekday(date) === weekday &&
+      (!n || !usesOrdinals || matchesNthWeekday(date, n, ordinalsInYear))
+    )))
+  ));
+
+  if (bySetPos.length === 0) return days;
+
+  return bySetPos
+    .map(setPosition => (setPosition > 0 ? days[setPosition - 1] : days[days.length + setPosition]))
+    .filter(Boolean)
+    .filter((date, i, selected) => selected.indexOf(date) === i)
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Expand a rule into its occurrences
+ * Every occurrence has an index counting from 0 at the first one on or after
+ * the start date. Excluded dates keep their index, so excluding a date never
+ * renumbers the occurrences after it, and still count towards COUNT.
+ * @param {string|Object} rule - Rule text or a rule from parseRRule
+ * @param {string|Date} startDate - First day of the series (DTSTART), as a
+ *   date key or a Date
+ * @param {Object} options - `from` and `to` limit the days returned (both
+ *   included), `exdates` lists days to leave out and `limit` caps how many
+ *   are returned
+ * @returns {Array} Occurrences of { date, index }, in date order, where
+ *   `date` is a date key
+ */
+export const getOccurrences = (rule, startDate, {
+  from = null,
+  to = null,
+  exdates = [],
+  limit = null,
+} = {}) => {
+  const parsedRule = toRule(rule);
+  const start = fromKey(toDateKey(startDate));
+  const fromDay = from ? toDateKey(from) : null;
+  const toDay = to ? toDateKey(to) : null;
+  const untilDay = parsedRule.until ? toDateKey(parsedRule.until) : null;
+  const excluded = new Set(exdates.map(toDateKey));
+
+  if (!toDay && !limit && !parsedRule.count && !untilDay) {
+    throw new Error('An endless rule needs a `to` date or a `limit`');
+  }
+
+  const occurrences = [];
+  const maxEmptyPeriods = PERIODS_PER_CYCLE[parsedRule.freq];
+  let index = 0;
+  let emptyPeriods = 0;
+
+  // One period more than a cycle, since days before the start are dropped
+  // from the first one
+  for (let period = 0; emptyPeriods <= maxEmptyPeriods; period++) {
+    const days = getPeriodOccurrences(parsedRule, start, period).filter(day => day >= start);
+    emptyPeriods = days.length > 0 ? 0 : emptyPeriods + 1;
+
+    for (const day of days) {
+      const date = toKey(day);
+
+      if (parsedRule.count && index >= parsedRule.count) return occurrences;
+      if (untilDay && date > untilDay) return occurrences;
+      if (toDay && date > toDay) return occurrences;
+
+      if ((!fromDay || date >= fromDay) && !excluded.has(date)) {
+        occurrences.push({ date, index });
+        if (limit && occurrences.length >= limit) return occurrences;
+      }
+      index++;
+    }
+  }
+
+  return occurrences;
+};
+
+const ordinal = (number) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const lastTwo = number % 100;
+  return `${number}${lastTwo >= 11 && lastTwo <= 13 ? 'th' : (suffixes[number % 10] || 'th')}`;
+};
+
+// "1st", "last", "2nd-to-last"
+const position = (number) => {
+  if (number > 0) return ordinal(number);
+  return number === -1 ? 'last' : `${ordinal(-number)}-to-last`;
+};
+
+// Positive positions first, then negative ones from -1 down
+const byPosition = (a, b) => ((a > 0) === (b > 0) ? a - b : b - a);
+
+const joinList = (items, conjunction = 'and') => (
+  items.length <= 1
+    ? items.join('')
+    : `${items.slice(0, -1).join(', ')} ${conjunction} ${items[items.length - 1]}`
+);
+
+const isWorkingWeek = (weekdays) => (
+  weekdays.length === WORKING_DAYS.length && WORKING_DAYS.every(weekday => weekdays.includes(weekday))
+);
+
+const describeWeekdays = (weekdays) => (
+  isWorkingWeek(weekdays)
+    ? 'weekday'
+    : joinList(WEEKDAYS.filter(weekday => weekdays.includes(weekday)).map(weekday => WEEKDAY_NAMES[weekday]))
+);
+
+// "the 2nd and 4th Saturday", "the last Friday", "Monday and Thursday"
+const describeByDay = (byDay) => {
+  const plain = byDay.filter(({ n }) => !n).map(({ weekday }) => weekday);
+  const numbered = WEEKDAYS
+    .map(weekday => ({
+      weekday,
+      positions: byDay.filter(item => item.n && item.weekday === weekday).map(item => item.n),
+    }))
+    .filter(({ positions }) => positions.length > 0)
+    .map(({ weekday, positions }) => (
+      `the ${joinList(positions.sort(byPosition).map(position))} ${WEEKDAY_NAMES[weekday]}`
+    ));
+
+  return joinList([
+    ...numbered,
+    ...(plain.length > 0 ? [describeWeekdays(plain) === 'weekday' ? 'weekdays' : describeWeekdays(plain)] : []),
+  ]);
+};
+
+// "the 15th and 30th", "the last day", "the 1st and last day"
+const describeByMonthDay = (byMonthDay) => {
+  const days = [...byMonthDay].sort(byPosition).map(position);
+  return `the ${joinList(days)}${byMonthDay.some(day => day < 0) ? ' day' : ''}`;
+};
+
+/**
+ * Describe a rule in words, e.g. "Every month on the last weekday" or
+ * "Every 2 weeks on Saturday, 10 times"
+ * @param {string|Object} rule - Rule text or a rule from parseRRule
+ * @param {string|Date} startDate - First day of the series, which supplies
+ *   the day for rules that do not name one
+ * @returns {string} Description
+ */
+export const describeRRule = (rule, startDate = new Date()) => {
+  const { freq, interval, byDay, byMonthDay, byMonth, bySetPos, count, until } = toRule(rule);
+  const start = fromKey(toDateKey(startDate));
+  const unit = UNIT_NAMES[freq];
+  const weekdays = byDay.map(({ weekday }) => weekday);
+  const every = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+  const parts = [];
+
+  if (bySetPos.length > 0) {
+    const positions = joinList([...bySetPos].sort(byPosition).map(position));
+    // "the 1st and last Friday", "the 1st Saturday or Sunday"
+    const weekdaySet = isWorkingWeek(weekdays)
+      ? 'weekday'
+      : joinList(WEEKDAYS.filter(weekday => weekdays.includes(weekday)).map(weekday => WEEKDAY_NAMES[weekday]), 'or');
+    let set;
+    if (byMonthDay.length === 0) {
+      set = weekdaySet;
+    } else if (byDay.length > 0) {
+      // "the 1st weekday that falls on the 13th, 14th or 15th"
+      const monthDays = joinList([...byMonthDay].sort(byPosition).map(position), 'or');
+      set = `${weekdaySet} that ${bySetPos.length === 1 ? 'falls' : 'fall'} on the ${monthDays}`
+        + (byMonthDay.some(day => day < 0) ? ' day' : '');
+    } else {
+      set = `of ${describeByMonthDay(byMonthDay).replace(/^the /, '')}`;
+    }
+    parts.push(every, `on the ${positions} ${set}`);
+  } else if ((freq === FREQUENCIES.DAILY || freq === FREQUENCIES.WEEKLY) && byDay.length > 0) {
+    const days = isWorkingWeek(weekdays) ? 'weekday' : describeWeekdays(weekdays);
+    parts.push(interval === 1 ? `Every ${days}` : `${every} on ${days === 'weekday' ? 'weekdays' : days}`);
+  } else if (byDay.length > 0 || byMonthDay.length > 0) {
+    parts.push(every, `on ${joinList([
+      ...(byMonthDay.length > 0 ? [describeByMonthDay(byMonthDay)] : []),
+      ...(byDay.length > 0 ? [describeByDay(byDay)] : []),
+    ])}`);
+  } else if (freq === FREQUENCIES.WEEKLY) {
+    parts.push(every, `on ${WEEKDAY_NAMES[getWeekday(start)]}`);
+  } else if (freq === FREQUENCIES.MONTHLY) {
+    const day = start.getUTCDate();
+    parts.push(every, `on the ${ordinal(day)}${day > 28 ? ' (or the last day of shorter months)' : ''}`);
+  } else if (freq === FREQUENCIES.YEARLY && byMonth.length === 0) {
+    parts.push(every, `on ${MONTH_NAMES[start.getUTCMonth()]} ${start.getUTCDate()}`);
+  } else if (freq === FREQUENCIES.YEARLY) {
+    parts.push(every, `on the ${ordinal(start.getUTCDate())}`);
+  } else {
+    parts.push(every);
+  }
+
+  if (byMonth.length > 0) {
+    parts.push(`in ${joinList([...byMonth].sort((a, b) => a - b).map(month => MONTH_NAMES[month - 1]))}`);
+  }
+
+  let description = parts.join(' ');
+  if (count) description += `, ${count === 1 ? 'once' : `${count} times`}`;
+  if (until) description += `, until ${format(parseISO(toDateKey(until)), 'MMM d, yyyy')}`;
+
+  return description;
+};
+
+export default {
+  FREQUENCIES,
+  WEEKDAYS,
+  WORKING_DAYS,
+  WEEKDAY_NAMES,
+  toDateKey,
+  parseRRule,
+  stringifyRRule,
+  getOccurrences,
+  describeRRule,
+};
@@ -0,0 +1,325 @@
+/**
+ * Auto-Categorization Rules Engine
+ *
+ * Rules are written by the user, e.g. "description contains SWIGGY and amount
+ * is less than 1000 → Food, tag #delivery". A rule matches when every one of
+ * its conditions does, and can then set the category, add tags, set the note
+ * or move the transaction to another account.
+ *
+ * Rules run in order. When several rules match, the first one to set a field
+ * wins it; tags from every matching rule are added.
+ */
+
+import { normalizeTags } from './tagUtils';
+
+export const CONDITION_FIELDS = {
+  DESCRIPTION: 'description',
+  AMOUNT: 'amount',
+  ACCOUNT: 'accountId',
+  WEEKDAY: 'weekday',
+  DAY_OF_MONTH: 'dayOfMonth',
+  TYPE: 'type',
+};
+
+export const CONDITION_OPERATORS = {
+  CONTAINS: 'contains',
+  STARTS_WITH: 'startsWith',
+  EQUALS: 'equals',
+  LESS_THAN: 'lessThan',
+  GREATER_THAN: 'greaterThan',
+  BETWEEN: 'between',
+  IS: 'is',
+  IN: 'in',
+};
+
+// Operators offered for each field, the first being the default
+export const FIELD_OPERATORS = {
+  [CONDITION_FIELDS.DESCRIPTION]: [
+    CONDITION_OPERATORS.CONTAINS,
+    CONDITION_OPERATORS.STARTS_WITH,
+    CONDITION_OPERATORS.EQUALS,
+  ],
+  [CONDITION_FIELDS.AMOUNT]: [
+    CONDITION_OPERATORS.LESS_THAN,
+    CONDITION_OPERATORS.GREATER_THAN,
+    CONDITION_OPERATORS.EQUALS,
+    CONDITION_OPERATORS.BETWEEN,
+  ],
+  [CONDITION_FIELDS.ACCOUNT]: [CONDITION_OPERATORS.IS],
+  [CONDITION_FIELDS.WEEKDAY]: [CONDITION_OPERATORS.IN],
+  [CONDITION_FIELDS.DAY_OF_MONTH]: [CONDITION_OPERATORS.IS],
+  [CONDITION_FIELDS.TYPE]: [CONDITION_OPERATORS.IS],
+};
+
+export const FIELD_LABELS = {
+  [CONDITION_FIELDS.DESCRIPTION]: 'Description',
+  [CONDITION_FIELDS.AMOUNT]: 'Amount',
+  [CONDITION_FIELDS.ACCOUNT]: 'Account',
+  [CONDITION_FIELDS.WEEKDAY]: 'Weekday',
+  [CONDITION_FIELDS.DAY_OF_MONTH]: 'Day of month',
+  [CONDITION_FIELDS.TYPE]: 'Type',
+};
+
+export const OPERATOR_LABELS = {
+  [CONDITION_OPERATORS.CONTAINS]: 'contains',
+  [CONDITION_OPERATORS.STARTS_WITH]: 'starts with',
+  [CONDITION_OPERATORS.EQUALS]: 'is exactly',
+  [CONDITION_OPERATORS.LESS_THAN]: 'is less than',
+  [CONDITION_OPERATORS.GREATER_THAN]: 'is more than',
+  [CONDITION_OPERATORS.BETWEEN]: 'is between',
+  [CONDITION_OPERATORS.IS]: 'is',
+  [CONDITION_OPERATORS.IN]: 'is one of',
+};
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Fields a rule action can change
+const ACTION_FIELDS = ['category', 'note', 'accountId', 'tags'];
+
+// Amounts are compared to the cent
+const AMOUNT_TOLERANCE = 0.005;
+
+// Transactions store a description, a note, or both
+const getDescription = (transaction) => (transaction.description || transaction.note || '').toLowerCase();
+
+/**
+ * Create a condition with the default operator and value for a field
+ * @param {string} field - Field from CONDITION_FIELDS
+ * @returns {Object} Condition as { field, operator, value }
+ */
+export const createCondition = (field = CONDITION_FIELDS.DESCRIPTION) => {
+  const defaultValues = {
+    [CONDITION_FIELDS.DESCRIPTION]: '',
+    [CONDITION_FIELDS.AMOUNT]: '',
+    [CONDITION_FIELDS.ACCOUNT]: '',
+    [CONDITION_FIELDS.WEEKDAY]: [],
+    [CONDITION_FIELDS.DAY_OF_MONTH]: '',
+    [CONDITION_FIELDS.TYPE]: 'expense',
+  };
+
+  return {
+    field,
+    operator: FIELD_OPERATORS[field][0],
+    value: defaultValues[field],
+  };
+};
+
+/**
+ * Check whether a transaction meets one condition
+ * @param {Object} transaction - Transaction object
+ * @param {Object} condition - Condition as { field, operator, value }
+ * @returns {boolean} True if the condition holds
+ */
+export const matchesCondition = (transaction, condition) => {
+  const { field, operator, value } = condition;
+
+  switch (field) {
+    case CONDITION_FIELDS.DESCRIPTION: {
+      const description = getDescription(transaction);
+      const text = String(value || '').trim().toLowerCase();
+      if (!text) return false;
+      if (operator === CONDITION_OPERATORS.STARTS_WITH) return description.startsWith(text);
+      if (operator === CONDITION_OPERATORS.EQUALS) return description.trim() === text;
+      return description.includes(text);
+    }
+    case CONDITION_FIELDS.AMOUNT: {
+      // Older transactions stored expenses as negative amounts
+      const amount = Math.abs(Number(transaction.amount));
+      if (operator === CONDITION_OPERATORS.BETWEEN) {
+        const [min, max] = (value || []).map(Number);
+        return amount >= min - AMOUNT_TOLERANCE && amount <= max + AMOUNT_TOLERANCE;
+      }
+      const target = Number(value);
+      if (operator === CONDITION_OPERATORS.LESS_THAN) return amount < target;
+      if (operator === CONDITION_OPERATORS.GREATER_THAN) return amount > target;
+      return Math.abs(amount - target) < AMOUNT_TOLERANCE;
+    }
+    case CONDITION_FIELDS.ACCOUNT:
+      return !!transaction.accountId && transaction.accountId === value;
+    case CONDITION_FIELDS.WEEKDAY:
+      return Array.isArray(value) && value.includes(new Date(transaction.date).getDay());
+    case CONDITION_FIELDS.DAY_OF_MONTH:
+      return new Date(transaction.date).getDate() === Number(value);
+    case CONDITION_FIELDS.TYPE:
+      return transaction.type === value;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check whether a transaction meets every condition of a rule
+ * @param {Object} transaction - Transaction object
+ * @param {Object} rule - Rule with conditions
+ * @returns {boolean} True if the rule applies; a rule without conditions never does
+ */
+export const matchesRule = (transaction, rule) => {
+  if (!rule.enabled || !Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    return false;
+  }
+
+  return rule.conditions.every(condition => matchesCondition(transaction, condition));
+};
+
+/**
+ * Run rules against a transaction
+ * With `overwrite` off, rules only fill in what is missing: a category of
+ * 'other', an empty note (or one that just repeats the description) and a
+ * missing account. Re-applying rules to past transactions uses overwrite.
+ * @param {Object} transaction - Transaction object
+ * @param {Array} rules - Rules in the order they run
+ * @param {Object} options - { overwrite: boolean }
+ * @returns {Object} { transaction, matchedRuleIds, changes } where changes maps
+ *   each changed field to { from, to }
+ */
+export const applyRules = (transaction, rules = [], { overwrite = true } = {}) => {
+  const result = { ...transaction };
+  const setFields = [];
+  const matchedRuleIds = [];
+
+  // Transfers and split transactions have no single category to set
+  const canSetCategory = transaction.type !== 'transfer' && !transaction.splits;
+
+  const canSet = (field, isEmpty) => !setFields.includes(field) && (overwrite || isEmpty);
+
+  rules.forEach(rule => {
+    if (!matchesRule(transaction, rule)) return;
+    matchedRuleIds.push(rule.id);
+
+    const { category, tags, note, accountId } = rule.actions || {};
+
+    if (category && canSetCategory && canSet('category', !result.category || result.category === 'other')) {
+      result.category = category;
+      setFields.push('category');
+    }
+
+    if (note && canSet('note', !result.note || result.note === result.description)) {
+      result.note = note;
+      setFields.push('note');
+    }
+
+    if (accountId && canSet('accountId', !result.accountId)) {
+      result.accountId = accountId;
+      setFields.push('accountId');
+    }
+
+    if (tags?.length) {
+      result.tags = normalizeTags([...(result.tags || []), ...tags]);
+    }
+  });
+
+  const changes = ACTION_FIELDS.reduce((acc, field) => {
+    if (JSON.stringify(result[field]) !== JSON.stringify(transaction[field])) {
+      acc[field] = { from: transaction[field], to: result[field] };
+    }
+    return acc;
+  }, {});
+
+  return { transaction: result, matchedRuleIds, changes };
+};
+
+/**
+ * Work out what re-applying rules would change in past transactions
+ * @param {Array} transactions - Transactions to check
+ * @param {Array} rules - Rules in the order they run
+ * @returns {Array} Entries of { transaction, changes } for transactions that would change
+ */
+export const previewRules = (transactions, rules) => {
+  return transactions
+    .map(transaction => {
+      const { changes } = applyRules(transaction, rules);
+      return { transaction, changes };
+    })
+    .filter(entry => Object.keys(entry.changes).length > 0);
+};
+
+/**
+ * Check a rule before it is saved
+ * @param {Object} rule - Rule to check
+ * @returns {string} Empty string if valid, error message if invalid
+ */
+export const validateRule = (rule) => {
+  if (!rule.name || !rule.name.trim()) {
+    return 'Please enter a rule name';
+  }
+
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    return 'Add at least one condition';
+  }
+
+  for (const condition of rule.conditions) {
+    const { field, operator, value } = condition;
+    const label = FIELD_LABELS[field];
+
+    if (field === CONDITION_FIELDS.DESCRIPTION && !String(value).trim()) {
+      return `${label}: please enter some text to match`;
+    }
+    if (field === CONDITION_FIELDS.AMOUNT) {
+      const amounts = operator === CONDITION_OPERATORS.BETWEEN ? value || [] : [value];
+      if (amounts.length === 0 || amounts.some(amount => amount === '' || isNaN(Number(amount)) || Number(amount) < 0)) {
+        return `${label}: please enter a valid amount`;
+      }
+      if (operator === CONDITION_OPERATORS.BETWEEN && Number(amounts[0]) > Number(amounts[1])) {
+        return `${label}: the first amount must not be larger than the second`;
+      }
+    }
+    if (field === CONDITION_FIELDS.ACCOUNT && !value) {
+      return `${label}: please select an account`;
+    }
+    if (field === CONDITION_FIELDS.WEEKDAY && (!Array.isArray(value) || value.length === 0)) {
+      return `${label}: please select at least one day`;
+    }
+    if (field === CONDITION_FIELDS.DAY_OF_MONTH) {
+      const day = Number(value);
+      if (!Number.isInteger(day) || day < 1 || day > 31) {
+        return `${label}: please enter a day between 1 and 31`;
+      }
+    }
+  }
+
+  const { category, tags, note, accountId } = rule.actions || {};
+  if (!category && !tags?.length && !note && !accountId) {
+    return 'Choose at least one action';
+  }
+
+  return '';
+};
+
+/**
+ * Describe a condition for display, e.g. "Amount is less than 1000"
+ * @param {Object} condition - Condition as { field, operator, value }
+ * @param {Object} options - { getAccountName } to show account names
+ * @returns {string} Readable condition
+ */
+export const describeCondition = (condition, { getAccountName = id => id } = {}) => {
+  const { field, operator, value } = condition;
+  let displayValue = value;
+
+  if (field === CONDITION_FIELDS.DESCRIPTION) {
+    displayValue = `"${value}"`;
+  } else if (field === CONDITION_FIELDS.AMOUNT && operator === CONDITION_OPERATORS.BETWEEN) {
+    displayValue = `${value[0]} and ${value[1]}`;
+  } else if (field === CONDITION_FIELDS.ACCOUNT) {
+    displayValue = getAccountName(value);
+  } else if (field === CONDITION_FIELDS.WEEKDAY) {
+    displayValue = value.map(day => WEEKDAY_LABELS[day]).join(', ');
+  }
+
+  return `${FIELD_LABELS[field]} ${OPERATOR_LABELS[operator]} ${displayValue}`;
+};
+
+export default {
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  FIELD_OPERATORS,
+  FIELD_LABELS,
+  OPERATOR_LABELS,
+  WEEKDAY_LABELS,
+  createCondition,
+  matchesCondition,
+  matchesRule,
+  applyRules,
+  previewRules,
+  validateRule,
+  describeCondition,
+};
@@ -0,0 +1,206 @@
+/**
+ * Statement Import
+ *
+ * Brings the import formats together for the import screen: picking a file,
+ * telling CSV, OFX/QFX and QIF apart, and turning OFX and QIF statements into
+ * the same preview entries the CSV column mapper produces (see csvImport.js).
+ *
+ * OFX transactions keep their FITID so a statement that was already imported
+ * into an account is recognised and skipped.
+ */
+
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import { DEFAULT_ACCOUNT_ID } from '../constants/accounts';
+import { matchCategory } from './csvImport';
+import { categorizeTransaction } from './autoCategorizationUtil';
+import { toSplitTransaction } from './dataUtils';
+import { isOFX, parseOFX } from './ofxFormat';
+import { isQIF, parseQIF } from './qifFormat';
+
+export const IMPORT_FORMATS = {
+  CSV: 'csv',
+  OFX: 'ofx',
+  QIF: 'qif',
+};
+
+export const IMPORT_FORMAT_LABELS = {
+  [IMPORT_FORMATS.CSV]: 'CSV',
+  [IMPORT_FORMATS.OFX]: 'OFX',
+  [IMPORT_FORMATS.QIF]: 'QIF',
+};
+
+/**
+ * Let the user pick a statement file and read it
+ * Banks label OFX and QIF files inconsistently, so any file can be picked and
+ * the format is worked out from its name and contents.
+ * @returns {Promise<Object|null>} { name, text }, or null if the user cancelled
+ */
+export const pickStatementFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: '*/*',
+    copyToCacheDirectory: true,
+  });
+
+  if (result.canceled || !result.assets?.length) {
+    return null;
+  }
+
+  const [file] = result.assets;
+  const text = await FileSystem.readAsStringAsync(file.uri);
+  return { name: file.name, text };
+};
+
+/**
+ * Work out a statement file's format
+ * @param {string} name - File name
+ * @param {string} text - File contents
+ * @returns {string} An IMPORT_FORMATS value
+ */
+export const detectFileFormat = (name, text) => {
+  const extension = (name || '').split('.').pop().toLowerCase();
+
+  if (extension === 'ofx' || extension === 'qfx' || isOFX(text)) return IMPORT_FORMATS.OFX;
+  if (extension === 'qif' || isQIF(text)) return IMPORT_FORMATS.QIF;
+  return IMPORT_FORMATS.CSV;
+};
+
+/**
+ * Parse an OFX or QIF file
+ * @param {string} text - File contents
+ * @param {string} format - IMPORT_FORMATS.OFX or IMPORT_FORMATS.QIF
+ * @returns {Object} { accounts }, see parseOFX and parseQIF
+ */
+export const parseStatement = (text, format) => {
+  return format === IMPORT_FORMATS.OFX ? parseOFX(text) : parseQIF(text);
+};
+
+// "Food:Groceries" matches the Groceries subcategory if there is one, otherwise Food
+const matchCategoryPath = (path, type) => {
+  if (!path) return null;
+
+  return path.split(':').reverse().reduce(
+    (found, name) => found || matchCategory(name, type),
+    null
+  );
+};
+
+// QIF split lines become transaction splits when they add up to the total
+const getSplits = (item, type) => {
+  if (!item.splits || item.splits.length < 2) return null;
+  if (item.splits.some(split => isNaN(split.amount) || split.amount * item.amount <= 0)) return null;
+
+  const splitTotal = item.splits.reduce((sum, split) => sum + Math.abs(split.amount), 0);
+  if (Math.abs(splitTotal - Math.abs(item.amount)) > 0.01) return null;
+
+  return item.splits.map(split => ({
+    category: matchCategoryPath(split.category, type) || 'other',
+    amount: Math.abs(split.amount),
+    note: split.memo || '',
+  }));
+};
+
+/**
+ * Turn a parsed OFX or QIF statement into preview entries
+ * Categories from the file are matched to the user's categories by name;
+ * anything unmatched is auto-categorized from its description.
+ * @param {Object} statement - Result of parseStatement
+ * @returns {Array} Accounts of { key, name, accountNumber, accountType,
+ *   entries }, with entries shaped like csvImport's mapRows results
+ */
+export const statementToEntries = (statement) => {
+  let rowNumber = 0;
+
+  return statement.accounts.map((account, index) => {
+    const key = `${index}`;
+
+    const entries = account.transactions.map((item) => {
+      rowNumber++;
+      const errors = [];
+
+      if (!item.date) {
+        errors.push(`Invalid date "${item.dateText}"`);
+      }
+      if (isNaN(item.amount) || item.amount === 0) {
+        errors.push('Missing or invalid amount');
+      }
+
+      const type = item.amount > 0 ? 'income' : 'expense';
+      const description = item.payee || item.memo
+        || (item.transferAccount ? `Transfer: ${item.transferAccount}` : '');
+      let transaction = {
+        date: item.date ? item.date.toISOString() : null,
+        description,
+        note: item.memo || description,
+        amount: Math.abs(item.amount),
+        type,
+        category: matchCategoryPath(item.category, type)
+          || categorizeTransaction(description, Math.abs(item.amount), type === 'income'),
+        tags: [],
+      };
+
+      if (item.fitId) {
+        transaction.fitId = item.fitId;
+      }
+
+      const splits = getSplits(item, type);
+      if (splits) {
+        transaction = toSplitTransaction(transaction, splits);
+      }
+
+      return {
+        rowNumber,
+        accountKey: key,
+        values: [item.dateText, item.amountText, item.payee, item.memo].filter(Boolean),
+        transaction,
+        errors,
+      };
+    });
+
+    return {
+      key,
+      name: account.name || `Account ${index + 1}`,
+      accountNumber: account.accountNumber || null,
+      accountType: account.accountType,
+      entries,
+    };
+  });
+};
+
+/**
+ * Key for a bank transaction ID within one of the user's accounts
+ * Banks only promise FITIDs are unique per account.
+ * @param {string} accountId - The app account the transaction belongs to
+ * @param {string} fitId - FITID from the statement
+ * @returns {string} Key
+ */
+export const getFitIdKey = (accountId, fitId) => `${accountId || DEFAULT_ACCOUNT_ID}:${fitId}`;
+
+/**
+ * Collect the FITIDs of transactions already in the app
+ * OFX files exported from the app use the transaction's own ID as the FITID,
+ * so those are recognised too, in both accounts of a transfer.
+ * @param {Array} transactions - Existing transactions
+ * @returns {Set} Keys from getFitIdKey
+ */
+export const getImportedFitIds = (transactions) => new Set(
+  transactions.flatMap((transaction) => {
+    const fitId = transaction.fitId || transaction.firestoreId || transaction.id;
+    const keys = [getFitIdKey(transaction.accountId, fitId)];
+    if (transaction.toAccountId) {
+      keys.push(getFitIdKey(transaction.toAccountId, fitId));
+    }
+    return keys;
+  })
+);
+
+export default {
+  IMPORT_FORMATS,
+  IMPORT_FORMAT_LABELS,
+  pickStatementFile,
+  detectFileFormat,
+  parseStatement,
+  statementToEntries,
+  getFitIdKey,
+  getImportedFitIds,
+};
@@ -0,0 +1,470 @@
+/**
+ * Offline Sync Queue
+ *
+ * This utility keeps a persistent outbox of transaction mutations so that
+ * changes made while Firestore is unreachable are applied locally right away
+ * and replayed in order once the device is back online.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Network from 'expo-network';
+
+// Sync status values stored on locally cached transactions
+export const SYNC_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed',
+};
+
+// Operation types that can be queued
+export const OUTBOX_OPERATIONS = {
+  ADD: 'add',
+  UPDATE: 'update',
+  DELETE: 'delete',
+};
+
+// Firestore commits at most this many writes in one batch
+export const MAX_BATCH_SIZE = 500;
+
+// Firestore/network error codes that mean "try again later"
+const RETRYABLE_ERROR_CODES = [
+  'unavailable',
+  'network-request-failed',
+  'deadline-exceeded',
+  'resource-exhausted',
+];
+
+/**
+ * Get the AsyncStorage key for a user's outbox
+ * @param {string} userId - The user ID
+ * @returns {string} Storage key
+ */
+const getOutboxKey = (userId) => `outbox_${userId}`;
+
+/**
+ * Get the AsyncStorage key for a user's rejected operations
+ * @param {string} userId - The user ID
+ * @returns {string} Storage key
+ */
+const getFailedOperationsKey = (userId) => `outbox_failed_${userId}`;
+
+/**
+ * Load the queued operations for a user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Queued operations, oldest first
+ */
+export const loadOutbox = async (userId) => {
+  if (!userId) return [];
+
+  try {
+    const savedOutbox = await AsyncStorage.getItem(getOutboxKey(userId));
+    return savedOutbox ? JSON.parse(savedOutbox) : [];
+  } catch (error) {
+    console.error('Failed to load sync outbox:', error);
+    return [];
+  }
+};
+
+/**
+ * Persist the queued operations for a user
+ * @param {string} userId - The user ID
+ * @param {Array} outbox - Queued operations
+ * @returns {Promise} Promise that resolves when the outbox is saved
+ */
+export const saveOutbox = async (userId, outbox) => {
+  if (!userId) return;
+
+  if (!outbox || outbox.length === 0) {
+    await AsyncStorage.removeItem(getOutboxKey(userId));
+    return;
+  }
+
+  await AsyncStorage.setItem(getOutboxKey(userId), JSON.stringify(outbox));
+};
+
+/**
+ * Load the operations Firestore rejected for a user. They are kept, with the
+ * error, until the user retries or discards them.
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Rejected operations, oldest first
+ */
+export const loadFailedOperations = async (userId) => {
+  if (!userId) return [];
+
+  try {
+    const savedOperations = await AsyncStorage.getItem(getFailedOperationsKey(userId));
+    return savedOperations ? JSON.parse(savedOperations) : [];
+  } catch (error) {
+    console.error('Failed to load rejected sync operations:', error);
+    return [];
+  }
+};
+
+/**
+ * Persist the operations Firestore rejected for a user
+ * @param {string} userId - The user ID
+ * @param {Array} failedOperations - Rejected operations
+ * @returns {Promise} Promise that resolves when the list is saved
+ */
+export const saveFailedOperations = async (userId, failedOperations) => {
+  if (!userId) return;
+
+  if (!failedOperations || failedOperations.length === 0) {
+    await AsyncStorage.removeItem(getFailedOperationsKey(userId));
+    return;
+  }
+
+  await AsyncStorage.setItem(getFailedOperationsKey(userId), JSON.stringify(failedOperations));
+};
+
+/**
+ * Merge a new operation into the outbox, collapsing operations that target
+ * the same transaction so replay stays short and ordered
+ * @param {Array} outbox - Current queued operations
+ * @param {Object} operation - Operation to add
+ * @returns {Array} Updated outbox
+ */
+export const compactOutbox = (outbox, operation) => {
+  const existingIndex = outbox.findIndex(
+    op => op.transactionId === operation.transactionId
+  );
+
+  if (existingIndex < 0) {
+    return [...outbox, operation];
+  }
+
+  const existing = outbox[existingIndex];
+  const remaining = outbox.filter((_, index) => index !== existingIndex);
+
+  // Deleting something that never reached the server cancels both operations
+  if (operation.type === OUTBOX_OPERATIONS.DELETE) {
+    return existing.type === OUTBOX_OPERATIONS.ADD
+      ? remaining
+      : [...remaining, operation];
+  }
+
+  // Updates are folded into the pending add or update for the same transaction
+  if (operation.type === OUTBOX_OPERATIONS.UPDATE && existing.type !== OUTBOX_OPERATIONS.DELETE) {
+    // Take the new operation ID so a replay already in flight does not drop the merge
+    const merged = {
+      ...existing,
+      id: operation.id,
+      payload: { ...existing.payload, ...operation.payload },
+    };
+    return [
+      ...outbox.slice(0, existingIndex),
+      merged,
+      ...outbox.slice(existingIndex + 1),
+    ];
+  }
+
+  return [...outbox, operation];
+};
+
+/**
+ * Add several operations to a user's outbox with a single write
+ * @param {string} userId - The user ID
+ * @param {Array} operations - Operations with type, transactionId, firestoreId and payload
+ * @returns {Promise<Array>} Updated outbox
+ */
+export const enqueueOperations = async (userId, operations) => {
+  if (!userId || !operations) {
+    throw new Error('Missing required parameters');
+  }
+
+  operations.forEach((operation) => {
+    if (!Object.values(OUTBOX_OPERATIONS).includes(operation?.type)) {
+      throw new Error(`Invalid outbox operation: ${operation?.type}`);
+    }
+  });
+
+  const outbox = await loadOutbox(userId);
+  const queuedAt = new Date().toISOString();
+  const updatedOutbox = operations.reduce((queue, operation, index) => compactOutbox(queue, {
+    ...operation,
+    id: `op_${Date.now()}_${index}_${Math.floor(Math.random() * 10000)}`,
+    queuedAt,
+  }), outbox);
+
+  await saveOutbox(userId, updatedOutbox);
+
+  return updatedOutbox;
+};
+
+/**
+ * Add an operation to a user's outbox
+ * @param {string} userId - The user ID
+ * @param {Object} operation - Operation with type, transactionId, firestoreId and payload
+ * @returns {Promise<Array>} Updated outbox
+ */
+export const enqueueOperation = async (userId, operation) => {
+  if (!userId || !operation) {
+    throw new Error('Missing required parameters');
+  }
+
+  return enqueueOperations(userId, [operation]);
+};
+
+/**
+ * Check whether an error means the operation should be retried later
+ * @param {Error} error - The error thrown by Firestore
+ * @returns {boolean} Whether the error is a connectivity problem
+ */
+export const isRetryableError = (error) => {
+  if (!error) return false;
+  if (RETRYABLE_ERROR_CODES.includes(error.code)) return true;
+  return /network|offline|timed out/i.test(error.message || '');
+};
+
+/**
+ * Check whether the device currently has internet access
+ * @returns {Promise<boolean>} Whether the device is online
+ */
+export const isOnline = async () => {
+  try {
+    const state = await Network.getNetworkStateAsync();
+    return !!state.isConnected && state.isInternetReachable !== false;
+  } catch (error) {
+    // Assume online so Firestore can decide
+    return true;
+  }
+};
+
+/**
+ * Subscribe to connectivity changes
+ * @param {Function} onReconnect - Called when the device comes back online
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToReconnect = (onReconnect) => {
+  const subscription = Network.addNetworkStateListener((state) => {
+    if (state.isConnected && state.isInternetReachable !== false) {
+      onReconnect();
+    }
+  });
+
+  return () => subscription.remove();
+};
+
+/**
+ * Reject if a promise does not settle in time. Firestore write promises only
+ * resolve once the server acknowledges them, so a flaky connection would
+ * otherwise leave the replay hanging.
+ * @param {Promise} promise - The promise to wait for
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise} The original promise result
+ */
+export const withTimeout = (promise, timeoutMs = 15000) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error('Operation timed out');
+      error.code = 'deadline-exceeded';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Replay queued operations in order, up to MAX_BATCH_SIZE at a time
+ * Stops at the first connectivity error so later operations keep their order.
+ * A batch is written as a whole, so when one is rejected for any other reason
+ * its operations are sent again one by one; those that still fail are moved
+ * to the rejected operations and reported.
+ * @param {string} userId - The user ID
+ * @param {Function} executor - Async function that applies a list of
+ *   operations to Firestore in one batch
+ * @returns {Promise<Object>} Object with synced, failed and remaining operations
+ */
+export const flushOutbox = async (userId, executor) => {
+  const outbox = await loadOutbox(userId);
+  const synced = [];
+  const failed = [];
+
+  // Operations before this index are being retried one at a time
+  let singleUntil = 0;
+
+  let index = 0;
+  while (index < outbox.length) {
+    const batchSize = index < singleUntil ? 1 : MAX_BATCH_SIZE;
+    const batch = outbox.slice(index, index + batchSize);
+
+    try {
+      await withTimeout(executor(batch));
+      synced.push(...batch);
+      index += batch.length;
+    } catch (error) {
+      if (isRetryableError(error)) {
+        break;
+      }
+
+      if (batch.length > 1) {
+        singleUntil = index + batch.length;
+        continue;
+      }
+
+      console.error('Outbox operation rejected:', error);
+      failed.push({ operation: batch[0], error });
+      index += 1;
+    }
+  }
+
+  const remaining = outbox.slice(index);
+
+  // Operations may have been queued while we were replaying
+  const latestOutbox = await loadOutbox(userId);
+  const processedIds = new Set(outbox.slice(0, index).map(op => op.id));
+  const updatedOutbox = latestOutbox.filter(op => !processedIds.has(op.id));
+  await saveOutbox(userId, updatedOutbox);
+
+  if (failed.length > 0) {
+    const failedAt = new Date().toISOString();
+    const failedOperations = await loadFailedOperations(userId);
+    await saveFailedOperations(userId, [
+      ...failedOperations,
+      ...failed.map(({ operation, error }) => ({
+        ...operation,
+        error: { code: error?.code || null, message: error?.message || String(error) },
+        failedAt,
+      })),
+    ]);
+  }
+
+  return { synced, failed, remaining };
+};
+
+/**
+ * Overlay queued operations on a list of transactions loaded from the server
+ * so offline changes stay visible until they have been replayed
+ * @param {Array} transactions - Transactions as known by the server
+ * @param {Array} outbox - Queued operations
+ * @returns {Array} Transactions with pending changes applied
+ */
+export const applyOutbox = (transactions, outbox) => {
+  if (!outbox || outbox.length === 0) return transactions;
+
+  return outbox.reduce((list, operation) => {
+    const existingIndex = list.findIndex(t => t.id === operation.transactionId);
+
+    switch (operation.type) {
+      case OUTBOX_OPERATIONS.ADD:
+        if (existingIndex >= 0) return list;
+        return [
+          ...list,
+          {
+            ...operation.payload,
+            firestoreId: operation.firestoreId,
+            syncStatus: SYNC_STATUS.PENDING,
+          },
+        ];
+      case OUTBOX_OPERATIONS.UPDATE:
+        if (existingIndex < 0) return list;
+        return list.map((transaction, index) => (
+          index === existingIndex
+            ? { ...transaction, ...operation.payload, syncStatus: SYNC_STATUS.PENDING }
+            : transaction
+        ));
+      case OUTBOX_OPERATIONS.DELETE:
+        return list.filter(t => t.id !== operation.transactionId);
+      default:
+        return list;
+    }
+  }, transactions);
+};
+
+/**
+ * Mark transactions with a rejected operation as failed. Rejected adds and
+ * updates stay visible as the user made them; a rejected delete leaves the
+ * server copy in place.
+ * @param {Array} transactions - Transactions as known by the server
+ * @param {Array} failedOperations - Rejected operations
+ * @returns {Array} Transactions with rejected changes applied
+ */
+export const applyFailedOperations = (transactions, failedOperations) => {
+  if (!failedOperations || failedOperations.length === 0) return transactions;
+
+  const failedIds = new Set(failedOperations.map(op => op.transactionId));
+  const changes = failedOperations.filter(op => op.type !== OUTBOX_OPERATIONS.DELETE);
+
+  return applyOutbox(transactions, changes).map(transaction => (
+    failedIds.has(transaction.id)
+      ? { ...transaction, syncStatus: SYNC_STATUS.FAILED }
+      : transaction
+  ));
+};
+
+/**
+ * Forget the rejected operations for a transaction
+ * @param {string} userId - The user ID
+ * @param {string} transactionId - The transaction ID
+ * @returns {Promise<Array>} The operations that were removed
+ */
+export const discardFailedOperations = async (userId, transactionId) => {
+  const failedOperations = await loadFailedOperations(userId);
+  const discarded = failedOperations.filter(op => op.transactionId === transactionId);
+
+  if (discarded.length > 0) {
+    await saveFailedOperations(
+      userId,
+      failedOperations.filter(op => op.transactionId !== transactionId)
+    );
+  }
+
+  return discarded;
+};
+
+/**
+ * Queue the rejected operations for a transaction again
+ * @param {string} userId - The user ID
+ * @param {string} transactionId - The transaction ID
+ * @returns {Promise<Array>} Updated outbox
+ */
+export const retryFailedOperations = async (userId, transactionId) => {
+  const failedOperations = await loadFailedOperations(userId);
+  const retried = failedOperations
+    .filter(op => op.transactionId === transactionId)
+    .map(({ id, queuedAt, error, failedAt, ...operation }) => operation);
+
+  if (retried.length === 0) {
+    return loadOutbox(userId);
+  }
+
+  // Queue first so nothing is lost if the app closes in between
+  const outbox = await enqueueOperations(userId, retried);
+  await discardFailedOperations(userId, transactionId);
+
+  return outbox;
+};
+
+/**
+ * Clear a user's outbox and rejected operations (e.g. on account deletion)
+ * @param {string} userId - The user ID
+ * @returns {Promise} Promise that resolves when the outbox is removed
+ */
+export const clearOutbox = async (userId) => {
+  if (!userId) return;
+  await AsyncStorage.multiRemove([getOutboxKey(userId), getFailedOperationsKey(userId)]);
+};
+
+export default {
+  SYNC_STATUS,
+  OUTBOX_OPERATIONS,
+  MAX_BATCH_SIZE,
+  loadOutbox,
+  saveOutbox,
+  loadFailedOperations,
+  saveFailedOperations,
+  compactOutbox,
+  enqueueOperations,
+  enqueueOperation,
+  isRetryableError,
+  isOnline,
+  subscribeToReconnect,
+  withTimeout,
+  flushOutbox,
+  applyOutbox,
+  applyFailedOperations,
+  discardFailedOperations,
+  retryFailedOperations,
+  clearOutbox,
+};
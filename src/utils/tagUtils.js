@@ -0,0 +1,206 @@
+/**
+ * Utility functions for free-form transaction tags
+ */
+
+import { getCategoryAllocations } from './dataUtils';
+
+/**
+ * Normalize a tag so that "#Goa Trip" and "goa-trip" are the same tag
+ * @param {string} tag - Raw tag text
+ * @returns {string} Lowercase tag without the leading '#' and with spaces as hyphens
+ */
+export const normalizeTag = (tag) => {
+  if (typeof tag !== 'string') return '';
+
+  return tag
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9_-]/g, '');
+};
+
+/**
+ * Normalize a list of tags, dropping empty and duplicate entries
+ * @param {Array} tags - Raw tags
+ * @returns {Array} Unique normalized tags in their original order
+ */
+export const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return [];
+
+  return tags.reduce((unique, tag) => {
+    const normalized = normalizeTag(tag);
+    if (normalized && !unique.includes(normalized)) {
+      unique.push(normalized);
+    }
+    return unique;
+  }, []);
+};
+
+/**
+ * Format a tag for display
+ * @param {string} tag - Normalized tag
+ * @returns {string} Tag prefixed with '#'
+ */
+export const formatTag = (tag) => `#${tag}`;
+
+/**
+ * Check whether a transaction carries a tag
+ * @param {Object} transaction - Transaction object
+ * @param {string} tag - Tag to look for
+ * @returns {boolean} True if the transaction has the tag
+ */
+export const hasTag = (transaction, tag) => {
+  return Array.isArray(transaction.tags) && transaction.tags.includes(normalizeTag(tag));
+};
+
+/**
+ * Apply a change to tag usage counts without re-reading every transaction
+ * Counts have no prototype, so a tag such as "constructor" counts like any other.
+ * @param {Object} counts - Map of tag to the number of transactions using it
+ * @param {Object|null} previous - Transaction as it was before the change (null if added)
+ * @param {Object|null} next - Transaction as it is after the change (null if removed)
+ * @returns {Object} Updated counts
+ */
+export const updateTagCounts = (counts, previous, next) => {
+  const updated = Object.assign(Object.create(null), counts);
+
+  (previous?.tags || []).forEach(tag => {
+    updated[tag] = (updated[tag] || 0) - 1;
+    if (updated[tag] <= 0) delete updated[tag];
+  });
+  (next?.tags || []).forEach(tag => {
+    updated[tag] = (updated[tag] || 0) + 1;
+  });
+
+  return updated;
+};
+
+/**
+ * Count how many transactions use each tag
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Object} Map of tag to the number of transactions using it
+ */
+export const countTags = (transactions) => {
+  const counts = Object.create(null);
+  transactions.forEach(transaction => {
+    (transaction.tags || []).forEach(tag => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+  return counts;
+};
+
+/**
+ * Order tags by how often they are used
+ * @param {Object} counts - Map of tag to the number of transactions using it
+ * @returns {Array} Tags, most used first
+ */
+export const sortTagsByUse = (counts) => {
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+};
+
+/**
+ * Collect every tag used across transactions
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Array} Tags sorted by how often they are used, most used first
+ */
+export const getAllTags = (transactions) => sortTagsByUse(countTags(transactions));
+
+/**
+ * Suggest existing tags for the text being typed
+ * @param {string} input - Text typed so far
+ * @param {Array} tags - Known tags, in order of preference
+ * @param {Array} selected - Tags already on the transaction
+ * @param {number} limit - Maximum number of suggestions (default: 5)
+ * @returns {Array} Matching tags, prefix matches first
+ */
+export const suggestTags = (input, tags, selected = [], limit = 5) => {
+  const query = normalizeTag(input);
+  const available = tags.filter(tag => !selected.includes(tag));
+
+  if (!query) return available.slice(0, limit);
+
+  const prefixMatches = available.filter(tag => tag.startsWith(query));
+  const otherMatches = available.filter(tag => !tag.startsWith(query) && tag.includes(query));
+
+  return [...prefixMatches, ...otherMatches].slice(0, limit);
+};
+
+/**
+ * Build a report of everything recorded under a tag
+ * @param {Array} transactions - Array of transaction objects
+ * @param {string} tag - Tag to report on
+ * @returns {Object} Totals, a monthly timeline and a category breakdown of expenses
+ */
+export const calculateTagReport = (transactions, tag) => {
+  const tagged = transactions
+    .filter(transaction => transaction.type !== 'transfer' && hasTag(transaction, tag))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const report = {
+    tag: normalizeTag(tag),
+    count: tagged.length,
+    income: 0,
+    expense: 0,
+    total: 0,
+    timeline: [],
+    categories: [],
+  };
+
+  const months = {};
+  const categories = {};
+
+  tagged.forEach(transaction => {
+    const amount = Math.abs(Number(transaction.amount) || 0);
+    const date = new Date(transaction.date);
+    const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+    if (!months[monthKey]) {
+      months[monthKey] = {
+        month: monthKey,
+        label: date.toLocaleString('default', { month: 'short', year: '2-digit' }),
+        amount: 0,
+      };
+    }
+
+    if (transaction.type === 'income') {
+      report.income += amount;
+      months[monthKey].amount -= amount;
+      return;
+    }
+
+    report.expense += amount;
+    months[monthKey].amount += amount;
+
+    getCategoryAllocations(transaction).forEach(({ category, amount: allocated }) => {
+      categories[category] = (categories[category] || 0) + Math.abs(allocated);
+    });
+  });
+
+  // Net spend: a reimbursed trip tagged on both sides nets out to zero
+  report.total = report.expense - report.income;
+  report.timeline = Object.keys(months).sort().map(key => months[key]);
+  report.categories = Object.keys(categories)
+    .map(category => ({
+      category,
+      amount: categories[category],
+      percentage: report.expense > 0 ? (categories[category] / report.expense) * 100 : 0,
+    }))
+    .sort((a, b) => b.amount - a.amount);
+
+  return report;
+};
+
+export default {
+  normalizeTag,
+  normalizeTags,
+  formatTag,
+  hasTag,
+  updateTagCounts,
+  countTags,
+  sortTagsByUse,
+  getAllTags,
+  suggestTags,
+  calculateTagReport,
+};
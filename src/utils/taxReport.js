@@ -0,0 +1,294 @@
+/**
+ * Tax Report
+ *
+ * Financial-year helpers and the year-end tax summary: transactions flagged
+ * as tax-relevant are totalled by deduction section and compared with each
+ * section's yearly limit. The summary is shown on the tax report screen and
+ * exported as PDF (generateTaxSummaryHTML) or CSV (see exportUtils.js).
+ */
+
+import { addMonths, endOfMonth, format } from 'date-fns';
+import { formatCurrency, formatShortDate, escapeHTML } from './formatters';
+import { getTaxSections, DEFAULT_FISCAL_YEAR_START_MONTH } from '../constants/tax';
+
+/**
+ * Get the financial year a date falls in
+ * @param {Date|string} date - The date
+ * @param {number} startMonth - Month the year starts in, 1-12
+ * @returns {number} The calendar year the financial year starts in, e.g. 2024
+ *   for April 2024 – March 2025
+ */
+export const getFiscalYear = (date, startMonth = DEFAULT_FISCAL_YEAR_START_MONTH) => {
+  const d = new Date(date);
+  return d.getMonth() + 1 >= startMonth ? d.getFullYear() : d.getFullYear() - 1;
+};
+
+/**
+ * Get the first and last moments of a financial year
+ * @param {number} fiscalYear - Year the financial year starts in
+ * @param {number} startMonth - Month the year starts in, 1-12
+ * @returns {Object} { startDate, endDate }
+ */
+export const getFiscalYearBounds = (fiscalYear, startMonth = DEFAULT_FISCAL_YEAR_START_MONTH) => {
+  const startDate = new Date(fiscalYear, startMonth - 1, 1);
+  return { startDate, endDate: endOfMonth(addMonths(startDate, 11)) };
+};
+
+/**
+ * Describe a financial year, e.g. "FY 2024–25", or "2024" when it follows
+ * the calendar year
+ * @param {number} fiscalYear - Year the financial year starts in
+ * @param {number} startMonth - Month the year starts in, 1-12
+ * @returns {string} Label
+ */
+export const getFiscalYearLabel = (fiscalYear, startMonth = DEFAULT_FISCAL_YEAR_START_MONTH) => {
+  if (startMonth === 1) return String(fiscalYear);
+  return `FY ${fiscalYear}–${String((fiscalYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const summarizeSection = (section, transactions) => {
+  const total = transactions.reduce((sum, transaction) => sum + Math.abs(Number(transaction.amount) || 0), 0);
+  const hasLimit = typeof section.limit === 'number';
+
+  return {
+    ...section,
+    total,
+    count: transactions.length,
+    transactions,
+    eligible: hasLimit ? Math.min(total, section.limit) : total,
+    remaining: hasLimit ? Math.max(0, section.limit - total) : null,
+    excess: hasLimit ? Math.max(0, total - section.limit) : 0,
+  };
+};
+
+/**
+ * Total a financial year's tax-relevant transactions by deduction section
+ * Amounts over a section's limit are reported as excess and left out of the
+ * eligible total. Tax-relevant transactions without a section, or whose
+ * section was deleted, are returned as `unassigned`.
+ * @param {Array} transactions - Transactions, for any dates
+ * @param {Object} options - `fiscalYear`, `fiscalYearStartMonth` and the
+ *   user's `customSections`
+ * @returns {Object} { fiscalYear, label, startDate, endDate, sections,
+ *   unassigned, total, eligible }; every section is included, with the
+ *   transactions tagged with it, newest first
+ */
+export const getTaxSummary = (transactions, {
+  fiscalYear,
+  fiscalYearStartMonth = DEFAULT_FISCAL_YEAR_START_MONTH,
+  customSections = [],
+} = {}) => {
+  const { startDate, endDate } = getFiscalYearBounds(fiscalYear, fiscalYearStartMonth);
+  const sections = getTaxSections(customSections);
+  const sectionIds = new Set(sections.map(section => section.id));
+
+  const taxTransactions = transactions
+    .filter((transaction) => {
+      const date = new Date(transaction.date);
+      return transaction.taxRelevant && date >= startDate && date <= endDate;
+    })
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const sectionSummaries = sections.map(section => summarizeSection(
+    section,
+    taxTransactions.filter(transaction => transaction.taxSection === section.id)
+  ));
+  const unassigned = summarizeSection(
+    { id: null, name: 'No section', description: 'Tax-relevant, but not assigned a section', limit: null },
+    taxTransactions.filter(transaction => !sectionIds.has(transaction.taxSection))
+  );
+
+  return {
+    fiscalYear,
+    label: getFiscalYearLabel(fiscalYear, fiscalYearStartMonth),
+    startDate,
+    endDate,
+    sections: sectionSummaries,
+    unassigned,
+    total: sectionSummaries.reduce((sum, section) => sum + section.total, 0),
+    eligible: sectionSummaries.reduce((sum, section) => sum + section.eligible, 0),
+  };
+};
+
+/**
+ * Generate HTML for the tax summary PDF
+ * @param {Object} summary - Summary from getTaxSummary
+ * @param {string} currency - Currency code
+ * @param {Object} options - `userName` and `generatedAt`
+ * @returns {string} HTML content
+ */
+export const generateTaxSummaryHTML = (summary, currency = 'INR', { userName = '', generatedAt = new Date() } = {}) => {
+  const usedSections = [...summary.sections, summary.unassigned].filter(section => section.count > 0);
+
+  const summaryRows = summary.sections.map(section => `
+    <tr>
+      <td>
+        <strong>${escapeHTML(section.name)}</strong>
+        ${section.description ? `<div class="description">${escapeHTML(section.description)}</div>` : ''}
+      </td>
+      <td class="number">${formatCurrency(section.total, currency)}</td>
+      <td class="number">${typeof section.limit === 'number' ? formatCurrency(section.limit, currency) : 'No fixed limit'}</td>
+      <td class="number">${formatCurrency(section.eligible, currency)}</td>
+      <td class="number">
+        ${section.excess > 0
+          ? `<span class="over">${formatCurrency(section.excess, currency)} over</span>`
+          : (section.remaining !== null ? `${formatCurrency(section.remaining, currency)} left` : '—')}
+      </td>
+    </tr>
+  `).join('');
+
+  const detailTables = usedSections.map(section => `
+    <div class="section">
+      <h3>${escapeHTML(section.name)}</h3>
+      <table>
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Description</th>
+            <th class="number">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${section.transactions.map(transaction => `
+            <tr>
+              <td>${formatShortDate(transaction.date)}</td>
+              <td>${escapeHTML(transaction.description || transaction.note || '')}</td>
+              <td class="number">${formatCurrency(Math.abs(transaction.amount), currency)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `).join('');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Tax Summary – ${escapeHTML(summary.label)}</title>
+      <style>
+        body {
+          font-family: 'Helvetica Neue', Arial, sans-serif;
+          margin: 0;
+          padding: 20px;
+          color: #333;
+        }
+        h1 {
+          color: #4A90E2;
+          margin-bottom: 5px;
+        }
+        h2 {
+          color: #4A90E2;
+          font-size: 18px;
+          margin: 30px 0 10px;
+        }
+        h3 {
+          font-size: 15px;
+          margin: 20px 0 8px;
+        }
+        .meta {
+          color: #666;
+          margin: 2px 0;
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        th {
+          background-color: #F8F9FA;
+          text-align: left;
+          padding: 8px;
+          border-bottom: 2px solid #E5E9F2;
+        }
+        td {
+          padding: 8px;
+          border-bottom: 1px solid #E5E9F2;
+          vertical-align: top;
+        }
+        .number {
+          text-align: right;
+        }
+        .description {
+          font-size: 11px;
+          color: #999;
+        }
+        .over {
+          color: #FF3B30;
+        }
+        .total td {
+          font-weight: bold;
+          border-top: 2px solid #E5E9F2;
+        }
+        .section {
+          page-break-inside: avoid;
+        }
+        .note {
+          color: #999;
+          font-size: 12px;
+          margin-top: 10px;
+        }
+        .footer {
+          margin-top: 50px;
+          text-align: center;
+          color: #999;
+          font-size: 12px;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>Tax Summary ${escapeHTML(summary.label)}</h1>
+      ${userName ? `<p class="meta">Prepared for ${escapeHTML(userName)}</p>` : ''}
+      <p class="meta">${formatShortDate(summary.startDate)} – ${formatShortDate(summary.endDate)}</p>
+
+      <h2>Deductions by Section</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Section</th>
+            <th class="number">Claimed</th>
+            <th class="number">Limit</th>
+            <th class="number">Eligible</th>
+            <th class="number">Headroom</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${summaryRows}
+          <tr class="total">
+            <td>Total</td>
+            <td class="number">${formatCurrency(summary.total, currency)}</td>
+            <td></td>
+            <td class="number">${formatCurrency(summary.eligible, currency)}</td>
+            <td></td>
+          </tr>
+        </tbody>
+      </table>
+      ${summary.unassigned.count > 0 ? `
+        <p class="note">
+          ${summary.unassigned.count} tax-relevant transaction${summary.unassigned.count === 1 ? ' has' : 's have'}
+          no section (${formatCurrency(summary.unassigned.total, currency)}) and ${summary.unassigned.count === 1 ? 'is' : 'are'} not included above.
+        </p>
+      ` : ''}
+      <p class="note">
+        Limits are the yearly maximums under the old tax regime. Sections without
+        a fixed limit depend on your income, salary or the recipient; check them
+        with your tax adviser.
+      </p>
+
+      ${detailTables ? `<h2>Transactions</h2>${detailTables}` : ''}
+
+      <div class="footer">
+        Generated by Expense Tracker App | ${format(generatedAt, 'yyyy-MM-dd')}
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+export default {
+  getFiscalYear,
+  getFiscalYearBounds,
+  getFiscalYearLabel,
+  getTaxSummary,
+  generateTaxSummaryHTML,
+};
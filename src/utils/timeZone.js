@@ -0,0 +1,132 @@
+/**
+ * Time Zones
+ *
+ * Converts between moments and the calendar date and wall-clock time they
+ * have in a given IANA time zone, such as "Asia/Kolkata", using Intl. This is
+ * what lets a recurring transaction stay on its calendar day at the same
+ * local time across daylight saving changes, whatever zone the device is in.
+ */
+
+import { toDateKey } from './rrule';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = {};
+
+// Formatters are slow to create, so one is kept per zone
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+  }
+  return formatters[timeZone];
+};
+
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  // Some engines write midnight as hour 24
+  if (parts.hour === 24) parts.hour = 0;
+  return parts;
+};
+
+// How far ahead of UTC the zone's clocks are at a moment, in milliseconds
+const getOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - Math.floor(new Date(date).getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the device's time zone
+ * @returns {string} IANA time zone name, or "UTC" if the device has none
+ */
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+/**
+ * Check whether a time zone name is known to the device
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} True when dates can be converted in the zone
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the calendar date of a moment in a time zone
+ * @param {Date|string} date - The moment
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} Date key such as "2025-01-31"
+ */
+export const getDateKeyInTimeZone = (date, timeZone = getDeviceTimeZone()) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get the wall-clock time of a moment in a time zone
+ * @param {Date|string} date - The moment
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} Time such as "09:30"
+ */
+export const getTimeOfDayInTimeZone = (date, timeZone = getDeviceTimeZone()) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Get the moment a calendar date and wall-clock time happen in a time zone
+ * A time skipped when the clocks go forward comes out later by the size of
+ * the gap, as the clocks on the wall would show it; a time that happens twice
+ * when they go back comes out as the first of the two.
+ * @param {string|Date} date - Date key, or a Date read in the device's zone
+ * @param {string} timeOfDay - Time such as "09:30"
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} The moment
+ */
+export const getDateInTimeZone = (date, timeOfDay = '00:00', timeZone = getDeviceTimeZone()) => {
+  const [year, month, day] = toDateKey(date).split('-').map(Number);
+  const [hours, minutes] = timeOfDay.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours || 0, minutes || 0);
+
+  // Clocks never change twice within a day, so the offsets a day either side
+  // are the only ones the time can have. A candidate is right when the zone
+  // has that offset at it.
+  const candidates = [
+    wallClock - getOffset(wallClock - DAY_MS, timeZone),
+    wallClock - getOffset(wallClock + DAY_MS, timeZone),
+  ];
+  const valid = candidates.filter(candidate => getOffset(candidate, timeZone) === wallClock - candidate);
+
+  return new Date(valid.length > 0 ? Math.min(...valid) : Math.max(...candidates));
+};
+
+export default {
+  getDeviceTimeZone,
+  isValidTimeZone,
+  getDateKeyInTimeZone,
+  getTimeOfDayInTimeZone,
+  getDateInTimeZone,
+};
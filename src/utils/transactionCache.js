@@ -0,0 +1,232 @@
+/**
+ * Transaction Cache
+ *
+ * This utility stores cached transactions in AsyncStorage bucketed by month
+ * (one key per `YYYY-MM`), so startup only reads the months it needs and a
+ * change only rewrites the months it touches.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Get the month bucket for a date
+ * @param {Date|string} date - The date
+ * @returns {string} Month in `YYYY-MM` format
+ */
+export const getMonthKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// AsyncStorage key for one month of transactions
+const getBucketKey = (userId, monthKey) => `transactions_${userId}_${monthKey}`;
+
+// AsyncStorage key for the list of cached months
+const getIndexKey = (userId) => `transactions_${userId}_months`;
+
+// AsyncStorage key for the cached financial summary
+const getSummaryKey = (userId) => `transactions_${userId}_summary`;
+
+// AsyncStorage key for the cached count of transactions using each tag
+const getTagCountsKey = (userId) => `transactions_${userId}_tags`;
+
+// AsyncStorage key used before transactions were bucketed by month
+const getLegacyKey = (userId) => `transactions_${userId}`;
+
+/**
+ * Group transactions by month bucket
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Object} Map of month key to transactions
+ */
+const groupByMonth = (transactions) => {
+  return transactions.reduce((buckets, transaction) => {
+    const monthKey = getMonthKey(transaction.date);
+    if (!buckets[monthKey]) {
+      buckets[monthKey] = [];
+    }
+    buckets[monthKey].push(transaction);
+    return buckets;
+  }, {});
+};
+
+/**
+ * Load the list of cached months, newest first
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Month keys
+ */
+const loadMonthIndex = async (userId) => {
+  const savedIndex = await AsyncStorage.getItem(getIndexKey(userId));
+  return savedIndex ? JSON.parse(savedIndex) : [];
+};
+
+/**
+ * Move a cache written before month bucketing into buckets
+ * @param {string} userId - The user ID
+ * @returns {Promise} Promise that resolves when the legacy cache is migrated
+ */
+const migrateLegacyCache = async (userId) => {
+  const legacyData = await AsyncStorage.getItem(getLegacyKey(userId));
+  if (!legacyData) return;
+
+  const buckets = groupByMonth(JSON.parse(legacyData));
+  const months = Object.keys(buckets).sort().reverse();
+
+  await AsyncStorage.multiSet([
+    ...months.map(monthKey => [getBucketKey(userId, monthKey), JSON.stringify(buckets[monthKey])]),
+    [getIndexKey(userId), JSON.stringify(months)],
+  ]);
+  await AsyncStorage.removeItem(getLegacyKey(userId));
+};
+
+/**
+ * Load cached transactions for the given months
+ * @param {string} userId - The user ID
+ * @param {Array} monthKeys - Months to load in `YYYY-MM` format
+ * @returns {Promise<Array>} Cached transactions
+ */
+export const loadCachedTransactions = async (userId, monthKeys) => {
+  if (!userId) return [];
+
+  await migrateLegacyCache(userId);
+
+  const months = await loadMonthIndex(userId);
+  const wantedMonths = months.filter(monthKey => monthKeys.includes(monthKey));
+  if (wantedMonths.length === 0) return [];
+
+  const entries = await AsyncStorage.multiGet(
+    wantedMonths.map(monthKey => getBucketKey(userId, monthKey))
+  );
+
+  return entries.reduce((transactions, [, value]) => (
+    value ? [...transactions, ...JSON.parse(value)] : transactions
+  ), []);
+};
+
+/**
+ * Get the newest cached month older than the given month
+ * @param {string} userId - The user ID
+ * @param {string} monthKey - Month in `YYYY-MM` format
+ * @returns {Promise<string|null>} Month key or null if nothing older is cached
+ */
+export const getPreviousCachedMonth = async (userId, monthKey) => {
+  const months = await loadMonthIndex(userId);
+  return months.find(cachedMonth => cachedMonth < monthKey) || null;
+};
+
+/**
+ * Write the months that changed between two versions of the transaction list
+ * @param {string} userId - The user ID
+ * @param {Array} transactions - Current transactions in memory
+ * @param {Array} previousTransactions - Transactions before the change
+ * @returns {Promise} Promise that resolves when the cache is updated
+ */
+export const cacheTransactions = async (userId, transactions, previousTransactions = []) => {
+  if (!userId) return;
+
+  const buckets = groupByMonth(transactions);
+  const previousBuckets = groupByMonth(previousTransactions);
+  const touchedMonths = new Set([...Object.keys(buckets), ...Object.keys(previousBuckets)]);
+
+  const writes = [];
+  const removals = [];
+
+  touchedMonths.forEach((monthKey) => {
+    const serialized = JSON.stringify(buckets[monthKey] || []);
+    if (serialized === JSON.stringify(previousBuckets[monthKey] || [])) {
+      return;
+    }
+
+    if (buckets[monthKey]) {
+      writes.push([getBucketKey(userId, monthKey), serialized]);
+    } else {
+      removals.push(monthKey);
+    }
+  });
+
+  if (writes.length === 0 && removals.length === 0) return;
+
+  const months = await loadMonthIndex(userId);
+  const updatedMonths = [...new Set([...months, ...Object.keys(buckets)])]
+    .filter(monthKey => !removals.includes(monthKey))
+    .sort()
+    .reverse();
+
+  await AsyncStorage.multiSet([
+    ...writes,
+    [getIndexKey(userId), JSON.stringify(updatedMonths)],
+  ]);
+
+  if (removals.length > 0) {
+    await AsyncStorage.multiRemove(removals.map(monthKey => getBucketKey(userId, monthKey)));
+  }
+};
+
+/**
+ * Load the cached financial summary
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} Summary with income, expense and balance
+ */
+export const loadCachedSummary = async (userId) => {
+  const savedSummary = await AsyncStorage.getItem(getSummaryKey(userId));
+  return savedSummary ? JSON.parse(savedSummary) : null;
+};
+
+/**
+ * Cache the financial summary
+ * @param {string} userId - The user ID
+ * @param {Object} summary - Summary with income, expense and balance
+ * @returns {Promise} Promise that resolves when the summary is saved
+ */
+export const cacheSummary = (userId, summary) => {
+  return AsyncStorage.setItem(getSummaryKey(userId), JSON.stringify(summary));
+};
+
+/**
+ * Load the cached tag usage counts, which cover the whole history
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} Map of tag to the number of transactions using it
+ */
+export const loadCachedTagCounts = async (userId) => {
+  const savedCounts = await AsyncStorage.getItem(getTagCountsKey(userId));
+  return savedCounts ? Object.assign(Object.create(null), JSON.parse(savedCounts)) : null;
+};
+
+/**
+ * Cache the tag usage counts
+ * @param {string} userId - The user ID
+ * @param {Object} counts - Map of tag to the number of transactions using it
+ * @returns {Promise} Promise that resolves when the counts are saved
+ */
+export const cacheTagCounts = (userId, counts) => {
+  return AsyncStorage.setItem(getTagCountsKey(userId), JSON.stringify(counts));
+};
+
+/**
+ * Remove every cached transaction bucket for a user
+ * @param {string} userId - The user ID
+ * @returns {Promise} Promise that resolves when the cache is cleared
+ */
+export const clearTransactionCache = async (userId) => {
+  if (!userId) return;
+
+  const months = await loadMonthIndex(userId);
+  await AsyncStorage.multiRemove([
+    ...months.map(monthKey => getBucketKey(userId, monthKey)),
+    getIndexKey(userId),
+    getSummaryKey(userId),
+    getTagCountsKey(userId),
+    getLegacyKey(userId),
+  ]);
+};
+
+export default {
+  getMonthKey,
+  loadCachedTransactions,
+  getPreviousCachedMonth,
+  cacheTransactions,
+  loadCachedSummary,
+  cacheSummary,
+  loadCachedTagCounts,
+  cacheTagCounts,
+  clearTransactionCache,
+};
@@ -54,11 +54,20 @@ export const validateTransaction = (transaction) => {
     errors.amount = 'Please enter a valid amount greater than zero';
   }
   
-  if (!isRequiredField(transaction.category)) {
+  if (transaction.type === 'transfer') {
+    if (!isRequiredField(transaction.toAccountId) || transaction.toAccountId === transaction.accountId) {
+      errors.toAccountId = 'Please select a different account to transfer to';
+    }
+  } else if (transaction.splits) {
+    const splitsError = validateSplits(transaction.splits, transaction.amount);
+    if (splitsError) {
+      errors.splits = splitsError;
+    }
+  } else if (!isRequiredField(transaction.category)) {
     errors.category = 'Please select a category';
   }
   
-  if (!transaction.type || !['income', 'expense'].includes(transaction.type)) {
+  if (!transaction.type || !['income', 'expense', 'transfer'].includes(transaction.type)) {
     errors.type = 'Please select a valid transaction type';
   }
   
@@ -70,6 +79,34 @@ export const validateTransaction = (transaction) => {
   return errors;
 };
 
+/**
+ * Validate the split lines of a transaction
+ * @param {Array} splits - Split lines with category, amount and note
+ * @param {number|string} amount - The transaction amount the splits must add up to
+ * @returns {string} Empty string if valid, error message if invalid
+ */
+export const validateSplits = (splits, amount) => {
+  if (!Array.isArray(splits) || splits.length < 2) {
+    return 'Add at least two split lines';
+  }
+  
+  if (splits.some(split => !isRequiredField(split.category))) {
+    return 'Please select a category for every split';
+  }
+  
+  if (splits.some(split => !isValidNumber(split.amount, 0.01))) {
+    return 'Please enter a valid amount for every split';
+  }
+  
+  // Compare in cents so floating point rounding doesn't reject valid splits
+  const splitTotal = splits.reduce((sum, split) => sum + Math.round(parseFloat(split.amount) * 100), 0);
+  if (splitTotal !== Math.round(parseFloat(amount) * 100)) {
+    return 'Split amounts must add up to the transaction amount';
+  }
+  
+  return '';
+};
+
 /**
  * Validate email with error message
  * @param {string} value - The email to validate
@@ -0,0 +1,291 @@
+/**
+ * XLSX Format
+ *
+ * Builds an Excel workbook for accountants: every transaction with real date
+ * and number cells, plus monthly, category and budget summaries. Amounts are
+ * formatted in the user's currency.
+ *
+ * SheetJS is pinned to 0.18.5, the last release published to npm. Its known
+ * advisories (CVE-2023-30533, CVE-2024-22363) are in reading workbooks; this
+ * module only writes them, from the user's own data. Do not use XLSX.read on
+ * imported files with this version: move to the SheetJS CDN build first.
+ */
+
+import * as XLSX from 'xlsx';
+import { formatCurrency } from './formatters';
+import { getCategoryAllocations } from './dataUtils';
+import { getExportRows, getExportColumns, EXPORT_COLUMNS } from './exportFilters';
+import { getCategoryLabel, getRootCategoryId } from '../constants/categories';
+
+const DATE_FORMAT = 'yyyy-mm-dd';
+const MONTH_FORMAT = 'mmm yyyy';
+const PERCENT_FORMAT = '0.0%';
+
+/**
+ * Excel number format for a currency, e.g. "₹"#,##0.00;-"₹"#,##0.00
+ * @param {string} currency - Currency code
+ * @returns {string} Number format
+ */
+export const getCurrencyNumberFormat = (currency = 'USD') => {
+  const sample = formatCurrency(0, currency);
+  const symbol = sample.replace(/[\d.,\s]/g, '');
+  const decimals = (sample.split('.')[1] || '').replace(/\D/g, '').length;
+  const number = decimals > 0 ? `#,##0.${'0'.repeat(decimals)}` : '#,##0';
+
+  return `"${symbol}"${number};-"${symbol}"${number}`;
+};
+
+// Calendar date without the time, so cells show the day the user picked
+const toDateCell = (value) => {
+  const date = new Date(value);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+const getMonthKey = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const monthKeyToDate = (key) => {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(year, month - 1, 1);
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Sheet from rows of values, with number formats applied to whole columns
+// below the header row
+const createSheet = (rows, { formats = {}, widths = [] } = {}) => {
+  const sheet = XLSX.utils.aoa_to_sheet(rows, { dateNF: DATE_FORMAT });
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+
+  Object.entries(formats).forEach(([column, format]) => {
+    for (let row = 1; row <= range.e.r; row++) {
+      const cell = sheet[XLSX.utils.encode_cell({ r: row, c: Number(column) })];
+      if (cell && cell.t === 'n') {
+        cell.z = format;
+      }
+    }
+  });
+
+  sheet['!cols'] = widths.map(wch => ({ wch }));
+  return sheet;
+};
+
+const COLUMN_WIDTHS = {
+  date: 12,
+  description: 30,
+  category: 28,
+  type: 10,
+  account: 20,
+  amount: 14,
+  notes: 30,
+  tags: 20,
+};
+
+// One row per transaction, or per split line; expenses are negative
+const buildTransactionsSheet = (transactions, accounts, columns, currencyFormat) => {
+  const exportColumns = getExportColumns(columns || EXPORT_COLUMNS.map(column => column.id));
+  const sorted = [...transactions].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const rows = [
+    exportColumns.map(column => column.label),
+    ...getExportRows(sorted, accounts).map(row => exportColumns.map(({ id }) => {
+      if (id === 'date') return toDateCell(row.date);
+      if (id === 'amount') return roundAmount(row.type === 'expense' ? -row.amount : row.amount);
+      return row[id];
+    })),
+  ];
+
+  const formats = {};
+  exportColumns.forEach(({ id }, index) => {
+    if (id === 'date') formats[index] = DATE_FORMAT;
+    if (id === 'amount') formats[index] = currencyFormat;
+  });
+
+  return createSheet(rows, {
+    formats,
+    widths: exportColumns.map(({ id }) => COLUMN_WIDTHS[id]),
+  });
+};
+
+// Income, expenses and savings for every month with transactions
+const buildMonthlySummarySheet = (transactions, currencyFormat) => {
+  const months = transactions.reduce((totals, transaction) => {
+    if (transaction.type !== 'income' && transaction.type !== 'expense') return totals;
+
+    const key = getMonthKey(transaction.date);
+    totals[key] = totals[key] || { income: 0, expense: 0 };
+    totals[key][transaction.type] += Math.abs(Number(transaction.amount) || 0);
+    return totals;
+  }, {});
+
+  const rows = [['Month', 'Income', 'Expenses', 'Net', 'Savings Rate']];
+  const total = { income: 0, expense: 0 };
+
+  Object.keys(months).sort().forEach((key) => {
+    const { income, expense } = months[key];
+    total.income += income;
+    total.expense += expense;
+    rows.push([
+      monthKeyToDate(key),
+      roundAmount(income),
+      roundAmount(expense),
+      roundAmount(income - expense),
+      income > 0 ? (income - expense) / income : '',
+    ]);
+  });
+
+  rows.push([
+    'Total',
+    roundAmount(total.income),
+    roundAmount(total.expense),
+    roundAmount(total.income - total.expense),
+    total.income > 0 ? (total.income - total.expense) / total.income : '',
+  ]);
+
+  return createSheet(rows, {
+    formats: { 0: MONTH_FORMAT, 1: currencyFormat, 2: currencyFormat, 3: currencyFormat, 4: PERCENT_FORMAT },
+    widths: [12, 14, 14, 14, 14],
+  });
+};
+
+// Totals per category, expenses first, each with its share of the type's total
+const buildCategorySheet = (transactions, currencyFormat) => {
+  const rows = [['Category', 'Type', 'Transactions', 'Amount', 'Share']];
+
+  ['expense', 'income'].forEach((type) => {
+    const categories = transactions
+      .filter(transaction => transaction.type === type)
+      .reduce((totals, transaction) => {
+        getCategoryAllocations(transaction).forEach(({ category, amount }) => {
+          const label = getCategoryLabel(category);
+          totals[label] = totals[label] || { count: 0, amount: 0 };
+          totals[label].count += 1;
+          totals[label].amount += Math.abs(Number(amount) || 0);
+        });
+        return totals;
+      }, {});
+
+    const typeTotal = Object.values(categories).reduce((sum, { amount }) => sum + amount, 0);
+
+    Object.entries(categories)
+      .sort(([, a], [, b]) => b.amount - a.amount)
+      .forEach(([label, { count, amount }]) => {
+        rows.push([label, type, count, roundAmount(amount), typeTotal > 0 ? amount / typeTotal : '']);
+      });
+  });
+
+  return createSheet(rows, {
+    formats: { 3: currencyFormat, 4: PERCENT_FORMAT },
+    widths: [30, 10, 14, 14, 10],
+  });
+};
+
+// Each month's spending against the current budgets; subcategory spending
+// counts toward its parent's budget, as on the budget screen
+const buildBudgetSheet = (transactions, budgets, currencyFormat) => {
+  const rows = [['Month', 'Category', 'Budget', 'Spent', 'Remaining', 'Used']];
+  const monthlyBudget = Number(budgets.monthlyBudget) || 0;
+  const categoryBudgets = Object.entries(budgets.categoryBudgets || {})
+    .map(([category, amount]) => [getRootCategoryId(category), Number(amount) || 0])
+    .filter(([, amount]) => amount > 0);
+
+  if (monthlyBudget === 0 && categoryBudgets.length === 0) {
+    rows.push(['No budgets have been set']);
+    return createSheet(rows, { widths: [24] });
+  }
+
+  const months = transactions
+    .filter(transaction => transaction.type === 'expense')
+    .reduce((spending, transaction) => {
+      const key = getMonthKey(transaction.date);
+      spending[key] = spending[key] || { total: 0, categories: {} };
+
+      getCategoryAllocations(transaction).forEach(({ category, amount }) => {
+        const value = Math.abs(Number(amount) || 0);
+        const rootId = getRootCategoryId(category);
+        spending[key].total += value;
+        spending[key].categories[rootId] = (spending[key].categories[rootId] || 0) + value;
+      });
+      return spending;
+    }, {});
+
+  const addRow = (key, label, budget, spent) => {
+    rows.push([
+      monthKeyToDate(key),
+      label,
+      roundAmount(budget),
+      roundAmount(spent),
+      roundAmount(budget - spent),
+      budget > 0 ? spent / budget : '',
+    ]);
+  };
+
+  Object.keys(months).sort().forEach((key) => {
+    if (monthlyBudget > 0) {
+      addRow(key, 'All spending', monthlyBudget, months[key].total);
+    }
+    categoryBudgets.forEach(([category, budget]) => {
+      addRow(key, getCategoryLabel(category), budget, months[key].categories[category] || 0);
+    });
+  });
+
+  return createSheet(rows, {
+    formats: {
+      0: MONTH_FORMAT,
+      2: currencyFormat,
+      3: currencyFormat,
+      4: currencyFormat,
+      5: PERCENT_FORMAT,
+    },
+    widths: [12, 28, 14, 14, 14, 10],
+  });
+};
+
+/**
+ * Build the export workbook
+ * Budgets are the user's current ones; earlier months are compared against
+ * them too, since past budgets are not kept.
+ * @param {Array} transactions - Transactions to export
+ * @param {string} currency - Currency code for amount cells
+ * @param {Object} options - `accounts` (the user's accounts), `budgets`
+ *   ({ monthlyBudget, categoryBudgets } as returned by getBudgets) and
+ *   `columns` for the Transactions sheet (all of them by default)
+ * @returns {Object} SheetJS workbook
+ */
+export const transactionsToWorkbook = (transactions, currency = 'USD', {
+  accounts = [],
+  budgets = {},
+  columns,
+} = {}) => {
+  const currencyFormat = getCurrencyNumberFormat(currency);
+  const workbook = XLSX.utils.book_new();
+
+  XLSX.utils.book_append_sheet(workbook, buildTransactionsSheet(transactions, accounts, columns, currencyFormat), 'Transactions');
+  XLSX.utils.book_append_sheet(workbook, buildMonthlySummarySheet(transactions, currencyFormat), 'Monthly Summary');
+  XLSX.utils.book_append_sheet(workbook, buildCategorySheet(transactions, currencyFormat), 'Category Breakdown');
+  XLSX.utils.book_append_sheet(workbook, buildBudgetSheet(transactions, budgets, currencyFormat), 'Budgets vs Actual');
+
+  return workbook;
+};
+
+/**
+ * Write transactions as an XLSX file
+ * @param {Array} transactions - Transactions to export
+ * @param {string} currency - Currency code for amount cells
+ * @param {Object} options - See transactionsToWorkbook
+ * @returns {string} File contents, base64 encoded
+ */
+export const transactionsToXLSX = (transactions, currency = 'USD', options = {}) => {
+  return XLSX.write(transactionsToWorkbook(transactions, currency, options), {
+    type: 'base64',
+    bookType: 'xlsx',
+  });
+};
+
+export default {
+  getCurrencyNumberFormat,
+  transactionsToWorkbook,
+  transactionsToXLSX,
+};